@@ -0,0 +1,5 @@
+ALTER TABLE assessments
+  ADD COLUMN suggested_risk_tier text CHECK (suggested_risk_tier IN ('low', 'moderate', 'high')),
+  ADD COLUMN risk_rule_version text,
+  ADD COLUMN risk_rule_reasons jsonb,
+  ADD COLUMN risk_tier_disagreement boolean NOT NULL DEFAULT false;
@@ -0,0 +1,8 @@
+ALTER TABLE facilities
+  DROP CONSTRAINT IF EXISTS facilities_assessment_protocol_check;
+
+ALTER TABLE assessments
+  DROP CONSTRAINT IF EXISTS assessments_assessment_protocol_check;
+
+ALTER TABLE assessment_scores
+  ADD COLUMN protocol_data jsonb NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,2 @@
+ALTER TABLE gait_model_runs
+  ADD COLUMN score_outputs jsonb NOT NULL DEFAULT '{}'::jsonb;
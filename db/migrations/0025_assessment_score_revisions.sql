@@ -0,0 +1,18 @@
+CREATE TABLE assessment_score_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id uuid NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  revision_number integer NOT NULL,
+  source text NOT NULL CHECK (source IN ('manual', 'gait_model')),
+  gait_model_run_id uuid REFERENCES gait_model_runs(id) ON DELETE SET NULL,
+  previous_scores jsonb,
+  new_scores jsonb NOT NULL,
+  changed_fields jsonb NOT NULL DEFAULT '[]'::jsonb,
+  reason_code text,
+  reason_note text,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (assessment_id, revision_number)
+);
+
+CREATE INDEX assessment_score_revisions_assessment_idx
+  ON assessment_score_revisions (assessment_id, revision_number DESC);
@@ -0,0 +1,21 @@
+ALTER TABLE reports
+  ALTER COLUMN finalized SET DEFAULT false;
+
+ALTER TABLE assessments
+  ADD COLUMN locked_at timestamptz,
+  ADD COLUMN locked_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE report_signatures (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL UNIQUE REFERENCES reports(id) ON DELETE CASCADE,
+  assessment_id uuid NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  signed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  signer_name text NOT NULL,
+  signer_credentials text NOT NULL,
+  attestation_text text NOT NULL,
+  pdf_sha256 text NOT NULL,
+  signed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX report_signatures_assessment_idx
+  ON report_signatures (assessment_id, signed_at DESC);
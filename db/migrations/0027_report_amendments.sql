@@ -0,0 +1,7 @@
+ALTER TABLE reports
+  ADD COLUMN supersedes_report_id uuid REFERENCES reports(id) ON DELETE SET NULL,
+  ADD COLUMN amendment_type text CHECK (amendment_type IN ('amendment', 'addendum')),
+  ADD COLUMN amendment_reason text,
+  ADD COLUMN addendum_text text;
+
+CREATE INDEX reports_supersedes_report_idx ON reports (supersedes_report_id);
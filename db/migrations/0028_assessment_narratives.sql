@@ -0,0 +1,19 @@
+CREATE TABLE assessment_narratives (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id uuid NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'accepted', 'superseded')),
+  template_version text NOT NULL,
+  subjective text NOT NULL,
+  objective text NOT NULL,
+  assessment text NOT NULL,
+  plan text NOT NULL,
+  source_data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  edited boolean NOT NULL DEFAULT false,
+  drafted_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  drafted_at timestamptz NOT NULL DEFAULT now(),
+  accepted_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at timestamptz
+);
+
+CREATE INDEX assessment_narratives_assessment_idx
+  ON assessment_narratives (assessment_id, status, drafted_at DESC);
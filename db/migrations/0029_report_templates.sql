@@ -0,0 +1,13 @@
+CREATE TABLE report_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  config jsonb NOT NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (facility_id, version)
+);
+
+ALTER TABLE reports
+  ADD COLUMN report_template_id uuid REFERENCES report_templates(id) ON DELETE SET NULL,
+  ADD COLUMN report_template_version integer;
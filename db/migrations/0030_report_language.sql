@@ -0,0 +1,5 @@
+ALTER TABLE reports
+  ADD COLUMN language text NOT NULL DEFAULT 'en' CHECK (language IN ('en', 'es'));
+
+CREATE INDEX reports_assessment_type_language_idx
+  ON reports (assessment_id, report_type, language, created_at DESC);
@@ -0,0 +1,6 @@
+ALTER TABLE reports
+  ALTER COLUMN assessment_id DROP NOT NULL,
+  ADD COLUMN fall_event_id uuid REFERENCES fall_events(id) ON DELETE CASCADE,
+  ADD CONSTRAINT reports_subject_check CHECK (assessment_id IS NOT NULL OR fall_event_id IS NOT NULL);
+
+CREATE INDEX reports_fall_event_idx ON reports (fall_event_id, created_at DESC);
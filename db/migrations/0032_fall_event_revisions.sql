@@ -0,0 +1,21 @@
+ALTER TABLE fall_events
+  ADD COLUMN voided_at timestamptz,
+  ADD COLUMN voided_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN void_reason text;
+
+CREATE TABLE fall_event_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  fall_event_id uuid NOT NULL REFERENCES fall_events(id) ON DELETE CASCADE,
+  revision_number integer NOT NULL,
+  action text NOT NULL CHECK (action IN ('update', 'void')),
+  previous_values jsonb NOT NULL,
+  new_values jsonb NOT NULL,
+  changed_fields jsonb NOT NULL DEFAULT '[]'::jsonb,
+  reason text,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (fall_event_id, revision_number)
+);
+
+CREATE INDEX fall_event_revisions_event_idx
+  ON fall_event_revisions (fall_event_id, revision_number DESC);
@@ -0,0 +1,5 @@
+ALTER TABLE facilities
+  ADD COLUMN fall_check_schemas jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE post_fall_checks
+  ADD COLUMN data jsonb;
@@ -0,0 +1,26 @@
+ALTER TABLE fall_events
+  ADD COLUMN head_strike boolean NOT NULL DEFAULT false;
+
+CREATE TABLE fall_neuro_checks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  fall_event_id uuid NOT NULL REFERENCES fall_events(id) ON DELETE CASCADE,
+  sequence integer NOT NULL,
+  interval_minutes integer NOT NULL,
+  due_at timestamptz NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'missed', 'cancelled')),
+  completed_at timestamptz,
+  completed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  data jsonb,
+  notes text,
+  missed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Cancelled instances stay for history, so a rescheduled check can reuse their sequence.
+CREATE UNIQUE INDEX fall_neuro_checks_sequence_idx
+  ON fall_neuro_checks (fall_event_id, sequence)
+  WHERE status <> 'cancelled';
+
+CREATE INDEX fall_neuro_checks_status_due_idx
+  ON fall_neuro_checks (status, due_at);
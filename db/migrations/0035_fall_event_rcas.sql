@@ -0,0 +1,38 @@
+CREATE TABLE fall_event_rcas (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  fall_event_id uuid NOT NULL UNIQUE REFERENCES fall_events(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'completed')),
+  huddle_at timestamptz,
+  huddle_attendees jsonb NOT NULL DEFAULT '[]'::jsonb,
+  huddle_notes text,
+  whys jsonb NOT NULL DEFAULT '[]'::jsonb,
+  factors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  root_cause_category text,
+  root_cause text,
+  completed_at timestamptz,
+  completed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  updated_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE fall_event_corrective_actions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  rca_id uuid NOT NULL REFERENCES fall_event_rcas(id) ON DELETE CASCADE,
+  description text NOT NULL,
+  owner_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  due_date date,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'cancelled')),
+  completed_at timestamptz,
+  completed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX fall_event_corrective_actions_rca_idx
+  ON fall_event_corrective_actions (rca_id, created_at);
+
+CREATE INDEX fall_event_corrective_actions_owner_idx
+  ON fall_event_corrective_actions (owner_id, status, due_date);
@@ -0,0 +1,34 @@
+ALTER TABLE facilities
+  ADD COLUMN intervention_library jsonb;
+
+CREATE TABLE resident_interventions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  resident_id uuid NOT NULL REFERENCES residents(id) ON DELETE CASCADE,
+  intervention_key text NOT NULL,
+  label text NOT NULL,
+  category text NOT NULL,
+  details text,
+  source text NOT NULL DEFAULT 'rule' CHECK (source IN ('rule', 'manual')),
+  reasons jsonb NOT NULL DEFAULT '[]'::jsonb,
+  assessment_id uuid REFERENCES assessments(id) ON DELETE SET NULL,
+  fall_event_id uuid REFERENCES fall_events(id) ON DELETE SET NULL,
+  status text NOT NULL DEFAULT 'recommended'
+    CHECK (status IN ('recommended', 'accepted', 'declined', 'discontinued')),
+  status_reason text,
+  modified boolean NOT NULL DEFAULT false,
+  start_date date,
+  end_date date,
+  owner_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  decided_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  decided_at timestamptz,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX resident_interventions_resident_idx
+  ON resident_interventions (resident_id, status, created_at DESC);
+
+CREATE INDEX resident_interventions_facility_idx
+  ON resident_interventions (facility_id, intervention_key, status);
@@ -0,0 +1,26 @@
+ALTER TABLE facilities
+  ADD COLUMN repeat_fall_rules jsonb;
+
+CREATE TABLE resident_fall_flags (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  resident_id uuid NOT NULL REFERENCES residents(id) ON DELETE CASCADE,
+  rule text NOT NULL CHECK (rule IN ('short_window', 'long_window', 'low_risk_screen')),
+  fall_event_id uuid REFERENCES fall_events(id) ON DELETE SET NULL,
+  assessment_id uuid REFERENCES assessments(id) ON DELETE SET NULL,
+  fall_count integer NOT NULL,
+  window_days integer NOT NULL,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution_note text,
+  resolved_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX resident_fall_flags_open_idx
+  ON resident_fall_flags (resident_id, rule)
+  WHERE status = 'open';
+
+CREATE INDEX resident_fall_flags_facility_idx
+  ON resident_fall_flags (facility_id, status, created_at DESC);
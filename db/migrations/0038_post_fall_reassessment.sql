@@ -0,0 +1,9 @@
+ALTER TABLE facilities
+  ADD COLUMN post_fall_reassessment_days integer DEFAULT 3;
+
+ALTER TABLE assessments
+  ADD COLUMN fall_event_id uuid REFERENCES fall_events(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX assessments_open_fall_reassessment_idx
+  ON assessments (resident_id)
+  WHERE fall_event_id IS NOT NULL AND status <> 'completed';
@@ -0,0 +1,9 @@
+ALTER TABLE facilities
+  ADD COLUMN reassessment_lead_days integer DEFAULT 14;
+
+ALTER TABLE assessments
+  ADD COLUMN previous_assessment_id uuid REFERENCES assessments(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX assessments_previous_assessment_idx
+  ON assessments (previous_assessment_id)
+  WHERE previous_assessment_id IS NOT NULL;
@@ -0,0 +1,21 @@
+ALTER TABLE facilities
+  ADD COLUMN sla_policies jsonb,
+  ADD COLUMN regional_admin_id uuid REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE facility_units
+  ADD COLUMN lead_user_id uuid REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE sla_escalations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  policy text NOT NULL CHECK (policy IN ('assessment_review', 'report_turnaround', 'post_fall_checklist', 'neuro_check')),
+  item_id uuid NOT NULL,
+  started_at timestamptz NOT NULL,
+  stage text NOT NULL CHECK (stage IN ('warning', 'breached', 'assignee', 'unit_lead', 'facility_admin', 'regional_admin')),
+  rule_id text NOT NULL,
+  recipient_ids uuid[] NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (policy, item_id, started_at, stage)
+);
+
+CREATE INDEX sla_escalations_item_idx ON sla_escalations (item_id);
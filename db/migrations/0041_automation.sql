@@ -0,0 +1,75 @@
+CREATE TABLE automation_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  trigger text NOT NULL CHECK (trigger IN (
+    'assessment.completed', 'fall_event.created', 'report.generated', 'queue_item.overdue', 'export.run'
+  )),
+  conditions jsonb NOT NULL DEFAULT '[]'::jsonb,
+  actions jsonb NOT NULL,
+  enabled boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  updated_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX automation_rules_facility_idx ON automation_rules (facility_id, trigger) WHERE enabled;
+
+CREATE TABLE automation_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  rule_id uuid NOT NULL REFERENCES automation_rules(id) ON DELETE CASCADE,
+  trigger text NOT NULL,
+  entity_type text NOT NULL,
+  entity_id uuid NOT NULL,
+  event_key text NOT NULL,
+  context jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL CHECK (status IN ('completed', 'awaiting_approval', 'failed')),
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (rule_id, event_key)
+);
+
+CREATE INDEX automation_runs_facility_idx ON automation_runs (facility_id, created_at DESC);
+CREATE INDEX automation_runs_entity_idx ON automation_runs (entity_id);
+
+CREATE TABLE automation_actions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id uuid NOT NULL REFERENCES automation_runs(id) ON DELETE CASCADE,
+  position integer NOT NULL,
+  action_type text NOT NULL CHECK (action_type IN ('notify', 'create_task', 'assign', 'schedule_rescreen')),
+  params jsonb NOT NULL DEFAULT '{}'::jsonb,
+  entity_type text,
+  entity_id uuid,
+  status text NOT NULL CHECK (status IN ('completed', 'skipped', 'failed', 'pending_approval', 'rejected')),
+  result jsonb,
+  reviewed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (run_id, position)
+);
+
+CREATE INDEX automation_actions_pending_idx ON automation_actions (created_at) WHERE status = 'pending_approval';
+
+CREATE TABLE automation_tasks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  facility_id uuid NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+  run_id uuid NOT NULL REFERENCES automation_runs(id) ON DELETE CASCADE,
+  action_id uuid NOT NULL UNIQUE,
+  resident_id uuid REFERENCES residents(id) ON DELETE CASCADE,
+  entity_type text NOT NULL,
+  entity_id uuid NOT NULL,
+  title text NOT NULL,
+  assignee_ids uuid[] NOT NULL DEFAULT '{}',
+  due_at timestamptz NOT NULL,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed')),
+  completed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  completed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX automation_tasks_open_idx ON automation_tasks (facility_id, due_at) WHERE status = 'open';
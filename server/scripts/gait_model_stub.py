@@ -10,6 +10,7 @@ def main():
     parser.add_argument("--width")
     parser.add_argument("--height")
     parser.add_argument("--assessment-id")
+    parser.add_argument("--protocol")
     args = parser.parse_args()
 
     duration = float(args.duration) if args.duration else None
@@ -21,6 +22,7 @@ def main():
     if duration and duration > 0:
         tug_seconds = max(8.0, min(duration * 0.45, 25.0))
         chair_seconds = max(10.0, min(duration * 0.6, 35.0))
+    gait_seconds = round(tug_seconds * 0.4, 1)
 
     payload = {
         "model_version": "pose_stub_v0",
@@ -29,6 +31,12 @@ def main():
         "balance_side_by_side": True,
         "balance_semi_tandem": True,
         "balance_tandem": False,
+        "gait_distance_meters": 4,
+        "gait_time_seconds": gait_seconds,
+        "stage_side_by_side_seconds": 10.0,
+        "stage_semi_tandem_seconds": 10.0,
+        "stage_tandem_seconds": 6.2,
+        "stage_single_leg_seconds": None,
         "confidence": 0.42,
         "notes": "stub: generated demo scores",
         "video_path": args.video,
@@ -36,6 +44,7 @@ def main():
         "width": width,
         "height": height,
         "assessment_id": args.assessment_id,
+        "protocol": args.protocol,
     }
     print(json.dumps(payload))
 
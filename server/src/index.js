@@ -5,6 +5,7 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import os from "os";
 import crypto from "crypto";
 import archiver from "archiver";
 import YAML from "yamljs";
@@ -32,6 +33,37 @@ const parsedPostFallDays = Number.parseInt(process.env.POST_FALL_FOLLOWUP_DAYS |
 const postFallFollowupDays = Number.isFinite(parsedPostFallDays) && parsedPostFallDays >= 0
   ? parsedPostFallDays
   : 3;
+const parsedNeuroCheckHours = Number.parseInt(process.env.NEURO_CHECK_SCHEDULE_HOURS || "72", 10);
+const neuroCheckScheduleHours = Number.isFinite(parsedNeuroCheckHours) && parsedNeuroCheckHours > 0
+  ? parsedNeuroCheckHours
+  : 72;
+const parsedNeuroCheckGraceMinutes = Number.parseInt(process.env.NEURO_CHECK_GRACE_MINUTES || "10", 10);
+const neuroCheckGraceMinutes = Number.isFinite(parsedNeuroCheckGraceMinutes) && parsedNeuroCheckGraceMinutes >= 0
+  ? parsedNeuroCheckGraceMinutes
+  : 10;
+const parsedInterventionMinSample = Number.parseInt(process.env.INTERVENTION_EFFECT_MIN_SAMPLE || "10", 10);
+const interventionEffectMinSample = Number.isFinite(parsedInterventionMinSample) && parsedInterventionMinSample > 0
+  ? parsedInterventionMinSample
+  : 10;
+// TUG and chair-stand risk cutoffs are set by the clinical owners of the rule set and have no
+// defaults. Until the version and all three cutoffs are configured, no suggested tier is computed.
+const parseRiskCutoff = (value) => {
+  const parsed = Number.parseFloat(value || "");
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+const riskRuleVersion = (process.env.RISK_RULE_VERSION || "").trim() || null;
+const riskCutoffs = {
+  tugSeconds: parseRiskCutoff(process.env.RISK_TUG_SLOW_SECONDS),
+  tugHighSeconds: parseRiskCutoff(process.env.RISK_TUG_HIGH_SECONDS),
+  chairStandSeconds: parseRiskCutoff(process.env.RISK_CHAIR_STAND_SLOW_SECONDS),
+};
+const riskRulesConfigured = Boolean(riskRuleVersion)
+  && Object.values(riskCutoffs).every((value) => value !== null)
+  && riskCutoffs.tugHighSeconds > riskCutoffs.tugSeconds;
+if (!riskRulesConfigured) {
+  console.warn("Risk tier suggestions are disabled: set RISK_RULE_VERSION, RISK_TUG_SLOW_SECONDS, "
+    + "RISK_TUG_HIGH_SECONDS and RISK_CHAIR_STAND_SLOW_SECONDS");
+}
 
 if (!process.env.DATABASE_URL) {
   console.error("DATABASE_URL is required.");
@@ -69,9 +101,19 @@ const rateLimitAuthWindowMinutes = Number.parseInt(process.env.RATE_LIMIT_AUTH_W
 const rateLimitAuthMax = Number.parseInt(process.env.RATE_LIMIT_AUTH_MAX || "50", 10);
 const rateLimitUploadWindowMinutes = Number.parseInt(process.env.RATE_LIMIT_UPLOAD_WINDOW_MINUTES || "60", 10);
 const rateLimitUploadMax = Number.parseInt(process.env.RATE_LIMIT_UPLOAD_MAX || "60", 10);
+const rateLimitSignWindowMinutes = Number.parseInt(process.env.RATE_LIMIT_SIGN_WINDOW_MINUTES || "15", 10);
+const rateLimitSignMax = Number.parseInt(process.env.RATE_LIMIT_SIGN_MAX || "20", 10);
 const trustProxy = parseOptionalBoolean(process.env.TRUST_PROXY).value === true;
 const allowedAssessmentStatuses = new Set(["draft", "needs_review", "in_review", "completed"]);
 const allowedRiskTiers = new Set(["low", "moderate", "high"]);
+const allowedScoreChangeReasons = new Set([
+  "data_entry_error",
+  "video_review",
+  "model_correction",
+  "clinical_judgment",
+  "other",
+]);
+const allowedReportAmendmentTypes = new Set(["amendment", "addendum"]);
 const riskScoreMap = {
   low: 1,
   moderate: 2,
@@ -80,11 +122,22 @@ const riskScoreMap = {
 const allowedSexValues = new Set(["F", "M", "O"]);
 const allowedUserRoles = new Set(["admin", "clinician"]);
 const allowedUserStatuses = new Set(["active", "disabled", "inactive"]);
-const allowedAssessmentProtocols = new Set(["tug_chair_balance", "tug_only", "balance_only"]);
 const allowedCaptureMethods = new Set(["record_upload", "upload_only"]);
 const allowedRolePolicies = new Set(["clinician_admin_only", "admin_only"]);
 const allowedInjurySeverities = new Set(["none", "minor", "moderate", "severe"]);
-const allowedExportTypes = new Set(["residents", "assessments", "audit", "bundle", "post_fall_rollup"]);
+const allowedRcaCategories = new Set(["environment", "medication", "cognition", "footwear", "toileting", "staffing"]);
+const allowedRcaStatuses = new Set(["draft", "completed"]);
+const allowedCorrectiveActionStatuses = new Set(["open", "completed", "cancelled"]);
+const allowedInterventionCategories = new Set(["referral", "equipment", "schedule", "medication", "environment", "other"]);
+const allowedInterventionStatuses = new Set(["recommended", "accepted", "declined", "discontinued"]);
+const allowedExportTypes = new Set([
+  "residents",
+  "assessments",
+  "audit",
+  "bundle",
+  "post_fall_rollup",
+  "intervention_effectiveness",
+]);
 const allowedBundleIncludes = new Set(["residents", "assessments", "audit"]);
 const allowedNotificationStatuses = new Set(["unread", "read"]);
 const allowedScheduleFrequencies = new Set(["daily", "weekly"]);
@@ -92,6 +145,655 @@ const allowedScheduleStatuses = new Set(["active", "paused"]);
 const exportScopeForType = (exportType) => `export:${exportType}`;
 const maxExportTokenHours = 24 * 30;
 const reportTemplateVersion = "v1";
+const reportTemplateSections = ["resident", "scores", "clinician_notes", "narrative", "trend_chart", "fall_history", "video_stills"];
+const requiredReportTemplateSections = ["resident", "scores"];
+const defaultReportTemplateConfig = {
+  title: "StrideSafe Assessment Report",
+  pt_summary_title: "StrideSafe TherapyFlow Summary",
+  header_text: "StrideSafe — a division of Techeze AI",
+  footer_text: null,
+  primary_color: "#0b4a3b",
+  logo_storage_key: null,
+  sections: ["resident", "scores", "clinician_notes", "narrative"],
+};
+const allowedReportLogoTypes = new Set(["image/png", "image/jpeg"]);
+const maxReportLogoBytes = 1024 * 1024;
+const allowedReportLanguages = new Set(["en", "es"]);
+const reportAttestationTexts = {
+  en: "I attest that I performed or directly supervised this assessment and that the scores, "
+    + "risk tier, and notes in this report are accurate and complete to the best of my knowledge.",
+  es: "Certifico que realicé o supervisé directamente esta evaluación y que los puntajes, "
+    + "el nivel de riesgo y las notas de este reporte son exactos y completos a mi leal saber y entender.",
+};
+// Published interpretation bands for the standardized instruments (SPPB, Berg, gait speed, Morse, STEADI).
+const instrumentBands = {
+  sppbHighMaxTotal: 6,
+  sppbModerateMaxTotal: 9,
+  bergHighMaxTotal: 20,
+  bergMediumMaxTotal: 40,
+  gaitSpeedMps: 1.0,
+  gaitSpeedHighRiskMps: 0.6,
+  morseModerateMinTotal: 25,
+  morseHighMinTotal: 45,
+  steadiAtRiskMinTotal: 4,
+};
+
+// Minimal clinically important differences used by resident trends. Balance counts consecutive
+// stages passed (0-3); lower is better for timed tests.
+const scoreTrendMetrics = [
+  { key: "tug_seconds", mcid: 1.4, lowerIsBetter: true },
+  { key: "chair_stand_seconds", mcid: 2.3, lowerIsBetter: true },
+  { key: "balance_stages_passed", mcid: 1, lowerIsBetter: false },
+];
+
+const tugScoreField = {
+  key: "tug_seconds",
+  type: "number",
+  label: { en: "TUG (sec)", es: "TUG (seg)" },
+  unit: "seconds",
+  min: 0,
+  max: 300,
+};
+const chairStandScoreField = {
+  key: "chair_stand_seconds",
+  type: "number",
+  label: { en: "Chair Stand (sec)", es: "Chair Stand (seg)" },
+  unit: "seconds",
+  min: 0,
+  max: 300,
+};
+const balanceScoreFields = [
+  {
+    key: "balance_side_by_side",
+    type: "boolean",
+    label: { en: "Balance side-by-side", es: "Balance lado a lado" },
+  },
+  {
+    key: "balance_semi_tandem",
+    type: "boolean",
+    label: { en: "Balance semi-tandem", es: "Balance semi-tandem" },
+  },
+  {
+    key: "balance_tandem",
+    type: "boolean",
+    label: { en: "Balance tandem", es: "Balance tandem" },
+  },
+];
+
+const sppbBalanceHoldField = (key, label) => ({
+  key,
+  type: "number",
+  label,
+  unit: "seconds",
+  min: 0,
+  max: 10,
+});
+const sppbScoreFields = [
+  sppbBalanceHoldField("sppb_side_by_side_seconds", { en: "SPPB side-by-side hold (sec)", es: "SPPB lado a lado (seg)" }),
+  sppbBalanceHoldField("sppb_semi_tandem_seconds", { en: "SPPB semi-tandem hold (sec)", es: "SPPB semi-tandem (seg)" }),
+  sppbBalanceHoldField("sppb_tandem_seconds", { en: "SPPB tandem hold (sec)", es: "SPPB tandem (seg)" }),
+  {
+    key: "sppb_gait_seconds",
+    type: "number",
+    label: { en: "SPPB 4 m gait (sec)", es: "SPPB marcha 4 m (seg)" },
+    unit: "seconds",
+    min: 1,
+    max: 300,
+    required: false,
+  },
+  {
+    key: "sppb_chair_stand_seconds",
+    type: "number",
+    label: { en: "SPPB 5x chair stand (sec)", es: "SPPB 5 levantadas (seg)" },
+    unit: "seconds",
+    min: 1,
+    max: 300,
+    required: false,
+  },
+];
+const sppbDerivedFields = [
+  { key: "sppb_balance_score", type: "number", label: { en: "SPPB balance score (0-4)", es: "SPPB puntaje de balance (0-4)" } },
+  { key: "sppb_gait_score", type: "number", label: { en: "SPPB gait score (0-4)", es: "SPPB puntaje de marcha (0-4)" } },
+  {
+    key: "sppb_chair_stand_score",
+    type: "number",
+    label: { en: "SPPB chair stand score (0-4)", es: "SPPB puntaje de levantadas (0-4)" },
+  },
+  { key: "sppb_total_score", type: "number", label: { en: "SPPB total score (0-12)", es: "SPPB puntaje total (0-12)" } },
+  {
+    key: "sppb_band",
+    type: "band",
+    label: { en: "SPPB interpretation", es: "Interpretacion SPPB" },
+    options: {
+      severe: { en: "Severe limitation (0-3)", es: "Limitacion severa (0-3)" },
+      moderate: { en: "Moderate limitation (4-6)", es: "Limitacion moderada (4-6)" },
+      mild: { en: "Mild limitation (7-9)", es: "Limitacion leve (7-9)" },
+      minimal: { en: "Minimal limitation (10-12)", es: "Limitacion minima (10-12)" },
+    },
+  },
+];
+
+const gaitSpeedScoreFields = [
+  {
+    key: "gait_distance_meters",
+    type: "number",
+    label: { en: "Gait walk distance (m)", es: "Distancia de marcha (m)" },
+    unit: "meters",
+    allowedValues: [4, 10],
+  },
+  {
+    key: "gait_time_seconds",
+    type: "number",
+    label: { en: "Gait walk time (sec)", es: "Tiempo de marcha (seg)" },
+    unit: "seconds",
+    min: 0.5,
+    max: 300,
+  },
+];
+const gaitSpeedDerivedFields = [
+  { key: "gait_speed_mps", type: "number", label: { en: "Gait speed (m/s)", es: "Velocidad de marcha (m/s)" } },
+  {
+    key: "gait_speed_band",
+    type: "band",
+    label: { en: "Gait speed interpretation", es: "Interpretacion de velocidad de marcha" },
+    options: {
+      high_risk: { en: "Below 0.6 m/s (high fall risk)", es: "Menos de 0.6 m/s (riesgo alto)" },
+      increased_risk: { en: "0.6-0.99 m/s (increased fall risk)", es: "0.6-0.99 m/s (riesgo aumentado)" },
+      typical: { en: "1.0 m/s or faster", es: "1.0 m/s o mas" },
+    },
+  },
+];
+
+const deriveGaitSpeedScores = (scores) => {
+  if (!scores.gait_distance_meters || !scores.gait_time_seconds) {
+    return { gait_speed_mps: null, gait_speed_band: null };
+  }
+  const speed = Math.round((scores.gait_distance_meters / scores.gait_time_seconds) * 100) / 100;
+  let band = "typical";
+  if (speed < instrumentBands.gaitSpeedHighRiskMps) {
+    band = "high_risk";
+  } else if (speed < instrumentBands.gaitSpeedMps) {
+    band = "increased_risk";
+  }
+  return { gait_speed_mps: speed, gait_speed_band: band };
+};
+
+const gaitSpeedRiskFindings = (scores) => {
+  const { gait_speed_band: band } = deriveGaitSpeedScores(scores);
+  if (band === "high_risk") {
+    return [{ code: "gait_speed_very_slow", severe: true }];
+  }
+  if (band === "increased_risk") {
+    return [{ code: "gait_speed_slow", severe: false }];
+  }
+  return [];
+};
+
+const balanceStageField = (key, en, es, required) => ({
+  key,
+  type: "number",
+  label: { en, es },
+  unit: "seconds",
+  min: 0,
+  max: 10,
+  required,
+});
+const fourStageBalanceScoreFields = [
+  balanceStageField("stage_side_by_side_seconds", "Stage 1 side-by-side hold (sec)", "Etapa 1 lado a lado (seg)", true),
+  balanceStageField("stage_semi_tandem_seconds", "Stage 2 semi-tandem hold (sec)", "Etapa 2 semi-tandem (seg)", false),
+  balanceStageField("stage_tandem_seconds", "Stage 3 tandem hold (sec)", "Etapa 3 tandem (seg)", false),
+  balanceStageField("stage_single_leg_seconds", "Stage 4 single-leg hold (sec)", "Etapa 4 una pierna (seg)", false),
+];
+const fourStageBalanceDerivedFields = [
+  {
+    key: "four_stage_highest_stage",
+    type: "number",
+    label: { en: "Highest stage held 10 sec (0-4)", es: "Etapa mas alta sostenida 10 seg (0-4)" },
+  },
+  {
+    key: "four_stage_band",
+    type: "band",
+    label: { en: "4-stage balance interpretation", es: "Interpretacion de balance de 4 etapas" },
+    options: {
+      high_risk: { en: "Could not hold semi-tandem 10 sec", es: "No sostuvo semi-tandem 10 seg" },
+      increased_risk: { en: "Could not hold tandem 10 sec", es: "No sostuvo tandem 10 seg" },
+      typical: { en: "Held tandem 10 sec", es: "Sostuvo tandem 10 seg" },
+    },
+  },
+];
+
+const deriveFourStageBalanceScores = (scores) => {
+  const stages = fourStageBalanceScoreFields.map((field) => scores[field.key]);
+  let highest = 0;
+  while (highest < stages.length && stages[highest] >= 10) {
+    highest += 1;
+  }
+  let band = "typical";
+  if (highest < 2) {
+    band = "high_risk";
+  } else if (highest < 3) {
+    band = "increased_risk";
+  }
+  return { four_stage_highest_stage: highest, four_stage_band: band };
+};
+
+const fourStageBalanceRiskFindings = (scores) => {
+  const { four_stage_band: band } = deriveFourStageBalanceScores(scores);
+  if (band === "high_risk") {
+    return [{ code: "four_stage_semi_tandem_under_10s", severe: true }];
+  }
+  if (band === "increased_risk") {
+    return [{ code: "four_stage_tandem_under_10s", severe: false }];
+  }
+  return [];
+};
+
+const bergItemField = (key, en, es) => ({
+  key,
+  type: "number",
+  integer: true,
+  label: { en: `Berg: ${en}`, es: `Berg: ${es}` },
+  min: 0,
+  max: 4,
+});
+const bergScoreFields = [
+  bergItemField("berg_sit_to_stand", "Sitting to standing", "Sentado a de pie"),
+  bergItemField("berg_standing_unsupported", "Standing unsupported", "De pie sin apoyo"),
+  bergItemField("berg_sitting_unsupported", "Sitting unsupported", "Sentado sin apoyo"),
+  bergItemField("berg_stand_to_sit", "Standing to sitting", "De pie a sentado"),
+  bergItemField("berg_transfers", "Transfers", "Transferencias"),
+  bergItemField("berg_eyes_closed", "Standing with eyes closed", "De pie con ojos cerrados"),
+  bergItemField("berg_feet_together", "Standing with feet together", "De pie con pies juntos"),
+  bergItemField("berg_reach_forward", "Reaching forward with outstretched arm", "Alcance hacia adelante con brazo extendido"),
+  bergItemField("berg_pick_up_object", "Retrieving object from floor", "Recoger objeto del suelo"),
+  bergItemField("berg_look_behind", "Turning to look behind", "Girar para mirar atras"),
+  bergItemField("berg_turn_360", "Turning 360 degrees", "Giro de 360 grados"),
+  bergItemField("berg_alternate_foot_stool", "Placing alternate foot on stool", "Pie alterno en escalon"),
+  bergItemField("berg_tandem_stance", "Standing with one foot in front", "De pie con un pie delante"),
+  bergItemField("berg_single_leg_stance", "Standing on one leg", "De pie en una pierna"),
+];
+const bergDerivedFields = [
+  { key: "berg_total_score", type: "number", label: { en: "Berg total score (0-56)", es: "Berg puntaje total (0-56)" } },
+  {
+    key: "berg_band",
+    type: "band",
+    label: { en: "Berg fall risk", es: "Berg riesgo de caida" },
+    options: {
+      high: { en: "High fall risk (0-20)", es: "Riesgo alto de caida (0-20)" },
+      medium: { en: "Medium fall risk (21-40)", es: "Riesgo medio de caida (21-40)" },
+      low: { en: "Low fall risk (41-56)", es: "Riesgo bajo de caida (41-56)" },
+    },
+  },
+];
+
+const deriveBergScores = (scores) => {
+  const total = bergScoreFields.reduce((sum, field) => sum + (scores[field.key] || 0), 0);
+  let band = "low";
+  if (total <= instrumentBands.bergHighMaxTotal) {
+    band = "high";
+  } else if (total <= instrumentBands.bergMediumMaxTotal) {
+    band = "medium";
+  }
+  return { berg_total_score: total, berg_band: band };
+};
+
+const bergRiskFindings = (scores) => {
+  const { berg_band: band } = deriveBergScores(scores);
+  if (band === "high") {
+    return [{ code: "berg_high_risk", severe: true }];
+  }
+  if (band === "medium") {
+    return [{ code: "berg_medium_risk", severe: false }];
+  }
+  return [];
+};
+
+const scoreSppbBalance = (scores) => {
+  if (!(scores.sppb_side_by_side_seconds >= 10)) {
+    return 0;
+  }
+  if (!(scores.sppb_semi_tandem_seconds >= 10)) {
+    return 1;
+  }
+  if (scores.sppb_tandem_seconds >= 10) {
+    return 4;
+  }
+  return scores.sppb_tandem_seconds >= 3 ? 3 : 2;
+};
+
+const scoreSppbGait = (seconds) => {
+  if (seconds === null || seconds === undefined) {
+    return 0;
+  }
+  if (seconds > 8.7) {
+    return 1;
+  }
+  if (seconds >= 6.21) {
+    return 2;
+  }
+  return seconds >= 4.82 ? 3 : 4;
+};
+
+const scoreSppbChairStand = (seconds) => {
+  if (seconds === null || seconds === undefined || seconds > 60) {
+    return 0;
+  }
+  if (seconds >= 16.7) {
+    return 1;
+  }
+  if (seconds >= 13.7) {
+    return 2;
+  }
+  return seconds >= 11.2 ? 3 : 4;
+};
+
+const deriveSppbScores = (scores) => {
+  const balance = scoreSppbBalance(scores);
+  const gait = scoreSppbGait(scores.sppb_gait_seconds);
+  const chair = scoreSppbChairStand(scores.sppb_chair_stand_seconds);
+  const total = balance + gait + chair;
+  let band = "minimal";
+  if (total <= 3) {
+    band = "severe";
+  } else if (total <= 6) {
+    band = "moderate";
+  } else if (total <= 9) {
+    band = "mild";
+  }
+  return {
+    sppb_balance_score: balance,
+    sppb_gait_score: gait,
+    sppb_chair_stand_score: chair,
+    sppb_total_score: total,
+    sppb_band: band,
+  };
+};
+
+const sppbRiskFindings = (scores) => {
+  const { sppb_total_score: total } = deriveSppbScores(scores);
+  if (total <= instrumentBands.sppbHighMaxTotal) {
+    return [{ code: "sppb_total_low", severe: true }];
+  }
+  if (total <= instrumentBands.sppbModerateMaxTotal) {
+    return [{ code: "sppb_total_reduced", severe: false }];
+  }
+  return [];
+};
+
+const tugRiskFindings = (scores) => {
+  if (scores.tug_seconds >= riskCutoffs.tugHighSeconds) {
+    return [{ code: "tug_high", severe: true }];
+  }
+  if (scores.tug_seconds >= riskCutoffs.tugSeconds) {
+    return [{ code: "tug_slow", severe: false }];
+  }
+  return [];
+};
+
+const chairStandRiskFindings = (scores) => (
+  scores.chair_stand_seconds >= riskCutoffs.chairStandSeconds
+    ? [{ code: "chair_stand_slow", severe: false }]
+    : []
+);
+
+const balanceRiskFindings = (scores) => {
+  if (scores.balance_side_by_side === false) {
+    return [{ code: "balance_side_by_side_failed", severe: true }];
+  }
+  if (scores.balance_semi_tandem === false) {
+    return [{ code: "balance_semi_tandem_failed", severe: true }];
+  }
+  if (scores.balance_tandem === false) {
+    return [{ code: "balance_tandem_failed", severe: false }];
+  }
+  return [];
+};
+
+// Questionnaire fields are answered by nursing staff; choice answers store their point value.
+const choiceField = (key, en, es, choices) => ({
+  key,
+  type: "number",
+  label: { en, es },
+  choices: choices.map(([value, choiceEn, choiceEs]) => ({ value, label: { en: choiceEn, es: choiceEs } })),
+  allowedValues: choices.map(([value]) => value),
+});
+const morseScoreFields = [
+  choiceField("morse_history_of_falling", "History of falling (last 3 months)", "Historial de caidas (ultimos 3 meses)", [
+    [0, "No", "No"],
+    [25, "Yes", "Si"],
+  ]),
+  choiceField("morse_secondary_diagnosis", "Secondary diagnosis", "Diagnostico secundario", [
+    [0, "No", "No"],
+    [15, "Yes", "Si"],
+  ]),
+  choiceField("morse_ambulatory_aid", "Ambulatory aid", "Ayuda para caminar", [
+    [0, "None, bed rest or nurse assist", "Ninguna, reposo o asistencia de enfermeria"],
+    [15, "Crutches, cane or walker", "Muletas, baston o andadera"],
+    [30, "Furniture", "Muebles"],
+  ]),
+  choiceField("morse_iv_access", "IV or heparin lock", "Via IV o heparina", [
+    [0, "No", "No"],
+    [20, "Yes", "Si"],
+  ]),
+  choiceField("morse_gait", "Gait", "Marcha", [
+    [0, "Normal, bed rest or wheelchair", "Normal, reposo o silla de ruedas"],
+    [10, "Weak", "Debil"],
+    [20, "Impaired", "Alterada"],
+  ]),
+  choiceField("morse_mental_status", "Mental status", "Estado mental", [
+    [0, "Oriented to own ability", "Orientado a su capacidad"],
+    [15, "Overestimates or forgets limitations", "Sobreestima u olvida sus limitaciones"],
+  ]),
+];
+const morseDerivedFields = [
+  { key: "morse_total_score", type: "number", label: { en: "Morse total (0-125)", es: "Total Morse (0-125)" } },
+  {
+    key: "morse_band",
+    type: "band",
+    label: { en: "Morse risk level", es: "Nivel de riesgo Morse" },
+    options: {
+      high: { en: "High risk (45+)", es: "Riesgo alto (45+)" },
+      moderate: { en: "Moderate risk (25-44)", es: "Riesgo moderado (25-44)" },
+      low: { en: "Low risk (0-24)", es: "Riesgo bajo (0-24)" },
+    },
+  },
+];
+
+const deriveMorseScores = (scores) => {
+  const total = morseScoreFields.reduce((sum, field) => sum + (scores[field.key] || 0), 0);
+  let band = "low";
+  if (total >= instrumentBands.morseHighMinTotal) {
+    band = "high";
+  } else if (total >= instrumentBands.morseModerateMinTotal) {
+    band = "moderate";
+  }
+  return { morse_total_score: total, morse_band: band };
+};
+
+const morseRiskFindings = (scores) => {
+  const { morse_band: band } = deriveMorseScores(scores);
+  if (band === "high") {
+    return [{ code: "morse_high_risk", severe: true }];
+  }
+  if (band === "moderate") {
+    return [{ code: "morse_moderate_risk", severe: false }];
+  }
+  return [];
+};
+
+const steadiQuestionField = (key, points, en, es) => ({
+  key,
+  type: "boolean",
+  format: "yes_no",
+  points,
+  label: { en, es },
+});
+const steadiScoreFields = [
+  steadiQuestionField("steadi_fallen_past_year", 2, "I have fallen in the past year", "Me he caido en el ultimo ano"),
+  steadiQuestionField("steadi_advised_walking_aid", 2, "I use or have been advised to use a cane or walker", "Uso o me han recomendado baston o andadera"),
+  steadiQuestionField("steadi_unsteady_walking", 1, "Sometimes I feel unsteady when I am walking", "A veces me siento inestable al caminar"),
+  steadiQuestionField("steadi_holds_furniture", 1, "I steady myself by holding onto furniture when walking at home", "Me sostengo de los muebles al caminar en casa"),
+  steadiQuestionField("steadi_worried_falling", 1, "I am worried about falling", "Me preocupa caerme"),
+  steadiQuestionField("steadi_pushes_to_stand", 1, "I need to push with my hands to stand up from a chair", "Necesito empujarme con las manos para levantarme de una silla"),
+  steadiQuestionField("steadi_curb_trouble", 1, "I have some trouble stepping up onto a curb", "Me cuesta subir a la banqueta"),
+  steadiQuestionField("steadi_rushes_toilet", 1, "I often have to rush to the toilet", "A menudo tengo que ir de prisa al bano"),
+  steadiQuestionField("steadi_lost_feeling_feet", 1, "I have lost some feeling in my feet", "He perdido sensibilidad en los pies"),
+  steadiQuestionField("steadi_medicine_lightheaded", 1, "I take medicine that sometimes makes me feel light-headed or more tired", "Tomo medicina que a veces me marea o me cansa"),
+  steadiQuestionField("steadi_medicine_sleep_mood", 1, "I take medicine to help me sleep or improve my mood", "Tomo medicina para dormir o mejorar mi animo"),
+  steadiQuestionField("steadi_feels_sad", 1, "I often feel sad or depressed", "A menudo me siento triste o deprimido"),
+];
+const steadiDerivedFields = [
+  { key: "steadi_total_score", type: "number", label: { en: "Stay Independent total (0-14)", es: "Total Mantente Independiente (0-14)" } },
+  {
+    key: "steadi_band",
+    type: "band",
+    label: { en: "Stay Independent result", es: "Resultado Mantente Independiente" },
+    options: {
+      at_risk: { en: "At risk for falling (4+)", es: "En riesgo de caida (4+)" },
+      not_at_risk: { en: "Below risk threshold (0-3)", es: "Debajo del umbral de riesgo (0-3)" },
+    },
+  },
+];
+
+const deriveSteadiScores = (scores) => {
+  const total = steadiScoreFields.reduce((sum, field) => sum + (scores[field.key] === true ? field.points : 0), 0);
+  return {
+    steadi_total_score: total,
+    steadi_band: total >= instrumentBands.steadiAtRiskMinTotal ? "at_risk" : "not_at_risk",
+  };
+};
+
+const steadiRiskFindings = (scores) => (
+  deriveSteadiScores(scores).steadi_band === "at_risk"
+    ? [{ code: "steadi_at_risk", severe: false }]
+    : []
+);
+
+// Protocol registry: every screening protocol declares its score fields (type, range, required, labels)
+// and its risk findings. Validation, PDFs, CSV exports and the portal all read from here.
+const defaultAssessmentProtocol = "tug_chair_balance";
+const assessmentProtocols = [
+  {
+    id: "tug_chair_balance",
+    label: { en: "TUG + Chair Stand + Balance", es: "TUG + Chair Stand + Balance" },
+    fields: [tugScoreField, chairStandScoreField, ...balanceScoreFields],
+    riskFindings: (scores) => [
+      ...tugRiskFindings(scores),
+      ...chairStandRiskFindings(scores),
+      ...balanceRiskFindings(scores),
+    ],
+  },
+  {
+    id: "tug_only",
+    label: { en: "TUG only", es: "Solo TUG" },
+    fields: [tugScoreField],
+    riskFindings: tugRiskFindings,
+  },
+  {
+    id: "balance_only",
+    label: { en: "Balance only", es: "Solo balance" },
+    fields: balanceScoreFields,
+    riskFindings: balanceRiskFindings,
+  },
+  {
+    id: "sppb",
+    label: { en: "SPPB (Short Physical Performance Battery)", es: "SPPB (bateria corta de desempeno fisico)" },
+    fields: sppbScoreFields,
+    derivedFields: sppbDerivedFields,
+    deriveScores: deriveSppbScores,
+    riskFindings: sppbRiskFindings,
+  },
+  {
+    id: "berg",
+    label: { en: "Berg Balance Scale", es: "Escala de equilibrio de Berg" },
+    fields: bergScoreFields,
+    derivedFields: bergDerivedFields,
+    deriveScores: deriveBergScores,
+    riskFindings: bergRiskFindings,
+  },
+  {
+    id: "gait_speed",
+    label: { en: "Gait speed (4 m / 10 m)", es: "Velocidad de marcha (4 m / 10 m)" },
+    fields: gaitSpeedScoreFields,
+    derivedFields: gaitSpeedDerivedFields,
+    deriveScores: deriveGaitSpeedScores,
+    riskFindings: gaitSpeedRiskFindings,
+  },
+  {
+    id: "four_stage_balance",
+    label: { en: "4-stage balance test", es: "Prueba de balance de 4 etapas" },
+    fields: fourStageBalanceScoreFields,
+    derivedFields: fourStageBalanceDerivedFields,
+    deriveScores: deriveFourStageBalanceScores,
+    riskFindings: fourStageBalanceRiskFindings,
+  },
+  {
+    id: "morse_fall_scale",
+    kind: "questionnaire",
+    label: { en: "Morse Fall Scale", es: "Escala de caidas de Morse" },
+    fields: morseScoreFields,
+    derivedFields: morseDerivedFields,
+    deriveScores: deriveMorseScores,
+    riskFindings: morseRiskFindings,
+  },
+  {
+    id: "steadi_stay_independent",
+    kind: "questionnaire",
+    label: { en: "STEADI Stay Independent", es: "STEADI Mantente Independiente" },
+    fields: steadiScoreFields,
+    derivedFields: steadiDerivedFields,
+    deriveScores: deriveSteadiScores,
+    riskFindings: steadiRiskFindings,
+  },
+];
+const assessmentProtocolRegistry = new Map(assessmentProtocols.map((protocol) => [protocol.id, protocol]));
+const allowedAssessmentProtocols = new Set(assessmentProtocolRegistry.keys());
+const allScoreFields = Array.from(
+  new Map(assessmentProtocols.flatMap((protocol) => protocol.fields).map((field) => [field.key, field])).values()
+);
+const allDerivedScoreFields = assessmentProtocols.flatMap((protocol) => protocol.derivedFields || []);
+// Fields stored in dedicated assessment_scores columns; everything else lives in protocol_data.
+const scoreColumnKeys = new Set([
+  "tug_seconds",
+  "chair_stand_seconds",
+  "balance_side_by_side",
+  "balance_semi_tandem",
+  "balance_tandem",
+]);
+
+const getProtocolDefinition = (protocol) => (
+  assessmentProtocolRegistry.get(protocol) || assessmentProtocolRegistry.get(defaultAssessmentProtocol)
+);
+
+const isScoreFieldRequired = (field) => field.required !== false;
+
+const isQuestionnaireProtocol = (definition) => definition.kind === "questionnaire";
+
+const serializeProtocolDefinition = (protocol) => ({
+  id: protocol.id,
+  label: protocol.label,
+  kind: protocol.kind || "performance",
+  requires_video: !isQuestionnaireProtocol(protocol),
+  default: protocol.id === defaultAssessmentProtocol,
+  fields: protocol.fields.map((field) => ({
+    key: field.key,
+    type: field.type,
+    label: field.label,
+    unit: field.unit || null,
+    min: field.min ?? null,
+    max: field.max ?? null,
+    integer: field.integer === true,
+    allowed_values: field.allowedValues || null,
+    choices: field.choices || null,
+    required: isScoreFieldRequired(field),
+  })),
+  derived_fields: (protocol.derivedFields || []).map((field) => ({
+    key: field.key,
+    type: field.type,
+    label: field.label,
+    options: field.options || null,
+  })),
+});
 const assessmentStatusTransitions = {
   draft: new Set(["needs_review", "completed"]),
   needs_review: new Set(["in_review", "completed"]),
@@ -170,138 +872,654 @@ const isQaComplete = (steps, checks, escalated) => {
 };
 
 const extractModelScores = (model) => {
-  const tug = Number.isFinite(model?.tug_seconds) ? model.tug_seconds : null;
-  const chair = Number.isFinite(model?.chair_stand_seconds) ? model.chair_stand_seconds : null;
-  const side = typeof model?.balance_side_by_side === "boolean" ? model.balance_side_by_side : null;
-  const semi = typeof model?.balance_semi_tandem === "boolean" ? model.balance_semi_tandem : null;
-  const tandem = typeof model?.balance_tandem === "boolean" ? model.balance_tandem : null;
-  return { tug, chair, side, semi, tandem };
+  const scores = {};
+  allScoreFields.forEach((field) => {
+    const value = model?.[field.key];
+    if (field.type === "number") {
+      scores[field.key] = Number.isFinite(value) ? value : null;
+    } else {
+      scores[field.key] = typeof value === "boolean" ? value : null;
+    }
+  });
+  return scores;
+};
+
+const extractModelScoreOutputs = (model) => {
+  const scores = extractModelScores(model);
+  return Object.fromEntries(
+    Object.entries(scores).filter(([key, value]) => !scoreColumnKeys.has(key) && value !== null)
+  );
 };
 
+const findMissingScoreFields = (definition, scores) => definition.fields
+  .filter((field) => isScoreFieldRequired(field) && (scores[field.key] === null || scores[field.key] === undefined))
+  .map((field) => field.key);
+
+const findOutOfRangeScoreFields = (definition, scores) => definition.fields
+  .filter((field) => {
+    const value = scores[field.key];
+    if (field.type !== "number" || value === null || value === undefined) {
+      return false;
+    }
+    if (field.allowedValues && !field.allowedValues.includes(value)) {
+      return true;
+    }
+    return (field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max);
+  });
+
+const describeScoreRange = (field) => (
+  field.allowedValues ? field.allowedValues.join(" or ") : `${field.min}-${field.max}`
+);
+
 const canApplyModelScores = (protocol, scores) => {
   if (!scores) {
     return false;
   }
-  const missing = [];
-  const requireNumber = (value, label) => {
-    if (value === null || value === undefined) {
-      missing.push(label);
+  const definition = getProtocolDefinition(protocol);
+  return findMissingScoreFields(definition, scores).length === 0
+    && findOutOfRangeScoreFields(definition, scores).length === 0;
+};
+
+const parseScorePayload = (definition, payload) => {
+  const values = {};
+  let invalid = false;
+  definition.fields.forEach((field) => {
+    const parsed = field.type === "number"
+      ? parseOptionalNumber(payload[field.key])
+      : parseOptionalBoolean(payload[field.key]);
+    if (parsed.error || (field.integer && parsed.value !== null && !Number.isInteger(parsed.value))) {
+      invalid = true;
+    }
+    values[field.key] = parsed.value;
+  });
+  return { values, invalid };
+};
+
+// Every score write is kept as an append-only revision (old/new snapshot, source, reason).
+// Returns the revision, or null when nothing changed or existing scores were left in place.
+const writeAssessmentScores = async ({
+  assessmentId,
+  protocol,
+  scores,
+  scoreNotes = null,
+  overwrite = false,
+  source = "manual",
+  gaitModelRunId = null,
+  reasonCode = null,
+  reasonNote = null,
+  changedBy = null,
+}) => {
+  const definition = getProtocolDefinition(protocol);
+  const columns = {};
+  scoreColumnKeys.forEach((key) => {
+    columns[key] = null;
+  });
+  const protocolData = {};
+  definition.fields.forEach((field) => {
+    const value = scores[field.key] ?? null;
+    if (scoreColumnKeys.has(field.key)) {
+      columns[field.key] = value;
+    } else {
+      protocolData[field.key] = value;
     }
-  };
-  const requireBool = (value, label) => {
-    if (value === null || value === undefined) {
-      missing.push(label);
+  });
+  if (definition.deriveScores) {
+    Object.assign(protocolData, definition.deriveScores(scores));
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: existingRows } = await client.query(
+      `SELECT a.status, a.locked_at, s.assessment_id AS scored_assessment_id,
+              s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+              s.protocol_data, s.score_notes
+       FROM assessments a
+       LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+       WHERE a.id = $1
+       FOR UPDATE OF a`,
+      [assessmentId]
+    );
+    const current = existingRows[0];
+    const existing = current?.scored_assessment_id ? current : null;
+    const previousScores = existing ? buildScoreSnapshot(existing) : null;
+    const newScores = buildScoreSnapshot({ ...columns, protocol_data: protocolData, score_notes: scoreNotes });
+    const changedFields = diffScoreSnapshots(previousScores || {}, newScores);
+    if (!current || (existing && (!overwrite || !changedFields.length))) {
+      await client.query("ROLLBACK");
+      return null;
     }
-  };
-  if (protocol === "tug_chair_balance") {
-    requireNumber(scores.tug, "tug_seconds");
-    requireNumber(scores.chair, "chair_stand_seconds");
-    requireBool(scores.side, "balance_side_by_side");
-    requireBool(scores.semi, "balance_semi_tandem");
-    requireBool(scores.tandem, "balance_tandem");
-  } else if (protocol === "tug_only") {
-    requireNumber(scores.tug, "tug_seconds");
-  } else if (protocol === "balance_only") {
-    requireBool(scores.side, "balance_side_by_side");
-    requireBool(scores.semi, "balance_semi_tandem");
-    requireBool(scores.tandem, "balance_tandem");
-  }
-  const inRange = (value) => value === null || (value >= 0 && value <= 300);
-  if (!inRange(scores.tug) || !inRange(scores.chair)) {
-    return false;
+    if (current.locked_at) {
+      throw Object.assign(new Error("Assessment is signed and locked"), { status: 409 });
+    }
+    if (source === "manual" && current.status === "completed" && !reasonCode) {
+      throw Object.assign(
+        new Error("score_change_reason is required to change scores on a completed assessment"),
+        { status: 400 }
+      );
+    }
+
+    await client.query(
+      `INSERT INTO assessment_scores (
+        assessment_id, tug_seconds, chair_stand_seconds, balance_side_by_side,
+        balance_semi_tandem, balance_tandem, protocol_data, score_notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (assessment_id) DO UPDATE SET
+        tug_seconds = EXCLUDED.tug_seconds,
+        chair_stand_seconds = EXCLUDED.chair_stand_seconds,
+        balance_side_by_side = EXCLUDED.balance_side_by_side,
+        balance_semi_tandem = EXCLUDED.balance_semi_tandem,
+        balance_tandem = EXCLUDED.balance_tandem,
+        protocol_data = EXCLUDED.protocol_data,
+        score_notes = EXCLUDED.score_notes`,
+      [
+        assessmentId,
+        columns.tug_seconds,
+        columns.chair_stand_seconds,
+        columns.balance_side_by_side,
+        columns.balance_semi_tandem,
+        columns.balance_tandem,
+        JSON.stringify(protocolData),
+        scoreNotes,
+      ]
+    );
+    const { rows: revisionRows } = await client.query(
+      `INSERT INTO assessment_score_revisions (
+        assessment_id, revision_number, source, gait_model_run_id, previous_scores, new_scores,
+        changed_fields, reason_code, reason_note, changed_by
+      )
+      SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9
+      FROM assessment_score_revisions
+      WHERE assessment_id = $1
+      RETURNING id, revision_number, source, changed_fields, created_at`,
+      [
+        assessmentId,
+        source,
+        gaitModelRunId,
+        previousScores ? JSON.stringify(previousScores) : null,
+        JSON.stringify(newScores),
+        JSON.stringify(changedFields),
+        reasonCode,
+        reasonNote,
+        changedBy,
+      ]
+    );
+    await client.query("COMMIT");
+    return revisionRows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
   }
-  return missing.length === 0;
 };
 
-const upsertModelScores = async ({ assessmentId, protocol, model }) => {
+// Model output fills empty scores and refreshes earlier model scores, but never replaces manual
+// entries or touches a completed or signed assessment; skipped runs are audited instead.
+const upsertModelScores = async ({ assessmentId, protocol, model, gaitModelRunId = null }) => {
   if (!assessmentId) {
     return false;
   }
   const scores = extractModelScores(model);
-  const effectiveProtocol = protocol || "tug_chair_balance";
+  const effectiveProtocol = protocol || defaultAssessmentProtocol;
   if (!canApplyModelScores(effectiveProtocol, scores)) {
     return false;
   }
-  await pool.query(
-    `INSERT INTO assessment_scores (
-      assessment_id, tug_seconds, chair_stand_seconds, balance_side_by_side,
-      balance_semi_tandem, balance_tandem, score_notes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-    ON CONFLICT (assessment_id) DO NOTHING`,
-    [
-      assessmentId,
-      scores.tug,
-      scores.chair,
-      scores.side,
-      scores.semi,
-      scores.tandem,
-      null,
-    ]
+  const { rows } = await pool.query(
+    `SELECT a.status, a.locked_at, s.assessment_id AS scored_assessment_id,
+            (SELECT source FROM assessment_score_revisions
+             WHERE assessment_id = a.id
+             ORDER BY revision_number DESC
+             LIMIT 1) AS last_source
+     FROM assessments a
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.id = $1`,
+    [assessmentId]
   );
+  const current = rows[0];
+  if (!current) {
+    return false;
+  }
+  if (current.locked_at) {
+    await audit(null, "gait_model.scores_skipped", "assessment", assessmentId, {
+      gait_model_run_id: gaitModelRunId,
+      reason: "assessment_signed",
+    });
+    return false;
+  }
+  const canReplace = current.status !== "completed" && current.last_source === "gait_model";
+  if (current.scored_assessment_id && !canReplace) {
+    await audit(null, "gait_model.scores_skipped", "assessment", assessmentId, {
+      gait_model_run_id: gaitModelRunId,
+      reason: current.status === "completed" ? "assessment_completed" : "manual_scores_present",
+    });
+    return false;
+  }
+  const revision = await writeAssessmentScores({
+    assessmentId,
+    protocol: effectiveProtocol,
+    scores,
+    overwrite: canReplace,
+    source: "gait_model",
+    gaitModelRunId,
+  });
+  if (!revision) {
+    return false;
+  }
+  await refreshSuggestedRiskTier(assessmentId);
   return true;
 };
 
+const buildScoreSnapshot = (row) => {
+  const values = {
+    ...extractStoredScores(row),
+    ...extractDerivedScores(row),
+    score_notes: row.score_notes ?? null,
+  };
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+};
+
+const diffScoreSnapshots = (previous, next) => {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...keys].filter((key) => JSON.stringify(previous[key] ?? null) !== JSON.stringify(next[key] ?? null));
+};
+
 const extractStoredScores = (scores) => {
   if (!scores) {
     return null;
   }
-  const parseNumber = (value) => {
-    const parsed = Number(value);
-    return Number.isFinite(parsed) ? parsed : null;
-  };
-  return {
-    tug: parseNumber(scores.tug_seconds),
-    chair: parseNumber(scores.chair_stand_seconds),
-    side: typeof scores.balance_side_by_side === "boolean" ? scores.balance_side_by_side : null,
-    semi: typeof scores.balance_semi_tandem === "boolean" ? scores.balance_semi_tandem : null,
-    tandem: typeof scores.balance_tandem === "boolean" ? scores.balance_tandem : null,
-  };
-};
-const taskPollIntervalSeconds = Number.parseInt(process.env.TASK_POLL_INTERVAL_SECONDS || "60", 10);
-const taskRetryMinutes = Number.parseInt(process.env.TASK_RETRY_MINUTES || "5", 10);
-const notificationScanHour = Number.parseInt(process.env.NOTIFICATION_SCAN_HOUR || "7", 10);
-const notificationScanMinute = Number.parseInt(process.env.NOTIFICATION_SCAN_MINUTE || "0", 10);
-const corsOptions = {
-  origin: (origin, callback) => {
-    if (!origin || corsOrigins.length === 0) {
-      callback(null, true);
-      return;
+  const protocolData = scores.protocol_data && typeof scores.protocol_data === "object" ? scores.protocol_data : {};
+  const result = {};
+  allScoreFields.forEach((field) => {
+    const value = scoreColumnKeys.has(field.key) ? scores[field.key] : protocolData[field.key];
+    if (field.type === "number") {
+      const parsed = value === null || value === undefined || value === "" ? null : Number(value);
+      result[field.key] = Number.isFinite(parsed) ? parsed : null;
+    } else {
+      result[field.key] = typeof value === "boolean" ? value : null;
     }
-    callback(null, corsOrigins.includes(origin));
-  },
-  credentials: true,
+  });
+  return result;
 };
 
-const normalizeString = (value) => (typeof value === "string" ? value.trim() : "");
-const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-const isUuid = (value) => uuidRegex.test(value);
-const toNullableString = (value) => {
-  if (value === null || value === undefined) {
+const formatScoreRow = (row) => {
+  if (!row) {
     return null;
   }
-  if (typeof value !== "string") {
-    return null;
-  }
-  const trimmed = value.trim();
-  return trimmed.length ? trimmed : null;
+  const { protocol_data: protocolData, ...columns } = row;
+  return { ...columns, ...(protocolData || {}) };
 };
-const parseDateOnly = (value) => {
-  if (typeof value !== "string") {
-    return null;
+
+const extractDerivedScores = (scores) => {
+  const protocolData = scores?.protocol_data && typeof scores.protocol_data === "object" ? scores.protocol_data : {};
+  const result = {};
+  allDerivedScoreFields.forEach((field) => {
+    result[field.key] = protocolData[field.key] ?? null;
+  });
+  return result;
+};
+
+const booleanScoreLabels = {
+  en: { yes: "Yes", no: "No", pass: "Pass", fail: "Fail" },
+  es: { yes: "Sí", no: "No", pass: "Aprobado", fail: "No aprobado" },
+};
+
+const formatScoreValue = (field, value, language = "en") => {
+  if (value === null || value === undefined) {
+    return "-";
   }
-  const trimmed = value.trim();
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
-    return null;
+  if (field.type === "boolean") {
+    const labels = booleanScoreLabels[language];
+    if (field.format === "yes_no") {
+      return value ? labels.yes : labels.no;
+    }
+    return value ? labels.pass : labels.fail;
   }
-  const parsed = new Date(`${trimmed}T00:00:00`);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
+  if (field.choices) {
+    const choice = field.choices.find((item) => item.value === value);
+    return choice ? `${choice.label[language]} (${value})` : String(value);
+  }
+  if (field.options) {
+    return field.options[value]?.[language] || String(value);
+  }
+  return String(value);
 };
-const formatDateOnly = (date) => date.toISOString().slice(0, 10);
-const parseDateTime = (value) => {
-  if (typeof value !== "string") {
+
+const computeSuggestedRiskTier = (protocol, scores) => {
+  const definition = getProtocolDefinition(protocol);
+  if (!riskRulesConfigured || !canApplyModelScores(definition.id, scores)) {
     return null;
   }
-  const parsed = new Date(value);
+  const findings = definition.riskFindings ? definition.riskFindings(scores) : [];
+  const severe = findings.some((finding) => finding.severe);
+  let tier = "low";
+  if (severe || findings.length >= 2) {
+    tier = "high";
+  } else if (findings.length === 1) {
+    tier = "moderate";
+  }
+  return { tier, version: riskRuleVersion, reasons: findings.map((finding) => finding.code) };
+};
+
+// Runs on every score or risk tier write. The rule version is stored whenever the rules were applied
+// to saved scores, even without a suggestion, so the startup backfill does not revisit them.
+const refreshSuggestedRiskTier = async (assessmentId) => {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
+            s.assessment_id AS scored_assessment_id,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.id = $1`,
+    [assessmentId]
+  );
+  if (!rows[0]) {
+    return null;
+  }
+  const suggestion = rows[0].scored_assessment_id
+    ? computeSuggestedRiskTier(rows[0].assessment_protocol, extractStoredScores(rows[0]))
+    : null;
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE assessments
+     SET suggested_risk_tier = $2::text,
+         risk_rule_version = $3,
+         risk_rule_reasons = $4,
+         risk_tier_disagreement = (risk_tier IS NOT NULL AND $2::text IS NOT NULL AND risk_tier <> $2::text)
+     WHERE id = $1
+     RETURNING suggested_risk_tier, risk_rule_version, risk_rule_reasons, risk_tier_disagreement`,
+    [
+      assessmentId,
+      suggestion ? suggestion.tier : null,
+      riskRulesConfigured && rows[0].scored_assessment_id ? riskRuleVersion : null,
+      suggestion ? JSON.stringify(suggestion.reasons) : null,
+    ]
+  );
+  return updatedRows[0] || null;
+};
+
+// Assessments scored before the rules were configured (or before the engine existed) get their
+// suggestion once at startup; reads never write suggestions.
+const backfillSuggestedRiskTiers = async () => {
+  if (!riskRulesConfigured) {
+    return 0;
+  }
+  const { rows } = await pool.query(
+    `SELECT a.id
+     FROM assessments a
+     JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.risk_rule_version IS NULL`
+  );
+  for (const row of rows) {
+    await refreshSuggestedRiskTier(row.id);
+  }
+  return rows.length;
+};
+
+const countBalanceStagesPassed = (scores) => {
+  const stages = [scores.balance_side_by_side, scores.balance_semi_tandem, scores.balance_tandem];
+  if (stages.every((value) => value === null || value === undefined)) {
+    return null;
+  }
+  const firstFailed = stages.findIndex((value) => value !== true);
+  return firstFailed === -1 ? stages.length : firstFailed;
+};
+
+const roundTrendValue = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Least-squares slope of value against days since the first point, scaled to change per 30 days.
+const computeTrendSlope = (points) => {
+  if (points.length < 2) {
+    return null;
+  }
+  const origin = new Date(points[0].date).getTime();
+  const xs = points.map((point) => (new Date(point.date).getTime() - origin) / 86400000);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, index) => {
+    numerator += (x - meanX) * (points[index].value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  if (denominator === 0) {
+    return null;
+  }
+  return roundTrendValue((numerator / denominator) * 30);
+};
+
+const summarizeScoreTrend = (series, { key, mcid, lowerIsBetter }) => {
+  const points = series
+    .filter((item) => item[key] !== null && item[key] !== undefined)
+    .map((item) => ({ date: item.assessment_date, value: item[key] }));
+  const first = points[0]?.value ?? null;
+  const latest = points[points.length - 1]?.value ?? null;
+  const previous = points.length > 1 ? points[points.length - 2].value : null;
+  const change = points.length > 1 ? roundTrendValue(latest - first) : null;
+  const mcidMet = change !== null && Math.abs(change) >= mcid;
+  let direction = "insufficient_data";
+  if (change !== null) {
+    direction = "stable";
+    if (mcidMet) {
+      direction = (lowerIsBetter ? change < 0 : change > 0) ? "improved" : "worsened";
+    }
+  }
+  return {
+    points: points.length,
+    first,
+    previous,
+    latest,
+    delta: previous === null ? null : roundTrendValue(latest - previous),
+    change,
+    slope_per_30_days: computeTrendSlope(points),
+    mcid,
+    mcid_met: mcidMet,
+    direction,
+  };
+};
+
+const summarizeRiskTierTrend = (series) => {
+  const tiers = series.map((item) => item.risk_tier).filter(Boolean);
+  const first = tiers[0] || null;
+  const latest = tiers[tiers.length - 1] || null;
+  const previous = tiers.length > 1 ? tiers[tiers.length - 2] : null;
+  let direction = "insufficient_data";
+  if (tiers.length > 1) {
+    const change = riskScoreMap[latest] - riskScoreMap[first];
+    direction = "stable";
+    if (change < 0) {
+      direction = "improved";
+    } else if (change > 0) {
+      direction = "worsened";
+    }
+  }
+  return {
+    points: tiers.length,
+    first,
+    previous,
+    latest,
+    delta: previous ? riskScoreMap[latest] - riskScoreMap[previous] : null,
+    direction,
+  };
+};
+
+// SOAP narrative drafts are template-based and deterministic: the same inputs always give the same text.
+const narrativeTemplateVersion = "soap_v1";
+const narrativeSections = ["subjective", "objective", "assessment", "plan"];
+const riskFindingDescriptions = {
+  tug_slow: `TUG of ${riskCutoffs.tugSeconds} seconds or more`,
+  tug_high: `TUG of ${riskCutoffs.tugHighSeconds} seconds or more`,
+  chair_stand_slow: `5x chair stand of ${riskCutoffs.chairStandSeconds} seconds or more`,
+  balance_side_by_side_failed: "unable to hold side-by-side stance",
+  balance_semi_tandem_failed: "unable to hold semi-tandem stance",
+  balance_tandem_failed: "unable to hold tandem stance",
+  sppb_total_low: `SPPB total of ${instrumentBands.sppbHighMaxTotal} or less`,
+  sppb_total_reduced: `SPPB total of ${instrumentBands.sppbHighMaxTotal + 1}-${instrumentBands.sppbModerateMaxTotal}`,
+  berg_high_risk: `Berg Balance Scale total of ${instrumentBands.bergHighMaxTotal} or less`,
+  berg_medium_risk: `Berg Balance Scale total of ${instrumentBands.bergHighMaxTotal + 1}-${instrumentBands.bergMediumMaxTotal}`,
+  gait_speed_very_slow: `gait speed below ${instrumentBands.gaitSpeedHighRiskMps} m/s`,
+  gait_speed_slow: `gait speed below ${instrumentBands.gaitSpeedMps} m/s`,
+  four_stage_semi_tandem_under_10s: "semi-tandem stance not held for 10 seconds",
+  four_stage_tandem_under_10s: "tandem stance not held for 10 seconds",
+  morse_high_risk: `Morse Fall Scale total of ${instrumentBands.morseHighMinTotal} or more`,
+  morse_moderate_risk: `Morse Fall Scale total of ${instrumentBands.morseModerateMinTotal}-${instrumentBands.morseHighMinTotal - 1}`,
+  steadi_at_risk: `Stay Independent total of ${instrumentBands.steadiAtRiskMinTotal} or more`,
+};
+const narrativePlanByTier = {
+  high: "Refer to physical therapy for gait and balance training, start a fall-prevention care plan "
+    + "(supervised transfers, assistive device review, environmental check), and reassess within 30 days or after any fall.",
+  moderate: "Recommend a targeted strength and balance program, review medications and footwear, "
+    + "and reassess per facility cadence or after any fall.",
+  low: "Continue current activity level, reinforce fall-prevention education, and reassess per facility cadence or after any fall.",
+};
+const narrativeComparisonLabels = {
+  tug_seconds: "TUG (sec)",
+  chair_stand_seconds: "Chair Stand (sec)",
+  balance_stages_passed: "Balance stages passed",
+};
+
+const describeAssistiveDevice = (device) => {
+  if (!device || device === "none") {
+    return "Ambulates without an assistive device.";
+  }
+  if (device === "other") {
+    return "Uses an assistive device (other).";
+  }
+  return `Uses a ${device}.`;
+};
+
+const describeFallHistory = (fallEvents) => {
+  if (!fallEvents.length) {
+    return "No falls recorded in the 12 months before this assessment.";
+  }
+  const latest = fallEvents[0];
+  const count = fallEvents.length === 1 ? "1 fall" : `${fallEvents.length} falls`;
+  const injury = latest.injury_severity ? ` (injury: ${latest.injury_severity})` : "";
+  return `${count} recorded in the 12 months before this assessment; most recent on ${latest.occurred_on}${injury}.`;
+};
+
+const buildTrendComparisonValues = (scores) => ({
+  tug_seconds: scores.tug_seconds ?? null,
+  chair_stand_seconds: scores.chair_stand_seconds ?? null,
+  balance_stages_passed: countBalanceStagesPassed(scores),
+});
+
+// Inputs: assessment (with resident name and protocol), stored and derived scores, fall events in the
+// prior 12 months (newest first) and the previous completed assessment with its scores, if any.
+const buildNarrativeDraft = ({ assessment, scores, derived, fallEvents, priorAssessment }) => {
+  const protocol = getProtocolDefinition(assessment.assessment_protocol);
+  const residentName = `${assessment.first_name || ""} ${assessment.last_name || ""}`.trim() || "Resident";
+  const subjective = [
+    `${residentName} was assessed on ${assessment.assessment_date} using the ${protocol.label.en} protocol.`,
+    describeAssistiveDevice(assessment.assistive_device),
+    describeFallHistory(fallEvents),
+  ].join(" ");
+
+  const measured = [
+    ...protocol.fields.map((field) => `${field.label.en}: ${formatScoreValue(field, scores[field.key])}`),
+    ...(protocol.derivedFields || []).map((field) => `${field.label.en}: ${formatScoreValue(field, derived[field.key])}`),
+  ];
+  const objectiveParts = [`${measured.join("; ")}.`];
+  if (priorAssessment) {
+    const current = buildTrendComparisonValues(scores);
+    const prior = buildTrendComparisonValues(priorAssessment.scores);
+    const comparisons = scoreTrendMetrics
+      .filter((metric) => current[metric.key] !== null && prior[metric.key] !== null)
+      .map((metric) => {
+        const trend = summarizeScoreTrend(
+          [
+            { assessment_date: priorAssessment.assessment_date, [metric.key]: prior[metric.key] },
+            { assessment_date: assessment.assessment_date, [metric.key]: current[metric.key] },
+          ],
+          metric
+        );
+        return `${narrativeComparisonLabels[metric.key]} ${prior[metric.key]} to ${current[metric.key]} (${trend.direction})`;
+      });
+    if (comparisons.length) {
+      objectiveParts.push(`Compared with the assessment on ${priorAssessment.assessment_date}: ${comparisons.join("; ")}.`);
+    }
+  }
+
+  const reasons = assessment.risk_rule_reasons || [];
+  // The plan follows the clinician tier only; a suggestion alone is not a confirmed tier.
+  const tier = assessment.risk_tier;
+  const assessmentParts = [
+    reasons.length
+      ? `Findings: ${reasons.map((code) => riskFindingDescriptions[code] || code).join("; ")}.`
+      : "No scoring findings.",
+  ];
+  if (assessment.suggested_risk_tier) {
+    assessmentParts.push(`Suggested risk tier: ${assessment.suggested_risk_tier} (${assessment.risk_rule_version}).`);
+  }
+  assessmentParts.push(tier ? `Clinician risk tier: ${tier}.` : "No clinician risk tier has been confirmed.");
+  if (fallEvents.length) {
+    assessmentParts.push("Recent fall history adds to overall fall risk.");
+  }
+
+  const planParts = [
+    tier
+      ? narrativePlanByTier[tier]
+      : "No risk tier has been confirmed by a clinician; confirm the tier before planning interventions.",
+  ];
+  if (assessment.reassessment_due_date) {
+    planParts.push(`Reassessment due by ${assessment.reassessment_due_date}.`);
+  }
+
+  return {
+    subjective,
+    objective: objectiveParts.join(" "),
+    assessment: assessmentParts.join(" "),
+    plan: planParts.join(" "),
+  };
+};
+const taskPollIntervalSeconds = Number.parseInt(process.env.TASK_POLL_INTERVAL_SECONDS || "60", 10);
+const taskRetryMinutes = Number.parseInt(process.env.TASK_RETRY_MINUTES || "5", 10);
+const notificationScanHour = Number.parseInt(process.env.NOTIFICATION_SCAN_HOUR || "7", 10);
+const notificationScanMinute = Number.parseInt(process.env.NOTIFICATION_SCAN_MINUTE || "0", 10);
+const slaScanIntervalMinutes = Number.parseInt(process.env.SLA_SCAN_INTERVAL_MINUTES || "15", 10);
+const corsOptions = {
+  origin: (origin, callback) => {
+    if (!origin || corsOrigins.length === 0) {
+      callback(null, true);
+      return;
+    }
+    callback(null, corsOrigins.includes(origin));
+  },
+  credentials: true,
+};
+
+const normalizeString = (value) => (typeof value === "string" ? value.trim() : "");
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const isUuid = (value) => uuidRegex.test(value);
+const toNullableString = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed.length ? trimmed : null;
+};
+const parseDateOnly = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return null;
+  }
+  const parsed = new Date(`${trimmed}T00:00:00`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+const parseDateTime = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const parsed = new Date(value);
   return Number.isNaN(parsed.getTime()) ? null : parsed;
 };
 const isFutureDate = (date) => {
@@ -358,7 +1576,8 @@ const parseOptionalPositiveInt = (value) => {
 
 const exportScheduleEmailEnabled = parseOptionalBoolean(process.env.EXPORT_SCHEDULE_EMAIL_ENABLED).value === true;
 const exportScheduleEmailRolesRaw = process.env.EXPORT_SCHEDULE_EMAIL_ROLES || "admin";
-const smtpEnabled = Boolean(exportScheduleEmailEnabled && smtpHost);
+const alertEmailEnabled = parseOptionalBoolean(process.env.ALERT_EMAIL_ENABLED).value === true;
+const smtpEnabled = Boolean((exportScheduleEmailEnabled || alertEmailEnabled) && smtpHost);
 
 async function getFacilityTokenTtlDays(facilityId) {
   if (!facilityId) {
@@ -500,6 +1719,13 @@ const uploadRateLimiter = createRateLimiter({
   message: "Upload rate limit exceeded. Please try again later.",
 });
 
+const signRateLimiter = createRateLimiter({
+  keyPrefix: "sign",
+  windowMs: rateLimitSignWindowMinutes * 60 * 1000,
+  max: rateLimitSignMax,
+  message: "Too many signing attempts. Please try again later.",
+});
+
 app.disable("x-powered-by");
 if (trustProxy) {
   app.set("trust proxy", 1);
@@ -741,12 +1967,18 @@ async function notifyFacilityUsers({
   data,
   eventKeyBase,
   roles,
+  userIds,
 }) {
   const values = [facilityId];
   let roleClause = "";
   if (roles && roles.length) {
     values.push(roles);
     roleClause = "AND role = ANY($2)";
+    // Named users are notified alongside the roles, whatever their own role.
+    if (userIds && userIds.length) {
+      values.push(userIds);
+      roleClause = "AND (role = ANY($2) OR id = ANY($3::uuid[]))";
+    }
   }
   const { rows } = await pool.query(
     `SELECT id FROM users WHERE facility_id = $1 AND status = 'active' ${roleClause}`,
@@ -794,36 +2026,90 @@ async function notifyFacilityUsersEmail({
       if (!email) {
         return;
       }
-      const notification = await createNotification({
+      await sendEmailNotification({
         facilityId,
         userId: row.id,
+        email,
         type,
         title,
         body,
         data,
-        channel: "email",
         eventKey: eventKeyBase ? `${eventKeyBase}:${row.id}:email` : null,
       });
-      if (!notification) {
+    })
+  );
+}
+
+// Records an email-channel notification and sends it over SMTP, falling back to the outbox. Nothing is
+// sent when the event key has already been used.
+async function sendEmailNotification({ facilityId, userId, email, type, title, body, data, eventKey }) {
+  const notification = await createNotification({
+    facilityId,
+    userId,
+    type,
+    title,
+    body,
+    data,
+    channel: "email",
+    eventKey,
+  });
+  if (!notification) {
+    return;
+  }
+  const payload = {
+    to: email,
+    subject: title,
+    body,
+    data: {
+      ...data,
+      facility_id: facilityId,
+      user_id: userId,
+    },
+  };
+  const sent = await sendSmtpEmail(payload);
+  await updateNotificationData(notification.id, {
+    email_delivery: sent ? "sent" : "queued",
+  });
+  if (!sent) {
+    await writeEmailOutbox(payload);
+  }
+}
+
+// Sends named users an in-app notification, whatever their role, plus an email when ALERT_EMAIL_ENABLED
+// is set. Inactive users are skipped.
+async function notifyUsersInAppAndEmail({ facilityId, userIds, type, title, body, data, eventKeyBase }) {
+  if (!userIds || !userIds.length) {
+    return;
+  }
+  const { rows } = await pool.query(
+    `SELECT id, email FROM users WHERE id = ANY($1::uuid[]) AND status = 'active'`,
+    [userIds]
+  );
+  await Promise.all(
+    rows.map(async (row) => {
+      await createNotification({
+        facilityId,
+        userId: row.id,
+        type,
+        title,
+        body,
+        data,
+        eventKey: `${eventKeyBase}:${row.id}`,
+      });
+      const email = normalizeString(row.email);
+      if (!alertEmailEnabled || !email) {
         return;
       }
-      const payload = {
-        to: email,
-        subject: title,
+      await sendEmailNotification({
+        facilityId,
+        userId: row.id,
+        email,
+        type,
+        title,
         body,
-        data: {
-          ...data,
-          facility_id: facilityId,
-          user_id: row.id,
-        },
-      };
-      const sent = await sendSmtpEmail(payload);
-      await updateNotificationData(notification.id, {
-        email_delivery: sent ? "sent" : "queued",
+        data,
+        eventKey: `${eventKeyBase}:${row.id}:email`,
       });
-      if (!sent) {
-        await writeEmailOutbox(payload);
-      }
     })
   );
 }
@@ -922,6 +2208,8 @@ async function runGaitModel(payload = {}) {
               String(run.height || ""),
               "--assessment-id",
               run.assessment_id,
+              "--protocol",
+              run.assessment_protocol || defaultAssessmentProtocol,
             ],
             { timeout: gaitModelTimeoutMs },
             (error, stdout) => {
@@ -959,6 +2247,7 @@ async function runGaitModel(payload = {}) {
          balance_tandem = $7,
          confidence = $8,
          notes = $9,
+         score_outputs = $10,
          updated_at = now()
      WHERE id = $1`,
     [
@@ -971,6 +2260,7 @@ async function runGaitModel(payload = {}) {
       typeof modelOutput.balance_tandem === "boolean" ? modelOutput.balance_tandem : null,
       Number.isFinite(modelOutput.confidence) ? modelOutput.confidence : null,
       toNullableString(modelOutput.notes) || "stub: model not configured",
+      JSON.stringify(extractModelScoreOutputs(modelOutput)),
     ]
   );
 
@@ -978,6 +2268,7 @@ async function runGaitModel(payload = {}) {
     assessmentId: run.assessment_id,
     protocol: run.assessment_protocol,
     model: modelOutput,
+    gaitModelRunId: run.id,
   });
 }
 
@@ -1135,6 +2426,18 @@ async function runExportSchedule({ schedule_id, run_at }) {
     [schedule.id]
   );
   await scheduleNextExportRun(schedule, new Date());
+  await emitAutomationEvent({
+    trigger: "export.run",
+    facilityId: schedule.facility_id,
+    entityType: "export_schedule",
+    entityId: schedule.id,
+    eventKey: token.id,
+    subject: {
+      assignee_id: schedule.created_by,
+      fields: { export_type: exportType },
+      links: { schedule_id: schedule.id, export_token_id: token.id },
+    },
+  });
   return token;
 }
 
@@ -1148,6 +2451,11 @@ async function seedDueScanTasks() {
   );
 }
 
+async function seedSlaScanTasks() {
+  const { rows } = await pool.query(`SELECT id FROM facilities`);
+  await Promise.all(rows.map((row) => scheduleNextSlaScan(row.id)));
+}
+
 async function runFallFollowupScan({ facility_id, scan_date, users }) {
   if (!facility_id) {
     return;
@@ -1172,7 +2480,7 @@ async function runFallFollowupScan({ facility_id, scan_date, users }) {
        WHERE status = 'completed'
        GROUP BY fall_event_id
      ) done ON done.fall_event_id = fe.id
-     WHERE fe.facility_id = $1
+     WHERE fe.facility_id = $1 AND fe.voided_at IS NULL
      ORDER BY fe.occurred_at DESC`,
     [facility_id]
   );
@@ -1239,6 +2547,58 @@ async function runFallFollowupScan({ facility_id, scan_date, users }) {
   }));
 }
 
+// Drafts the next screen for residents whose latest assessment is completed. The draft is scheduled and due
+// reassessment_lead_days before the reassessment_due_date (never before the scan date), so it reaches the
+// workflow queue ahead of time. Residents with an open assessment are skipped, and reassessment dates
+// already past are not backfilled.
+async function createReassessmentDrafts({ facility_id, scan_date }) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, a.assessment_protocol, a.capture_method, a.assigned_to,
+            GREATEST(a.reassessment_due_date - f.reassessment_lead_days, $2::date)::text AS draft_date
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.facility_id = $1
+       AND f.reassessment_lead_days IS NOT NULL
+       AND a.status = 'completed'
+       AND a.reassessment_due_date IS NOT NULL
+       AND a.reassessment_due_date >= $2::date
+       AND NOT EXISTS (
+         SELECT 1 FROM assessments n
+         WHERE n.resident_id = a.resident_id
+           AND n.id <> a.id
+           AND (n.status <> 'completed'
+             OR n.assessment_date > a.assessment_date
+             OR (n.assessment_date = a.assessment_date AND n.created_at > a.created_at))
+       )`,
+    [facility_id, scan_date]
+  );
+  for (const row of rows) {
+    const { rows: inserted } = await pool.query(
+      `INSERT INTO assessments (
+         resident_id, status, assessment_date, scheduled_date, due_date,
+         assessment_protocol, capture_method, assigned_to, assigned_at, previous_assessment_id
+       ) VALUES ($1, 'draft', $2, $2, $2, $3, $4, $5::uuid, CASE WHEN $5::uuid IS NULL THEN NULL ELSE now() END, $6)
+       ON CONFLICT (previous_assessment_id) WHERE previous_assessment_id IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [
+        row.resident_id,
+        row.draft_date,
+        row.assessment_protocol || defaultAssessmentProtocol,
+        row.capture_method || "record_upload",
+        row.assigned_to,
+        row.id,
+      ]
+    );
+    if (inserted[0]) {
+      await audit(null, "assessment.created", "assessment", inserted[0].id, {
+        previous_assessment_id: row.id,
+        assigned_to: row.assigned_to,
+      });
+    }
+  }
+}
+
 async function runDueAssessmentScan({ facility_id, scan_date }) {
   if (!facility_id) {
     return;
@@ -1256,6 +2616,7 @@ async function runDueAssessmentScan({ facility_id, scan_date }) {
     }
     return null;
   };
+  await createReassessmentDrafts({ facility_id, scan_date: scanDate });
   const { rows } = await pool.query(
     `SELECT a.id, a.due_date, r.id AS resident_id, r.first_name, r.last_name
      FROM assessments a
@@ -1307,1868 +2668,6782 @@ async function runDueAssessmentScan({ facility_id, scan_date }) {
   await runFallFollowupScan({ facility_id, scan_date: scanDate, users: userRows });
 }
 
-async function processTaskQueue() {
-  const client = await pool.connect();
-  let tasks = [];
-  try {
-    await client.query("BEGIN");
-    const { rows } = await client.query(
-      `WITH next_tasks AS (
-         SELECT id FROM task_queue
-         WHERE status = 'pending' AND run_at <= now()
-         ORDER BY run_at ASC
-         LIMIT 5
-         FOR UPDATE SKIP LOCKED
-       )
-       UPDATE task_queue t
-       SET status = 'running', attempts = attempts + 1, updated_at = now()
-       FROM next_tasks
-       WHERE t.id = next_tasks.id
-       RETURNING t.id, t.task_type, t.payload, t.attempts`
-    );
-    tasks = rows;
-    await client.query("COMMIT");
-  } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("Failed to claim tasks", error.message);
-    return;
-  } finally {
-    client.release();
-  }
+// SLA policies. Each policy sets warning and breach thresholds in hours from the moment the item's clock
+// starts, and an escalation ladder whose steps fire `after_hours` past the breach. Until a facility saves its
+// own policies these defaults apply, with the report turnaround taken from report_turnaround_hours.
+const slaEscalationTargets = ["assignee", "unit_lead", "facility_admin", "regional_admin"];
+const defaultSlaPolicies = {
+  assessment_review: {
+    warning_hours: 0,
+    breach_hours: 24,
+    escalation: [
+      { target: "assignee", after_hours: 0 },
+      { target: "unit_lead", after_hours: 4 },
+      { target: "facility_admin", after_hours: 12 },
+      { target: "regional_admin", after_hours: 48 },
+    ],
+  },
+  report_turnaround: {
+    warning_hours: 18,
+    breach_hours: 24,
+    escalation: [
+      { target: "assignee", after_hours: 0 },
+      { target: "unit_lead", after_hours: 4 },
+      { target: "facility_admin", after_hours: 12 },
+      { target: "regional_admin", after_hours: 48 },
+    ],
+  },
+  post_fall_checklist: {
+    warning_hours: 48,
+    breach_hours: 72,
+    escalation: [
+      { target: "assignee", after_hours: 0 },
+      { target: "unit_lead", after_hours: 4 },
+      { target: "facility_admin", after_hours: 12 },
+      { target: "regional_admin", after_hours: 48 },
+    ],
+  },
+  neuro_check: {
+    warning_hours: 0,
+    breach_hours: 0.25,
+    escalation: [
+      { target: "assignee", after_hours: 0 },
+      { target: "unit_lead", after_hours: 0.5 },
+      { target: "facility_admin", after_hours: 1 },
+      { target: "regional_admin", after_hours: 4 },
+    ],
+  },
+};
+const slaPolicyKeys = Object.keys(defaultSlaPolicies);
+const slaPolicyLabels = {
+  assessment_review: "Assessment review",
+  report_turnaround: "Report turnaround",
+  post_fall_checklist: "Post-fall checklist",
+  neuro_check: "Neuro check",
+};
+const slaTargetLabels = {
+  assignee: "the assignee",
+  unit_lead: "the unit lead",
+  facility_admin: "facility admins",
+  regional_admin: "the regional admin",
+};
+const maxSlaHours = 720;
+// Items whose clock started longer ago than this still show as breached but are no longer escalated, and
+// completed assessments older than this stop waiting on a report in the queue.
+const slaLookbackDays = 30;
 
-  if (!tasks.length) {
-    return;
+const parseSlaHours = (value, fallback, label) => {
+  const hours = value === undefined ? fallback : value;
+  if (typeof hours !== "number" || !Number.isFinite(hours) || hours < 0 || hours > maxSlaHours) {
+    throw Object.assign(new Error(`Invalid ${label}`), { status: 400 });
   }
+  return hours;
+};
 
-  await Promise.all(tasks.map(async (task) => {
-    try {
-      if (task.task_type === "assessment_due_scan") {
-        await runDueAssessmentScan(task.payload || {});
-        if (task.payload?.facility_id) {
-          await scheduleNextDueScan(task.payload.facility_id);
-        }
-      } else if (task.task_type === "export_schedule") {
-        await runExportSchedule(task.payload || {});
-      } else if (task.task_type === "gait_model_extract") {
-        await runGaitModel(task.payload || {});
-      } else {
-        throw new Error(`Unknown task ${task.task_type}`);
+const normalizeSlaPolicies = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw Object.assign(new Error("policies must be an object"), { status: 400 });
+  }
+  const unknown = Object.keys(input).filter((key) => !slaPolicyKeys.includes(key));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown SLA policy: ${unknown[0]}`), { status: 400 });
+  }
+  const policies = {};
+  slaPolicyKeys.forEach((key) => {
+    const fallback = defaultSlaPolicies[key];
+    const value = input[key] === undefined ? fallback : input[key];
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw Object.assign(new Error(`Invalid ${key} policy`), { status: 400 });
+    }
+    const warningHours = parseSlaHours(value.warning_hours, fallback.warning_hours, `${key}.warning_hours`);
+    const breachHours = parseSlaHours(value.breach_hours, fallback.breach_hours, `${key}.breach_hours`);
+    if (breachHours <= 0 || breachHours < warningHours) {
+      throw Object.assign(new Error(`Invalid ${key}.breach_hours`), { status: 400 });
+    }
+    const ladder = value.escalation === undefined ? fallback.escalation : value.escalation;
+    if (!Array.isArray(ladder)) {
+      throw Object.assign(new Error(`Invalid ${key}.escalation`), { status: 400 });
+    }
+    // Steps keep the ladder order and never fire before the step above them; a facility drops a step by
+    // leaving it out.
+    let previousIndex = -1;
+    let previousHours = 0;
+    const escalation = ladder.map((step) => {
+      const index = slaEscalationTargets.indexOf(step?.target);
+      if (index <= previousIndex) {
+        throw Object.assign(new Error(`Invalid ${key}.escalation`), { status: 400 });
       }
-      await pool.query(
-        `UPDATE task_queue SET status = 'completed', updated_at = now() WHERE id = $1`,
-        [task.id]
-      );
-    } catch (error) {
-      const attempts = Number(task.attempts || 1);
-      const shouldRetry = attempts < 3;
-      const nextRunAt = shouldRetry
-        ? new Date(Date.now() + taskRetryMinutes * 60 * 1000)
-        : null;
-      await pool.query(
-        `UPDATE task_queue
-         SET status = $2,
-             run_at = COALESCE($3, run_at),
-             last_error = $4,
-             updated_at = now()
-         WHERE id = $1`,
-        [task.id, shouldRetry ? "pending" : "failed", nextRunAt, error.message]
-      );
+      const afterHours = parseSlaHours(step.after_hours, 0, `${key}.escalation.after_hours`);
+      if (afterHours < previousHours) {
+        throw Object.assign(new Error(`Invalid ${key}.escalation`), { status: 400 });
+      }
+      previousIndex = index;
+      previousHours = afterHours;
+      return { target: step.target, after_hours: afterHours };
+    });
+    // Missed neuro checks are only escalated through this ladder, so it cannot be switched off.
+    if (key === "neuro_check" && !escalation.length) {
+      throw Object.assign(new Error("neuro_check.escalation needs at least one step"), { status: 400 });
     }
-  }));
-}
+    policies[key] = { warning_hours: warningHours, breach_hours: breachHours, escalation };
+  });
+  return policies;
+};
 
-function getFacilityIdForExport(requestedFacilityId, user) {
-  if (requestedFacilityId) {
-    if (requestedFacilityId !== user.facility_id && user.role !== "admin") {
-      return null;
-    }
-    return requestedFacilityId;
+const resolveSlaPolicies = (stored, reportTurnaroundHours) => {
+  if (stored && typeof stored === "object" && !Array.isArray(stored)) {
+    return normalizeSlaPolicies(stored);
   }
-  return user.facility_id;
-}
+  const turnaround = Number(reportTurnaroundHours);
+  if (!Number.isFinite(turnaround) || turnaround <= 0) {
+    return defaultSlaPolicies;
+  }
+  return {
+    ...defaultSlaPolicies,
+    report_turnaround: {
+      ...defaultSlaPolicies.report_turnaround,
+      warning_hours: turnaround * 0.75,
+      breach_hours: turnaround,
+    },
+  };
+};
 
-async function buildResidentsCsv({ facilityId }) {
+// Where an item stands against its policy. `breachedAt` marks an item as breached early, e.g. a neuro check
+// already marked missed. sla_status keeps the older on_track/overdue values.
+const describeSla = (policyKey, policy, startedAt, { breachedAt = null, now = Date.now() } = {}) => {
+  const start = startedAt ? new Date(startedAt).getTime() : Number.NaN;
+  if (!policy || !Number.isFinite(start)) {
+    return {
+      sla_policy: policyKey,
+      sla_state: "unknown",
+      sla_started_at: null,
+      sla_warning_at: null,
+      sla_due_at: null,
+      sla_hours_remaining: null,
+      sla_status: "unknown",
+      sla_escalation_level: null,
+    };
+  }
+  const warningAt = start + policy.warning_hours * 3600000;
+  let breachAt = start + policy.breach_hours * 3600000;
+  if (breachedAt && new Date(breachedAt).getTime() < breachAt) {
+    breachAt = new Date(breachedAt).getTime();
+  }
+  let state = "on_track";
+  if (now >= breachAt) {
+    state = "breached";
+  } else if (now >= warningAt) {
+    state = "warning";
+  }
+  return {
+    sla_policy: policyKey,
+    sla_state: state,
+    sla_started_at: new Date(start).toISOString(),
+    sla_warning_at: new Date(Math.min(warningAt, breachAt)).toISOString(),
+    sla_due_at: new Date(breachAt).toISOString(),
+    sla_hours_remaining: (breachAt - now) / 3600000,
+    sla_status: state === "breached" ? "overdue" : "on_track",
+    sla_escalation_level: null,
+  };
+};
+
+const slaStageKey = (policy, itemId, startedAt) => `${policy}:${itemId}:${new Date(startedAt).getTime()}`;
+
+async function fetchSlaStages(itemIds) {
+  const stages = new Map();
+  if (!itemIds.length) {
+    return stages;
+  }
   const { rows } = await pool.query(
-    `SELECT id, facility_id, external_id, first_name, last_name, dob, sex, notes, created_at, updated_at
-     FROM residents WHERE facility_id = $1 ORDER BY created_at DESC`,
+    `SELECT policy, item_id, started_at, stage FROM sla_escalations WHERE item_id = ANY($1::uuid[])`,
+    [itemIds]
+  );
+  rows.forEach((row) => {
+    const key = slaStageKey(row.policy, row.item_id, row.started_at);
+    stages.set(key, [...(stages.get(key) || []), row.stage]);
+  });
+  return stages;
+}
+
+// Fills in sla_escalation_level on queue items: the furthest ladder step reached for the current clock start.
+async function applySlaEscalationLevels(items) {
+  const tracked = items.filter((item) => item.sla_policy && item.sla_started_at);
+  const stages = await fetchSlaStages([...new Set(tracked.map((item) => item.id))]);
+  tracked.forEach((item) => {
+    const reached = stages.get(slaStageKey(item.sla_policy, item.id, item.sla_started_at)) || [];
+    item.sla_escalation_level = slaEscalationTargets.filter((target) => reached.includes(target)).pop() || null;
+  });
+  return items;
+}
+
+// Assessments on an SLA clock, for the workflow queue and the SLA scan alike: those awaiting review
+// (scheduler-drafted reassessments included, hand-started drafts not) and, with `includeReports`,
+// assessments completed within the lookback that have no assessment report yet.
+const slaAssessmentFilter = (includeReports) => `(a.status IN ('needs_review', 'in_review')
+      OR (a.status = 'draft' AND a.previous_assessment_id IS NOT NULL)${includeReports ? `
+      OR (a.status = 'completed'
+        AND a.completed_at >= now() - make_interval(days => ${slaLookbackDays})
+        AND NOT EXISTS (
+          SELECT 1 FROM reports rp WHERE rp.assessment_id = a.id AND rp.report_type = 'assessment'
+        ))` : ""})`;
+
+// Open items that run against a policy: assessments awaiting review or a report (the queue's
+// include_reports view, which the portal shows), fall events with an incomplete checklist, and neuro
+// checks that are due or missed.
+async function fetchSlaItems(facilityId) {
+  const { rows: assessmentRows } = await pool.query(
+    `SELECT a.id, a.status, a.resident_id, COALESCE(a.assigned_to, a.created_by) AS assignee_id,
+            CASE WHEN a.status = 'completed' THEN a.completed_at
+                 ELSE COALESCE(a.due_date, a.scheduled_date, a.assessment_date)::timestamptz END AS started_at,
+            r.first_name, r.last_name, r.unit_id
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     WHERE r.facility_id = $1 AND ${slaAssessmentFilter(true)}`,
     [facilityId]
   );
-  const headers = [
-    "id",
-    "facility_id",
-    "external_id",
-    "first_name",
-    "last_name",
-    "dob",
-    "sex",
-    "notes",
-    "created_at",
-    "updated_at",
+  const { rows: fallRows } = await pool.query(
+    `SELECT fe.id, fe.resident_id, fe.created_by AS assignee_id, fe.occurred_at AS started_at,
+            r.first_name, r.last_name, r.unit_id
+     FROM fall_events fe
+     JOIN residents r ON r.id = fe.resident_id
+     JOIN facilities f ON f.id = fe.facility_id
+     LEFT JOIN (
+       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
+       FROM post_fall_checks
+       WHERE status = 'completed'
+       GROUP BY fall_event_id
+     ) done ON done.fall_event_id = fe.id
+     WHERE fe.facility_id = $1 AND fe.voided_at IS NULL
+       AND COALESCE(jsonb_array_length(f.fall_checklist), 0) > COALESCE(done.completed_count, 0)`,
+    [facilityId]
+  );
+  const { rows: neuroRows } = await pool.query(
+    `SELECT nc.id, nc.fall_event_id, nc.status, nc.missed_at, nc.due_at AS started_at,
+            fe.resident_id, fe.created_by AS assignee_id, r.first_name, r.last_name, r.unit_id
+     FROM fall_neuro_checks nc
+     JOIN fall_events fe ON fe.id = nc.fall_event_id
+     JOIN residents r ON r.id = fe.resident_id
+     WHERE fe.facility_id = $1 AND fe.voided_at IS NULL
+       AND nc.status IN ('pending', 'missed') AND nc.due_at <= now()`,
+    [facilityId]
+  );
+  const base = (row) => ({
+    item_id: row.id,
+    started_at: row.started_at,
+    resident_id: row.resident_id,
+    resident_name: `${row.first_name || ""} ${row.last_name || ""}`.trim() || "Resident",
+    unit_id: row.unit_id,
+    assignee_id: row.assignee_id,
+  });
+  return [
+    ...assessmentRows.map((row) => ({
+      ...base(row),
+      policy: row.status === "completed" ? "report_turnaround" : "assessment_review",
+      entity_type: "assessment",
+      links: { assessment_id: row.id },
+    })),
+    ...fallRows.map((row) => ({
+      ...base(row),
+      policy: "post_fall_checklist",
+      entity_type: "fall_event",
+      links: { fall_event_id: row.id },
+    })),
+    ...neuroRows.map((row) => ({
+      ...base(row),
+      policy: "neuro_check",
+      entity_type: "neuro_check",
+      breached_at: row.status === "missed" ? row.missed_at : null,
+      links: { fall_event_id: row.fall_event_id, neuro_check_id: row.id },
+    })),
   ];
-  const rowsData = rows.map((row) => ([
-    row.id,
-    row.facility_id,
-    row.external_id,
-    row.first_name,
-    row.last_name,
-    row.dob,
-    row.sex,
-    row.notes,
-    row.created_at,
-    row.updated_at,
-  ]));
-  return buildCsv(headers, rowsData);
 }
 
-async function buildAssessmentsCsv({ facilityId, query }) {
-  const filters = [];
-  const values = [facilityId];
-  let index = 2;
+// Resolves escalation targets to active users: the item's assignee and unit lead when they are still at
+// the facility, the facility's admins, and the regional admin. Returns `(target, { assignee_id, unit_id })`.
+async function loadEscalationRecipients(facilityId, regionalAdminId) {
+  const { rows: userRows } = await pool.query(
+    `SELECT id, role, facility_id FROM users
+     WHERE status = 'active' AND (facility_id = $1 OR id = $2::uuid)`,
+    [facilityId, regionalAdminId || null]
+  );
+  const facilityUserIds = new Set(userRows.filter((row) => row.facility_id === facilityId).map((row) => row.id));
+  const adminIds = userRows
+    .filter((row) => row.facility_id === facilityId && row.role === "admin")
+    .map((row) => row.id);
+  const regionalIds = userRows
+    .filter((row) => row.id === regionalAdminId && row.role === "admin")
+    .map((row) => row.id);
+  const { rows: unitRows } = await pool.query(
+    `SELECT id, lead_user_id FROM facility_units WHERE facility_id = $1 AND lead_user_id IS NOT NULL`,
+    [facilityId]
+  );
+  const unitLeads = new Map(unitRows.map((row) => [row.id, row.lead_user_id]));
+  return (target, item) => {
+    if (target === "assignee") {
+      return item.assignee_id && facilityUserIds.has(item.assignee_id) ? [item.assignee_id] : [];
+    }
+    if (target === "unit_lead") {
+      const leadId = unitLeads.get(item.unit_id);
+      return leadId && facilityUserIds.has(leadId) ? [leadId] : [];
+    }
+    return target === "facility_admin" ? adminIds : regionalIds;
+  };
+}
 
-  if (query?.resident_id) {
-    filters.push(`a.resident_id = $${index}`);
-    values.push(query.resident_id);
-    index += 1;
+// One ladder step (or the warning) for one item. The unique index makes a step fire once per clock start,
+// so overlapping scans cannot notify twice.
+async function recordSlaEscalation({ facilityId, item, sla, stage, recipients }) {
+  const ruleId = `sla.${item.policy}.${stage}`;
+  const { rows } = await pool.query(
+    `INSERT INTO sla_escalations (facility_id, policy, item_id, started_at, stage, rule_id, recipient_ids)
+     VALUES ($1, $2, $3, $4, $5, $6, $7::uuid[])
+     ON CONFLICT (policy, item_id, started_at, stage) DO NOTHING
+     RETURNING id`,
+    [facilityId, item.policy, item.item_id, sla.sla_started_at, stage, ruleId, recipients]
+  );
+  if (!rows[0]) {
+    return;
   }
+  const label = slaPolicyLabels[item.policy];
+  const isWarning = stage === "warning";
+  const type = isWarning ? "sla.warning" : "sla.escalated";
+  await notifyUsersInAppAndEmail({
+    facilityId,
+    userIds: recipients,
+    type,
+    title: isWarning ? `${label} SLA warning` : `${label} SLA breached`,
+    body: isWarning
+      ? `${item.resident_name}: ${label.toLowerCase()} is close to breaching its SLA.`
+      : `${item.resident_name}: ${label.toLowerCase()} breached its SLA. Escalated to ${slaTargetLabels[stage]}.`,
+    data: {
+      ...item.links,
+      rule_id: ruleId,
+      policy: item.policy,
+      stage,
+      resident_id: item.resident_id,
+      resident_name: item.resident_name,
+      breach_at: sla.sla_due_at,
+    },
+    eventKeyBase: `sla:${rows[0].id}`,
+  });
+  await audit(null, type, item.entity_type, item.item_id, {
+    rule_id: ruleId,
+    policy: item.policy,
+    stage,
+    recipients,
+    breach_at: sla.sla_due_at,
+  });
+}
 
-  if (query?.status) {
-    const status = normalizeString(query.status).toLowerCase();
-    if (!allowedAssessmentStatuses.has(status)) {
-      throw Object.assign(new Error("Invalid status filter"), { status: 400 });
-    }
-    filters.push(`a.status = $${index}`);
-    values.push(status);
-    index += 1;
-  }
+// Marks the first scan that saw an item breached. The marker notifies nobody; its created_at is where the
+// ladder starts when the breach is older than the scan (first deploy, a lowered breach_hours), so steps
+// already past are not all sent at once. Returns the marker's time, or null when it was already recorded.
+async function recordSlaBreach({ facilityId, item, sla, seenAt }) {
+  const { rows } = await pool.query(
+    `INSERT INTO sla_escalations (facility_id, policy, item_id, started_at, stage, rule_id, recipient_ids, created_at)
+     VALUES ($1, $2, $3, $4, 'breached', $5, '{}', $6)
+     ON CONFLICT (policy, item_id, started_at, stage) DO NOTHING
+     RETURNING created_at`,
+    [facilityId, item.policy, item.item_id, sla.sla_started_at, `sla.${item.policy}.breached`, new Date(seenAt)]
+  );
+  return rows[0]?.created_at || null;
+}
 
-  if (query?.risk_tier) {
-    const risk = normalizeString(query.risk_tier).toLowerCase();
-    if (!allowedRiskTiers.has(risk)) {
-      throw Object.assign(new Error("Invalid risk_tier filter"), { status: 400 });
-    }
-    filters.push(`a.risk_tier = $${index}`);
-    values.push(risk);
-    index += 1;
+async function fetchSlaBreaches(itemIds) {
+  const breaches = new Map();
+  if (!itemIds.length) {
+    return breaches;
   }
+  const { rows } = await pool.query(
+    `SELECT policy, item_id, started_at, created_at FROM sla_escalations
+     WHERE stage = 'breached' AND item_id = ANY($1::uuid[])`,
+    [itemIds]
+  );
+  rows.forEach((row) => breaches.set(slaStageKey(row.policy, row.item_id, row.started_at), row.created_at));
+  return breaches;
+}
 
-  if (query?.assigned_to) {
-    const assigned = normalizeString(query.assigned_to);
-    if (assigned === "unassigned") {
-      filters.push("a.assigned_to IS NULL");
-    } else {
-      if (!isUuid(assigned)) {
-        throw Object.assign(new Error("Invalid assigned_to filter"), { status: 400 });
+// Runs every SLA_SCAN_INTERVAL_MINUTES per facility. Items reaching the warning threshold notify their
+// assignee; breached items walk the escalation ladder one step at a time as each step's after_hours passes,
+// counted from the breach or from the scan that first saw it, whichever is later.
+// A step with nobody to notify (no unit lead, no regional admin) is still recorded so the ladder moves on.
+async function runSlaScan({ facility_id: facilityId }) {
+  if (!facilityId) {
+    return;
+  }
+  const { rows: facilityRows } = await pool.query(
+    `SELECT id, sla_policies, report_turnaround_hours, regional_admin_id FROM facilities WHERE id = $1`,
+    [facilityId]
+  );
+  const facility = facilityRows[0];
+  if (!facility) {
+    return;
+  }
+  const policies = resolveSlaPolicies(facility.sla_policies, facility.report_turnaround_hours);
+  const now = Date.now();
+  const cutoff = now - slaLookbackDays * 24 * 60 * 60 * 1000;
+  const items = (await fetchSlaItems(facilityId))
+    .filter((item) => item.started_at && new Date(item.started_at).getTime() >= cutoff);
+  if (!items.length) {
+    return;
+  }
+  const itemIds = [...new Set(items.map((item) => item.item_id))];
+  const stages = await fetchSlaStages(itemIds);
+  const breaches = await fetchSlaBreaches(itemIds);
+  const recipientsFor = await loadEscalationRecipients(facilityId, facility.regional_admin_id);
+
+  for (const item of items) {
+    const policy = policies[item.policy];
+    const sla = describeSla(item.policy, policy, item.started_at, { breachedAt: item.breached_at, now });
+    const stageKey = slaStageKey(item.policy, item.item_id, item.started_at);
+    const reached = stages.get(stageKey) || [];
+    if (sla.sla_state === "warning" && !reached.includes("warning")) {
+      await recordSlaEscalation({ facilityId, item, sla, stage: "warning", recipients: recipientsFor("assignee", item) });
+    }
+    if (sla.sla_state !== "breached") {
+      continue;
+    }
+    let seenAt = breaches.get(stageKey);
+    if (!seenAt) {
+      seenAt = await recordSlaBreach({ facilityId, item, sla, seenAt: now });
+      if (!seenAt) {
+        continue;
       }
-      filters.push(`a.assigned_to = $${index}`);
-      values.push(assigned);
-      index += 1;
+      await emitAutomationEvent({
+        trigger: "queue_item.overdue",
+        facilityId,
+        entityType: item.entity_type,
+        entityId: item.item_id,
+        eventKey: stageKey,
+        subject: {
+          resident_id: item.resident_id,
+          resident_name: item.resident_name,
+          unit_id: item.unit_id,
+          assignee_id: item.assignee_id,
+          fields: { policy: item.policy, item_type: item.entity_type, unit_id: item.unit_id },
+          links: { ...item.links, resident_id: item.resident_id },
+        },
+      });
+    }
+    const ladderStart = Math.max(new Date(sla.sla_due_at).getTime(), new Date(seenAt).getTime());
+    for (const step of policy.escalation) {
+      if (reached.includes(step.target) || now < ladderStart + step.after_hours * 3600000) {
+        continue;
+      }
+      await recordSlaEscalation({ facilityId, item, sla, stage: step.target, recipients: recipientsFor(step.target, item) });
     }
   }
+}
 
-  if (query?.from) {
-    const fromDate = parseDateOnly(query.from);
-    if (!fromDate) {
-      throw Object.assign(new Error("Invalid from date"), { status: 400 });
-    }
-    filters.push(`a.assessment_date >= $${index}`);
-    values.push(query.from);
-    index += 1;
+async function scheduleNextSlaScan(facilityId, referenceDate = new Date()) {
+  if (!(slaScanIntervalMinutes > 0)) {
+    return;
   }
+  // Runs on fixed slots so a restart re-seeding the scan lands on the task already queued.
+  const intervalMs = slaScanIntervalMinutes * 60 * 1000;
+  const nextRun = new Date((Math.floor(referenceDate.getTime() / intervalMs) + 1) * intervalMs);
+  await enqueueTask({
+    taskType: "sla_scan",
+    payload: { facility_id: facilityId },
+    runAt: nextRun,
+    taskKey: `sla_scan:${facilityId}:${nextRun.toISOString()}`,
+  });
+}
 
-  if (query?.to) {
-    const toDate = parseDateOnly(query.to);
-    if (!toDate) {
-      throw Object.assign(new Error("Invalid to date"), { status: 400 });
-    }
-    filters.push(`a.assessment_date <= $${index}`);
-    values.push(query.to);
-    index += 1;
+// Automation rules. An admin attaches conditions and actions to a trigger. emitAutomationEvent queues the
+// event and runAutomationEvent evaluates the facility's enabled rules from the task queue, so a slow or
+// failing rule never holds up the request that raised the event. Every matching rule writes one
+// automation_runs row per event and one automation_actions row per action.
+const automationTriggers = [
+  "assessment.completed",
+  "fall_event.created",
+  "report.generated",
+  "queue_item.overdue",
+  "export.run",
+];
+const automationConditionFields = {
+  "assessment.completed": ["risk_tier", "assessment_protocol", "post_fall", "unit_id"],
+  "fall_event.created": ["injury_severity", "head_strike", "witnessed", "hospital_transfer", "unit_id"],
+  "report.generated": ["report_type", "unit_id"],
+  "queue_item.overdue": ["policy", "item_type", "unit_id"],
+  "export.run": ["export_type"],
+};
+const automationConditionOps = ["eq", "neq", "in", "not_in"];
+// Re-screens need a resident and assignment needs an open assessment, so neither applies to every trigger.
+const automationActionTriggers = {
+  notify: automationTriggers,
+  create_task: automationTriggers,
+  assign: ["queue_item.overdue"],
+  schedule_rescreen: ["assessment.completed", "fall_event.created", "report.generated", "queue_item.overdue"],
+};
+const automationActionTypes = Object.keys(automationActionTriggers);
+// Actions that change clinical documentation always wait for a clinician or admin to approve them.
+const automationGatedActions = new Set(["schedule_rescreen"]);
+const automationTriggerLabels = {
+  "assessment.completed": "Assessment completed",
+  "fall_event.created": "Fall recorded",
+  "report.generated": "Report generated",
+  "queue_item.overdue": "Queue item overdue",
+  "export.run": "Scheduled export ran",
+};
+const maxAutomationActions = 10;
+const maxAutomationTaskHours = 720;
+const maxAutomationRescreenDays = 365;
+
+const isAutomationScalar = (value) => value === null || ["string", "number", "boolean"].includes(typeof value);
+
+const normalizeAutomationTargets = (value, label) => {
+  if (!Array.isArray(value) || !value.length) {
+    throw Object.assign(new Error(`${label} must be a non-empty array`), { status: 400 });
   }
+  if (value.some((target) => !slaEscalationTargets.includes(target)) || new Set(value).size !== value.length) {
+    throw Object.assign(new Error(`Invalid ${label}`), { status: 400 });
+  }
+  return value;
+};
 
-  if (query?.scheduled_from) {
-    const fromDate = parseDateOnly(query.scheduled_from);
-    if (!fromDate) {
-      throw Object.assign(new Error("Invalid scheduled_from date"), { status: 400 });
-    }
-    filters.push(`a.scheduled_date >= $${index}`);
-    values.push(query.scheduled_from);
-    index += 1;
+const normalizeAutomationText = (value, label, maxLength, required) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  if ((value !== undefined && value !== null && typeof value !== "string") || text.length > maxLength) {
+    throw Object.assign(new Error(`Invalid ${label}`), { status: 400 });
+  }
+  if (required && !text) {
+    throw Object.assign(new Error(`${label} is required`), { status: 400 });
   }
+  return text || null;
+};
 
-  if (query?.scheduled_to) {
-    const toDate = parseDateOnly(query.scheduled_to);
-    if (!toDate) {
-      throw Object.assign(new Error("Invalid scheduled_to date"), { status: 400 });
+const normalizeAutomationAction = (action, index, trigger) => {
+  const label = `actions[${index}]`;
+  if (!action || typeof action !== "object" || Array.isArray(action)) {
+    throw Object.assign(new Error(`Invalid ${label}`), { status: 400 });
+  }
+  if (!automationActionTypes.includes(action.type)) {
+    throw Object.assign(new Error(`Invalid ${label}.type`), { status: 400 });
+  }
+  if (!automationActionTriggers[action.type].includes(trigger)) {
+    throw Object.assign(new Error(`${action.type} cannot run on ${trigger}`), { status: 400 });
+  }
+  if (action.type === "notify") {
+    if (action.email !== undefined && typeof action.email !== "boolean") {
+      throw Object.assign(new Error(`Invalid ${label}.email`), { status: 400 });
     }
-    filters.push(`a.scheduled_date <= $${index}`);
-    values.push(query.scheduled_to);
-    index += 1;
+    return {
+      type: "notify",
+      to: normalizeAutomationTargets(action.to, `${label}.to`),
+      title: normalizeAutomationText(action.title, `${label}.title`, 200, false),
+      message: normalizeAutomationText(action.message, `${label}.message`, 1000, false),
+      email: action.email === true,
+    };
   }
-
-  if (query?.due_from) {
-    const fromDate = parseDateOnly(query.due_from);
-    if (!fromDate) {
-      throw Object.assign(new Error("Invalid due_from date"), { status: 400 });
+  if (action.type === "create_task") {
+    const hours = action.due_in_hours;
+    if (typeof hours !== "number" || !Number.isFinite(hours) || hours < 0 || hours > maxAutomationTaskHours) {
+      throw Object.assign(new Error(`Invalid ${label}.due_in_hours`), { status: 400 });
     }
-    filters.push(`a.due_date >= $${index}`);
-    values.push(query.due_from);
-    index += 1;
+    return {
+      type: "create_task",
+      title: normalizeAutomationText(action.title, `${label}.title`, 200, true),
+      due_in_hours: hours,
+      to: normalizeAutomationTargets(action.to, `${label}.to`),
+    };
+  }
+  if (action.type === "assign") {
+    const hasUser = action.user_id !== undefined && action.user_id !== null;
+    if (hasUser === (action.to !== undefined && action.to !== null)) {
+      throw Object.assign(new Error(`${label} needs either to or user_id`), { status: 400 });
+    }
+    if (hasUser && !isUuid(action.user_id)) {
+      throw Object.assign(new Error(`Invalid ${label}.user_id`), { status: 400 });
+    }
+    if (!hasUser && action.to !== "unit_lead") {
+      throw Object.assign(new Error(`Invalid ${label}.to`), { status: 400 });
+    }
+    return hasUser ? { type: "assign", user_id: action.user_id } : { type: "assign", to: "unit_lead" };
+  }
+  const days = action.due_in_days === undefined ? 7 : action.due_in_days;
+  if (!Number.isInteger(days) || days < 0 || days > maxAutomationRescreenDays) {
+    throw Object.assign(new Error(`Invalid ${label}.due_in_days`), { status: 400 });
   }
+  return { type: "schedule_rescreen", due_in_days: days };
+};
 
-  if (query?.due_to) {
-    const toDate = parseDateOnly(query.due_to);
-    if (!toDate) {
-      throw Object.assign(new Error("Invalid due_to date"), { status: 400 });
+const normalizeAutomationRule = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw Object.assign(new Error("Invalid rule"), { status: 400 });
+  }
+  const name = normalizeAutomationText(input.name, "name", 200, true);
+  if (!automationTriggers.includes(input.trigger)) {
+    throw Object.assign(new Error("Invalid trigger"), { status: 400 });
+  }
+  const { trigger } = input;
+  const conditions = input.conditions === undefined || input.conditions === null ? [] : input.conditions;
+  if (!Array.isArray(conditions)) {
+    throw Object.assign(new Error("conditions must be an array"), { status: 400 });
+  }
+  const normalizedConditions = conditions.map((condition, index) => {
+    const label = `conditions[${index}]`;
+    if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+      throw Object.assign(new Error(`Invalid ${label}`), { status: 400 });
     }
-    filters.push(`a.due_date <= $${index}`);
-    values.push(query.due_to);
-    index += 1;
+    if (!automationConditionFields[trigger].includes(condition.field)) {
+      throw Object.assign(new Error(`Invalid ${label}.field`), { status: 400 });
+    }
+    const op = condition.op === undefined ? "eq" : condition.op;
+    if (!automationConditionOps.includes(op)) {
+      throw Object.assign(new Error(`Invalid ${label}.op`), { status: 400 });
+    }
+    const listOp = op === "in" || op === "not_in";
+    const valid = listOp
+      ? Array.isArray(condition.value) && condition.value.length > 0 && condition.value.every(isAutomationScalar)
+      : condition.value !== undefined && isAutomationScalar(condition.value);
+    if (!valid) {
+      throw Object.assign(new Error(`Invalid ${label}.value`), { status: 400 });
+    }
+    return { field: condition.field, op, value: condition.value };
+  });
+  if (!Array.isArray(input.actions) || !input.actions.length || input.actions.length > maxAutomationActions) {
+    throw Object.assign(new Error(`actions must have 1 to ${maxAutomationActions} entries`), { status: 400 });
+  }
+  const actions = input.actions.map((action, index) => normalizeAutomationAction(action, index, trigger));
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    throw Object.assign(new Error("Invalid enabled"), { status: 400 });
   }
+  return { name, trigger, conditions: normalizedConditions, actions, enabled: input.enabled !== false };
+};
 
-  const whereClause = filters.length ? `AND ${filters.join(" AND ")}` : "";
-  const { rows } = await pool.query(
-    `SELECT a.id, a.resident_id, r.external_id, r.first_name, r.last_name,
-            a.assessment_date, a.scheduled_date, a.due_date, a.reassessment_due_date, a.completed_at,
-            a.status, a.assistive_device, a.risk_tier, a.clinician_notes,
-            a.assigned_to, a.assigned_at,
-            a.created_at, a.updated_at
-     FROM assessments a
-     JOIN residents r ON r.id = a.resident_id
-     WHERE r.facility_id = $1 ${whereClause}
-     ORDER BY a.assessment_date DESC`,
-    values
-  );
+const matchesAutomationConditions = (conditions, fields) => (conditions || []).every(({ field, op, value }) => {
+  const actual = fields?.[field] ?? null;
+  if (op === "in") {
+    return value.includes(actual);
+  }
+  if (op === "not_in") {
+    return !value.includes(actual);
+  }
+  return op === "neq" ? actual !== value : actual === value;
+});
 
-  const headers = [
-    "id",
-    "resident_id",
-    "resident_external_id",
-    "resident_first_name",
-    "resident_last_name",
-    "assessment_date",
-    "scheduled_date",
-    "due_date",
-    "reassessment_due_date",
-    "completed_at",
-    "status",
-    "assistive_device",
-    "risk_tier",
-    "clinician_notes",
-    "assigned_to",
-    "assigned_at",
-    "created_at",
-    "updated_at",
-  ];
-  const rowsData = rows.map((row) => ([
-    row.id,
-    row.resident_id,
-    row.external_id,
-    row.first_name,
-    row.last_name,
-    row.assessment_date,
-    row.scheduled_date,
-    row.due_date,
-    row.reassessment_due_date,
-    row.completed_at,
-    row.status,
-    row.assistive_device,
-    row.risk_tier,
-    row.clinician_notes,
-    row.assigned_to,
-    row.assigned_at,
-    row.created_at,
-    row.updated_at,
-  ]));
-  return buildCsv(headers, rowsData);
+// `subject` carries what the rules run against: the condition `fields`, plus the resident, unit and
+// assignee used to resolve recipients and `links` copied into notifications. Events about an assessment
+// or fall event pass `source` ({ entityType, entityId, fields }) instead, and runAutomationEvent loads the
+// subject from it, so the request raising the event does no extra reads. Events are queued once per
+// trigger and event key, and only when the facility has an enabled rule for the trigger.
+async function emitAutomationEvent({ trigger, facilityId, entityType, entityId, eventKey, subject, source }) {
+  if (!facilityId || !entityId) {
+    return null;
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT 1 FROM automation_rules WHERE facility_id = $1 AND trigger = $2 AND enabled LIMIT 1`,
+      [facilityId, trigger]
+    );
+    if (!rows[0]) {
+      return null;
+    }
+    const key = eventKey || entityId;
+    return await enqueueTask({
+      taskType: "automation_event",
+      payload: {
+        trigger,
+        facility_id: facilityId,
+        entity_type: entityType,
+        entity_id: entityId,
+        event_key: key,
+        subject: subject || {},
+        source: source
+          ? { entity_type: source.entityType, entity_id: source.entityId, fields: source.fields || {} }
+          : null,
+      },
+      taskKey: `automation:${trigger}:${key}`,
+    });
+  } catch (error) {
+    console.error("Failed to queue automation event", error.message);
+    return null;
+  }
 }
 
-async function buildAuditCsv({ facilityId, query }) {
-  const limitRaw = query?.limit;
-  const limit = limitRaw === undefined ? 200 : Number(limitRaw);
-  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
-    throw Object.assign(new Error("Invalid limit"), { status: 400 });
+// Condition fields and recipients for an assessment or fall event. Returns null when the entity is gone.
+async function fetchAutomationSubject(entityType, entityId, fields = {}) {
+  if (entityType === "assessment") {
+    const { rows } = await pool.query(
+      `SELECT a.id, a.resident_id, r.facility_id, r.unit_id, r.first_name, r.last_name, a.risk_tier,
+              a.fall_event_id, COALESCE(a.assigned_to, a.created_by) AS assignee_id,
+              COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol
+       FROM assessments a
+       JOIN residents r ON r.id = a.resident_id
+       JOIN facilities f ON f.id = r.facility_id
+       WHERE a.id = $1`,
+      [entityId]
+    );
+    const row = rows[0];
+    return row ? {
+      facility_id: row.facility_id,
+      resident_id: row.resident_id,
+      resident_name: `${row.first_name || ""} ${row.last_name || ""}`.trim() || "Resident",
+      unit_id: row.unit_id,
+      assignee_id: row.assignee_id,
+      fields: {
+        risk_tier: row.risk_tier,
+        assessment_protocol: row.assessment_protocol,
+        post_fall: Boolean(row.fall_event_id),
+        unit_id: row.unit_id,
+        ...fields,
+      },
+      links: { assessment_id: row.id, resident_id: row.resident_id },
+    } : null;
   }
-  const filters = ["u.facility_id = $1"];
-  const values = [facilityId];
-  let index = 2;
+  const { rows } = await pool.query(
+    `SELECT fe.id, fe.resident_id, fe.facility_id, fe.created_by, fe.injury_severity, fe.head_strike,
+            fe.witness, fe.hospital_transfer, r.unit_id, r.first_name, r.last_name
+     FROM fall_events fe
+     JOIN residents r ON r.id = fe.resident_id
+     WHERE fe.id = $1`,
+    [entityId]
+  );
+  const row = rows[0];
+  return row ? {
+    facility_id: row.facility_id,
+    resident_id: row.resident_id,
+    resident_name: `${row.first_name || ""} ${row.last_name || ""}`.trim() || "Resident",
+    unit_id: row.unit_id,
+    assignee_id: row.created_by,
+    fields: {
+      injury_severity: row.injury_severity,
+      head_strike: Boolean(row.head_strike),
+      witnessed: Boolean(normalizeString(row.witness)),
+      hospital_transfer: Boolean(row.hospital_transfer),
+      unit_id: row.unit_id,
+      ...fields,
+    },
+    links: { fall_event_id: row.id, resident_id: row.resident_id },
+  } : null;
+}
 
-  if (query?.action) {
-    const action = normalizeString(query.action);
-    if (!action) {
-      throw Object.assign(new Error("Invalid action filter"), { status: 400 });
-    }
-    filters.push(`l.action = $${index}`);
-    values.push(action);
-    index += 1;
-  }
+const automationRecipients = (targets, recipientsFor, subject) => [
+  ...new Set(targets.flatMap((target) => recipientsFor(target, subject))),
+];
 
-  if (query?.entity_type) {
-    const entityType = normalizeString(query.entity_type);
-    if (!entityType) {
-      throw Object.assign(new Error("Invalid entity_type filter"), { status: 400 });
+// Runs one non-gated action (or a gated one once approved) and returns its status and result. Anything
+// that cannot apply to this event is `skipped` with a reason rather than failed.
+async function performAutomationAction({ run, rule, action, actionId, recipientsFor, userId }) {
+  const subject = run.context || {};
+  const data = {
+    ...(subject.links || {}),
+    rule_id: rule.id,
+    automation_run_id: run.id,
+    resident_name: subject.resident_name,
+  };
+  if (action.type === "notify") {
+    const recipients = automationRecipients(action.to, recipientsFor, subject);
+    if (!recipients.length) {
+      return { status: "skipped", result: { reason: "No recipients" } };
+    }
+    const title = action.title || rule.name;
+    const body = action.message
+      || `${automationTriggerLabels[run.trigger]}${subject.resident_name ? ` for ${subject.resident_name}` : ""}.`;
+    const eventKeyBase = `automation:${actionId}`;
+    if (action.email) {
+      await notifyUsersInAppAndEmail({ facilityId: run.facility_id, userIds: recipients, type: "automation.notify", title, body, data, eventKeyBase });
+    } else {
+      await Promise.all(recipients.map((recipientId) => createNotification({
+        facilityId: run.facility_id,
+        userId: recipientId,
+        type: "automation.notify",
+        title,
+        body,
+        data,
+        eventKey: `${eventKeyBase}:${recipientId}`,
+      })));
     }
-    filters.push(`l.entity_type = $${index}`);
-    values.push(entityType);
-    index += 1;
+    return { status: "completed", result: { recipients } };
   }
-
-  if (query?.user_id) {
-    const userId = normalizeString(query.user_id);
-    if (!userId) {
-      throw Object.assign(new Error("Invalid user_id filter"), { status: 400 });
+  if (action.type === "create_task") {
+    // The task sits in the workflow queue until someone completes it, whether or not the targets resolve
+    // to anybody; the targets are who gets told about it.
+    const recipients = automationRecipients(action.to, recipientsFor, subject);
+    const dueAt = new Date(Date.now() + action.due_in_hours * 60 * 60 * 1000);
+    const { rows } = await pool.query(
+      `INSERT INTO automation_tasks (
+         facility_id, run_id, action_id, resident_id, entity_type, entity_id, title, assignee_ids, due_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::uuid[], $9)
+       RETURNING id`,
+      [run.facility_id, run.id, actionId, subject.resident_id || null, run.entity_type, run.entity_id,
+        action.title, recipients, dueAt]
+    );
+    const taskId = rows[0].id;
+    await Promise.all(recipients.map((recipientId) => createNotification({
+      facilityId: run.facility_id,
+      userId: recipientId,
+      type: "automation.task",
+      title: action.title,
+      body: `${action.title}${subject.resident_name ? ` for ${subject.resident_name}` : ""} is in the work queue.`,
+      data: { ...data, automation_task_id: taskId, due_at: dueAt.toISOString() },
+      eventKey: `automation_task:${taskId}:${recipientId}`,
+    })));
+    await enqueueTask({
+      taskType: "automation_task_due",
+      payload: { automation_task_id: taskId },
+      runAt: dueAt,
+      taskKey: `automation_task_due:${taskId}`,
+    });
+    return { status: "completed", result: { automation_task_id: taskId, due_at: dueAt.toISOString(), recipients } };
+  }
+  if (action.type === "assign") {
+    if (run.entity_type !== "assessment") {
+      return { status: "skipped", result: { reason: "Only assessments can be assigned" } };
     }
-    filters.push(`l.user_id = $${index}`);
-    values.push(userId);
-    index += 1;
+    const candidates = action.user_id ? [action.user_id] : recipientsFor("unit_lead", subject);
+    const { rows: userRows } = await pool.query(
+      `SELECT id FROM users WHERE id = ANY($1::uuid[]) AND facility_id = $2 AND status = 'active'`,
+      [candidates, run.facility_id]
+    );
+    const assigneeId = userRows[0]?.id;
+    if (!assigneeId) {
+      return { status: "skipped", result: { reason: "No active assignee" } };
+    }
+    const { rows } = await pool.query(
+      `UPDATE assessments
+       SET assigned_to = $1, assigned_at = now(), updated_at = now()
+       WHERE id = $2 AND status <> 'completed' AND assigned_to IS DISTINCT FROM $1
+       RETURNING id`,
+      [assigneeId, run.entity_id]
+    );
+    if (!rows[0]) {
+      return { status: "skipped", result: { reason: "Assessment is completed or already assigned", assigned_to: assigneeId } };
+    }
+    await audit(null, "assessment.assigned", "assessment", run.entity_id, {
+      assigned_to: assigneeId,
+      rule_id: rule.id,
+    });
+    return { status: "completed", result: { assigned_to: assigneeId } };
+  }
+  // schedule_rescreen, only reached once a clinician or admin approves it.
+  if (!subject.resident_id) {
+    return { status: "skipped", result: { reason: "No resident" } };
   }
+  const { rows: openRows } = await pool.query(
+    `SELECT id FROM assessments WHERE resident_id = $1 AND status <> 'completed' LIMIT 1`,
+    [subject.resident_id]
+  );
+  if (openRows[0]) {
+    return { status: "skipped", result: { reason: "Resident already has an open assessment", assessment_id: openRows[0].id } };
+  }
+  const { rows: facilityRows } = await pool.query(
+    `SELECT f.assessment_protocol, f.capture_method,
+            (SELECT id FROM users WHERE id = $2::uuid AND facility_id = f.id AND status = 'active') AS assignee_id
+     FROM facilities f WHERE f.id = $1`,
+    [run.facility_id, subject.assignee_id || null]
+  );
+  const facility = facilityRows[0] || {};
+  const today = new Date();
+  const { rows } = await pool.query(
+    `INSERT INTO assessments (
+       resident_id, created_by, status, assessment_date, scheduled_date, due_date,
+       assessment_protocol, capture_method, assigned_to, assigned_at
+     ) VALUES ($1, $2, 'needs_review', $3, $3, $4, $5, $6, $7::uuid, CASE WHEN $7::uuid IS NULL THEN NULL ELSE now() END)
+     RETURNING id`,
+    [
+      subject.resident_id,
+      userId,
+      formatDateOnly(today),
+      formatDateOnly(new Date(today.getTime() + action.due_in_days * 24 * 60 * 60 * 1000)),
+      facility.assessment_protocol || defaultAssessmentProtocol,
+      facility.capture_method || "record_upload",
+      facility.assignee_id || null,
+    ]
+  );
+  await audit(userId, "assessment.created", "assessment", rows[0].id, {
+    automation_action_id: actionId,
+    rule_id: rule.id,
+    assigned_to: facility.assignee_id || null,
+  });
+  return { status: "completed", result: { assessment_id: rows[0].id } };
+}
 
-  if (query?.from) {
-    const fromDate = parseDateTime(query.from);
-    if (!fromDate) {
-      throw Object.assign(new Error("Invalid from date"), { status: 400 });
+// A run is failed if any action failed, awaiting approval while a gated action is pending, else completed.
+async function refreshAutomationRunStatus(runId) {
+  await pool.query(
+    `UPDATE automation_runs ar
+     SET status = CASE
+           WHEN EXISTS (SELECT 1 FROM automation_actions WHERE run_id = ar.id AND status = 'failed') THEN 'failed'
+           WHEN EXISTS (SELECT 1 FROM automation_actions WHERE run_id = ar.id AND status = 'pending_approval')
+             THEN 'awaiting_approval'
+           ELSE 'completed'
+         END,
+         error = (
+           SELECT result->>'error' FROM automation_actions
+           WHERE run_id = ar.id AND status = 'failed'
+           ORDER BY position LIMIT 1
+         ),
+         updated_at = now()
+     WHERE ar.id = $1`,
+    [runId]
+  );
+}
+
+async function recordAutomationAction({ run, rule, action, position, recipientsFor }) {
+  const actionId = crypto.randomUUID();
+  let outcome;
+  if (automationGatedActions.has(action.type)) {
+    outcome = { status: "pending_approval", result: null };
+  } else {
+    try {
+      outcome = await performAutomationAction({ run, rule, action, actionId, recipientsFor, userId: null });
+    } catch (error) {
+      outcome = { status: "failed", result: { error: error.message } };
     }
-    filters.push(`l.created_at >= $${index}`);
-    values.push(fromDate);
-    index += 1;
   }
+  await pool.query(
+    `INSERT INTO automation_actions (id, run_id, position, action_type, params, entity_type, entity_id, status, result)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [actionId, run.id, position, action.type, JSON.stringify(action), run.entity_type, run.entity_id, outcome.status,
+      outcome.result ? JSON.stringify(outcome.result) : null]
+  );
+  await audit(null, `automation.${action.type}`, run.entity_type, run.entity_id, {
+    rule_id: rule.id,
+    run_id: run.id,
+    action_id: actionId,
+    trigger: run.trigger,
+    status: outcome.status,
+    result: outcome.result,
+  });
+  if (outcome.status === "pending_approval") {
+    await notifyFacilityUsers({
+      facilityId: run.facility_id,
+      type: "automation.approval_requested",
+      title: "Automation needs approval",
+      body: `${rule.name}: ${action.type.replace(/_/g, " ")}${run.context?.resident_name ? ` for ${run.context.resident_name}` : ""} is waiting for approval.`,
+      data: { ...(run.context?.links || {}), rule_id: rule.id, automation_action_id: actionId },
+      roles: ["admin", "clinician"],
+      eventKeyBase: `automation:${actionId}`,
+    });
+  }
+}
 
-  if (query?.to) {
-    const toDate = parseDateTime(query.to);
-    if (!toDate) {
-      throw Object.assign(new Error("Invalid to date"), { status: 400 });
+async function runAutomationEvent({
+  trigger,
+  facility_id: facilityId,
+  entity_type: entityType,
+  entity_id: entityId,
+  event_key: eventKey,
+  subject: eventSubject,
+  source,
+}) {
+  if (!trigger || !facilityId || !entityId) {
+    return;
+  }
+  const { rows: rules } = await pool.query(
+    `SELECT id, name, conditions, actions FROM automation_rules
+     WHERE facility_id = $1 AND trigger = $2 AND enabled
+     ORDER BY created_at ASC`,
+    [facilityId, trigger]
+  );
+  if (!rules.length) {
+    return;
+  }
+  const subject = source
+    ? await fetchAutomationSubject(source.entity_type, source.entity_id, source.fields)
+    : eventSubject;
+  if (!subject) {
+    return;
+  }
+  const matching = rules.filter((rule) => matchesAutomationConditions(rule.conditions, subject?.fields));
+  if (!matching.length) {
+    return;
+  }
+  const { rows: facilityRows } = await pool.query(
+    `SELECT regional_admin_id FROM facilities WHERE id = $1`,
+    [facilityId]
+  );
+  const recipientsFor = await loadEscalationRecipients(facilityId, facilityRows[0]?.regional_admin_id);
+  for (const rule of matching) {
+    // The unique (rule_id, event_key) keeps a retried task from running a rule twice.
+    const { rows } = await pool.query(
+      `INSERT INTO automation_runs (facility_id, rule_id, trigger, entity_type, entity_id, event_key, context, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed')
+       ON CONFLICT (rule_id, event_key) DO NOTHING
+       RETURNING id, facility_id, trigger, entity_type, entity_id, context`,
+      [facilityId, rule.id, trigger, entityType, entityId, eventKey || entityId, JSON.stringify(subject || {})]
+    );
+    const run = rows[0];
+    if (!run) {
+      continue;
     }
-    filters.push(`l.created_at <= $${index}`);
-    values.push(toDate);
-    index += 1;
+    for (const [position, action] of rule.actions.entries()) {
+      await recordAutomationAction({ run, rule, action, position, recipientsFor });
+    }
+    await refreshAutomationRunStatus(run.id);
   }
+}
 
-  const whereClause = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+// Reminds a task's assignees when it comes due. A task completed in the meantime is left alone.
+async function runAutomationTaskDue({ automation_task_id: taskId }) {
+  if (!taskId) {
+    return;
+  }
   const { rows } = await pool.query(
-    `SELECT l.id, l.user_id, u.email AS user_email, u.full_name AS user_name, u.role AS user_role,
-            l.action, l.entity_type, l.entity_id, l.metadata, l.created_at
-     FROM audit_logs l
-     JOIN users u ON u.id = l.user_id
-     ${whereClause}
-     ORDER BY l.created_at DESC
-     LIMIT $${index}`,
-    [...values, limit]
+    `SELECT t.id, t.facility_id, t.title, t.assignee_ids, t.action_id, t.due_at,
+            ar.id AS run_id, ar.rule_id, ar.context
+     FROM automation_tasks t
+     JOIN automation_runs ar ON ar.id = t.run_id
+     WHERE t.id = $1 AND t.status = 'open'`,
+    [taskId]
   );
+  const task = rows[0];
+  if (!task || !task.assignee_ids.length) {
+    return;
+  }
+  const subject = task.context || {};
+  await Promise.all(task.assignee_ids.map((recipientId) => createNotification({
+    facilityId: task.facility_id,
+    userId: recipientId,
+    type: "automation.task_due",
+    title: task.title,
+    body: `${task.title}${subject.resident_name ? ` for ${subject.resident_name}` : ""} is due.`,
+    data: {
+      ...(subject.links || {}),
+      rule_id: task.rule_id,
+      automation_run_id: task.run_id,
+      automation_action_id: task.action_id,
+      automation_task_id: task.id,
+      due_at: task.due_at,
+    },
+    eventKey: `automation_task_due:${task.id}:${recipientId}`,
+  })));
+}
 
-  const headers = [
-    "id",
-    "user_id",
-    "user_email",
-    "user_name",
-    "user_role",
-    "action",
-    "entity_type",
-    "entity_id",
-    "metadata",
-    "created_at",
-  ];
-  const rowsData = rows.map((row) => ([
-    row.id,
-    row.user_id,
-    row.user_email,
-    row.user_name,
-    row.user_role,
-    row.action,
-    row.entity_type,
-    row.entity_id,
-    row.metadata ? JSON.stringify(row.metadata) : null,
-    row.created_at,
-  ]));
-  return buildCsv(headers, rowsData);
+// Runs from the task queue once an instance's grace period has passed. Instances already completed,
+// cancelled by a void, or belonging to a voided event are left alone. A missed instance is breached from
+// missed_at, so the facility's SLA scan runs straight away and the neuro_check ladder notifies its first
+// steps without waiting for the next scheduled scan.
+async function runNeuroCheckEscalation({ neuro_check_id: neuroCheckId }) {
+  if (!neuroCheckId) {
+    return;
+  }
+  const { rows } = await pool.query(
+    `UPDATE fall_neuro_checks nc
+     SET status = 'missed', missed_at = now(), updated_at = now()
+     FROM fall_events fe
+     WHERE nc.id = $1 AND nc.status = 'pending' AND fe.id = nc.fall_event_id AND fe.voided_at IS NULL
+     RETURNING nc.id, fe.facility_id`,
+    [neuroCheckId]
+  );
+  const missed = rows[0];
+  if (!missed) {
+    return;
+  }
+  await runSlaScan({ facility_id: missed.facility_id });
 }
 
-async function fetchPostFallRollup({ facilityId, days = 30, unitId = null, limit = 200 }) {
-  const windowDays = Number.isInteger(days) ? days : 30;
-  const rowLimit = Number.isInteger(limit) ? limit : 200;
-  const unitFilter = unitId || null;
+async function processTaskQueue() {
+  const client = await pool.connect();
+  let tasks = [];
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `WITH next_tasks AS (
+         SELECT id FROM task_queue
+         WHERE status = 'pending' AND run_at <= now()
+         ORDER BY run_at ASC
+         LIMIT 5
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE task_queue t
+       SET status = 'running', attempts = attempts + 1, updated_at = now()
+       FROM next_tasks
+       WHERE t.id = next_tasks.id
+       RETURNING t.id, t.task_type, t.payload, t.attempts`
+    );
+    tasks = rows;
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Failed to claim tasks", error.message);
+    return;
+  } finally {
+    client.release();
+  }
+
+  if (!tasks.length) {
+    return;
+  }
+
+  await Promise.all(tasks.map(async (task) => {
+    try {
+      if (task.task_type === "assessment_due_scan") {
+        await runDueAssessmentScan(task.payload || {});
+        if (task.payload?.facility_id) {
+          await scheduleNextDueScan(task.payload.facility_id);
+        }
+      } else if (task.task_type === "export_schedule") {
+        await runExportSchedule(task.payload || {});
+      } else if (task.task_type === "gait_model_extract") {
+        await runGaitModel(task.payload || {});
+      } else if (task.task_type === "neuro_check_due") {
+        await runNeuroCheckEscalation(task.payload || {});
+      } else if (task.task_type === "sla_scan") {
+        await runSlaScan(task.payload || {});
+        if (task.payload?.facility_id) {
+          await scheduleNextSlaScan(task.payload.facility_id);
+        }
+      } else if (task.task_type === "automation_event") {
+        await runAutomationEvent(task.payload || {});
+      } else if (task.task_type === "automation_task_due") {
+        await runAutomationTaskDue(task.payload || {});
+      } else {
+        throw new Error(`Unknown task ${task.task_type}`);
+      }
+      await pool.query(
+        `UPDATE task_queue SET status = 'completed', updated_at = now() WHERE id = $1`,
+        [task.id]
+      );
+    } catch (error) {
+      const attempts = Number(task.attempts || 1);
+      const shouldRetry = attempts < 3;
+      const nextRunAt = shouldRetry
+        ? new Date(Date.now() + taskRetryMinutes * 60 * 1000)
+        : null;
+      await pool.query(
+        `UPDATE task_queue
+         SET status = $2,
+             run_at = COALESCE($3, run_at),
+             last_error = $4,
+             updated_at = now()
+         WHERE id = $1`,
+        [task.id, shouldRetry ? "pending" : "failed", nextRunAt, error.message]
+      );
+    }
+  }));
+}
+
+function getFacilityIdForExport(requestedFacilityId, user) {
+  if (requestedFacilityId) {
+    if (requestedFacilityId !== user.facility_id && user.role !== "admin") {
+      return null;
+    }
+    return requestedFacilityId;
+  }
+  return user.facility_id;
+}
+
+async function buildResidentsCsv({ facilityId }) {
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, external_id, first_name, last_name, dob, sex, notes, created_at, updated_at
+     FROM residents WHERE facility_id = $1 ORDER BY created_at DESC`,
+    [facilityId]
+  );
+  const headers = [
+    "id",
+    "facility_id",
+    "external_id",
+    "first_name",
+    "last_name",
+    "dob",
+    "sex",
+    "notes",
+    "created_at",
+    "updated_at",
+  ];
+  const rowsData = rows.map((row) => ([
+    row.id,
+    row.facility_id,
+    row.external_id,
+    row.first_name,
+    row.last_name,
+    row.dob,
+    row.sex,
+    row.notes,
+    row.created_at,
+    row.updated_at,
+  ]));
+  return buildCsv(headers, rowsData);
+}
+
+async function buildAssessmentsCsv({ facilityId, query }) {
+  const filters = [];
+  const values = [facilityId];
+  let index = 2;
+
+  if (query?.resident_id) {
+    filters.push(`a.resident_id = $${index}`);
+    values.push(query.resident_id);
+    index += 1;
+  }
+
+  if (query?.status) {
+    const status = normalizeString(query.status).toLowerCase();
+    if (!allowedAssessmentStatuses.has(status)) {
+      throw Object.assign(new Error("Invalid status filter"), { status: 400 });
+    }
+    filters.push(`a.status = $${index}`);
+    values.push(status);
+    index += 1;
+  }
+
+  if (query?.risk_tier) {
+    const risk = normalizeString(query.risk_tier).toLowerCase();
+    if (!allowedRiskTiers.has(risk)) {
+      throw Object.assign(new Error("Invalid risk_tier filter"), { status: 400 });
+    }
+    filters.push(`a.risk_tier = $${index}`);
+    values.push(risk);
+    index += 1;
+  }
+
+  if (query?.assigned_to) {
+    const assigned = normalizeString(query.assigned_to);
+    if (assigned === "unassigned") {
+      filters.push("a.assigned_to IS NULL");
+    } else {
+      if (!isUuid(assigned)) {
+        throw Object.assign(new Error("Invalid assigned_to filter"), { status: 400 });
+      }
+      filters.push(`a.assigned_to = $${index}`);
+      values.push(assigned);
+      index += 1;
+    }
+  }
+
+  if (query?.from) {
+    const fromDate = parseDateOnly(query.from);
+    if (!fromDate) {
+      throw Object.assign(new Error("Invalid from date"), { status: 400 });
+    }
+    filters.push(`a.assessment_date >= $${index}`);
+    values.push(query.from);
+    index += 1;
+  }
+
+  if (query?.to) {
+    const toDate = parseDateOnly(query.to);
+    if (!toDate) {
+      throw Object.assign(new Error("Invalid to date"), { status: 400 });
+    }
+    filters.push(`a.assessment_date <= $${index}`);
+    values.push(query.to);
+    index += 1;
+  }
+
+  if (query?.scheduled_from) {
+    const fromDate = parseDateOnly(query.scheduled_from);
+    if (!fromDate) {
+      throw Object.assign(new Error("Invalid scheduled_from date"), { status: 400 });
+    }
+    filters.push(`a.scheduled_date >= $${index}`);
+    values.push(query.scheduled_from);
+    index += 1;
+  }
+
+  if (query?.scheduled_to) {
+    const toDate = parseDateOnly(query.scheduled_to);
+    if (!toDate) {
+      throw Object.assign(new Error("Invalid scheduled_to date"), { status: 400 });
+    }
+    filters.push(`a.scheduled_date <= $${index}`);
+    values.push(query.scheduled_to);
+    index += 1;
+  }
+
+  if (query?.due_from) {
+    const fromDate = parseDateOnly(query.due_from);
+    if (!fromDate) {
+      throw Object.assign(new Error("Invalid due_from date"), { status: 400 });
+    }
+    filters.push(`a.due_date >= $${index}`);
+    values.push(query.due_from);
+    index += 1;
+  }
+
+  if (query?.due_to) {
+    const toDate = parseDateOnly(query.due_to);
+    if (!toDate) {
+      throw Object.assign(new Error("Invalid due_to date"), { status: 400 });
+    }
+    filters.push(`a.due_date <= $${index}`);
+    values.push(query.due_to);
+    index += 1;
+  }
+
+  const whereClause = filters.length ? `AND ${filters.join(" AND ")}` : "";
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, r.external_id, r.first_name, r.last_name,
+            a.assessment_date, a.scheduled_date, a.due_date, a.reassessment_due_date, a.completed_at,
+            a.status, a.assistive_device, a.risk_tier, a.clinician_notes,
+            a.assigned_to, a.assigned_at, a.assessment_protocol,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data, s.score_notes,
+            a.created_at, a.updated_at
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE r.facility_id = $1 ${whereClause}
+     ORDER BY a.assessment_date DESC`,
+    values
+  );
+
+  const headers = [
+    "id",
+    "resident_id",
+    "resident_external_id",
+    "resident_first_name",
+    "resident_last_name",
+    "assessment_date",
+    "scheduled_date",
+    "due_date",
+    "reassessment_due_date",
+    "completed_at",
+    "status",
+    "assistive_device",
+    "risk_tier",
+    "clinician_notes",
+    "assigned_to",
+    "assigned_at",
+    "assessment_protocol",
+    ...allScoreFields.map((field) => field.key),
+    ...allDerivedScoreFields.map((field) => field.key),
+    "score_notes",
+    "created_at",
+    "updated_at",
+  ];
+  const rowsData = rows.map((row) => {
+    const storedScores = extractStoredScores(row);
+    const derivedScores = extractDerivedScores(row);
+    return [
+      row.id,
+      row.resident_id,
+      row.external_id,
+      row.first_name,
+      row.last_name,
+      row.assessment_date,
+      row.scheduled_date,
+      row.due_date,
+      row.reassessment_due_date,
+      row.completed_at,
+      row.status,
+      row.assistive_device,
+      row.risk_tier,
+      row.clinician_notes,
+      row.assigned_to,
+      row.assigned_at,
+      row.assessment_protocol,
+      ...allScoreFields.map((field) => storedScores[field.key]),
+      ...allDerivedScoreFields.map((field) => derivedScores[field.key]),
+      row.score_notes,
+      row.created_at,
+      row.updated_at,
+    ];
+  });
+  return buildCsv(headers, rowsData);
+}
+
+async function buildAuditCsv({ facilityId, query }) {
+  const limitRaw = query?.limit;
+  const limit = limitRaw === undefined ? 200 : Number(limitRaw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw Object.assign(new Error("Invalid limit"), { status: 400 });
+  }
+  const filters = ["u.facility_id = $1"];
+  const values = [facilityId];
+  let index = 2;
+
+  if (query?.action) {
+    const action = normalizeString(query.action);
+    if (!action) {
+      throw Object.assign(new Error("Invalid action filter"), { status: 400 });
+    }
+    filters.push(`l.action = $${index}`);
+    values.push(action);
+    index += 1;
+  }
+
+  if (query?.entity_type) {
+    const entityType = normalizeString(query.entity_type);
+    if (!entityType) {
+      throw Object.assign(new Error("Invalid entity_type filter"), { status: 400 });
+    }
+    filters.push(`l.entity_type = $${index}`);
+    values.push(entityType);
+    index += 1;
+  }
+
+  if (query?.user_id) {
+    const userId = normalizeString(query.user_id);
+    if (!userId) {
+      throw Object.assign(new Error("Invalid user_id filter"), { status: 400 });
+    }
+    filters.push(`l.user_id = $${index}`);
+    values.push(userId);
+    index += 1;
+  }
+
+  if (query?.from) {
+    const fromDate = parseDateTime(query.from);
+    if (!fromDate) {
+      throw Object.assign(new Error("Invalid from date"), { status: 400 });
+    }
+    filters.push(`l.created_at >= $${index}`);
+    values.push(fromDate);
+    index += 1;
+  }
+
+  if (query?.to) {
+    const toDate = parseDateTime(query.to);
+    if (!toDate) {
+      throw Object.assign(new Error("Invalid to date"), { status: 400 });
+    }
+    filters.push(`l.created_at <= $${index}`);
+    values.push(toDate);
+    index += 1;
+  }
+
+  const whereClause = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+  const { rows } = await pool.query(
+    `SELECT l.id, l.user_id, u.email AS user_email, u.full_name AS user_name, u.role AS user_role,
+            l.action, l.entity_type, l.entity_id, l.metadata, l.created_at
+     FROM audit_logs l
+     JOIN users u ON u.id = l.user_id
+     ${whereClause}
+     ORDER BY l.created_at DESC
+     LIMIT $${index}`,
+    [...values, limit]
+  );
+
+  const headers = [
+    "id",
+    "user_id",
+    "user_email",
+    "user_name",
+    "user_role",
+    "action",
+    "entity_type",
+    "entity_id",
+    "metadata",
+    "created_at",
+  ];
+  const rowsData = rows.map((row) => ([
+    row.id,
+    row.user_id,
+    row.user_email,
+    row.user_name,
+    row.user_role,
+    row.action,
+    row.entity_type,
+    row.entity_id,
+    row.metadata ? JSON.stringify(row.metadata) : null,
+    row.created_at,
+  ]));
+  return buildCsv(headers, rowsData);
+}
+
+async function fetchPostFallRollup({ facilityId, days = 30, unitId = null, limit = 200 }) {
+  const windowDays = Number.isInteger(days) ? days : 30;
+  const rowLimit = Number.isInteger(limit) ? limit : 200;
+  const unitFilter = unitId || null;
+
+  const { rows } = await pool.query(
+    `WITH events AS (
+       SELECT fe.id,
+              fe.occurred_at::date AS occurred_date,
+              r.unit_id,
+              COALESCE(jsonb_array_length(f.fall_checklist), 0) AS required_count
+       FROM fall_events fe
+       JOIN residents r ON r.id = fe.resident_id
+       JOIN facilities f ON f.id = fe.facility_id
+       WHERE fe.facility_id = $1
+         AND fe.voided_at IS NULL
+         AND fe.occurred_at >= now() - ($2 * interval '1 day')
+         AND ($3::uuid IS NULL OR r.unit_id = $3)
+     ),
+     completed AS (
+       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
+       FROM post_fall_checks
+       WHERE status = 'completed'
+       GROUP BY fall_event_id
+     ),
+     scored AS (
+       SELECT e.*, COALESCE(c.completed_count, 0) AS completed_count
+       FROM events e
+       LEFT JOIN completed c ON c.fall_event_id = e.id
+       WHERE e.required_count > 0
+     )
+     SELECT s.unit_id,
+            fu.label AS unit_label,
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE s.completed_count >= s.required_count)::int AS completed,
+            COUNT(*) FILTER (WHERE s.completed_count < s.required_count)::int AS open,
+            COUNT(*) FILTER (
+              WHERE s.completed_count < s.required_count
+                AND (s.occurred_date + make_interval(days => $4))::date < CURRENT_DATE
+            )::int AS overdue
+     FROM scored s
+     LEFT JOIN facility_units fu ON fu.id = s.unit_id
+     GROUP BY s.unit_id, fu.label
+     ORDER BY overdue DESC, open DESC, total DESC, unit_label ASC
+     LIMIT $5`,
+    [facilityId, windowDays, unitFilter, postFallFollowupDays, rowLimit]
+  );
+
+  return rows.map((row) => {
+    const total = Number(row.total) || 0;
+    const completed = Number(row.completed) || 0;
+    return {
+      unit_id: row.unit_id,
+      unit_label: row.unit_label,
+      total,
+      completed,
+      open: Number(row.open) || 0,
+      overdue: Number(row.overdue) || 0,
+      completion_rate: total ? completed / total : 0,
+    };
+  });
+}
+
+async function buildPostFallRollupCsv({ facilityId, params }) {
+  const windowDays = Number(params?.days) || 30;
+  const unitId = params?.unit_id || null;
+  const limit = Number(params?.limit) || 200;
+  const rows = await fetchPostFallRollup({ facilityId, days: windowDays, unitId, limit });
+  const headers = [
+    "unit_id",
+    "unit_label",
+    "total",
+    "completed",
+    "open",
+    "overdue",
+    "completion_rate",
+  ];
+  const rowsData = rows.map((row) => ([
+    row.unit_id,
+    row.unit_label,
+    row.total,
+    row.completed,
+    row.open,
+    row.overdue,
+    Number.isFinite(row.completion_rate) ? row.completion_rate : 0,
+  ]));
+  return buildCsv(headers, rowsData);
+}
+
+const z95 = 1.96;
+const roundStat = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 1000) / 1000);
+
+// Fall rate per 1,000 resident-days with a 95% interval from Byar's approximation to the Poisson limits.
+const fallRateInterval = (count, days) => {
+  if (!days) {
+    return null;
+  }
+  const scale = 1000 / days;
+  const lower = count === 0 ? 0 : count * (1 - 1 / (9 * count) - z95 / (3 * Math.sqrt(count))) ** 3;
+  const upper = (count + 1) * (1 - 1 / (9 * (count + 1)) + z95 / (3 * Math.sqrt(count + 1))) ** 3;
+  return { rate: roundStat(count * scale), ci_low: roundStat(lower * scale), ci_high: roundStat(upper * scale) };
+};
+
+// After/before rate ratio with a log-scale interval; zero counts get a 0.5 continuity correction.
+const fallRateRatio = (before, daysBefore, after, daysAfter) => {
+  if (!daysBefore || !daysAfter) {
+    return null;
+  }
+  const a = after === 0 || before === 0 ? after + 0.5 : after;
+  const b = after === 0 || before === 0 ? before + 0.5 : before;
+  const ratio = (a / daysAfter) / (b / daysBefore);
+  const se = Math.sqrt(1 / a + 1 / b);
+  return {
+    value: roundStat(ratio),
+    ci_low: roundStat(Math.exp(Math.log(ratio) - z95 * se)),
+    ci_high: roundStat(Math.exp(Math.log(ratio) + z95 * se)),
+  };
+};
+
+const wilsonInterval = (successes, total) => {
+  if (!total) {
+    return null;
+  }
+  const p = successes / total;
+  const denominator = 1 + (z95 ** 2) / total;
+  const center = (p + (z95 ** 2) / (2 * total)) / denominator;
+  const margin = (z95 * Math.sqrt((p * (1 - p)) / total + (z95 ** 2) / (4 * total ** 2))) / denominator;
+  return { value: roundStat(p), ci_low: roundStat(center - margin), ci_high: roundStat(center + margin) };
+};
+
+const meanInterval = (values) => {
+  if (!values.length) {
+    return { n: 0, mean_change: null, ci_low: null, ci_high: null };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (values.length < 2) {
+    return { n: 1, mean_change: roundStat(mean), ci_low: null, ci_high: null };
+  }
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  const margin = z95 * Math.sqrt(variance / values.length);
+  return { n: values.length, mean_change: roundStat(mean), ci_low: roundStat(mean - margin), ci_high: roundStat(mean + margin) };
+};
+
+const interventionEffectScoreKeys = ["tug_seconds", "chair_stand_seconds"];
+
+// Summarizes a group of interventions. Each item carries its own before/after fall counts and exposure,
+// plus the risk tier and scores from the assessments on either side of its start date. A resident with
+// several interventions in the group would otherwise count the same falls, days and assessments more
+// than once, so only their first-started intervention (items arrive in start order) feeds the figures.
+const summarizeInterventionEffects = (items) => {
+  const windows = Array.from(
+    items.reduce((byResident, item) => (
+      byResident.has(item.resident_id) ? byResident : byResident.set(item.resident_id, item)
+    ), new Map()).values()
+  );
+  const sum = (key) => windows.reduce((total, item) => total + item[key], 0);
+  const fallsBefore = sum("falls_before");
+  const fallsAfter = sum("falls_after");
+  const daysBefore = sum("days_before");
+  const daysAfter = sum("days_after");
+  const transitions = windows.filter((item) => item.risk_before && item.risk_after);
+  const matrix = {};
+  let improved = 0;
+  let worsened = 0;
+  transitions.forEach((item) => {
+    const key = `${item.risk_before}->${item.risk_after}`;
+    matrix[key] = (matrix[key] || 0) + 1;
+    if (riskScoreMap[item.risk_after] < riskScoreMap[item.risk_before]) {
+      improved += 1;
+    } else if (riskScoreMap[item.risk_after] > riskScoreMap[item.risk_before]) {
+      worsened += 1;
+    }
+  });
+  const scoreChanges = {};
+  interventionEffectScoreKeys.forEach((key) => {
+    scoreChanges[key] = meanInterval(windows.map((item) => item.score_changes[key]).filter((value) => value !== null));
+  });
+  const warnings = [];
+  if (windows.length < interventionEffectMinSample) {
+    warnings.push("interventions_below_minimum");
+  }
+  if (transitions.length < interventionEffectMinSample) {
+    warnings.push("risk_comparisons_below_minimum");
+  }
+  if (interventionEffectScoreKeys.every((key) => scoreChanges[key].n < interventionEffectMinSample)) {
+    warnings.push("score_comparisons_below_minimum");
+  }
+  if (windows.some((item) => item.days_after < item.window_days)) {
+    warnings.push("follow_up_incomplete");
+  }
+  return {
+    interventions: items.length,
+    residents: windows.length,
+    falls_before: fallsBefore,
+    falls_after: fallsAfter,
+    resident_days_before: daysBefore,
+    resident_days_after: roundStat(daysAfter),
+    fall_rate_before: fallRateInterval(fallsBefore, daysBefore),
+    fall_rate_after: fallRateInterval(fallsAfter, daysAfter),
+    fall_rate_ratio: fallRateRatio(fallsBefore, daysBefore, fallsAfter, daysAfter),
+    risk_transitions: {
+      compared: transitions.length,
+      improved,
+      unchanged: transitions.length - improved - worsened,
+      worsened,
+      improved_rate: wilsonInterval(improved, transitions.length),
+      matrix,
+    },
+    score_changes: scoreChanges,
+    warnings,
+  };
+};
+
+// Compares each started intervention's fall rate in the `windowDays` before and after its start date,
+// and the closest completed assessments on either side. This is a before/after comparison without a
+// control group, so the fall that prompted an intervention usually sits in its "before" window.
+async function fetchInterventionEffectiveness({ facilityId, days = 365, windowDays = 90, unitId = null }) {
+  const { rows: interventions } = await pool.query(
+    `SELECT ri.id, ri.resident_id, ri.intervention_key, ri.label, ri.category, ri.start_date,
+            r.unit_id, fu.label AS unit_label
+     FROM resident_interventions ri
+     JOIN residents r ON r.id = ri.resident_id
+     LEFT JOIN facility_units fu ON fu.id = r.unit_id
+     WHERE ri.facility_id = $1
+       AND ri.status IN ('accepted', 'discontinued')
+       AND ri.start_date IS NOT NULL
+       AND ri.start_date <= CURRENT_DATE
+       AND ri.start_date >= CURRENT_DATE - $2::int
+       AND ($3::uuid IS NULL OR r.unit_id = $3)
+     ORDER BY ri.start_date ASC`,
+    [facilityId, days, unitId]
+  );
+  const residentIds = Array.from(new Set(interventions.map((row) => row.resident_id)));
+  const { rows: falls } = residentIds.length
+    ? await pool.query(
+      `SELECT resident_id, occurred_at
+       FROM fall_events
+       WHERE resident_id = ANY($1::uuid[])
+         AND voided_at IS NULL
+         AND occurred_at >= CURRENT_DATE - ($2::int + $3::int)`,
+      [residentIds, days, windowDays]
+    )
+    : { rows: [] };
+  const { rows: assessments } = residentIds.length
+    ? await pool.query(
+      `SELECT a.resident_id, a.assessment_date, a.risk_tier,
+              s.tug_seconds, s.chair_stand_seconds
+       FROM assessments a
+       LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+       WHERE a.resident_id = ANY($1::uuid[]) AND a.status = 'completed'
+       ORDER BY a.assessment_date ASC, a.created_at ASC`,
+      [residentIds]
+    )
+    : { rows: [] };
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const items = interventions.map((row) => {
+    const start = new Date(row.start_date).getTime();
+    const beforeStart = start - windowDays * dayMs;
+    const afterEnd = Math.min(start + windowDays * dayMs, now);
+    const residentFalls = falls
+      .filter((fall) => fall.resident_id === row.resident_id)
+      .map((fall) => new Date(fall.occurred_at).getTime());
+    const residentAssessments = assessments.filter((assessment) => assessment.resident_id === row.resident_id);
+    const baseline = residentAssessments
+      .filter((assessment) => new Date(assessment.assessment_date).getTime() <= start)
+      .pop();
+    const followUp = residentAssessments.find((assessment) => {
+      const time = new Date(assessment.assessment_date).getTime();
+      return time > start && time <= afterEnd;
+    });
+    const scoreChanges = {};
+    interventionEffectScoreKeys.forEach((key) => {
+      const before = baseline?.[key] === null || baseline?.[key] === undefined ? null : Number(baseline[key]);
+      const after = followUp?.[key] === null || followUp?.[key] === undefined ? null : Number(followUp[key]);
+      scoreChanges[key] = before !== null && after !== null ? after - before : null;
+    });
+    return {
+      ...row,
+      window_days: windowDays,
+      falls_before: residentFalls.filter((time) => time >= beforeStart && time < start).length,
+      falls_after: residentFalls.filter((time) => time >= start && time < afterEnd).length,
+      days_before: windowDays,
+      days_after: Math.max(0, (afterEnd - start) / dayMs),
+      risk_before: baseline?.risk_tier || null,
+      risk_after: followUp?.risk_tier || null,
+      score_changes: scoreChanges,
+    };
+  });
+
+  const groupBy = (keyFn, describe) => {
+    const groups = new Map();
+    items.forEach((item) => {
+      const key = keyFn(item);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    });
+    return Array.from(groups.values())
+      .map((group) => ({ ...describe(group[0]), ...summarizeInterventionEffects(group) }))
+      .sort((a, b) => b.interventions - a.interventions);
+  };
+
+  return {
+    days,
+    window_days: windowDays,
+    min_sample_size: interventionEffectMinSample,
+    overall: summarizeInterventionEffects(items),
+    by_intervention: groupBy((item) => item.intervention_key, (item) => ({
+      intervention_key: item.intervention_key,
+      label: item.intervention_key === "custom" ? null : item.label,
+      category: item.category,
+    })),
+    by_unit: groupBy((item) => item.unit_id || "unassigned", (item) => ({
+      unit_id: item.unit_id,
+      unit_label: item.unit_label,
+    })),
+  };
+}
+
+async function buildInterventionEffectivenessCsv({ facilityId, params }) {
+  const result = await fetchInterventionEffectiveness({
+    facilityId,
+    days: Number(params?.days) || 365,
+    windowDays: Number(params?.window_days) || 90,
+    unitId: params?.unit_id || null,
+  });
+  const headers = [
+    "group_type",
+    "group_key",
+    "group_label",
+    "interventions",
+    "residents",
+    "falls_before",
+    "falls_after",
+    "resident_days_before",
+    "resident_days_after",
+    "fall_rate_before",
+    "fall_rate_before_ci_low",
+    "fall_rate_before_ci_high",
+    "fall_rate_after",
+    "fall_rate_after_ci_low",
+    "fall_rate_after_ci_high",
+    "fall_rate_ratio",
+    "fall_rate_ratio_ci_low",
+    "fall_rate_ratio_ci_high",
+    "risk_compared",
+    "risk_improved",
+    "risk_unchanged",
+    "risk_worsened",
+    "risk_improved_rate",
+    "risk_improved_ci_low",
+    "risk_improved_ci_high",
+    ...interventionEffectScoreKeys.flatMap((key) => [`${key}_n`, `${key}_mean_change`, `${key}_ci_low`, `${key}_ci_high`]),
+    "warnings",
+  ];
+  const toRow = (groupType, groupKey, groupLabel, summary) => ([
+    groupType,
+    groupKey,
+    groupLabel,
+    summary.interventions,
+    summary.residents,
+    summary.falls_before,
+    summary.falls_after,
+    summary.resident_days_before,
+    summary.resident_days_after,
+    summary.fall_rate_before?.rate ?? null,
+    summary.fall_rate_before?.ci_low ?? null,
+    summary.fall_rate_before?.ci_high ?? null,
+    summary.fall_rate_after?.rate ?? null,
+    summary.fall_rate_after?.ci_low ?? null,
+    summary.fall_rate_after?.ci_high ?? null,
+    summary.fall_rate_ratio?.value ?? null,
+    summary.fall_rate_ratio?.ci_low ?? null,
+    summary.fall_rate_ratio?.ci_high ?? null,
+    summary.risk_transitions.compared,
+    summary.risk_transitions.improved,
+    summary.risk_transitions.unchanged,
+    summary.risk_transitions.worsened,
+    summary.risk_transitions.improved_rate?.value ?? null,
+    summary.risk_transitions.improved_rate?.ci_low ?? null,
+    summary.risk_transitions.improved_rate?.ci_high ?? null,
+    ...interventionEffectScoreKeys.flatMap((key) => {
+      const change = summary.score_changes[key];
+      return [change.n, change.mean_change, change.ci_low, change.ci_high];
+    }),
+    summary.warnings.join(";"),
+  ]);
+  const rowsData = [
+    toRow("overall", null, null, result.overall),
+    ...result.by_intervention.map((group) => toRow("intervention", group.intervention_key, group.label, group)),
+    ...result.by_unit.map((group) => toRow("unit", group.unit_id, group.unit_label, group)),
+  ];
+  return buildCsv(headers, rowsData);
+}
+
+const normalizeIncludeList = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const parts = Array.isArray(value) ? value : [value];
+  const normalized = parts
+    .flatMap((entry) => normalizeString(entry).split(","))
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return normalized.length ? normalized : null;
+};
+
+function resolveBundleIncludes(includeRaw, userRole) {
+  const provided = normalizeIncludeList(includeRaw);
+  const includes = provided
+    ?? (userRole === "admin"
+      ? ["residents", "assessments", "audit"]
+      : ["residents", "assessments"]);
+  const unique = Array.from(new Set(includes));
+  const invalid = unique.filter((entry) => !allowedBundleIncludes.has(entry));
+  if (invalid.length) {
+    throw Object.assign(new Error(`Invalid include: ${invalid.join(", ")}`), { status: 400 });
+  }
+  if (unique.includes("audit") && userRole !== "admin") {
+    throw Object.assign(new Error("Forbidden include"), { status: 403 });
+  }
+  return unique;
+}
+
+function sanitizeAssessmentExportParams(rawParams) {
+  const allowedKeys = [
+    "resident_id",
+    "status",
+    "risk_tier",
+    "from",
+    "to",
+    "assigned_to",
+    "scheduled_from",
+    "scheduled_to",
+    "due_from",
+    "due_to",
+  ];
+  const filtered = {};
+  allowedKeys.forEach((key) => {
+    const value = normalizeString(rawParams?.[key]);
+    if (!value) {
+      return;
+    }
+    if (key === "status" && !allowedAssessmentStatuses.has(value)) {
+      throw Object.assign(new Error("Invalid status filter"), { status: 400 });
+    }
+    if (key === "risk_tier" && !allowedRiskTiers.has(value)) {
+      throw Object.assign(new Error("Invalid risk_tier filter"), { status: 400 });
+    }
+    if (["from", "to", "scheduled_from", "scheduled_to", "due_from", "due_to"].includes(key)) {
+      if (!parseDateOnly(value)) {
+        throw Object.assign(new Error(`Invalid ${key} date`), { status: 400 });
+      }
+    }
+    if (key === "resident_id" && !isUuid(value)) {
+      throw Object.assign(new Error("Invalid resident_id filter"), { status: 400 });
+    }
+    if (key === "assigned_to") {
+      if (value !== "unassigned" && !isUuid(value)) {
+        throw Object.assign(new Error("Invalid assigned_to filter"), { status: 400 });
+      }
+    }
+    filtered[key] = value;
+  });
+  return Object.keys(filtered).length ? filtered : null;
+}
+
+function sanitizeAuditExportParams(rawParams) {
+  const filtered = {};
+  const stringKeys = ["action", "entity_type", "user_id", "from", "to"];
+  stringKeys.forEach((key) => {
+    const value = normalizeString(rawParams?.[key]);
+    if (value) {
+      filtered[key] = value;
+    }
+  });
+  if (rawParams?.limit !== undefined) {
+    const limit = Number(rawParams.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw Object.assign(new Error("Invalid limit"), { status: 400 });
+    }
+    filtered.limit = limit;
+  }
+  return Object.keys(filtered).length ? filtered : null;
+}
+
+function sanitizePostFallRollupParams(rawParams) {
+  const filtered = {};
+  if (rawParams?.days !== undefined) {
+    const days = Number(rawParams.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      throw Object.assign(new Error("Invalid days window"), { status: 400 });
+    }
+    filtered.days = days;
+  }
+  if (rawParams?.unit_id) {
+    const unitId = normalizeString(rawParams.unit_id);
+    if (!unitId || !isUuid(unitId)) {
+      throw Object.assign(new Error("Invalid unit_id filter"), { status: 400 });
+    }
+    filtered.unit_id = unitId;
+  }
+  if (rawParams?.limit !== undefined) {
+    const limit = Number(rawParams.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw Object.assign(new Error("Invalid limit"), { status: 400 });
+    }
+    filtered.limit = limit;
+  }
+  return Object.keys(filtered).length ? filtered : null;
+}
+
+function sanitizeInterventionEffectivenessParams(rawParams) {
+  const filtered = {};
+  if (rawParams?.days !== undefined) {
+    const days = Number(rawParams.days);
+    if (!Number.isInteger(days) || days < 1 || days > 730) {
+      throw Object.assign(new Error("Invalid days window"), { status: 400 });
+    }
+    filtered.days = days;
+  }
+  if (rawParams?.window_days !== undefined) {
+    const windowDays = Number(rawParams.window_days);
+    if (!Number.isInteger(windowDays) || windowDays < 7 || windowDays > 365) {
+      throw Object.assign(new Error("Invalid window_days"), { status: 400 });
+    }
+    filtered.window_days = windowDays;
+  }
+  if (rawParams?.unit_id) {
+    const unitId = normalizeString(rawParams.unit_id);
+    if (!unitId || !isUuid(unitId)) {
+      throw Object.assign(new Error("Invalid unit_id filter"), { status: 400 });
+    }
+    filtered.unit_id = unitId;
+  }
+  return Object.keys(filtered).length ? filtered : null;
+}
+
+async function streamZip(res, filename, entries) {
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename=\"${filename}\"`);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  return new Promise((resolve, reject) => {
+    res.on("finish", resolve);
+    archive.on("warning", (error) => {
+      if (error?.code === "ENOENT") {
+        console.warn("Zip warning", error.message);
+      } else {
+        reject(error);
+      }
+    });
+    archive.on("error", reject);
+    archive.pipe(res);
+    entries.forEach((entry) => {
+      archive.append(entry.content, { name: entry.name });
+    });
+    archive.finalize();
+  });
+}
+
+function buildUpdate(fields) {
+  const keys = Object.keys(fields).filter((key) => fields[key] !== undefined);
+  if (!keys.length) {
+    return null;
+  }
+  const setClauses = keys.map((key, index) => `${key} = $${index + 1}`);
+  const values = keys.map((key) => fields[key]);
+  return { setClauses, values };
+}
+
+function ensureVideoDir(assessmentId) {
+  const dir = path.resolve(storageRoot, "videos", assessmentId);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function ensureReportDir() {
+  const dir = path.resolve(storageRoot, "reports");
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function ensureBrandingDir(facilityId) {
+  const dir = path.resolve(storageRoot, "branding", facilityId);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function normalizeStorageKey(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, _file, cb) => {
+      const dir = ensureVideoDir(req.params.id);
+      cb(null, dir);
+    },
+    filename: (_req, file, cb) => {
+      const ext = path.extname(file.originalname || ".mp4");
+      const name = `${crypto.randomUUID()}${ext}`;
+      cb(null, name);
+    },
+  }),
+  limits: { fileSize: maxVideoSizeBytes },
+});
+
+// Logos are validated before they touch disk, so they stay in memory until accepted.
+const logoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxReportLogoBytes },
+});
+
+app.post("/auth/login", authRateLimiter, asyncHandler(async (req, res) => {
+  const { email, password } = req.body || {};
+  const normalizedEmail = normalizeString(email).toLowerCase();
+  if (!normalizedEmail || !password) {
+    return res.status(400).json({ message: "Email and password are required" });
+  }
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, email, full_name, role, status, password_salt, password_hash
+     FROM users WHERE email = $1`,
+    [normalizedEmail]
+  );
+  const user = rows[0];
+  if (!user || user.status !== "active" || !user.password_salt || !user.password_hash) {
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
+  const computed = hashPassword(password, user.password_salt);
+  if (computed !== user.password_hash) {
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
+  const token = signToken(user);
+  await audit(user.id, "auth.login", "user", user.id, null);
+  res.json({
+    token,
+    user: buildUserResponse(user),
+  });
+}));
+
+app.post("/auth/logout", (_req, res) => res.status(204).send());
+
+app.get("/auth/me", authMiddleware, asyncHandler(async (req, res) => {
+  res.status(200).json(buildUserResponse(req.user));
+}));
+
+app.get("/assessment-protocols", authMiddleware, (req, res) => {
+  res.json(assessmentProtocols.map(serializeProtocolDefinition));
+});
+
+app.get("/facilities", authMiddleware, asyncHandler(async (req, res) => {
+  const query = req.user.role === "admin"
+    ? {
+        text: `SELECT id, name, address_line1, address_line2, city, state, zip,
+                      reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+                      export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+                      assessment_protocol, capture_method, role_policy,
+                      created_at, updated_at
+               FROM facilities ORDER BY name ASC`,
+        values: [],
+      }
+    : {
+        text: `SELECT id, name, address_line1, address_line2, city, state, zip,
+                      reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+                      export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+                      assessment_protocol, capture_method, role_policy,
+                      created_at, updated_at
+               FROM facilities WHERE id = $1`,
+        values: [req.user.facility_id],
+      };
+  const { rows } = await pool.query(query.text, query.values);
+  res.json(rows);
+}));
+
+app.get("/facilities/:id", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (req.user.facility_id !== id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT id, name, address_line1, address_line2, city, state, zip,
+            reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+            export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+            assessment_protocol, capture_method, role_policy,
+            created_at, updated_at
+     FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  res.json(rows[0]);
+}));
+
+app.post("/facilities", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const {
+    name,
+    address_line1,
+    address_line2,
+    city,
+    state,
+    zip,
+    reassessment_cadence_days,
+    report_turnaround_hours,
+    qa_checklist,
+    fall_checklist,
+    export_token_ttl_days,
+    post_fall_reassessment_days,
+    reassessment_lead_days,
+    assessment_protocol,
+    capture_method,
+    role_policy,
+  } = req.body || {};
+
+  const normalizedName = normalizeString(name);
+  if (!normalizedName) {
+    return res.status(400).json({ message: "Facility name is required" });
+  }
+
+  const cadence = parseOptionalPositiveInt(reassessment_cadence_days);
+  if (cadence.error) {
+    return res.status(400).json({ message: "Invalid reassessment cadence" });
+  }
+  const reportHours = parseOptionalPositiveInt(report_turnaround_hours);
+  if (reportHours.error) {
+    return res.status(400).json({ message: "Invalid report turnaround hours" });
+  }
+  const checklist = normalizeChecklist(qa_checklist);
+  if (checklist.error) {
+    return res.status(400).json({ message: "Invalid QA checklist" });
+  }
+  const fallChecklist = normalizeChecklist(fall_checklist);
+  if (fallChecklist.error) {
+    return res.status(400).json({ message: "Invalid fall checklist" });
+  }
+  const exportTtl = parseOptionalPositiveInt(export_token_ttl_days);
+  if (exportTtl.error) {
+    return res.status(400).json({ message: "Invalid export token TTL" });
+  }
+  const reassessmentDays = parseOptionalPositiveInt(post_fall_reassessment_days);
+  if (reassessmentDays.error) {
+    return res.status(400).json({ message: "Invalid post-fall reassessment days" });
+  }
+  const leadDays = parseOptionalPositiveInt(reassessment_lead_days);
+  if (leadDays.error) {
+    return res.status(400).json({ message: "Invalid reassessment lead days" });
+  }
+  const protocol = parseOptionalEnum(assessment_protocol, allowedAssessmentProtocols);
+  if (protocol.error) {
+    return res.status(400).json({ message: "Invalid assessment protocol" });
+  }
+  const captureMethod = parseOptionalEnum(capture_method, allowedCaptureMethods);
+  if (captureMethod.error) {
+    return res.status(400).json({ message: "Invalid capture method" });
+  }
+  const rolePolicy = parseOptionalEnum(role_policy, allowedRolePolicies);
+  if (rolePolicy.error) {
+    return res.status(400).json({ message: "Invalid role policy" });
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO facilities (name, address_line1, address_line2, city, state, zip,
+                             reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+                             export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+                             assessment_protocol, capture_method, role_policy)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING id, name, address_line1, address_line2, city, state, zip,
+               reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+               export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+               assessment_protocol, capture_method, role_policy,
+               created_at, updated_at`,
+    [
+      normalizedName,
+      toNullableString(address_line1),
+      toNullableString(address_line2),
+      toNullableString(city),
+      toNullableString(state),
+      toNullableString(zip),
+      cadence.value || 90,
+      reportHours.value || 24,
+      JSON.stringify(checklist.value || []),
+      JSON.stringify(fallChecklist.value || []),
+      exportTtl.value || 7,
+      reassessmentDays.value === undefined ? 3 : reassessmentDays.value,
+      leadDays.value === undefined ? 14 : leadDays.value,
+      protocol.value || defaultAssessmentProtocol,
+      captureMethod.value || "record_upload",
+      rolePolicy.value || "clinician_admin_only",
+    ]
+  );
+  await audit(req.user.id, "facility.created", "facility", rows[0].id, { name: normalizedName });
+  scheduleNextDueScan(rows[0].id).catch((error) => {
+    console.error("Failed to schedule due scan", error.message);
+  });
+  scheduleNextSlaScan(rows[0].id).catch((error) => {
+    console.error("Failed to schedule SLA scan", error.message);
+  });
+  res.status(201).json(rows[0]);
+}));
+
+app.patch("/facilities/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updateFields = {};
+
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "name")) {
+    const normalizedName = normalizeString(req.body?.name);
+    if (!normalizedName) {
+      return res.status(400).json({ message: "Facility name is required" });
+    }
+    updateFields.name = normalizedName;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "address_line1")) {
+    updateFields.address_line1 = toNullableString(req.body?.address_line1);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "address_line2")) {
+    updateFields.address_line2 = toNullableString(req.body?.address_line2);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "city")) {
+    updateFields.city = toNullableString(req.body?.city);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "state")) {
+    updateFields.state = toNullableString(req.body?.state);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "zip")) {
+    updateFields.zip = toNullableString(req.body?.zip);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "reassessment_cadence_days")) {
+    const cadence = parseOptionalPositiveInt(req.body?.reassessment_cadence_days);
+    if (cadence.error || cadence.value === null) {
+      return res.status(400).json({ message: "Invalid reassessment cadence" });
+    }
+    updateFields.reassessment_cadence_days = cadence.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "report_turnaround_hours")) {
+    const reportHours = parseOptionalPositiveInt(req.body?.report_turnaround_hours);
+    if (reportHours.error || reportHours.value === null) {
+      return res.status(400).json({ message: "Invalid report turnaround hours" });
+    }
+    updateFields.report_turnaround_hours = reportHours.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "export_token_ttl_days")) {
+    const exportTtl = parseOptionalPositiveInt(req.body?.export_token_ttl_days);
+    if (exportTtl.error || exportTtl.value === null) {
+      return res.status(400).json({ message: "Invalid export token TTL" });
+    }
+    updateFields.export_token_ttl_days = exportTtl.value;
+  }
+  // null turns off automatic reassessment after a fall.
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "post_fall_reassessment_days")) {
+    const reassessmentDays = parseOptionalPositiveInt(req.body?.post_fall_reassessment_days);
+    if (reassessmentDays.error) {
+      return res.status(400).json({ message: "Invalid post-fall reassessment days" });
+    }
+    updateFields.post_fall_reassessment_days = reassessmentDays.value;
+  }
+  // null stops the scheduler from drafting the next reassessment.
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "reassessment_lead_days")) {
+    const leadDays = parseOptionalPositiveInt(req.body?.reassessment_lead_days);
+    if (leadDays.error) {
+      return res.status(400).json({ message: "Invalid reassessment lead days" });
+    }
+    updateFields.reassessment_lead_days = leadDays.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "qa_checklist")) {
+    const checklist = normalizeChecklist(req.body?.qa_checklist);
+    if (checklist.error) {
+      return res.status(400).json({ message: "Invalid QA checklist" });
+    }
+    updateFields.qa_checklist = JSON.stringify(checklist.value || []);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "fall_checklist")) {
+    const checklist = normalizeChecklist(req.body?.fall_checklist);
+    if (checklist.error) {
+      return res.status(400).json({ message: "Invalid fall checklist" });
+    }
+    updateFields.fall_checklist = JSON.stringify(checklist.value || []);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "assessment_protocol")) {
+    const protocol = parseOptionalEnum(req.body?.assessment_protocol, allowedAssessmentProtocols);
+    if (protocol.error || protocol.value === null) {
+      return res.status(400).json({ message: "Invalid assessment protocol" });
+    }
+    updateFields.assessment_protocol = protocol.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "capture_method")) {
+    const captureMethod = parseOptionalEnum(req.body?.capture_method, allowedCaptureMethods);
+    if (captureMethod.error || captureMethod.value === null) {
+      return res.status(400).json({ message: "Invalid capture method" });
+    }
+    updateFields.capture_method = captureMethod.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "role_policy")) {
+    const rolePolicy = parseOptionalEnum(req.body?.role_policy, allowedRolePolicies);
+    if (rolePolicy.error || rolePolicy.value === null) {
+      return res.status(400).json({ message: "Invalid role policy" });
+    }
+    updateFields.role_policy = rolePolicy.value;
+  }
+
+  const update = buildUpdate(updateFields);
+  if (!update) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  const { setClauses, values } = update;
+  const { rows } = await pool.query(
+    `UPDATE facilities SET ${setClauses.join(", ")}, updated_at = now()
+     WHERE id = $${values.length + 1}
+     RETURNING id, name, address_line1, address_line2, city, state, zip,
+               reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
+               export_token_ttl_days, post_fall_reassessment_days, reassessment_lead_days,
+               assessment_protocol, capture_method, role_policy,
+               created_at, updated_at`,
+    [...values, id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  await audit(req.user.id, "facility.updated", "facility", id, null);
+  res.json(rows[0]);
+}));
+
+async function fetchReportTemplateVersions(facilityId) {
+  const { rows } = await pool.query(
+    `SELECT id, version, created_by, created_at
+     FROM report_templates
+     WHERE facility_id = $1
+     ORDER BY version DESC`,
+    [facilityId]
+  );
+  return rows;
+}
+
+// Every change inserts a new version; reports keep pointing at the version they were rendered with.
+async function insertReportTemplateVersion(facilityId, config, userId) {
+  const { rows } = await pool.query(
+    `INSERT INTO report_templates (facility_id, version, config, created_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+     FROM report_templates
+     WHERE facility_id = $1
+     RETURNING id, facility_id, version, config, created_by, created_at`,
+    [facilityId, JSON.stringify(config), userId]
+  );
+  return toReportTemplate(rows[0]);
+}
+
+async function facilityExists(facilityId) {
+  if (!isUuid(facilityId)) {
+    return false;
+  }
+  const { rows } = await pool.query(`SELECT id FROM facilities WHERE id = $1`, [facilityId]);
+  return Boolean(rows[0]);
+}
+
+function buildSampleReportAssessment() {
+  return {
+    id: null,
+    assessment_date: new Date().toISOString().slice(0, 10),
+    assistive_device: "Walker",
+    risk_tier: "moderate",
+    clinician_notes: "Sample clinician notes. Real reports show the notes entered on the assessment.",
+    assessment_protocol: defaultAssessmentProtocol,
+    first_name: "Sample",
+    last_name: "Resident",
+    dob: "1940-01-01",
+    sex: "F",
+    external_id: "SAMPLE-001",
+    facility_name: "Sample Facility",
+    pt_cpt_codes: "97116",
+    pt_goals: "Sample goals.",
+    pt_plan_of_care: "Sample plan of care.",
+    pt_pain_score: 2,
+    pt_session_minutes: 30,
+    pt_time_saved_minutes: 10,
+    scores: {
+      tug_seconds: 14.2,
+      chair_stand_seconds: 13.1,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: false,
+      protocol_data: null,
+      score_notes: "Sample score notes.",
+    },
+    protocol: getProtocolDefinition(defaultAssessmentProtocol),
+    signature: null,
+    narrative: {
+      subjective: "Sample subjective section.",
+      objective: "Sample objective section.",
+      assessment: "Sample assessment section.",
+      plan: "Sample plan section.",
+    },
+    trend: [
+      { assessment_date: "2025-01-15", tug_seconds: 11.4 },
+      { assessment_date: "2025-04-15", tug_seconds: 12.8 },
+      { assessment_date: "2025-07-15", tug_seconds: 14.2 },
+    ],
+    fall_history: [
+      { occurred_at: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000), injury_severity: "minor", ems_called: false, hospital_transfer: false },
+    ],
+    video: null,
+  };
+}
+
+app.get("/facilities/:id/report-template", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!(await facilityExists(id))) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  const template = await fetchActiveReportTemplate(id);
+  const versions = await fetchReportTemplateVersions(id);
+  res.json({
+    template,
+    versions,
+    available_sections: reportTemplateSections,
+    required_sections: requiredReportTemplateSections,
+  });
+}));
+
+app.put("/facilities/:id/report-template", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!(await facilityExists(id))) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  const active = await fetchActiveReportTemplate(id);
+  let config;
+  try {
+    config = normalizeReportTemplateConfig(req.body, active.config);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  const template = await insertReportTemplateVersion(id, config, req.user.id);
+  await audit(req.user.id, "report_template.updated", "facility", id, { version: template.version });
+  res.json(template);
+}));
+
+app.post("/facilities/:id/report-template/logo", authMiddleware, requireRole("admin"), logoUpload.single("logo"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!req.file) {
+    return res.status(400).json({ message: "Logo file is required" });
+  }
+  if (!(await facilityExists(id))) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  const buffer = req.file.buffer;
+  const isPng = buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  const isJpeg = buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  if (!allowedReportLogoTypes.has(req.file.mimetype) || (!isPng && !isJpeg)) {
+    return res.status(400).json({ message: "Logo must be a PNG or JPEG image" });
+  }
+  const fileName = `${crypto.randomUUID()}${isPng ? ".png" : ".jpg"}`;
+  const filePath = path.resolve(ensureBrandingDir(id), fileName);
+  fs.writeFileSync(filePath, buffer);
+  const active = await fetchActiveReportTemplate(id);
+  const template = await insertReportTemplateVersion(
+    id,
+    { ...active.config, logo_storage_key: normalizeStorageKey(path.relative(storageRoot, filePath)) },
+    req.user.id
+  );
+  await audit(req.user.id, "report_template.logo_uploaded", "facility", id, { version: template.version });
+  res.status(201).json(template);
+}));
+
+// Renders with the saved template, or with unsaved `config` changes layered on top of it, and streams
+// the PDF back without writing a report row or file.
+app.post("/facilities/:id/report-template/preview", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  if (!(await facilityExists(id))) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  const reportType = normalizeString(body.report_type) || "assessment";
+  if (!["assessment", "pt_summary", "handout"].includes(reportType)) {
+    return res.status(400).json({ message: "Invalid report_type" });
+  }
+  const requestedLanguage = parseOptionalEnum(body.language, allowedReportLanguages);
+  if (requestedLanguage.error) {
+    return res.status(400).json({ message: "Invalid language" });
+  }
+  const language = requestedLanguage.value || "en";
+  const active = await fetchActiveReportTemplate(id);
+  let template = active;
+  if (body.config !== undefined && body.config !== null) {
+    try {
+      template = { ...active, config: normalizeReportTemplateConfig(body.config, active.config) };
+    } catch (error) {
+      if (error?.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
+    }
+  }
+
+  let assessment = buildSampleReportAssessment();
+  const assessmentId = normalizeString(body.assessment_id);
+  if (assessmentId) {
+    if (!isUuid(assessmentId)) {
+      return res.status(400).json({ message: "Invalid assessment_id" });
+    }
+    const { rows } = await pool.query(
+      `SELECT r.facility_id
+       FROM assessments a
+       JOIN residents r ON r.id = a.resident_id
+       WHERE a.id = $1`,
+      [assessmentId]
+    );
+    if (!rows[0] || rows[0].facility_id !== id) {
+      return res.status(404).json({ message: "Assessment not found" });
+    }
+    assessment = reportType === "pt_summary"
+      ? await fetchAssessmentForPtSummary(assessmentId)
+      : await fetchAssessmentForReport(assessmentId, template);
+  }
+
+  res.setHeader("Content-Disposition", `inline; filename=report_preview_${id}.pdf`);
+  res.type("application/pdf");
+  if (reportType === "pt_summary") {
+    await generatePtSummaryPdf(res, assessment, template, language);
+  } else if (reportType === "handout") {
+    await generateHandoutPdf(res, assessment, template, language);
+  } else {
+    await generatePdf(res, assessment, template, language);
+  }
+}));
+
+app.get("/facilities/:id/fall-check-schemas", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (req.user.facility_id !== id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT fall_checklist, fall_check_schemas FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  res.json({
+    fall_checklist: rows[0].fall_checklist,
+    schemas: rows[0].fall_check_schemas,
+    presets: Object.entries(fallCheckFieldPresets).map(([key, field]) => ({ key, ...field })),
+  });
+}));
+
+// Replaces the whole schema map. Existing check data is kept as recorded; the new schema applies
+// to the next write.
+app.put("/facilities/:id/fall-check-schemas", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: facilityRows } = await pool.query(
+    `SELECT fall_checklist FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!facilityRows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  let schemas;
+  try {
+    schemas = normalizeFallCheckSchemas(req.body?.schemas, facilityRows[0].fall_checklist);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  const { rows } = await pool.query(
+    `UPDATE facilities SET fall_check_schemas = $2, updated_at = now()
+     WHERE id = $1
+     RETURNING fall_checklist, fall_check_schemas`,
+    [id, JSON.stringify(schemas)]
+  );
+  await audit(req.user.id, "fall_check_schemas.updated", "facility", id, {
+    items: Object.keys(schemas),
+  });
+  res.json({ fall_checklist: rows[0].fall_checklist, schemas: rows[0].fall_check_schemas });
+}));
+
+app.get("/facilities/:id/intervention-library", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (req.user.facility_id !== id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT intervention_library FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  res.json({
+    customized: Array.isArray(rows[0].intervention_library),
+    library: resolveInterventionLibrary(rows[0].intervention_library),
+    presets: defaultInterventionLibrary,
+    categories: Array.from(allowedInterventionCategories),
+  });
+}));
+
+// Replaces the whole library; `library: null` goes back to the built-in defaults. Interventions already
+// recommended or accepted keep the label and details they were created with.
+app.put("/facilities/:id/intervention-library", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let library = null;
+  if (req.body?.library !== null) {
+    try {
+      library = normalizeInterventionLibrary(req.body?.library);
+    } catch (error) {
+      if (error?.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
+    }
+  }
+  const { rows } = await pool.query(
+    `UPDATE facilities SET intervention_library = $2, updated_at = now()
+     WHERE id = $1
+     RETURNING intervention_library`,
+    [id, library ? JSON.stringify(library) : null]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  await audit(req.user.id, "intervention_library.updated", "facility", id, {
+    interventions: library ? library.map((entry) => entry.key) : null,
+  });
+  res.json({
+    customized: Array.isArray(rows[0].intervention_library),
+    library: resolveInterventionLibrary(rows[0].intervention_library),
+  });
+}));
+
+app.get("/facilities/:id/repeat-fall-rules", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (req.user.facility_id !== id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT repeat_fall_rules FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  res.json({
+    customized: Boolean(rows[0].repeat_fall_rules),
+    rules: resolveRepeatFallRules(rows[0].repeat_fall_rules),
+    defaults: defaultRepeatFallRules,
+  });
+}));
+
+// `rules: null` goes back to the defaults. New thresholds apply from the next fall; open flags stay open.
+app.put("/facilities/:id/repeat-fall-rules", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let rules = null;
+  if (req.body?.rules !== null) {
+    try {
+      rules = normalizeRepeatFallRules(req.body?.rules);
+    } catch (error) {
+      if (error?.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
+    }
+  }
+  const { rows } = await pool.query(
+    `UPDATE facilities SET repeat_fall_rules = $2, updated_at = now()
+     WHERE id = $1
+     RETURNING repeat_fall_rules`,
+    [id, rules ? JSON.stringify(rules) : null]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  await audit(req.user.id, "repeat_fall_rules.updated", "facility", id, { rules });
+  res.json({
+    customized: Boolean(rows[0].repeat_fall_rules),
+    rules: resolveRepeatFallRules(rows[0].repeat_fall_rules),
+  });
+}));
+
+app.get("/facilities/:id/sla-policies", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (req.user.facility_id !== id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT sla_policies, report_turnaround_hours, regional_admin_id FROM facilities WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  res.json({
+    customized: Boolean(rows[0].sla_policies),
+    policies: resolveSlaPolicies(rows[0].sla_policies, rows[0].report_turnaround_hours),
+    defaults: defaultSlaPolicies,
+    regional_admin_id: rows[0].regional_admin_id,
+  });
+}));
+
+// `policies: null` goes back to the defaults. The regional admin can be an admin at any facility; it is the
+// last step of every ladder that includes regional_admin.
+app.put("/facilities/:id/sla-policies", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  const updateFields = {};
+  if (Object.prototype.hasOwnProperty.call(body, "policies")) {
+    let policies = null;
+    if (body.policies !== null) {
+      try {
+        policies = normalizeSlaPolicies(body.policies);
+      } catch (error) {
+        if (error?.status) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        throw error;
+      }
+    }
+    updateFields.sla_policies = policies ? JSON.stringify(policies) : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "regional_admin_id")) {
+    const regionalAdminId = body.regional_admin_id || null;
+    if (regionalAdminId) {
+      if (!isUuid(regionalAdminId)) {
+        return res.status(400).json({ message: "Invalid regional_admin_id" });
+      }
+      const { rows: userRows } = await pool.query(
+        `SELECT id FROM users WHERE id = $1 AND role = 'admin' AND status = 'active'`,
+        [regionalAdminId]
+      );
+      if (!userRows[0]) {
+        return res.status(400).json({ message: "Regional admin must be an active admin" });
+      }
+    }
+    updateFields.regional_admin_id = regionalAdminId;
+  }
+  const update = buildUpdate(updateFields);
+  if (!update) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+  const { setClauses, values } = update;
+  const { rows } = await pool.query(
+    `UPDATE facilities SET ${setClauses.join(", ")}, updated_at = now()
+     WHERE id = $${values.length + 1}
+     RETURNING sla_policies, report_turnaround_hours, regional_admin_id`,
+    [...values, id]
+  );
+  if (!rows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  await audit(req.user.id, "sla_policies.updated", "facility", id, {
+    policies: rows[0].sla_policies,
+    regional_admin_id: rows[0].regional_admin_id,
+  });
+  res.json({
+    customized: Boolean(rows[0].sla_policies),
+    policies: resolveSlaPolicies(rows[0].sla_policies, rows[0].report_turnaround_hours),
+    regional_admin_id: rows[0].regional_admin_id,
+  });
+}));
+
+const automationRuleColumns = `id, facility_id, name, trigger, conditions, actions, enabled,
+            created_by, updated_by, created_at, updated_at`;
+
+// assign actions with a fixed user_id must name an active user at the rule's facility.
+async function checkAutomationAssignees(actions, facilityId) {
+  const userIds = actions.filter((action) => action.user_id).map((action) => action.user_id);
+  if (!userIds.length) {
+    return;
+  }
+  const { rows } = await pool.query(
+    `SELECT id FROM users WHERE id = ANY($1::uuid[]) AND facility_id = $2 AND status = 'active'`,
+    [userIds, facilityId]
+  );
+  if (rows.length !== new Set(userIds).size) {
+    throw Object.assign(new Error("Assignee must be an active user at the facility"), { status: 400 });
+  }
+}
+
+app.get("/automation/rules", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const facilityId = normalizeString(req.query.facility_id || req.user.facility_id);
+  if (!facilityId || !isUuid(facilityId)) {
+    return res.status(400).json({ message: "Invalid facility_id" });
+  }
+  const { rows } = await pool.query(
+    `SELECT ${automationRuleColumns}
+     FROM automation_rules
+     WHERE facility_id = $1
+     ORDER BY created_at ASC`,
+    [facilityId]
+  );
+  res.json(rows);
+}));
+
+app.post("/automation/rules", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const facilityId = normalizeString(body.facility_id || req.user.facility_id);
+  if (!facilityId || !isUuid(facilityId)) {
+    return res.status(400).json({ message: "Invalid facility_id" });
+  }
+  const { rows: facilityRows } = await pool.query(`SELECT id FROM facilities WHERE id = $1`, [facilityId]);
+  if (!facilityRows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  let rule;
+  try {
+    rule = normalizeAutomationRule(body);
+    await checkAutomationAssignees(rule.actions, facilityId);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  const { rows } = await pool.query(
+    `INSERT INTO automation_rules (facility_id, name, trigger, conditions, actions, enabled, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+     RETURNING ${automationRuleColumns}`,
+    [
+      facilityId,
+      rule.name,
+      rule.trigger,
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.actions),
+      rule.enabled,
+      req.user.id,
+    ]
+  );
+  await audit(req.user.id, "automation_rule.created", "automation_rule", rows[0].id, {
+    facility_id: facilityId,
+    trigger: rule.trigger,
+  });
+  res.status(201).json(rows[0]);
+}));
+
+// The rule is validated as a whole after merging, so changing the trigger re-checks its conditions and
+// actions. Past runs keep the actions they ran with.
+app.patch("/automation/rules/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return res.status(404).json({ message: "Rule not found" });
+  }
+  const { rows: currentRows } = await pool.query(
+    `SELECT ${automationRuleColumns} FROM automation_rules WHERE id = $1`,
+    [id]
+  );
+  const current = currentRows[0];
+  if (!current) {
+    return res.status(404).json({ message: "Rule not found" });
+  }
+  const body = req.body || {};
+  const editable = ["name", "trigger", "conditions", "actions", "enabled"];
+  if (!editable.some((key) => Object.prototype.hasOwnProperty.call(body, key))) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+  let rule;
+  try {
+    rule = normalizeAutomationRule({
+      ...Object.fromEntries(editable.map((key) => [key, current[key]])),
+      ...Object.fromEntries(editable.filter((key) => body[key] !== undefined).map((key) => [key, body[key]])),
+    });
+    await checkAutomationAssignees(rule.actions, current.facility_id);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  const { rows } = await pool.query(
+    `UPDATE automation_rules
+     SET name = $1, trigger = $2, conditions = $3, actions = $4, enabled = $5, updated_by = $6, updated_at = now()
+     WHERE id = $7
+     RETURNING ${automationRuleColumns}`,
+    [
+      rule.name,
+      rule.trigger,
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.actions),
+      rule.enabled,
+      req.user.id,
+      id,
+    ]
+  );
+  await audit(req.user.id, "automation_rule.updated", "automation_rule", id, {
+    fields: editable.filter((key) => body[key] !== undefined),
+  });
+  res.json(rows[0]);
+}));
+
+app.get("/automation/runs", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const facilityId = normalizeString(req.query.facility_id || req.user.facility_id);
+  if (!facilityId || !isUuid(facilityId)) {
+    return res.status(400).json({ message: "Invalid facility_id" });
+  }
+  const limitRaw = req.query.limit;
+  const limit = limitRaw === undefined ? 50 : Number(limitRaw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ message: "Invalid limit" });
+  }
+  const filters = ["ar.facility_id = $1"];
+  const values = [facilityId];
+  const uuidFilters = { rule_id: "ar.rule_id", entity_id: "ar.entity_id" };
+  for (const [param, column] of Object.entries(uuidFilters)) {
+    if (req.query[param] === undefined) {
+      continue;
+    }
+    const value = normalizeString(req.query[param]);
+    if (!value || !isUuid(value)) {
+      return res.status(400).json({ message: `Invalid ${param} filter` });
+    }
+    values.push(value);
+    filters.push(`${column} = $${values.length}`);
+  }
+  if (req.query.trigger !== undefined) {
+    if (!automationTriggers.includes(req.query.trigger)) {
+      return res.status(400).json({ message: "Invalid trigger filter" });
+    }
+    values.push(req.query.trigger);
+    filters.push(`ar.trigger = $${values.length}`);
+  }
+  if (req.query.status !== undefined) {
+    if (!["completed", "awaiting_approval", "failed"].includes(req.query.status)) {
+      return res.status(400).json({ message: "Invalid status filter" });
+    }
+    values.push(req.query.status);
+    filters.push(`ar.status = $${values.length}`);
+  }
+  values.push(limit);
+  const { rows } = await pool.query(
+    `SELECT ar.id, ar.facility_id, ar.rule_id, rl.name AS rule_name, ar.trigger, ar.entity_type, ar.entity_id,
+            ar.event_key, ar.context, ar.status, ar.error, ar.created_at, ar.updated_at,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'id', aa.id,
+                       'position', aa.position,
+                       'action_type', aa.action_type,
+                       'params', aa.params,
+                       'entity_type', aa.entity_type,
+                       'entity_id', aa.entity_id,
+                       'status', aa.status,
+                       'result', aa.result,
+                       'reviewed_by', aa.reviewed_by,
+                       'reviewed_at', aa.reviewed_at,
+                       'created_at', aa.created_at
+                     ) ORDER BY aa.position)
+              FROM automation_actions aa
+              WHERE aa.run_id = ar.id
+            ), '[]'::json) AS actions
+     FROM automation_runs ar
+     JOIN automation_rules rl ON rl.id = ar.rule_id
+     WHERE ${filters.join(" AND ")}
+     ORDER BY ar.created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  res.json(rows);
+}));
+
+// Gated actions waiting for a clinician or admin at the facility, for whoever the facility's role policy
+// lets approve them.
+app.get("/automation/approvals", authMiddleware, asyncHandler(async (req, res) => {
+  const facilityId = normalizeString(req.query.facility_id || req.user.facility_id);
+  if (!facilityId || !isUuid(facilityId)) {
+    return res.status(400).json({ message: "Invalid facility_id" });
+  }
+  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows: facilityRows } = await pool.query(`SELECT role_policy FROM facilities WHERE id = $1`, [facilityId]);
+  if (!facilityRows[0]) {
+    return res.status(404).json({ message: "Facility not found" });
+  }
+  if (!isRolePolicyAllowed(facilityRows[0].role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const { rows } = await pool.query(
+    `SELECT aa.id, aa.action_type, aa.params, aa.entity_type, aa.entity_id, aa.status, aa.created_at,
+            ar.id AS run_id, ar.rule_id, rl.name AS rule_name, ar.trigger,
+            ar.context->>'resident_id' AS resident_id, ar.context->>'resident_name' AS resident_name
+     FROM automation_actions aa
+     JOIN automation_runs ar ON ar.id = aa.run_id
+     JOIN automation_rules rl ON rl.id = ar.rule_id
+     WHERE ar.facility_id = $1 AND aa.status = 'pending_approval'
+     ORDER BY aa.created_at ASC`,
+    [facilityId]
+  );
+  res.json(rows);
+}));
+
+async function fetchPendingAutomationAction(actionId, user) {
+  if (!isUuid(actionId)) {
+    throw Object.assign(new Error("Action not found"), { status: 404 });
+  }
+  const { rows } = await pool.query(
+    `SELECT aa.id, aa.action_type, aa.params, aa.status,
+            ar.id AS run_id, ar.facility_id, ar.trigger, ar.entity_type, ar.entity_id, ar.context,
+            rl.id AS rule_id, rl.name AS rule_name, f.role_policy, f.regional_admin_id
+     FROM automation_actions aa
+     JOIN automation_runs ar ON ar.id = aa.run_id
+     JOIN automation_rules rl ON rl.id = ar.rule_id
+     JOIN facilities f ON f.id = ar.facility_id
+     WHERE aa.id = $1`,
+    [actionId]
+  );
+  const action = rows[0];
+  if (!action) {
+    throw Object.assign(new Error("Action not found"), { status: 404 });
+  }
+  if (action.facility_id !== user.facility_id && user.role !== "admin") {
+    throw Object.assign(new Error("Forbidden"), { status: 403 });
+  }
+  if (!isRolePolicyAllowed(action.role_policy, user.role)) {
+    throw Object.assign(new Error("Admin role required for this facility"), { status: 403 });
+  }
+  if (action.status !== "pending_approval") {
+    throw Object.assign(new Error("Action is not awaiting approval"), { status: 409 });
+  }
+  return action;
+}
+
+const automationActionResponse = async (actionId) => {
+  const { rows } = await pool.query(
+    `SELECT id, run_id, position, action_type, params, entity_type, entity_id, status, result,
+            reviewed_by, reviewed_at, created_at, updated_at
+     FROM automation_actions WHERE id = $1`,
+    [actionId]
+  );
+  return rows[0];
+};
+
+app.post("/automation/actions/:id/approve", authMiddleware, asyncHandler(async (req, res) => {
+  let action;
+  try {
+    action = await fetchPendingAutomationAction(req.params.id, req.user);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  // Claim the action first so two approvals cannot both run it.
+  const { rows: claimed } = await pool.query(
+    `UPDATE automation_actions
+     SET status = 'completed', reviewed_by = $2, reviewed_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING id`,
+    [action.id, req.user.id]
+  );
+  if (!claimed[0]) {
+    return res.status(409).json({ message: "Action is not awaiting approval" });
+  }
+  const run = {
+    id: action.run_id,
+    facility_id: action.facility_id,
+    trigger: action.trigger,
+    entity_type: action.entity_type,
+    entity_id: action.entity_id,
+    context: action.context,
+  };
+  const recipientsFor = await loadEscalationRecipients(action.facility_id, action.regional_admin_id);
+  let outcome;
+  try {
+    outcome = await performAutomationAction({
+      run,
+      rule: { id: action.rule_id, name: action.rule_name },
+      action: { ...action.params, type: action.action_type },
+      actionId: action.id,
+      recipientsFor,
+      userId: req.user.id,
+    });
+  } catch (error) {
+    outcome = { status: "failed", result: { error: error.message } };
+  }
+  await pool.query(
+    `UPDATE automation_actions SET status = $2, result = $3, updated_at = now() WHERE id = $1`,
+    [action.id, outcome.status, outcome.result ? JSON.stringify(outcome.result) : null]
+  );
+  await refreshAutomationRunStatus(action.run_id);
+  await audit(req.user.id, "automation.action_approved", action.entity_type, action.entity_id, {
+    rule_id: action.rule_id,
+    run_id: action.run_id,
+    action_id: action.id,
+    action_type: action.action_type,
+    status: outcome.status,
+    result: outcome.result,
+  });
+  res.json(await automationActionResponse(action.id));
+}));
+
+app.post("/automation/actions/:id/reject", authMiddleware, asyncHandler(async (req, res) => {
+  let action;
+  try {
+    action = await fetchPendingAutomationAction(req.params.id, req.user);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  const reason = toNullableString(req.body?.reason);
+  const { rows } = await pool.query(
+    `UPDATE automation_actions
+     SET status = 'rejected', result = $3, reviewed_by = $2, reviewed_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING id`,
+    [action.id, req.user.id, JSON.stringify({ reason })]
+  );
+  if (!rows[0]) {
+    return res.status(409).json({ message: "Action is not awaiting approval" });
+  }
+  await refreshAutomationRunStatus(action.run_id);
+  await audit(req.user.id, "automation.action_rejected", action.entity_type, action.entity_id, {
+    rule_id: action.rule_id,
+    run_id: action.run_id,
+    action_id: action.id,
+    action_type: action.action_type,
+    reason,
+  });
+  res.json(await automationActionResponse(action.id));
+}));
+
+const automationTaskColumns = `id, facility_id, run_id, action_id, resident_id, entity_type, entity_id, title,
+  assignee_ids, due_at, status, completed_by, completed_at, created_at, updated_at`;
+
+// Tasks opened by create_task actions are ordinary work: anyone the facility's role policy allows can close them.
+app.post("/automation/tasks/:id/complete", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return res.status(404).json({ message: "Task not found" });
+  }
+  const { rows: taskRows } = await pool.query(
+    `SELECT t.id, t.facility_id, t.status, t.run_id, t.action_id, t.entity_type, t.entity_id,
+            ar.rule_id, f.role_policy
+     FROM automation_tasks t
+     JOIN automation_runs ar ON ar.id = t.run_id
+     JOIN facilities f ON f.id = t.facility_id
+     WHERE t.id = $1`,
+    [id]
+  );
+  const task = taskRows[0];
+  if (!task) {
+    return res.status(404).json({ message: "Task not found" });
+  }
+  if (task.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(task.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const { rows } = await pool.query(
+    `UPDATE automation_tasks
+     SET status = 'completed', completed_by = $2, completed_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'open'
+     RETURNING ${automationTaskColumns}`,
+    [id, req.user.id]
+  );
+  if (!rows[0]) {
+    return res.status(409).json({ message: "Task is already completed" });
+  }
+  await audit(req.user.id, "automation.task_completed", task.entity_type, task.entity_id, {
+    rule_id: task.rule_id,
+    run_id: task.run_id,
+    action_id: task.action_id,
+    automation_task_id: task.id,
+  });
+  res.json(rows[0]);
+}));
+
+// The unit lead is the second step of SLA escalation ladders, so it has to be an active user at the facility.
+async function resolveUnitLead(value, facilityId) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (!isUuid(value)) {
+    throw Object.assign(new Error("Invalid lead_user_id"), { status: 400 });
+  }
+  const { rows } = await pool.query(
+    `SELECT id FROM users WHERE id = $1 AND facility_id = $2 AND status = 'active'`,
+    [value, facilityId]
+  );
+  if (!rows[0]) {
+    throw Object.assign(new Error("Unit lead must be an active user at the facility"), { status: 400 });
+  }
+  return rows[0].id;
+}
+
+app.get("/units", authMiddleware, asyncHandler(async (req, res) => {
+  const facilityId = normalizeString(req.query.facility_id || req.user.facility_id);
+  if (!facilityId) {
+    return res.status(400).json({ message: "facility_id is required" });
+  }
+  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, label, building, floor, unit, room, lead_user_id, created_at, updated_at
+     FROM facility_units
+     WHERE facility_id = $1
+     ORDER BY label ASC`,
+    [facilityId]
+  );
+  res.json(rows);
+}));
+
+app.post("/units", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const {
+    facility_id,
+    label,
+    building,
+    floor,
+    unit,
+    room,
+    lead_user_id,
+  } = req.body || {};
+  const facilityId = facility_id || req.user.facility_id;
+  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows: facilityRows } = await pool.query(
+    `SELECT id FROM facilities WHERE id = $1`,
+    [facilityId]
+  );
+  if (!facilityRows[0]) {
+    return res.status(400).json({ message: "Facility not found" });
+  }
+  const normalizedBuilding = toNullableString(building);
+  const normalizedFloor = toNullableString(floor);
+  const normalizedUnit = toNullableString(unit);
+  const normalizedRoom = toNullableString(room);
+  const normalizedLabel = buildUnitLabel({
+    label,
+    building: normalizedBuilding,
+    floor: normalizedFloor,
+    unit: normalizedUnit,
+    room: normalizedRoom,
+  });
+  if (!normalizedLabel) {
+    return res.status(400).json({ message: "Unit label is required" });
+  }
+  let leadUserId = null;
+  try {
+    leadUserId = await resolveUnitLead(lead_user_id, facilityId);
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO facility_units (facility_id, label, building, floor, unit, room, lead_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, facility_id, label, building, floor, unit, room, lead_user_id, created_at, updated_at`,
+      [
+        facilityId,
+        normalizedLabel,
+        normalizedBuilding,
+        normalizedFloor,
+        normalizedUnit,
+        normalizedRoom,
+        leadUserId,
+      ]
+    );
+    await audit(req.user.id, "unit.created", "unit", rows[0].id, { facility_id: facilityId });
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    if (error?.code === "23505") {
+      return res.status(409).json({ message: "Unit label already exists" });
+    }
+    throw error;
+  }
+}));
+
+app.patch("/units/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: unitRows } = await pool.query(
+    `SELECT id, facility_id FROM facility_units WHERE id = $1`,
+    [id]
+  );
+  if (!unitRows[0]) {
+    return res.status(404).json({ message: "Unit not found" });
+  }
+
+  const updateFields = {};
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "label")) {
+    const normalizedLabel = buildUnitLabel({
+      label: req.body?.label,
+      building: req.body?.building,
+      floor: req.body?.floor,
+      unit: req.body?.unit,
+      room: req.body?.room,
+    });
+    if (!normalizedLabel) {
+      return res.status(400).json({ message: "Unit label is required" });
+    }
+    updateFields.label = normalizedLabel;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "building")) {
+    updateFields.building = toNullableString(req.body?.building);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "floor")) {
+    updateFields.floor = toNullableString(req.body?.floor);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "unit")) {
+    updateFields.unit = toNullableString(req.body?.unit);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "room")) {
+    updateFields.room = toNullableString(req.body?.room);
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "lead_user_id")) {
+    try {
+      updateFields.lead_user_id = await resolveUnitLead(req.body?.lead_user_id, unitRows[0].facility_id);
+    } catch (error) {
+      if (error?.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
+    }
+  }
+
+  const update = buildUpdate(updateFields);
+  if (!update) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+  const { setClauses, values } = update;
+  const { rows } = await pool.query(
+    `UPDATE facility_units SET ${setClauses.join(", ")}, updated_at = now()
+     WHERE id = $${values.length + 1}
+     RETURNING id, facility_id, label, building, floor, unit, room, lead_user_id, created_at, updated_at`,
+    [...values, id]
+  );
+  await audit(req.user.id, "unit.updated", "unit", id, null);
+  res.json(rows[0]);
+}));
+
+app.get("/users", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const facilityId = req.query.facility_id || req.user.facility_id;
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, email, full_name, role, status, created_at, updated_at
+     FROM users WHERE facility_id = $1 ORDER BY created_at DESC`,
+    [facilityId]
+  );
+  res.json(rows.map((row) => serializeUser(row)));
+}));
+
+app.post("/users", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { facility_id, email, full_name, role, status, password } = req.body || {};
+  const normalizedEmail = normalizeString(email).toLowerCase();
+  const normalizedName = normalizeString(full_name);
+  const normalizedRole = normalizeString(role).toLowerCase();
+  const normalizedStatus = normalizeUserStatus(normalizeString(status).toLowerCase() || "active");
+  if (!facility_id || !normalizedEmail || !normalizedName || !normalizedRole || !password) {
+    return res.status(400).json({ message: "facility_id, email, full_name, role, password required" });
+  }
+  if (!allowedUserRoles.has(normalizedRole)) {
+    return res.status(400).json({ message: "Invalid role" });
+  }
+  if (!allowedUserStatuses.has(normalizedStatus)) {
+    return res.status(400).json({ message: "Invalid status" });
+  }
+  if (normalizeString(password).length < 8) {
+    return res.status(400).json({ message: "Password must be at least 8 characters" });
+  }
+  const { rows: existingRows } = await pool.query(
+    `SELECT id FROM users WHERE email = $1`,
+    [normalizedEmail]
+  );
+  if (existingRows.length) {
+    return res.status(409).json({ message: "Email already exists" });
+  }
+  const { salt, hash } = createPasswordHash(password);
+  const { rows } = await pool.query(
+    `INSERT INTO users (facility_id, email, full_name, role, status, password_salt, password_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, facility_id, email, full_name, role, status, created_at, updated_at`,
+    [facility_id, normalizedEmail, normalizedName, normalizedRole, normalizedStatus, salt, hash]
+  );
+  await audit(req.user.id, "user.created", "user", rows[0].id, { email });
+  res.status(201).json(serializeUser(rows[0]));
+}));
+
+app.patch("/users/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { full_name, role, status, password } = req.body || {};
+  const updateFields = {};
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "full_name")) {
+    const normalizedName = normalizeString(full_name);
+    if (!normalizedName) {
+      return res.status(400).json({ message: "Full name is required" });
+    }
+    updateFields.full_name = normalizedName;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "role")) {
+    const normalizedRole = normalizeString(role).toLowerCase();
+    if (!allowedUserRoles.has(normalizedRole)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    updateFields.role = normalizedRole;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "status")) {
+    const normalizedStatus = normalizeUserStatus(normalizeString(status).toLowerCase());
+    if (!allowedUserStatuses.has(normalizedStatus)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+    updateFields.status = normalizedStatus;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "password") && password) {
+    if (normalizeString(password).length < 8) {
+      return res.status(400).json({ message: "Password must be at least 8 characters" });
+    }
+  }
+  const update = buildUpdate(updateFields);
+
+  if (!update && !password) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  if (update) {
+    const { setClauses, values } = update;
+    const { rows } = await pool.query(
+      `UPDATE users SET ${setClauses.join(", ")}, updated_at = now()
+       WHERE id = $${values.length + 1}
+       RETURNING id, facility_id, email, full_name, role, status, created_at, updated_at`,
+      [...values, id]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (password) {
+      const { salt, hash } = createPasswordHash(password);
+      await pool.query(
+        `UPDATE users SET password_salt = $1, password_hash = $2 WHERE id = $3`,
+        [salt, hash, id]
+      );
+    }
+    await audit(req.user.id, "user.updated", "user", id, null);
+    return res.json(serializeUser(rows[0]));
+  }
+
+  const { salt, hash } = createPasswordHash(password);
+  await pool.query(
+    `UPDATE users SET password_salt = $1, password_hash = $2, updated_at = now() WHERE id = $3`,
+    [salt, hash, id]
+  );
+  await audit(req.user.id, "user.password_reset", "user", id, null);
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, email, full_name, role, status, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [id]
+  );
+  res.json(serializeUser(rows[0]));
+}));
+
+app.get("/residents", authMiddleware, asyncHandler(async (req, res) => {
+  const facilityId = req.query.facility_id || req.user.facility_id;
+  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT r.id, r.facility_id, r.external_id, r.first_name, r.last_name, r.dob, r.sex, r.notes,
+            r.building, r.floor, r.unit, r.room, r.unit_id,
+            r.created_at, r.updated_at,
+            COALESCE(
+              (SELECT jsonb_agg(ff.rule ORDER BY ff.created_at)
+               FROM resident_fall_flags ff
+               WHERE ff.resident_id = r.id AND ff.status = 'open'),
+              '[]'::jsonb
+            ) AS open_fall_flags
+     FROM residents r WHERE r.facility_id = $1 ORDER BY r.created_at DESC`,
+    [facilityId]
+  );
+  res.json(rows);
+}));
+
+app.post("/residents", authMiddleware, asyncHandler(async (req, res) => {
+  const {
+    facility_id,
+    external_id,
+    first_name,
+    last_name,
+    dob,
+    sex,
+    notes,
+    building,
+    floor,
+    unit,
+    room,
+    unit_id,
+  } = req.body || {};
+  const facilityId = facility_id || req.user.facility_id;
+  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const normalizedFirst = normalizeString(first_name);
+  const normalizedLast = normalizeString(last_name);
+  const normalizedDob = normalizeString(dob);
+  if (!normalizedFirst || !normalizedLast || !normalizedDob) {
+    return res.status(400).json({ message: "first_name, last_name, dob required" });
+  }
+  const dobDate = parseDateOnly(normalizedDob);
+  if (!dobDate || isFutureDate(dobDate)) {
+    return res.status(400).json({ message: "Invalid date of birth" });
+  }
+  let normalizedSex = normalizeString(sex).toUpperCase();
+  if (!normalizedSex) {
+    normalizedSex = null;
+  }
+  if (normalizedSex && !allowedSexValues.has(normalizedSex)) {
+    return res.status(400).json({ message: "Invalid sex value" });
+  }
+  const normalizedExternal = toNullableString(external_id);
+  const normalizedNotes = toNullableString(notes);
+  const normalizedBuilding = toNullableString(building);
+  const normalizedFloor = toNullableString(floor);
+  const normalizedUnit = toNullableString(unit);
+  const normalizedRoom = toNullableString(room);
+  let normalizedUnitId = null;
+  if (unit_id !== undefined && unit_id !== null && unit_id !== "") {
+    const candidateUnit = normalizeString(unit_id);
+    if (!isUuid(candidateUnit)) {
+      return res.status(400).json({ message: "Invalid unit_id" });
+    }
+    const { rows: unitRows } = await pool.query(
+      `SELECT id, facility_id FROM facility_units WHERE id = $1`,
+      [candidateUnit]
+    );
+    if (!unitRows[0] || unitRows[0].facility_id !== facilityId) {
+      return res.status(400).json({ message: "Unit not found for facility" });
+    }
+    normalizedUnitId = candidateUnit;
+  }
+  const { rows } = await pool.query(
+    `INSERT INTO residents (
+       facility_id, external_id, first_name, last_name, dob, sex, notes,
+       building, floor, unit, room, unit_id
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id, facility_id, external_id, first_name, last_name, dob, sex, notes,
+               building, floor, unit, room, unit_id,
+               created_at, updated_at`,
+    [
+      facilityId,
+      normalizedExternal,
+      normalizedFirst,
+      normalizedLast,
+      normalizedDob,
+      normalizedSex,
+      normalizedNotes,
+      normalizedBuilding,
+      normalizedFloor,
+      normalizedUnit,
+      normalizedRoom,
+      normalizedUnitId,
+    ]
+  );
+  await audit(req.user.id, "resident.created", "resident", rows[0].id, null);
+  res.status(201).json(rows[0]);
+}));
+
+app.get("/residents/:id", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, external_id, first_name, last_name, dob, sex, notes,
+            building, floor, unit, room, unit_id,
+            created_at, updated_at
+     FROM residents WHERE id = $1`,
+    [id]
+  );
+  const resident = rows[0];
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  res.json(resident);
+}));
+
+app.patch("/residents/:id", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: residentRows } = await pool.query(
+    `SELECT facility_id FROM residents WHERE id = $1`,
+    [id]
+  );
+  if (!residentRows[0]) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (residentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+
+  const updateFields = {};
+  const body = req.body || {};
+  if (Object.prototype.hasOwnProperty.call(body, "first_name")) {
+    const normalizedFirst = normalizeString(body.first_name);
+    if (!normalizedFirst) {
+      return res.status(400).json({ message: "first_name is required" });
+    }
+    updateFields.first_name = normalizedFirst;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "last_name")) {
+    const normalizedLast = normalizeString(body.last_name);
+    if (!normalizedLast) {
+      return res.status(400).json({ message: "last_name is required" });
+    }
+    updateFields.last_name = normalizedLast;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "dob")) {
+    const normalizedDob = normalizeString(body.dob);
+    const dobDate = parseDateOnly(normalizedDob);
+    if (!normalizedDob || !dobDate || isFutureDate(dobDate)) {
+      return res.status(400).json({ message: "Invalid date of birth" });
+    }
+    updateFields.dob = normalizedDob;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "sex")) {
+    let normalizedSex = normalizeString(body.sex).toUpperCase();
+    if (!normalizedSex) {
+      normalizedSex = null;
+    }
+    if (normalizedSex && !allowedSexValues.has(normalizedSex)) {
+      return res.status(400).json({ message: "Invalid sex value" });
+    }
+    updateFields.sex = normalizedSex;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "external_id")) {
+    updateFields.external_id = toNullableString(body.external_id);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "notes")) {
+    updateFields.notes = toNullableString(body.notes);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "building")) {
+    updateFields.building = toNullableString(body.building);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "floor")) {
+    updateFields.floor = toNullableString(body.floor);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "unit")) {
+    updateFields.unit = toNullableString(body.unit);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "room")) {
+    updateFields.room = toNullableString(body.room);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "unit_id")) {
+    const candidateUnit = normalizeString(body.unit_id);
+    if (!candidateUnit) {
+      updateFields.unit_id = null;
+    } else {
+      if (!isUuid(candidateUnit)) {
+        return res.status(400).json({ message: "Invalid unit_id" });
+      }
+      const { rows: unitRows } = await pool.query(
+        `SELECT id, facility_id FROM facility_units WHERE id = $1`,
+        [candidateUnit]
+      );
+      if (!unitRows[0] || unitRows[0].facility_id !== residentRows[0].facility_id) {
+        return res.status(400).json({ message: "Unit not found for facility" });
+      }
+      updateFields.unit_id = candidateUnit;
+    }
+  }
+  const update = buildUpdate(updateFields);
+
+  if (!update) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  const { setClauses, values } = update;
+  const { rows } = await pool.query(
+    `UPDATE residents SET ${setClauses.join(", ")}, updated_at = now()
+     WHERE id = $${values.length + 1}
+     RETURNING id, facility_id, external_id, first_name, last_name, dob, sex, notes,
+               building, floor, unit, room, unit_id,
+               created_at, updated_at`,
+    [...values, id]
+  );
+  await audit(req.user.id, "resident.updated", "resident", id, null);
+  res.json(rows[0]);
+}));
+
+app.post("/residents/:id/assessments", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { assessment_date, assistive_device, scheduled_date, due_date, assessment_protocol } = req.body || {};
+  const protocolOverride = parseOptionalEnum(assessment_protocol, allowedAssessmentProtocols);
+  if (protocolOverride.error) {
+    return res.status(400).json({ message: "Invalid assessment protocol" });
+  }
+  const normalizedDate = normalizeString(assessment_date);
+  if (!normalizedDate) {
+    return res.status(400).json({ message: "assessment_date is required" });
+  }
+  const assessmentDate = parseDateOnly(normalizedDate);
+  if (!assessmentDate) {
+    return res.status(400).json({ message: "Invalid assessment date" });
+  }
+  const normalizedScheduled = normalizeString(scheduled_date);
+  const scheduledDate = normalizedScheduled ? parseDateOnly(normalizedScheduled) : null;
+  if (normalizedScheduled && !scheduledDate) {
+    return res.status(400).json({ message: "Invalid scheduled date" });
+  }
+  const normalizedDue = normalizeString(due_date);
+  const dueDate = normalizedDue ? parseDateOnly(normalizedDue) : null;
+  if (normalizedDue && !dueDate) {
+    return res.status(400).json({ message: "Invalid due date" });
+  }
+  const scheduledForCompare = scheduledDate || assessmentDate;
+  const dueForCompare = dueDate || scheduledForCompare;
+  if (dueForCompare && scheduledForCompare && dueForCompare < scheduledForCompare) {
+    return res.status(400).json({ message: "Due date cannot be before scheduled date" });
+  }
+  const { rows: residentRows } = await pool.query(
+    `SELECT r.facility_id, f.assessment_protocol, f.capture_method, f.role_policy
+     FROM residents r
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.id = $1`,
+    [id]
+  );
+  const resident = residentRows[0];
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+
+  const normalizedDevice = toNullableString(assistive_device);
+  const scheduledValue = normalizedScheduled || normalizedDate;
+  const dueValue = normalizedDue || scheduledValue;
+  const assessmentProtocol = protocolOverride.value || resident.assessment_protocol || defaultAssessmentProtocol;
+  const captureMethod = resident.capture_method || "record_upload";
+  const { rows } = await pool.query(
+    `INSERT INTO assessments (
+       resident_id, created_by, status, assessment_date, assistive_device, scheduled_date, due_date,
+       assessment_protocol, capture_method
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, resident_id, created_by, status, assessment_date, assistive_device, scheduled_date, due_date,
+              reassessment_due_date, completed_at, risk_tier, clinician_notes, assigned_to, assigned_at,
+              assessment_protocol, capture_method, created_at, updated_at`,
+    [id, req.user.id, "needs_review", normalizedDate, normalizedDevice, scheduledValue, dueValue, assessmentProtocol, captureMethod]
+  );
+  await audit(req.user.id, "assessment.created", "assessment", rows[0].id, null);
+  res.status(201).json(rows[0]);
+}));
+
+app.get("/residents/:id/assessments", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: residentRows } = await pool.query(
+    `SELECT facility_id FROM residents WHERE id = $1`,
+    [id]
+  );
+  if (!residentRows[0]) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (residentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device, a.scheduled_date, a.due_date,
+            a.reassessment_due_date, a.completed_at, a.risk_tier, a.clinician_notes, a.assigned_to, a.assigned_at,
+            a.suggested_risk_tier, a.risk_tier_disagreement,
+            a.assessment_protocol, a.capture_method, a.fall_event_id, a.previous_assessment_id,
+            a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
+            a.pt_session_minutes, a.pt_time_saved_minutes,
+            a.created_at, a.updated_at,
+            COUNT(v.id)::int AS video_count,
+            MAX(v.created_at) AS latest_video_at,
+            COALESCE(BOOL_OR(s.assessment_id IS NOT NULL), false) AS has_scores
+     FROM assessments a
+     LEFT JOIN videos v ON v.assessment_id = a.id
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.resident_id = $1
+     GROUP BY a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device, a.scheduled_date,
+              a.due_date, a.reassessment_due_date, a.completed_at, a.risk_tier, a.clinician_notes, a.assigned_to,
+              a.assigned_at, a.suggested_risk_tier, a.risk_tier_disagreement, a.assessment_protocol, a.capture_method,
+              a.fall_event_id, a.previous_assessment_id, a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
+              a.pt_session_minutes, a.pt_time_saved_minutes,
+              a.created_at, a.updated_at
+     ORDER BY a.assessment_date DESC`,
+    [id]
+  );
+  res.json(rows);
+}));
 
+app.get("/residents/:id/trends", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: residentRows } = await pool.query(
+    `SELECT facility_id FROM residents WHERE id = $1`,
+    [id]
+  );
+  if (!residentRows[0]) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (residentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
   const { rows } = await pool.query(
-    `WITH events AS (
-       SELECT fe.id,
-              fe.occurred_at::date AS occurred_date,
-              r.unit_id,
-              COALESCE(jsonb_array_length(f.fall_checklist), 0) AS required_count
-       FROM fall_events fe
-       JOIN residents r ON r.id = fe.resident_id
-       JOIN facilities f ON f.id = fe.facility_id
-       WHERE fe.facility_id = $1
-         AND fe.occurred_at >= now() - ($2 * interval '1 day')
-         AND ($3::uuid IS NULL OR r.unit_id = $3)
-     ),
-     completed AS (
-       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
-       FROM post_fall_checks
-       WHERE status = 'completed'
-       GROUP BY fall_event_id
-     ),
-     scored AS (
-       SELECT e.*, COALESCE(c.completed_count, 0) AS completed_count
-       FROM events e
-       LEFT JOIN completed c ON c.fall_event_id = e.id
-       WHERE e.required_count > 0
-     )
-     SELECT s.unit_id,
-            fu.label AS unit_label,
-            COUNT(*)::int AS total,
-            COUNT(*) FILTER (WHERE s.completed_count >= s.required_count)::int AS completed,
-            COUNT(*) FILTER (WHERE s.completed_count < s.required_count)::int AS open,
-            COUNT(*) FILTER (
-              WHERE s.completed_count < s.required_count
-                AND (s.occurred_date + make_interval(days => $4))::date < CURRENT_DATE
-            )::int AS overdue
-     FROM scored s
-     LEFT JOIN facility_units fu ON fu.id = s.unit_id
-     GROUP BY s.unit_id, fu.label
-     ORDER BY overdue DESC, open DESC, total DESC, unit_label ASC
-     LIMIT $5`,
-    [facilityId, windowDays, unitFilter, postFallFollowupDays, rowLimit]
+    `SELECT a.id, a.assessment_date, a.risk_tier, a.suggested_risk_tier,
+            COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.resident_id = $1 AND a.status = 'completed'
+     ORDER BY a.assessment_date ASC, a.created_at ASC`,
+    [id]
   );
 
-  return rows.map((row) => {
-    const total = Number(row.total) || 0;
-    const completed = Number(row.completed) || 0;
+  const series = rows.map((row) => {
+    const scores = extractStoredScores(row) || {};
     return {
-      unit_id: row.unit_id,
-      unit_label: row.unit_label,
-      total,
-      completed,
-      open: Number(row.open) || 0,
-      overdue: Number(row.overdue) || 0,
-      completion_rate: total ? completed / total : 0,
+      assessment_id: row.id,
+      assessment_date: row.assessment_date,
+      assessment_protocol: row.assessment_protocol,
+      tug_seconds: scores.tug_seconds ?? null,
+      chair_stand_seconds: scores.chair_stand_seconds ?? null,
+      balance_side_by_side: scores.balance_side_by_side ?? null,
+      balance_semi_tandem: scores.balance_semi_tandem ?? null,
+      balance_tandem: scores.balance_tandem ?? null,
+      balance_stages_passed: countBalanceStagesPassed(scores),
+      risk_tier: row.risk_tier,
+      clinician_risk_tier: row.risk_tier,
+      suggested_risk_tier: row.suggested_risk_tier,
     };
   });
-}
 
-async function buildPostFallRollupCsv({ facilityId, params }) {
-  const windowDays = Number(params?.days) || 30;
-  const unitId = params?.unit_id || null;
-  const limit = Number(params?.limit) || 200;
-  const rows = await fetchPostFallRollup({ facilityId, days: windowDays, unitId, limit });
-  const headers = [
-    "unit_id",
-    "unit_label",
-    "total",
-    "completed",
-    "open",
-    "overdue",
-    "completion_rate",
-  ];
-  const rowsData = rows.map((row) => ([
-    row.unit_id,
-    row.unit_label,
-    row.total,
-    row.completed,
-    row.open,
-    row.overdue,
-    Number.isFinite(row.completion_rate) ? row.completion_rate : 0,
-  ]));
-  return buildCsv(headers, rowsData);
-}
+  const metrics = Object.fromEntries(
+    scoreTrendMetrics.map((metric) => [metric.key, summarizeScoreTrend(series, metric)])
+  );
+  metrics.risk_tier = summarizeRiskTierTrend(series);
 
-const normalizeIncludeList = (value) => {
-  if (value === undefined || value === null) {
-    return null;
-  }
-  const parts = Array.isArray(value) ? value : [value];
-  const normalized = parts
-    .flatMap((entry) => normalizeString(entry).split(","))
-    .map((entry) => entry.trim().toLowerCase())
-    .filter(Boolean);
-  return normalized.length ? normalized : null;
+  res.json({ resident_id: id, series, metrics });
+}));
+
+// Built-in intervention library. A facility uses it until an admin saves its own copy in
+// `facilities.intervention_library`; saved entries are stored in full so later changes here do not
+// alter a facility's rules. An intervention is recommended when any one of its rules matches.
+const defaultInterventionLibrary = [
+  {
+    key: "pt_referral",
+    label: "PT referral",
+    category: "referral",
+    description: "Refer to physical therapy for gait, strength and balance training.",
+    rules: {
+      risk_tiers: ["high"],
+      risk_findings: [
+        "tug_high",
+        "chair_stand_slow",
+        "balance_semi_tandem_failed",
+        "gait_speed_very_slow",
+        "sppb_total_low",
+        "berg_high_risk",
+      ],
+      recent_falls: 1,
+    },
+  },
+  {
+    key: "hip_protectors",
+    label: "Hip protectors",
+    category: "equipment",
+    description: "Fit hip protectors and check they are worn when out of bed.",
+    rules: { risk_tiers: ["high"], injury_falls: true },
+  },
+  {
+    key: "bed_alarm",
+    label: "Bed alarm",
+    category: "equipment",
+    description: "Use a bed or chair exit alarm overnight.",
+    rules: { risk_findings: ["morse_high_risk"], recent_falls: 2 },
+  },
+  {
+    key: "toileting_schedule",
+    label: "Toileting schedule",
+    category: "schedule",
+    description: "Offer toileting every 2 hours while awake and before bed.",
+    rules: { contributing_factors: ["toileting", "incontinence", "urgency"] },
+  },
+  {
+    key: "medication_review",
+    label: "Medication review",
+    category: "medication",
+    description: "Ask the pharmacist or prescriber to review fall-risk medications.",
+    rules: { risk_tiers: ["high"], recent_falls: 1, contributing_factors: ["medication", "dizziness", "sedation"] },
+  },
+  {
+    key: "environmental_fixes",
+    label: "Environmental fixes",
+    category: "environment",
+    description: "Check lighting, clutter, floor surfaces, bed height and call light reach.",
+    rules: { recent_falls: 1, contributing_factors: ["environment", "lighting", "clutter", "wet floor", "footwear"] },
+  },
+];
+const defaultInterventionFallWindowDays = 90;
+const maxInterventionFallWindowDays = 365;
+const interventionKeyRegex = /^[a-z][a-z0-9_]{0,39}$/;
+const interventionStatusTransitions = {
+  recommended: new Set(["accepted", "declined"]),
+  accepted: new Set(["discontinued"]),
+  declined: new Set(["accepted"]),
+  discontinued: new Set([]),
 };
 
-function resolveBundleIncludes(includeRaw, userRole) {
-  const provided = normalizeIncludeList(includeRaw);
-  const includes = provided
-    ?? (userRole === "admin"
-      ? ["residents", "assessments", "audit"]
-      : ["residents", "assessments"]);
-  const unique = Array.from(new Set(includes));
-  const invalid = unique.filter((entry) => !allowedBundleIncludes.has(entry));
-  if (invalid.length) {
-    throw Object.assign(new Error(`Invalid include: ${invalid.join(", ")}`), { status: 400 });
+const interventionLibraryError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const normalizeInterventionRules = (input, key) => {
+  if (input === undefined || input === null) {
+    return {};
   }
-  if (unique.includes("audit") && userRole !== "admin") {
-    throw Object.assign(new Error("Forbidden include"), { status: 403 });
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw interventionLibraryError(`rules must be an object for ${key}`);
   }
-  return unique;
-}
-
-function sanitizeAssessmentExportParams(rawParams) {
-  const allowedKeys = [
-    "resident_id",
-    "status",
-    "risk_tier",
-    "from",
-    "to",
-    "assigned_to",
-    "scheduled_from",
-    "scheduled_to",
-    "due_from",
-    "due_to",
-  ];
-  const filtered = {};
-  allowedKeys.forEach((key) => {
-    const value = normalizeString(rawParams?.[key]);
-    if (!value) {
+  const rules = {};
+  [
+    ["risk_tiers", allowedRiskTiers],
+    ["risk_findings", null],
+    ["contributing_factors", null],
+  ].forEach(([name, allowed]) => {
+    if (input[name] === undefined || input[name] === null) {
       return;
     }
-    if (key === "status" && !allowedAssessmentStatuses.has(value)) {
-      throw Object.assign(new Error("Invalid status filter"), { status: 400 });
-    }
-    if (key === "risk_tier" && !allowedRiskTiers.has(value)) {
-      throw Object.assign(new Error("Invalid risk_tier filter"), { status: 400 });
-    }
-    if (["from", "to", "scheduled_from", "scheduled_to", "due_from", "due_to"].includes(key)) {
-      if (!parseDateOnly(value)) {
-        throw Object.assign(new Error(`Invalid ${key} date`), { status: 400 });
-      }
+    if (!Array.isArray(input[name])) {
+      throw interventionLibraryError(`${name} must be a list for ${key}`);
     }
-    if (key === "resident_id" && !isUuid(value)) {
-      throw Object.assign(new Error("Invalid resident_id filter"), { status: 400 });
+    const values = Array.from(new Set(input[name].map((value) => normalizeString(value).toLowerCase()).filter(Boolean)));
+    const invalid = allowed ? values.filter((value) => !allowed.has(value)) : [];
+    if (invalid.length) {
+      throw interventionLibraryError(`Invalid ${name} for ${key}: ${invalid.join(", ")}`);
     }
-    if (key === "assigned_to") {
-      if (value !== "unassigned" && !isUuid(value)) {
-        throw Object.assign(new Error("Invalid assigned_to filter"), { status: 400 });
-      }
+    if (values.length) {
+      rules[name] = values;
     }
-    filtered[key] = value;
   });
-  return Object.keys(filtered).length ? filtered : null;
-}
-
-function sanitizeAuditExportParams(rawParams) {
-  const filtered = {};
-  const stringKeys = ["action", "entity_type", "user_id", "from", "to"];
-  stringKeys.forEach((key) => {
-    const value = normalizeString(rawParams?.[key]);
-    if (value) {
-      filtered[key] = value;
+  if (input.recent_falls !== undefined && input.recent_falls !== null) {
+    if (!Number.isInteger(input.recent_falls) || input.recent_falls < 1) {
+      throw interventionLibraryError(`recent_falls must be a positive whole number for ${key}`);
     }
-  });
-  if (rawParams?.limit !== undefined) {
-    const limit = Number(rawParams.limit);
-    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
-      throw Object.assign(new Error("Invalid limit"), { status: 400 });
+    rules.recent_falls = input.recent_falls;
+  }
+  const injuryFalls = parseOptionalBoolean(input.injury_falls);
+  if (injuryFalls.error) {
+    throw interventionLibraryError(`Invalid injury_falls flag for ${key}`);
+  }
+  if (injuryFalls.value) {
+    rules.injury_falls = true;
+  }
+  if (input.fall_window_days !== undefined && input.fall_window_days !== null) {
+    const days = input.fall_window_days;
+    if (!Number.isInteger(days) || days < 1 || days > maxInterventionFallWindowDays) {
+      throw interventionLibraryError(`fall_window_days must be 1-${maxInterventionFallWindowDays} for ${key}`);
     }
-    filtered.limit = limit;
+    rules.fall_window_days = days;
   }
-  return Object.keys(filtered).length ? filtered : null;
-}
+  return rules;
+};
 
-function sanitizePostFallRollupParams(rawParams) {
-  const filtered = {};
-  if (rawParams?.days !== undefined) {
-    const days = Number(rawParams.days);
-    if (!Number.isInteger(days) || days < 1 || days > 90) {
-      throw Object.assign(new Error("Invalid days window"), { status: 400 });
-    }
-    filtered.days = days;
+// Validates a full library. Keys must be unique; entries without rules are only added manually.
+const normalizeInterventionLibrary = (input) => {
+  if (!Array.isArray(input)) {
+    throw interventionLibraryError("library must be a list of interventions");
   }
-  if (rawParams?.unit_id) {
-    const unitId = normalizeString(rawParams.unit_id);
-    if (!unitId || !isUuid(unitId)) {
-      throw Object.assign(new Error("Invalid unit_id filter"), { status: 400 });
+  const library = input.map((entry) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw interventionLibraryError("Invalid intervention in library");
     }
-    filtered.unit_id = unitId;
-  }
-  if (rawParams?.limit !== undefined) {
-    const limit = Number(rawParams.limit);
-    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
-      throw Object.assign(new Error("Invalid limit"), { status: 400 });
+    const key = normalizeString(entry.key);
+    if (!interventionKeyRegex.test(key)) {
+      throw interventionLibraryError(`Invalid intervention key "${key}"`);
+    }
+    const label = normalizeString(entry.label);
+    if (!label) {
+      throw interventionLibraryError(`label is required for ${key}`);
     }
-    filtered.limit = limit;
+    const category = normalizeString(entry.category);
+    if (!allowedInterventionCategories.has(category)) {
+      throw interventionLibraryError(`Invalid category for ${key}`);
+    }
+    const enabled = parseOptionalBoolean(entry.enabled);
+    if (enabled.error) {
+      throw interventionLibraryError(`Invalid enabled flag for ${key}`);
+    }
+    return {
+      key,
+      label,
+      category,
+      description: toNullableString(entry.description),
+      enabled: enabled.value !== false,
+      rules: normalizeInterventionRules(entry.rules, key),
+    };
+  });
+  if (new Set(library.map((entry) => entry.key)).size !== library.length) {
+    throw interventionLibraryError("Intervention keys must not repeat");
   }
-  return Object.keys(filtered).length ? filtered : null;
-}
+  return library;
+};
 
-async function streamZip(res, filename, entries) {
-  res.setHeader("Content-Type", "application/zip");
-  res.setHeader("Content-Disposition", `attachment; filename=\"${filename}\"`);
-  const archive = archiver("zip", { zlib: { level: 9 } });
+const resolveInterventionLibrary = (stored) => (
+  Array.isArray(stored) ? stored : defaultInterventionLibrary.map((entry) => ({ ...entry, enabled: true }))
+);
 
-  return new Promise((resolve, reject) => {
-    res.on("finish", resolve);
-    archive.on("warning", (error) => {
-      if (error?.code === "ENOENT") {
-        console.warn("Zip warning", error.message);
-      } else {
-        reject(error);
+// Returns the reasons an intervention's rules match the resident context, e.g. `risk_tier:high`,
+// `finding:tug_high`, `recent_falls:2`, `injury_fall` or `factor:toileting`.
+const matchInterventionRules = (rules, context) => {
+  const reasons = [];
+  if (context.riskTier && (rules.risk_tiers || []).includes(context.riskTier)) {
+    reasons.push(`risk_tier:${context.riskTier}`);
+  }
+  (rules.risk_findings || []).forEach((code) => {
+    if (context.findings.includes(code)) {
+      reasons.push(`finding:${code}`);
+    }
+  });
+  const since = Date.now() - (rules.fall_window_days || defaultInterventionFallWindowDays) * 86400000;
+  const falls = context.falls.filter((fall) => new Date(fall.occurred_at).getTime() >= since);
+  if (rules.recent_falls && falls.length >= rules.recent_falls) {
+    reasons.push(`recent_falls:${falls.length}`);
+  }
+  if (rules.injury_falls && falls.some((fall) => fall.injury_severity && fall.injury_severity !== "none")) {
+    reasons.push("injury_fall");
+  }
+  if (rules.contributing_factors) {
+    const factors = new Set(falls.flatMap((fall) => (
+      Array.isArray(fall.contributing_factors) ? fall.contributing_factors : []
+    ).map((factor) => normalizeString(factor).toLowerCase())));
+    rules.contributing_factors.forEach((factor) => {
+      if (factors.has(factor)) {
+        reasons.push(`factor:${factor}`);
       }
     });
-    archive.on("error", reject);
-    archive.pipe(res);
-    entries.forEach((entry) => {
-      archive.append(entry.content, { name: entry.name });
-    });
-    archive.finalize();
-  });
-}
+  }
+  return reasons;
+};
 
-function buildUpdate(fields) {
-  const keys = Object.keys(fields).filter((key) => fields[key] !== undefined);
-  if (!keys.length) {
-    return null;
+// Adds a `recommended` row for each enabled library intervention whose rules match the resident's latest
+// completed assessment and recent falls. Interventions already recommended or in place are skipped; a
+// declined one is only recommended again once a newer assessment or fall gives a new reason to.
+async function refreshInterventionRecommendations(residentId) {
+  const { rows: residentRows } = await pool.query(
+    `SELECT r.facility_id, f.intervention_library
+     FROM residents r
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.id = $1`,
+    [residentId]
+  );
+  if (!residentRows[0]) {
+    return [];
   }
-  const setClauses = keys.map((key, index) => `${key} = $${index + 1}`);
-  const values = keys.map((key) => fields[key]);
-  return { setClauses, values };
-}
+  const library = resolveInterventionLibrary(residentRows[0].intervention_library).filter((entry) => entry.enabled);
+  if (!library.length) {
+    return [];
+  }
+  const windowDays = Math.max(
+    defaultInterventionFallWindowDays,
+    ...library.map((entry) => entry.rules?.fall_window_days || 0)
+  );
+  const { rows: assessmentRows } = await pool.query(
+    `SELECT id, risk_tier, risk_rule_reasons, completed_at
+     FROM assessments
+     WHERE resident_id = $1 AND status = 'completed'
+     ORDER BY assessment_date DESC, completed_at DESC NULLS LAST
+     LIMIT 1`,
+    [residentId]
+  );
+  const { rows: falls } = await pool.query(
+    `SELECT id, occurred_at, injury_severity, contributing_factors, created_at
+     FROM fall_events
+     WHERE resident_id = $1
+       AND voided_at IS NULL
+       AND occurred_at >= now() - ($2 * interval '1 day')
+     ORDER BY occurred_at DESC`,
+    [residentId, windowDays]
+  );
+  const assessment = assessmentRows[0] || null;
+  const context = {
+    riskTier: assessment?.risk_tier || null,
+    findings: Array.isArray(assessment?.risk_rule_reasons) ? assessment.risk_rule_reasons : [],
+    falls,
+  };
+  const evidenceTimes = [assessment?.completed_at, ...falls.map((fall) => fall.created_at)]
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime());
+  const latestEvidence = new Date(evidenceTimes.length ? Math.max(...evidenceTimes) : 0);
+  const { rows: blockedRows } = await pool.query(
+    `SELECT DISTINCT intervention_key
+     FROM resident_interventions
+     WHERE resident_id = $1
+       AND (status = 'recommended'
+         OR (status = 'accepted' AND (end_date IS NULL OR end_date >= CURRENT_DATE))
+         OR (status = 'declined' AND decided_at >= $2))`,
+    [residentId, latestEvidence]
+  );
+  const blocked = new Set(blockedRows.map((row) => row.intervention_key));
 
-function ensureVideoDir(assessmentId) {
-  const dir = path.resolve(storageRoot, "videos", assessmentId);
-  fs.mkdirSync(dir, { recursive: true });
-  return dir;
+  const created = [];
+  for (const entry of library) {
+    if (blocked.has(entry.key)) {
+      continue;
+    }
+    const reasons = matchInterventionRules(entry.rules || {}, context);
+    if (!reasons.length) {
+      continue;
+    }
+    const { rows } = await pool.query(
+      `INSERT INTO resident_interventions (
+         facility_id, resident_id, intervention_key, label, category, details, source, reasons,
+         assessment_id, fall_event_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, 'rule', $7, $8, $9)
+       RETURNING id, intervention_key, reasons`,
+      [
+        residentRows[0].facility_id,
+        residentId,
+        entry.key,
+        entry.label,
+        entry.category,
+        entry.description || null,
+        JSON.stringify(reasons),
+        assessment?.id || null,
+        falls[0]?.id || null,
+      ]
+    );
+    created.push(rows[0]);
+  }
+  return created;
 }
 
-function ensureReportDir() {
-  const dir = path.resolve(storageRoot, "reports");
-  fs.mkdirSync(dir, { recursive: true });
-  return dir;
+const residentInterventionSelect = `SELECT ri.id, ri.resident_id, ri.intervention_key, ri.label, ri.category, ri.details,
+            ri.source, ri.reasons, ri.assessment_id, ri.fall_event_id, ri.status, ri.status_reason, ri.modified,
+            ri.start_date, ri.end_date, ri.owner_id, ou.full_name AS owner_name, ou.email AS owner_email,
+            ri.decided_by, du.full_name AS decided_by_name, ri.decided_at,
+            ri.created_by, ri.created_at, ri.updated_at
+     FROM resident_interventions ri
+     LEFT JOIN users ou ON ou.id = ri.owner_id
+     LEFT JOIN users du ON du.id = ri.decided_by`;
+
+async function fetchResidentInterventions(residentId) {
+  const { rows } = await pool.query(
+    `${residentInterventionSelect}
+     WHERE ri.resident_id = $1
+     ORDER BY CASE ri.status WHEN 'recommended' THEN 0 WHEN 'accepted' THEN 1 ELSE 2 END, ri.created_at DESC`,
+    [residentId]
+  );
+  return rows;
 }
 
-function normalizeStorageKey(filePath) {
-  return filePath.split(path.sep).join("/");
+async function fetchResidentAccess(residentId) {
+  const { rows } = await pool.query(
+    `SELECT r.id, r.facility_id, f.role_policy, f.intervention_library
+     FROM residents r
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.id = $1`,
+    [residentId]
+  );
+  return rows[0] || null;
 }
 
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: (req, _file, cb) => {
-      const dir = ensureVideoDir(req.params.id);
-      cb(null, dir);
-    },
-    filename: (_req, file, cb) => {
-      const ext = path.extname(file.originalname || ".mp4");
-      const name = `${crypto.randomUUID()}${ext}`;
-      cb(null, name);
-    },
-  }),
-  limits: { fileSize: maxVideoSizeBytes },
+const notifyInterventionOwner = ({ facilityId, residentId, interventionId, ownerId, label }) => createNotification({
+  facilityId,
+  userId: ownerId,
+  type: "intervention.assigned",
+  title: "Intervention assigned",
+  body: `You own a care plan intervention: ${label}`,
+  data: { resident_id: residentId, intervention_id: interventionId },
+  eventKey: `intervention.assigned:${interventionId}:${ownerId}`,
 });
 
-app.post("/auth/login", authRateLimiter, asyncHandler(async (req, res) => {
-  const { email, password } = req.body || {};
-  const normalizedEmail = normalizeString(email).toLowerCase();
-  if (!normalizedEmail || !password) {
-    return res.status(400).json({ message: "Email and password are required" });
+// Parses the editable intervention fields. Only fields present in the body are returned.
+const parseInterventionUpdates = (body) => {
+  const updates = {};
+  if (body.label !== undefined) {
+    const label = toNullableString(body.label);
+    if (!label) {
+      return { error: "label cannot be empty" };
+    }
+    updates.label = label;
   }
-  const { rows } = await pool.query(
-    `SELECT id, facility_id, email, full_name, role, status, password_salt, password_hash
-     FROM users WHERE email = $1`,
-    [normalizedEmail]
-  );
-  const user = rows[0];
-  if (!user || user.status !== "active" || !user.password_salt || !user.password_hash) {
-    return res.status(401).json({ message: "Invalid credentials" });
+  ["details", "status_reason"].forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = toNullableString(body[field]);
+    }
+  });
+  for (const field of ["start_date", "end_date"]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] === null || body[field] === "") {
+      updates[field] = null;
+    } else if (!parseDateOnly(body[field])) {
+      return { error: `Invalid ${field}` };
+    } else {
+      updates[field] = body[field].trim();
+    }
   }
-  const computed = hashPassword(password, user.password_salt);
-  if (computed !== user.password_hash) {
-    return res.status(401).json({ message: "Invalid credentials" });
+  if (body.owner_id !== undefined) {
+    updates.owner_id = body.owner_id || null;
   }
-  const token = signToken(user);
-  await audit(user.id, "auth.login", "user", user.id, null);
-  res.json({
-    token,
-    user: buildUserResponse(user),
-  });
-}));
-
-app.post("/auth/logout", (_req, res) => res.status(204).send());
+  const status = parseOptionalEnum(body.status, allowedInterventionStatuses);
+  if (status.error) {
+    return { error: "Invalid intervention status" };
+  }
+  if (status.value) {
+    updates.status = status.value;
+  }
+  return { updates };
+};
 
-app.get("/auth/me", authMiddleware, asyncHandler(async (req, res) => {
-  res.status(200).json(buildUserResponse(req.user));
+app.get("/residents/:id/interventions", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const resident = await fetchResidentAccess(id);
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  res.json(await fetchResidentInterventions(id));
 }));
 
-app.get("/facilities", authMiddleware, asyncHandler(async (req, res) => {
-  const query = req.user.role === "admin"
-    ? {
-        text: `SELECT id, name, address_line1, address_line2, city, state, zip,
-                      reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-                      export_token_ttl_days,
-                      assessment_protocol, capture_method, role_policy,
-                      created_at, updated_at
-               FROM facilities ORDER BY name ASC`,
-        values: [],
-      }
-    : {
-        text: `SELECT id, name, address_line1, address_line2, city, state, zip,
-                      reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-                      export_token_ttl_days,
-                      assessment_protocol, capture_method, role_policy,
-                      created_at, updated_at
-               FROM facilities WHERE id = $1`,
-        values: [req.user.facility_id],
-      };
-  const { rows } = await pool.query(query.text, query.values);
-  res.json(rows);
+// Runs the facility's rules now. Assessments and fall events also run them when completed or recorded.
+app.post("/residents/:id/interventions/recommend", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const resident = await fetchResidentAccess(id);
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const created = await refreshInterventionRecommendations(id);
+  if (created.length) {
+    await audit(req.user.id, "intervention.recommended", "resident", id, {
+      interventions: created.map((row) => row.intervention_key),
+    });
+  }
+  res.json({ created: created.length, interventions: await fetchResidentInterventions(id) });
 }));
 
-app.get("/facilities/:id", authMiddleware, asyncHandler(async (req, res) => {
+// Manually added interventions start out accepted, from a library entry or as a custom one.
+app.post("/residents/:id/interventions", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  if (req.user.facility_id !== id && req.user.role !== "admin") {
+  const body = req.body || {};
+  const resident = await fetchResidentAccess(id);
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const key = normalizeString(body.intervention_key);
+  let entry = null;
+  if (key) {
+    entry = resolveInterventionLibrary(resident.intervention_library).find((item) => item.key === key);
+    if (!entry) {
+      return res.status(400).json({ message: "Unknown intervention_key" });
+    }
+  }
+  const parsed = parseInterventionUpdates({ ...body, status: undefined });
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const { updates } = parsed;
+  const label = updates.label || entry?.label;
+  if (!label) {
+    return res.status(400).json({ message: "label or intervention_key is required" });
+  }
+  const category = entry
+    ? { value: entry.category, error: null }
+    : parseOptionalEnum(body.category || "other", allowedInterventionCategories);
+  if (category.error) {
+    return res.status(400).json({ message: "Invalid category" });
+  }
+  if (updates.owner_id) {
+    const ownerError = await validateFacilityOwner(updates.owner_id, resident.facility_id);
+    if (ownerError) {
+      return res.status(400).json({ message: ownerError });
+    }
+  }
+  const startDate = updates.start_date || formatDateOnly(new Date());
+  if (updates.end_date && updates.end_date < startDate) {
+    return res.status(400).json({ message: "end_date cannot be before start_date" });
+  }
   const { rows } = await pool.query(
-    `SELECT id, name, address_line1, address_line2, city, state, zip,
-            reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-            export_token_ttl_days,
-            assessment_protocol, capture_method, role_policy,
-            created_at, updated_at
-     FROM facilities WHERE id = $1`,
-    [id]
+    `INSERT INTO resident_interventions (
+       facility_id, resident_id, intervention_key, label, category, details, source, status,
+       start_date, end_date, owner_id, decided_by, decided_at, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, 'manual', 'accepted', $7, $8, $9, $10, now(), $10)
+     RETURNING id`,
+    [
+      resident.facility_id,
+      id,
+      entry ? entry.key : "custom",
+      label,
+      category.value,
+      updates.details !== undefined ? updates.details : entry?.description || null,
+      startDate,
+      updates.end_date || null,
+      updates.owner_id || null,
+      req.user.id,
+    ]
   );
-  if (!rows[0]) {
-    return res.status(404).json({ message: "Facility not found" });
+  const interventionId = rows[0].id;
+  if (updates.owner_id && updates.owner_id !== req.user.id) {
+    await notifyInterventionOwner({ facilityId: resident.facility_id, residentId: id, interventionId, ownerId: updates.owner_id, label });
   }
-  res.json(rows[0]);
+  await audit(req.user.id, "intervention.created", "resident", id, {
+    intervention_id: interventionId,
+    intervention_key: entry ? entry.key : "custom",
+  });
+  const { rows: created } = await pool.query(`${residentInterventionSelect} WHERE ri.id = $1`, [interventionId]);
+  res.status(201).json(created[0]);
 }));
 
-app.post("/facilities", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
-  const {
-    name,
-    address_line1,
-    address_line2,
-    city,
-    state,
-    zip,
-    reassessment_cadence_days,
-    report_turnaround_hours,
-    qa_checklist,
-    fall_checklist,
-    export_token_ttl_days,
-    assessment_protocol,
-    capture_method,
-    role_policy,
-  } = req.body || {};
-
-  const normalizedName = normalizeString(name);
-  if (!normalizedName) {
-    return res.status(400).json({ message: "Facility name is required" });
+// Accept, decline, discontinue or modify an intervention. Changing the label or details of a
+// recommendation marks it `modified` so reporting can tell adapted plans from the library default.
+app.patch("/residents/:id/interventions/:interventionId", authMiddleware, asyncHandler(async (req, res) => {
+  const { id, interventionId } = req.params;
+  if (!isUuid(interventionId)) {
+    return res.status(404).json({ message: "Intervention not found" });
+  }
+  const resident = await fetchResidentAccess(id);
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const { rows: currentRows } = await pool.query(
+    `SELECT id, label, details, status, start_date::text AS start_date, end_date::text AS end_date, owner_id
+     FROM resident_interventions
+     WHERE id = $1 AND resident_id = $2`,
+    [interventionId, id]
+  );
+  const current = currentRows[0];
+  if (!current) {
+    return res.status(404).json({ message: "Intervention not found" });
+  }
+  const parsed = parseInterventionUpdates(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const updates = { ...parsed.updates };
+  if (updates.status === current.status) {
+    delete updates.status;
+  }
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ message: "No intervention changes provided" });
+  }
+  if (current.status === "discontinued") {
+    return res.status(409).json({ message: "Intervention is discontinued" });
+  }
+  if (updates.status && !interventionStatusTransitions[current.status].has(updates.status)) {
+    return res.status(409).json({ message: `Cannot change intervention from ${current.status} to ${updates.status}` });
+  }
+  if (updates.owner_id) {
+    const ownerError = await validateFacilityOwner(updates.owner_id, resident.facility_id);
+    if (ownerError) {
+      return res.status(400).json({ message: ownerError });
+    }
+  }
+  const today = formatDateOnly(new Date());
+  if (updates.status === "accepted" && !(updates.start_date ?? current.start_date)) {
+    updates.start_date = today;
+  }
+  if (updates.status === "discontinued" && !(updates.end_date ?? current.end_date)) {
+    updates.end_date = today;
+  }
+  const startDate = updates.start_date !== undefined ? updates.start_date : current.start_date;
+  const endDate = updates.end_date !== undefined ? updates.end_date : current.end_date;
+  if (startDate && endDate && endDate < startDate) {
+    return res.status(400).json({ message: "end_date cannot be before start_date" });
+  }
+  if ((updates.label !== undefined && updates.label !== current.label)
+    || (updates.details !== undefined && updates.details !== current.details)) {
+    updates.modified = true;
+  }
+  if (updates.status) {
+    updates.decided_by = req.user.id;
+    updates.decided_at = new Date();
+  }
+  const { setClauses, values } = buildUpdate(updates);
+  await pool.query(
+    `UPDATE resident_interventions SET ${setClauses.join(", ")}, updated_at = now() WHERE id = $${values.length + 1}`,
+    [...values, interventionId]
+  );
+  const { rows } = await pool.query(`${residentInterventionSelect} WHERE ri.id = $1`, [interventionId]);
+  const intervention = rows[0];
+  if (intervention.owner_id && intervention.owner_id !== current.owner_id && intervention.owner_id !== req.user.id) {
+    await notifyInterventionOwner({
+      facilityId: resident.facility_id,
+      residentId: id,
+      interventionId,
+      ownerId: intervention.owner_id,
+      label: intervention.label,
+    });
   }
+  await audit(req.user.id, "intervention.updated", "resident", id, {
+    intervention_id: interventionId,
+    previous_status: current.status,
+    status: intervention.status,
+    changed_fields: Object.keys(parsed.updates),
+  });
+  res.json(intervention);
+}));
 
-  const cadence = parseOptionalPositiveInt(reassessment_cadence_days);
-  if (cadence.error) {
-    return res.status(400).json({ message: "Invalid reassessment cadence" });
+// Built-in post-fall check fields. Facilities reference these by key in `fall_check_schemas`; the full
+// definition is copied into the facility schema so later changes here do not alter saved schemas.
+const fallCheckFieldPresets = {
+  systolic_bp: { label: "Systolic BP", type: "integer", min: 50, max: 260, unit: "mmHg" },
+  diastolic_bp: { label: "Diastolic BP", type: "integer", min: 20, max: 160, unit: "mmHg" },
+  pulse: { label: "Pulse", type: "integer", min: 20, max: 250, unit: "bpm" },
+  spo2: { label: "SpO2", type: "integer", min: 50, max: 100, unit: "%" },
+  respiratory_rate: { label: "Respiratory rate", type: "integer", min: 4, max: 60, unit: "/min" },
+  pain_score: { label: "Pain score", type: "integer", min: 0, max: 10 },
+  gcs_eye: { label: "GCS eye", type: "integer", min: 1, max: 4 },
+  gcs_verbal: { label: "GCS verbal", type: "integer", min: 1, max: 5 },
+  gcs_motor: { label: "GCS motor", type: "integer", min: 1, max: 6 },
+  gcs_total: { label: "GCS total", type: "integer", min: 3, max: 15 },
+  pupils: { label: "Pupils", type: "choice", options: ["equal_reactive", "unequal", "sluggish", "non_reactive"] },
+  consciousness: { label: "Level of consciousness", type: "choice", options: ["alert", "confused", "drowsy", "unresponsive"] },
+  limb_movement: { label: "Limb movement", type: "choice", options: ["normal", "weak_left", "weak_right", "weak_bilateral", "absent"] },
+  medication_review_outcome: {
+    label: "Medication review outcome",
+    type: "choice",
+    options: ["no_change", "dose_adjusted", "medication_discontinued", "referred_to_prescriber"],
+  },
+};
+const allowedFallCheckFieldTypes = new Set(["integer", "number", "choice", "boolean", "text"]);
+const fallCheckFieldKeyRegex = /^[a-z][a-z0-9_]{0,39}$/;
+const maxFallCheckTextLength = 500;
+
+const fallCheckSchemaError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const normalizeFallCheckField = (input, itemName) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw fallCheckSchemaError(`Invalid field in schema for "${itemName}"`);
+  }
+  const key = normalizeString(input.key);
+  if (!fallCheckFieldKeyRegex.test(key)) {
+    throw fallCheckSchemaError(`Invalid field key "${key}" in schema for "${itemName}"`);
+  }
+  const required = parseOptionalBoolean(input.required);
+  if (required.error) {
+    throw fallCheckSchemaError(`Invalid required flag for ${key}`);
+  }
+  const preset = fallCheckFieldPresets[key];
+  const source = preset && input.type === undefined ? preset : input;
+  const label = normalizeString(input.label) || normalizeString(source.label);
+  const type = normalizeString(source.type);
+  if (!label) {
+    throw fallCheckSchemaError(`label is required for ${key}`);
+  }
+  if (!allowedFallCheckFieldTypes.has(type)) {
+    throw fallCheckSchemaError(`Invalid type for ${key}`);
+  }
+  const field = { key, label, type, required: required.value === true };
+  if (type === "integer" || type === "number") {
+    ["min", "max"].forEach((bound) => {
+      if (source[bound] === undefined || source[bound] === null) {
+        return;
+      }
+      if (!Number.isFinite(source[bound])) {
+        throw fallCheckSchemaError(`Invalid ${bound} for ${key}`);
+      }
+      field[bound] = source[bound];
+    });
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      throw fallCheckSchemaError(`min must not exceed max for ${key}`);
+    }
+    const unit = normalizeString(source.unit);
+    if (unit) {
+      field.unit = unit;
+    }
   }
-  const reportHours = parseOptionalPositiveInt(report_turnaround_hours);
-  if (reportHours.error) {
-    return res.status(400).json({ message: "Invalid report turnaround hours" });
+  if (type === "choice") {
+    const options = Array.isArray(source.options) ? source.options.map((option) => normalizeString(option)).filter(Boolean) : [];
+    if (!options.length || new Set(options).size !== options.length) {
+      throw fallCheckSchemaError(`options must be a list of distinct values for ${key}`);
+    }
+    field.options = options;
   }
-  const checklist = normalizeChecklist(qa_checklist);
-  if (checklist.error) {
-    return res.status(400).json({ message: "Invalid QA checklist" });
+  return field;
+};
+
+// Validates a full `fall_check_schemas` object against the facility checklist.
+const normalizeFallCheckSchemas = (input, checklist) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw fallCheckSchemaError("schemas must be an object keyed by checklist item");
   }
-  const fallChecklist = normalizeChecklist(fall_checklist);
-  if (fallChecklist.error) {
-    return res.status(400).json({ message: "Invalid fall checklist" });
+  const items = Array.isArray(checklist) ? checklist : [];
+  const schemas = {};
+  Object.entries(input).forEach(([itemName, schema]) => {
+    if (!items.includes(itemName)) {
+      throw fallCheckSchemaError(`"${itemName}" is not in the facility fall checklist`);
+    }
+    const fields = Array.isArray(schema?.fields) ? schema.fields : null;
+    if (!fields) {
+      throw fallCheckSchemaError(`fields must be a list for "${itemName}"`);
+    }
+    const normalized = fields.map((field) => normalizeFallCheckField(field, itemName));
+    if (new Set(normalized.map((field) => field.key)).size !== normalized.length) {
+      throw fallCheckSchemaError(`Field keys must not repeat for "${itemName}"`);
+    }
+    if (normalized.length) {
+      schemas[itemName] = { fields: normalized };
+    }
+  });
+  return schemas;
+};
+
+const describeFallCheckRange = (field) => {
+  if (field.min !== undefined && field.max !== undefined) {
+    return `between ${field.min} and ${field.max}`;
   }
-  const exportTtl = parseOptionalPositiveInt(export_token_ttl_days);
-  if (exportTtl.error) {
-    return res.status(400).json({ message: "Invalid export token TTL" });
+  return field.min !== undefined ? `at least ${field.min}` : `at most ${field.max}`;
+};
+
+// Returns { values, error }. Required fields are checked separately, only when a check is completed,
+// so a nurse can save a partial set of readings while the check is still pending.
+const parseFallCheckData = (fields, data) => {
+  if (data !== null && data !== undefined && (typeof data !== "object" || Array.isArray(data))) {
+    return { error: "data must be an object" };
   }
-  const protocol = parseOptionalEnum(assessment_protocol, allowedAssessmentProtocols);
-  if (protocol.error) {
-    return res.status(400).json({ message: "Invalid assessment protocol" });
+  const input = data || {};
+  const fieldMap = new Map(fields.map((field) => [field.key, field]));
+  const unknown = Object.keys(input).filter((key) => !fieldMap.has(key));
+  if (unknown.length) {
+    return {
+      error: fields.length
+        ? `Unknown check fields: ${unknown.join(", ")}`
+        : "No data fields are defined for this check",
+    };
   }
-  const captureMethod = parseOptionalEnum(capture_method, allowedCaptureMethods);
-  if (captureMethod.error) {
-    return res.status(400).json({ message: "Invalid capture method" });
+  const values = {};
+  for (const field of fields) {
+    const raw = input[field.key];
+    if (raw === undefined || raw === null || raw === "") {
+      continue;
+    }
+    if (field.type === "integer" || field.type === "number") {
+      const value = typeof raw === "string" ? Number(raw) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value) || (field.type === "integer" && !Number.isInteger(value))) {
+        return { error: `${field.label} must be ${field.type === "integer" ? "a whole number" : "a number"}` };
+      }
+      if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        return { error: `${field.label} must be ${describeFallCheckRange(field)}` };
+      }
+      values[field.key] = value;
+    } else if (field.type === "choice") {
+      if (!field.options.includes(raw)) {
+        return { error: `${field.label} must be one of: ${field.options.join(", ")}` };
+      }
+      values[field.key] = raw;
+    } else if (field.type === "boolean") {
+      const parsed = parseOptionalBoolean(raw);
+      if (parsed.error) {
+        return { error: `${field.label} must be true or false` };
+      }
+      values[field.key] = parsed.value;
+    } else {
+      const text = normalizeString(raw);
+      if (typeof raw !== "string" || text.length > maxFallCheckTextLength) {
+        return { error: `${field.label} must be text of ${maxFallCheckTextLength} characters or fewer` };
+      }
+      if (text) {
+        values[field.key] = text;
+      }
+    }
   }
-  const rolePolicy = parseOptionalEnum(role_policy, allowedRolePolicies);
-  if (rolePolicy.error) {
-    return res.status(400).json({ message: "Invalid role policy" });
+  if (values.systolic_bp !== undefined && values.diastolic_bp !== undefined && values.systolic_bp <= values.diastolic_bp) {
+    return { error: "Systolic BP must be higher than diastolic BP" };
+  }
+  const gcsParts = [values.gcs_eye, values.gcs_verbal, values.gcs_motor];
+  if (values.gcs_total !== undefined && gcsParts.every((part) => part !== undefined)
+    && gcsParts.reduce((sum, part) => sum + part, 0) !== values.gcs_total) {
+    return { error: "GCS total must equal eye + verbal + motor" };
   }
+  return { values };
+};
 
-  const { rows } = await pool.query(
-    `INSERT INTO facilities (name, address_line1, address_line2, city, state, zip,
-                             reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-                             export_token_ttl_days,
-                             assessment_protocol, capture_method, role_policy)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-     RETURNING id, name, address_line1, address_line2, city, state, zip,
-               reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-               export_token_ttl_days,
-               assessment_protocol, capture_method, role_policy,
-               created_at, updated_at`,
+const findMissingFallCheckFields = (fields, values) => fields
+  .filter((field) => field.required && (values?.[field.key] === undefined || values?.[field.key] === null))
+  .map((field) => field.key);
+
+const fallEventSummarySelect = `SELECT fe.id, fe.facility_id, fe.resident_id, fe.occurred_at, fe.building, fe.floor, fe.unit, fe.room,
+            fe.witness, fe.head_strike, fe.injury_severity, fe.ems_called, fe.hospital_transfer, fe.assistive_device,
+            fe.contributing_factors, fe.notes, fe.created_by, fe.created_at, fe.updated_at,
+            fe.voided_at, fe.voided_by, fe.void_reason,
+            COALESCE(jsonb_array_length(f.fall_checklist), 0) AS fall_checks_required,
+            COALESCE(done.completed_count, 0) AS fall_checks_completed,
+            last_assessment.assessment_date AS last_assessment_date,
+            last_assessment.risk_tier AS last_risk_tier
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     LEFT JOIN (
+       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
+       FROM post_fall_checks
+       WHERE status = 'completed'
+       GROUP BY fall_event_id
+     ) done ON done.fall_event_id = fe.id
+     LEFT JOIN LATERAL (
+       SELECT assessment_date, risk_tier
+       FROM assessments
+       WHERE resident_id = fe.resident_id
+       ORDER BY assessment_date DESC NULLS LAST, created_at DESC
+       LIMIT 1
+     ) AS last_assessment ON TRUE`;
+
+async function fetchFallEventSummary(fallEventId) {
+  const { rows } = await pool.query(`${fallEventSummarySelect} WHERE fe.id = $1`, [fallEventId]);
+  return rows[0] || null;
+}
+
+// Fields captured in each revision snapshot. The void columns are included so a void revision
+// shows exactly what changed, but they can only be set through the void endpoint.
+const editableFallEventFields = [
+  "resident_id",
+  "occurred_at",
+  "building",
+  "floor",
+  "unit",
+  "room",
+  "witness",
+  "head_strike",
+  "injury_severity",
+  "ems_called",
+  "hospital_transfer",
+  "assistive_device",
+  "contributing_factors",
+  "notes",
+];
+const fallEventSnapshotFields = [...editableFallEventFields, "voided_at", "void_reason"];
+
+const buildFallEventSnapshot = (row) => Object.fromEntries(
+  fallEventSnapshotFields.map((field) => {
+    const value = row[field];
+    return [field, value instanceof Date ? value.toISOString() : value ?? null];
+  })
+);
+
+async function insertFallEventRevision(client, { fallEventId, action, previous, next, reason, changedBy }) {
+  const changedFields = fallEventSnapshotFields.filter(
+    (field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+  );
+  const { rows } = await client.query(
+    `INSERT INTO fall_event_revisions (
+       fall_event_id, revision_number, action, previous_values, new_values, changed_fields, reason, changed_by
+     )
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+     FROM fall_event_revisions
+     WHERE fall_event_id = $1
+     RETURNING id, revision_number, action, changed_fields, created_at`,
     [
-      normalizedName,
-      toNullableString(address_line1),
-      toNullableString(address_line2),
-      toNullableString(city),
-      toNullableString(state),
-      toNullableString(zip),
-      cadence.value || 90,
-      reportHours.value || 24,
-      JSON.stringify(checklist.value || []),
-      JSON.stringify(fallChecklist.value || []),
-      exportTtl.value || 7,
-      protocol.value || "tug_chair_balance",
-      captureMethod.value || "record_upload",
-      rolePolicy.value || "clinician_admin_only",
+      fallEventId,
+      action,
+      JSON.stringify(previous),
+      JSON.stringify(next),
+      JSON.stringify(changedFields),
+      reason,
+      changedBy,
     ]
   );
-  await audit(req.user.id, "facility.created", "facility", rows[0].id, { name: normalizedName });
-  scheduleNextDueScan(rows[0].id).catch((error) => {
-    console.error("Failed to schedule due scan", error.message);
-  });
-  res.status(201).json(rows[0]);
-}));
-
-app.patch("/facilities/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const updateFields = {};
+  return rows[0];
+}
 
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "name")) {
-    const normalizedName = normalizeString(req.body?.name);
-    if (!normalizedName) {
-      return res.status(400).json({ message: "Facility name is required" });
+// Parses a PATCH body into column values. Only fields present in the body are returned; clearing a
+// severity or flag falls back to the same defaults used when the event is created.
+const parseFallEventUpdates = (body) => {
+  const updates = {};
+  if (body.occurred_at !== undefined) {
+    const occurredAt = parseDateTime(body.occurred_at);
+    if (!occurredAt) {
+      return { error: "Invalid occurred_at" };
     }
-    updateFields.name = normalizedName;
+    updates.occurred_at = occurredAt;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "address_line1")) {
-    updateFields.address_line1 = toNullableString(req.body?.address_line1);
+  ["building", "floor", "unit", "room", "witness", "assistive_device", "notes"].forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = toNullableString(body[field]);
+    }
+  });
+  const severity = parseOptionalEnum(body.injury_severity, allowedInjurySeverities);
+  if (severity.error) {
+    return { error: "Invalid injury severity" };
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "address_line2")) {
-    updateFields.address_line2 = toNullableString(req.body?.address_line2);
+  if (severity.value !== undefined) {
+    updates.injury_severity = severity.value || "none";
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "city")) {
-    updateFields.city = toNullableString(req.body?.city);
+  const parsedEms = parseOptionalBoolean(body.ems_called);
+  if (parsedEms.error) {
+    return { error: "Invalid EMS called flag" };
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "state")) {
-    updateFields.state = toNullableString(req.body?.state);
+  if (parsedEms.value !== undefined) {
+    updates.ems_called = parsedEms.value ?? false;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "zip")) {
-    updateFields.zip = toNullableString(req.body?.zip);
+  const parsedHospital = parseOptionalBoolean(body.hospital_transfer);
+  if (parsedHospital.error) {
+    return { error: "Invalid hospital transfer flag" };
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "reassessment_cadence_days")) {
-    const cadence = parseOptionalPositiveInt(req.body?.reassessment_cadence_days);
-    if (cadence.error || cadence.value === null) {
-      return res.status(400).json({ message: "Invalid reassessment cadence" });
-    }
-    updateFields.reassessment_cadence_days = cadence.value;
+  if (parsedHospital.value !== undefined) {
+    updates.hospital_transfer = parsedHospital.value ?? false;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "report_turnaround_hours")) {
-    const reportHours = parseOptionalPositiveInt(req.body?.report_turnaround_hours);
-    if (reportHours.error || reportHours.value === null) {
-      return res.status(400).json({ message: "Invalid report turnaround hours" });
-    }
-    updateFields.report_turnaround_hours = reportHours.value;
+  const parsedHeadStrike = parseOptionalBoolean(body.head_strike);
+  if (parsedHeadStrike.error) {
+    return { error: "Invalid head strike flag" };
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "export_token_ttl_days")) {
-    const exportTtl = parseOptionalPositiveInt(req.body?.export_token_ttl_days);
-    if (exportTtl.error || exportTtl.value === null) {
-      return res.status(400).json({ message: "Invalid export token TTL" });
+  if (parsedHeadStrike.value !== undefined) {
+    updates.head_strike = parsedHeadStrike.value ?? false;
+  }
+  const factors = body.contributing_factors === null ? { value: [], error: null } : normalizeChecklist(body.contributing_factors);
+  if (factors.error) {
+    return { error: "Invalid contributing factors" };
+  }
+  if (factors.value !== undefined) {
+    updates.contributing_factors = factors.value;
+  }
+  if (body.resident_id !== undefined) {
+    if (typeof body.resident_id !== "string" || !isUuid(body.resident_id)) {
+      return { error: "Invalid resident_id" };
     }
-    updateFields.export_token_ttl_days = exportTtl.value;
+    updates.resident_id = body.resident_id;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "qa_checklist")) {
-    const checklist = normalizeChecklist(req.body?.qa_checklist);
-    if (checklist.error) {
-      return res.status(400).json({ message: "Invalid QA checklist" });
+  return { updates };
+};
+
+async function fetchFallEventAccess(fallEventId) {
+  const { rows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, fe.resident_id, fe.voided_at, f.role_policy
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     WHERE fe.id = $1`,
+    [fallEventId]
+  );
+  return rows[0] || null;
+}
+
+// Neuro-check cadence after an unwitnessed fall or head strike: q15min x4, q30min x4, q1h x4, then q4h.
+// The last stage repeats until the schedule covers neuroCheckScheduleHours.
+const neuroCheckCadence = [
+  { intervalMinutes: 15, count: 4 },
+  { intervalMinutes: 30, count: 4 },
+  { intervalMinutes: 60, count: 4 },
+  { intervalMinutes: 240, count: null },
+];
+const neuroCheckFields = [
+  "consciousness",
+  "pupils",
+  "limb_movement",
+  "gcs_eye",
+  "gcs_verbal",
+  "gcs_motor",
+  "gcs_total",
+  "pulse",
+  "systolic_bp",
+  "diastolic_bp",
+].map((key) => ({ key, ...fallCheckFieldPresets[key], required: false }));
+
+const requiresNeuroChecks = (fallEvent) => !normalizeString(fallEvent.witness) || fallEvent.head_strike === true;
+
+const buildNeuroCheckSchedule = (anchor) => {
+  const limit = anchor.getTime() + neuroCheckScheduleHours * 60 * 60 * 1000;
+  const schedule = [];
+  let dueAt = anchor.getTime();
+  for (const stage of neuroCheckCadence) {
+    for (let step = 0; stage.count === null || step < stage.count; step += 1) {
+      dueAt += stage.intervalMinutes * 60 * 1000;
+      if (dueAt > limit) {
+        return schedule;
+      }
+      schedule.push({
+        sequence: schedule.length + 1,
+        interval_minutes: stage.intervalMinutes,
+        due_at: new Date(dueAt).toISOString(),
+      });
     }
-    updateFields.qa_checklist = JSON.stringify(checklist.value || []);
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "fall_checklist")) {
-    const checklist = normalizeChecklist(req.body?.fall_checklist);
-    if (checklist.error) {
-      return res.status(400).json({ message: "Invalid fall checklist" });
+  return schedule;
+};
+
+// Creates the schedule once per fall event, timed from when the fall occurred, and queues one
+// escalation task per instance. Checks already past when the fall is recorded are skipped rather than
+// created as missed. With `reschedule` (a corrected occurred_at) the pending instances are cancelled and
+// the rest of the schedule is rebuilt from the new time; recorded and missed instances are kept and their
+// sequences are not repeated. Returns the number of instances created.
+async function scheduleNeuroChecks(fallEventId, occurredAt, { reschedule = false } = {}) {
+  let replacing = false;
+  if (reschedule) {
+    const { rowCount } = await pool.query(
+      `UPDATE fall_neuro_checks SET status = 'cancelled', updated_at = now()
+       WHERE fall_event_id = $1 AND status = 'pending'`,
+      [fallEventId]
+    );
+    replacing = rowCount > 0;
+  }
+  const now = Date.now();
+  const schedule = buildNeuroCheckSchedule(new Date(occurredAt))
+    .filter((entry) => new Date(entry.due_at).getTime() > now);
+  const { rows } = await pool.query(
+    `INSERT INTO fall_neuro_checks (fall_event_id, sequence, interval_minutes, due_at)
+     SELECT $1, s.sequence, s.interval_minutes, s.due_at
+     FROM unnest($2::int[], $3::int[], $4::timestamptz[]) AS s(sequence, interval_minutes, due_at)
+     WHERE $5 OR NOT EXISTS (SELECT 1 FROM fall_neuro_checks WHERE fall_event_id = $1)
+     ON CONFLICT (fall_event_id, sequence) WHERE status <> 'cancelled' DO NOTHING
+     RETURNING id, due_at`,
+    [
+      fallEventId,
+      schedule.map((entry) => entry.sequence),
+      schedule.map((entry) => entry.interval_minutes),
+      schedule.map((entry) => entry.due_at),
+      replacing,
+    ]
+  );
+  await Promise.all(rows.map((row) => enqueueTask({
+    taskType: "neuro_check_due",
+    taskKey: `neuro_check_due:${row.id}`,
+    payload: { neuro_check_id: row.id },
+    runAt: new Date(new Date(row.due_at).getTime() + neuroCheckGraceMinutes * 60 * 1000),
+  })));
+  return rows.length;
+}
+
+// Opens a re-screen after a fall, due post_fall_reassessment_days after it and assigned to whoever
+// completed the resident's last assessment. Nothing is created while the resident has any assessment
+// still open (a fall reassessment or one started by hand). Returns the new assessment id, or null.
+async function scheduleFallReassessment(fallEventId, userId) {
+  const { rows: fallRows } = await pool.query(
+    `SELECT fe.id, fe.resident_id, fe.facility_id, fe.occurred_at,
+            f.post_fall_reassessment_days, f.assessment_protocol, f.capture_method
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     WHERE fe.id = $1`,
+    [fallEventId]
+  );
+  const fall = fallRows[0];
+  if (!fall || !fall.post_fall_reassessment_days) {
+    return null;
+  }
+  const { rows: assessorRows } = await pool.query(
+    `SELECT u.id
+     FROM assessments a
+     JOIN users u ON u.id = COALESCE(a.assigned_to, a.created_by)
+     WHERE a.resident_id = $1 AND u.facility_id = $2 AND u.status = 'active'
+     ORDER BY (a.status = 'completed') DESC, a.assessment_date DESC, a.created_at DESC
+     LIMIT 1`,
+    [fall.resident_id, fall.facility_id]
+  );
+  const assessorId = assessorRows[0]?.id || null;
+  const occurredAt = new Date(fall.occurred_at);
+  const scheduledDate = formatDateOnly(occurredAt);
+  const dueDate = formatDateOnly(new Date(occurredAt.getTime() + fall.post_fall_reassessment_days * 24 * 60 * 60 * 1000));
+  const { rows } = await pool.query(
+    `INSERT INTO assessments (
+       resident_id, created_by, status, assessment_date, scheduled_date, due_date,
+       assessment_protocol, capture_method, assigned_to, assigned_at, fall_event_id
+     )
+     SELECT $1, $2, 'needs_review', $3, $3, $4, $5, $6, $7::uuid, CASE WHEN $7::uuid IS NULL THEN NULL ELSE now() END, $8
+     WHERE NOT EXISTS (
+       SELECT 1 FROM assessments WHERE resident_id = $1 AND status <> 'completed'
+     )
+     ON CONFLICT (resident_id) WHERE fall_event_id IS NOT NULL AND status <> 'completed' DO NOTHING
+     RETURNING id`,
+    [
+      fall.resident_id,
+      userId,
+      scheduledDate,
+      dueDate,
+      fall.assessment_protocol || defaultAssessmentProtocol,
+      fall.capture_method || "record_upload",
+      assessorId,
+      fall.id,
+    ]
+  );
+  if (!rows[0]) {
+    return null;
+  }
+  await audit(userId, "assessment.created", "assessment", rows[0].id, {
+    fall_event_id: fall.id,
+    assigned_to: assessorId,
+  });
+  return rows[0].id;
+}
+
+// Withdraws the open reassessment a fall created once the fall is voided or moved to another resident.
+// If nobody has started it (no scores, videos or reports) it is deleted; otherwise it is kept and only
+// unlinked from the fall. Returns "cancelled", "unlinked" or null.
+async function releaseFallReassessment({ fallEventId, userId, reason }) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.status,
+            EXISTS (SELECT 1 FROM assessment_scores s WHERE s.assessment_id = a.id)
+              OR EXISTS (SELECT 1 FROM videos v WHERE v.assessment_id = a.id)
+              OR EXISTS (SELECT 1 FROM reports r WHERE r.assessment_id = a.id) AS started
+     FROM assessments a
+     WHERE a.fall_event_id = $1 AND a.status <> 'completed'`,
+    [fallEventId]
+  );
+  const reassessment = rows[0];
+  if (!reassessment) {
+    return null;
+  }
+  if (reassessment.status === "needs_review" && !reassessment.started) {
+    await pool.query("DELETE FROM assessments WHERE id = $1", [reassessment.id]);
+    await audit(userId, "assessment.cancelled", "assessment", reassessment.id, {
+      fall_event_id: fallEventId,
+      reason,
+    });
+    return "cancelled";
+  }
+  await pool.query(
+    "UPDATE assessments SET fall_event_id = NULL, updated_at = now() WHERE id = $1",
+    [reassessment.id]
+  );
+  await audit(userId, "assessment.fall_unlinked", "assessment", reassessment.id, {
+    fall_event_id: fallEventId,
+    reason,
+  });
+  return "unlinked";
+}
+
+// Repeat-faller rules. A facility can change the thresholds or turn a rule off; until it saves its own
+// rules these defaults apply.
+const defaultRepeatFallRules = {
+  short_window: { enabled: true, falls: 2, days: 30 },
+  long_window: { enabled: true, falls: 3, days: 90 },
+  low_risk_screen: { enabled: true, days: 30 },
+};
+const repeatFallRuleKeys = Object.keys(defaultRepeatFallRules);
+
+const normalizeRepeatFallRules = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw Object.assign(new Error("rules must be an object"), { status: 400 });
+  }
+  const unknown = Object.keys(input).filter((key) => !repeatFallRuleKeys.includes(key));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown repeat fall rule: ${unknown[0]}`), { status: 400 });
+  }
+  const rules = {};
+  repeatFallRuleKeys.forEach((key) => {
+    const fallback = defaultRepeatFallRules[key];
+    const value = input[key] === undefined ? fallback : input[key];
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw Object.assign(new Error(`Invalid ${key} rule`), { status: 400 });
+    }
+    const rule = { enabled: value.enabled === undefined ? true : value.enabled };
+    if (typeof rule.enabled !== "boolean") {
+      throw Object.assign(new Error(`Invalid ${key}.enabled`), { status: 400 });
+    }
+    const days = value.days === undefined ? fallback.days : Number(value.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw Object.assign(new Error(`Invalid ${key}.days`), { status: 400 });
+    }
+    rule.days = days;
+    if (fallback.falls !== undefined) {
+      const falls = value.falls === undefined ? fallback.falls : Number(value.falls);
+      if (!Number.isInteger(falls) || falls < 2 || falls > 20) {
+        throw Object.assign(new Error(`Invalid ${key}.falls`), { status: 400 });
+      }
+      rule.falls = falls;
     }
-    updateFields.fall_checklist = JSON.stringify(checklist.value || []);
+    rules[key] = rule;
+  });
+  return rules;
+};
+
+const resolveRepeatFallRules = (stored) => (
+  stored && typeof stored === "object" && !Array.isArray(stored) ? normalizeRepeatFallRules(stored) : defaultRepeatFallRules
+);
+
+const describeFallFlag = (flag) => (
+  flag.rule === "low_risk_screen"
+    ? `Fall within ${flag.window_days} days of a low risk screen`
+    : `${flag.fall_count} falls in ${flag.window_days} days`
+);
+
+// Checks the resident's fall history as of this fall against the facility's repeat-faller rules and
+// opens one flag per rule that matches. A rule with an open flag is not flagged again, and a resolved
+// flag is not reopened by a correction to the same fall. Returns the flags created.
+async function detectRepeatFaller(fallEventId) {
+  const { rows: fallRows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, fe.resident_id, fe.occurred_at, fe.voided_at,
+            f.repeat_fall_rules, r.first_name, r.last_name
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     JOIN residents r ON r.id = fe.resident_id
+     WHERE fe.id = $1`,
+    [fallEventId]
+  );
+  const fall = fallRows[0];
+  if (!fall || fall.voided_at) {
+    return [];
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "assessment_protocol")) {
-    const protocol = parseOptionalEnum(req.body?.assessment_protocol, allowedAssessmentProtocols);
-    if (protocol.error || protocol.value === null) {
-      return res.status(400).json({ message: "Invalid assessment protocol" });
+  const rules = resolveRepeatFallRules(fall.repeat_fall_rules);
+  const matches = [];
+  for (const key of ["short_window", "long_window"]) {
+    const rule = rules[key];
+    if (!rule.enabled) {
+      continue;
+    }
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS total
+       FROM fall_events
+       WHERE resident_id = $1 AND voided_at IS NULL
+         AND occurred_at <= $2
+         AND occurred_at > $2::timestamptz - make_interval(days => $3)`,
+      [fall.resident_id, fall.occurred_at, rule.days]
+    );
+    if (rows[0].total >= rule.falls) {
+      matches.push({ rule: key, fall_count: rows[0].total, window_days: rule.days, assessment_id: null });
     }
-    updateFields.assessment_protocol = protocol.value;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "capture_method")) {
-    const captureMethod = parseOptionalEnum(req.body?.capture_method, allowedCaptureMethods);
-    if (captureMethod.error || captureMethod.value === null) {
-      return res.status(400).json({ message: "Invalid capture method" });
+  if (rules.low_risk_screen.enabled) {
+    const { rows } = await pool.query(
+      `SELECT id, assessment_date, risk_tier
+       FROM assessments
+       WHERE resident_id = $1 AND status = 'completed' AND assessment_date <= $2::timestamptz::date
+       ORDER BY assessment_date DESC, created_at DESC
+       LIMIT 1`,
+      [fall.resident_id, fall.occurred_at]
+    );
+    const screen = rows[0];
+    const daysSince = screen
+      ? (new Date(fall.occurred_at).getTime() - new Date(screen.assessment_date).getTime()) / (24 * 60 * 60 * 1000)
+      : null;
+    if (screen && screen.risk_tier === "low" && daysSince <= rules.low_risk_screen.days) {
+      matches.push({ rule: "low_risk_screen", fall_count: 1, window_days: rules.low_risk_screen.days, assessment_id: screen.id });
     }
-    updateFields.capture_method = captureMethod.value;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "role_policy")) {
-    const rolePolicy = parseOptionalEnum(req.body?.role_policy, allowedRolePolicies);
-    if (rolePolicy.error || rolePolicy.value === null) {
-      return res.status(400).json({ message: "Invalid role policy" });
+  if (!matches.length) {
+    return [];
+  }
+
+  const created = [];
+  for (const match of matches) {
+    const { rows } = await pool.query(
+      `INSERT INTO resident_fall_flags (facility_id, resident_id, rule, fall_event_id, assessment_id, fall_count, window_days)
+       SELECT $1, $2, $3, $4, $5, $6, $7
+       WHERE NOT EXISTS (
+         SELECT 1 FROM resident_fall_flags WHERE resident_id = $2 AND rule = $3 AND fall_event_id = $4
+       )
+       ON CONFLICT (resident_id, rule) WHERE status = 'open' DO NOTHING
+       RETURNING id, rule, fall_count, window_days`,
+      [fall.facility_id, fall.resident_id, match.rule, fall.id, match.assessment_id, match.fall_count, match.window_days]
+    );
+    if (rows[0]) {
+      created.push(rows[0]);
     }
-    updateFields.role_policy = rolePolicy.value;
+  }
+  if (!created.length) {
+    return created;
   }
 
-  const update = buildUpdate(updateFields);
-  if (!update) {
-    return res.status(400).json({ message: "No fields to update" });
+  // The resident's clinician is whoever the most recent assigned assessment belongs to.
+  const { rows: clinicianRows } = await pool.query(
+    `SELECT assigned_to FROM assessments
+     WHERE resident_id = $1 AND assigned_to IS NOT NULL
+     ORDER BY assessment_date DESC, created_at DESC
+     LIMIT 1`,
+    [fall.resident_id]
+  );
+  const residentName = `${fall.first_name || ""} ${fall.last_name || ""}`.trim() || "Resident";
+  await Promise.all(created.map((flag) => notifyFacilityUsers({
+    facilityId: fall.facility_id,
+    type: "fall_flag.raised",
+    title: "Repeat faller flagged",
+    body: `${residentName}: ${describeFallFlag(flag)}.`,
+    data: { resident_id: fall.resident_id, fall_flag_id: flag.id, fall_event_id: fall.id, rule: flag.rule },
+    eventKeyBase: `fall_flag:${flag.id}`,
+    roles: ["admin"],
+    userIds: clinicianRows[0] ? [clinicianRows[0].assigned_to] : [],
+  })));
+  return created;
+}
+
+// Re-checks a resident's open flags after one of their falls is voided, moved to someone else or
+// re-dated. A flag whose fall no longer counts for the resident is resolved. A window flag is recounted
+// as of its own fall, since the changed fall may have been one of the falls it counted: it is resolved
+// when the count drops below the facility's rule, otherwise its fall_count is brought up to date. A low
+// risk screen flag is resolved once its fall is no longer within the window after the screen. When
+// anything is resolved the resident's latest remaining fall is checked again, so a rule that still
+// holds is flagged on that fall. Returns the flags resolved.
+async function releaseFallFlags({ fallEventId, residentId, userId, note }) {
+  const { rows: flagRows } = await pool.query(
+    `SELECT ff.id, ff.rule, ff.fall_count, ff.window_days, ff.assessment_id,
+            fe.occurred_at, fe.resident_id AS fall_resident_id, fe.voided_at,
+            a.assessment_date, f.repeat_fall_rules
+     FROM resident_fall_flags ff
+     JOIN facilities f ON f.id = ff.facility_id
+     LEFT JOIN fall_events fe ON fe.id = ff.fall_event_id
+     LEFT JOIN assessments a ON a.id = ff.assessment_id
+     WHERE ff.resident_id = $1 AND ff.status = 'open'`,
+    [residentId]
+  );
+  const resolveIds = [];
+  for (const flag of flagRows) {
+    if (!flag.occurred_at || flag.voided_at || flag.fall_resident_id !== residentId) {
+      resolveIds.push(flag.id);
+      continue;
+    }
+    if (flag.rule === "low_risk_screen") {
+      const daysSince = flag.assessment_date
+        ? (new Date(flag.occurred_at).getTime() - new Date(flag.assessment_date).getTime()) / (24 * 60 * 60 * 1000)
+        : null;
+      if (daysSince === null || daysSince < 0 || daysSince > flag.window_days) {
+        resolveIds.push(flag.id);
+      }
+      continue;
+    }
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*)::int AS total
+       FROM fall_events
+       WHERE resident_id = $1 AND voided_at IS NULL
+         AND occurred_at <= $2
+         AND occurred_at > $2::timestamptz - make_interval(days => $3)`,
+      [residentId, flag.occurred_at, flag.window_days]
+    );
+    const total = countRows[0].total;
+    if (total < resolveRepeatFallRules(flag.repeat_fall_rules)[flag.rule].falls) {
+      resolveIds.push(flag.id);
+    } else if (total !== flag.fall_count) {
+      await pool.query(
+        `UPDATE resident_fall_flags SET fall_count = $2, updated_at = now() WHERE id = $1`,
+        [flag.id, total]
+      );
+    }
+  }
+  if (!resolveIds.length) {
+    return [];
+  }
+  const { rows } = await pool.query(
+    `UPDATE resident_fall_flags
+     SET status = 'resolved', resolution_note = $2, resolved_by = $3, resolved_at = now(), updated_at = now()
+     WHERE id = ANY($1::uuid[]) AND status = 'open'
+     RETURNING id, rule`,
+    [resolveIds, note, userId]
+  );
+  const { rows: latestRows } = await pool.query(
+    `SELECT id FROM fall_events
+     WHERE resident_id = $1 AND voided_at IS NULL AND id <> $2
+     ORDER BY occurred_at DESC, created_at DESC
+     LIMIT 1`,
+    [residentId, fallEventId]
+  );
+  if (latestRows[0]) {
+    await detectRepeatFaller(latestRows[0].id);
   }
+  return rows;
+}
 
-  const { setClauses, values } = update;
+const residentFallFlagSelect = `
+  SELECT ff.id, ff.facility_id, ff.resident_id, ff.rule, ff.fall_event_id, ff.assessment_id,
+         ff.fall_count, ff.window_days, ff.status, ff.resolution_note, ff.resolved_by, ff.resolved_at,
+         ff.created_at, ff.updated_at,
+         u.full_name AS resolved_by_name
+  FROM resident_fall_flags ff
+  LEFT JOIN users u ON u.id = ff.resolved_by`;
+
+app.get("/residents/:id/fall-flags", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const resident = await fetchResidentAccess(id);
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
   const { rows } = await pool.query(
-    `UPDATE facilities SET ${setClauses.join(", ")}, updated_at = now()
-     WHERE id = $${values.length + 1}
-     RETURNING id, name, address_line1, address_line2, city, state, zip,
-               reassessment_cadence_days, report_turnaround_hours, qa_checklist, fall_checklist,
-               export_token_ttl_days,
-               assessment_protocol, capture_method, role_policy,
-               created_at, updated_at`,
-    [...values, id]
+    `${residentFallFlagSelect}
+     WHERE ff.resident_id = $1
+     ORDER BY ff.created_at DESC`,
+    [id]
   );
-  if (!rows[0]) {
-    return res.status(404).json({ message: "Facility not found" });
+  res.json(rows);
+}));
+
+// Resolving closes the flag and its queue item. The same rule can flag the resident again on a later fall.
+app.patch("/fall-flags/:id", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return res.status(404).json({ message: "Fall flag not found" });
   }
-  await audit(req.user.id, "facility.updated", "facility", id, null);
+  const body = req.body || {};
+  if (body.status !== "resolved") {
+    return res.status(400).json({ message: "status must be resolved" });
+  }
+  if (body.resolution_note !== undefined && body.resolution_note !== null && typeof body.resolution_note !== "string") {
+    return res.status(400).json({ message: "Invalid resolution_note" });
+  }
+  const { rows: flagRows } = await pool.query(
+    `SELECT ff.id, ff.facility_id, ff.resident_id, ff.status, f.role_policy
+     FROM resident_fall_flags ff
+     JOIN facilities f ON f.id = ff.facility_id
+     WHERE ff.id = $1`,
+    [id]
+  );
+  const flag = flagRows[0];
+  if (!flag) {
+    return res.status(404).json({ message: "Fall flag not found" });
+  }
+  if (flag.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(flag.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (flag.status === "resolved") {
+    return res.status(409).json({ message: "Fall flag already resolved" });
+  }
+  const resolutionNote = toNullableString(body.resolution_note);
+  await pool.query(
+    `UPDATE resident_fall_flags
+     SET status = 'resolved', resolution_note = $2, resolved_by = $3, resolved_at = now(), updated_at = now()
+     WHERE id = $1`,
+    [id, resolutionNote, req.user.id]
+  );
+  await audit(req.user.id, "fall_flag.resolved", "resident", flag.resident_id, { fall_flag_id: id });
+  const { rows } = await pool.query(`${residentFallFlagSelect} WHERE ff.id = $1`, [id]);
   res.json(rows[0]);
 }));
 
-app.get("/units", authMiddleware, asyncHandler(async (req, res) => {
-  const facilityId = normalizeString(req.query.facility_id || req.user.facility_id);
-  if (!facilityId) {
-    return res.status(400).json({ message: "facility_id is required" });
+app.get("/residents/:id/fall-events", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: residentRows } = await pool.query(
+    `SELECT r.facility_id, f.role_policy
+     FROM residents r
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.id = $1`,
+    [id]
+  );
+  const resident = residentRows[0];
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
   }
-  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const includeVoided = parseOptionalBoolean(req.query.include_voided).value === true;
   const { rows } = await pool.query(
-    `SELECT id, facility_id, label, building, floor, unit, room, created_at, updated_at
-     FROM facility_units
-     WHERE facility_id = $1
-     ORDER BY label ASC`,
-    [facilityId]
+    `${fallEventSummarySelect}
+     WHERE fe.resident_id = $1 AND ($2 OR fe.voided_at IS NULL)
+     ORDER BY fe.occurred_at DESC, fe.created_at DESC`,
+    [id, includeVoided]
   );
   res.json(rows);
 }));
 
-app.post("/units", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+app.post("/residents/:id/fall-events", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
   const {
-    facility_id,
-    label,
+    occurred_at,
     building,
     floor,
     unit,
     room,
+    injury_severity,
+    ems_called,
+    hospital_transfer,
+    witness,
+    head_strike,
+    assistive_device,
+    contributing_factors,
+    notes,
   } = req.body || {};
-  const facilityId = facility_id || req.user.facility_id;
-  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+  const { rows: residentRows } = await pool.query(
+    `SELECT r.facility_id, r.building, r.floor, r.unit, r.room, f.role_policy
+     FROM residents r
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE r.id = $1`,
+    [id]
+  );
+  const resident = residentRows[0];
+  if (!resident) {
+    return res.status(404).json({ message: "Resident not found" });
+  }
+  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  const { rows: facilityRows } = await pool.query(
-    `SELECT id FROM facilities WHERE id = $1`,
-    [facilityId]
-  );
-  if (!facilityRows[0]) {
-    return res.status(400).json({ message: "Facility not found" });
+  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
   }
-  const normalizedBuilding = toNullableString(building);
-  const normalizedFloor = toNullableString(floor);
-  const normalizedUnit = toNullableString(unit);
-  const normalizedRoom = toNullableString(room);
-  const normalizedLabel = buildUnitLabel({
-    label,
-    building: normalizedBuilding,
-    floor: normalizedFloor,
-    unit: normalizedUnit,
-    room: normalizedRoom,
+  const occurredAt = parseDateTime(occurred_at);
+  if (!occurredAt) {
+    return res.status(400).json({ message: "Invalid occurred_at" });
+  }
+  const severity = parseOptionalEnum(injury_severity, allowedInjurySeverities);
+  if (severity.error) {
+    return res.status(400).json({ message: "Invalid injury severity" });
+  }
+  const parsedEms = parseOptionalBoolean(ems_called);
+  if (parsedEms.error) {
+    return res.status(400).json({ message: "Invalid EMS called flag" });
+  }
+  const parsedHospital = parseOptionalBoolean(hospital_transfer);
+  if (parsedHospital.error) {
+    return res.status(400).json({ message: "Invalid hospital transfer flag" });
+  }
+  const parsedHeadStrike = parseOptionalBoolean(head_strike);
+  if (parsedHeadStrike.error) {
+    return res.status(400).json({ message: "Invalid head strike flag" });
+  }
+  const factors = normalizeChecklist(contributing_factors);
+  if (factors.error) {
+    return res.status(400).json({ message: "Invalid contributing factors" });
+  }
+
+  const normalizedBuilding = toNullableString(building) ?? resident.building ?? null;
+  const normalizedFloor = toNullableString(floor) ?? resident.floor ?? null;
+  const normalizedUnit = toNullableString(unit) ?? resident.unit ?? null;
+  const normalizedRoom = toNullableString(room) ?? resident.room ?? null;
+  const normalizedWitness = toNullableString(witness);
+  const normalizedDevice = toNullableString(assistive_device);
+  const normalizedNotes = toNullableString(notes);
+  const normalizedSeverity = severity.value || "none";
+  const emsCalled = parsedEms.value ?? false;
+  const hospitalTransfer = parsedHospital.value ?? false;
+  const headStrike = parsedHeadStrike.value ?? false;
+  const normalizedFactors = factors.value ?? [];
+  const serializedFactors = JSON.stringify(normalizedFactors);
+
+  const { rows } = await pool.query(
+    `WITH inserted AS (
+       INSERT INTO fall_events (
+         facility_id, resident_id, occurred_at,
+         building, floor, unit, room,
+         witness, injury_severity, ems_called, hospital_transfer,
+         assistive_device, contributing_factors, notes, created_by, head_strike
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *
+     )
+     SELECT inserted.id, inserted.facility_id, inserted.resident_id, inserted.occurred_at,
+            inserted.building, inserted.floor, inserted.unit, inserted.room,
+            inserted.witness, inserted.head_strike, inserted.injury_severity, inserted.ems_called, inserted.hospital_transfer,
+            inserted.assistive_device, inserted.contributing_factors, inserted.notes, inserted.created_by,
+            inserted.created_at, inserted.updated_at,
+            inserted.voided_at, inserted.voided_by, inserted.void_reason,
+            COALESCE(jsonb_array_length(f.fall_checklist), 0) AS fall_checks_required,
+            COALESCE(done.completed_count, 0) AS fall_checks_completed,
+            last_assessment.assessment_date AS last_assessment_date,
+            last_assessment.risk_tier AS last_risk_tier
+     FROM inserted
+     JOIN facilities f ON f.id = inserted.facility_id
+     LEFT JOIN (
+       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
+       FROM post_fall_checks
+       WHERE status = 'completed'
+       GROUP BY fall_event_id
+     ) done ON done.fall_event_id = inserted.id
+     LEFT JOIN LATERAL (
+       SELECT assessment_date, risk_tier
+       FROM assessments
+       WHERE resident_id = inserted.resident_id
+       ORDER BY assessment_date DESC NULLS LAST, created_at DESC
+       LIMIT 1
+     ) AS last_assessment ON TRUE`,
+    [
+      resident.facility_id,
+      id,
+      occurredAt,
+      normalizedBuilding,
+      normalizedFloor,
+      normalizedUnit,
+      normalizedRoom,
+      normalizedWitness,
+      normalizedSeverity,
+      emsCalled,
+      hospitalTransfer,
+      normalizedDevice,
+      serializedFactors,
+      normalizedNotes,
+      req.user.id,
+      headStrike,
+    ]
+  );
+  const neuroChecksScheduled = requiresNeuroChecks(rows[0])
+    ? await scheduleNeuroChecks(rows[0].id, rows[0].occurred_at)
+    : 0;
+  const interventions = await refreshInterventionRecommendations(id);
+  const fallFlags = await detectRepeatFaller(rows[0].id);
+  const reassessmentId = await scheduleFallReassessment(rows[0].id, req.user.id);
+  await audit(req.user.id, "fall_event.created", "fall_event", rows[0].id, {
+    resident_id: id,
+    reassessment_id: reassessmentId,
+    neuro_checks_scheduled: neuroChecksScheduled,
+    interventions_recommended: interventions.map((row) => row.intervention_key),
+    fall_flags_raised: fallFlags.map((flag) => flag.rule),
   });
-  if (!normalizedLabel) {
-    return res.status(400).json({ message: "Unit label is required" });
+  await emitAutomationEvent({
+    trigger: "fall_event.created",
+    facilityId: rows[0].facility_id,
+    entityType: "fall_event",
+    entityId: rows[0].id,
+    source: { entityType: "fall_event", entityId: rows[0].id },
+  });
+  res.status(201).json(rows[0]);
+}));
+
+// Corrections keep the event id so checks, reports and notifications stay attached; every change is
+// stored as a field-level revision.
+app.patch("/fall-events/:id", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
+  }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
   }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
+  }
+  const parsed = parseFallEventUpdates(body);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const { updates } = parsed;
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ message: "No fall event changes provided" });
+  }
+  if (updates.resident_id && updates.resident_id !== fallEvent.resident_id) {
+    const { rows: residentRows } = await pool.query(
+      `SELECT facility_id FROM residents WHERE id = $1`,
+      [updates.resident_id]
+    );
+    if (!residentRows[0]) {
+      return res.status(404).json({ message: "Resident not found" });
+    }
+    if (residentRows[0].facility_id !== fallEvent.facility_id) {
+      return res.status(400).json({ message: "Resident must belong to the fall event's facility" });
+    }
+  }
+
+  const client = await pool.connect();
+  let revision = null;
   try {
-    const { rows } = await pool.query(
-      `INSERT INTO facility_units (facility_id, label, building, floor, unit, room)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, facility_id, label, building, floor, unit, room, created_at, updated_at`,
-      [
-        facilityId,
-        normalizedLabel,
-        normalizedBuilding,
-        normalizedFloor,
-        normalizedUnit,
-        normalizedRoom,
-      ]
+    await client.query("BEGIN");
+    const { rows: currentRows } = await client.query(
+      `SELECT * FROM fall_events WHERE id = $1 FOR UPDATE`,
+      [id]
     );
-    await audit(req.user.id, "unit.created", "unit", rows[0].id, { facility_id: facilityId });
-    res.status(201).json(rows[0]);
+    const current = currentRows[0];
+    if (current.voided_at) {
+      throw Object.assign(new Error("Fall event is voided"), { status: 409 });
+    }
+    const previous = buildFallEventSnapshot(current);
+    const next = buildFallEventSnapshot({ ...current, ...updates });
+    const changedFields = editableFallEventFields.filter(
+      (field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+    );
+    if (changedFields.length) {
+      const values = changedFields.map((field) => (
+        field === "contributing_factors" ? JSON.stringify(updates[field]) : updates[field]
+      ));
+      const assignments = changedFields.map((field, index) => `${field} = $${index + 2}`);
+      await client.query(
+        `UPDATE fall_events SET ${assignments.join(", ")}, updated_at = now() WHERE id = $1`,
+        [id, ...values]
+      );
+      revision = await insertFallEventRevision(client, {
+        fallEventId: id,
+        action: "update",
+        previous,
+        next,
+        reason: toNullableString(body.reason),
+        changedBy: req.user.id,
+      });
+    }
+    await client.query("COMMIT");
   } catch (error) {
-    if (error?.code === "23505") {
-      return res.status(409).json({ message: "Unit label already exists" });
+    await client.query("ROLLBACK");
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
     }
     throw error;
+  } finally {
+    client.release();
+  }
+
+  const updated = await fetchFallEventSummary(id);
+  if (revision) {
+    const neuroChecksScheduled = requiresNeuroChecks(updated)
+      ? await scheduleNeuroChecks(id, updated.occurred_at, {
+        reschedule: revision.changed_fields.includes("occurred_at"),
+      })
+      : 0;
+    const interventions = await refreshInterventionRecommendations(updated.resident_id);
+    let releasedFlags = [];
+    let reassessmentOutcome = null;
+    let reassessmentId = null;
+    if (updated.resident_id !== fallEvent.resident_id) {
+      releasedFlags = await releaseFallFlags({
+        fallEventId: id,
+        residentId: fallEvent.resident_id,
+        userId: req.user.id,
+        note: "Fall event moved to another resident",
+      });
+      reassessmentOutcome = await releaseFallReassessment({
+        fallEventId: id,
+        userId: req.user.id,
+        reason: "Fall event moved to another resident",
+      });
+      reassessmentId = await scheduleFallReassessment(id, req.user.id);
+    } else if (revision.changed_fields.includes("occurred_at")) {
+      releasedFlags = await releaseFallFlags({
+        fallEventId: id,
+        residentId: updated.resident_id,
+        userId: req.user.id,
+        note: "Fall event date corrected",
+      });
+    }
+    const fallFlags = await detectRepeatFaller(id);
+    await audit(req.user.id, "fall_event.updated", "fall_event", id, {
+      revision_number: revision.revision_number,
+      changed_fields: revision.changed_fields,
+      neuro_checks_scheduled: neuroChecksScheduled,
+      interventions_recommended: interventions.map((row) => row.intervention_key),
+      fall_flags_raised: fallFlags.map((flag) => flag.rule),
+      fall_flags_resolved: releasedFlags.map((flag) => flag.rule),
+      reassessment: reassessmentOutcome,
+      reassessment_id: reassessmentId,
+    });
   }
+  res.json(updated);
 }));
 
-app.patch("/units/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
+// Voiding hides an event from lists, follow-up scans and rollups without deleting it, so the
+// original entry and its checks remain available for review.
+app.post("/fall-events/:id/void", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows: unitRows } = await pool.query(
-    `SELECT id FROM facility_units WHERE id = $1`,
-    [id]
-  );
-  if (!unitRows[0]) {
-    return res.status(404).json({ message: "Unit not found" });
+  const reason = toNullableString(req.body?.reason);
+  if (!reason) {
+    return res.status(400).json({ message: "reason is required to void a fall event" });
+  }
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
+  }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
   }
 
-  const updateFields = {};
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "label")) {
-    const normalizedLabel = buildUnitLabel({
-      label: req.body?.label,
-      building: req.body?.building,
-      floor: req.body?.floor,
-      unit: req.body?.unit,
-      room: req.body?.room,
+  const client = await pool.connect();
+  let revision;
+  try {
+    await client.query("BEGIN");
+    const { rows: currentRows } = await client.query(
+      `SELECT * FROM fall_events WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    const current = currentRows[0];
+    if (current.voided_at) {
+      throw Object.assign(new Error("Fall event is already voided"), { status: 409 });
+    }
+    const { rows: voidedRows } = await client.query(
+      `UPDATE fall_events
+       SET voided_at = now(), voided_by = $2, void_reason = $3, updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [id, req.user.id, reason]
+    );
+    await client.query(
+      `UPDATE fall_neuro_checks SET status = 'cancelled', updated_at = now()
+       WHERE fall_event_id = $1 AND status = 'pending'`,
+      [id]
+    );
+    revision = await insertFallEventRevision(client, {
+      fallEventId: id,
+      action: "void",
+      previous: buildFallEventSnapshot(current),
+      next: buildFallEventSnapshot(voidedRows[0]),
+      reason,
+      changedBy: req.user.id,
     });
-    if (!normalizedLabel) {
-      return res.status(400).json({ message: "Unit label is required" });
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
     }
-    updateFields.label = normalizedLabel;
-  }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "building")) {
-    updateFields.building = toNullableString(req.body?.building);
-  }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "floor")) {
-    updateFields.floor = toNullableString(req.body?.floor);
+    throw error;
+  } finally {
+    client.release();
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "unit")) {
-    updateFields.unit = toNullableString(req.body?.unit);
+
+  const releasedFlags = await releaseFallFlags({
+    fallEventId: id,
+    residentId: fallEvent.resident_id,
+    userId: req.user.id,
+    note: "Fall event voided",
+  });
+  const reassessmentOutcome = await releaseFallReassessment({
+    fallEventId: id,
+    userId: req.user.id,
+    reason: "Fall event voided",
+  });
+  await audit(req.user.id, "fall_event.voided", "fall_event", id, {
+    revision_number: revision.revision_number,
+    reason,
+    fall_flags_resolved: releasedFlags.map((flag) => flag.rule),
+    reassessment: reassessmentOutcome,
+  });
+  res.json(await fetchFallEventSummary(id));
+}));
+
+app.get("/fall-events/:id/revisions", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "room")) {
-    updateFields.room = toNullableString(req.body?.room);
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
   }
-
-  const update = buildUpdate(updateFields);
-  if (!update) {
-    return res.status(400).json({ message: "No fields to update" });
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
   }
-  const { setClauses, values } = update;
   const { rows } = await pool.query(
-    `UPDATE facility_units SET ${setClauses.join(", ")}, updated_at = now()
-     WHERE id = $${values.length + 1}
-     RETURNING id, facility_id, label, building, floor, unit, room, created_at, updated_at`,
-    [...values, id]
+    `SELECT fr.id, fr.fall_event_id, fr.revision_number, fr.action, fr.previous_values, fr.new_values,
+            fr.changed_fields, fr.reason, fr.changed_by, u.full_name AS changed_by_name,
+            u.email AS changed_by_email, fr.created_at
+     FROM fall_event_revisions fr
+     LEFT JOIN users u ON u.id = fr.changed_by
+     WHERE fr.fall_event_id = $1
+     ORDER BY fr.revision_number DESC`,
+    [id]
   );
-  await audit(req.user.id, "unit.updated", "unit", id, null);
-  res.json(rows[0]);
+  res.json(rows);
 }));
 
-app.get("/users", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
-  const facilityId = req.query.facility_id || req.user.facility_id;
+app.get("/fall-events/:id/neuro-checks", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
+  }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
   const { rows } = await pool.query(
-    `SELECT id, facility_id, email, full_name, role, status, created_at, updated_at
-     FROM users WHERE facility_id = $1 ORDER BY created_at DESC`,
-    [facilityId]
+    `SELECT nc.id, nc.fall_event_id, nc.sequence, nc.interval_minutes, nc.due_at, nc.status,
+            nc.completed_at, nc.completed_by, u.full_name AS completed_by_name,
+            nc.data, nc.notes, nc.missed_at, nc.created_at, nc.updated_at
+     FROM fall_neuro_checks nc
+     LEFT JOIN users u ON u.id = nc.completed_by
+     WHERE nc.fall_event_id = $1
+     ORDER BY nc.sequence ASC, nc.created_at ASC`,
+    [id]
   );
-  res.json(rows.map((row) => serializeUser(row)));
+  res.json({ fields: neuroCheckFields, checks: rows });
 }));
 
-app.post("/users", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
-  const { facility_id, email, full_name, role, status, password } = req.body || {};
-  const normalizedEmail = normalizeString(email).toLowerCase();
-  const normalizedName = normalizeString(full_name);
-  const normalizedRole = normalizeString(role).toLowerCase();
-  const normalizedStatus = normalizeUserStatus(normalizeString(status).toLowerCase() || "active");
-  if (!facility_id || !normalizedEmail || !normalizedName || !normalizedRole || !password) {
-    return res.status(400).json({ message: "facility_id, email, full_name, role, password required" });
+// Missed instances can still be recorded late; they keep `missed_at` so the escalation stays visible.
+app.post("/fall-events/:id/neuro-checks/:checkId", authMiddleware, asyncHandler(async (req, res) => {
+  const { id, checkId } = req.params;
+  if (!isUuid(checkId)) {
+    return res.status(404).json({ message: "Neuro check not found" });
   }
-  if (!allowedUserRoles.has(normalizedRole)) {
-    return res.status(400).json({ message: "Invalid role" });
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (!allowedUserStatuses.has(normalizedStatus)) {
-    return res.status(400).json({ message: "Invalid status" });
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
   }
-  if (normalizeString(password).length < 8) {
-    return res.status(400).json({ message: "Password must be at least 8 characters" });
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
+  }
+  const parsed = parseFallCheckData(neuroCheckFields, req.body?.data);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
   }
   const { rows: existingRows } = await pool.query(
-    `SELECT id FROM users WHERE email = $1`,
-    [normalizedEmail]
+    `SELECT status FROM fall_neuro_checks WHERE id = $1 AND fall_event_id = $2`,
+    [checkId, id]
   );
-  if (existingRows.length) {
-    return res.status(409).json({ message: "Email already exists" });
+  if (!existingRows[0]) {
+    return res.status(404).json({ message: "Neuro check not found" });
+  }
+  if (!["pending", "missed"].includes(existingRows[0].status)) {
+    return res.status(409).json({ message: `Neuro check is already ${existingRows[0].status}` });
   }
-  const { salt, hash } = createPasswordHash(password);
   const { rows } = await pool.query(
-    `INSERT INTO users (facility_id, email, full_name, role, status, password_salt, password_hash)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
-     RETURNING id, facility_id, email, full_name, role, status, created_at, updated_at`,
-    [facility_id, normalizedEmail, normalizedName, normalizedRole, normalizedStatus, salt, hash]
+    `UPDATE fall_neuro_checks
+     SET status = 'completed', completed_at = now(), completed_by = $3, data = $4, notes = $5, updated_at = now()
+     WHERE id = $1 AND fall_event_id = $2 AND status IN ('pending', 'missed')
+     RETURNING id, fall_event_id, sequence, interval_minutes, due_at, status, completed_at, completed_by,
+               data, notes, missed_at, created_at, updated_at`,
+    [checkId, id, req.user.id, JSON.stringify(parsed.values), toNullableString(req.body?.notes)]
   );
-  await audit(req.user.id, "user.created", "user", rows[0].id, { email });
-  res.status(201).json(serializeUser(rows[0]));
+  if (!rows[0]) {
+    return res.status(409).json({ message: "Neuro check was updated by another request" });
+  }
+  await audit(req.user.id, "fall_neuro_check.completed", "fall_event", id, {
+    neuro_check_id: checkId,
+    sequence: rows[0].sequence,
+    late: Boolean(rows[0].missed_at),
+  });
+  res.json(rows[0]);
 }));
 
-app.patch("/users/:id", authMiddleware, requireRole("admin"), asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { full_name, role, status, password } = req.body || {};
-  const updateFields = {};
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "full_name")) {
-    const normalizedName = normalizeString(full_name);
-    if (!normalizedName) {
-      return res.status(400).json({ message: "Full name is required" });
+const maxRcaWhys = 5;
+
+// Parses an RCA body into column values. Only fields present in the body are returned, so the huddle
+// can be recorded first and the root cause filled in after the committee meets.
+const parseRcaUpdates = (body) => {
+  const updates = {};
+  if (body.huddle_at !== undefined) {
+    if (body.huddle_at === null || body.huddle_at === "") {
+      updates.huddle_at = null;
+    } else {
+      const huddleAt = parseDateTime(body.huddle_at);
+      if (!huddleAt) {
+        return { error: "Invalid huddle_at" };
+      }
+      updates.huddle_at = huddleAt;
     }
-    updateFields.full_name = normalizedName;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "role")) {
-    const normalizedRole = normalizeString(role).toLowerCase();
-    if (!allowedUserRoles.has(normalizedRole)) {
-      return res.status(400).json({ message: "Invalid role" });
-    }
-    updateFields.role = normalizedRole;
+  const attendees = body.huddle_attendees === null ? { value: [], error: null } : normalizeChecklist(body.huddle_attendees);
+  if (attendees.error) {
+    return { error: "Invalid huddle attendees" };
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "status")) {
-    const normalizedStatus = normalizeUserStatus(normalizeString(status).toLowerCase());
-    if (!allowedUserStatuses.has(normalizedStatus)) {
-      return res.status(400).json({ message: "Invalid status" });
-    }
-    updateFields.status = normalizedStatus;
+  if (attendees.value !== undefined) {
+    updates.huddle_attendees = attendees.value;
   }
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "password") && password) {
-    if (normalizeString(password).length < 8) {
-      return res.status(400).json({ message: "Password must be at least 8 characters" });
+  ["huddle_notes", "root_cause"].forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = toNullableString(body[field]);
+    }
+  });
+  const whys = body.whys === null ? { value: [], error: null } : normalizeChecklist(body.whys);
+  if (whys.error) {
+    return { error: "Invalid whys" };
+  }
+  if (whys.value !== undefined) {
+    if (whys.value.length > maxRcaWhys) {
+      return { error: `whys can list at most ${maxRcaWhys} answers` };
+    }
+    updates.whys = whys.value;
+  }
+  if (body.factors !== undefined) {
+    const factors = body.factors === null ? [] : body.factors;
+    if (!Array.isArray(factors)) {
+      return { error: "Invalid factors" };
+    }
+    const normalized = [];
+    for (const factor of factors) {
+      const category = normalizeString(factor?.category);
+      if (!allowedRcaCategories.has(category)) {
+        return { error: "Invalid factor category" };
+      }
+      normalized.push({ category, description: toNullableString(factor?.description) });
     }
+    updates.factors = normalized;
   }
-  const update = buildUpdate(updateFields);
-
-  if (!update && !password) {
-    return res.status(400).json({ message: "No fields to update" });
+  const category = parseOptionalEnum(body.root_cause_category, allowedRcaCategories);
+  if (category.error) {
+    return { error: "Invalid root cause category" };
   }
-
-  if (update) {
-    const { setClauses, values } = update;
-    const { rows } = await pool.query(
-      `UPDATE users SET ${setClauses.join(", ")}, updated_at = now()
-       WHERE id = $${values.length + 1}
-       RETURNING id, facility_id, email, full_name, role, status, created_at, updated_at`,
-      [...values, id]
-    );
-    if (!rows[0]) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    if (password) {
-      const { salt, hash } = createPasswordHash(password);
-      await pool.query(
-        `UPDATE users SET password_salt = $1, password_hash = $2 WHERE id = $3`,
-        [salt, hash, id]
-      );
-    }
-    await audit(req.user.id, "user.updated", "user", id, null);
-    return res.json(serializeUser(rows[0]));
+  if (category.value !== undefined) {
+    updates.root_cause_category = category.value;
+  }
+  const status = parseOptionalEnum(body.status, allowedRcaStatuses);
+  if (status.error) {
+    return { error: "Invalid RCA status" };
   }
+  if (status.value) {
+    updates.status = status.value;
+  }
+  return { updates };
+};
 
-  const { salt, hash } = createPasswordHash(password);
-  await pool.query(
-    `UPDATE users SET password_salt = $1, password_hash = $2, updated_at = now() WHERE id = $3`,
-    [salt, hash, id]
+async function fetchFallEventRca(fallEventId) {
+  const { rows } = await pool.query(
+    `SELECT rca.id, rca.fall_event_id, rca.status, rca.huddle_at, rca.huddle_attendees, rca.huddle_notes,
+            rca.whys, rca.factors, rca.root_cause_category, rca.root_cause,
+            rca.completed_at, rca.completed_by, cu.full_name AS completed_by_name,
+            rca.created_by, rca.updated_by, rca.created_at, rca.updated_at
+     FROM fall_event_rcas rca
+     LEFT JOIN users cu ON cu.id = rca.completed_by
+     WHERE rca.fall_event_id = $1`,
+    [fallEventId]
   );
-  await audit(req.user.id, "user.password_reset", "user", id, null);
+  const rca = rows[0];
+  if (!rca) {
+    return null;
+  }
+  const { rows: actionRows } = await pool.query(
+    `SELECT ca.id, ca.rca_id, ca.description, ca.owner_id, ou.full_name AS owner_name, ou.email AS owner_email,
+            ca.due_date, ca.status, ca.completed_at, ca.completed_by, ca.created_by, ca.created_at, ca.updated_at
+     FROM fall_event_corrective_actions ca
+     LEFT JOIN users ou ON ou.id = ca.owner_id
+     WHERE ca.rca_id = $1
+     ORDER BY ca.created_at ASC`,
+    [rca.id]
+  );
+  return { ...rca, corrective_actions: actionRows };
+}
+
+// Owners (corrective actions, interventions) must be active staff at the facility.
+async function validateFacilityOwner(ownerId, facilityId) {
+  if (typeof ownerId !== "string" || !isUuid(ownerId)) {
+    return "Invalid owner_id";
+  }
   const { rows } = await pool.query(
-    `SELECT id, facility_id, email, full_name, role, status, created_at, updated_at
-     FROM users WHERE id = $1`,
-    [id]
+    `SELECT id FROM users WHERE id = $1 AND facility_id = $2 AND status = 'active'`,
+    [ownerId, facilityId]
   );
-  res.json(serializeUser(rows[0]));
-}));
+  return rows[0] ? null : "Owner must be an active user at this facility";
+}
 
-app.get("/residents", authMiddleware, asyncHandler(async (req, res) => {
-  const facilityId = req.query.facility_id || req.user.facility_id;
-  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
+app.get("/fall-events/:id/rca", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
+  }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  const { rows } = await pool.query(
-    `SELECT id, facility_id, external_id, first_name, last_name, dob, sex, notes,
-            building, floor, unit, room, unit_id,
-            created_at, updated_at
-     FROM residents WHERE facility_id = $1 ORDER BY created_at DESC`,
-    [facilityId]
-  );
-  res.json(rows);
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const rca = await fetchFallEventRca(id);
+  if (!rca) {
+    return res.status(404).json({ message: "Root cause analysis not found" });
+  }
+  res.json(rca);
 }));
 
-app.post("/residents", authMiddleware, asyncHandler(async (req, res) => {
-  const {
-    facility_id,
-    external_id,
-    first_name,
-    last_name,
-    dob,
-    sex,
-    notes,
-    building,
-    floor,
-    unit,
-    room,
-    unit_id,
-  } = req.body || {};
-  const facilityId = facility_id || req.user.facility_id;
-  if (facilityId !== req.user.facility_id && req.user.role !== "admin") {
-    return res.status(403).json({ message: "Forbidden" });
+// Creates the RCA on first write. Completing it requires a root cause category and statement; a
+// completed RCA can be reopened by saving it with status `draft`.
+app.put("/fall-events/:id/rca", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  const normalizedFirst = normalizeString(first_name);
-  const normalizedLast = normalizeString(last_name);
-  const normalizedDob = normalizeString(dob);
-  if (!normalizedFirst || !normalizedLast || !normalizedDob) {
-    return res.status(400).json({ message: "first_name, last_name, dob required" });
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
   }
-  const dobDate = parseDateOnly(normalizedDob);
-  if (!dobDate || isFutureDate(dobDate)) {
-    return res.status(400).json({ message: "Invalid date of birth" });
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
   }
-  let normalizedSex = normalizeString(sex).toUpperCase();
-  if (!normalizedSex) {
-    normalizedSex = null;
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
   }
-  if (normalizedSex && !allowedSexValues.has(normalizedSex)) {
-    return res.status(400).json({ message: "Invalid sex value" });
+  const parsed = parseRcaUpdates(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
   }
-  const normalizedExternal = toNullableString(external_id);
-  const normalizedNotes = toNullableString(notes);
-  const normalizedBuilding = toNullableString(building);
-  const normalizedFloor = toNullableString(floor);
-  const normalizedUnit = toNullableString(unit);
-  const normalizedRoom = toNullableString(room);
-  let normalizedUnitId = null;
-  if (unit_id !== undefined && unit_id !== null && unit_id !== "") {
-    const candidateUnit = normalizeString(unit_id);
-    if (!isUuid(candidateUnit)) {
-      return res.status(400).json({ message: "Invalid unit_id" });
-    }
-    const { rows: unitRows } = await pool.query(
-      `SELECT id, facility_id FROM facility_units WHERE id = $1`,
-      [candidateUnit]
-    );
-    if (!unitRows[0] || unitRows[0].facility_id !== facilityId) {
-      return res.status(400).json({ message: "Unit not found for facility" });
-    }
-    normalizedUnitId = candidateUnit;
+  const { updates } = parsed;
+  const existing = await fetchFallEventRca(id);
+  const merged = { status: "draft", ...(existing || {}), ...updates };
+  if (merged.status === "completed" && (!merged.root_cause_category || !merged.root_cause)) {
+    return res.status(400).json({ message: "root_cause_category and root_cause are required to complete the RCA" });
   }
+  const completing = merged.status === "completed" && existing?.status !== "completed";
   const { rows } = await pool.query(
-    `INSERT INTO residents (
-       facility_id, external_id, first_name, last_name, dob, sex, notes,
-       building, floor, unit, room, unit_id
-     )
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-     RETURNING id, facility_id, external_id, first_name, last_name, dob, sex, notes,
-               building, floor, unit, room, unit_id,
-               created_at, updated_at`,
+    `INSERT INTO fall_event_rcas (
+       fall_event_id, status, huddle_at, huddle_attendees, huddle_notes, whys, factors,
+       root_cause_category, root_cause, completed_at, completed_by, created_by, updated_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
+     ON CONFLICT (fall_event_id) DO UPDATE SET
+       status = EXCLUDED.status,
+       huddle_at = EXCLUDED.huddle_at,
+       huddle_attendees = EXCLUDED.huddle_attendees,
+       huddle_notes = EXCLUDED.huddle_notes,
+       whys = EXCLUDED.whys,
+       factors = EXCLUDED.factors,
+       root_cause_category = EXCLUDED.root_cause_category,
+       root_cause = EXCLUDED.root_cause,
+       completed_at = EXCLUDED.completed_at,
+       completed_by = EXCLUDED.completed_by,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = now()
+     RETURNING id`,
     [
-      facilityId,
-      normalizedExternal,
-      normalizedFirst,
-      normalizedLast,
-      normalizedDob,
-      normalizedSex,
-      normalizedNotes,
-      normalizedBuilding,
-      normalizedFloor,
-      normalizedUnit,
-      normalizedRoom,
-      normalizedUnitId,
+      id,
+      merged.status,
+      merged.huddle_at || null,
+      JSON.stringify(merged.huddle_attendees || []),
+      merged.huddle_notes || null,
+      JSON.stringify(merged.whys || []),
+      JSON.stringify(merged.factors || []),
+      merged.root_cause_category || null,
+      merged.root_cause || null,
+      merged.status === "completed" ? (completing ? new Date() : merged.completed_at) : null,
+      merged.status === "completed" ? (completing ? req.user.id : merged.completed_by) : null,
+      req.user.id,
     ]
   );
-  await audit(req.user.id, "resident.created", "resident", rows[0].id, null);
-  res.status(201).json(rows[0]);
+  await audit(req.user.id, completing ? "fall_rca.completed" : "fall_rca.updated", "fall_event", id, {
+    rca_id: rows[0].id,
+    status: merged.status,
+    root_cause_category: merged.root_cause_category || null,
+    changed_fields: Object.keys(updates),
+  });
+  res.status(existing ? 200 : 201).json(await fetchFallEventRca(id));
 }));
 
-app.get("/residents/:id", authMiddleware, asyncHandler(async (req, res) => {
+app.post("/fall-events/:id/rca/actions", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows } = await pool.query(
-    `SELECT id, facility_id, external_id, first_name, last_name, dob, sex, notes,
-            building, floor, unit, room, unit_id,
-            created_at, updated_at
-     FROM residents WHERE id = $1`,
-    [id]
-  );
-  const resident = rows[0];
-  if (!resident) {
-    return res.status(404).json({ message: "Resident not found" });
+  const body = req.body || {};
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  res.json(resident);
-}));
-
-app.patch("/residents/:id", authMiddleware, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { rows: residentRows } = await pool.query(
-    `SELECT facility_id FROM residents WHERE id = $1`,
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
+  }
+  const description = toNullableString(body.description);
+  if (!description) {
+    return res.status(400).json({ message: "description is required" });
+  }
+  const ownerError = await validateFacilityOwner(body.owner_id, fallEvent.facility_id);
+  if (ownerError) {
+    return res.status(400).json({ message: ownerError });
+  }
+  if (!parseDateOnly(body.due_date)) {
+    return res.status(400).json({ message: "Invalid due_date" });
+  }
+  const { rows: rcaRows } = await pool.query(
+    `SELECT id FROM fall_event_rcas WHERE fall_event_id = $1`,
     [id]
   );
-  if (!residentRows[0]) {
-    return res.status(404).json({ message: "Resident not found" });
-  }
-  if (residentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
-    return res.status(403).json({ message: "Forbidden" });
+  if (!rcaRows[0]) {
+    return res.status(409).json({ message: "Start the root cause analysis before adding corrective actions" });
   }
+  const { rows } = await pool.query(
+    `INSERT INTO fall_event_corrective_actions (rca_id, description, owner_id, due_date, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, rca_id, description, owner_id, due_date, status, completed_at, completed_by,
+               created_by, created_at, updated_at`,
+    [rcaRows[0].id, description, body.owner_id, body.due_date.trim(), req.user.id]
+  );
+  const action = rows[0];
+  await createNotification({
+    facilityId: fallEvent.facility_id,
+    userId: body.owner_id,
+    type: "fall.corrective_action.assigned",
+    title: "Corrective action assigned",
+    body: `You own a post-fall corrective action due ${body.due_date.trim()}: ${description}`,
+    data: {
+      fall_event_id: id,
+      corrective_action_id: action.id,
+      resident_id: fallEvent.resident_id,
+      due_date: body.due_date.trim(),
+    },
+    eventKey: `fall.corrective_action.assigned:${action.id}:${body.owner_id}`,
+  });
+  await audit(req.user.id, "fall_rca_action.created", "fall_event", id, {
+    corrective_action_id: action.id,
+    owner_id: body.owner_id,
+    due_date: body.due_date.trim(),
+  });
+  res.status(201).json(action);
+}));
 
-  const updateFields = {};
+app.patch("/fall-events/:id/rca/actions/:actionId", authMiddleware, asyncHandler(async (req, res) => {
+  const { id, actionId } = req.params;
   const body = req.body || {};
-  if (Object.prototype.hasOwnProperty.call(body, "first_name")) {
-    const normalizedFirst = normalizeString(body.first_name);
-    if (!normalizedFirst) {
-      return res.status(400).json({ message: "first_name is required" });
-    }
-    updateFields.first_name = normalizedFirst;
+  if (!isUuid(actionId)) {
+    return res.status(404).json({ message: "Corrective action not found" });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "last_name")) {
-    const normalizedLast = normalizeString(body.last_name);
-    if (!normalizedLast) {
-      return res.status(400).json({ message: "last_name is required" });
-    }
-    updateFields.last_name = normalizedLast;
+  const fallEvent = await fetchFallEventAccess(id);
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "dob")) {
-    const normalizedDob = normalizeString(body.dob);
-    const dobDate = parseDateOnly(normalizedDob);
-    if (!normalizedDob || !dobDate || isFutureDate(dobDate)) {
-      return res.status(400).json({ message: "Invalid date of birth" });
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
+  }
+  const { rows: actionRows } = await pool.query(
+    `SELECT ca.id, ca.owner_id, ca.status
+     FROM fall_event_corrective_actions ca
+     JOIN fall_event_rcas rca ON rca.id = ca.rca_id
+     WHERE ca.id = $1 AND rca.fall_event_id = $2`,
+    [actionId, id]
+  );
+  const current = actionRows[0];
+  if (!current) {
+    return res.status(404).json({ message: "Corrective action not found" });
+  }
+  const updates = {};
+  if (body.description !== undefined) {
+    updates.description = toNullableString(body.description);
+    if (!updates.description) {
+      return res.status(400).json({ message: "description is required" });
     }
-    updateFields.dob = normalizedDob;
   }
-  if (Object.prototype.hasOwnProperty.call(body, "sex")) {
-    let normalizedSex = normalizeString(body.sex).toUpperCase();
-    if (!normalizedSex) {
-      normalizedSex = null;
+  if (body.owner_id !== undefined) {
+    const ownerError = await validateFacilityOwner(body.owner_id, fallEvent.facility_id);
+    if (ownerError) {
+      return res.status(400).json({ message: ownerError });
     }
-    if (normalizedSex && !allowedSexValues.has(normalizedSex)) {
-      return res.status(400).json({ message: "Invalid sex value" });
+    updates.owner_id = body.owner_id;
+  }
+  if (body.due_date !== undefined) {
+    if (!parseDateOnly(body.due_date)) {
+      return res.status(400).json({ message: "Invalid due_date" });
     }
-    updateFields.sex = normalizedSex;
+    updates.due_date = body.due_date.trim();
   }
-  if (Object.prototype.hasOwnProperty.call(body, "external_id")) {
-    updateFields.external_id = toNullableString(body.external_id);
+  const status = parseOptionalEnum(body.status, allowedCorrectiveActionStatuses);
+  if (status.error) {
+    return res.status(400).json({ message: "Invalid corrective action status" });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "notes")) {
-    updateFields.notes = toNullableString(body.notes);
+  if (status.value) {
+    updates.status = status.value;
   }
-  if (Object.prototype.hasOwnProperty.call(body, "building")) {
-    updateFields.building = toNullableString(body.building);
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ message: "No corrective action changes provided" });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "floor")) {
-    updateFields.floor = toNullableString(body.floor);
+  const assignments = Object.keys(updates).map((field, index) => `${field} = $${index + 2}`);
+  if (updates.status && updates.status !== current.status) {
+    assignments.push(
+      updates.status === "completed"
+        ? `completed_at = now(), completed_by = $${Object.keys(updates).length + 2}`
+        : "completed_at = NULL, completed_by = NULL"
+    );
   }
-  if (Object.prototype.hasOwnProperty.call(body, "unit")) {
-    updateFields.unit = toNullableString(body.unit);
+  const values = Object.values(updates);
+  const completedByParam = updates.status === "completed" && updates.status !== current.status ? [req.user.id] : [];
+  const { rows } = await pool.query(
+    `UPDATE fall_event_corrective_actions
+     SET ${assignments.join(", ")}, updated_at = now()
+     WHERE id = $1
+     RETURNING id, rca_id, description, owner_id, due_date, status, completed_at, completed_by,
+               created_by, created_at, updated_at`,
+    [actionId, ...values, ...completedByParam]
+  );
+  if (updates.owner_id && updates.owner_id !== current.owner_id) {
+    await createNotification({
+      facilityId: fallEvent.facility_id,
+      userId: updates.owner_id,
+      type: "fall.corrective_action.assigned",
+      title: "Corrective action assigned",
+      body: `You own a post-fall corrective action: ${rows[0].description}`,
+      data: {
+        fall_event_id: id,
+        corrective_action_id: actionId,
+        resident_id: fallEvent.resident_id,
+        due_date: rows[0].due_date,
+      },
+      eventKey: `fall.corrective_action.assigned:${actionId}:${updates.owner_id}`,
+    });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "room")) {
-    updateFields.room = toNullableString(body.room);
+  await audit(req.user.id, "fall_rca_action.updated", "fall_event", id, {
+    corrective_action_id: actionId,
+    changed_fields: Object.keys(updates),
+  });
+  res.json(rows[0]);
+}));
+
+app.get("/fall-events/:id/checks", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rows: eventRows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, f.role_policy
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     WHERE fe.id = $1`,
+    [id]
+  );
+  const fallEvent = eventRows[0];
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (Object.prototype.hasOwnProperty.call(body, "unit_id")) {
-    const candidateUnit = normalizeString(body.unit_id);
-    if (!candidateUnit) {
-      updateFields.unit_id = null;
-    } else {
-      if (!isUuid(candidateUnit)) {
-        return res.status(400).json({ message: "Invalid unit_id" });
-      }
-      const { rows: unitRows } = await pool.query(
-        `SELECT id, facility_id FROM facility_units WHERE id = $1`,
-        [candidateUnit]
-      );
-      if (!unitRows[0] || unitRows[0].facility_id !== residentRows[0].facility_id) {
-        return res.status(400).json({ message: "Unit not found for facility" });
-      }
-      updateFields.unit_id = candidateUnit;
-    }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  const { rows } = await pool.query(
+    `SELECT id, fall_event_id, check_type, status, completed_at, completed_by, notes, data, created_at, updated_at
+     FROM post_fall_checks
+     WHERE fall_event_id = $1
+     ORDER BY created_at ASC`,
+    [id]
+  );
+  res.json(rows);
+}));
+
+app.post("/fall-events/:id/checks", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { check_type, completed, data, notes } = req.body || {};
+  const normalizedCheck = normalizeString(check_type);
+  if (!normalizedCheck) {
+    return res.status(400).json({ message: "check_type is required" });
+  }
+  const parsedCompleted = parseOptionalBoolean(completed);
+  if (parsedCompleted.error || typeof parsedCompleted.value !== "boolean") {
+    return res.status(400).json({ message: "Invalid completed flag" });
+  }
+  const { rows: eventRows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, fe.voided_at, f.role_policy, f.fall_check_schemas,
+            pfc.data AS existing_data, pfc.notes AS existing_notes
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     LEFT JOIN post_fall_checks pfc ON pfc.fall_event_id = fe.id AND pfc.check_type = $2
+     WHERE fe.id = $1`,
+    [id, normalizedCheck]
+  );
+  const fallEvent = eventRows[0];
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
+  }
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
   }
-  const update = buildUpdate(updateFields);
 
-  if (!update) {
-    return res.status(400).json({ message: "No fields to update" });
+  // Omitted data or notes keep what was saved before, so toggling a check does not clear readings.
+  const fields = fallEvent.fall_check_schemas?.[normalizedCheck]?.fields || [];
+  const parsedData = data === undefined
+    ? { values: fallEvent.existing_data || {} }
+    : parseFallCheckData(fields, data);
+  if (parsedData.error) {
+    return res.status(400).json({ message: parsedData.error });
   }
+  const missing = parsedCompleted.value ? findMissingFallCheckFields(fields, parsedData.values) : [];
+  if (missing.length) {
+    return res.status(400).json({ message: `Missing required check fields: ${missing.join(", ")}` });
+  }
+  const checkData = Object.keys(parsedData.values).length ? parsedData.values : null;
+  const checkNotes = notes === undefined ? fallEvent.existing_notes : toNullableString(notes);
+
+  const status = parsedCompleted.value ? "completed" : "pending";
+  const completedAt = parsedCompleted.value ? new Date() : null;
+  const completedBy = parsedCompleted.value ? req.user.id : null;
 
-  const { setClauses, values } = update;
   const { rows } = await pool.query(
-    `UPDATE residents SET ${setClauses.join(", ")}, updated_at = now()
-     WHERE id = $${values.length + 1}
-     RETURNING id, facility_id, external_id, first_name, last_name, dob, sex, notes,
-               building, floor, unit, room, unit_id,
-               created_at, updated_at`,
-    [...values, id]
+    `INSERT INTO post_fall_checks (
+       fall_event_id, check_type, status, completed_at, completed_by, data, notes
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (fall_event_id, check_type) DO UPDATE SET
+       status = EXCLUDED.status,
+       completed_at = EXCLUDED.completed_at,
+       completed_by = EXCLUDED.completed_by,
+       data = EXCLUDED.data,
+       notes = EXCLUDED.notes,
+       updated_at = now()
+     RETURNING id, fall_event_id, check_type, status, completed_at, completed_by, notes, data, created_at, updated_at`,
+    [id, normalizedCheck, status, completedAt, completedBy, checkData ? JSON.stringify(checkData) : null, checkNotes]
   );
-  await audit(req.user.id, "resident.updated", "resident", id, null);
+  await audit(req.user.id, "fall_check.updated", "fall_event", id, {
+    check_type: normalizedCheck,
+    status,
+  });
   res.json(rows[0]);
 }));
 
-app.post("/residents/:id/assessments", authMiddleware, asyncHandler(async (req, res) => {
+// Incident reports are generated documents, not signed records; each request stores a new PDF so
+// the report handed to surveyors matches the checklist state at that moment.
+app.post("/fall-events/:id/reports", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { assessment_date, assistive_device, scheduled_date, due_date } = req.body || {};
-  const normalizedDate = normalizeString(assessment_date);
-  if (!normalizedDate) {
-    return res.status(400).json({ message: "assessment_date is required" });
-  }
-  const assessmentDate = parseDateOnly(normalizedDate);
-  if (!assessmentDate) {
-    return res.status(400).json({ message: "Invalid assessment date" });
-  }
-  const normalizedScheduled = normalizeString(scheduled_date);
-  const scheduledDate = normalizedScheduled ? parseDateOnly(normalizedScheduled) : null;
-  if (normalizedScheduled && !scheduledDate) {
-    return res.status(400).json({ message: "Invalid scheduled date" });
-  }
-  const normalizedDue = normalizeString(due_date);
-  const dueDate = normalizedDue ? parseDateOnly(normalizedDue) : null;
-  if (normalizedDue && !dueDate) {
-    return res.status(400).json({ message: "Invalid due date" });
-  }
-  const scheduledForCompare = scheduledDate || assessmentDate;
-  const dueForCompare = dueDate || scheduledForCompare;
-  if (dueForCompare && scheduledForCompare && dueForCompare < scheduledForCompare) {
-    return res.status(400).json({ message: "Due date cannot be before scheduled date" });
-  }
-  const { rows: residentRows } = await pool.query(
-    `SELECT r.facility_id, f.assessment_protocol, f.capture_method, f.role_policy
-     FROM residents r
-     JOIN facilities f ON f.id = r.facility_id
-     WHERE r.id = $1`,
+  const { rows: eventRows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, fe.voided_at, f.role_policy
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     WHERE fe.id = $1`,
     [id]
   );
-  const resident = residentRows[0];
-  if (!resident) {
-    return res.status(404).json({ message: "Resident not found" });
+  const fallEvent = eventRows[0];
+  if (!fallEvent) {
+    return res.status(404).json({ message: "Fall event not found" });
   }
-  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
+  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
+  if (fallEvent.voided_at) {
+    return res.status(409).json({ message: "Fall event is voided" });
+  }
+
+  const template = await fetchActiveReportTemplate(fallEvent.facility_id);
+  const incident = await fetchFallEventForReport(id);
+  const reportId = crypto.randomUUID();
+  const reportDir = ensureReportDir();
+  const relativeKey = `reports/${reportId}.pdf`;
+  const filePath = path.resolve(reportDir, `${reportId}.pdf`);
+  await generateFallIncidentPdf(filePath, incident, template);
 
-  const normalizedDevice = toNullableString(assistive_device);
-  const scheduledValue = normalizedScheduled || normalizedDate;
-  const dueValue = normalizedDue || scheduledValue;
-  const assessmentProtocol = resident.assessment_protocol || "tug_chair_balance";
-  const captureMethod = resident.capture_method || "record_upload";
   const { rows } = await pool.query(
-    `INSERT INTO assessments (
-       resident_id, created_by, status, assessment_date, assistive_device, scheduled_date, due_date,
-       assessment_protocol, capture_method
-     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-     RETURNING id, resident_id, created_by, status, assessment_date, assistive_device, scheduled_date, due_date,
-              reassessment_due_date, completed_at, risk_tier, clinician_notes, assigned_to, assigned_at,
-              assessment_protocol, capture_method, created_at, updated_at`,
-    [id, req.user.id, "needs_review", normalizedDate, normalizedDevice, scheduledValue, dueValue, assessmentProtocol, captureMethod]
+    `INSERT INTO reports (
+       id,
+       fall_event_id,
+       pdf_storage_key,
+       created_by,
+       template_version,
+       generated_at,
+       generated_by,
+       finalized,
+       report_type,
+       report_template_id,
+       report_template_version
+     )
+     VALUES ($1, $2, $3, $4, $5, now(), $6, true, 'fall_incident', $7, $8)
+     RETURNING id, assessment_id, fall_event_id, pdf_storage_key, created_by, created_at,
+               template_version, generated_at, generated_by, finalized, report_type,
+               report_template_id, report_template_version, language`,
+    [reportId, id, relativeKey, req.user.id, "incident_v1", req.user.id, template.id, template.version]
   );
-  await audit(req.user.id, "assessment.created", "assessment", rows[0].id, null);
+  await audit(req.user.id, "fall_incident_report.created", "report", reportId, {
+    fall_event_id: id,
+    risk_screen_assessment_id: incident.risk_screen?.id || null,
+  });
+  await emitAutomationEvent({
+    trigger: "report.generated",
+    facilityId: fallEvent.facility_id,
+    entityType: "report",
+    entityId: reportId,
+    source: { entityType: "fall_event", entityId: id, fields: { report_type: "fall_incident" } },
+  });
   res.status(201).json(rows[0]);
 }));
 
-app.get("/residents/:id/assessments", authMiddleware, asyncHandler(async (req, res) => {
+app.get("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows: residentRows } = await pool.query(
-    `SELECT facility_id FROM residents WHERE id = $1`,
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device,
+            a.scheduled_date, a.due_date, a.reassessment_due_date, a.completed_at,
+            a.risk_tier, a.suggested_risk_tier, a.risk_rule_version, a.risk_rule_reasons, a.risk_tier_disagreement,
+            a.clinician_notes, a.assigned_to, a.assigned_at,
+            a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
+            a.pt_session_minutes, a.pt_time_saved_minutes,
+            a.created_at, a.updated_at, a.locked_at, a.locked_by,
+            a.assessment_protocol, a.capture_method, a.fall_event_id, a.previous_assessment_id,
+            r.facility_id, f.assessment_protocol AS facility_assessment_protocol, f.capture_method AS facility_capture_method
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE a.id = $1`,
     [id]
   );
-  if (!residentRows[0]) {
-    return res.status(404).json({ message: "Resident not found" });
+  const assessment = rows[0];
+  if (!assessment) {
+    return res.status(404).json({ message: "Assessment not found" });
   }
-  if (residentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (assessment.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  const { rows } = await pool.query(
-    `SELECT a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device, a.scheduled_date, a.due_date,
-            a.reassessment_due_date, a.completed_at, a.risk_tier, a.clinician_notes, a.assigned_to, a.assigned_at,
-            a.assessment_protocol, a.capture_method,
-            a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
-            a.pt_session_minutes, a.pt_time_saved_minutes,
-            a.created_at, a.updated_at,
-            COUNT(v.id)::int AS video_count,
-            MAX(v.created_at) AS latest_video_at,
-            COALESCE(BOOL_OR(s.assessment_id IS NOT NULL), false) AS has_scores
-     FROM assessments a
-     LEFT JOIN videos v ON v.assessment_id = a.id
-     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
-     WHERE a.resident_id = $1
-     GROUP BY a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device, a.scheduled_date,
-              a.due_date, a.reassessment_due_date, a.completed_at, a.risk_tier, a.clinician_notes, a.assigned_to,
-              a.assigned_at, a.assessment_protocol, a.capture_method,
-              a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
-              a.pt_session_minutes, a.pt_time_saved_minutes,
-              a.created_at, a.updated_at
-     ORDER BY a.assessment_date DESC`,
+
+  let { rows: scoreRows } = await pool.query(
+    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem,
+            protocol_data, score_notes
+     FROM assessment_scores WHERE assessment_id = $1`,
     [id]
   );
-  res.json(rows);
+
+  const { rows: videoRows } = await pool.query(
+    `SELECT id, assessment_id, storage_key, content_type, duration_seconds, width, height, checksum, uploaded_by, created_at
+     FROM videos WHERE assessment_id = $1 ORDER BY created_at DESC`,
+    [id]
+  );
+
+  const { rows: reportRows } = await pool.query(
+    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
+            template_version, generated_at, generated_by, finalized, report_type,
+            supersedes_report_id, amendment_type, amendment_reason,
+            report_template_id, report_template_version, language
+     FROM reports
+     WHERE assessment_id = $1 AND report_type = 'assessment'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [id]
+  );
+
+  const { rows: ptSummaryRows } = await pool.query(
+    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
+            template_version, generated_at, generated_by, finalized, report_type,
+            supersedes_report_id, amendment_type, amendment_reason,
+            report_template_id, report_template_version, language
+     FROM reports
+     WHERE assessment_id = $1 AND report_type = 'pt_summary'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [id]
+  );
+
+  const { rows: reportHistoryRows } = await pool.query(
+    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
+            template_version, generated_at, generated_by, finalized, report_type,
+            supersedes_report_id, amendment_type, amendment_reason,
+            report_template_id, report_template_version, language
+     FROM reports
+     WHERE assessment_id = $1
+     ORDER BY created_at DESC
+     LIMIT 5`,
+    [id]
+  );
+
+  const { rows: handoutRows } = await pool.query(
+    `SELECT DISTINCT ON (language)
+            id, assessment_id, pdf_storage_key, created_by, created_at,
+            template_version, generated_at, generated_by, report_type, language
+     FROM reports
+     WHERE assessment_id = $1 AND report_type = 'handout'
+     ORDER BY language, created_at DESC`,
+    [id]
+  );
+
+  const { rows: modelRows } = await pool.query(
+    `SELECT id, status, model_version, tug_seconds, chair_stand_seconds,
+            balance_side_by_side, balance_semi_tandem, balance_tandem,
+            confidence, notes, score_outputs, created_at, updated_at
+     FROM gait_model_runs
+     WHERE assessment_id = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [id]
+  );
+
+  const signature = await fetchAssessmentSignature(id);
+  const reportLineage = reportRows[0] ? await fetchReportLineage(reportRows[0].id) : [];
+
+  if (!scoreRows[0] && modelRows[0]?.status === "completed") {
+    await upsertModelScores({
+      assessmentId: id,
+      protocol: assessment.assessment_protocol,
+      model: { ...(modelRows[0].score_outputs || {}), ...modelRows[0] },
+      gaitModelRunId: modelRows[0].id,
+    });
+    const refreshedScores = await pool.query(
+      `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem,
+              protocol_data, score_notes
+       FROM assessment_scores WHERE assessment_id = $1`,
+      [id]
+    );
+    scoreRows = refreshedScores.rows;
+    const { rows: suggestionRows } = await pool.query(
+      `SELECT suggested_risk_tier, risk_rule_version, risk_rule_reasons, risk_tier_disagreement
+       FROM assessments WHERE id = $1`,
+      [id]
+    );
+    Object.assign(assessment, suggestionRows[0]);
+  }
+
+
+  res.json({
+    id: assessment.id,
+    resident_id: assessment.resident_id,
+    created_by: assessment.created_by,
+    status: assessment.status,
+    assessment_date: assessment.assessment_date,
+    assistive_device: assessment.assistive_device,
+    scheduled_date: assessment.scheduled_date,
+    due_date: assessment.due_date,
+    reassessment_due_date: assessment.reassessment_due_date,
+    completed_at: assessment.completed_at,
+    risk_tier: assessment.risk_tier,
+    suggested_risk_tier: assessment.suggested_risk_tier,
+    risk_rule_version: assessment.risk_rule_version,
+    risk_rule_reasons: assessment.risk_rule_reasons,
+    risk_tier_disagreement: assessment.risk_tier_disagreement,
+    clinician_notes: assessment.clinician_notes,
+    assigned_to: assessment.assigned_to,
+    assigned_at: assessment.assigned_at,
+    pt_cpt_codes: assessment.pt_cpt_codes,
+    pt_goals: assessment.pt_goals,
+    pt_plan_of_care: assessment.pt_plan_of_care,
+    pt_pain_score: assessment.pt_pain_score,
+    pt_session_minutes: assessment.pt_session_minutes,
+    pt_time_saved_minutes: assessment.pt_time_saved_minutes,
+    assessment_protocol: assessment.assessment_protocol || assessment.facility_assessment_protocol,
+    capture_method: assessment.capture_method || assessment.facility_capture_method,
+    fall_event_id: assessment.fall_event_id,
+    previous_assessment_id: assessment.previous_assessment_id,
+    created_at: assessment.created_at,
+    updated_at: assessment.updated_at,
+    locked_at: assessment.locked_at,
+    locked_by: assessment.locked_by,
+    signature,
+    scores: formatScoreRow(scoreRows[0]),
+    videos: videoRows,
+    report: reportRows[0] || null,
+    pt_summary: ptSummaryRows[0] || null,
+    report_history: reportHistoryRows || [],
+    handouts: handoutRows,
+    report_lineage: reportLineage,
+    model_run: modelRows[0] || null,
+  });
 }));
 
-app.get("/residents/:id/fall-events", authMiddleware, asyncHandler(async (req, res) => {
+app.get("/assessments/:id/score-history", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows: residentRows } = await pool.query(
-    `SELECT r.facility_id, f.role_policy
-     FROM residents r
-     JOIN facilities f ON f.id = r.facility_id
-     WHERE r.id = $1`,
+  const { rows: assessmentRows } = await pool.query(
+    `SELECT a.id, r.facility_id
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     WHERE a.id = $1`,
     [id]
   );
-  const resident = residentRows[0];
-  if (!resident) {
-    return res.status(404).json({ message: "Resident not found" });
+  if (!assessmentRows[0]) {
+    return res.status(404).json({ message: "Assessment not found" });
   }
-  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (assessmentRows[0].facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
-    return res.status(403).json({ message: "Admin role required for this facility" });
-  }
   const { rows } = await pool.query(
-    `SELECT fe.id, fe.facility_id, fe.resident_id, fe.occurred_at, fe.building, fe.floor, fe.unit, fe.room,
-            fe.witness, fe.injury_severity, fe.ems_called, fe.hospital_transfer, fe.assistive_device,
-            fe.contributing_factors, fe.notes, fe.created_by, fe.created_at, fe.updated_at,
-            COALESCE(jsonb_array_length(f.fall_checklist), 0) AS fall_checks_required,
-            COALESCE(done.completed_count, 0) AS fall_checks_completed,
-            last_assessment.assessment_date AS last_assessment_date,
-            last_assessment.risk_tier AS last_risk_tier
-     FROM fall_events fe
-     JOIN facilities f ON f.id = fe.facility_id
-     LEFT JOIN (
-       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
-       FROM post_fall_checks
-       WHERE status = 'completed'
-       GROUP BY fall_event_id
-     ) done ON done.fall_event_id = fe.id
-     LEFT JOIN LATERAL (
-       SELECT assessment_date, risk_tier
-       FROM assessments
-       WHERE resident_id = fe.resident_id
-       ORDER BY assessment_date DESC NULLS LAST, created_at DESC
-       LIMIT 1
-     ) AS last_assessment ON TRUE
-     WHERE fe.resident_id = $1
-     ORDER BY fe.occurred_at DESC, fe.created_at DESC`,
+    `SELECT sr.id, sr.assessment_id, sr.revision_number, sr.source, sr.gait_model_run_id,
+            sr.previous_scores, sr.new_scores, sr.changed_fields, sr.reason_code, sr.reason_note,
+            sr.changed_by, u.full_name AS changed_by_name, u.email AS changed_by_email, sr.created_at
+     FROM assessment_score_revisions sr
+     LEFT JOIN users u ON u.id = sr.changed_by
+     WHERE sr.assessment_id = $1
+     ORDER BY sr.revision_number DESC`,
     [id]
   );
   res.json(rows);
 }));
 
-app.post("/residents/:id/fall-events", authMiddleware, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const {
-    occurred_at,
-    building,
-    floor,
-    unit,
-    room,
-    injury_severity,
-    ems_called,
-    hospital_transfer,
-    witness,
-    assistive_device,
-    contributing_factors,
-    notes,
-  } = req.body || {};
-  const { rows: residentRows } = await pool.query(
-    `SELECT r.facility_id, r.building, r.floor, r.unit, r.room, f.role_policy
-     FROM residents r
+const narrativeColumns = `id, assessment_id, status, template_version, subjective, objective, assessment, plan,
+  source_data, edited, drafted_by, drafted_at, accepted_by, accepted_at`;
+
+async function loadNarrativeInputs(assessmentId) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, a.assessment_date::text AS assessment_date, a.assistive_device,
+            a.risk_tier, a.suggested_risk_tier, a.risk_rule_version, a.risk_rule_reasons,
+            a.reassessment_due_date::text AS reassessment_due_date,
+            COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
+            r.first_name, r.last_name,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data, s.assessment_id AS scored_assessment_id
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
      JOIN facilities f ON f.id = r.facility_id
-     WHERE r.id = $1`,
-    [id]
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.id = $1`,
+    [assessmentId]
   );
-  const resident = residentRows[0];
-  if (!resident) {
-    return res.status(404).json({ message: "Resident not found" });
-  }
-  if (resident.facility_id !== req.user.facility_id && req.user.role !== "admin") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
-  if (!isRolePolicyAllowed(resident.role_policy, req.user.role)) {
-    return res.status(403).json({ message: "Admin role required for this facility" });
-  }
-  const occurredAt = parseDateTime(occurred_at);
-  if (!occurredAt) {
-    return res.status(400).json({ message: "Invalid occurred_at" });
-  }
-  const severity = parseOptionalEnum(injury_severity, allowedInjurySeverities);
-  if (severity.error) {
-    return res.status(400).json({ message: "Invalid injury severity" });
-  }
-  const parsedEms = parseOptionalBoolean(ems_called);
-  if (parsedEms.error) {
-    return res.status(400).json({ message: "Invalid EMS called flag" });
-  }
-  const parsedHospital = parseOptionalBoolean(hospital_transfer);
-  if (parsedHospital.error) {
-    return res.status(400).json({ message: "Invalid hospital transfer flag" });
-  }
-  const factors = normalizeChecklist(contributing_factors);
-  if (factors.error) {
-    return res.status(400).json({ message: "Invalid contributing factors" });
+  const assessment = rows[0];
+  if (!assessment?.scored_assessment_id) {
+    return null;
   }
+  const { rows: fallEvents } = await pool.query(
+    `SELECT id, occurred_at::date::text AS occurred_on, injury_severity
+     FROM fall_events
+     WHERE resident_id = $1
+       AND voided_at IS NULL
+       AND occurred_at < ($2::date + 1)
+       AND occurred_at >= ($2::date - interval '12 months')
+     ORDER BY occurred_at DESC`,
+    [assessment.resident_id, assessment.assessment_date]
+  );
+  const { rows: priorRows } = await pool.query(
+    `SELECT a.id, a.assessment_date::text AS assessment_date,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data
+     FROM assessments a
+     JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.resident_id = $1 AND a.id <> $2 AND a.status = 'completed' AND a.assessment_date <= $3::date
+     ORDER BY a.assessment_date DESC, a.created_at DESC
+     LIMIT 1`,
+    [assessment.resident_id, assessmentId, assessment.assessment_date]
+  );
+  const prior = priorRows[0]
+    ? { id: priorRows[0].id, assessment_date: priorRows[0].assessment_date, scores: extractStoredScores(priorRows[0]) }
+    : null;
+  return {
+    assessment,
+    scores: extractStoredScores(assessment),
+    derived: extractDerivedScores(assessment),
+    fallEvents,
+    priorAssessment: prior,
+  };
+}
 
-  const normalizedBuilding = toNullableString(building) ?? resident.building ?? null;
-  const normalizedFloor = toNullableString(floor) ?? resident.floor ?? null;
-  const normalizedUnit = toNullableString(unit) ?? resident.unit ?? null;
-  const normalizedRoom = toNullableString(room) ?? resident.room ?? null;
-  const normalizedWitness = toNullableString(witness);
-  const normalizedDevice = toNullableString(assistive_device);
-  const normalizedNotes = toNullableString(notes);
-  const normalizedSeverity = severity.value || "none";
-  const emsCalled = parsedEms.value ?? false;
-  const hospitalTransfer = parsedHospital.value ?? false;
-  const normalizedFactors = factors.value ?? [];
-  const serializedFactors = JSON.stringify(normalizedFactors);
+async function fetchAcceptedNarrative(assessmentId) {
+  const { rows } = await pool.query(
+    `SELECT ${narrativeColumns}
+     FROM assessment_narratives
+     WHERE assessment_id = $1 AND status = 'accepted'
+     ORDER BY accepted_at DESC
+     LIMIT 1`,
+    [assessmentId]
+  );
+  return rows[0] || null;
+}
 
+async function fetchNarrativeAccess(assessmentId) {
   const { rows } = await pool.query(
-    `WITH inserted AS (
-       INSERT INTO fall_events (
-         facility_id, resident_id, occurred_at,
-         building, floor, unit, room,
-         witness, injury_severity, ems_called, hospital_transfer,
-         assistive_device, contributing_factors, notes, created_by
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-       RETURNING *
-     )
-     SELECT inserted.id, inserted.facility_id, inserted.resident_id, inserted.occurred_at,
-            inserted.building, inserted.floor, inserted.unit, inserted.room,
-            inserted.witness, inserted.injury_severity, inserted.ems_called, inserted.hospital_transfer,
-            inserted.assistive_device, inserted.contributing_factors, inserted.notes, inserted.created_by,
-            inserted.created_at, inserted.updated_at,
-            COALESCE(jsonb_array_length(f.fall_checklist), 0) AS fall_checks_required,
-            COALESCE(done.completed_count, 0) AS fall_checks_completed,
-            last_assessment.assessment_date AS last_assessment_date,
-            last_assessment.risk_tier AS last_risk_tier
-     FROM inserted
-     JOIN facilities f ON f.id = inserted.facility_id
-     LEFT JOIN (
-       SELECT fall_event_id, COUNT(DISTINCT check_type) AS completed_count
-       FROM post_fall_checks
-       WHERE status = 'completed'
-       GROUP BY fall_event_id
-     ) done ON done.fall_event_id = inserted.id
-     LEFT JOIN LATERAL (
-       SELECT assessment_date, risk_tier
-       FROM assessments
-       WHERE resident_id = inserted.resident_id
-       ORDER BY assessment_date DESC NULLS LAST, created_at DESC
-       LIMIT 1
-     ) AS last_assessment ON TRUE`,
-    [
-      resident.facility_id,
-      id,
-      occurredAt,
-      normalizedBuilding,
-      normalizedFloor,
-      normalizedUnit,
-      normalizedRoom,
-      normalizedWitness,
-      normalizedSeverity,
-      emsCalled,
-      hospitalTransfer,
-      normalizedDevice,
-      serializedFactors,
-      normalizedNotes,
-      req.user.id,
-    ]
+    `SELECT a.id, a.locked_at, r.facility_id, f.role_policy
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     WHERE a.id = $1`,
+    [assessmentId]
   );
-  await audit(req.user.id, "fall_event.created", "fall_event", rows[0].id, { resident_id: id });
-  res.status(201).json(rows[0]);
-}));
+  return rows[0] || null;
+}
 
-app.get("/fall-events/:id/checks", authMiddleware, asyncHandler(async (req, res) => {
+app.get("/assessments/:id/narrative", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows: eventRows } = await pool.query(
-    `SELECT fe.id, fe.facility_id, f.role_policy
-     FROM fall_events fe
-     JOIN facilities f ON f.id = fe.facility_id
-     WHERE fe.id = $1`,
-    [id]
-  );
-  const fallEvent = eventRows[0];
-  if (!fallEvent) {
-    return res.status(404).json({ message: "Fall event not found" });
+  const assessment = await fetchNarrativeAccess(id);
+  if (!assessment) {
+    return res.status(404).json({ message: "Assessment not found" });
   }
-  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (assessment.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
-    return res.status(403).json({ message: "Admin role required for this facility" });
-  }
   const { rows } = await pool.query(
-    `SELECT id, fall_event_id, check_type, status, completed_at, completed_by, notes, created_at, updated_at
-     FROM post_fall_checks
-     WHERE fall_event_id = $1
-     ORDER BY created_at ASC`,
+    `SELECT ${narrativeColumns}
+     FROM assessment_narratives
+     WHERE assessment_id = $1 AND status = 'draft'
+     ORDER BY drafted_at DESC
+     LIMIT 1`,
     [id]
   );
-  res.json(rows);
+  res.json({
+    draft: rows[0] || null,
+    accepted: await fetchAcceptedNarrative(id),
+  });
 }));
 
-app.post("/fall-events/:id/checks", authMiddleware, asyncHandler(async (req, res) => {
+// Drafting never touches clinician_notes or the accepted narrative; a newer draft supersedes older ones.
+app.post("/assessments/:id/narrative", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { check_type, completed } = req.body || {};
-  const normalizedCheck = normalizeString(check_type);
-  if (!normalizedCheck) {
-    return res.status(400).json({ message: "check_type is required" });
-  }
-  const parsedCompleted = parseOptionalBoolean(completed);
-  if (parsedCompleted.error || typeof parsedCompleted.value !== "boolean") {
-    return res.status(400).json({ message: "Invalid completed flag" });
-  }
-  const { rows: eventRows } = await pool.query(
-    `SELECT fe.id, fe.facility_id, f.role_policy
-     FROM fall_events fe
-     JOIN facilities f ON f.id = fe.facility_id
-     WHERE fe.id = $1`,
-    [id]
-  );
-  const fallEvent = eventRows[0];
-  if (!fallEvent) {
-    return res.status(404).json({ message: "Fall event not found" });
+  const assessment = await fetchNarrativeAccess(id);
+  if (!assessment) {
+    return res.status(404).json({ message: "Assessment not found" });
   }
-  if (fallEvent.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+  if (assessment.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
-  if (!isRolePolicyAllowed(fallEvent.role_policy, req.user.role)) {
+  if (!isRolePolicyAllowed(assessment.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
+  if (assessment.locked_at) {
+    return res.status(409).json({ message: "Assessment is signed and locked" });
+  }
+  const inputs = await loadNarrativeInputs(id);
+  if (!inputs) {
+    return res.status(400).json({ message: "Scores are required to draft a narrative" });
+  }
+  const draft = buildNarrativeDraft(inputs);
+  const sourceData = {
+    scores: buildScoreSnapshot(inputs.assessment),
+    risk_tier: inputs.assessment.risk_tier,
+    suggested_risk_tier: inputs.assessment.suggested_risk_tier,
+    fall_event_ids: inputs.fallEvents.map((event) => event.id),
+    prior_assessment_id: inputs.priorAssessment?.id || null,
+  };
 
-  const status = parsedCompleted.value ? "completed" : "pending";
-  const completedAt = parsedCompleted.value ? new Date() : null;
-  const completedBy = parsedCompleted.value ? req.user.id : null;
-
-  const { rows } = await pool.query(
-    `INSERT INTO post_fall_checks (
-       fall_event_id, check_type, status, completed_at, completed_by
-     ) VALUES ($1, $2, $3, $4, $5)
-     ON CONFLICT (fall_event_id, check_type) DO UPDATE SET
-       status = EXCLUDED.status,
-       completed_at = EXCLUDED.completed_at,
-       completed_by = EXCLUDED.completed_by,
-       updated_at = now()
-     RETURNING id, fall_event_id, check_type, status, completed_at, completed_by, notes, created_at, updated_at`,
-    [id, normalizedCheck, status, completedAt, completedBy]
-  );
-  await audit(req.user.id, "fall_check.updated", "fall_event", id, {
-    check_type: normalizedCheck,
-    status,
-  });
-  res.json(rows[0]);
+  const client = await pool.connect();
+  let narrative;
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE assessment_narratives SET status = 'superseded' WHERE assessment_id = $1 AND status = 'draft'`,
+      [id]
+    );
+    const { rows } = await client.query(
+      `INSERT INTO assessment_narratives (
+        assessment_id, status, template_version, subjective, objective, assessment, plan, source_data, drafted_by
+      ) VALUES ($1, 'draft', $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${narrativeColumns}`,
+      [
+        id,
+        narrativeTemplateVersion,
+        draft.subjective,
+        draft.objective,
+        draft.assessment,
+        draft.plan,
+        JSON.stringify(sourceData),
+        req.user.id,
+      ]
+    );
+    narrative = rows[0];
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  await audit(req.user.id, "narrative.drafted", "assessment", id, { narrative_id: narrative.id });
+  res.status(201).json(narrative);
 }));
 
-app.get("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
+app.post("/assessments/:id/narrative/accept", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rows } = await pool.query(
-    `SELECT a.id, a.resident_id, a.created_by, a.status, a.assessment_date, a.assistive_device,
-            a.scheduled_date, a.due_date, a.reassessment_due_date, a.completed_at,
-            a.risk_tier, a.clinician_notes, a.assigned_to, a.assigned_at,
-            a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
-            a.pt_session_minutes, a.pt_time_saved_minutes,
-            a.created_at, a.updated_at,
-            a.assessment_protocol, a.capture_method,
-            r.facility_id, f.assessment_protocol AS facility_assessment_protocol, f.capture_method AS facility_capture_method
-     FROM assessments a
-     JOIN residents r ON r.id = a.resident_id
-     JOIN facilities f ON f.id = r.facility_id
-     WHERE a.id = $1`,
-    [id]
-  );
-  const assessment = rows[0];
+  const body = req.body || {};
+  const narrativeId = normalizeString(body.narrative_id);
+  if (!narrativeId || !isUuid(narrativeId)) {
+    return res.status(400).json({ message: "narrative_id is required" });
+  }
+  const edits = {};
+  for (const section of narrativeSections) {
+    if (Object.prototype.hasOwnProperty.call(body, section)) {
+      const value = toNullableString(body[section]);
+      if (!value) {
+        return res.status(400).json({ message: `${section} cannot be empty` });
+      }
+      edits[section] = value;
+    }
+  }
+  const assessment = await fetchNarrativeAccess(id);
   if (!assessment) {
     return res.status(404).json({ message: "Assessment not found" });
   }
   if (assessment.facility_id !== req.user.facility_id && req.user.role !== "admin") {
     return res.status(403).json({ message: "Forbidden" });
   }
+  if (!isRolePolicyAllowed(assessment.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (assessment.locked_at) {
+    return res.status(409).json({ message: "Assessment is signed and locked" });
+  }
 
-  let { rows: scoreRows } = await pool.query(
-    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem, score_notes
-     FROM assessment_scores WHERE assessment_id = $1`,
-    [id]
-  );
-
-  const { rows: videoRows } = await pool.query(
-    `SELECT id, assessment_id, storage_key, content_type, duration_seconds, width, height, checksum, uploaded_by, created_at
-     FROM videos WHERE assessment_id = $1 ORDER BY created_at DESC`,
-    [id]
-  );
-
-  const { rows: reportRows } = await pool.query(
-    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
-            template_version, generated_at, generated_by, finalized, report_type
-     FROM reports
-     WHERE assessment_id = $1 AND report_type = 'assessment'
-     ORDER BY created_at DESC
-     LIMIT 1`,
-    [id]
-  );
-
-  const { rows: ptSummaryRows } = await pool.query(
-    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
-            template_version, generated_at, generated_by, finalized, report_type
-     FROM reports
-     WHERE assessment_id = $1 AND report_type = 'pt_summary'
-     ORDER BY created_at DESC
-     LIMIT 1`,
-    [id]
-  );
-
-  const { rows: reportHistoryRows } = await pool.query(
-    `SELECT id, assessment_id, pdf_storage_key, created_by, created_at,
-            template_version, generated_at, generated_by, finalized, report_type
-     FROM reports
-     WHERE assessment_id = $1
-     ORDER BY created_at DESC
-     LIMIT 5`,
-    [id]
-  );
-
-  const { rows: modelRows } = await pool.query(
-    `SELECT id, status, model_version, tug_seconds, chair_stand_seconds,
-            balance_side_by_side, balance_semi_tandem, balance_tandem,
-            confidence, notes, created_at, updated_at
-     FROM gait_model_runs
-     WHERE assessment_id = $1
-     ORDER BY created_at DESC
-     LIMIT 1`,
-    [id]
-  );
-
-  if (!scoreRows[0] && modelRows[0]?.status === "completed") {
-    await upsertModelScores({
-      assessmentId: id,
-      protocol: assessment.assessment_protocol,
-      model: modelRows[0],
-    });
-    const refreshedScores = await pool.query(
-      `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem, score_notes
-       FROM assessment_scores WHERE assessment_id = $1`,
+  const client = await pool.connect();
+  let narrative;
+  try {
+    await client.query("BEGIN");
+    const { rows: draftRows } = await client.query(
+      `SELECT ${narrativeColumns}
+       FROM assessment_narratives
+       WHERE id = $1 AND assessment_id = $2
+       FOR UPDATE`,
+      [narrativeId, id]
+    );
+    const draft = draftRows[0];
+    if (!draft) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Narrative draft not found" });
+    }
+    if (draft.status !== "draft") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Only the current draft can be accepted" });
+    }
+    const next = { ...draft, ...edits };
+    const edited = narrativeSections.some((section) => next[section] !== draft[section]);
+    await client.query(
+      `UPDATE assessment_narratives SET status = 'superseded' WHERE assessment_id = $1 AND status = 'accepted'`,
       [id]
     );
-    scoreRows = refreshedScores.rows;
+    const { rows } = await client.query(
+      `UPDATE assessment_narratives
+       SET status = 'accepted', subjective = $2, objective = $3, assessment = $4, plan = $5,
+           edited = $6, accepted_by = $7, accepted_at = now()
+       WHERE id = $1
+       RETURNING ${narrativeColumns}`,
+      [narrativeId, next.subjective, next.objective, next.assessment, next.plan, edited, req.user.id]
+    );
+    narrative = rows[0];
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
   }
-
-  res.json({
-    id: assessment.id,
-    resident_id: assessment.resident_id,
-    created_by: assessment.created_by,
-    status: assessment.status,
-    assessment_date: assessment.assessment_date,
-    assistive_device: assessment.assistive_device,
-    scheduled_date: assessment.scheduled_date,
-    due_date: assessment.due_date,
-    reassessment_due_date: assessment.reassessment_due_date,
-    completed_at: assessment.completed_at,
-    risk_tier: assessment.risk_tier,
-    clinician_notes: assessment.clinician_notes,
-    assigned_to: assessment.assigned_to,
-    assigned_at: assessment.assigned_at,
-    pt_cpt_codes: assessment.pt_cpt_codes,
-    pt_goals: assessment.pt_goals,
-    pt_plan_of_care: assessment.pt_plan_of_care,
-    pt_pain_score: assessment.pt_pain_score,
-    pt_session_minutes: assessment.pt_session_minutes,
-    pt_time_saved_minutes: assessment.pt_time_saved_minutes,
-    assessment_protocol: assessment.assessment_protocol || assessment.facility_assessment_protocol,
-    capture_method: assessment.capture_method || assessment.facility_capture_method,
-    created_at: assessment.created_at,
-    updated_at: assessment.updated_at,
-    scores: scoreRows[0] || null,
-    videos: videoRows,
-    report: reportRows[0] || null,
-    pt_summary: ptSummaryRows[0] || null,
-    report_history: reportHistoryRows || [],
-    model_run: modelRows[0] || null,
+  await audit(req.user.id, "narrative.accepted", "assessment", id, {
+    narrative_id: narrative.id,
+    edited: narrative.edited,
   });
+  res.json(narrative);
 }));
 
 app.patch("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
@@ -3176,8 +9451,9 @@ app.patch("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
   const body = req.body || {};
   const { scores } = body;
   const { rows: assessmentRows } = await pool.query(
-    `SELECT a.id, a.status, a.assessment_date, a.scheduled_date, a.due_date, a.reassessment_due_date, a.completed_at,
-            a.assessment_protocol, a.capture_method,
+    `SELECT a.id, a.resident_id, a.status, a.assessment_date::text AS assessment_date,
+            a.scheduled_date::text AS scheduled_date, a.due_date::text AS due_date, a.reassessment_due_date, a.completed_at,
+            a.assessment_protocol, a.capture_method, a.locked_at,
             r.facility_id, f.reassessment_cadence_days, f.assessment_protocol AS facility_assessment_protocol, f.role_policy
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
@@ -3195,6 +9471,9 @@ app.patch("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
   if (!isRolePolicyAllowed(currentAssessment.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
+  if (currentAssessment.locked_at) {
+    return res.status(409).json({ message: "Assessment is signed and locked" });
+  }
 
   const updateFields = {};
   let nextAssessmentDate = currentAssessment.assessment_date;
@@ -3335,103 +9614,100 @@ app.patch("/assessments/:id", authMiddleware, asyncHandler(async (req, res) => {
     }
   }
 
-  const update = buildUpdate(updateFields);
-  if (update) {
-    const { setClauses, values } = update;
-    await pool.query(
-      `UPDATE assessments SET ${setClauses.join(", ")}, updated_at = now() WHERE id = $${values.length + 1}`,
-      [...values, id]
-    );
-  }
-
+  let scoreRevision = null;
   if (scores) {
     if (typeof scores !== "object") {
       return res.status(400).json({ message: "Invalid scores payload" });
     }
-    const {
-      tug_seconds,
-      chair_stand_seconds,
-      balance_side_by_side,
-      balance_semi_tandem,
-      balance_tandem,
-      score_notes,
-    } = scores;
-    const parsedTug = parseOptionalNumber(tug_seconds);
-    const parsedChair = parseOptionalNumber(chair_stand_seconds);
-    const parsedSide = parseOptionalBoolean(balance_side_by_side);
-    const parsedSemi = parseOptionalBoolean(balance_semi_tandem);
-    const parsedTandem = parseOptionalBoolean(balance_tandem);
-    if (parsedTug.error || parsedChair.error || parsedSide.error || parsedSemi.error || parsedTandem.error) {
+    const protocol = currentAssessment.assessment_protocol || currentAssessment.facility_assessment_protocol || defaultAssessmentProtocol;
+    const definition = getProtocolDefinition(protocol);
+    const parsedScores = parseScorePayload(definition, scores);
+    if (parsedScores.invalid) {
       return res.status(400).json({ message: "Invalid score values" });
     }
-    const protocol = currentAssessment.assessment_protocol || currentAssessment.facility_assessment_protocol || "tug_chair_balance";
-    const missing = [];
-    const requireNumber = (value, label) => {
-      if (value === null || value === undefined) {
-        missing.push(label);
-      }
-    };
-    const requireBool = (value, label) => {
-      if (value === null || value === undefined) {
-        missing.push(label);
-      }
-    };
-    if (protocol === "tug_chair_balance") {
-      requireNumber(parsedTug.value, "tug_seconds");
-      requireNumber(parsedChair.value, "chair_stand_seconds");
-      requireBool(parsedSide.value, "balance_side_by_side");
-      requireBool(parsedSemi.value, "balance_semi_tandem");
-      requireBool(parsedTandem.value, "balance_tandem");
-    } else if (protocol === "tug_only") {
-      requireNumber(parsedTug.value, "tug_seconds");
-    } else if (protocol === "balance_only") {
-      requireBool(parsedSide.value, "balance_side_by_side");
-      requireBool(parsedSemi.value, "balance_semi_tandem");
-      requireBool(parsedTandem.value, "balance_tandem");
-    }
+    const missing = findMissingScoreFields(definition, parsedScores.values);
     if (missing.length) {
       return res.status(400).json({ message: `Missing required score fields: ${missing.join(", ")}` });
     }
-    const inRange = (value) => value === null || (value >= 0 && value <= 300);
-    if (!inRange(parsedTug.value) || !inRange(parsedChair.value)) {
-      return res.status(400).json({ message: "Score values must be between 0 and 300" });
+    const outOfRange = findOutOfRangeScoreFields(definition, parsedScores.values);
+    if (outOfRange.length) {
+      const ranges = outOfRange.map((field) => `${field.key} (${describeScoreRange(field)})`);
+      return res.status(400).json({ message: `Score values out of range: ${ranges.join(", ")}` });
+    }
+    const reasonParsed = parseOptionalEnum(body.score_change_reason, allowedScoreChangeReasons);
+    if (reasonParsed.error) {
+      return res.status(400).json({ message: "Invalid score_change_reason" });
+    }
+    const reasonNote = toNullableString(body.score_change_note);
+    if (reasonParsed.value === "other" && !reasonNote) {
+      return res.status(400).json({ message: "score_change_note is required when score_change_reason is other" });
+    }
+    try {
+      scoreRevision = await writeAssessmentScores({
+        assessmentId: id,
+        protocol: definition.id,
+        scores: parsedScores.values,
+        scoreNotes: toNullableString(scores.score_notes),
+        overwrite: true,
+        source: "manual",
+        reasonCode: reasonParsed.value || null,
+        reasonNote,
+        changedBy: req.user.id,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
     }
+  }
+
+  const update = buildUpdate(updateFields);
+  if (update) {
+    const { setClauses, values } = update;
     await pool.query(
-      `INSERT INTO assessment_scores (
-        assessment_id, tug_seconds, chair_stand_seconds, balance_side_by_side,
-        balance_semi_tandem, balance_tandem, score_notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (assessment_id) DO UPDATE SET
-        tug_seconds = EXCLUDED.tug_seconds,
-        chair_stand_seconds = EXCLUDED.chair_stand_seconds,
-        balance_side_by_side = EXCLUDED.balance_side_by_side,
-        balance_semi_tandem = EXCLUDED.balance_semi_tandem,
-        balance_tandem = EXCLUDED.balance_tandem,
-        score_notes = EXCLUDED.score_notes`,
-      [
-        id,
-        parsedTug.value,
-        parsedChair.value,
-        parsedSide.value,
-        parsedSemi.value,
-        parsedTandem.value,
-        toNullableString(score_notes),
-      ]
+      `UPDATE assessments SET ${setClauses.join(", ")}, updated_at = now() WHERE id = $${values.length + 1}`,
+      [...values, id]
     );
   }
 
-  await audit(req.user.id, "assessment.updated", "assessment", id, null);
+  if (scoreRevision || Object.prototype.hasOwnProperty.call(updateFields, "risk_tier")) {
+    await refreshSuggestedRiskTier(id);
+  }
+  if (nextStatus === "completed"
+    && (updateFields.status || scoreRevision || Object.prototype.hasOwnProperty.call(updateFields, "risk_tier"))) {
+    await refreshInterventionRecommendations(currentAssessment.resident_id);
+  }
+
+  await audit(
+    req.user.id,
+    "assessment.updated",
+    "assessment",
+    id,
+    scoreRevision ? { score_revision: scoreRevision.revision_number } : null
+  );
 
   const { rows } = await pool.query(
     `SELECT id, resident_id, created_by, status, assessment_date, assistive_device,
             scheduled_date, due_date, reassessment_due_date, completed_at,
-            risk_tier, clinician_notes, assigned_to, assigned_at,
+            risk_tier, suggested_risk_tier, risk_rule_version, risk_rule_reasons, risk_tier_disagreement,
+            clinician_notes, assigned_to, assigned_at,
             pt_cpt_codes, pt_goals, pt_plan_of_care, pt_pain_score,
             pt_session_minutes, pt_time_saved_minutes,
-            created_at, updated_at
+            created_at, updated_at, locked_at, locked_by
      FROM assessments WHERE id = $1`,
     [id]
   );
+  if (updateFields.completed_at) {
+    await emitAutomationEvent({
+      trigger: "assessment.completed",
+      facilityId: currentAssessment.facility_id,
+      entityType: "assessment",
+      entityId: id,
+      eventKey: `${id}:${updateFields.completed_at}`,
+      source: { entityType: "assessment", entityId: id },
+    });
+  }
   res.json(rows[0]);
 }));
 
@@ -3476,7 +9752,7 @@ app.get("/qa", authMiddleware, asyncHandler(async (req, res) => {
 app.put("/assessments/:id/qa", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rows: assessmentRows } = await pool.query(
-    `SELECT a.id, r.facility_id, f.role_policy, f.qa_checklist
+    `SELECT a.id, a.locked_at, r.facility_id, f.role_policy, f.qa_checklist
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
      JOIN facilities f ON f.id = r.facility_id
@@ -3493,6 +9769,9 @@ app.put("/assessments/:id/qa", authMiddleware, asyncHandler(async (req, res) =>
   if (!isRolePolicyAllowed(assessment.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
+  if (assessment.locked_at) {
+    return res.status(409).json({ message: "Assessment is signed and locked" });
+  }
 
   const { rows: existingRows } = await pool.query(
     `SELECT checks, notes, escalated FROM assessment_qa WHERE assessment_id = $1`,
@@ -3585,8 +9864,8 @@ app.patch("/assessments/:id/assign", authMiddleware, asyncHandler(async (req, re
 
   await pool.query(
     `UPDATE assessments
-     SET assigned_to = $1,
-         assigned_at = CASE WHEN $1 IS NULL THEN NULL ELSE now() END,
+     SET assigned_to = $1::uuid,
+         assigned_at = CASE WHEN $1::uuid IS NULL THEN NULL ELSE now() END,
          updated_at = now()
      WHERE id = $2`,
     [assignedTo, id]
@@ -3608,6 +9887,7 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
   const assignedToRaw = normalizeString(req.query.assigned_to || "");
   const unitIdRaw = normalizeString(req.query.unit_id || "");
   const includeFallsRaw = normalizeString(req.query.include_falls || "");
+  const includeReportsRaw = normalizeString(req.query.include_reports || "");
   const overdueRaw = normalizeString(req.query.overdue || "");
   const dueWithinRaw = req.query.due_within;
   const limitRaw = req.query.limit;
@@ -3621,6 +9901,11 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
     return res.status(400).json({ message: "Invalid overdue filter" });
   }
   const overdue = overdueParsed.value;
+  const includeReportsParsed = includeReportsRaw ? parseOptionalBoolean(includeReportsRaw) : { value: undefined, error: null };
+  if (includeReportsParsed.error) {
+    return res.status(400).json({ message: "Invalid include_reports filter" });
+  }
+  const includeReports = includeReportsParsed.value === true;
 
   let dueWithinDays = null;
   if (dueWithinRaw !== undefined) {
@@ -3643,7 +9928,7 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
     values.push(statusRaw);
     index += 1;
   } else {
-    filters.push(`a.status IN ('needs_review', 'in_review')`);
+    filters.push(slaAssessmentFilter(includeReports));
   }
 
   if (assignedToRaw) {
@@ -3697,15 +9982,17 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
   const whereClause = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
   const { rows } = await pool.query(
     `SELECT a.id, a.resident_id, a.assessment_date, a.scheduled_date, a.due_date,
-            a.status, a.risk_tier, a.assistive_device, a.created_at,
-            a.assigned_to, a.assigned_at,
+            a.status, a.risk_tier, a.suggested_risk_tier, a.assistive_device, a.created_at,
+            a.assigned_to, a.assigned_at, a.previous_assessment_id,
+            COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
             r.first_name, r.last_name, r.external_id, r.unit_id,
             fu.label AS unit_label,
             u.full_name AS assigned_name, u.email AS assigned_email,
-            f.report_turnaround_hours,
-            (${dueDateExpr} + interval '1 day') AS sla_due_at,
-            EXTRACT(EPOCH FROM (((${dueDateExpr} + interval '1 day') - now()))) / 3600
-              AS sla_hours_remaining
+            f.report_turnaround_hours, a.completed_at,
+            (${dueDateExpr})::timestamptz AS due_started_at,
+            EXISTS (
+              SELECT 1 FROM reports rp WHERE rp.assessment_id = a.id AND rp.report_type = 'assessment'
+            ) AS has_report
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
      JOIN facilities f ON f.id = r.facility_id
@@ -3717,13 +10004,17 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
     [...values, limit]
   );
 
+  const { rows: slaFacilityRows } = await pool.query(
+    `SELECT sla_policies, report_turnaround_hours FROM facilities WHERE id = $1`,
+    [facilityId]
+  );
+  const slaPolicies = resolveSlaPolicies(slaFacilityRows[0]?.sla_policies, slaFacilityRows[0]?.report_turnaround_hours);
+
   const queue = rows.map((row) => {
-    const remaining = row.sla_hours_remaining;
-    const remainingNumber = remaining === null ? null : Number(remaining);
-    let slaStatus = "unknown";
-    if (Number.isFinite(remainingNumber)) {
-      slaStatus = remainingNumber < 0 ? "overdue" : "on_track";
-    }
+    // Completed assessments are on the report turnaround clock until their report exists.
+    const sla = row.status === "completed"
+      ? describeSla("report_turnaround", slaPolicies.report_turnaround, row.has_report ? null : row.completed_at)
+      : describeSla("assessment_review", slaPolicies.assessment_review, row.due_started_at);
     return {
       item_type: "assessment",
       id: row.id,
@@ -3733,21 +10024,23 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
       due_date: row.due_date,
       status: row.status,
       risk_tier: row.risk_tier,
+      suggested_risk_tier: row.suggested_risk_tier,
+      assessment_protocol: row.assessment_protocol,
+      assessment_kind: getProtocolDefinition(row.assessment_protocol).kind || "performance",
       assistive_device: row.assistive_device,
       created_at: row.created_at,
       assigned_to: row.assigned_to,
       assigned_at: row.assigned_at,
       assigned_name: row.assigned_name,
       assigned_email: row.assigned_email,
+      previous_assessment_id: row.previous_assessment_id,
       resident_first_name: row.first_name,
       resident_last_name: row.last_name,
       resident_external_id: row.external_id,
       resident_unit_id: row.unit_id,
       resident_unit_label: row.unit_label,
       report_turnaround_hours: row.report_turnaround_hours,
-      sla_due_at: row.sla_due_at,
-      sla_hours_remaining: remainingNumber,
-      sla_status: slaStatus,
+      ...sla,
     };
   });
   const includeFallEvents = includeFallsRaw !== "false"
@@ -3756,7 +10049,7 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
     && !assignedToRaw;
 
   if (!includeFallEvents) {
-    res.json(queue);
+    res.json(await applySlaEscalationLevels(queue));
     return;
   }
 
@@ -3778,7 +10071,7 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
        WHERE status = 'completed'
        GROUP BY fall_event_id
      ) done ON done.fall_event_id = fe.id
-     WHERE fe.facility_id = $1
+     WHERE fe.facility_id = $1 AND fe.voided_at IS NULL
      ORDER BY fe.occurred_at DESC`,
     [facilityId]
   );
@@ -3827,48 +10120,229 @@ app.get("/workflow/queue", authMiddleware, asyncHandler(async (req, res) => {
       if (dueDate) {
         dueDate.setDate(dueDate.getDate() + Math.max(0, postFallFollowupDays));
       }
-      const slaDueAt = dueDate ? new Date(dueDate) : null;
-      if (slaDueAt) {
-        slaDueAt.setDate(slaDueAt.getDate() + 1);
+      return {
+        item_type: "fall_event",
+        id: row.id,
+        resident_id: row.resident_id,
+        occurred_at: row.occurred_at,
+        due_date: dueDate ? formatDateOnly(dueDate) : null,
+        status: "post_fall",
+        injury_severity: row.injury_severity,
+        ems_called: row.ems_called,
+        hospital_transfer: row.hospital_transfer,
+        fall_checks_required: Number(row.required_count) || 0,
+        fall_checks_completed: Number(row.completed_count) || 0,
+        resident_first_name: row.first_name,
+        resident_last_name: row.last_name,
+        resident_external_id: row.external_id,
+        resident_unit_id: row.unit_id,
+        resident_unit_label: row.unit_label,
+        created_at: row.created_at,
+        ...describeSla("post_fall_checklist", slaPolicies.post_fall_checklist, row.occurred_at),
+      };
+    });
+
+  // Neuro checks: every missed instance plus the next pending one per fall event, so a 72-hour schedule
+  // does not flood the queue.
+  const { rows: neuroRows } = await pool.query(
+    `SELECT nc.id, nc.fall_event_id, nc.sequence, nc.due_at, nc.status, nc.missed_at, nc.created_at,
+            fe.resident_id, fe.occurred_at, fe.head_strike, fe.witness,
+            r.first_name, r.last_name, r.external_id, r.unit_id,
+            fu.label AS unit_label
+     FROM fall_neuro_checks nc
+     JOIN fall_events fe ON fe.id = nc.fall_event_id
+     JOIN residents r ON r.id = fe.resident_id
+     LEFT JOIN facility_units fu ON fu.id = r.unit_id
+     WHERE fe.facility_id = $1 AND fe.voided_at IS NULL
+       AND (
+         nc.status = 'missed'
+         OR nc.id = (
+           SELECT next.id FROM fall_neuro_checks next
+           WHERE next.fall_event_id = nc.fall_event_id AND next.status = 'pending'
+           ORDER BY next.due_at ASC
+           LIMIT 1
+         )
+       )
+     ORDER BY nc.due_at ASC`,
+    [facilityId]
+  );
+  const now = Date.now();
+  const neuroQueue = neuroRows
+    .filter((row) => {
+      if (unitIdRaw && row.unit_id !== unitIdRaw) {
+        return false;
+      }
+      const dueAt = new Date(row.due_at);
+      let matches = true;
+      if (overdue === true) {
+        matches = dueAt.getTime() < now;
+      } else if (overdue === false) {
+        matches = dueAt.getTime() >= now;
+      }
+      if (matches && dueWithinDays !== null) {
+        const cutoff = new Date(today);
+        cutoff.setDate(cutoff.getDate() + dueWithinDays + 1);
+        matches = dueAt < cutoff;
+      }
+      return matches;
+    })
+    .map((row) => {
+      const dueAt = new Date(row.due_at);
+      return {
+        item_type: "neuro_check",
+        id: row.id,
+        fall_event_id: row.fall_event_id,
+        resident_id: row.resident_id,
+        occurred_at: row.occurred_at,
+        due_at: dueAt.toISOString(),
+        due_date: formatDateOnly(dueAt),
+        status: "neuro_check",
+        neuro_check_status: row.status,
+        sequence: row.sequence,
+        head_strike: row.head_strike,
+        unwitnessed: !normalizeString(row.witness),
+        missed_at: row.missed_at,
+        resident_first_name: row.first_name,
+        resident_last_name: row.last_name,
+        resident_external_id: row.external_id,
+        resident_unit_id: row.unit_id,
+        resident_unit_label: row.unit_label,
+        created_at: row.created_at,
+        ...describeSla("neuro_check", slaPolicies.neuro_check, row.due_at, {
+          breachedAt: row.status === "missed" ? row.missed_at : null,
+          now,
+        }),
+      };
+    });
+
+  // Repeat-faller flags stay in the queue until resolved and sort ahead of everything else.
+  const { rows: flagRows } = await pool.query(
+    `SELECT ff.id, ff.resident_id, ff.rule, ff.fall_event_id, ff.fall_count, ff.window_days, ff.created_at,
+            fe.occurred_at,
+            r.first_name, r.last_name, r.external_id, r.unit_id,
+            fu.label AS unit_label
+     FROM resident_fall_flags ff
+     JOIN residents r ON r.id = ff.resident_id
+     LEFT JOIN fall_events fe ON fe.id = ff.fall_event_id
+     LEFT JOIN facility_units fu ON fu.id = r.unit_id
+     WHERE ff.facility_id = $1 AND ff.status = 'open'
+     ORDER BY ff.created_at ASC`,
+    [facilityId]
+  );
+  const flagQueue = flagRows
+    .filter((row) => !unitIdRaw || row.unit_id === unitIdRaw)
+    .map((row) => {
+      // Flags are due for review the day they are raised.
+      const slaDueAt = new Date(row.created_at);
+      slaDueAt.setHours(0, 0, 0, 0);
+      slaDueAt.setDate(slaDueAt.getDate() + 1);
+      const remainingHours = (slaDueAt.getTime() - now) / 3600000;
+      return {
+        item_type: "fall_flag",
+        priority: "high",
+        id: row.id,
+        resident_id: row.resident_id,
+        fall_event_id: row.fall_event_id,
+        occurred_at: row.occurred_at,
+        due_date: formatDateOnly(new Date(row.created_at)),
+        status: "fall_flag",
+        rule: row.rule,
+        fall_count: row.fall_count,
+        window_days: row.window_days,
+        resident_first_name: row.first_name,
+        resident_last_name: row.last_name,
+        resident_external_id: row.external_id,
+        resident_unit_id: row.unit_id,
+        resident_unit_label: row.unit_label,
+        created_at: row.created_at,
+        sla_policy: null,
+        sla_state: remainingHours < 0 ? "breached" : "on_track",
+        sla_due_at: slaDueAt.toISOString(),
+        sla_hours_remaining: remainingHours,
+        sla_status: remainingHours < 0 ? "overdue" : "on_track",
+      };
+    })
+    .filter((item) => {
+      if (overdue === true) {
+        return item.sla_status === "overdue";
       }
-      const remainingHours = slaDueAt
-        ? (slaDueAt.getTime() - Date.now()) / 3600000
-        : null;
-      let slaStatus = "unknown";
-      if (Number.isFinite(remainingHours)) {
-        slaStatus = remainingHours < 0 ? "overdue" : "on_track";
+      if (overdue === false) {
+        return item.sla_status !== "overdue";
       }
+      return true;
+    });
+
+  // Open tasks from create_task automation actions, due at their due_at.
+  const { rows: taskRows } = await pool.query(
+    `SELECT t.id, t.resident_id, t.title, t.assignee_ids, t.due_at, t.entity_type, t.entity_id, t.created_at,
+            ar.rule_id, rl.name AS rule_name,
+            r.first_name, r.last_name, r.external_id, r.unit_id,
+            fu.label AS unit_label
+     FROM automation_tasks t
+     JOIN automation_runs ar ON ar.id = t.run_id
+     JOIN automation_rules rl ON rl.id = ar.rule_id
+     LEFT JOIN residents r ON r.id = t.resident_id
+     LEFT JOIN facility_units fu ON fu.id = r.unit_id
+     WHERE t.facility_id = $1 AND t.status = 'open'
+     ORDER BY t.due_at ASC`,
+    [facilityId]
+  );
+  const taskQueue = taskRows
+    .filter((row) => !unitIdRaw || row.unit_id === unitIdRaw)
+    .map((row) => {
+      const dueAt = new Date(row.due_at);
+      const remainingHours = (dueAt.getTime() - now) / 3600000;
       return {
-        item_type: "fall_event",
+        item_type: "automation_task",
         id: row.id,
         resident_id: row.resident_id,
-        occurred_at: row.occurred_at,
-        due_date: dueDate ? formatDateOnly(dueDate) : null,
-        status: "post_fall",
-        injury_severity: row.injury_severity,
-        ems_called: row.ems_called,
-        hospital_transfer: row.hospital_transfer,
-        fall_checks_required: Number(row.required_count) || 0,
-        fall_checks_completed: Number(row.completed_count) || 0,
+        title: row.title,
+        rule_id: row.rule_id,
+        rule_name: row.rule_name,
+        entity_type: row.entity_type,
+        entity_id: row.entity_id,
+        assignee_ids: row.assignee_ids,
+        due_at: dueAt.toISOString(),
+        due_date: formatDateOnly(dueAt),
+        status: "automation_task",
         resident_first_name: row.first_name,
         resident_last_name: row.last_name,
         resident_external_id: row.external_id,
         resident_unit_id: row.unit_id,
         resident_unit_label: row.unit_label,
         created_at: row.created_at,
-        sla_due_at: slaDueAt ? slaDueAt.toISOString() : null,
-        sla_hours_remaining: Number.isFinite(remainingHours) ? remainingHours : null,
-        sla_status: slaStatus,
+        sla_policy: null,
+        sla_state: remainingHours < 0 ? "breached" : "on_track",
+        sla_due_at: dueAt.toISOString(),
+        sla_hours_remaining: remainingHours,
+        sla_status: remainingHours < 0 ? "overdue" : "on_track",
       };
+    })
+    .filter((item) => {
+      if (overdue === true && item.sla_status !== "overdue") {
+        return false;
+      }
+      if (overdue === false && item.sla_status === "overdue") {
+        return false;
+      }
+      if (dueWithinDays !== null) {
+        const cutoff = new Date(today);
+        cutoff.setDate(cutoff.getDate() + dueWithinDays + 1);
+        return new Date(item.due_at) < cutoff;
+      }
+      return true;
     });
 
-  const combined = [...queue, ...fallQueue];
+  const combined = [...queue, ...fallQueue, ...neuroQueue, ...flagQueue, ...taskQueue];
   combined.sort((a, b) => {
-    const dateA = new Date(a.due_date || a.assessment_date || a.occurred_at || a.created_at || 0).getTime();
-    const dateB = new Date(b.due_date || b.assessment_date || b.occurred_at || b.created_at || 0).getTime();
+    if ((a.priority === "high") !== (b.priority === "high")) {
+      return a.priority === "high" ? -1 : 1;
+    }
+    const dateA = new Date(a.due_at || a.due_date || a.assessment_date || a.occurred_at || a.created_at || 0).getTime();
+    const dateB = new Date(b.due_at || b.due_date || b.assessment_date || b.occurred_at || b.created_at || 0).getTime();
     return dateA - dateB;
   });
-  res.json(combined.slice(0, limit));
+  res.json(await applySlaEscalationLevels(combined.slice(0, limit)));
 }));
 
 app.use("/assessments/:id/videos", uploadRateLimiter);
@@ -4102,9 +10576,177 @@ app.post("/assessments/:id/model/run", authMiddleware, asyncHandler(async (req,
   res.status(201).json({ id: gaitRun.id, status: "queued" });
 }));
 
-async function fetchAssessmentForReport(assessmentId) {
+async function fetchAssessmentSignature(assessmentId) {
   const { rows } = await pool.query(
-    `SELECT a.id, a.assessment_date, a.assistive_device, a.risk_tier, a.clinician_notes,
+    `SELECT id, report_id, assessment_id, signed_by, signer_name, signer_credentials,
+            attestation_text, pdf_sha256, signed_at
+     FROM report_signatures
+     WHERE assessment_id = $1
+     ORDER BY signed_at DESC
+     LIMIT 1`,
+    [assessmentId]
+  );
+  return rows[0] || null;
+}
+
+// Walks supersedes_report_id back from a report; returns the chain oldest first with signatures.
+async function fetchReportLineage(reportId) {
+  const { rows } = await pool.query(
+    `WITH RECURSIVE lineage AS (
+       SELECT id, supersedes_report_id, 0 AS depth FROM reports WHERE id = $1
+       UNION ALL
+       SELECT r.id, r.supersedes_report_id, l.depth + 1
+       FROM reports r
+       JOIN lineage l ON r.id = l.supersedes_report_id
+       WHERE l.depth < 100
+     )
+     SELECT r.id, r.supersedes_report_id, r.amendment_type, r.amendment_reason, r.addendum_text,
+            r.finalized, r.created_by, r.generated_at,
+            s.signer_name, s.signer_credentials, s.pdf_sha256, s.signed_at
+     FROM lineage l
+     JOIN reports r ON r.id = l.id
+     LEFT JOIN report_signatures s ON s.report_id = r.id
+     ORDER BY l.depth DESC`,
+    [reportId]
+  );
+  return rows;
+}
+
+function toReportTemplate(row) {
+  if (!row) {
+    return { id: null, version: null, config: { ...defaultReportTemplateConfig } };
+  }
+  return { ...row, config: { ...defaultReportTemplateConfig, ...row.config } };
+}
+
+async function fetchActiveReportTemplate(facilityId) {
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, version, config, created_by, created_at
+     FROM report_templates
+     WHERE facility_id = $1
+     ORDER BY version DESC
+     LIMIT 1`,
+    [facilityId]
+  );
+  return toReportTemplate(rows[0]);
+}
+
+async function fetchReportTemplateById(templateId) {
+  if (!templateId) {
+    return toReportTemplate(null);
+  }
+  const { rows } = await pool.query(
+    `SELECT id, facility_id, version, config, created_by, created_at
+     FROM report_templates WHERE id = $1`,
+    [templateId]
+  );
+  return toReportTemplate(rows[0]);
+}
+
+// Applies a partial template config on top of `base`. Logos are only set through the upload endpoint,
+// so logo_storage_key accepts null (remove the logo) and nothing else.
+function normalizeReportTemplateConfig(input, base = defaultReportTemplateConfig) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw Object.assign(new Error("Invalid report template"), { status: 400 });
+  }
+  const has = (key) => Object.prototype.hasOwnProperty.call(input, key);
+  const config = { ...defaultReportTemplateConfig, ...base, sections: [...(base.sections || defaultReportTemplateConfig.sections)] };
+  const textLimits = { title: 120, pt_summary_title: 120, header_text: 200, footer_text: 300 };
+  Object.entries(textLimits).forEach(([key, limit]) => {
+    if (!has(key)) {
+      return;
+    }
+    const value = toNullableString(input[key]);
+    if (!value && (key === "title" || key === "pt_summary_title")) {
+      throw Object.assign(new Error(`${key} is required`), { status: 400 });
+    }
+    if (value && value.length > limit) {
+      throw Object.assign(new Error(`${key} must be ${limit} characters or fewer`), { status: 400 });
+    }
+    config[key] = value;
+  });
+  if (has("primary_color")) {
+    const color = normalizeString(input.primary_color);
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw Object.assign(new Error("primary_color must be a hex color like #0b4a3b"), { status: 400 });
+    }
+    config.primary_color = color.toLowerCase();
+  }
+  if (has("sections")) {
+    const sections = input.sections;
+    if (!Array.isArray(sections) || sections.some((section) => !reportTemplateSections.includes(section))) {
+      throw Object.assign(new Error(`sections must only contain: ${reportTemplateSections.join(", ")}`), { status: 400 });
+    }
+    if (new Set(sections).size !== sections.length) {
+      throw Object.assign(new Error("sections must not repeat"), { status: 400 });
+    }
+    const missing = requiredReportTemplateSections.filter((section) => !sections.includes(section));
+    if (missing.length) {
+      throw Object.assign(new Error(`sections must include: ${missing.join(", ")}`), { status: 400 });
+    }
+    config.sections = [...sections];
+  }
+  if (has("logo_storage_key")) {
+    if (input.logo_storage_key !== null) {
+      throw Object.assign(new Error("Upload logos through the logo endpoint"), { status: 400 });
+    }
+    config.logo_storage_key = null;
+  }
+  return config;
+}
+
+// Only loads the data that optional template sections actually render.
+async function loadReportSectionData(assessment, config) {
+  const sections = new Set(config.sections);
+  if (sections.has("trend_chart")) {
+    const { rows } = await pool.query(
+      `SELECT a.assessment_date::text AS assessment_date,
+              s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+              s.protocol_data
+       FROM assessments a
+       JOIN assessment_scores s ON s.assessment_id = a.id
+       WHERE a.resident_id = $1 AND a.assessment_date <= $2::date
+         AND (a.status = 'completed' OR a.id = $3)
+       ORDER BY a.assessment_date DESC, a.created_at DESC
+       LIMIT 8`,
+      [assessment.resident_id, assessment.assessment_date, assessment.id]
+    );
+    assessment.trend = rows.reverse().map((row) => ({
+      assessment_date: row.assessment_date,
+      tug_seconds: extractStoredScores(row).tug_seconds ?? null,
+    }));
+  }
+  if (sections.has("fall_history")) {
+    const { rows } = await pool.query(
+      `SELECT occurred_at, injury_severity, ems_called, hospital_transfer
+       FROM fall_events
+       WHERE resident_id = $1
+         AND voided_at IS NULL
+         AND occurred_at <= ($2::date + interval '1 day')
+         AND occurred_at >= ($2::date - interval '12 months')
+       ORDER BY occurred_at DESC`,
+      [assessment.resident_id, assessment.assessment_date]
+    );
+    assessment.fall_history = rows;
+  }
+  if (sections.has("video_stills")) {
+    const { rows } = await pool.query(
+      `SELECT storage_key, duration_seconds
+       FROM videos
+       WHERE assessment_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [assessment.id]
+    );
+    assessment.video = rows[0] || null;
+  }
+  return assessment;
+}
+
+async function fetchAssessmentForReport(assessmentId, template = null) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.resident_id, a.assessment_date, a.assistive_device, a.risk_tier, a.clinician_notes,
+            a.assessment_protocol,
             r.first_name, r.last_name, r.dob, r.sex
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
@@ -4116,17 +10758,25 @@ async function fetchAssessmentForReport(assessmentId) {
     return null;
   }
   const { rows: scoreRows } = await pool.query(
-    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem, score_notes
+    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem,
+            protocol_data, score_notes
      FROM assessment_scores WHERE assessment_id = $1`,
     [assessmentId]
   );
   assessment.scores = scoreRows[0] || null;
+  assessment.protocol = getProtocolDefinition(assessment.assessment_protocol);
+  assessment.signature = await fetchAssessmentSignature(assessmentId);
+  assessment.narrative = await fetchAcceptedNarrative(assessmentId);
+  if (template) {
+    await loadReportSectionData(assessment, template.config);
+  }
   return assessment;
 }
 
 async function fetchAssessmentForPtSummary(assessmentId) {
   const { rows } = await pool.query(
     `SELECT a.id, a.assessment_date, a.assistive_device, a.risk_tier, a.clinician_notes,
+            a.assessment_protocol,
             a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
             a.pt_session_minutes, a.pt_time_saved_minutes,
             r.first_name, r.last_name, r.dob, r.sex, r.external_id,
@@ -4142,112 +10792,896 @@ async function fetchAssessmentForPtSummary(assessmentId) {
     return null;
   }
   const { rows: scoreRows } = await pool.query(
-    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem, score_notes
+    `SELECT tug_seconds, chair_stand_seconds, balance_side_by_side, balance_semi_tandem, balance_tandem,
+            protocol_data, score_notes
      FROM assessment_scores WHERE assessment_id = $1`,
     [assessmentId]
   );
   assessment.scores = scoreRows[0] || null;
+  assessment.protocol = getProtocolDefinition(assessment.assessment_protocol);
+  assessment.signature = await fetchAssessmentSignature(assessmentId);
   return assessment;
 }
 
-function generatePdf(filePath, assessment) {
-  const doc = new PDFDocument({ margin: 48 });
-  doc.pipe(fs.createWriteStream(filePath));
+// PDF copy per report language. Protocol labels already carry en/es; accepted narratives render as written.
+const reportStrings = {
+  en: {
+    language: "en",
+    title: "StrideSafe Assessment Report",
+    pt_summary_title: "StrideSafe TherapyFlow Summary",
+    header_text: "StrideSafe — a division of Techeze AI",
+    amended: "AMENDED",
+    supersedes: (reportId, reason) => `Supersedes report ${reportId}. Reason: ${reason}`,
+    resident: "Resident",
+    residentId: "Resident ID",
+    facility: "Facility",
+    dob: "DOB",
+    sex: "Sex",
+    assessmentDate: "Assessment Date",
+    assistiveDevice: "Assistive Device",
+    none: "None",
+    riskTier: "Risk Tier",
+    notSet: "Not set",
+    riskTiers: { low: "low", moderate: "moderate", high: "high" },
+    scores: "Scores",
+    noScores: "No scores recorded.",
+    protocol: "Protocol",
+    notes: "Notes",
+    clinicianNotes: "Clinician Notes",
+    narrative: "Clinical Narrative",
+    subjective: "Subjective",
+    objective: "Objective",
+    assessment: "Assessment",
+    plan: "Plan",
+    trendChart: "TUG Trend",
+    trendNotEnough: "Not enough scored assessments to chart a trend.",
+    trendCaption: (cutoff) => (cutoff
+      ? `Timed Up and Go in seconds; the dashed line marks the ${cutoff}s risk cutoff.`
+      : "Timed Up and Go in seconds."),
+    fallHistory: "Fall History (12 months)",
+    noFalls: "No falls recorded in the 12 months before this assessment.",
+    injury: "injury",
+    injurySeverities: { none: "none", minor: "minor", moderate: "moderate", severe: "severe" },
+    notRecorded: "not recorded",
+    emsCalled: "EMS called",
+    hospitalTransfer: "hospital transfer",
+    videoStills: "Video Stills",
+    videoStillsUnavailable: "Video stills unavailable for this report.",
+    addendum: "Addendum",
+    amendment: "Amendment",
+    originalReport: "Original report",
+    attestation: "Clinician Attestation",
+    unsignedDraft: "Unsigned draft. This report is not final until a clinician signs it.",
+    signedBy: "Electronically signed by",
+    signedAt: "Signed at",
+    amendmentHistory: "Amendment History",
+    version: "Version",
+    reportId: "Report ID",
+    generatedAt: "Generated at",
+    reason: "Reason",
+    historySignedBy: "Signed by",
+    notSigned: "not signed",
+    ptDocumentation: "PT Documentation",
+    cptCodes: "CPT Codes",
+    painScale: "Pain Scale",
+    sessionMinutes: "Session Minutes",
+    timeSaved: "Time Saved (min)",
+    goals: "Goals",
+    planOfCare: "Plan of Care",
+  },
+  es: {
+    language: "es",
+    title: "Reporte de evaluación StrideSafe",
+    pt_summary_title: "Resumen TherapyFlow StrideSafe",
+    header_text: "StrideSafe — una división de Techeze AI",
+    amended: "ENMENDADO",
+    supersedes: (reportId, reason) => `Reemplaza el reporte ${reportId}. Motivo: ${reason}`,
+    resident: "Residente",
+    residentId: "ID del residente",
+    facility: "Instalación",
+    dob: "Fecha de nacimiento",
+    sex: "Sexo",
+    assessmentDate: "Fecha de evaluación",
+    assistiveDevice: "Dispositivo de asistencia",
+    none: "Ninguno",
+    riskTier: "Nivel de riesgo",
+    notSet: "Sin definir",
+    riskTiers: { low: "bajo", moderate: "moderado", high: "alto" },
+    scores: "Puntajes",
+    noScores: "No hay puntajes registrados.",
+    protocol: "Protocolo",
+    notes: "Notas",
+    clinicianNotes: "Notas clínicas",
+    narrative: "Narrativa clínica",
+    subjective: "Subjetivo",
+    objective: "Objetivo",
+    assessment: "Evaluación",
+    plan: "Plan",
+    trendChart: "Tendencia TUG",
+    trendNotEnough: "No hay suficientes evaluaciones con puntaje para graficar una tendencia.",
+    trendCaption: (cutoff) => (cutoff
+      ? `Timed Up and Go en segundos; la línea punteada marca el límite de riesgo de ${cutoff} s.`
+      : "Timed Up and Go en segundos."),
+    fallHistory: "Historial de caídas (12 meses)",
+    noFalls: "No hay caídas registradas en los 12 meses previos a esta evaluación.",
+    injury: "lesión",
+    injurySeverities: { none: "ninguna", minor: "leve", moderate: "moderada", severe: "grave" },
+    notRecorded: "no registrada",
+    emsCalled: "se llamó a emergencias",
+    hospitalTransfer: "traslado al hospital",
+    videoStills: "Imágenes del video",
+    videoStillsUnavailable: "Imágenes del video no disponibles para este reporte.",
+    addendum: "Adenda",
+    amendment: "Enmienda",
+    originalReport: "Reporte original",
+    attestation: "Certificación del clínico",
+    unsignedDraft: "Borrador sin firmar. Este reporte no es final hasta que un clínico lo firme.",
+    signedBy: "Firmado electrónicamente por",
+    signedAt: "Firmado el",
+    amendmentHistory: "Historial de enmiendas",
+    version: "Versión",
+    reportId: "ID del reporte",
+    generatedAt: "Generado el",
+    reason: "Motivo",
+    historySignedBy: "Firmado por",
+    notSigned: "sin firmar",
+    ptDocumentation: "Documentación de PT",
+    cptCodes: "Códigos CPT",
+    painScale: "Escala de dolor",
+    sessionMinutes: "Minutos de sesión",
+    timeSaved: "Tiempo ahorrado (min)",
+    goals: "Objetivos",
+    planOfCare: "Plan de cuidado",
+  },
+};
+
+// Facility templates are written in one language; only text still at the built-in default is translated.
+const localizeTemplateText = (config, key, strings) => (
+  config[key] === defaultReportTemplateConfig[key] ? strings[key] : config[key]
+);
+
+const formatReportDate = (value) => {
+  if (!value) {
+    return "—";
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+};
+
+function writeScoresSection(doc, assessment, strings = reportStrings.en) {
+  if (!assessment.scores) {
+    doc.fontSize(12).text(strings.noScores);
+    return;
+  }
+  const { language } = strings;
+  const protocol = assessment.protocol || getProtocolDefinition(assessment.assessment_protocol);
+  const values = extractStoredScores(assessment.scores);
+  doc.fontSize(12).text(`${strings.protocol}: ${protocol.label[language]}`);
+  protocol.fields.forEach((field) => {
+    doc.text(`${field.label[language]}: ${formatScoreValue(field, values[field.key], language)}`);
+  });
+  const derived = extractDerivedScores(assessment.scores);
+  (protocol.derivedFields || []).forEach((field) => {
+    doc.text(`${field.label[language]}: ${formatScoreValue(field, derived[field.key], language)}`);
+  });
+  doc.text(`${strings.notes}: ${assessment.scores.score_notes || ""}`);
+}
+
+function writeSectionHeading(doc, config, text) {
+  doc.fontSize(14).fillColor(config.primary_color).text(text, { underline: true });
+  doc.fillColor("#1b1f1d");
+}
 
-  doc.fontSize(20).text("StrideSafe Assessment Report", { align: "left" });
+function writeReportHeader(doc, config, title, strings = reportStrings.en) {
+  const logoPath = config.logo_storage_key ? resolveStoragePath(config.logo_storage_key) : null;
+  if (logoPath && fs.existsSync(logoPath)) {
+    const top = doc.y;
+    try {
+      doc.image(logoPath, doc.page.margins.left, top, { fit: [160, 48] });
+      doc.x = doc.page.margins.left;
+      doc.y = top + 56;
+    } catch (error) {
+      console.error("Failed to render report logo", error.message);
+    }
+  }
+  doc.fontSize(20).fillColor(config.primary_color).text(title, { align: "left" });
+  const headerText = localizeTemplateText(config, "header_text", strings);
+  if (headerText) {
+    doc.fontSize(10).fillColor("#5f6c67").text(headerText, { align: "left" });
+  }
+  doc.moveDown(0.4);
+  doc.strokeColor("#d6e5e1").lineWidth(1).moveTo(48, doc.y).lineTo(548, doc.y).stroke();
   doc.moveDown();
-  doc.fontSize(12).text(`Resident: ${assessment.first_name || ""} ${assessment.last_name || ""}`);
-  doc.text(`DOB: ${assessment.dob || ""}`);
-  doc.text(`Sex: ${assessment.sex || ""}`);
-  doc.text(`Assessment Date: ${assessment.assessment_date}`);
-  doc.text(`Assistive Device: ${assessment.assistive_device || "None"}`);
-  doc.text(`Risk Tier: ${assessment.risk_tier || "Not set"}`);
+  doc.fillColor("#1b1f1d");
+}
+
+// Footers are stamped after layout so they land on every page, including the amendment history page.
+function writeReportFooters(doc, config) {
+  if (!config.footer_text) {
+    return;
+  }
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index += 1) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fillColor("#5f6c67").text(config.footer_text, 48, doc.page.height - 36, {
+      width: doc.page.width - 96,
+      align: "center",
+      lineBreak: false,
+    });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+function writeNarrativeSection(doc, narrative, config = defaultReportTemplateConfig, strings = reportStrings.en) {
+  writeSectionHeading(doc, config, strings.narrative);
+  [
+    [strings.subjective, narrative.subjective],
+    [strings.objective, narrative.objective],
+    [strings.assessment, narrative.assessment],
+    [strings.plan, narrative.plan],
+  ].forEach(([label, text]) => {
+    doc.fontSize(12).text(`${label}: `, { continued: true }).text(text);
+  });
   doc.moveDown();
+}
 
-  doc.fontSize(14).text("Scores", { underline: true });
-  if (assessment.scores) {
-    doc.fontSize(12).text(`TUG (sec): ${assessment.scores.tug_seconds ?? "-"}`);
-    doc.text(`Chair Stand (sec): ${assessment.scores.chair_stand_seconds ?? "-"}`);
-    doc.text(`Balance side-by-side: ${assessment.scores.balance_side_by_side ? "Pass" : "Fail"}`);
-    doc.text(`Balance semi-tandem: ${assessment.scores.balance_semi_tandem ? "Pass" : "Fail"}`);
-    doc.text(`Balance tandem: ${assessment.scores.balance_tandem ? "Pass" : "Fail"}`);
-    doc.text(`Notes: ${assessment.scores.score_notes || ""}`);
-  } else {
-    doc.fontSize(12).text("No scores recorded.");
+function writeTrendChartSection(doc, trend, config, strings) {
+  writeSectionHeading(doc, config, strings.trendChart);
+  const points = (trend || []).filter((point) => Number.isFinite(Number(point.tug_seconds)));
+  if (points.length < 2) {
+    doc.fontSize(12).text(strings.trendNotEnough);
+    doc.moveDown();
+    return;
+  }
+  const chartHeight = 120;
+  const chartWidth = 420;
+  const left = doc.page.margins.left + 32;
+  if (doc.y + chartHeight + 48 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const top = doc.y + 8;
+  const values = points.map((point) => Number(point.tug_seconds));
+  const cutoff = riskRulesConfigured ? riskCutoffs.tugSeconds : null;
+  const maxValue = Math.max(...values, cutoff || 0) * 1.15;
+  const yFor = (value) => top + chartHeight - (value / maxValue) * chartHeight;
+  const xFor = (index) => left + (index * chartWidth) / (points.length - 1);
+
+  doc.strokeColor("#8a9893").lineWidth(0.5)
+    .moveTo(left, top).lineTo(left, top + chartHeight).lineTo(left + chartWidth, top + chartHeight).stroke();
+  if (cutoff) {
+    doc.strokeColor("#b24a4a").dash(3, { space: 3 })
+      .moveTo(left, yFor(cutoff)).lineTo(left + chartWidth, yFor(cutoff)).stroke();
+    doc.undash();
+  }
+  doc.strokeColor(config.primary_color).lineWidth(1.5);
+  points.forEach((_point, index) => {
+    if (index === 0) {
+      doc.moveTo(xFor(index), yFor(values[index]));
+    } else {
+      doc.lineTo(xFor(index), yFor(values[index]));
+    }
+  });
+  doc.stroke();
+  doc.fillColor(config.primary_color);
+  points.forEach((_point, index) => {
+    doc.circle(xFor(index), yFor(values[index]), 2.5).fill();
+  });
+
+  doc.fontSize(7).fillColor("#5f6c67");
+  doc.text(`${Math.round(maxValue)}s`, doc.page.margins.left, top - 4, { width: 28, align: "right", lineBreak: false });
+  doc.text("0s", doc.page.margins.left, top + chartHeight - 4, { width: 28, align: "right", lineBreak: false });
+  points.forEach((point, index) => {
+    doc.text(formatReportDate(point.assessment_date), xFor(index) - 30, top + chartHeight + 4, { width: 60, align: "center", lineBreak: false });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = top + chartHeight + 20;
+  doc.fontSize(9).text(strings.trendCaption(cutoff));
+  doc.fillColor("#1b1f1d");
+  doc.moveDown();
+}
+
+function writeFallHistorySection(doc, fallHistory, config, strings) {
+  writeSectionHeading(doc, config, strings.fallHistory);
+  if (!fallHistory?.length) {
+    doc.fontSize(12).text(strings.noFalls);
+    doc.moveDown();
+    return;
+  }
+  doc.fontSize(12);
+  fallHistory.forEach((fall) => {
+    const severity = strings.injurySeverities[fall.injury_severity] || strings.notRecorded;
+    const details = [`${strings.injury}: ${severity}`];
+    if (fall.ems_called) {
+      details.push(strings.emsCalled);
+    }
+    if (fall.hospital_transfer) {
+      details.push(strings.hospitalTransfer);
+    }
+    doc.text(`${formatReportDate(new Date(fall.occurred_at))} — ${details.join("; ")}`);
+  });
+  doc.moveDown();
+}
+
+function writeVideoStillsSection(doc, stills, config, strings) {
+  writeSectionHeading(doc, config, strings.videoStills);
+  if (!stills?.length) {
+    doc.fontSize(12).text(strings.videoStillsUnavailable);
+    doc.moveDown();
+    return;
+  }
+  const stillWidth = 156;
+  const stillHeight = 117;
+  if (doc.y + stillHeight + 16 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const top = doc.y + 4;
+  stills.forEach((stillPath, index) => {
+    doc.image(stillPath, doc.page.margins.left + index * (stillWidth + 10), top, { fit: [stillWidth, stillHeight] });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = top + stillHeight + 8;
+  doc.moveDown();
+}
+
+// Grabs evenly spaced frames with ffmpeg; any failure just leaves the section with its fallback text.
+async function extractVideoStills(video, outputDir, count = 3) {
+  if (!video?.storage_key) {
+    return [];
+  }
+  const videoPath = resolveStoragePath(video.storage_key);
+  if (!fs.existsSync(videoPath)) {
+    return [];
+  }
+  const duration = Number(video.duration_seconds) || count + 1;
+  const stills = [];
+  try {
+    for (let index = 0; index < count; index += 1) {
+      const stillPath = path.join(outputDir, `still_${index}.jpg`);
+      const offset = ((duration * (index + 1)) / (count + 1)).toFixed(2);
+      await new Promise((resolve, reject) => {
+        execFile(
+          "ffmpeg",
+          ["-v", "error", "-ss", offset, "-i", videoPath, "-frames:v", "1", "-vf", "scale=320:-2", "-y", stillPath],
+          { timeout: 10000 },
+          (error) => (error ? reject(error) : resolve())
+        );
+      });
+      stills.push(stillPath);
+    }
+  } catch (error) {
+    console.error("Failed to extract video stills", error.message);
+    return [];
+  }
+  return stills;
+}
+
+const assessmentReportSectionWriters = {
+  resident: (doc, assessment, _config, strings) => {
+    doc.fontSize(12).text(`${strings.resident}: ${assessment.first_name || ""} ${assessment.last_name || ""}`);
+    doc.text(`${strings.dob}: ${assessment.dob ? formatReportDate(assessment.dob) : ""}`);
+    doc.text(`${strings.sex}: ${assessment.sex || ""}`);
+    doc.text(`${strings.assessmentDate}: ${formatReportDate(assessment.assessment_date)}`);
+    doc.text(`${strings.assistiveDevice}: ${assessment.assistive_device || strings.none}`);
+    doc.text(`${strings.riskTier}: ${strings.riskTiers[assessment.risk_tier] || strings.notSet}`);
+    doc.moveDown();
+  },
+  scores: (doc, assessment, config, strings) => {
+    writeSectionHeading(doc, config, strings.scores);
+    writeScoresSection(doc, assessment, strings);
+    doc.moveDown();
+  },
+  clinician_notes: (doc, assessment, config, strings) => {
+    writeSectionHeading(doc, config, strings.clinicianNotes);
+    doc.fontSize(12).text(assessment.clinician_notes || "");
+    doc.moveDown();
+  },
+  narrative: (doc, assessment, config, strings) => {
+    if (assessment.narrative) {
+      writeNarrativeSection(doc, assessment.narrative, config, strings);
+    }
+  },
+  trend_chart: (doc, assessment, config, strings) => writeTrendChartSection(doc, assessment.trend, config, strings),
+  fall_history: (doc, assessment, config, strings) => writeFallHistorySection(doc, assessment.fall_history, config, strings),
+  video_stills: (doc, assessment, config, strings) => writeVideoStillsSection(doc, assessment.video_stills, config, strings),
+};
+
+function writeSignatureSection(doc, signature, config = defaultReportTemplateConfig, strings = reportStrings.en) {
+  writeSectionHeading(doc, config, strings.attestation);
+  if (!signature) {
+    doc.fontSize(12).text(strings.unsignedDraft);
+    return;
+  }
+  doc.fontSize(12).text(signature.attestation_text);
+  doc.moveDown(0.5);
+  doc.text(`${strings.signedBy}: ${signature.signer_name}, ${signature.signer_credentials}`);
+  doc.text(`${strings.signedAt}: ${new Date(signature.signed_at).toISOString()}`);
+}
+
+function writeAmendmentHistoryPage(doc, lineage, strings = reportStrings.en) {
+  doc.addPage();
+  doc.fontSize(16).text(strings.amendmentHistory, { underline: true });
+  doc.moveDown();
+  lineage.forEach((entry, index) => {
+    const label = entry.amendment_type === "addendum"
+      ? strings.addendum
+      : entry.amendment_type === "amendment" ? strings.amendment : strings.originalReport;
+    doc.fontSize(12).text(`${strings.version} ${index + 1}: ${label}`);
+    doc.fontSize(10).text(`${strings.reportId}: ${entry.id}`);
+    doc.text(`${strings.generatedAt}: ${entry.generated_at ? new Date(entry.generated_at).toISOString() : "—"}`);
+    if (entry.amendment_reason) {
+      doc.text(`${strings.reason}: ${entry.amendment_reason}`);
+    }
+    if (entry.signed_at) {
+      doc.text(`${strings.historySignedBy}: ${entry.signer_name}, ${entry.signer_credentials} (${new Date(entry.signed_at).toISOString()})`);
+    } else {
+      doc.text(`${strings.historySignedBy}: ${strings.notSigned}`);
+    }
+    if (entry.pdf_sha256) {
+      doc.text(`PDF SHA-256: ${entry.pdf_sha256}`);
+    }
+    doc.moveDown();
+  });
+}
+
+// `target` is a file path or a writable stream; previews stream straight into the HTTP response.
+async function generatePdf(target, assessment, template = toReportTemplate(null), language = "en") {
+  const { config } = template;
+  const strings = reportStrings[language];
+  const stillsDir = config.sections.includes("video_stills") && assessment.video
+    ? fs.mkdtempSync(path.join(os.tmpdir(), "stridesafe-stills-"))
+    : null;
+  try {
+    assessment.video_stills = stillsDir ? await extractVideoStills(assessment.video, stillsDir) : [];
+    await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 48, bufferPages: true });
+      const stream = typeof target === "string" ? fs.createWriteStream(target) : target;
+      stream.on("finish", resolve);
+      stream.on("error", reject);
+      doc.pipe(stream);
+
+      const amendment = assessment.amendment || null;
+      writeReportHeader(doc, config, localizeTemplateText(config, "title", strings), strings);
+      if (amendment) {
+        doc.fontSize(14).fillColor("#b24a4a").text(strings.amended, { align: "left" });
+        doc.fontSize(10).text(strings.supersedes(amendment.supersedes_report_id, amendment.amendment_reason));
+        doc.fillColor("#1b1f1d");
+        doc.moveDown();
+      }
+
+      config.sections.forEach((section) => {
+        assessmentReportSectionWriters[section](doc, assessment, config, strings);
+      });
+
+      if (amendment?.addendum_text) {
+        writeSectionHeading(doc, config, strings.addendum);
+        doc.fontSize(12).text(amendment.addendum_text);
+        doc.moveDown();
+      }
+
+      writeSignatureSection(doc, assessment.signature, config, strings);
+
+      if (amendment && assessment.lineage?.length > 1) {
+        writeAmendmentHistoryPage(doc, assessment.lineage, strings);
+      }
+
+      writeReportFooters(doc, config);
+      doc.end();
+    });
+  } finally {
+    if (stillsDir) {
+      fs.rmSync(stillsDir, { recursive: true, force: true });
+    }
+  }
+}
+
+function generatePtSummaryPdf(target, assessment, template = toReportTemplate(null), language = "en") {
+  const { config } = template;
+  const strings = reportStrings[language];
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 48, bufferPages: true });
+    const stream = typeof target === "string" ? fs.createWriteStream(target) : target;
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.pipe(stream);
+
+    writeReportHeader(doc, config, localizeTemplateText(config, "pt_summary_title", strings), strings);
+
+    doc.fontSize(12).text(`${strings.facility}: ${assessment.facility_name || "—"}`);
+    doc.text(`${strings.resident}: ${assessment.first_name || ""} ${assessment.last_name || ""}`);
+    doc.text(`${strings.residentId}: ${assessment.external_id || "—"}`);
+    doc.text(`${strings.dob}: ${assessment.dob ? formatReportDate(assessment.dob) : ""}`);
+    doc.text(`${strings.sex}: ${assessment.sex || ""}`);
+    doc.text(`${strings.assessmentDate}: ${formatReportDate(assessment.assessment_date)}`);
+    doc.text(`${strings.assistiveDevice}: ${assessment.assistive_device || strings.none}`);
+    doc.text(`${strings.riskTier}: ${strings.riskTiers[assessment.risk_tier] || strings.notSet}`);
+    doc.moveDown();
+
+    writeSectionHeading(doc, config, strings.ptDocumentation);
+    doc.fontSize(12).text(`${strings.cptCodes}: ${assessment.pt_cpt_codes || "—"}`);
+    doc.text(`${strings.painScale}: ${assessment.pt_pain_score ?? "—"}`);
+    doc.text(`${strings.sessionMinutes}: ${assessment.pt_session_minutes ?? "—"}`);
+    doc.text(`${strings.timeSaved}: ${assessment.pt_time_saved_minutes ?? "—"}`);
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(`${strings.goals}:`);
+    doc.text(assessment.pt_goals || "—");
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(`${strings.planOfCare}:`);
+    doc.text(assessment.pt_plan_of_care || "—");
+    doc.moveDown();
+
+    assessmentReportSectionWriters.scores(doc, assessment, config, strings);
+    assessmentReportSectionWriters.clinician_notes(doc, assessment, config, strings);
+
+    writeSignatureSection(doc, assessment.signature, config, strings);
+
+    writeReportFooters(doc, config);
+    doc.end();
+  });
+}
+
+// Assistive devices are free text entered in English; unrecognized devices get a generic phrase
+// rather than leaking the English value into the Spanish handout.
+const spanishAssistiveDevices = {
+  walker: { noun: "andadera", possessive: "su", pronoun: "úsela" },
+  "front-wheeled walker": { noun: "andadera con ruedas", possessive: "su", pronoun: "úsela" },
+  "rolling walker": { noun: "andadera con ruedas", possessive: "su", pronoun: "úsela" },
+  rollator: { noun: "andadera con ruedas", possessive: "su", pronoun: "úsela" },
+  cane: { noun: "bastón", possessive: "su", pronoun: "úselo" },
+  "quad cane": { noun: "bastón de cuatro puntas", possessive: "su", pronoun: "úselo" },
+  crutches: { noun: "muletas", possessive: "sus", pronoun: "úselas" },
+  wheelchair: { noun: "silla de ruedas", possessive: "su", pronoun: "úsela" },
+};
+const spanishGenericAssistiveDevice = { noun: "dispositivo de apoyo", possessive: "su", pronoun: "úselo" };
+
+// Resident/family handout copy: plain language, no clinical notes or raw protocol tables.
+const handoutStrings = {
+  en: {
+    title: "Your Walking and Balance Check",
+    intro: (name, date) => `Hello ${name}. On ${date}, your care team checked how you walk, stand up and keep your balance. `
+      + "This sheet explains what we found and simple ways to stay safe.",
+    whatWeFound: "What we found",
+    tierMessages: {
+      low: "Your results show a lower chance of falling. Keep doing the activities that keep you strong and steady.",
+      moderate: "Your results show some chance of falling. A few small changes can help keep you safe.",
+      high: "Your results show a higher chance of falling. Your care team will work with you on a plan to lower it.",
+    },
+    yourResults: "Your results",
+    tug: (value) => `Standing up from a chair, walking a short distance, turning and sitting back down took ${value} seconds.`,
+    chairStand: (value) => `Standing up from a chair five times took ${value} seconds.`,
+    balance: (passed) => `You held ${passed} of 3 balance positions for 10 seconds.`,
+    gaitSpeed: (value) => `Your walking speed was ${value} meters per second. `
+      + `${instrumentBands.gaitSpeedMps} meters per second or faster is the usual goal.`,
+    tipsHeading: "Tips for staying safe",
+    tips: [
+      "Keep floors and walkways clear of clutter, cords and loose rugs.",
+      "Turn on a light before you get up at night, and use night lights in the bedroom, hallway and bathroom.",
+      "Wear shoes or slippers that fit well and have non-slip soles.",
+      "Stand up slowly and wait a moment before you start walking.",
+    ],
+    moderateTips: [
+      "Keep things you use often within easy reach so you do not have to climb or bend far.",
+      "Use grab bars in the shower and next to the toilet, and ask for help with bathing if you need it.",
+    ],
+    highTips: [
+      "Call for help before getting up if you feel dizzy, weak or unsteady.",
+      "Ask your care team about exercises for strength and balance.",
+    ],
+    deviceTip: (device) => `Keep your ${device} within reach and use it every time you walk.`,
+    questionsHeading: "Questions?",
+    questions: "Talk with your nurse, therapist or doctor. Tell your care team right away if you fall, even if you are not hurt.",
+  },
+  es: {
+    title: "Su evaluación de marcha y equilibrio",
+    intro: (name, date) => `Hola, ${name}. El ${date}, su equipo de cuidado revisó cómo camina, se levanta y mantiene el equilibrio. `
+      + "Esta hoja explica lo que encontramos y formas sencillas de mantenerse seguro.",
+    whatWeFound: "Lo que encontramos",
+    tierMessages: {
+      low: "Sus resultados muestran una menor probabilidad de caerse. Siga con las actividades que lo mantienen fuerte y estable.",
+      moderate: "Sus resultados muestran cierta probabilidad de caerse. Algunos cambios pequeños pueden ayudarle a mantenerse seguro.",
+      high: "Sus resultados muestran una mayor probabilidad de caerse. Su equipo de cuidado trabajará con usted en un plan para reducirla.",
+    },
+    yourResults: "Sus resultados",
+    tug: (value) => `Levantarse de una silla, caminar una distancia corta, dar la vuelta y volver a sentarse le tomó ${value} segundos.`,
+    chairStand: (value) => `Levantarse de una silla cinco veces le tomó ${value} segundos.`,
+    balance: (passed) => `Mantuvo ${passed} de 3 posiciones de equilibrio durante 10 segundos.`,
+    gaitSpeed: (value) => `Su velocidad al caminar fue de ${value} metros por segundo. `
+      + `La meta habitual es ${instrumentBands.gaitSpeedMps} metros por segundo o más.`,
+    tipsHeading: "Consejos para mantenerse seguro",
+    tips: [
+      "Mantenga los pisos y pasillos libres de objetos, cables y tapetes sueltos.",
+      "Encienda una luz antes de levantarse de noche y use luces nocturnas en la recámara, el pasillo y el baño.",
+      "Use zapatos o pantuflas que le queden bien y tengan suela antideslizante.",
+      "Levántese despacio y espere un momento antes de empezar a caminar.",
+    ],
+    moderateTips: [
+      "Tenga a la mano las cosas que usa seguido para no tener que subirse o agacharse mucho.",
+      "Use barras de apoyo en la regadera y junto al inodoro, y pida ayuda para bañarse si la necesita.",
+    ],
+    highTips: [
+      "Pida ayuda antes de levantarse si se siente mareado, débil o inestable.",
+      "Pregunte a su equipo de cuidado sobre ejercicios de fuerza y equilibrio.",
+    ],
+    deviceTip: (device) => {
+      const key = String(device).trim().toLowerCase();
+      const { noun, possessive, pronoun } = Object.hasOwn(spanishAssistiveDevices, key)
+        ? spanishAssistiveDevices[key]
+        : spanishGenericAssistiveDevice;
+      return `Tenga ${possessive} ${noun} a la mano y ${pronoun} cada vez que camine.`;
+    },
+    questionsHeading: "¿Preguntas?",
+    questions: "Hable con su enfermera, terapeuta o médico. Avise a su equipo de cuidado de inmediato si se cae, aunque no se haya lastimado.",
+  },
+};
+
+function buildHandoutResultLines(assessment, language) {
+  const strings = handoutStrings[language];
+  if (!assessment.scores) {
+    return [];
+  }
+  const protocol = assessment.protocol || getProtocolDefinition(assessment.assessment_protocol);
+  const values = extractStoredScores(assessment.scores);
+  const derived = extractDerivedScores(assessment.scores);
+  const lines = [];
+  if (Number.isFinite(Number(values.tug_seconds)) && values.tug_seconds !== null) {
+    lines.push(strings.tug(values.tug_seconds));
+  }
+  if (Number.isFinite(Number(values.chair_stand_seconds)) && values.chair_stand_seconds !== null) {
+    lines.push(strings.chairStand(values.chair_stand_seconds));
+  }
+  const balancePassed = countBalanceStagesPassed(values);
+  if (balancePassed !== null) {
+    lines.push(strings.balance(balancePassed));
+  }
+  if (derived.gait_speed_mps !== null && derived.gait_speed_mps !== undefined) {
+    lines.push(strings.gaitSpeed(derived.gait_speed_mps));
+  }
+  // Other protocols fall back to their own interpretation bands, which are already bilingual.
+  if (!lines.length) {
+    (protocol.derivedFields || []).forEach((field) => {
+      if (field.options && derived[field.key]) {
+        lines.push(`${field.label[language]}: ${formatScoreValue(field, derived[field.key], language)}`);
+      }
+    });
+  }
+  return lines;
+}
+
+function generateHandoutPdf(target, assessment, template = toReportTemplate(null), language = "en") {
+  const { config } = template;
+  const strings = handoutStrings[language];
+  const tier = assessment.risk_tier;
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 48, bufferPages: true });
+    const stream = typeof target === "string" ? fs.createWriteStream(target) : target;
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.pipe(stream);
+
+    writeReportHeader(doc, config, strings.title, reportStrings[language]);
+
+    const name = assessment.first_name || reportStrings[language].resident;
+    doc.fontSize(13).text(strings.intro(name, formatReportDate(assessment.assessment_date)), { lineGap: 2 });
+    doc.moveDown();
+
+    if (strings.tierMessages[tier]) {
+      writeSectionHeading(doc, config, strings.whatWeFound);
+      doc.fontSize(13).text(strings.tierMessages[tier], { lineGap: 2 });
+      doc.moveDown();
+    }
+
+    const results = buildHandoutResultLines(assessment, language);
+    if (results.length) {
+      writeSectionHeading(doc, config, strings.yourResults);
+      doc.fontSize(12);
+      results.forEach((line) => doc.text(`•  ${line}`, { lineGap: 2 }));
+      doc.moveDown();
+    }
+
+    const tips = [
+      ...(assessment.assistive_device ? [strings.deviceTip(assessment.assistive_device)] : []),
+      ...strings.tips,
+      ...(tier === "moderate" || tier === "high" ? strings.moderateTips : []),
+      ...(tier === "high" ? strings.highTips : []),
+    ];
+    writeSectionHeading(doc, config, strings.tipsHeading);
+    doc.fontSize(12);
+    tips.forEach((tip) => doc.text(`•  ${tip}`, { lineGap: 2 }));
+    doc.moveDown();
+
+    writeSectionHeading(doc, config, strings.questionsHeading);
+    doc.fontSize(12).text(strings.questions, { lineGap: 2 });
+
+    writeReportFooters(doc, config);
+    doc.end();
+  });
+}
+
+async function fetchFallEventForReport(fallEventId) {
+  const { rows } = await pool.query(
+    `SELECT fe.id, fe.facility_id, fe.resident_id, fe.occurred_at, fe.building, fe.floor, fe.unit, fe.room,
+            fe.witness, fe.head_strike, fe.injury_severity, fe.ems_called, fe.hospital_transfer, fe.assistive_device,
+            fe.contributing_factors, fe.notes, fe.created_at,
+            f.name AS facility_name, f.fall_checklist, f.fall_check_schemas,
+            r.first_name, r.last_name, r.dob, r.sex, r.external_id,
+            u.full_name AS reported_by_name
+     FROM fall_events fe
+     JOIN facilities f ON f.id = fe.facility_id
+     JOIN residents r ON r.id = fe.resident_id
+     LEFT JOIN users u ON u.id = fe.created_by
+     WHERE fe.id = $1`,
+    [fallEventId]
+  );
+  const incident = rows[0];
+  if (!incident) {
+    return null;
   }
+  const { rows: checkRows } = await pool.query(
+    `SELECT pfc.check_type, pfc.status, pfc.completed_at, pfc.notes, pfc.data, u.full_name AS completed_by_name
+     FROM post_fall_checks pfc
+     LEFT JOIN users u ON u.id = pfc.completed_by
+     WHERE pfc.fall_event_id = $1
+     ORDER BY pfc.created_at ASC`,
+    [fallEventId]
+  );
+  incident.checks = checkRows;
+  const { rows: neuroRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'completed')::int AS completed,
+            COUNT(*) FILTER (WHERE status = 'completed' AND missed_at IS NOT NULL)::int AS completed_late,
+            COUNT(*) FILTER (WHERE status = 'missed')::int AS missed,
+            COUNT(*) FILTER (WHERE status = 'pending')::int AS pending
+     FROM fall_neuro_checks
+     WHERE fall_event_id = $1`,
+    [fallEventId]
+  );
+  incident.neuro_checks = neuroRows[0];
+  const { rows: screenRows } = await pool.query(
+    `SELECT id
+     FROM assessments
+     WHERE resident_id = $1 AND status = 'completed' AND assessment_date <= $2::date
+     ORDER BY assessment_date DESC, created_at DESC
+     LIMIT 1`,
+    [incident.resident_id, incident.occurred_at]
+  );
+  incident.risk_screen = screenRows[0] ? await fetchAssessmentForReport(screenRows[0].id) : null;
+  return incident;
+}
 
-  doc.moveDown();
-  doc.fontSize(14).text("Clinician Notes", { underline: true });
-  doc.fontSize(12).text(assessment.clinician_notes || "");
+// The facility checklist comes first in its configured order; checks recorded under an item that has
+// since been removed from the checklist are still listed so the record stays complete.
+const buildIncidentChecklistRows = (incident) => {
+  const checksByType = new Map(incident.checks.map((check) => [check.check_type, check]));
+  const items = Array.isArray(incident.fall_checklist) ? incident.fall_checklist : [];
+  const extraTypes = incident.checks
+    .map((check) => check.check_type)
+    .filter((checkType) => !items.includes(checkType));
+  return [...items, ...extraTypes].map((item) => ({ item, check: checksByType.get(item) || null }));
+};
 
-  doc.end();
-}
+// Labels come from the current facility schema; readings for fields since removed keep their key.
+const formatIncidentCheckData = (incident, item, data) => {
+  const fields = incident.fall_check_schemas?.[item]?.fields || [];
+  return Object.entries(data || {}).map(([key, value]) => {
+    const field = fields.find((entry) => entry.key === key);
+    const label = field?.label || key;
+    if (typeof value === "boolean") {
+      return `${label}: ${value ? "Yes" : "No"}`;
+    }
+    const text = field?.type === "choice" ? String(value).replace(/_/g, " ") : String(value);
+    return `${label}: ${text}${field?.unit ? ` ${field.unit}` : ""}`;
+  });
+};
 
-function generatePtSummaryPdf(filePath, assessment) {
+function generateFallIncidentPdf(target, incident, template = toReportTemplate(null)) {
+  const { config } = template;
+  const strings = reportStrings.en;
   return new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ margin: 48 });
-    const stream = fs.createWriteStream(filePath);
+    const doc = new PDFDocument({ margin: 48, bufferPages: true });
+    const stream = typeof target === "string" ? fs.createWriteStream(target) : target;
     stream.on("finish", resolve);
     stream.on("error", reject);
     doc.pipe(stream);
 
-    doc.fontSize(20).fillColor("#0b4a3b").text("StrideSafe TherapyFlow Summary", { align: "left" });
-    doc.fontSize(10).fillColor("#5f6c67").text("StrideSafe — a division of Techeze AI", { align: "left" });
-    doc.moveDown(0.4);
-    doc.strokeColor("#d6e5e1").lineWidth(1).moveTo(48, doc.y).lineTo(548, doc.y).stroke();
-    doc.moveDown();
-    doc.fillColor("#1b1f1d");
-
-    doc.fontSize(12).text(`Facility: ${assessment.facility_name || "—"}`);
-    doc.text(`Resident: ${assessment.first_name || ""} ${assessment.last_name || ""}`);
-    doc.text(`Resident ID: ${assessment.external_id || "—"}`);
-    doc.text(`DOB: ${assessment.dob || ""}`);
-    doc.text(`Sex: ${assessment.sex || ""}`);
-    doc.text(`Assessment Date: ${assessment.assessment_date || "—"}`);
-    doc.text(`Assistive Device: ${assessment.assistive_device || "None"}`);
-    doc.text(`Risk Tier: ${assessment.risk_tier || "Not set"}`);
+    writeReportHeader(doc, config, "Post-Fall Incident Report", strings);
+
+    writeSectionHeading(doc, config, strings.resident);
+    doc.fontSize(12).text(`${strings.facility}: ${incident.facility_name || "—"}`);
+    doc.text(`${strings.resident}: ${incident.first_name || ""} ${incident.last_name || ""}`);
+    doc.text(`${strings.residentId}: ${incident.external_id || "—"}`);
+    doc.text(`${strings.dob}: ${incident.dob ? formatReportDate(incident.dob) : "—"}`);
+    doc.text(`${strings.sex}: ${incident.sex || "—"}`);
     doc.moveDown();
 
-    doc.fontSize(14).text("PT Documentation", { underline: true });
-    doc.fontSize(12).text(`CPT Codes: ${assessment.pt_cpt_codes || "—"}`);
-    doc.text(`Pain Scale: ${assessment.pt_pain_score ?? "—"}`);
-    doc.text(`Session Minutes: ${assessment.pt_session_minutes ?? "—"}`);
-    doc.text(`Time Saved (min): ${assessment.pt_time_saved_minutes ?? "—"}`);
-    doc.moveDown(0.5);
-    doc.fontSize(12).text("Goals:");
-    doc.text(assessment.pt_goals || "—");
-    doc.moveDown(0.5);
-    doc.fontSize(12).text("Plan of Care:");
-    doc.text(assessment.pt_plan_of_care || "—");
+    writeSectionHeading(doc, config, "Incident");
+    doc.fontSize(12).text(`Occurred at: ${new Date(incident.occurred_at).toISOString()}`);
+    doc.text(`Location: ${buildUnitLabel(incident) || "—"}`);
+    doc.text(`Witness: ${incident.witness || "Unwitnessed"}`);
+    doc.text(`Head strike: ${incident.head_strike ? "Yes" : "No"}`);
+    doc.text(`Injury severity: ${strings.injurySeverities[incident.injury_severity] || strings.notRecorded}`);
+    doc.text(`EMS called: ${incident.ems_called ? "Yes" : "No"}`);
+    doc.text(`Hospital transfer: ${incident.hospital_transfer ? "Yes" : "No"}`);
+    doc.text(`${strings.assistiveDevice}: ${incident.assistive_device || strings.none}`);
+    doc.text(`Reported by: ${incident.reported_by_name || "—"} (${new Date(incident.created_at).toISOString()})`);
     doc.moveDown();
 
-    doc.fontSize(14).text("Scores", { underline: true });
-    if (assessment.scores) {
-      doc.fontSize(12).text(`TUG (sec): ${assessment.scores.tug_seconds ?? "-"}`);
-      doc.text(`Chair Stand (sec): ${assessment.scores.chair_stand_seconds ?? "-"}`);
-      doc.text(`Balance side-by-side: ${assessment.scores.balance_side_by_side ? "Pass" : "Fail"}`);
-      doc.text(`Balance semi-tandem: ${assessment.scores.balance_semi_tandem ? "Pass" : "Fail"}`);
-      doc.text(`Balance tandem: ${assessment.scores.balance_tandem ? "Pass" : "Fail"}`);
-      doc.text(`Notes: ${assessment.scores.score_notes || ""}`);
+    writeSectionHeading(doc, config, "Contributing Factors");
+    const factors = Array.isArray(incident.contributing_factors) ? incident.contributing_factors : [];
+    doc.fontSize(12);
+    if (factors.length) {
+      factors.forEach((factor) => doc.text(`•  ${factor}`));
     } else {
-      doc.fontSize(12).text("No scores recorded.");
+      doc.text("None recorded.");
+    }
+    if (incident.notes) {
+      doc.moveDown(0.5);
+      doc.text(`${strings.notes}: ${incident.notes}`);
     }
+    doc.moveDown();
 
+    writeSectionHeading(doc, config, "Post-Fall Checklist");
+    const checklistRows = buildIncidentChecklistRows(incident);
+    doc.fontSize(12);
+    if (!checklistRows.length) {
+      doc.text("No checklist configured for this facility.");
+    }
+    checklistRows.forEach(({ item, check }) => {
+      if (check?.status === "completed") {
+        const completedAt = check.completed_at ? new Date(check.completed_at).toISOString() : "—";
+        doc.text(`[x] ${item} — completed by ${check.completed_by_name || "unknown user"} at ${completedAt}`);
+      } else {
+        doc.text(`[ ] ${item} — pending`);
+      }
+      const readings = formatIncidentCheckData(incident, item, check?.data);
+      if (readings.length) {
+        doc.fontSize(10).text(readings.join("; "), { indent: 24 });
+      }
+      if (check?.notes) {
+        doc.fontSize(10).text(`${strings.notes}: ${check.notes}`, { indent: 24 });
+      }
+      doc.fontSize(12);
+    });
     doc.moveDown();
-    doc.fontSize(14).text("Clinician Notes", { underline: true });
-    doc.fontSize(12).text(assessment.clinician_notes || "");
 
+    const neuro = incident.neuro_checks;
+    if (neuro?.total) {
+      writeSectionHeading(doc, config, "Neuro Checks");
+      doc.fontSize(12).text(`Scheduled: ${neuro.total}`);
+      doc.text(`Completed: ${neuro.completed}${neuro.completed_late ? ` (${neuro.completed_late} late)` : ""}`);
+      doc.text(`Missed: ${neuro.missed}`);
+      doc.text(`Pending: ${neuro.pending}`);
+      doc.moveDown();
+    }
+
+    writeSectionHeading(doc, config, "Most Recent Risk Screen");
+    const screen = incident.risk_screen;
+    if (!screen) {
+      doc.fontSize(12).text("No risk screen on file on or before the date of this fall.");
+    } else {
+      doc.fontSize(12).text(`${strings.assessmentDate}: ${formatReportDate(screen.assessment_date)}`);
+      doc.text(`${strings.riskTier}: ${strings.riskTiers[screen.risk_tier] || strings.notSet}`);
+      doc.text(`${strings.assistiveDevice}: ${screen.assistive_device || strings.none}`);
+      doc.moveDown(0.5);
+      writeScoresSection(doc, screen, strings);
+    }
+
+    writeReportFooters(doc, config);
     doc.end();
   });
 }
 
 app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const requestedLanguage = parseOptionalEnum(req.body?.language, allowedReportLanguages);
+  if (requestedLanguage.error) {
+    return res.status(400).json({ message: "Invalid language" });
+  }
   const { rows: assessmentRows } = await pool.query(
-    `SELECT a.id, r.facility_id, COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
+    `SELECT a.id, a.locked_at, r.facility_id, COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
             f.role_policy, f.qa_checklist,
             COUNT(v.id)::int AS video_count,
             s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data,
             q.checks AS qa_checks, q.escalated AS qa_escalated
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
@@ -4256,9 +11690,9 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
      LEFT JOIN assessment_scores s ON s.assessment_id = a.id
      LEFT JOIN assessment_qa q ON q.assessment_id = a.id
      WHERE a.id = $1
-     GROUP BY a.id, r.facility_id, COALESCE(a.assessment_protocol, f.assessment_protocol), f.role_policy, f.qa_checklist,
+     GROUP BY a.id, a.locked_at, r.facility_id, COALESCE(a.assessment_protocol, f.assessment_protocol), f.role_policy, f.qa_checklist,
               s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
-              q.checks, q.escalated`,
+              s.protocol_data, q.checks, q.escalated`,
     [id]
   );
   const assessmentRow = assessmentRows[0];
@@ -4271,11 +11705,14 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
   if (!isRolePolicyAllowed(assessmentRow.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
-  if (!assessmentRow.video_count) {
-    return res.status(400).json({ message: "Video is required to generate report" });
+  if (assessmentRow.locked_at) {
+    return res.status(409).json({ message: "Assessment is signed and locked" });
   }
   const storedScores = extractStoredScores(assessmentRow);
-  const protocol = assessmentRow.assessment_protocol || "tug_chair_balance";
+  const protocol = assessmentRow.assessment_protocol || defaultAssessmentProtocol;
+  if (!assessmentRow.video_count && !isQuestionnaireProtocol(getProtocolDefinition(protocol))) {
+    return res.status(400).json({ message: "Video is required to generate report" });
+  }
   if (!canApplyModelScores(protocol, storedScores)) {
     return res.status(400).json({ message: "Scores are required to generate report" });
   }
@@ -4284,7 +11721,7 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
   }
 
   const { rows: existingRows } = await pool.query(
-    `SELECT id, finalized
+    `SELECT id, finalized, supersedes_report_id, amendment_type, amendment_reason, addendum_text, language
      FROM reports
      WHERE assessment_id = $1 AND report_type = 'assessment'
      ORDER BY created_at DESC
@@ -4292,20 +11729,33 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
     [id]
   );
   const existingReport = existingRows[0];
-  if (existingReport?.finalized && req.user.role !== "admin") {
-    return res.status(403).json({ message: "Report is finalized" });
+  if (existingReport?.finalized) {
+    return res.status(409).json({ message: "Report is finalized; create an amendment or addendum instead" });
   }
 
-  const assessment = await fetchAssessmentForReport(id);
+  const template = await fetchActiveReportTemplate(assessmentRow.facility_id);
+  const assessment = await fetchAssessmentForReport(id, template);
   if (!assessment) {
     return res.status(404).json({ message: "Assessment not found" });
   }
+  // Regenerating an open amendment draft keeps it linked to the report it supersedes.
+  const amendment = existingReport?.supersedes_report_id ? existingReport : null;
+  if (amendment) {
+    assessment.amendment = amendment;
+    assessment.lineage = [
+      ...(await fetchReportLineage(amendment.supersedes_report_id)),
+      { ...amendment, generated_at: new Date() },
+    ];
+  }
+
+  // Without an explicit language, regenerating keeps the language of the current draft.
+  const language = requestedLanguage.value || existingReport?.language || "en";
 
   const reportId = crypto.randomUUID();
   const reportDir = ensureReportDir();
   const relativeKey = `reports/${reportId}.pdf`;
   const filePath = path.resolve(reportDir, `${reportId}.pdf`);
-  generatePdf(filePath, assessment);
+  await generatePdf(filePath, assessment, template, language);
 
   const { rows } = await pool.query(
     `INSERT INTO reports (
@@ -4317,14 +11767,46 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
        generated_at,
        generated_by,
        finalized,
-       report_type
+       report_type,
+       supersedes_report_id,
+       amendment_type,
+       amendment_reason,
+       addendum_text,
+       report_template_id,
+       report_template_version,
+       language
      )
-     VALUES ($1, $2, $3, $4, $5, now(), $6, $7, $8)
+     VALUES ($1, $2, $3, $4, $5, now(), $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
      RETURNING id, assessment_id, pdf_storage_key, created_by, created_at,
-               template_version, generated_at, generated_by, finalized, report_type`,
-    [reportId, id, relativeKey, req.user.id, reportTemplateVersion, req.user.id, true, "assessment"]
+               template_version, generated_at, generated_by, finalized, report_type,
+               supersedes_report_id, amendment_type, amendment_reason,
+               report_template_id, report_template_version, language`,
+    [
+      reportId,
+      id,
+      relativeKey,
+      req.user.id,
+      reportTemplateVersion,
+      req.user.id,
+      false,
+      "assessment",
+      amendment?.supersedes_report_id || null,
+      amendment?.amendment_type || null,
+      amendment?.amendment_reason || null,
+      amendment?.addendum_text || null,
+      template.id,
+      template.version,
+      language,
+    ]
   );
   await audit(req.user.id, "report.created", "report", reportId, null);
+  await emitAutomationEvent({
+    trigger: "report.generated",
+    facilityId: assessmentRow.facility_id,
+    entityType: "report",
+    entityId: reportId,
+    source: { entityType: "assessment", entityId: id, fields: { report_type: "assessment" } },
+  });
   try {
     const { rows: notifyRows } = await pool.query(
       `SELECT a.created_by, r.id AS resident_id, r.first_name, r.last_name, r.facility_id
@@ -4375,10 +11857,16 @@ app.post("/assessments/:id/reports", authMiddleware, asyncHandler(async (req, re
 
 app.get("/assessments/:id/pt-summary", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const requestedLanguage = parseOptionalEnum(req.query.language, allowedReportLanguages);
+  if (requestedLanguage.error) {
+    return res.status(400).json({ message: "Invalid language" });
+  }
+  const language = requestedLanguage.value || "en";
   const { rows: assessmentRows } = await pool.query(
     `SELECT a.id, r.facility_id, f.role_policy, f.qa_checklist,
             COUNT(v.id)::int AS video_count,
             s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data,
             q.checks AS qa_checks, q.escalated AS qa_escalated,
             a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
             COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol
@@ -4391,7 +11879,7 @@ app.get("/assessments/:id/pt-summary", authMiddleware, asyncHandler(async (req,
      WHERE a.id = $1
      GROUP BY a.id, r.facility_id, f.role_policy, f.qa_checklist,
               s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side,
-              s.balance_semi_tandem, s.balance_tandem,
+              s.balance_semi_tandem, s.balance_tandem, s.protocol_data,
               q.checks, q.escalated,
               a.pt_cpt_codes, a.pt_goals, a.pt_plan_of_care, a.pt_pain_score,
               COALESCE(a.assessment_protocol, f.assessment_protocol)`,
@@ -4407,11 +11895,11 @@ app.get("/assessments/:id/pt-summary", authMiddleware, asyncHandler(async (req,
   if (!isRolePolicyAllowed(assessmentRow.role_policy, req.user.role)) {
     return res.status(403).json({ message: "Admin role required for this facility" });
   }
-  if (!assessmentRow.video_count) {
+  const storedScores = extractStoredScores(assessmentRow);
+  const protocol = assessmentRow.assessment_protocol || defaultAssessmentProtocol;
+  if (!assessmentRow.video_count && !isQuestionnaireProtocol(getProtocolDefinition(protocol))) {
     return res.status(400).json({ message: "Video is required to export PT summary" });
   }
-  const storedScores = extractStoredScores(assessmentRow);
-  const protocol = assessmentRow.assessment_protocol || "tug_chair_balance";
   if (!canApplyModelScores(protocol, storedScores)) {
     return res.status(400).json({ message: "Scores are required to export PT summary" });
   }
@@ -4429,11 +11917,12 @@ app.get("/assessments/:id/pt-summary", authMiddleware, asyncHandler(async (req,
   if (!assessment) {
     return res.status(404).json({ message: "Assessment not found" });
   }
+  const template = await fetchActiveReportTemplate(assessmentRow.facility_id);
   const reportId = crypto.randomUUID();
   const reportDir = ensureReportDir();
   const relativeKey = `reports/${reportId}.pdf`;
   const filePath = path.resolve(reportDir, `${reportId}.pdf`);
-  await generatePtSummaryPdf(filePath, assessment);
+  await generatePtSummaryPdf(filePath, assessment, template, language);
 
   const { rows } = await pool.query(
     `INSERT INTO reports (
@@ -4445,25 +11934,101 @@ app.get("/assessments/:id/pt-summary", authMiddleware, asyncHandler(async (req,
        generated_at,
        generated_by,
        finalized,
-       report_type
+       report_type,
+       report_template_id,
+       report_template_version,
+       language
      )
-     VALUES ($1, $2, $3, $4, $5, now(), $6, $7, $8)
+     VALUES ($1, $2, $3, $4, $5, now(), $6, $7, $8, $9, $10, $11)
      RETURNING id`,
-    [reportId, id, relativeKey, req.user.id, "pt_v1", req.user.id, true, "pt_summary"]
+    [reportId, id, relativeKey, req.user.id, "pt_v1", req.user.id, true, "pt_summary", template.id, template.version, language]
   );
 
   await audit(req.user.id, "pt_summary.downloaded", "report", rows[0]?.id || reportId, null);
-  res.setHeader("Content-Disposition", `attachment; filename=pt_summary_${id}.pdf`);
+  res.setHeader("Content-Disposition", `attachment; filename=pt_summary_${id}${language === "en" ? "" : `_${language}`}.pdf`);
   res.type("application/pdf").sendFile(filePath);
 }));
 
+// Handouts are plain-language copies for residents and families. They are not part of the signed
+// record, so they can be generated in each language at any time, including after signing.
+app.post("/assessments/:id/handouts", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const requestedLanguage = parseOptionalEnum(req.body?.language, allowedReportLanguages);
+  if (requestedLanguage.error) {
+    return res.status(400).json({ message: "Invalid language" });
+  }
+  const language = requestedLanguage.value || "en";
+  const { rows: assessmentRows } = await pool.query(
+    `SELECT a.id, a.risk_tier, r.facility_id, f.role_policy,
+            COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
+            s.tug_seconds, s.chair_stand_seconds, s.balance_side_by_side, s.balance_semi_tandem, s.balance_tandem,
+            s.protocol_data
+     FROM assessments a
+     JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
+     LEFT JOIN assessment_scores s ON s.assessment_id = a.id
+     WHERE a.id = $1`,
+    [id]
+  );
+  const assessmentRow = assessmentRows[0];
+  if (!assessmentRow) {
+    return res.status(404).json({ message: "Assessment not found" });
+  }
+  if (assessmentRow.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(assessmentRow.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (!canApplyModelScores(assessmentRow.assessment_protocol, extractStoredScores(assessmentRow))) {
+    return res.status(400).json({ message: "Scores are required to generate a handout" });
+  }
+  if (!assessmentRow.risk_tier) {
+    return res.status(400).json({ message: "Risk tier is required to generate a handout" });
+  }
+
+  const template = await fetchActiveReportTemplate(assessmentRow.facility_id);
+  const assessment = await fetchAssessmentForReport(id);
+  const reportId = crypto.randomUUID();
+  const reportDir = ensureReportDir();
+  const relativeKey = `reports/${reportId}.pdf`;
+  const filePath = path.resolve(reportDir, `${reportId}.pdf`);
+  await generateHandoutPdf(filePath, assessment, template, language);
+
+  const { rows } = await pool.query(
+    `INSERT INTO reports (
+       id,
+       assessment_id,
+       pdf_storage_key,
+       created_by,
+       template_version,
+       generated_at,
+       generated_by,
+       finalized,
+       report_type,
+       report_template_id,
+       report_template_version,
+       language
+     )
+     VALUES ($1, $2, $3, $4, $5, now(), $6, true, 'handout', $7, $8, $9)
+     RETURNING id, assessment_id, pdf_storage_key, created_by, created_at,
+               template_version, generated_at, generated_by, finalized, report_type,
+               report_template_id, report_template_version, language`,
+    [reportId, id, relativeKey, req.user.id, "handout_v1", req.user.id, template.id, template.version, language]
+  );
+  await audit(req.user.id, "handout.created", "report", reportId, { language });
+  res.status(201).json(rows[0]);
+}));
+
 app.get("/reports/:id/download", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rows } = await pool.query(
-    `SELECT r.id, r.pdf_storage_key, a.resident_id, res.facility_id
+    `SELECT r.id, r.pdf_storage_key, COALESCE(a.resident_id, fe.resident_id) AS resident_id,
+            COALESCE(res.facility_id, fe.facility_id) AS facility_id
      FROM reports r
-     JOIN assessments a ON a.id = r.assessment_id
-     JOIN residents res ON res.id = a.resident_id
+     LEFT JOIN assessments a ON a.id = r.assessment_id
+     LEFT JOIN residents res ON res.id = a.resident_id
+     LEFT JOIN fall_events fe ON fe.id = r.fall_event_id
      WHERE r.id = $1`,
     [id]
   );
@@ -4481,6 +12046,262 @@ app.get("/reports/:id/download", authMiddleware, asyncHandler(async (req, res) =
   res.type("application/pdf").sendFile(filePath);
 }));
 
+// Signing re-renders the PDF with the signature block, stores its SHA-256, finalizes the report,
+// and locks the assessment and its scores against further edits.
+app.post("/reports/:id/sign", signRateLimiter, authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  const signerName = normalizeString(body.signer_name);
+  const signerCredentials = normalizeString(body.signer_credentials);
+  if (!body.password) {
+    return res.status(400).json({ message: "password is required" });
+  }
+  if (!signerName) {
+    return res.status(400).json({ message: "signer_name is required" });
+  }
+  if (!signerCredentials) {
+    return res.status(400).json({ message: "signer_credentials is required" });
+  }
+  if (body.attest !== true) {
+    return res.status(400).json({ message: "Attestation is required to sign" });
+  }
+
+  const { rows: reportRows } = await pool.query(
+    `SELECT rp.id, rp.assessment_id, rp.pdf_storage_key, rp.report_type,
+            rp.supersedes_report_id, rp.amendment_type, rp.amendment_reason, rp.addendum_text,
+            rp.report_template_id, rp.language,
+            res.facility_id, f.role_policy,
+            (SELECT id FROM reports
+             WHERE assessment_id = rp.assessment_id AND report_type = 'assessment'
+             ORDER BY created_at DESC
+             LIMIT 1) AS latest_report_id
+     FROM reports rp
+     JOIN assessments a ON a.id = rp.assessment_id
+     JOIN residents res ON res.id = a.resident_id
+     JOIN facilities f ON f.id = res.facility_id
+     WHERE rp.id = $1`,
+    [id]
+  );
+  const report = reportRows[0];
+  if (!report) {
+    return res.status(404).json({ message: "Report not found" });
+  }
+  if (report.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(report.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (report.report_type !== "assessment") {
+    return res.status(400).json({ message: "Only assessment reports can be signed" });
+  }
+  if (report.latest_report_id !== report.id) {
+    return res.status(409).json({ message: "Only the latest report can be signed" });
+  }
+
+  const { rows: userRows } = await pool.query(
+    `SELECT password_salt, password_hash FROM users WHERE id = $1`,
+    [req.user.id]
+  );
+  const signer = userRows[0];
+  if (!signer?.password_salt || hashPassword(String(body.password), signer.password_salt) !== signer.password_hash) {
+    await audit(req.user.id, "report.sign_failed", "report", id, { reason: "invalid_password" });
+    return res.status(403).json({ message: "Password is incorrect" });
+  }
+
+  // The signed PDF keeps the template version the draft was generated with.
+  const template = await fetchReportTemplateById(report.report_template_id);
+  const assessment = await fetchAssessmentForReport(report.assessment_id, template);
+  if (!assessment) {
+    return res.status(404).json({ message: "Assessment not found" });
+  }
+  if (report.supersedes_report_id) {
+    assessment.amendment = report;
+  }
+  const filePath = path.resolve(storageRoot, report.pdf_storage_key);
+  const signingPath = `${filePath}.signing`;
+  const signedAt = new Date();
+
+  const client = await pool.connect();
+  let signature;
+  try {
+    await client.query("BEGIN");
+    const { rows: lockRows } = await client.query(
+      `SELECT a.locked_at, s.id AS signature_id
+       FROM assessments a
+       LEFT JOIN report_signatures s ON s.report_id = $2
+       WHERE a.id = $1
+       FOR UPDATE OF a`,
+      [report.assessment_id, id]
+    );
+    if (lockRows[0]?.signature_id) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Report is already signed" });
+    }
+    // Addenda are signed on top of a locked assessment; anything else must still be unlocked.
+    if (lockRows[0]?.locked_at && !report.supersedes_report_id) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Assessment is already signed" });
+    }
+    assessment.signature = {
+      signer_name: signerName,
+      signer_credentials: signerCredentials,
+      attestation_text: reportAttestationTexts[report.language],
+      signed_at: signedAt,
+    };
+    if (assessment.amendment) {
+      const lineage = await fetchReportLineage(id);
+      assessment.lineage = lineage.map((entry) => (
+        entry.id === id ? { ...entry, ...assessment.signature } : entry
+      ));
+    }
+    await generatePdf(signingPath, assessment, template, report.language);
+    const pdfSha256 = crypto.createHash("sha256").update(fs.readFileSync(signingPath)).digest("hex");
+    const { rows } = await client.query(
+      `INSERT INTO report_signatures (
+        report_id, assessment_id, signed_by, signer_name, signer_credentials,
+        attestation_text, pdf_sha256, signed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, report_id, assessment_id, signed_by, signer_name, signer_credentials,
+                attestation_text, pdf_sha256, signed_at`,
+      [id, report.assessment_id, req.user.id, signerName, signerCredentials, assessment.signature.attestation_text, pdfSha256, signedAt]
+    );
+    signature = rows[0];
+    await client.query(`UPDATE reports SET finalized = true WHERE id = $1`, [id]);
+    await client.query(
+      `UPDATE assessments SET locked_at = $1, locked_by = $2, updated_at = now() WHERE id = $3`,
+      [signedAt, req.user.id, report.assessment_id]
+    );
+    await client.query("COMMIT");
+    fs.renameSync(signingPath, filePath);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    fs.rmSync(signingPath, { force: true });
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await audit(req.user.id, "report.signed", "report", id, {
+    assessment_id: report.assessment_id,
+    pdf_sha256: signature.pdf_sha256,
+  });
+  res.status(201).json(signature);
+}));
+
+// Amending a finalized report opens a linked draft; the original report and its PDF stay untouched.
+// An amendment unlocks the assessment for corrections, an addendum only appends text.
+app.post("/reports/:id/amendments", authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  const amendmentType = normalizeString(body.amendment_type).toLowerCase();
+  if (!allowedReportAmendmentTypes.has(amendmentType)) {
+    return res.status(400).json({ message: "Invalid amendment_type" });
+  }
+  const reason = toNullableString(body.reason);
+  if (!reason) {
+    return res.status(400).json({ message: "reason is required" });
+  }
+  const addendumText = toNullableString(body.addendum_text);
+  if (amendmentType === "addendum" && !addendumText) {
+    return res.status(400).json({ message: "addendum_text is required for an addendum" });
+  }
+
+  const { rows: reportRows } = await pool.query(
+    `SELECT rp.id, rp.assessment_id, rp.report_type, rp.finalized, rp.language,
+            res.facility_id, f.role_policy,
+            (SELECT id FROM reports
+             WHERE assessment_id = rp.assessment_id AND report_type = 'assessment'
+             ORDER BY created_at DESC
+             LIMIT 1) AS latest_report_id
+     FROM reports rp
+     JOIN assessments a ON a.id = rp.assessment_id
+     JOIN residents res ON res.id = a.resident_id
+     JOIN facilities f ON f.id = res.facility_id
+     WHERE rp.id = $1`,
+    [id]
+  );
+  const report = reportRows[0];
+  if (!report) {
+    return res.status(404).json({ message: "Report not found" });
+  }
+  if (report.facility_id !== req.user.facility_id && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  if (!isRolePolicyAllowed(report.role_policy, req.user.role)) {
+    return res.status(403).json({ message: "Admin role required for this facility" });
+  }
+  if (report.report_type !== "assessment") {
+    return res.status(400).json({ message: "Only assessment reports can be amended" });
+  }
+  if (!report.finalized) {
+    return res.status(409).json({ message: "Only finalized reports can be amended" });
+  }
+  if (report.latest_report_id !== report.id) {
+    return res.status(409).json({ message: "Only the latest report can be amended" });
+  }
+
+  const template = await fetchActiveReportTemplate(report.facility_id);
+  const assessment = await fetchAssessmentForReport(report.assessment_id, template);
+  if (!assessment) {
+    return res.status(404).json({ message: "Assessment not found" });
+  }
+  const amendment = {
+    supersedes_report_id: id,
+    amendment_type: amendmentType,
+    amendment_reason: reason,
+    addendum_text: addendumText,
+  };
+  assessment.amendment = amendment;
+  assessment.signature = null;
+  assessment.lineage = [...(await fetchReportLineage(id)), { ...amendment, generated_at: new Date() }];
+
+  const reportId = crypto.randomUUID();
+  const reportDir = ensureReportDir();
+  const relativeKey = `reports/${reportId}.pdf`;
+  const filePath = path.resolve(reportDir, `${reportId}.pdf`);
+  await generatePdf(filePath, assessment, template, report.language);
+
+  const { rows } = await pool.query(
+    `INSERT INTO reports (
+       id,
+       assessment_id,
+       pdf_storage_key,
+       created_by,
+       template_version,
+       generated_at,
+       generated_by,
+       finalized,
+       report_type,
+       supersedes_report_id,
+       amendment_type,
+       amendment_reason,
+       addendum_text,
+       report_template_id,
+       report_template_version,
+       language
+     )
+     VALUES ($1, $2, $3, $4, $5, now(), $6, false, 'assessment', $7, $8, $9, $10, $11, $12, $13)
+     RETURNING id, assessment_id, pdf_storage_key, created_by, created_at,
+               template_version, generated_at, generated_by, finalized, report_type,
+               supersedes_report_id, amendment_type, amendment_reason, addendum_text,
+               report_template_id, report_template_version, language`,
+    [reportId, report.assessment_id, relativeKey, req.user.id, reportTemplateVersion, req.user.id,
+      id, amendmentType, reason, addendumText, template.id, template.version, report.language]
+  );
+  if (amendmentType === "amendment") {
+    await pool.query(
+      `UPDATE assessments SET locked_at = NULL, locked_by = NULL, updated_at = now() WHERE id = $1`,
+      [report.assessment_id]
+    );
+  }
+  await audit(req.user.id, "report.amendment_created", "report", reportId, {
+    supersedes_report_id: id,
+    amendment_type: amendmentType,
+  });
+  res.status(201).json(rows[0]);
+}));
+
 app.get("/videos/:id/download", authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rows } = await pool.query(
@@ -4713,6 +12534,8 @@ app.post("/exports/tokens", authMiddleware, asyncHandler(async (req, res) => {
     storedParams = sanitizeAuditExportParams(rawParams);
   } else if (exportType === "post_fall_rollup") {
     storedParams = sanitizePostFallRollupParams(rawParams);
+  } else if (exportType === "intervention_effectiveness") {
+    storedParams = sanitizeInterventionEffectivenessParams(rawParams);
   } else if (exportType === "bundle") {
     try {
       const includes = resolveBundleIncludes(rawParams?.include, req.user.role);
@@ -4898,6 +12721,11 @@ app.get("/exports/download", asyncHandler(async (req, res) => {
       res.setHeader("Content-Type", "text/csv; charset=utf-8");
       res.setHeader("Content-Disposition", `attachment; filename=\"post_fall_rollup_${token.facility_id}.csv\"`);
       res.status(200).send(csv);
+    } else if (token.export_type === "intervention_effectiveness") {
+      const csv = await buildInterventionEffectivenessCsv({ facilityId: token.facility_id, params: params || {} });
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename=\"intervention_effectiveness_${token.facility_id}.csv\"`);
+      res.status(200).send(csv);
     } else if (token.export_type === "bundle") {
       const includes = normalizeIncludeList(params?.include)
         || ["residents", "assessments"];
@@ -5038,6 +12866,8 @@ app.post("/export-schedules", authMiddleware, requireRole("admin"), asyncHandler
     params = sanitizeAuditExportParams(body.params || {});
   } else if (exportType === "post_fall_rollup") {
     params = sanitizePostFallRollupParams(body.params || {});
+  } else if (exportType === "intervention_effectiveness") {
+    params = sanitizeInterventionEffectivenessParams(body.params || {});
   } else if (exportType === "bundle") {
     const includes = resolveBundleIncludes(body.include ?? body.params?.include, req.user.role);
     include = includes;
@@ -5150,6 +12980,8 @@ app.patch("/export-schedules/:id", authMiddleware, requireRole("admin"), asyncHa
       updateFields.params = sanitizeAuditExportParams(body.params || {});
     } else if (nextExportType === "post_fall_rollup") {
       updateFields.params = sanitizePostFallRollupParams(body.params || {});
+    } else if (nextExportType === "intervention_effectiveness") {
+      updateFields.params = sanitizeInterventionEffectivenessParams(body.params || {});
     } else {
       updateFields.params = null;
     }
@@ -5404,6 +13236,7 @@ app.get("/analytics/summary", authMiddleware, asyncHandler(async (req, res) => {
        FROM fall_events fe
        JOIN facilities f ON f.id = fe.facility_id
        WHERE fe.facility_id = $1
+         AND fe.voided_at IS NULL
          AND fe.occurred_at >= now() - ($2 * interval '1 day')
      ),
      completed AS (
@@ -5497,6 +13330,109 @@ app.get("/analytics/post-fall-rollup", authMiddleware, asyncHandler(async (req,
   res.json(rollup);
 }));
 
+// Counts completed RCAs by unit and root cause category for fall events in the window. Voided events
+// are excluded; `without_rca` counts events in the window with no completed RCA yet.
+app.get("/analytics/root-causes", authMiddleware, asyncHandler(async (req, res) => {
+  const facilityId = req.user.facility_id;
+  const windowDaysRaw = req.query.days;
+  const unitIdRaw = normalizeString(req.query.unit_id || "");
+  const windowDays = windowDaysRaw === undefined ? 90 : Number(windowDaysRaw);
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 365) {
+    return res.status(400).json({ message: "Invalid days window" });
+  }
+  let unitFilter = null;
+  if (unitIdRaw) {
+    if (!isUuid(unitIdRaw)) {
+      return res.status(400).json({ message: "Invalid unit_id filter" });
+    }
+    unitFilter = unitIdRaw;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT r.unit_id, fu.label AS unit_label, rca.root_cause_category AS category, COUNT(*)::int AS count
+     FROM fall_event_rcas rca
+     JOIN fall_events fe ON fe.id = rca.fall_event_id
+     JOIN residents r ON r.id = fe.resident_id
+     LEFT JOIN facility_units fu ON fu.id = r.unit_id
+     WHERE fe.facility_id = $1
+       AND fe.voided_at IS NULL
+       AND rca.status = 'completed'
+       AND fe.occurred_at >= now() - ($2 * interval '1 day')
+       AND ($3::uuid IS NULL OR r.unit_id = $3)
+     GROUP BY r.unit_id, fu.label, rca.root_cause_category`,
+    [facilityId, windowDays, unitFilter]
+  );
+  const { rows: coverageRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE rca.status IS DISTINCT FROM 'completed')::int AS without_rca
+     FROM fall_events fe
+     JOIN residents r ON r.id = fe.resident_id
+     LEFT JOIN fall_event_rcas rca ON rca.fall_event_id = fe.id
+     WHERE fe.facility_id = $1
+       AND fe.voided_at IS NULL
+       AND fe.occurred_at >= now() - ($2 * interval '1 day')
+       AND ($3::uuid IS NULL OR r.unit_id = $3)`,
+    [facilityId, windowDays, unitFilter]
+  );
+
+  const sortCauses = (counts) => Array.from(counts.entries())
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+  const totals = new Map();
+  const unitMap = new Map();
+  rows.forEach((row) => {
+    totals.set(row.category, (totals.get(row.category) || 0) + row.count);
+    const key = row.unit_id || "unassigned";
+    if (!unitMap.has(key)) {
+      unitMap.set(key, { unit_id: row.unit_id, unit_label: row.unit_label, total: 0, counts: new Map() });
+    }
+    const unit = unitMap.get(key);
+    unit.total += row.count;
+    unit.counts.set(row.category, (unit.counts.get(row.category) || 0) + row.count);
+  });
+  const units = Array.from(unitMap.values())
+    .map((unit) => {
+      const rootCauses = sortCauses(unit.counts);
+      return {
+        unit_id: unit.unit_id,
+        unit_label: unit.unit_label,
+        total: unit.total,
+        top_root_cause: rootCauses[0]?.category || null,
+        root_causes: rootCauses,
+      };
+    })
+    .sort((a, b) => b.total - a.total || String(a.unit_label || "").localeCompare(String(b.unit_label || "")));
+
+  res.json({
+    days: windowDays,
+    categories: Array.from(allowedRcaCategories),
+    fall_events: coverageRows[0]?.total || 0,
+    without_rca: coverageRows[0]?.without_rca || 0,
+    root_causes: sortCauses(totals),
+    units,
+  });
+}));
+
+// Before/after comparison for started interventions, grouped by intervention and by unit. See
+// fetchInterventionEffectiveness for how the windows are drawn.
+app.get("/analytics/intervention-effectiveness", authMiddleware, asyncHandler(async (req, res) => {
+  let params;
+  try {
+    params = sanitizeInterventionEffectivenessParams(req.query) || {};
+  } catch (error) {
+    if (error?.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    throw error;
+  }
+  res.json(await fetchInterventionEffectiveness({
+    facilityId: req.user.facility_id,
+    days: params.days || 365,
+    windowDays: params.window_days || 90,
+    unitId: params.unit_id || null,
+  }));
+}));
+
 app.get("/analytics/outcomes", authMiddleware, asyncHandler(async (req, res) => {
   const facilityId = req.user.facility_id;
   const daysRaw = req.query.days;
@@ -5516,10 +13452,13 @@ app.get("/analytics/outcomes", authMiddleware, asyncHandler(async (req, res) =>
   }
 
   const { rows } = await pool.query(
-    `SELECT a.id, a.assessment_date, a.risk_tier, a.status, a.resident_id,
+    `SELECT a.id, a.assessment_date, a.risk_tier, a.suggested_risk_tier,
+            a.status, a.resident_id,
+            COALESCE(a.assessment_protocol, f.assessment_protocol) AS assessment_protocol,
             r.first_name, r.last_name, r.external_id
      FROM assessments a
      JOIN residents r ON r.id = a.resident_id
+     JOIN facilities f ON f.id = r.facility_id
      WHERE r.facility_id = $1
        AND a.assessment_date >= CURRENT_DATE - ($2 * interval '1 day')
      ORDER BY a.resident_id, a.assessment_date DESC`,
@@ -5542,6 +13481,8 @@ app.get("/analytics/outcomes", authMiddleware, asyncHandler(async (req, res) =>
       id: row.id,
       assessment_date: row.assessment_date,
       risk_tier: row.risk_tier,
+      suggested_risk_tier: row.suggested_risk_tier,
+      assessment_protocol: row.assessment_protocol,
       status: row.status,
     });
   });
@@ -5821,6 +13762,9 @@ async function cleanupOrphanedVideos() {
 }
 
 app.use((err, _req, res, _next) => {
+  if (err && err.code === "LIMIT_FILE_SIZE" && err.field === "logo") {
+    return res.status(413).json({ message: "Logo too large. Max 1 MB." });
+  }
   if (err && err.code === "LIMIT_FILE_SIZE") {
     return res.status(413).json({ message: `File too large. Max ${maxVideoSizeMb} MB.` });
   }
@@ -5845,6 +13789,14 @@ seedExportScheduleTasks().catch((error) => {
   console.error("Failed to seed export schedule tasks", error.message);
 });
 
+seedSlaScanTasks().catch((error) => {
+  console.error("Failed to seed SLA scan tasks", error.message);
+});
+
+backfillSuggestedRiskTiers().catch((error) => {
+  console.error("Failed to backfill suggested risk tiers", error.message);
+});
+
 if (taskPollIntervalSeconds > 0) {
   setInterval(() => {
     processTaskQueue().catch((error) => {
@@ -0,0 +1,307 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_AUTOMATION || "4127");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for automation rule tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "1",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const waitForRun = async (ruleId, entityId) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const res = await request("GET", `/automation/runs?rule_id=${ruleId}&entity_id=${entityId}`, adminToken);
+    assert.equal(res.status, 200, res.text);
+    if (res.json.length) {
+      return res.json[0];
+    }
+    await delay(250);
+  }
+  throw new Error("Automation run was not recorded");
+};
+
+const waitForNotification = async (type, userId, field, value) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const { rows } = await pool.query(
+      `SELECT id, title, data FROM notifications
+       WHERE type = $1 AND user_id = $2 AND channel = 'in_app' AND data->>$3 = $4`,
+      [type, userId, field, value]
+    );
+    if (rows.length) {
+      return rows[0];
+    }
+    await delay(250);
+  }
+  throw new Error(`No ${type} notification`);
+};
+
+test("only admins manage automation rules, and rules are validated against their trigger", async () => {
+  const rule = {
+    name: "Notify admins of head strikes",
+    trigger: "fall_event.created",
+    conditions: [{ field: "head_strike", op: "eq", value: true }],
+    actions: [{ type: "notify", to: ["facility_admin"] }],
+  };
+  const clinicianPost = await request("POST", "/automation/rules", clinician.token, rule);
+  assert.equal(clinicianPost.status, 403, clinicianPost.text);
+  const clinicianRuns = await request("GET", "/automation/runs", clinician.token);
+  assert.equal(clinicianRuns.status, 403, clinicianRuns.text);
+
+  const badTrigger = await request("POST", "/automation/rules", adminToken, { ...rule, trigger: "resident.created" });
+  assert.equal(badTrigger.status, 400, badTrigger.text);
+  const badField = await request("POST", "/automation/rules", adminToken, {
+    ...rule,
+    conditions: [{ field: "risk_tier", op: "eq", value: "high" }],
+  });
+  assert.equal(badField.status, 400, badField.text);
+  const badAssign = await request("POST", "/automation/rules", adminToken, {
+    ...rule,
+    actions: [{ type: "assign", to: "unit_lead" }],
+  });
+  assert.equal(badAssign.status, 400, badAssign.text);
+  const noActions = await request("POST", "/automation/rules", adminToken, { ...rule, actions: [] });
+  assert.equal(noActions.status, 400, noActions.text);
+
+  const createRes = await request("POST", "/automation/rules", adminToken, { ...rule, enabled: false });
+  assert.equal(createRes.status, 201, createRes.text);
+  assert.equal(createRes.json.enabled, false);
+  assert.deepEqual(createRes.json.actions, [{ type: "notify", to: ["facility_admin"], title: null, message: null, email: false }]);
+
+  const patchRes = await request("PATCH", `/automation/rules/${createRes.json.id}`, adminToken, { name: "Head strikes" });
+  assert.equal(patchRes.status, 200, patchRes.text);
+  assert.equal(patchRes.json.name, "Head strikes");
+  assert.equal(patchRes.json.trigger, "fall_event.created");
+  const badPatch = await request("PATCH", `/automation/rules/${createRes.json.id}`, adminToken, {
+    trigger: "export.run",
+  });
+  assert.equal(badPatch.status, 400, badPatch.text);
+
+  const listRes = await request("GET", "/automation/rules", adminToken);
+  assert.equal(listRes.status, 200, listRes.text);
+  assert.ok(listRes.json.some((item) => item.id === createRes.json.id));
+});
+
+test("matching events run the rule's actions and clinical changes wait for approval", async () => {
+  const admin = await login("admin@stridesafe.com", "password123");
+  const facilityId = clinician.user.facility_id;
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: facilityId,
+    label: `Automation Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+
+  const ruleRes = await request("POST", "/automation/rules", adminToken, {
+    name: "High risk follow-up",
+    trigger: "assessment.completed",
+    conditions: [
+      { field: "risk_tier", op: "in", value: ["high"] },
+      { field: "unit_id", op: "eq", value: unitRes.json.id },
+    ],
+    actions: [
+      { type: "notify", to: ["assignee", "facility_admin"], title: "High risk assessment" },
+      { type: "create_task", title: "Review footwear", due_in_hours: 0, to: ["assignee"] },
+      { type: "schedule_rescreen", due_in_days: 30 },
+    ],
+  });
+  assert.equal(ruleRes.status, 201, ruleRes.text);
+  const ruleId = ruleRes.json.id;
+
+  const completeAssessment = async (lastName, riskTier) => {
+    const residentRes = await request("POST", "/residents", adminToken, {
+      facility_id: facilityId,
+      first_name: "Auto",
+      last_name: lastName,
+      dob: "1938-08-08",
+      sex: "M",
+      unit_id: unitRes.json.id,
+    });
+    assert.equal(residentRes.status, 201, residentRes.text);
+    const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinician.token, {
+      assessment_date: isoDate(0),
+    });
+    assert.equal(assessmentRes.status, 201, assessmentRes.text);
+    const completeRes = await request("PATCH", `/assessments/${assessmentRes.json.id}`, clinician.token, {
+      scores: { tug_seconds: 16, chair_stand_seconds: 17, balance_side_by_side: true, balance_semi_tandem: false, balance_tandem: false },
+      status: "completed",
+      risk_tier: riskTier,
+    });
+    assert.equal(completeRes.status, 200, completeRes.text);
+    return { residentId: residentRes.json.id, assessmentId: assessmentRes.json.id };
+  };
+
+  try {
+    const lowRisk = await completeAssessment("Steady", "low");
+    const highRisk = await completeAssessment("Unsteady", "high");
+    const run = await waitForRun(ruleId, highRisk.assessmentId);
+    assert.equal(run.trigger, "assessment.completed");
+    assert.equal(run.status, "awaiting_approval");
+    assert.equal(run.context.fields.risk_tier, "high");
+    assert.deepEqual(run.actions.map((action) => [action.action_type, action.status]), [
+      ["notify", "completed"],
+      ["create_task", "completed"],
+      ["schedule_rescreen", "pending_approval"],
+    ]);
+    assert.ok(run.actions[0].result.recipients.includes(clinician.user.id));
+    assert.ok(run.actions[0].result.recipients.includes(admin.user.id));
+
+    const lowRuns = await request("GET", `/automation/runs?rule_id=${ruleId}&entity_id=${lowRisk.assessmentId}`, adminToken);
+    assert.equal(lowRuns.status, 200, lowRuns.text);
+    assert.equal(lowRuns.json.length, 0);
+
+    const notice = await waitForNotification("automation.notify", admin.user.id, "assessment_id", highRisk.assessmentId);
+    assert.equal(notice.title, "High risk assessment");
+    assert.equal(notice.data.rule_id, ruleId);
+    const taskId = run.actions[1].result.automation_task_id;
+    const dueNotice = await waitForNotification("automation.task_due", clinician.user.id, "assessment_id", highRisk.assessmentId);
+    assert.equal(dueNotice.title, "Review footwear");
+    assert.equal(dueNotice.data.automation_task_id, taskId);
+
+    const { rows: auditRows } = await pool.query(
+      `SELECT action, entity_id, metadata FROM audit_logs
+       WHERE action LIKE 'automation.%' AND metadata->>'run_id' = $1`,
+      [run.id]
+    );
+    assert.equal(auditRows.length, 3);
+    assert.ok(auditRows.every((row) => row.entity_id === highRisk.assessmentId && row.metadata.rule_id === ruleId));
+
+    const queueRes = await request("GET", `/workflow/queue?unit_id=${unitRes.json.id}`, clinician.token);
+    assert.equal(queueRes.status, 200, queueRes.text);
+    const taskItem = queueRes.json.find((item) => item.item_type === "automation_task" && item.id === taskId);
+    assert.ok(taskItem);
+    assert.equal(taskItem.title, "Review footwear");
+    assert.equal(taskItem.resident_id, highRisk.residentId);
+    assert.equal(taskItem.rule_name, "High risk follow-up");
+    assert.deepEqual(taskItem.assignee_ids, [clinician.user.id]);
+
+    const completeTaskRes = await request("POST", `/automation/tasks/${taskId}/complete`, clinician.token);
+    assert.equal(completeTaskRes.status, 200, completeTaskRes.text);
+    assert.equal(completeTaskRes.json.status, "completed");
+    assert.equal(completeTaskRes.json.completed_by, clinician.user.id);
+    const completeAgainRes = await request("POST", `/automation/tasks/${taskId}/complete`, clinician.token);
+    assert.equal(completeAgainRes.status, 409, completeAgainRes.text);
+    const afterQueueRes = await request("GET", `/workflow/queue?unit_id=${unitRes.json.id}`, clinician.token);
+    assert.ok(!afterQueueRes.json.some((item) => item.id === taskId));
+
+    const badApprovals = await request("GET", "/automation/approvals?facility_id=not-a-uuid", clinician.token);
+    assert.equal(badApprovals.status, 400, badApprovals.text);
+    const approvalsRes = await request("GET", "/automation/approvals", clinician.token);
+    assert.equal(approvalsRes.status, 200, approvalsRes.text);
+    const pending = approvalsRes.json.find((item) => item.id === run.actions[2].id);
+    assert.ok(pending);
+    assert.equal(pending.resident_id, highRisk.residentId);
+
+    const approveRes = await request("POST", `/automation/actions/${pending.id}/approve`, clinician.token);
+    assert.equal(approveRes.status, 200, approveRes.text);
+    assert.equal(approveRes.json.status, "completed");
+    assert.equal(approveRes.json.reviewed_by, clinician.user.id);
+    const rescreenId = approveRes.json.result.assessment_id;
+    const rescreenRes = await request("GET", `/assessments/${rescreenId}`, clinician.token);
+    assert.equal(rescreenRes.status, 200, rescreenRes.text);
+    assert.equal(rescreenRes.json.status, "needs_review");
+    assert.equal(rescreenRes.json.resident_id, highRisk.residentId);
+    assert.equal(String(rescreenRes.json.due_date).slice(0, 10), isoDate(30));
+
+    const againRes = await request("POST", `/automation/actions/${pending.id}/approve`, clinician.token);
+    assert.equal(againRes.status, 409, againRes.text);
+    const finalRun = await waitForRun(ruleId, highRisk.assessmentId);
+    assert.equal(finalRun.status, "completed");
+  } finally {
+    await request("PATCH", `/automation/rules/${ruleId}`, adminToken, { enabled: false });
+  }
+});
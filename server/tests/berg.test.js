@@ -0,0 +1,212 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_BERG || "4111");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinicianToken;
+let clinicianId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const bergItems = [
+  "berg_sit_to_stand",
+  "berg_standing_unsupported",
+  "berg_sitting_unsupported",
+  "berg_stand_to_sit",
+  "berg_transfers",
+  "berg_eyes_closed",
+  "berg_feet_together",
+  "berg_reach_forward",
+  "berg_pick_up_object",
+  "berg_look_behind",
+  "berg_turn_360",
+  "berg_alternate_foot_stool",
+  "berg_tandem_stance",
+  "berg_single_leg_stance",
+];
+
+const buildBergScores = (value) => Object.fromEntries(bergItems.map((key) => [key, value]));
+
+const createBergAssessment = async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Berg",
+    last_name: "Tester",
+    dob: "1938-04-12",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-02",
+    assessment_protocol: "berg",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return assessmentRes.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for Berg tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+  clinicianId = clinician.user.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("berg requires all 14 integer items between 0 and 4", async () => {
+  const assessmentId = await createBergAssessment();
+
+  const partial = { ...buildBergScores(3) };
+  delete partial.berg_single_leg_stance;
+  const missing = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores: partial });
+  assert.equal(missing.status, 400);
+  assert.match(missing.json.message, /berg_single_leg_stance/);
+
+  const fractional = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...buildBergScores(3), berg_turn_360: 2.5 },
+  });
+  assert.equal(fractional.status, 400);
+
+  const tooHigh = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...buildBergScores(3), berg_transfers: 5 },
+  });
+  assert.equal(tooHigh.status, 400);
+});
+
+test("berg stores item answers and computes total and band", async () => {
+  const assessmentId = await createBergAssessment();
+  const scores = { ...buildBergScores(3), berg_tandem_stance: 1, berg_single_leg_stance: 0 };
+
+  const saved = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.json.suggested_risk_tier, "moderate");
+  assert.deepEqual(saved.json.risk_rule_reasons, ["berg_medium_risk"]);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.json.scores.berg_tandem_stance, 1);
+  assert.equal(detail.json.scores.berg_single_leg_stance, 0);
+  assert.equal(detail.json.scores.berg_total_score, 37);
+  assert.equal(detail.json.scores.berg_band, "medium");
+
+  const { rows } = await pool.query(
+    `SELECT protocol_data->>'berg_turn_360' AS turn_360 FROM assessment_scores WHERE assessment_id = $1`,
+    [assessmentId]
+  );
+  assert.equal(rows[0].turn_360, "3");
+});
+
+test("berg assessments generate a report PDF", async () => {
+  const assessmentId = await createBergAssessment();
+  const saved = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: buildBergScores(4),
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.json.suggested_risk_tier, "low");
+
+  await pool.query(
+    `INSERT INTO videos (
+      assessment_id, storage_key, content_type, duration_seconds, width, height, checksum, uploaded_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [assessmentId, `videos/${assessmentId}/berg-test.mp4`, "video/mp4", 30, 640, 360, "md5:berg-test", clinicianId]
+  );
+
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201, reportRes.text);
+
+  const response = await fetch(`${baseUrl}/reports/${reportRes.json.id}/download`, {
+    headers: { Authorization: `Bearer ${clinicianToken}` },
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type") || "", /pdf/);
+});
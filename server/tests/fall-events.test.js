@@ -16,6 +16,7 @@ let serverProcess;
 let adminToken;
 let clinicianToken;
 let clinicianFacilityId;
+let clinicianUserId;
 
 const request = async (method, urlPath, token, body) => {
   const headers = { "Content-Type": "application/json" };
@@ -96,6 +97,7 @@ before(async () => {
   const clinician = await login("clinician@stridesafe.com", "password123");
   clinicianToken = clinician.token;
   clinicianFacilityId = clinician.user.facility_id;
+  clinicianUserId = clinician.user.id;
 
   const facilityRes = await request("PATCH", `/facilities/${clinicianFacilityId}`, adminToken, {
     fall_checklist: ["Vitals recorded", "Neuro check"],
@@ -181,6 +183,97 @@ test("clinician cannot access fall events from another facility", async () => {
 
   const checksRes = await request("GET", `/fall-events/${eventRes.json.id}/checks`, clinicianToken);
   assert.equal(checksRes.status, 403, checksRes.text);
+
+  const reportRes = await request("POST", `/fall-events/${eventRes.json.id}/reports`, clinicianToken);
+  assert.equal(reportRes.status, 403, reportRes.text);
+});
+
+test("clinician can generate a post-fall incident report", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Incident",
+    last_name: "Report",
+    dob: "1941-05-05",
+    sex: "F",
+    room: "12B",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+
+  const eventRes = await request(
+    "POST",
+    `/residents/${residentRes.json.id}/fall-events`,
+    clinicianToken,
+    {
+      occurred_at: new Date().toISOString(),
+      injury_severity: "moderate",
+      witness: "CNA on shift",
+      hospital_transfer: true,
+      contributing_factors: ["wet floor", "footwear"],
+    }
+  );
+  assert.equal(eventRes.status, 201, eventRes.text);
+
+  const checkRes = await request("POST", `/fall-events/${eventRes.json.id}/checks`, clinicianToken, {
+    check_type: "Neuro check",
+    completed: true,
+  });
+  assert.equal(checkRes.status, 200, checkRes.text);
+
+  const reportRes = await request("POST", `/fall-events/${eventRes.json.id}/reports`, clinicianToken);
+  assert.equal(reportRes.status, 201, reportRes.text);
+  assert.equal(reportRes.json.report_type, "fall_incident");
+  assert.equal(reportRes.json.fall_event_id, eventRes.json.id);
+  assert.equal(reportRes.json.assessment_id, null);
+  assert.equal(reportRes.json.template_version, "incident_v1");
+
+  const downloadRes = await fetch(`${baseUrl}/reports/${reportRes.json.id}/download`, {
+    headers: { Authorization: `Bearer ${clinicianToken}` },
+  });
+  assert.equal(downloadRes.status, 200);
+  assert.match(downloadRes.headers.get("content-type") || "", /pdf/);
+  const pdf = Buffer.from(await downloadRes.arrayBuffer());
+  assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+
+  const missingRes = await request("POST", `/fall-events/${residentRes.json.id}/reports`, clinicianToken);
+  assert.equal(missingRes.status, 404, missingRes.text);
+});
+
+test("incident report risk screen skips assessments that are still open", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Screened",
+    last_name: "Incident",
+    dob: "1940-07-07",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+
+  const completedRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-01-10",
+  });
+  assert.equal(completedRes.status, 201, completedRes.text);
+  const completeRes = await request("PATCH", `/assessments/${completedRes.json.id}`, clinicianToken, {
+    scores: { tug_seconds: 11, chair_stand_seconds: 12, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: true },
+    status: "completed",
+    risk_tier: "low",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+  const openRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-01-20",
+  });
+  assert.equal(openRes.status, 201, openRes.text);
+
+  const eventRes = await request("POST", `/residents/${residentId}/fall-events`, clinicianToken, {
+    occurred_at: "2026-01-25T09:00:00.000Z",
+  });
+  assert.equal(eventRes.status, 201, eventRes.text);
+  const reportRes = await request("POST", `/fall-events/${eventRes.json.id}/reports`, clinicianToken);
+  assert.equal(reportRes.status, 201, reportRes.text);
+
+  const auditRes = await request("GET", "/audit?action=fall_incident_report.created", adminToken);
+  assert.equal(auditRes.status, 200, auditRes.text);
+  const entry = auditRes.json.find((item) => item.entity_id === reportRes.json.id);
+  assert.ok(entry, "Incident report should be audited");
+  assert.equal(entry.metadata.risk_screen_assessment_id, completedRes.json.id);
 });
 
 test("analytics summary includes post-fall compliance metrics", async () => {
@@ -249,3 +342,335 @@ test("analytics summary includes post-fall compliance metrics", async () => {
   const csvText = await downloadRes.text();
   assert.ok(csvText.includes("unit_id"));
 });
+
+test("fall event corrections are kept as revisions", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Revision",
+    last_name: "Tester",
+    dob: "1940-07-07",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const otherResidentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Correct",
+    last_name: "Resident",
+    dob: "1939-08-08",
+    sex: "F",
+  });
+  assert.equal(otherResidentRes.status, 201, otherResidentRes.text);
+
+  const eventRes = await request(
+    "POST",
+    `/residents/${residentRes.json.id}/fall-events`,
+    clinicianToken,
+    { occurred_at: "2026-01-10T08:00:00.000Z", injury_severity: "minor" }
+  );
+  assert.equal(eventRes.status, 201, eventRes.text);
+  const eventId = eventRes.json.id;
+
+  const invalidRes = await request("PATCH", `/fall-events/${eventId}`, clinicianToken, {
+    injury_severity: "catastrophic",
+  });
+  assert.equal(invalidRes.status, 400, invalidRes.text);
+
+  const patchRes = await request("PATCH", `/fall-events/${eventId}`, clinicianToken, {
+    occurred_at: "2026-01-11T08:00:00.000Z",
+    injury_severity: "severe",
+    resident_id: otherResidentRes.json.id,
+    reason: "Fracture confirmed on imaging",
+  });
+  assert.equal(patchRes.status, 200, patchRes.text);
+  assert.equal(patchRes.json.injury_severity, "severe");
+  assert.equal(patchRes.json.resident_id, otherResidentRes.json.id);
+
+  const revisionsRes = await request("GET", `/fall-events/${eventId}/revisions`, clinicianToken);
+  assert.equal(revisionsRes.status, 200, revisionsRes.text);
+  assert.equal(revisionsRes.json.length, 1);
+  const [revision] = revisionsRes.json;
+  assert.equal(revision.action, "update");
+  assert.equal(revision.reason, "Fracture confirmed on imaging");
+  assert.deepEqual(revision.changed_fields.sort(), ["injury_severity", "occurred_at", "resident_id"]);
+  assert.equal(revision.previous_values.injury_severity, "minor");
+  assert.equal(revision.previous_values.resident_id, residentRes.json.id);
+  assert.equal(revision.new_values.occurred_at, "2026-01-11T08:00:00.000Z");
+
+  const facilityId = await createFacility(`Revision Facility ${Date.now()}`, adminToken);
+  const foreignResidentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Foreign",
+    last_name: "Resident",
+    dob: "1938-09-09",
+    sex: "M",
+  });
+  assert.equal(foreignResidentRes.status, 201, foreignResidentRes.text);
+  const moveRes = await request("PATCH", `/fall-events/${eventId}`, adminToken, {
+    resident_id: foreignResidentRes.json.id,
+  });
+  assert.equal(moveRes.status, 400, moveRes.text);
+});
+
+test("voided fall events are excluded from lists and rollups", async () => {
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: clinicianFacilityId,
+    label: `Void Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Void",
+    last_name: "Tester",
+    dob: "1945-04-04",
+    sex: "F",
+    unit_id: unitRes.json.id,
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+
+  const eventRes = await request(
+    "POST",
+    `/residents/${residentRes.json.id}/fall-events`,
+    clinicianToken,
+    { occurred_at: new Date().toISOString() }
+  );
+  assert.equal(eventRes.status, 201, eventRes.text);
+  const eventId = eventRes.json.id;
+
+  const missingReasonRes = await request("POST", `/fall-events/${eventId}/void`, clinicianToken, {});
+  assert.equal(missingReasonRes.status, 400, missingReasonRes.text);
+
+  const voidRes = await request("POST", `/fall-events/${eventId}/void`, clinicianToken, {
+    reason: "Entered for the wrong resident",
+  });
+  assert.equal(voidRes.status, 200, voidRes.text);
+  assert.ok(voidRes.json.voided_at);
+  assert.equal(voidRes.json.void_reason, "Entered for the wrong resident");
+
+  const againRes = await request("POST", `/fall-events/${eventId}/void`, clinicianToken, {
+    reason: "Duplicate",
+  });
+  assert.equal(againRes.status, 409, againRes.text);
+
+  const patchRes = await request("PATCH", `/fall-events/${eventId}`, clinicianToken, { notes: "Late note" });
+  assert.equal(patchRes.status, 409, patchRes.text);
+
+  const checkRes = await request("POST", `/fall-events/${eventId}/checks`, clinicianToken, {
+    check_type: "Vitals recorded",
+    completed: true,
+  });
+  assert.equal(checkRes.status, 409, checkRes.text);
+
+  const listRes = await request("GET", `/residents/${residentRes.json.id}/fall-events`, clinicianToken);
+  assert.equal(listRes.status, 200, listRes.text);
+  assert.equal(listRes.json.length, 0);
+
+  const withVoidedRes = await request(
+    "GET",
+    `/residents/${residentRes.json.id}/fall-events?include_voided=true`,
+    clinicianToken
+  );
+  assert.equal(withVoidedRes.status, 200, withVoidedRes.text);
+  assert.equal(withVoidedRes.json.length, 1);
+
+  const rollupRes = await request(
+    "GET",
+    `/analytics/post-fall-rollup?days=7&unit_id=${unitRes.json.id}`,
+    clinicianToken
+  );
+  assert.equal(rollupRes.status, 200, rollupRes.text);
+  assert.equal(rollupRes.json.length, 0);
+
+  const revisionsRes = await request("GET", `/fall-events/${eventId}/revisions`, clinicianToken);
+  assert.equal(revisionsRes.status, 200, revisionsRes.text);
+  assert.equal(revisionsRes.json[0].action, "void");
+  assert.deepEqual(revisionsRes.json[0].changed_fields.sort(), ["void_reason", "voided_at"]);
+});
+
+test("recording a fall schedules one open reassessment for the last assessor", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Rescreen",
+    last_name: "Resident",
+    dob: "1941-02-02",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+
+  const screenRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-02-01",
+  });
+  assert.equal(screenRes.status, 201, screenRes.text);
+  const completeRes = await request("PATCH", `/assessments/${screenRes.json.id}`, clinicianToken, {
+    scores: { tug_seconds: 11, chair_stand_seconds: 12, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: true },
+    status: "completed",
+    risk_tier: "moderate",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+
+  const recordFall = async (occurredAt) => {
+    const res = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+      occurred_at: occurredAt,
+      witness: "Day aide",
+    });
+    assert.equal(res.status, 201, res.text);
+    return res.json.id;
+  };
+  const listReassessments = async () => {
+    const res = await request("GET", `/residents/${residentId}/assessments`, clinicianToken);
+    assert.equal(res.status, 200, res.text);
+    return res.json.filter((item) => item.fall_event_id);
+  };
+
+  const firstFallId = await recordFall("2026-03-01T10:00:00.000Z");
+  let reassessments = await listReassessments();
+  assert.equal(reassessments.length, 1);
+  const [reassessment] = reassessments;
+  assert.equal(reassessment.fall_event_id, firstFallId);
+  assert.equal(reassessment.status, "needs_review");
+  assert.equal(reassessment.assessment_protocol, "tug_chair_balance");
+  assert.equal(reassessment.assigned_to, clinicianUserId);
+  assert.equal(String(reassessment.scheduled_date).slice(0, 10), "2026-03-01");
+  assert.equal(String(reassessment.due_date).slice(0, 10), "2026-03-04");
+
+  await recordFall("2026-03-02T10:00:00.000Z");
+  reassessments = await listReassessments();
+  assert.equal(reassessments.length, 1);
+
+  const finishRes = await request("PATCH", `/assessments/${reassessment.id}`, clinicianToken, {
+    scores: { tug_seconds: 13, chair_stand_seconds: 14, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false },
+    status: "completed",
+    risk_tier: "high",
+  });
+  assert.equal(finishRes.status, 200, finishRes.text);
+  const thirdFallId = await recordFall("2026-03-10T10:00:00.000Z");
+  reassessments = await listReassessments();
+  assert.equal(reassessments.length, 2);
+  assert.ok(reassessments.some((item) => item.fall_event_id === thirdFallId && item.status === "needs_review"));
+
+  const facilityRes = await request("POST", "/facilities", adminToken, {
+    name: `No Rescreen Facility ${Date.now()}`,
+    post_fall_reassessment_days: null,
+  });
+  assert.equal(facilityRes.status, 201, facilityRes.text);
+  assert.equal(facilityRes.json.post_fall_reassessment_days, null);
+  const otherResidentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityRes.json.id,
+    first_name: "Manual",
+    last_name: "Rescreen",
+    dob: "1940-01-01",
+    sex: "M",
+  });
+  assert.equal(otherResidentRes.status, 201, otherResidentRes.text);
+  const otherFallRes = await request("POST", `/residents/${otherResidentRes.json.id}/fall-events`, adminToken, {
+    occurred_at: "2026-03-01T10:00:00.000Z",
+  });
+  assert.equal(otherFallRes.status, 201, otherFallRes.text);
+  const otherAssessmentsRes = await request("GET", `/residents/${otherResidentRes.json.id}/assessments`, adminToken);
+  assert.equal(otherAssessmentsRes.json.length, 0);
+});
+
+test("open assessments block fall reassessments and voiding a fall withdraws its own", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Withdrawn",
+    last_name: "Rescreen",
+    dob: "1942-03-03",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+  const recordFall = async (occurredAt) => {
+    const res = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+      occurred_at: occurredAt,
+      witness: "Night aide",
+    });
+    assert.equal(res.status, 201, res.text);
+    return res.json.id;
+  };
+  const listAssessments = async () => {
+    const res = await request("GET", `/residents/${residentId}/assessments`, clinicianToken);
+    assert.equal(res.status, 200, res.text);
+    return res.json;
+  };
+
+  const manualRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-04-01",
+  });
+  assert.equal(manualRes.status, 201, manualRes.text);
+  await recordFall("2026-04-02T10:00:00.000Z");
+  let assessments = await listAssessments();
+  assert.equal(assessments.length, 1);
+  assert.equal(assessments[0].id, manualRes.json.id);
+
+  const completeRes = await request("PATCH", `/assessments/${manualRes.json.id}`, clinicianToken, {
+    scores: { tug_seconds: 11, chair_stand_seconds: 12, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: true },
+    status: "completed",
+    risk_tier: "low",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+
+  const untouchedFallId = await recordFall("2026-04-10T10:00:00.000Z");
+  assessments = await listAssessments();
+  const untouched = assessments.find((item) => item.fall_event_id === untouchedFallId);
+  assert.ok(untouched);
+  const voidRes = await request("POST", `/fall-events/${untouchedFallId}/void`, adminToken, {
+    reason: "Entered on the wrong resident",
+  });
+  assert.equal(voidRes.status, 200, voidRes.text);
+  const cancelledRes = await request("GET", `/assessments/${untouched.id}`, clinicianToken);
+  assert.equal(cancelledRes.status, 404);
+
+  const startedFallId = await recordFall("2026-04-12T10:00:00.000Z");
+  assessments = await listAssessments();
+  const started = assessments.find((item) => item.fall_event_id === startedFallId);
+  assert.ok(started);
+  const scoreRes = await request("PATCH", `/assessments/${started.id}`, clinicianToken, {
+    scores: { tug_seconds: 14, chair_stand_seconds: 15, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false },
+  });
+  assert.equal(scoreRes.status, 200, scoreRes.text);
+  const secondVoidRes = await request("POST", `/fall-events/${startedFallId}/void`, adminToken, {
+    reason: "Duplicate entry",
+  });
+  assert.equal(secondVoidRes.status, 200, secondVoidRes.text);
+  const keptRes = await request("GET", `/assessments/${started.id}`, clinicianToken);
+  assert.equal(keptRes.status, 200, keptRes.text);
+  assert.equal(keptRes.json.fall_event_id, null);
+  assert.equal(keptRes.json.status, "needs_review");
+});
+
+test("moving a fall moves its reassessment to the new resident", async () => {
+  const createResident = async (firstName) => {
+    const res = await request("POST", "/residents", clinicianToken, {
+      first_name: firstName,
+      last_name: "Moved",
+      dob: "1943-04-04",
+      sex: "F",
+    });
+    assert.equal(res.status, 201, res.text);
+    return res.json.id;
+  };
+  const listReassessments = async (residentId) => {
+    const res = await request("GET", `/residents/${residentId}/assessments`, clinicianToken);
+    assert.equal(res.status, 200, res.text);
+    return res.json.filter((item) => item.fall_event_id);
+  };
+  const fromResidentId = await createResident("From");
+  const toResidentId = await createResident("To");
+  const fallRes = await request("POST", `/residents/${fromResidentId}/fall-events`, adminToken, {
+    occurred_at: "2026-05-01T10:00:00.000Z",
+    witness: "Day aide",
+  });
+  assert.equal(fallRes.status, 201, fallRes.text);
+  const [original] = await listReassessments(fromResidentId);
+  assert.equal(original.fall_event_id, fallRes.json.id);
+
+  const moveRes = await request("PATCH", `/fall-events/${fallRes.json.id}`, adminToken, {
+    resident_id: toResidentId,
+    reason: "Recorded on the wrong resident",
+  });
+  assert.equal(moveRes.status, 200, moveRes.text);
+  assert.equal((await listReassessments(fromResidentId)).length, 0);
+  const goneRes = await request("GET", `/assessments/${original.id}`, clinicianToken);
+  assert.equal(goneRes.status, 404);
+  const moved = await listReassessments(toResidentId);
+  assert.equal(moved.length, 1);
+  assert.equal(moved[0].fall_event_id, fallRes.json.id);
+  assert.equal(moved[0].status, "needs_review");
+  assert.equal(String(moved[0].due_date).slice(0, 10), "2026-05-04");
+});
@@ -0,0 +1,306 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_FALL_FLAGS || "4124");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for fall flag tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const createResident = async (facilityId, extra = {}) => {
+  const res = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Repeat",
+    last_name: "Faller",
+    dob: "1936-04-04",
+    sex: "F",
+    ...extra,
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const createFall = async (residentId, offsetDays) => {
+  const res = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: `${isoDate(offsetDays)}T09:00:00.000Z`,
+    witness: "Night aide",
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+test("repeat falls and falls after a low risk screen raise high-priority flags", async () => {
+  const facilityId = clinician.user.facility_id;
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: facilityId,
+    label: `Flag Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  const unitId = unitRes.json.id;
+  const residentId = await createResident(facilityId, { unit_id: unitId });
+
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, clinician.token, {
+    assessment_date: isoDate(-25),
+    assessment_protocol: "tug_chair_balance",
+  });
+  assert.equal(assessmentRes.status, 201, assessmentRes.text);
+  const completeRes = await request("PATCH", `/assessments/${assessmentRes.json.id}`, clinician.token, {
+    scores: { tug_seconds: 9, chair_stand_seconds: 10, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: true },
+    status: "completed",
+    risk_tier: "low",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+  const assignRes = await request("PATCH", `/assessments/${assessmentRes.json.id}/assign`, clinician.token, {
+    assigned_to: "me",
+  });
+  assert.equal(assignRes.status, 200, assignRes.text);
+
+  await createFall(residentId, -20);
+  let flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, clinician.token);
+  assert.equal(flagsRes.status, 200, flagsRes.text);
+  assert.deepEqual(flagsRes.json.map((flag) => flag.rule), ["low_risk_screen"]);
+
+  await createFall(residentId, -10);
+  await createFall(residentId, -5);
+  await createFall(residentId, -2);
+  flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, clinician.token);
+  assert.deepEqual(flagsRes.json.map((flag) => flag.rule).sort(), ["long_window", "low_risk_screen", "short_window"]);
+  const shortFlag = flagsRes.json.find((flag) => flag.rule === "short_window");
+  assert.equal(shortFlag.fall_count, 2);
+  assert.equal(shortFlag.window_days, 30);
+
+  const notificationsRes = await request("GET", "/notifications", clinician.token);
+  assert.equal(notificationsRes.status, 200, notificationsRes.text);
+  assert.ok(notificationsRes.json.some((item) => (
+    item.type === "fall_flag.raised" && item.data?.fall_flag_id === shortFlag.id
+  )));
+  const adminNotificationsRes = await request("GET", "/notifications", adminToken);
+  assert.ok(adminNotificationsRes.json.some((item) => (
+    item.type === "fall_flag.raised" && item.data?.fall_flag_id === shortFlag.id
+  )));
+
+  const queueRes = await request("GET", `/workflow/queue?unit_id=${unitId}`, clinician.token);
+  assert.equal(queueRes.status, 200, queueRes.text);
+  const flagItems = queueRes.json.filter((item) => item.item_type === "fall_flag");
+  assert.equal(flagItems.length, 3);
+  assert.ok(queueRes.json.slice(0, 3).every((item) => item.item_type === "fall_flag" && item.priority === "high"));
+
+  const residentsRes = await request("GET", "/residents", clinician.token);
+  const listed = residentsRes.json.find((resident) => resident.id === residentId);
+  assert.equal(listed.open_fall_flags.length, 3);
+
+  const resolveRes = await request("PATCH", `/fall-flags/${shortFlag.id}`, clinician.token, {
+    status: "resolved",
+    resolution_note: "Care plan reviewed with family",
+  });
+  assert.equal(resolveRes.status, 200, resolveRes.text);
+  assert.equal(resolveRes.json.status, "resolved");
+  assert.equal(resolveRes.json.resolved_by, clinician.user.id);
+  const againRes = await request("PATCH", `/fall-flags/${shortFlag.id}`, clinician.token, { status: "resolved" });
+  assert.equal(againRes.status, 409, againRes.text);
+
+  const afterQueueRes = await request("GET", `/workflow/queue?unit_id=${unitId}`, clinician.token);
+  assert.equal(afterQueueRes.json.filter((item) => item.item_type === "fall_flag").length, 2);
+});
+
+test("voiding a fall resolves its flags and re-checks the remaining falls", async () => {
+  const residentId = await createResident(clinician.user.facility_id);
+  await createFall(residentId, -20);
+  const middleFallId = await createFall(residentId, -10);
+  const lastFallId = await createFall(residentId, -5);
+  let flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  const shortFlag = flagsRes.json.find((flag) => flag.rule === "short_window");
+  assert.equal(shortFlag.fall_event_id, middleFallId);
+
+  const voidRes = await request("POST", `/fall-events/${middleFallId}/void`, adminToken, { reason: "Entered twice" });
+  assert.equal(voidRes.status, 200, voidRes.text);
+  flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  const resolved = flagsRes.json.find((flag) => flag.id === shortFlag.id);
+  assert.equal(resolved.status, "resolved");
+  assert.equal(resolved.resolution_note, "Fall event voided");
+  // The falls 20 and 5 days ago still make two within 30 days, so the rule is flagged again on the later one.
+  const reflagged = flagsRes.json.find((flag) => flag.rule === "short_window" && flag.status === "open");
+  assert.equal(reflagged.fall_event_id, lastFallId);
+  assert.equal(reflagged.fall_count, 2);
+});
+
+test("moving a fall to another resident resolves the flags it raised", async () => {
+  const fromResidentId = await createResident(clinician.user.facility_id);
+  const toResidentId = await createResident(clinician.user.facility_id, { first_name: "Other" });
+  await createFall(fromResidentId, -10);
+  const movedFallId = await createFall(fromResidentId, -5);
+  await createFall(toResidentId, -8);
+  let fromFlags = await request("GET", `/residents/${fromResidentId}/fall-flags`, adminToken);
+  assert.deepEqual(fromFlags.json.map((flag) => [flag.rule, flag.fall_event_id]), [["short_window", movedFallId]]);
+
+  const moveRes = await request("PATCH", `/fall-events/${movedFallId}`, adminToken, {
+    resident_id: toResidentId,
+    reason: "Recorded on the wrong resident",
+  });
+  assert.equal(moveRes.status, 200, moveRes.text);
+  fromFlags = await request("GET", `/residents/${fromResidentId}/fall-flags`, adminToken);
+  assert.equal(fromFlags.json.length, 1);
+  assert.equal(fromFlags.json[0].status, "resolved");
+  assert.equal(fromFlags.json[0].resolution_note, "Fall event moved to another resident");
+  const toFlags = await request("GET", `/residents/${toResidentId}/fall-flags`, adminToken);
+  assert.deepEqual(toFlags.json.map((flag) => [flag.rule, flag.status, flag.fall_event_id]), [["short_window", "open", movedFallId]]);
+});
+
+test("window flags are recounted when a fall they counted is voided or re-dated", async () => {
+  const residentId = await createResident(clinician.user.facility_id);
+  const earlierFallId = await createFall(residentId, -10);
+  const flaggedFallId = await createFall(residentId, -5);
+  let flags = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  assert.deepEqual(flags.json.map((flag) => [flag.rule, flag.fall_event_id, flag.fall_count]), [["short_window", flaggedFallId, 2]]);
+
+  const voidRes = await request("POST", `/fall-events/${earlierFallId}/void`, adminToken, { reason: "Duplicate entry" });
+  assert.equal(voidRes.status, 200, voidRes.text);
+  flags = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  assert.deepEqual(flags.json.map((flag) => [flag.rule, flag.status, flag.resolution_note]), [["short_window", "resolved", "Fall event voided"]]);
+
+  const otherResidentId = await createResident(clinician.user.facility_id, { first_name: "Redated" });
+  const redatedFallId = await createFall(otherResidentId, -10);
+  await createFall(otherResidentId, -5);
+  const redateRes = await request("PATCH", `/fall-events/${redatedFallId}`, adminToken, {
+    occurred_at: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString(),
+    reason: "Fall date taken from the incident log",
+  });
+  assert.equal(redateRes.status, 200, redateRes.text);
+  flags = await request("GET", `/residents/${otherResidentId}/fall-flags`, adminToken);
+  assert.deepEqual(flags.json.map((flag) => [flag.rule, flag.status, flag.resolution_note]), [["short_window", "resolved", "Fall event date corrected"]]);
+});
+
+test("facilities configure repeat-faller thresholds", async () => {
+  const facilityRes = await request("POST", "/facilities", adminToken, {
+    name: `Flag Facility ${Date.now()}`,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(facilityRes.status, 201, facilityRes.text);
+  const facilityId = facilityRes.json.id;
+
+  const defaultsRes = await request("GET", `/facilities/${facilityId}/repeat-fall-rules`, adminToken);
+  assert.equal(defaultsRes.status, 200, defaultsRes.text);
+  assert.equal(defaultsRes.json.customized, false);
+  assert.equal(defaultsRes.json.rules.short_window.falls, 2);
+
+  const invalidRes = await request("PUT", `/facilities/${facilityId}/repeat-fall-rules`, adminToken, {
+    rules: { short_window: { falls: 1, days: 30 } },
+  });
+  assert.equal(invalidRes.status, 400, invalidRes.text);
+  const clinicianRes = await request("PUT", `/facilities/${facilityId}/repeat-fall-rules`, clinician.token, {
+    rules: {},
+  });
+  assert.equal(clinicianRes.status, 403, clinicianRes.text);
+
+  const saveRes = await request("PUT", `/facilities/${facilityId}/repeat-fall-rules`, adminToken, {
+    rules: { short_window: { falls: 3, days: 14 }, long_window: { enabled: false } },
+  });
+  assert.equal(saveRes.status, 200, saveRes.text);
+  assert.equal(saveRes.json.customized, true);
+  assert.deepEqual(saveRes.json.rules.short_window, { enabled: true, falls: 3, days: 14 });
+  assert.equal(saveRes.json.rules.long_window.enabled, false);
+
+  const residentId = await createResident(facilityId);
+  await createFall(residentId, -6);
+  await createFall(residentId, -3);
+  let flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  assert.equal(flagsRes.json.length, 0);
+  await createFall(residentId, -1);
+  flagsRes = await request("GET", `/residents/${residentId}/fall-flags`, adminToken);
+  assert.deepEqual(flagsRes.json.map((flag) => flag.rule), ["short_window"]);
+
+  const resetRes = await request("PUT", `/facilities/${facilityId}/repeat-fall-rules`, adminToken, { rules: null });
+  assert.equal(resetRes.status, 200, resetRes.text);
+  assert.equal(resetRes.json.customized, false);
+});
@@ -0,0 +1,237 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_FALL_RCA || "4122");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for fall RCA tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const createUnitResident = async (unitId) => {
+  const res = await request("POST", "/residents", adminToken, {
+    facility_id: clinician.user.facility_id,
+    first_name: "Root",
+    last_name: "Cause",
+    dob: "1939-04-04",
+    sex: "F",
+    unit_id: unitId,
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const createFall = async (residentId) => {
+  const res = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+    witness: "Night nurse",
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const dueDate = () => new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test("RCA records the huddle, root cause and corrective actions", async () => {
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: clinician.user.facility_id,
+    label: `RCA Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  const fallEventId = await createFall(await createUnitResident(unitRes.json.id));
+
+  const missingRes = await request("GET", `/fall-events/${fallEventId}/rca`, clinician.token);
+  assert.equal(missingRes.status, 404, missingRes.text);
+
+  const earlyActionRes = await request("POST", `/fall-events/${fallEventId}/rca/actions`, clinician.token, {
+    description: "Add night lights",
+    owner_id: clinician.user.id,
+    due_date: dueDate(),
+  });
+  assert.equal(earlyActionRes.status, 409, earlyActionRes.text);
+
+  const huddleRes = await request("PUT", `/fall-events/${fallEventId}/rca`, clinician.token, {
+    huddle_at: new Date().toISOString(),
+    huddle_attendees: ["Charge nurse", "CNA"],
+    huddle_notes: "Resident got up to use the bathroom without calling.",
+    whys: ["Needed the bathroom", "Call light out of reach", "Bed moved for cleaning"],
+    factors: [
+      { category: "toileting", description: "Urgency at night" },
+      { category: "environment", description: "Call light out of reach" },
+    ],
+  });
+  assert.equal(huddleRes.status, 201, huddleRes.text);
+  assert.equal(huddleRes.json.status, "draft");
+  assert.equal(huddleRes.json.whys.length, 3);
+
+  const badCategoryRes = await request("PUT", `/fall-events/${fallEventId}/rca`, clinician.token, {
+    factors: [{ category: "weather" }],
+  });
+  assert.equal(badCategoryRes.status, 400, badCategoryRes.text);
+
+  const incompleteRes = await request("PUT", `/fall-events/${fallEventId}/rca`, clinician.token, {
+    status: "completed",
+  });
+  assert.equal(incompleteRes.status, 400, incompleteRes.text);
+
+  const completeRes = await request("PUT", `/fall-events/${fallEventId}/rca`, clinician.token, {
+    status: "completed",
+    root_cause_category: "environment",
+    root_cause: "Call light not replaced after room cleaning",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+  assert.equal(completeRes.json.status, "completed");
+  assert.equal(completeRes.json.completed_by, clinician.user.id);
+  assert.equal(completeRes.json.huddle_attendees.length, 2);
+
+  const badOwnerRes = await request("POST", `/fall-events/${fallEventId}/rca/actions`, clinician.token, {
+    description: "Add night lights",
+    owner_id: "00000000-0000-4000-8000-000000000000",
+    due_date: dueDate(),
+  });
+  assert.equal(badOwnerRes.status, 400, badOwnerRes.text);
+
+  const actionRes = await request("POST", `/fall-events/${fallEventId}/rca/actions`, clinician.token, {
+    description: "Check call light placement after cleaning",
+    owner_id: clinician.user.id,
+    due_date: dueDate(),
+  });
+  assert.equal(actionRes.status, 201, actionRes.text);
+  assert.equal(actionRes.json.status, "open");
+
+  const doneRes = await request(
+    "PATCH",
+    `/fall-events/${fallEventId}/rca/actions/${actionRes.json.id}`,
+    clinician.token,
+    { status: "completed" }
+  );
+  assert.equal(doneRes.status, 200, doneRes.text);
+  assert.equal(doneRes.json.status, "completed");
+  assert.equal(doneRes.json.completed_by, clinician.user.id);
+
+  const detailRes = await request("GET", `/fall-events/${fallEventId}/rca`, clinician.token);
+  assert.equal(detailRes.status, 200, detailRes.text);
+  assert.equal(detailRes.json.corrective_actions.length, 1);
+  assert.equal(detailRes.json.corrective_actions[0].owner_name, clinician.user.full_name);
+});
+
+test("root cause analytics groups completed RCAs by unit", async () => {
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: clinician.user.facility_id,
+    label: `RCA Analytics Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  const unitId = unitRes.json.id;
+  const categories = ["footwear", "footwear", "medication"];
+  for (const category of categories) {
+    const fallEventId = await createFall(await createUnitResident(unitId));
+    const rcaRes = await request("PUT", `/fall-events/${fallEventId}/rca`, clinician.token, {
+      status: "completed",
+      root_cause_category: category,
+      root_cause: `Determined: ${category}`,
+    });
+    assert.equal(rcaRes.status, 201, rcaRes.text);
+  }
+  await createFall(await createUnitResident(unitId));
+
+  const res = await request("GET", `/analytics/root-causes?unit_id=${unitId}`, clinician.token);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.fall_events, 4);
+  assert.equal(res.json.without_rca, 1);
+  assert.deepEqual(res.json.root_causes, [
+    { category: "footwear", count: 2 },
+    { category: "medication", count: 1 },
+  ]);
+  assert.equal(res.json.units.length, 1);
+  assert.equal(res.json.units[0].unit_id, unitId);
+  assert.equal(res.json.units[0].top_root_cause, "footwear");
+
+  const badRes = await request("GET", "/analytics/root-causes?days=0", clinician.token);
+  assert.equal(badRes.status, 400, badRes.text);
+});
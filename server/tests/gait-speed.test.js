@@ -0,0 +1,197 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_GAIT || "4112");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let clinicianToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createAssessment = async (protocol) => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Gait",
+    last_name: "Tester",
+    dob: "1937-08-21",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-04",
+    assessment_protocol: protocol,
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return assessmentRes.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for gait speed tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("gait speed accepts 4 m or 10 m walks and derives speed band", async () => {
+  const assessmentId = await createAssessment("gait_speed");
+
+  const badDistance = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { gait_distance_meters: 6, gait_time_seconds: 5 },
+  });
+  assert.equal(badDistance.status, 400);
+  assert.match(badDistance.json.message, /gait_distance_meters \(4 or 10\)/);
+
+  const slow = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { gait_distance_meters: 4, gait_time_seconds: 5 },
+  });
+  assert.equal(slow.status, 200);
+  assert.equal(slow.json.suggested_risk_tier, "moderate");
+  assert.deepEqual(slow.json.risk_rule_reasons, ["gait_speed_slow"]);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.json.scores.gait_speed_mps, 0.8);
+  assert.equal(detail.json.scores.gait_speed_band, "increased_risk");
+
+  const verySlow = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { gait_distance_meters: 10, gait_time_seconds: 20 },
+  });
+  assert.equal(verySlow.status, 200);
+  assert.equal(verySlow.json.suggested_risk_tier, "high");
+  assert.deepEqual(verySlow.json.risk_rule_reasons, ["gait_speed_very_slow"]);
+});
+
+test("four stage balance records hold seconds and highest stage", async () => {
+  const assessmentId = await createAssessment("four_stage_balance");
+
+  const missing = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { stage_semi_tandem_seconds: 10 },
+  });
+  assert.equal(missing.status, 400);
+  assert.match(missing.json.message, /stage_side_by_side_seconds/);
+
+  const saved = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: {
+      stage_side_by_side_seconds: 10,
+      stage_semi_tandem_seconds: 10,
+      stage_tandem_seconds: 10,
+      stage_single_leg_seconds: 4.5,
+    },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.json.suggested_risk_tier, "low");
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.json.scores.stage_single_leg_seconds, 4.5);
+  assert.equal(detail.json.scores.four_stage_highest_stage, 3);
+  assert.equal(detail.json.scores.four_stage_band, "typical");
+
+  const failed = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { stage_side_by_side_seconds: 10, stage_semi_tandem_seconds: 6 },
+  });
+  assert.equal(failed.status, 200);
+  assert.equal(failed.json.suggested_risk_tier, "high");
+  assert.deepEqual(failed.json.risk_rule_reasons, ["four_stage_semi_tandem_under_10s"]);
+});
+
+test("model score outputs populate gait speed scores", async () => {
+  const assessmentId = await createAssessment("gait_speed");
+  await pool.query(
+    `INSERT INTO gait_model_runs (assessment_id, status, score_outputs)
+     VALUES ($1, 'completed', $2)`,
+    [assessmentId, JSON.stringify({ gait_distance_meters: 4, gait_time_seconds: 3.2 })]
+  );
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.json.model_run.score_outputs.gait_time_seconds, 3.2);
+  assert.equal(detail.json.scores.gait_time_seconds, 3.2);
+  assert.equal(detail.json.scores.gait_speed_mps, 1.25);
+  assert.equal(detail.json.suggested_risk_tier, "low");
+});
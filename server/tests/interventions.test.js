@@ -0,0 +1,385 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_INTERVENTIONS || "4123");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createFacility = async (name, token) => {
+  const res = await request("POST", "/facilities", token, {
+    name,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(res.status, 201, `Facility create failed: ${res.text}`);
+  return res.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for intervention tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const createResident = async (facilityId) => {
+  const res = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Care",
+    last_name: "Plan",
+    dob: "1938-06-06",
+    sex: "F",
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const createFall = async (residentId, body = {}) => {
+  const res = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+    witness: "Day aide",
+    ...body,
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const listInterventions = async (residentId, token = clinician.token) => {
+  const res = await request("GET", `/residents/${residentId}/interventions`, token);
+  assert.equal(res.status, 200, res.text);
+  return res.json;
+};
+
+const byKey = (interventions, key, status) => interventions.find(
+  (item) => item.intervention_key === key && (!status || item.status === status)
+);
+
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test("falls recommend interventions that clinicians accept, decline or modify", async () => {
+  const residentId = await createResident(clinician.user.facility_id);
+  await createFall(residentId, { contributing_factors: ["Toileting"], injury_severity: "minor" });
+
+  const recommended = await listInterventions(residentId);
+  assert.deepEqual(
+    recommended.map((item) => item.intervention_key).sort(),
+    ["environmental_fixes", "hip_protectors", "medication_review", "pt_referral", "toileting_schedule"]
+  );
+  assert.ok(recommended.every((item) => item.status === "recommended" && item.source === "rule"));
+  assert.ok(byKey(recommended, "toileting_schedule").reasons.includes("factor:toileting"));
+  assert.ok(byKey(recommended, "hip_protectors").reasons.includes("injury_fall"));
+
+  const acceptRes = await request(
+    "PATCH",
+    `/residents/${residentId}/interventions/${byKey(recommended, "toileting_schedule").id}`,
+    adminToken,
+    { status: "accepted", owner_id: clinician.user.id }
+  );
+  assert.equal(acceptRes.status, 200, acceptRes.text);
+  assert.equal(acceptRes.json.status, "accepted");
+  assert.equal(acceptRes.json.owner_id, clinician.user.id);
+  assert.ok(acceptRes.json.start_date);
+  assert.equal(acceptRes.json.modified, false);
+
+  const notificationsRes = await request("GET", "/notifications", clinician.token);
+  assert.equal(notificationsRes.status, 200, notificationsRes.text);
+  assert.ok(notificationsRes.json.some((item) => (
+    item.type === "intervention.assigned" && item.data?.intervention_id === acceptRes.json.id
+  )));
+
+  const hipId = byKey(recommended, "hip_protectors").id;
+  const declineRes = await request("PATCH", `/residents/${residentId}/interventions/${hipId}`, clinician.token, {
+    status: "declined",
+    status_reason: "Resident refuses to wear them",
+  });
+  assert.equal(declineRes.status, 200, declineRes.text);
+  assert.equal(declineRes.json.decided_by, clinician.user.id);
+
+  const badTransitionRes = await request("PATCH", `/residents/${residentId}/interventions/${hipId}`, clinician.token, {
+    status: "discontinued",
+  });
+  assert.equal(badTransitionRes.status, 409, badTransitionRes.text);
+
+  const ptId = byKey(recommended, "pt_referral").id;
+  const badDatesRes = await request("PATCH", `/residents/${residentId}/interventions/${ptId}`, clinician.token, {
+    status: "accepted",
+    start_date: isoDate(7),
+    end_date: isoDate(1),
+  });
+  assert.equal(badDatesRes.status, 400, badDatesRes.text);
+
+  const modifyRes = await request("PATCH", `/residents/${residentId}/interventions/${ptId}`, clinician.token, {
+    status: "accepted",
+    details: "PT 3x per week for 4 weeks, focus on sit-to-stand",
+    start_date: isoDate(0),
+    end_date: isoDate(28),
+  });
+  assert.equal(modifyRes.status, 200, modifyRes.text);
+  assert.equal(modifyRes.json.modified, true);
+  assert.equal(modifyRes.json.status, "accepted");
+
+  const rerunRes = await request("POST", `/residents/${residentId}/interventions/recommend`, clinician.token);
+  assert.equal(rerunRes.status, 200, rerunRes.text);
+  assert.equal(rerunRes.json.created, 0);
+
+  await createFall(residentId, { injury_severity: "moderate" });
+  const afterSecondFall = await listInterventions(residentId);
+  assert.ok(byKey(afterSecondFall, "hip_protectors", "recommended"), "declined intervention is recommended again after a new fall");
+  assert.ok(byKey(afterSecondFall, "bed_alarm", "recommended"));
+  assert.equal(afterSecondFall.filter((item) => item.intervention_key === "pt_referral").length, 1);
+
+  const stopRes = await request("PATCH", `/residents/${residentId}/interventions/${acceptRes.json.id}`, clinician.token, {
+    status: "discontinued",
+  });
+  assert.equal(stopRes.status, 200, stopRes.text);
+  assert.ok(stopRes.json.end_date);
+
+  const manualRes = await request("POST", `/residents/${residentId}/interventions`, clinician.token, {
+    label: "Non-slip socks",
+    category: "equipment",
+    owner_id: clinician.user.id,
+  });
+  assert.equal(manualRes.status, 201, manualRes.text);
+  assert.equal(manualRes.json.status, "accepted");
+  assert.equal(manualRes.json.source, "manual");
+  assert.equal(manualRes.json.intervention_key, "custom");
+});
+
+test("admin-only facilities keep intervention lists from clinicians", async () => {
+  const facilityId = clinician.user.facility_id;
+  const residentId = await createResident(facilityId);
+  const restrictRes = await request("PATCH", `/facilities/${facilityId}`, adminToken, { role_policy: "admin_only" });
+  assert.equal(restrictRes.status, 200, restrictRes.text);
+  try {
+    const clinicianRes = await request("GET", `/residents/${residentId}/interventions`, clinician.token);
+    assert.equal(clinicianRes.status, 403, clinicianRes.text);
+    await listInterventions(residentId, adminToken);
+  } finally {
+    const restoreRes = await request("PATCH", `/facilities/${facilityId}`, adminToken, { role_policy: "clinician_admin_only" });
+    assert.equal(restoreRes.status, 200, restoreRes.text);
+  }
+});
+
+test("admins customize the facility intervention library", async () => {
+  const facilityId = await createFacility(`Intervention Facility ${Date.now()}`, adminToken);
+
+  const defaultsRes = await request("GET", `/facilities/${facilityId}/intervention-library`, adminToken);
+  assert.equal(defaultsRes.status, 200, defaultsRes.text);
+  assert.equal(defaultsRes.json.customized, false);
+  assert.ok(defaultsRes.json.library.some((entry) => entry.key === "pt_referral" && entry.enabled));
+
+  const invalidRes = await request("PUT", `/facilities/${facilityId}/intervention-library`, adminToken, {
+    library: [{ key: "night_rounds", label: "Night rounds", category: "weather" }],
+  });
+  assert.equal(invalidRes.status, 400, invalidRes.text);
+
+  const clinicianRes = await request("PUT", `/facilities/${facilityId}/intervention-library`, clinician.token, {
+    library: [],
+  });
+  assert.equal(clinicianRes.status, 403, clinicianRes.text);
+
+  const saveRes = await request("PUT", `/facilities/${facilityId}/intervention-library`, adminToken, {
+    library: [
+      {
+        key: "night_rounds",
+        label: "Hourly night rounds",
+        category: "schedule",
+        rules: { recent_falls: 1, fall_window_days: 30 },
+      },
+      { ...defaultsRes.json.library.find((entry) => entry.key === "pt_referral"), enabled: false },
+    ],
+  });
+  assert.equal(saveRes.status, 200, saveRes.text);
+  assert.equal(saveRes.json.customized, true);
+  assert.equal(saveRes.json.library.length, 2);
+
+  const residentId = await createResident(facilityId);
+  await createFall(residentId);
+  const interventions = await listInterventions(residentId, adminToken);
+  assert.deepEqual(interventions.map((item) => item.intervention_key), ["night_rounds"]);
+  assert.deepEqual(interventions[0].reasons, ["recent_falls:1"]);
+
+  const resetRes = await request("PUT", `/facilities/${facilityId}/intervention-library`, adminToken, {
+    library: null,
+  });
+  assert.equal(resetRes.status, 200, resetRes.text);
+  assert.equal(resetRes.json.customized, false);
+});
+
+test("intervention effectiveness compares falls and scores before and after start", async () => {
+  const facilityId = clinician.user.facility_id;
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: facilityId,
+    label: `Effectiveness Unit ${Date.now()}`,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  const unitId = unitRes.json.id;
+
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Effect",
+    last_name: "Measure",
+    dob: "1937-03-03",
+    sex: "M",
+    unit_id: unitId,
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+
+  const createScoredAssessment = async (assessmentDate, scores, riskTier) => {
+    const createRes = await request("POST", `/residents/${residentId}/assessments`, clinician.token, {
+      assessment_date: assessmentDate,
+      assessment_protocol: "tug_chair_balance",
+    });
+    assert.equal(createRes.status, 201, createRes.text);
+    const updateRes = await request("PATCH", `/assessments/${createRes.json.id}`, clinician.token, {
+      scores: { ...scores, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false },
+      status: "completed",
+      risk_tier: riskTier,
+    });
+    assert.equal(updateRes.status, 200, updateRes.text);
+  };
+
+  await createScoredAssessment(isoDate(-40), { tug_seconds: 16, chair_stand_seconds: 18 }, "high");
+  await createFall(residentId, { occurred_at: `${isoDate(-50)}T10:00:00.000Z` });
+  await createFall(residentId, { occurred_at: `${isoDate(-45)}T10:00:00.000Z` });
+  await createFall(residentId, { occurred_at: `${isoDate(-10)}T10:00:00.000Z` });
+
+  const manualRes = await request("POST", `/residents/${residentId}/interventions`, clinician.token, {
+    intervention_key: "pt_referral",
+    start_date: isoDate(-30),
+  });
+  assert.equal(manualRes.status, 201, manualRes.text);
+  const secondRes = await request("POST", `/residents/${residentId}/interventions`, clinician.token, {
+    intervention_key: "medication_review",
+    start_date: isoDate(-25),
+  });
+  assert.equal(secondRes.status, 201, secondRes.text);
+  await createScoredAssessment(isoDate(-5), { tug_seconds: 12.5, chair_stand_seconds: 15 }, "moderate");
+
+  const invalidRes = await request("GET", "/analytics/intervention-effectiveness?window_days=3", clinician.token);
+  assert.equal(invalidRes.status, 400, invalidRes.text);
+
+  const res = await request(
+    "GET",
+    `/analytics/intervention-effectiveness?window_days=60&unit_id=${unitId}`,
+    clinician.token
+  );
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.window_days, 60);
+  const { overall } = res.json;
+  // Both interventions belong to one resident, so the pooled figures count that resident once.
+  assert.equal(overall.interventions, 2);
+  assert.equal(overall.residents, 1);
+  assert.equal(overall.falls_before, 2);
+  assert.equal(overall.falls_after, 1);
+  assert.equal(overall.resident_days_before, 60);
+  assert.ok(overall.fall_rate_before.ci_low < overall.fall_rate_before.rate);
+  assert.ok(overall.fall_rate_before.ci_high > overall.fall_rate_before.rate);
+  assert.ok(overall.fall_rate_ratio.value > 0);
+  assert.equal(overall.risk_transitions.compared, 1);
+  assert.equal(overall.risk_transitions.improved, 1);
+  assert.equal(overall.risk_transitions.matrix["high->moderate"], 1);
+  assert.equal(overall.score_changes.tug_seconds.n, 1);
+  assert.equal(overall.score_changes.tug_seconds.mean_change, -3.5);
+  assert.ok(overall.warnings.includes("interventions_below_minimum"));
+  assert.ok(overall.warnings.includes("follow_up_incomplete"));
+  assert.deepEqual(res.json.by_intervention.map((group) => group.intervention_key).sort(), ["medication_review", "pt_referral"]);
+  assert.equal(res.json.by_unit[0].unit_id, unitId);
+  assert.equal(res.json.by_unit[0].falls_before, 2);
+  assert.equal(res.json.by_unit[0].resident_days_before, 60);
+
+  const tokenRes = await request("POST", "/exports/tokens", clinician.token, {
+    export_type: "intervention_effectiveness",
+    params: { window_days: 60, unit_id: unitId },
+  });
+  assert.equal(tokenRes.status, 201, tokenRes.text);
+  const downloadRes = await fetch(`${baseUrl}/exports/download?token=${tokenRes.json.id}`);
+  assert.equal(downloadRes.status, 200);
+  const csvLines = (await downloadRes.text()).trim().split("\n");
+  assert.ok(csvLines[0].startsWith("group_type,group_key"));
+  assert.equal(csvLines.length, 5);
+});
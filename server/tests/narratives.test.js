@@ -0,0 +1,198 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_NARRATIVES || "4117");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let clinicianToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createScoredAssessment = async (residentId, assessmentDate, scores, extra = {}) => {
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: assessmentDate,
+    assessment_protocol: "tug_chair_balance",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  const updateRes = await request("PATCH", `/assessments/${assessmentRes.json.id}`, clinicianToken, {
+    scores,
+    ...extra,
+  });
+  assert.equal(updateRes.status, 200, `Assessment update failed: ${updateRes.text}`);
+  return assessmentRes.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for narrative tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("narrative drafts are deterministic SOAP text built from scores, device, falls and prior assessments", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Narrative",
+    last_name: "Tester",
+    dob: "1938-06-02",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+
+  await createScoredAssessment(
+    residentId,
+    "2026-01-10",
+    { tug_seconds: 14.5, chair_stand_seconds: 17, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false },
+    { status: "completed", risk_tier: "moderate" }
+  );
+  const fallRes = await request("POST", `/residents/${residentId}/fall-events`, clinicianToken, {
+    occurred_at: "2026-02-14T10:00:00Z",
+    injury_severity: "minor",
+  });
+  assert.equal(fallRes.status, 201, fallRes.text);
+
+  const unscored = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-01",
+  });
+  const noScores = await request("POST", `/assessments/${unscored.json.id}/narrative`, clinicianToken, {});
+  assert.equal(noScores.status, 400);
+
+  const assessmentId = await createScoredAssessment(
+    residentId,
+    "2026-03-01",
+    { tug_seconds: 12.8, chair_stand_seconds: 16, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false },
+    { assistive_device: "walker" }
+  );
+
+  const empty = await request("GET", `/assessments/${assessmentId}/narrative`, clinicianToken);
+  assert.equal(empty.status, 200);
+  assert.deepEqual(empty.json, { draft: null, accepted: null });
+
+  const first = await request("POST", `/assessments/${assessmentId}/narrative`, clinicianToken, {});
+  assert.equal(first.status, 201, first.text);
+  assert.equal(first.json.status, "draft");
+  assert.equal(first.json.template_version, "soap_v1");
+  assert.match(first.json.subjective, /Uses a walker\./);
+  assert.match(first.json.subjective, /1 fall recorded .* most recent on 2026-02-14 \(injury: minor\)/);
+  assert.match(first.json.objective, /TUG \(sec\): 12\.8/);
+  assert.match(first.json.objective, /Compared with the assessment on 2026-01-10: TUG \(sec\) 14\.5 to 12\.8 \(improved\)/);
+  assert.match(first.json.assessment, /TUG of 12 seconds or more/);
+  assert.match(first.json.assessment, /Suggested risk tier: high/);
+  assert.match(first.json.assessment, /No clinician risk tier has been confirmed\./);
+  assert.match(first.json.plan, /No risk tier has been confirmed by a clinician/);
+  assert.doesNotMatch(first.json.plan, /Refer to physical therapy/);
+
+  const tierRes = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { risk_tier: "high" });
+  assert.equal(tierRes.status, 200, tierRes.text);
+  const second = await request("POST", `/assessments/${assessmentId}/narrative`, clinicianToken, {});
+  assert.equal(second.status, 201);
+  for (const section of ["subjective", "objective"]) {
+    assert.equal(second.json[section], first.json[section]);
+  }
+  assert.match(second.json.assessment, /Clinician risk tier: high\./);
+  assert.match(second.json.plan, /Refer to physical therapy/);
+  const stale = await request("POST", `/assessments/${assessmentId}/narrative/accept`, clinicianToken, {
+    narrative_id: first.json.id,
+  });
+  assert.equal(stale.status, 409);
+
+  const detailBefore = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detailBefore.json.clinician_notes, null);
+
+  const accepted = await request("POST", `/assessments/${assessmentId}/narrative/accept`, clinicianToken, {
+    narrative_id: second.json.id,
+    plan: "Refer to PT twice weekly for four weeks.",
+  });
+  assert.equal(accepted.status, 200, accepted.text);
+  assert.equal(accepted.json.status, "accepted");
+  assert.equal(accepted.json.edited, true);
+  assert.equal(accepted.json.plan, "Refer to PT twice weekly for four weeks.");
+  assert.equal(accepted.json.subjective, second.json.subjective);
+
+  const current = await request("GET", `/assessments/${assessmentId}/narrative`, clinicianToken);
+  assert.equal(current.json.draft, null);
+  assert.equal(current.json.accepted.id, second.json.id);
+  const detailAfter = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detailAfter.json.clinician_notes, null);
+});
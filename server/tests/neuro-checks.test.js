@@ -0,0 +1,334 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_NEURO_CHECKS || "4121");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createFacility = async (name, token) => {
+  const res = await request("POST", "/facilities", token, {
+    name,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(res.status, 201, `Facility create failed: ${res.text}`);
+  return res.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for neuro check tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "1",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const createResident = async (facilityId) => {
+  const res = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Neuro",
+    last_name: "Check",
+    dob: "1940-03-03",
+    sex: "M",
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.json.id;
+};
+
+const waitForNeuroStatus = async (neuroCheckId, status) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const { rows } = await pool.query(`SELECT status FROM fall_neuro_checks WHERE id = $1`, [neuroCheckId]);
+    if (rows[0]?.status === status) {
+      return;
+    }
+    await delay(250);
+  }
+  throw new Error(`Neuro check ${neuroCheckId} did not reach ${status}`);
+};
+
+const waitForEscalations = async (neuroCheckId) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const { rows } = await pool.query(
+      `SELECT user_id, type, data FROM notifications WHERE data->>'neuro_check_id' = $1`,
+      [neuroCheckId]
+    );
+    if (rows.length) {
+      return rows;
+    }
+    await delay(250);
+  }
+  throw new Error(`Neuro check ${neuroCheckId} was not escalated`);
+};
+
+test("unwitnessed falls and head strikes get a neuro check schedule", async () => {
+  const facilityId = await createFacility(`Neuro Facility ${Date.now()}`, adminToken);
+  const residentId = await createResident(facilityId);
+
+  const witnessedRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+    witness: "CNA on shift",
+  });
+  assert.equal(witnessedRes.status, 201, witnessedRes.text);
+  assert.equal(witnessedRes.json.head_strike, false);
+  const witnessedChecks = await request("GET", `/fall-events/${witnessedRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(witnessedChecks.status, 200, witnessedChecks.text);
+  assert.equal(witnessedChecks.json.checks.length, 0);
+
+  const unwitnessedRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+  });
+  assert.equal(unwitnessedRes.status, 201, unwitnessedRes.text);
+  const listRes = await request("GET", `/fall-events/${unwitnessedRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(listRes.status, 200, listRes.text);
+  const checks = listRes.json.checks;
+  assert.deepEqual(
+    checks.slice(0, 13).map((check) => check.interval_minutes),
+    [15, 15, 15, 15, 30, 30, 30, 30, 60, 60, 60, 60, 240]
+  );
+  const createdAt = new Date(unwitnessedRes.json.created_at).getTime();
+  const lastDue = new Date(checks[checks.length - 1].due_at).getTime();
+  assert.ok(lastDue - createdAt <= 72 * 60 * 60 * 1000);
+  assert.ok(checks.every((check) => check.status === "pending"));
+  const { rows: taskRows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM task_queue WHERE task_type = 'neuro_check_due' AND payload->>'neuro_check_id' = ANY($1)`,
+    [checks.map((check) => check.id)]
+  );
+  assert.equal(taskRows[0].count, checks.length);
+
+  const correctionRes = await request("PATCH", `/fall-events/${witnessedRes.json.id}`, adminToken, {
+    head_strike: true,
+    reason: "Resident reported hitting head",
+  });
+  assert.equal(correctionRes.status, 200, correctionRes.text);
+  assert.equal(correctionRes.json.head_strike, true);
+  const correctedChecks = await request("GET", `/fall-events/${witnessedRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(correctedChecks.json.checks.length, checks.length);
+
+  const completeRes = await request(
+    "POST",
+    `/fall-events/${unwitnessedRes.json.id}/neuro-checks/${checks[0].id}`,
+    adminToken,
+    { data: { consciousness: "alert", pupils: "equal_reactive", gcs_eye: 4, gcs_verbal: 5, gcs_motor: 6, gcs_total: 15 } }
+  );
+  assert.equal(completeRes.status, 200, completeRes.text);
+  assert.equal(completeRes.json.status, "completed");
+  assert.equal(completeRes.json.data.gcs_total, 15);
+
+  const repeatRes = await request("POST", `/fall-events/${unwitnessedRes.json.id}/neuro-checks/${checks[0].id}`, adminToken, {});
+  assert.equal(repeatRes.status, 409, repeatRes.text);
+
+  const invalidRes = await request("POST", `/fall-events/${unwitnessedRes.json.id}/neuro-checks/${checks[1].id}`, adminToken, {
+    data: { gcs_eye: 4, gcs_verbal: 5, gcs_motor: 6, gcs_total: 12 },
+  });
+  assert.equal(invalidRes.status, 400, invalidRes.text);
+
+  const voidRes = await request("POST", `/fall-events/${unwitnessedRes.json.id}/void`, adminToken, {
+    reason: "Duplicate entry",
+  });
+  assert.equal(voidRes.status, 200, voidRes.text);
+  const voidedChecks = await request("GET", `/fall-events/${unwitnessedRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(voidedChecks.json.checks[0].status, "completed");
+  assert.ok(voidedChecks.json.checks.slice(1).every((check) => check.status === "cancelled"));
+});
+
+test("neuro checks are timed from when the fall occurred and skip checks already past", async () => {
+  const facilityId = await createFacility(`Late Neuro Facility ${Date.now()}`, adminToken);
+  const residentId = await createResident(facilityId);
+
+  const occurredAt = new Date(Date.now() - 100 * 60 * 1000);
+  occurredAt.setUTCSeconds(0, 0);
+  const lateRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: occurredAt.toISOString(),
+  });
+  assert.equal(lateRes.status, 201, lateRes.text);
+  const lateChecks = await request("GET", `/fall-events/${lateRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(lateChecks.status, 200, lateChecks.text);
+  const [first] = lateChecks.json.checks;
+  assert.equal(first.sequence, 6);
+  assert.equal(new Date(first.due_at).getTime(), occurredAt.getTime() + 120 * 60 * 1000);
+  assert.ok(lateChecks.json.checks.every((check) => check.status === "pending"));
+
+  const staleRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+  });
+  assert.equal(staleRes.status, 201, staleRes.text);
+  const staleChecks = await request("GET", `/fall-events/${staleRes.json.id}/neuro-checks`, adminToken);
+  assert.equal(staleChecks.json.checks.length, 0);
+});
+
+test("correcting occurred_at reschedules the pending neuro checks", async () => {
+  const facilityId = await createFacility(`Corrected Neuro Facility ${Date.now()}`, adminToken);
+  const residentId = await createResident(facilityId);
+  const eventRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+  });
+  assert.equal(eventRes.status, 201, eventRes.text);
+  const eventId = eventRes.json.id;
+  const initial = await request("GET", `/fall-events/${eventId}/neuro-checks`, adminToken);
+  const [first] = initial.json.checks;
+  assert.equal(first.sequence, 1);
+  const recordRes = await request("POST", `/fall-events/${eventId}/neuro-checks/${first.id}`, adminToken, {
+    notes: "Alert and oriented",
+  });
+  assert.equal(recordRes.status, 200, recordRes.text);
+
+  const correctedAt = new Date(Date.now() - 100 * 60 * 1000);
+  correctedAt.setUTCSeconds(0, 0);
+  const patchRes = await request("PATCH", `/fall-events/${eventId}`, adminToken, {
+    occurred_at: correctedAt.toISOString(),
+    reason: "Time of fall confirmed by night staff",
+  });
+  assert.equal(patchRes.status, 200, patchRes.text);
+
+  const corrected = await request("GET", `/fall-events/${eventId}/neuro-checks`, adminToken);
+  const checks = corrected.json.checks;
+  assert.equal(checks.find((check) => check.id === first.id).status, "completed");
+  assert.ok(checks.some((check) => check.status === "cancelled"));
+  const pending = checks.filter((check) => check.status === "pending");
+  assert.equal(pending[0].sequence, 6);
+  assert.equal(new Date(pending[0].due_at).getTime(), correctedAt.getTime() + 120 * 60 * 1000);
+  assert.equal(new Set(pending.map((check) => check.sequence)).size, pending.length);
+
+  const unchangedRes = await request("PATCH", `/fall-events/${eventId}`, adminToken, {
+    injury_severity: "minor",
+    reason: "Skin tear noted",
+  });
+  assert.equal(unchangedRes.status, 200, unchangedRes.text);
+  const unchanged = await request("GET", `/fall-events/${eventId}/neuro-checks`, adminToken);
+  assert.deepEqual(
+    unchanged.json.checks.filter((check) => check.status === "pending").map((check) => check.id),
+    pending.map((check) => check.id)
+  );
+});
+
+test("missed neuro checks escalate and show in the workflow queue", async () => {
+  const admin = await login("admin@stridesafe.com", "password123");
+  const residentId = await createResident(admin.user.facility_id);
+  const eventRes = await request("POST", `/residents/${residentId}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+    witness: "Family member",
+    head_strike: true,
+  });
+  assert.equal(eventRes.status, 201, eventRes.text);
+  const listRes = await request("GET", `/fall-events/${eventRes.json.id}/neuro-checks`, adminToken);
+  const [first, second] = listRes.json.checks;
+
+  await pool.query(
+    `UPDATE fall_neuro_checks SET due_at = now() - interval '20 minutes' WHERE id = $1`,
+    [first.id]
+  );
+  await pool.query(
+    `UPDATE task_queue SET run_at = now() - interval '1 minute' WHERE task_key = $1`,
+    [`neuro_check_due:${first.id}`]
+  );
+  await waitForNeuroStatus(first.id, "missed");
+
+  const notificationRows = await waitForEscalations(first.id);
+  assert.ok(notificationRows.every((row) => row.type === "sla.escalated"));
+  assert.ok(notificationRows.some((row) => row.user_id === admin.user.id && row.data.stage === "assignee"));
+  assert.ok(notificationRows.every((row) => row.data.policy === "neuro_check"));
+
+  const queueRes = await request("GET", "/workflow/queue", adminToken);
+  assert.equal(queueRes.status, 200, queueRes.text);
+  const neuroItems = queueRes.json.filter((item) => item.item_type === "neuro_check" && item.fall_event_id === eventRes.json.id);
+  assert.deepEqual(neuroItems.map((item) => item.id).sort(), [first.id, second.id].sort());
+  const missedItem = neuroItems.find((item) => item.id === first.id);
+  assert.equal(missedItem.neuro_check_status, "missed");
+  assert.equal(missedItem.sla_status, "overdue");
+
+  const lateRes = await request("POST", `/fall-events/${eventRes.json.id}/neuro-checks/${first.id}`, adminToken, {
+    notes: "Recorded late",
+  });
+  assert.equal(lateRes.status, 200, lateRes.text);
+  assert.ok(lateRes.json.missed_at);
+  const afterRes = await request("GET", "/workflow/queue", adminToken);
+  assert.ok(!afterRes.json.some((item) => item.id === first.id));
+});
@@ -0,0 +1,243 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_POST_FALL_CHECKS || "4120");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createFacility = async (name, token) => {
+  const res = await request("POST", "/facilities", token, {
+    name,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(res.status, 201, `Facility create failed: ${res.text}`);
+  return res.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for post-fall check tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const createFacilityWithChecklist = async () => {
+  const facilityId = await createFacility(`Check Schema Facility ${Date.now()}`, adminToken);
+  const updateRes = await request("PATCH", `/facilities/${facilityId}`, adminToken, {
+    fall_checklist: ["Vitals", "Neuro check", "Medication review"],
+  });
+  assert.equal(updateRes.status, 200, updateRes.text);
+  return facilityId;
+};
+
+const createFallEvent = async (facilityId) => {
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Check",
+    last_name: "Data",
+    dob: "1942-02-02",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const eventRes = await request("POST", `/residents/${residentRes.json.id}/fall-events`, adminToken, {
+    occurred_at: new Date().toISOString(),
+  });
+  assert.equal(eventRes.status, 201, eventRes.text);
+  return eventRes.json.id;
+};
+
+test("facility check schemas expand presets and reject invalid definitions", async () => {
+  const facilityId = await createFacilityWithChecklist();
+
+  const unknownItemRes = await request("PUT", `/facilities/${facilityId}/fall-check-schemas`, adminToken, {
+    schemas: { "Not on checklist": { fields: [{ key: "pulse" }] } },
+  });
+  assert.equal(unknownItemRes.status, 400, unknownItemRes.text);
+
+  const badRangeRes = await request("PUT", `/facilities/${facilityId}/fall-check-schemas`, adminToken, {
+    schemas: { Vitals: { fields: [{ key: "weight", label: "Weight", type: "number", min: 200, max: 20 }] } },
+  });
+  assert.equal(badRangeRes.status, 400, badRangeRes.text);
+
+  const saveRes = await request("PUT", `/facilities/${facilityId}/fall-check-schemas`, adminToken, {
+    schemas: {
+      Vitals: {
+        fields: [
+          { key: "systolic_bp", required: true },
+          { key: "diastolic_bp", required: true },
+          { key: "spo2" },
+        ],
+      },
+      "Medication review": {
+        fields: [
+          { key: "medication_review_outcome", required: true },
+          { key: "pharmacist", label: "Pharmacist", type: "text" },
+        ],
+      },
+    },
+  });
+  assert.equal(saveRes.status, 200, saveRes.text);
+  const vitals = saveRes.json.schemas.Vitals.fields;
+  assert.deepEqual(vitals[0], {
+    key: "systolic_bp",
+    label: "Systolic BP",
+    type: "integer",
+    required: true,
+    min: 50,
+    max: 260,
+    unit: "mmHg",
+  });
+  assert.equal(vitals[2].required, false);
+
+  const getRes = await request("GET", `/facilities/${facilityId}/fall-check-schemas`, adminToken);
+  assert.equal(getRes.status, 200, getRes.text);
+  assert.deepEqual(Object.keys(getRes.json.schemas).sort(), ["Medication review", "Vitals"]);
+  assert.ok(getRes.json.presets.some((preset) => preset.key === "gcs_total"));
+});
+
+test("check data is validated against the facility schema", async () => {
+  const facilityId = await createFacilityWithChecklist();
+  const saveRes = await request("PUT", `/facilities/${facilityId}/fall-check-schemas`, adminToken, {
+    schemas: {
+      Vitals: { fields: [{ key: "systolic_bp", required: true }, { key: "diastolic_bp", required: true }, { key: "pulse" }] },
+      "Neuro check": { fields: [{ key: "gcs_eye" }, { key: "gcs_verbal" }, { key: "gcs_motor" }, { key: "gcs_total", required: true }] },
+    },
+  });
+  assert.equal(saveRes.status, 200, saveRes.text);
+  const eventId = await createFallEvent(facilityId);
+  const postCheck = (body) => request("POST", `/fall-events/${eventId}/checks`, adminToken, body);
+
+  const outOfRange = await postCheck({ check_type: "Vitals", completed: false, data: { pulse: 400 } });
+  assert.equal(outOfRange.status, 400, outOfRange.text);
+
+  const unknownField = await postCheck({ check_type: "Vitals", completed: false, data: { temperature: 37 } });
+  assert.equal(unknownField.status, 400, unknownField.text);
+
+  const partial = await postCheck({ check_type: "Vitals", completed: false, data: { pulse: 88 }, notes: "Resident anxious" });
+  assert.equal(partial.status, 200, partial.text);
+  assert.deepEqual(partial.json.data, { pulse: 88 });
+
+  const missingRequired = await postCheck({ check_type: "Vitals", completed: true });
+  assert.equal(missingRequired.status, 400, missingRequired.text);
+  assert.match(missingRequired.json.message, /systolic_bp, diastolic_bp/);
+
+  const inverted = await postCheck({
+    check_type: "Vitals",
+    completed: true,
+    data: { systolic_bp: 70, diastolic_bp: 90, pulse: 88 },
+  });
+  assert.equal(inverted.status, 400, inverted.text);
+
+  const completed = await postCheck({
+    check_type: "Vitals",
+    completed: true,
+    data: { systolic_bp: 132, diastolic_bp: 84, pulse: 88 },
+  });
+  assert.equal(completed.status, 200, completed.text);
+  assert.equal(completed.json.status, "completed");
+  assert.equal(completed.json.notes, "Resident anxious");
+
+  const reopened = await postCheck({ check_type: "Vitals", completed: false });
+  assert.equal(reopened.status, 200, reopened.text);
+  assert.deepEqual(reopened.json.data, { systolic_bp: 132, diastolic_bp: 84, pulse: 88 });
+
+  const gcsMismatch = await postCheck({
+    check_type: "Neuro check",
+    completed: true,
+    data: { gcs_eye: 4, gcs_verbal: 5, gcs_motor: 6, gcs_total: 14 },
+  });
+  assert.equal(gcsMismatch.status, 400, gcsMismatch.text);
+
+  const noSchema = await postCheck({ check_type: "Medication review", completed: true, data: { outcome: "ok" } });
+  assert.equal(noSchema.status, 400, noSchema.text);
+
+  const checksRes = await request("GET", `/fall-events/${eventId}/checks`, adminToken);
+  assert.equal(checksRes.status, 200, checksRes.text);
+  const vitals = checksRes.json.find((check) => check.check_type === "Vitals");
+  assert.equal(vitals.data.systolic_bp, 132);
+
+  const reportRes = await request("POST", `/fall-events/${eventId}/reports`, adminToken);
+  assert.equal(reportRes.status, 201, reportRes.text);
+});
@@ -0,0 +1,250 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_QUESTIONNAIRE || "4113");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let clinicianToken;
+let clinicianId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const today = new Date().toISOString().slice(0, 10);
+
+const createAssessment = async (protocol) => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Survey",
+    last_name: "Tester",
+    dob: "1936-11-02",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: today,
+    assessment_protocol: protocol,
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return { assessmentId: assessmentRes.json.id, residentId: residentRes.json.id };
+};
+
+const morseScores = {
+  morse_history_of_falling: 25,
+  morse_secondary_diagnosis: 15,
+  morse_ambulatory_aid: 15,
+  morse_iv_access: 0,
+  morse_gait: 10,
+  morse_mental_status: 0,
+};
+
+const steadiAnswers = (overrides = {}) => ({
+  steadi_fallen_past_year: false,
+  steadi_advised_walking_aid: false,
+  steadi_unsteady_walking: false,
+  steadi_holds_furniture: false,
+  steadi_worried_falling: false,
+  steadi_pushes_to_stand: false,
+  steadi_curb_trouble: false,
+  steadi_rushes_toilet: false,
+  steadi_lost_feeling_feet: false,
+  steadi_medicine_lightheaded: false,
+  steadi_medicine_sleep_mood: false,
+  steadi_feels_sad: false,
+  ...overrides,
+});
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for questionnaire tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+  clinicianId = clinician.user.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("morse fall scale scores answer points on the server", async () => {
+  const { assessmentId } = await createAssessment("morse_fall_scale");
+
+  const invalid = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...morseScores, morse_gait: 15 },
+  });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.json.message, /morse_gait \(0 or 10 or 20\)/);
+
+  const saved = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores: morseScores });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.json.suggested_risk_tier, "high");
+  assert.deepEqual(saved.json.risk_rule_reasons, ["morse_high_risk"]);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.json.scores.morse_total_score, 65);
+  assert.equal(detail.json.scores.morse_band, "high");
+});
+
+test("stay independent questionnaire requires every answer and weights the first two", async () => {
+  const { assessmentId } = await createAssessment("steadi_stay_independent");
+
+  const partial = steadiAnswers();
+  delete partial.steadi_feels_sad;
+  const missing = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores: partial });
+  assert.equal(missing.status, 400);
+  assert.match(missing.json.message, /steadi_feels_sad/);
+
+  const belowThreshold = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: steadiAnswers({ steadi_worried_falling: true, steadi_feels_sad: true, steadi_curb_trouble: true }),
+  });
+  assert.equal(belowThreshold.status, 200);
+  assert.equal(belowThreshold.json.suggested_risk_tier, "low");
+
+  const atRisk = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: steadiAnswers({ steadi_fallen_past_year: true, steadi_advised_walking_aid: true }),
+  });
+  assert.equal(atRisk.status, 200);
+  assert.equal(atRisk.json.suggested_risk_tier, "moderate");
+  assert.deepEqual(atRisk.json.risk_rule_reasons, ["steadi_at_risk"]);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.json.scores.steadi_total_score, 4);
+  assert.equal(detail.json.scores.steadi_band, "at_risk");
+});
+
+test("questionnaires feed the workflow queue, outcomes and reports without video", async () => {
+  const { assessmentId, residentId } = await createAssessment("morse_fall_scale");
+  const saved = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: morseScores,
+    status: "needs_review",
+  });
+  assert.equal(saved.status, 200);
+
+  const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const earlierRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: lastWeek,
+    assessment_protocol: "steadi_stay_independent",
+  });
+  assert.equal(earlierRes.status, 201);
+  const earlierSaved = await request("PATCH", `/assessments/${earlierRes.json.id}`, clinicianToken, {
+    scores: steadiAnswers(),
+  });
+  assert.equal(earlierSaved.json.suggested_risk_tier, "low");
+
+  // Outcomes count clinician tiers only, so suggestions alone leave the trend unknown.
+  const unconfirmed = await request("GET", "/analytics/outcomes?limit=50", clinicianToken);
+  assert.equal(unconfirmed.status, 200);
+  const unconfirmedTrend = unconfirmed.json.resident_trends.find((item) => item.resident_id === residentId);
+  assert.equal(unconfirmedTrend.latest_risk, null);
+  assert.equal(unconfirmedTrend.trend, "unknown");
+  assert.equal(unconfirmedTrend.assessments[0].suggested_risk_tier, "high");
+
+  const confirmedEarlier = await request("PATCH", `/assessments/${earlierRes.json.id}`, clinicianToken, { risk_tier: "low" });
+  assert.equal(confirmedEarlier.status, 200, confirmedEarlier.text);
+  const confirmed = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { risk_tier: "high" });
+  assert.equal(confirmed.status, 200, confirmed.text);
+
+  const queue = await request("GET", "/workflow/queue?status=needs_review", clinicianToken);
+  assert.equal(queue.status, 200);
+  const queued = queue.json.find((item) => item.id === assessmentId);
+  assert.ok(queued, "Questionnaire should be in the workflow queue");
+  assert.equal(queued.assessment_protocol, "morse_fall_scale");
+  assert.equal(queued.assessment_kind, "questionnaire");
+  assert.equal(queued.suggested_risk_tier, "high");
+
+  const outcomes = await request("GET", "/analytics/outcomes?limit=50", clinicianToken);
+  assert.equal(outcomes.status, 200);
+  const trend = outcomes.json.resident_trends.find((item) => item.resident_id === residentId);
+  assert.ok(trend, "Questionnaire resident should appear in outcomes");
+  assert.equal(trend.latest_risk, "high");
+  assert.equal(trend.previous_risk, "low");
+  assert.equal(trend.trend, "worsened");
+  assert.equal(trend.assessments[0].assessment_protocol, "morse_fall_scale");
+
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201, `Report failed: ${reportRes.text}`);
+  const { rows } = await pool.query(`SELECT created_by FROM reports WHERE id = $1`, [reportRes.json.id]);
+  assert.equal(rows[0].created_by, clinicianId);
+});
@@ -0,0 +1,184 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_REASSESSMENT_DRAFTS || "4125");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for reassessment draft tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "1",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const waitForDraft = async (previousAssessmentId) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const { rows } = await pool.query(
+      `SELECT id FROM assessments WHERE previous_assessment_id = $1`,
+      [previousAssessmentId]
+    );
+    if (rows[0]) {
+      return rows[0].id;
+    }
+    await delay(250);
+  }
+  throw new Error("Reassessment draft was not created");
+};
+
+test("the due scan drafts the next reassessment ahead of the reassessment date", async () => {
+  const facilityId = clinician.user.facility_id;
+  const facilityRes = await request("GET", `/facilities/${facilityId}`, adminToken);
+  assert.equal(facilityRes.status, 200, facilityRes.text);
+  assert.equal(facilityRes.json.reassessment_lead_days, 14);
+  const cadence = facilityRes.json.reassessment_cadence_days;
+
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Next",
+    last_name: "Screen",
+    dob: "1938-02-02",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const residentId = residentRes.json.id;
+
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, clinician.token, {
+    assessment_date: isoDate(0),
+    assessment_protocol: "tug_chair_balance",
+  });
+  assert.equal(assessmentRes.status, 201, assessmentRes.text);
+  const assessmentId = assessmentRes.json.id;
+  const assignRes = await request("PATCH", `/assessments/${assessmentId}/assign`, clinician.token, {
+    assigned_to: "me",
+  });
+  assert.equal(assignRes.status, 200, assignRes.text);
+  const completeRes = await request("PATCH", `/assessments/${assessmentId}`, clinician.token, {
+    scores: { tug_seconds: 10, chair_stand_seconds: 11, balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: true },
+    status: "completed",
+    risk_tier: "low",
+  });
+  assert.equal(completeRes.status, 200, completeRes.text);
+
+  await pool.query(
+    `UPDATE task_queue SET run_at = now() - interval '1 minute'
+     WHERE task_type = 'assessment_due_scan' AND status = 'pending' AND payload->>'facility_id' = $1`,
+    [facilityId]
+  );
+  const draftId = await waitForDraft(assessmentId);
+
+  const detailRes = await request("GET", `/assessments/${draftId}`, clinician.token);
+  assert.equal(detailRes.status, 200, detailRes.text);
+  const draft = detailRes.json;
+  assert.equal(draft.status, "draft");
+  assert.equal(draft.previous_assessment_id, assessmentId);
+  assert.equal(draft.assessment_protocol, "tug_chair_balance");
+  assert.equal(draft.capture_method, assessmentRes.json.capture_method);
+  assert.equal(draft.assigned_to, clinician.user.id);
+  assert.equal(String(draft.due_date).slice(0, 10), isoDate(cadence - 14));
+  assert.equal(String(draft.scheduled_date).slice(0, 10), isoDate(cadence - 14));
+
+  const queueRes = await request("GET", "/workflow/queue?assigned_to=me", clinician.token);
+  assert.equal(queueRes.status, 200, queueRes.text);
+  const queued = queueRes.json.find((item) => item.id === draftId);
+  assert.ok(queued);
+  assert.equal(queued.status, "draft");
+  assert.equal(queued.previous_assessment_id, assessmentId);
+
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM assessments WHERE resident_id = $1`,
+    [residentId]
+  );
+  assert.equal(rows[0].count, 2);
+});
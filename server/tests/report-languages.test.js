@@ -0,0 +1,223 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_REPORT_LANGUAGES || "4119");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let clinicianToken;
+let clinicianId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createReadyAssessment = async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Lucia",
+    last_name: "Idioma",
+    dob: "1939-04-12",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-18",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  const assessmentId = assessmentRes.json.id;
+
+  await pool.query(
+    `INSERT INTO videos (assessment_id, storage_key, content_type, uploaded_by)
+     VALUES ($1, $2, $3, $4)`,
+    [assessmentId, `videos/${assessmentId}/language-test.mp4`, "video/mp4", clinicianId]
+  );
+  const scoreRes = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: {
+      tug_seconds: 13.5,
+      chair_stand_seconds: 16.2,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: false,
+    },
+  });
+  assert.equal(scoreRes.status, 200, `Score update failed: ${scoreRes.text}`);
+  return assessmentId;
+};
+
+const downloadReport = async (reportId, token) => {
+  const response = await fetch(`${baseUrl}/reports/${reportId}/download`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  assert.equal(response.status, 200);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const signPayload = {
+  password: "password123",
+  signer_name: "Casey Clinician",
+  signer_credentials: "PT, DPT",
+  attest: true,
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for report language tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+  clinicianId = clinician.user.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("assessment reports render in the requested language and keep it through signing", async () => {
+  const assessmentId = await createReadyAssessment();
+  const invalid = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, { language: "fr" });
+  assert.equal(invalid.status, 400);
+
+  const spanish = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, { language: "es" });
+  assert.equal(spanish.status, 201, `Report create failed: ${spanish.text}`);
+  assert.equal(spanish.json.language, "es");
+  const pdf = await downloadReport(spanish.json.id, clinicianToken);
+  assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+
+  const regenerated = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(regenerated.status, 201);
+  assert.equal(regenerated.json.language, "es");
+
+  const signed = await request("POST", `/reports/${regenerated.json.id}/sign`, clinicianToken, signPayload);
+  assert.equal(signed.status, 201, `Sign failed: ${signed.text}`);
+  assert.match(signed.json.attestation_text, /^Certifico que/);
+
+  const amendment = await request("POST", `/reports/${regenerated.json.id}/amendments`, clinicianToken, {
+    amendment_type: "addendum",
+    reason: "Family request",
+    addendum_text: "Se revisaron los resultados con la familia.",
+  });
+  assert.equal(amendment.status, 201, amendment.text);
+  assert.equal(amendment.json.language, "es");
+
+  const english = await request("POST", `/assessments/${(await createReadyAssessment())}/reports`, clinicianToken, {});
+  assert.equal(english.status, 201);
+  assert.equal(english.json.language, "en");
+});
+
+test("handouts need a clinician risk tier and keep one copy per language", async () => {
+  const assessmentId = await createReadyAssessment();
+  const noTier = await request("POST", `/assessments/${assessmentId}/handouts`, clinicianToken, { language: "es" });
+  assert.equal(noTier.status, 400);
+
+  const tierRes = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { risk_tier: "high" });
+  assert.equal(tierRes.status, 200, tierRes.text);
+
+  const invalid = await request("POST", `/assessments/${assessmentId}/handouts`, clinicianToken, { language: "de" });
+  assert.equal(invalid.status, 400);
+  const english = await request("POST", `/assessments/${assessmentId}/handouts`, clinicianToken, {});
+  assert.equal(english.status, 201, english.text);
+  assert.equal(english.json.report_type, "handout");
+  assert.equal(english.json.language, "en");
+  const spanish = await request("POST", `/assessments/${assessmentId}/handouts`, clinicianToken, { language: "es" });
+  assert.equal(spanish.status, 201, spanish.text);
+  assert.equal(spanish.json.language, "es");
+
+  const spanishPdf = await downloadReport(spanish.json.id, clinicianToken);
+  assert.equal(spanishPdf.subarray(0, 4).toString(), "%PDF");
+
+  // Handouts do not count as the assessment report, so a clinical report can still be drafted and signed.
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201);
+  const signed = await request("POST", `/reports/${reportRes.json.id}/sign`, clinicianToken, signPayload);
+  assert.equal(signed.status, 201, signed.text);
+  const afterSigning = await request("POST", `/assessments/${assessmentId}/handouts`, clinicianToken, { language: "es" });
+  assert.equal(afterSigning.status, 201);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.status, 200);
+  assert.deepEqual(detail.json.handouts.map((handout) => handout.language), ["en", "es"]);
+  assert.equal(detail.json.handouts[1].id, afterSigning.json.id);
+  assert.equal(detail.json.report.id, reportRes.json.id);
+});
+
+test("PT summary rejects unsupported languages", async () => {
+  const assessmentId = await createReadyAssessment();
+  const res = await request("GET", `/assessments/${assessmentId}/pt-summary?language=fr`, clinicianToken);
+  assert.equal(res.status, 400);
+});
@@ -21,6 +21,7 @@ let residentId;
 let assessmentId;
 let firstReportId;
 let firstReportMeta;
+let finalizedReport;
 
 const request = async (method, urlPath, token, body) => {
   const headers = { "Content-Type": "application/json" };
@@ -163,10 +164,10 @@ after(async () => {
   }
 });
 
-test("report metadata is stored and finalized blocks clinician regeneration", async () => {
+test("report metadata is stored and drafts stay unfinalized until signed", async () => {
   const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
   assert.equal(reportRes.status, 201);
-  assert.equal(reportRes.json.finalized, true);
+  assert.equal(reportRes.json.finalized, false);
   assert.equal(reportRes.json.template_version, "v1");
   assert.ok(reportRes.json.generated_at);
   assert.equal(reportRes.json.generated_by, reportRes.json.created_by);
@@ -177,24 +178,45 @@ test("report metadata is stored and finalized blocks clinician regeneration", as
     [firstReportId]
   );
   firstReportMeta = rows[0];
-  assert.equal(firstReportMeta.finalized, true);
+  assert.equal(firstReportMeta.finalized, false);
+});
+
+test("finalized report blocks regeneration", async () => {
+  const { rows } = await pool.query(
+    `INSERT INTO reports (assessment_id, pdf_storage_key, template_version, finalized, report_type)
+     VALUES ($1, $2, $3, true, 'assessment')
+     RETURNING id, template_version, generated_at, generated_by, finalized`,
+    [assessmentId, `reports/legacy-${assessmentId}.pdf`, "v1"]
+  );
+  finalizedReport = rows[0];
+  assert.ok(finalizedReport?.id);
 
   const blocked = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
-  assert.equal(blocked.status, 403);
+  assert.equal(blocked.status, 409);
+  const adminBlocked = await request("POST", `/assessments/${assessmentId}/reports`, adminToken, {});
+  assert.equal(adminBlocked.status, 409);
 });
 
-test("admin can regenerate without mutating prior metadata", async () => {
-  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, adminToken, {});
-  assert.equal(reportRes.status, 201);
-  assert.notEqual(reportRes.json.id, firstReportId);
+test("admin amendment links to the finalized report without mutating prior metadata", async () => {
+  const amendRes = await request("POST", `/reports/${finalizedReport.id}/amendments`, adminToken, {
+    amendment_type: "amendment",
+    reason: "Corrected assistive device",
+  });
+  assert.equal(amendRes.status, 201, `Amendment failed: ${amendRes.text}`);
+  assert.notEqual(amendRes.json.id, finalizedReport.id);
+  assert.equal(amendRes.json.supersedes_report_id, finalizedReport.id);
+  assert.equal(amendRes.json.finalized, false);
 
   const { rows } = await pool.query(
-    `SELECT template_version, generated_at, generated_by, finalized FROM reports WHERE id = $1`,
-    [firstReportId]
+    `SELECT id, template_version, generated_at, generated_by, finalized FROM reports WHERE id = ANY($1::uuid[])`,
+    [[firstReportId, finalizedReport.id]]
   );
-  const fresh = rows[0];
+  const fresh = rows.find((row) => row.id === firstReportId);
   assert.equal(fresh.template_version, firstReportMeta.template_version);
   assert.equal(String(fresh.generated_at), String(firstReportMeta.generated_at));
   assert.equal(fresh.generated_by, firstReportMeta.generated_by);
-  assert.equal(fresh.finalized, true);
+  assert.equal(fresh.finalized, false);
+  const original = rows.find((row) => row.id === finalizedReport.id);
+  assert.equal(String(original.generated_at), String(finalizedReport.generated_at));
+  assert.equal(original.finalized, true);
 });
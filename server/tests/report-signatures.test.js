@@ -0,0 +1,342 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createHash } from "node:crypto";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_REPORT_SIGNATURES || "4116");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinicianToken;
+let clinicianId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createReadyAssessment = async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Signature",
+    last_name: "Tester",
+    dob: "1939-04-12",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-18",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  const assessmentId = assessmentRes.json.id;
+
+  await pool.query(
+    `INSERT INTO videos (assessment_id, storage_key, content_type, uploaded_by)
+     VALUES ($1, $2, $3, $4)`,
+    [assessmentId, `videos/${assessmentId}/signature-test.mp4`, "video/mp4", clinicianId]
+  );
+  const scoreRes = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: {
+      tug_seconds: 13.5,
+      chair_stand_seconds: 16.2,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: false,
+    },
+  });
+  assert.equal(scoreRes.status, 200, `Score update failed: ${scoreRes.text}`);
+  return assessmentId;
+};
+
+const downloadReport = async (reportId, token) => {
+  const response = await fetch(`${baseUrl}/reports/${reportId}/download`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  assert.equal(response.status, 200);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const signPayload = {
+  password: "password123",
+  signer_name: "Casey Clinician",
+  signer_credentials: "PT, DPT",
+  attest: true,
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for report signature tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RATE_LIMIT_SIGN_MAX: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+  clinicianId = clinician.user.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("signing requires the password, typed name, credentials, and attestation", async () => {
+  const assessmentId = await createReadyAssessment();
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201, `Report create failed: ${reportRes.text}`);
+  const reportId = reportRes.json.id;
+
+  const noAttest = await request("POST", `/reports/${reportId}/sign`, clinicianToken, { ...signPayload, attest: false });
+  assert.equal(noAttest.status, 400);
+  const noCredentials = await request("POST", `/reports/${reportId}/sign`, clinicianToken, {
+    ...signPayload,
+    signer_credentials: " ",
+  });
+  assert.equal(noCredentials.status, 400);
+  const wrongPassword = await request("POST", `/reports/${reportId}/sign`, clinicianToken, {
+    ...signPayload,
+    password: "not-the-password",
+  });
+  assert.equal(wrongPassword.status, 403);
+
+  const { rows } = await pool.query(`SELECT locked_at FROM assessments WHERE id = $1`, [assessmentId]);
+  assert.equal(rows[0].locked_at, null);
+  const { rows: signatureRows } = await pool.query(
+    `SELECT id FROM report_signatures WHERE assessment_id = $1`,
+    [assessmentId]
+  );
+  assert.equal(signatureRows.length, 0);
+});
+
+test("signed report stores the PDF hash and locks the assessment and scores", async () => {
+  const assessmentId = await createReadyAssessment();
+  const staleRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(staleRes.status, 201);
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201);
+  assert.equal(reportRes.json.finalized, false);
+  const reportId = reportRes.json.id;
+
+  const stale = await request("POST", `/reports/${staleRes.json.id}/sign`, clinicianToken, signPayload);
+  assert.equal(stale.status, 409);
+
+  const signed = await request("POST", `/reports/${reportId}/sign`, clinicianToken, signPayload);
+  assert.equal(signed.status, 201, `Sign failed: ${signed.text}`);
+  assert.equal(signed.json.report_id, reportId);
+  assert.equal(signed.json.signed_by, clinicianId);
+  assert.equal(signed.json.signer_name, "Casey Clinician");
+  assert.equal(signed.json.signer_credentials, "PT, DPT");
+  assert.ok(signed.json.attestation_text);
+  assert.ok(signed.json.signed_at);
+
+  const pdf = await downloadReport(reportId, clinicianToken);
+  assert.equal(createHash("sha256").update(pdf).digest("hex"), signed.json.pdf_sha256);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.status, 200);
+  assert.ok(detail.json.locked_at);
+  assert.equal(detail.json.locked_by, clinicianId);
+  assert.equal(detail.json.signature.id, signed.json.id);
+  assert.equal(detail.json.report.finalized, true);
+
+  const edit = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { clinician_notes: "late edit" });
+  assert.equal(edit.status, 409);
+  const scoreEdit = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    scores: { tug_seconds: 11.1 },
+    score_change_reason: "data_entry_error",
+  });
+  assert.equal(scoreEdit.status, 409);
+  const qaEdit = await request("PUT", `/assessments/${assessmentId}/qa`, clinicianToken, { notes: "late QA" });
+  assert.equal(qaEdit.status, 409);
+  const regenerate = await request("POST", `/assessments/${assessmentId}/reports`, adminToken, {});
+  assert.equal(regenerate.status, 409);
+  const resign = await request("POST", `/reports/${reportId}/sign`, clinicianToken, signPayload);
+  assert.equal(resign.status, 409);
+
+  const { rows } = await pool.query(
+    `SELECT tug_seconds FROM assessment_scores WHERE assessment_id = $1`,
+    [assessmentId]
+  );
+  assert.equal(Number(rows[0].tug_seconds), 13.5);
+  const { rows: auditRows } = await pool.query(
+    `SELECT metadata FROM audit_logs WHERE action = 'report.signed' AND entity_id = $1`,
+    [reportId]
+  );
+  assert.equal(auditRows[0]?.metadata?.pdf_sha256, signed.json.pdf_sha256);
+});
+
+test("amendments and addenda link to the signed report and keep it immutable", async () => {
+  const assessmentId = await createReadyAssessment();
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201);
+  const originalId = reportRes.json.id;
+
+  const early = await request("POST", `/reports/${originalId}/amendments`, clinicianToken, {
+    amendment_type: "amendment",
+    reason: "Too early",
+  });
+  assert.equal(early.status, 409);
+
+  const signed = await request("POST", `/reports/${originalId}/sign`, clinicianToken, signPayload);
+  assert.equal(signed.status, 201);
+
+  const invalidType = await request("POST", `/reports/${originalId}/amendments`, clinicianToken, {
+    amendment_type: "rewrite",
+    reason: "Nope",
+  });
+  assert.equal(invalidType.status, 400);
+  const noText = await request("POST", `/reports/${originalId}/amendments`, clinicianToken, {
+    amendment_type: "addendum",
+    reason: "Family call",
+  });
+  assert.equal(noText.status, 400);
+
+  const amendRes = await request("POST", `/reports/${originalId}/amendments`, clinicianToken, {
+    amendment_type: "amendment",
+    reason: "TUG retimed from video",
+  });
+  assert.equal(amendRes.status, 201, `Amendment failed: ${amendRes.text}`);
+  assert.equal(amendRes.json.supersedes_report_id, originalId);
+  assert.equal(amendRes.json.amendment_type, "amendment");
+
+  const scoreFix = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: {
+      tug_seconds: 12.8,
+      chair_stand_seconds: 16.2,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: false,
+    },
+  });
+  assert.equal(scoreFix.status, 200, `Score fix failed: ${scoreFix.text}`);
+
+  const regenerated = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(regenerated.status, 201);
+  assert.equal(regenerated.json.supersedes_report_id, originalId);
+  assert.equal(regenerated.json.amendment_reason, "TUG retimed from video");
+
+  const amendedSigned = await request("POST", `/reports/${regenerated.json.id}/sign`, clinicianToken, signPayload);
+  assert.equal(amendedSigned.status, 201, `Amendment sign failed: ${amendedSigned.text}`);
+
+  const addendumRes = await request("POST", `/reports/${regenerated.json.id}/amendments`, clinicianToken, {
+    amendment_type: "addendum",
+    reason: "Family conference",
+    addendum_text: "Discussed results with daughter; agrees with walker use.",
+  });
+  assert.equal(addendumRes.status, 201);
+  const lockedEdit = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { clinician_notes: "edit" });
+  assert.equal(lockedEdit.status, 409);
+  const addendumSigned = await request("POST", `/reports/${addendumRes.json.id}/sign`, clinicianToken, signPayload);
+  assert.equal(addendumSigned.status, 201, `Addendum sign failed: ${addendumSigned.text}`);
+
+  const originalPdf = await downloadReport(originalId, clinicianToken);
+  assert.equal(createHash("sha256").update(originalPdf).digest("hex"), signed.json.pdf_sha256);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.status, 200);
+  assert.deepEqual(
+    detail.json.report_lineage.map((entry) => entry.id),
+    [originalId, regenerated.json.id, addendumRes.json.id]
+  );
+  assert.deepEqual(
+    detail.json.report_lineage.map((entry) => entry.amendment_type),
+    [null, "amendment", "addendum"]
+  );
+  assert.ok(detail.json.report_lineage.every((entry) => entry.finalized && entry.pdf_sha256));
+  assert.equal(detail.json.report_lineage[1].amendment_reason, "TUG retimed from video");
+  assert.ok(detail.json.locked_at);
+});
+
+test("repeated signing attempts are rate limited", async () => {
+  const assessmentId = await createReadyAssessment();
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, clinicianToken, {});
+  assert.equal(reportRes.status, 201);
+
+  let limited = null;
+  for (let attempt = 0; attempt < 16 && !limited; attempt += 1) {
+    const res = await request("POST", `/reports/${reportRes.json.id}/sign`, clinicianToken, {
+      ...signPayload,
+      password: "wrong-password",
+    });
+    if (res.status === 429) {
+      limited = res;
+    } else {
+      assert.equal(res.status, 403, res.text);
+    }
+  }
+  assert.ok(limited, "Signing attempts should hit the rate limit");
+  assert.match(limited.json.message, /Too many signing attempts/);
+});
@@ -0,0 +1,291 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_REPORT_TEMPLATES || "4118");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinicianToken;
+let facilityId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+// 1x1 transparent PNG.
+const pngLogo = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+const uploadLogo = async (buffer, type, filename) => {
+  const form = new FormData();
+  form.append("logo", new Blob([buffer], { type }), filename);
+  const response = await fetch(`${baseUrl}/facilities/${facilityId}/report-template/logo`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${adminToken}` },
+    body: form,
+  });
+  const text = await response.text();
+  return { status: response.status, json: text ? JSON.parse(text) : null, text };
+};
+
+const preview = async (body) => {
+  const response = await fetch(`${baseUrl}/facilities/${facilityId}/report-template/preview`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${adminToken}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, type: response.headers.get("content-type"), body: Buffer.from(await response.arrayBuffer()) };
+};
+
+const createReadyAssessment = async () => {
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Template",
+    last_name: "Tester",
+    dob: "1941-09-30",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, adminToken, {
+    assessment_date: "2026-04-02",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  const assessmentId = assessmentRes.json.id;
+  await pool.query(
+    `INSERT INTO videos (assessment_id, storage_key, content_type)
+     VALUES ($1, $2, $3)`,
+    [assessmentId, `videos/${assessmentId}/template-test.mp4`, "video/mp4"]
+  );
+  const scoreRes = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    scores: {
+      tug_seconds: 15.1,
+      chair_stand_seconds: 14.4,
+      balance_side_by_side: true,
+      balance_semi_tandem: false,
+      balance_tandem: false,
+    },
+  });
+  assert.equal(scoreRes.status, 200, `Score update failed: ${scoreRes.text}`);
+  return assessmentId;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for report template tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+
+  const facilityRes = await request("POST", "/facilities", adminToken, {
+    name: `Template Facility ${Date.now()}`,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(facilityRes.status, 201, `Facility create failed: ${facilityRes.text}`);
+  facilityId = facilityRes.json.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("report template changes are admin-only, validated, and saved as new versions", async () => {
+  const forbidden = await request("GET", `/facilities/${facilityId}/report-template`, clinicianToken);
+  assert.equal(forbidden.status, 403);
+
+  const initial = await request("GET", `/facilities/${facilityId}/report-template`, adminToken);
+  assert.equal(initial.status, 200);
+  assert.equal(initial.json.template.id, null);
+  assert.equal(initial.json.template.version, null);
+  assert.equal(initial.json.template.config.primary_color, "#0b4a3b");
+  assert.deepEqual(initial.json.versions, []);
+  assert.ok(initial.json.available_sections.includes("video_stills"));
+
+  const badColor = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, { primary_color: "green" });
+  assert.equal(badColor.status, 400);
+  const missingScores = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, {
+    sections: ["resident", "clinician_notes"],
+  });
+  assert.equal(missingScores.status, 400);
+  const unknownSection = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, {
+    sections: ["resident", "scores", "weather"],
+  });
+  assert.equal(unknownSection.status, 400);
+
+  const first = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, {
+    title: "Maple Grove Mobility Report",
+    header_text: "Maple Grove Senior Living",
+    footer_text: "Confidential resident health information",
+    primary_color: "#1F4E79",
+  });
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.json.version, 1);
+  assert.equal(first.json.config.primary_color, "#1f4e79");
+  assert.deepEqual(first.json.config.sections, ["resident", "scores", "clinician_notes", "narrative"]);
+
+  const second = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, {
+    sections: ["resident", "trend_chart", "scores", "fall_history", "video_stills"],
+  });
+  assert.equal(second.status, 200, second.text);
+  assert.equal(second.json.version, 2);
+  assert.equal(second.json.config.title, "Maple Grove Mobility Report");
+  assert.deepEqual(second.json.config.sections, ["resident", "trend_chart", "scores", "fall_history", "video_stills"]);
+
+  const badLogo = await uploadLogo(Buffer.from("not an image"), "image/png", "logo.png");
+  assert.equal(badLogo.status, 400);
+  const logo = await uploadLogo(pngLogo, "image/png", "logo.png");
+  assert.equal(logo.status, 201, logo.text);
+  assert.equal(logo.json.version, 3);
+  assert.match(logo.json.config.logo_storage_key, new RegExp(`^branding/${facilityId}/.+\\.png$`));
+  assert.equal(logo.json.config.footer_text, "Confidential resident health information");
+
+  const current = await request("GET", `/facilities/${facilityId}/report-template`, adminToken);
+  assert.equal(current.json.template.version, 3);
+  assert.deepEqual(current.json.versions.map((entry) => entry.version), [3, 2, 1]);
+});
+
+test("preview renders a PDF without saving reports or template versions", async () => {
+  const assessmentId = await createReadyAssessment();
+
+  const sample = await preview({ config: { title: "Unsaved Title", primary_color: "#7a1f1f" } });
+  assert.equal(sample.status, 200);
+  assert.match(sample.type, /application\/pdf/);
+  assert.equal(sample.body.subarray(0, 4).toString(), "%PDF");
+
+  const live = await preview({ assessment_id: assessmentId });
+  assert.equal(live.status, 200);
+  assert.equal(live.body.subarray(0, 4).toString(), "%PDF");
+  const ptSummary = await preview({ assessment_id: assessmentId, report_type: "pt_summary" });
+  assert.equal(ptSummary.status, 200);
+  const spanishHandout = await preview({ report_type: "handout", language: "es" });
+  assert.equal(spanishHandout.status, 200);
+  assert.equal(spanishHandout.body.subarray(0, 4).toString(), "%PDF");
+
+  const invalid = await preview({ config: { sections: ["scores"] } });
+  assert.equal(invalid.status, 400);
+  const otherFacility = await request("POST", `/facilities/${facilityId}/report-template/preview`, adminToken, {
+    assessment_id: "00000000-0000-4000-8000-000000000000",
+  });
+  assert.equal(otherFacility.status, 404);
+
+  const { rows } = await pool.query(`SELECT id FROM reports WHERE assessment_id = $1`, [assessmentId]);
+  assert.equal(rows.length, 0);
+  const current = await request("GET", `/facilities/${facilityId}/report-template`, adminToken);
+  assert.equal(current.json.template.config.title, "Maple Grove Mobility Report");
+  assert.equal(current.json.versions.length, 3);
+});
+
+test("reports record the template version they were rendered with", async () => {
+  const assessmentId = await createReadyAssessment();
+  const reportRes = await request("POST", `/assessments/${assessmentId}/reports`, adminToken, {});
+  assert.equal(reportRes.status, 201, `Report create failed: ${reportRes.text}`);
+  const { rows: templateRows } = await pool.query(
+    `SELECT id FROM report_templates WHERE facility_id = $1 AND version = 3`,
+    [facilityId]
+  );
+  assert.equal(reportRes.json.report_template_id, templateRows[0].id);
+  assert.equal(reportRes.json.report_template_version, 3);
+  assert.equal(reportRes.json.template_version, "v1");
+
+  const bumped = await request("PUT", `/facilities/${facilityId}/report-template`, adminToken, { footer_text: null });
+  assert.equal(bumped.status, 200);
+  assert.equal(bumped.json.version, 4);
+
+  const signed = await request("POST", `/reports/${reportRes.json.id}/sign`, adminToken, {
+    password: "password123",
+    signer_name: "Avery Admin",
+    signer_credentials: "PT",
+    attest: true,
+  });
+  assert.equal(signed.status, 201, `Sign failed: ${signed.text}`);
+  const { rows } = await pool.query(
+    `SELECT report_template_version FROM reports WHERE id = $1`,
+    [reportRes.json.id]
+  );
+  assert.equal(rows[0].report_template_version, 3);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, adminToken);
+  assert.equal(detail.json.report.report_template_version, 3);
+});
@@ -0,0 +1,215 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_TRENDS || "4114");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let clinicianToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createCompletedAssessment = async (residentId, assessmentDate, scores, riskTier) => {
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: assessmentDate,
+    assessment_protocol: "tug_chair_balance",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  const updateRes = await request("PATCH", `/assessments/${assessmentRes.json.id}`, clinicianToken, {
+    scores,
+    risk_tier: riskTier,
+    status: "completed",
+  });
+  assert.equal(updateRes.status, 200, `Assessment update failed: ${updateRes.text}`);
+  return assessmentRes.json.id;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for resident trend tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("resident trends return completed score series with deltas, MCID and slope", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Trend",
+    last_name: "Tester",
+    dob: "1939-06-18",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201);
+  const residentId = residentRes.json.id;
+
+  const balance = { balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false };
+  const firstId = await createCompletedAssessment(
+    residentId,
+    "2026-01-05",
+    { tug_seconds: 16, chair_stand_seconds: 18, ...balance },
+    "high"
+  );
+  await createCompletedAssessment(
+    residentId,
+    "2026-02-04",
+    { tug_seconds: 14, chair_stand_seconds: 18, ...balance },
+    "moderate"
+  );
+  await createCompletedAssessment(
+    residentId,
+    "2026-03-06",
+    { tug_seconds: 13, chair_stand_seconds: 17.5, ...balance, balance_tandem: true },
+    "moderate"
+  );
+  const draftRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-20",
+  });
+  assert.equal(draftRes.status, 201);
+
+  const trends = await request("GET", `/residents/${residentId}/trends`, clinicianToken);
+  assert.equal(trends.status, 200);
+  assert.equal(trends.json.series.length, 3);
+  assert.equal(trends.json.series[0].assessment_id, firstId);
+  assert.equal(trends.json.series[0].balance_stages_passed, 2);
+  assert.equal(trends.json.series[2].balance_stages_passed, 3);
+
+  const tug = trends.json.metrics.tug_seconds;
+  assert.equal(tug.first, 16);
+  assert.equal(tug.latest, 13);
+  assert.equal(tug.delta, -1);
+  assert.equal(tug.change, -3);
+  assert.equal(tug.slope_per_30_days, -1.5);
+  assert.equal(tug.mcid_met, true);
+  assert.equal(tug.direction, "improved");
+
+  const chair = trends.json.metrics.chair_stand_seconds;
+  assert.equal(chair.change, -0.5);
+  assert.equal(chair.mcid_met, false);
+  assert.equal(chair.direction, "stable");
+
+  assert.equal(trends.json.metrics.balance_stages_passed.direction, "improved");
+  assert.equal(trends.json.metrics.risk_tier.first, "high");
+  assert.equal(trends.json.metrics.risk_tier.latest, "moderate");
+  assert.equal(trends.json.metrics.risk_tier.delta, 0);
+  assert.equal(trends.json.metrics.risk_tier.direction, "improved");
+});
+
+test("resident trends count only clinician tiers, not suggested ones", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Suggested",
+    last_name: "Trend",
+    dob: "1940-05-05",
+    sex: "M",
+  });
+  assert.equal(residentRes.status, 201);
+  const residentId = residentRes.json.id;
+  const balance = { balance_side_by_side: true, balance_semi_tandem: true, balance_tandem: false };
+  await createCompletedAssessment(residentId, "2026-04-01", { tug_seconds: 22, chair_stand_seconds: 18, ...balance });
+  await createCompletedAssessment(residentId, "2026-04-20", { tug_seconds: 10, chair_stand_seconds: 11, ...balance });
+
+  const trends = await request("GET", `/residents/${residentId}/trends`, clinicianToken);
+  assert.equal(trends.status, 200);
+  assert.equal(trends.json.series.length, 2);
+  assert.ok(trends.json.series[0].suggested_risk_tier);
+  assert.ok(trends.json.series.every((item) => item.risk_tier === null));
+  assert.equal(trends.json.metrics.risk_tier.points, 0);
+  assert.equal(trends.json.metrics.risk_tier.direction, "insufficient_data");
+});
+
+test("resident trends report insufficient data without completed assessments", async () => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "Empty",
+    last_name: "Trend",
+    dob: "1941-02-11",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201);
+
+  const trends = await request("GET", `/residents/${residentRes.json.id}/trends`, clinicianToken);
+  assert.equal(trends.status, 200);
+  assert.deepEqual(trends.json.series, []);
+  assert.equal(trends.json.metrics.tug_seconds.direction, "insufficient_data");
+  assert.equal(trends.json.metrics.tug_seconds.slope_per_30_days, null);
+
+  const missing = await request("GET", "/residents/00000000-0000-0000-0000-000000000000/trends", clinicianToken);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,205 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_RISK || "4109");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createFacility = async (protocol) => {
+  const res = await request("POST", "/facilities", adminToken, {
+    name: `Risk ${protocol} ${Date.now()}`,
+    assessment_protocol: protocol,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(res.status, 201, `Facility create failed: ${res.text}`);
+  return res.json.id;
+};
+
+const createAssessment = async (facilityId) => {
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Score",
+    last_name: "Risk",
+    dob: "1940-01-01",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const residentId = residentRes.json.id;
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, adminToken, {
+    assessment_date: "2026-02-05",
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return assessmentRes.json.id;
+};
+
+before(async () => {
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+  await waitForHealth();
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("tug_chair_balance suggests high when tug and chair stand are slow", async () => {
+  const facilityId = await createFacility("tug_chair_balance");
+  const assessmentId = await createAssessment(facilityId);
+
+  const updated = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    risk_tier: "moderate",
+    scores: {
+      tug_seconds: 13.4,
+      chair_stand_seconds: 16.2,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: true,
+    },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.json.risk_tier, "moderate");
+  assert.equal(updated.json.suggested_risk_tier, "high");
+  assert.equal(updated.json.risk_rule_version, "risk_test");
+  assert.deepEqual(updated.json.risk_rule_reasons, ["tug_slow", "chair_stand_slow"]);
+  assert.equal(updated.json.risk_tier_disagreement, true);
+
+  const agreed = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    risk_tier: "high",
+  });
+  assert.equal(agreed.status, 200);
+  assert.equal(agreed.json.risk_tier_disagreement, false);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, adminToken);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.json.suggested_risk_tier, "high");
+  assert.equal(detail.json.risk_tier_disagreement, false);
+});
+
+test("tug_only suggests low below the TUG cutoff", async () => {
+  const facilityId = await createFacility("tug_only");
+  const assessmentId = await createAssessment(facilityId);
+
+  const updated = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    scores: { tug_seconds: 11.2 },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.json.suggested_risk_tier, "low");
+  assert.deepEqual(updated.json.risk_rule_reasons, []);
+  assert.equal(updated.json.risk_tier_disagreement, false);
+
+  const slower = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    scores: { tug_seconds: 21 },
+  });
+  assert.equal(slower.status, 200);
+  assert.equal(slower.json.suggested_risk_tier, "high");
+  assert.deepEqual(slower.json.risk_rule_reasons, ["tug_high"]);
+});
+
+test("balance_only suggests moderate when only tandem fails", async () => {
+  const facilityId = await createFacility("balance_only");
+  const assessmentId = await createAssessment(facilityId);
+
+  const updated = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    risk_tier: "low",
+    scores: {
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: false,
+    },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.json.suggested_risk_tier, "moderate");
+  assert.deepEqual(updated.json.risk_rule_reasons, ["balance_tandem_failed"]);
+  assert.equal(updated.json.risk_tier_disagreement, true);
+});
+
+test("assessments without scores have no suggestion", async () => {
+  const facilityId = await createFacility("tug_only");
+  const assessmentId = await createAssessment(facilityId);
+
+  const updated = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    risk_tier: "high",
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.json.suggested_risk_tier, null);
+  assert.equal(updated.json.risk_rule_version, null);
+  assert.equal(updated.json.risk_tier_disagreement, false);
+});
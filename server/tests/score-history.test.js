@@ -0,0 +1,224 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_SCORE_HISTORY || "4115");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let clinicianToken;
+let clinicianId;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createAssessment = async (protocol = "tug_chair_balance") => {
+  const residentRes = await request("POST", "/residents", clinicianToken, {
+    first_name: "History",
+    last_name: "Tester",
+    dob: "1940-09-09",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinicianToken, {
+    assessment_date: "2026-03-10",
+    assessment_protocol: protocol,
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return assessmentRes.json.id;
+};
+
+const baseScores = {
+  tug_seconds: 13.2,
+  chair_stand_seconds: 14.1,
+  balance_side_by_side: true,
+  balance_semi_tandem: true,
+  balance_tandem: true,
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for score history tests.");
+  }
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+
+  const clinician = await login("clinician@stridesafe.com", "password123");
+  clinicianToken = clinician.token;
+  clinicianId = clinician.user.id;
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("score changes are kept as revisions with old and new values", async () => {
+  const assessmentId = await createAssessment();
+
+  const first = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores: baseScores });
+  assert.equal(first.status, 200);
+  const repeat = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, { scores: baseScores });
+  assert.equal(repeat.status, 200);
+  const second = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...baseScores, tug_seconds: 12.4, score_notes: "Retimed from video" },
+  });
+  assert.equal(second.status, 200);
+
+  const history = await request("GET", `/assessments/${assessmentId}/score-history`, clinicianToken);
+  assert.equal(history.status, 200);
+  assert.equal(history.json.length, 2);
+  const [latest, initial] = history.json;
+  assert.equal(initial.revision_number, 1);
+  assert.equal(initial.source, "manual");
+  assert.equal(initial.previous_scores, null);
+  assert.equal(initial.new_scores.tug_seconds, 13.2);
+  assert.equal(initial.changed_by, clinicianId);
+  assert.equal(latest.revision_number, 2);
+  assert.deepEqual([...latest.changed_fields].sort(), ["score_notes", "tug_seconds"]);
+  assert.equal(latest.previous_scores.tug_seconds, 13.2);
+  assert.equal(latest.new_scores.tug_seconds, 12.4);
+});
+
+test("completed assessments require a reason to change scores", async () => {
+  const assessmentId = await createAssessment();
+  const completed = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: baseScores,
+    risk_tier: "moderate",
+    status: "completed",
+  });
+  assert.equal(completed.status, 200);
+
+  const missingReason = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...baseScores, chair_stand_seconds: 16 },
+    clinician_notes: "Should not be saved",
+  });
+  assert.equal(missingReason.status, 400);
+  assert.match(missingReason.json.message, /score_change_reason/);
+
+  const invalidReason = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...baseScores, chair_stand_seconds: 16 },
+    score_change_reason: "because",
+  });
+  assert.equal(invalidReason.status, 400);
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(Number(detail.json.scores.chair_stand_seconds), 14.1);
+  assert.equal(detail.json.clinician_notes, null);
+
+  const amended = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { ...baseScores, chair_stand_seconds: 16 },
+    score_change_reason: "data_entry_error",
+    score_change_note: "Transposed digits",
+  });
+  assert.equal(amended.status, 200);
+  assert.ok(amended.json.risk_rule_reasons.includes("chair_stand_slow"));
+
+  const history = await request("GET", `/assessments/${assessmentId}/score-history`, clinicianToken);
+  assert.equal(history.json.length, 2);
+  assert.equal(history.json[0].reason_code, "data_entry_error");
+  assert.equal(history.json[0].reason_note, "Transposed digits");
+  assert.deepEqual(history.json[0].changed_fields, ["chair_stand_seconds"]);
+});
+
+test("model scores are recorded with their gait model run", async () => {
+  const assessmentId = await createAssessment("gait_speed");
+  const { rows } = await pool.query(
+    `INSERT INTO gait_model_runs (assessment_id, status, score_outputs)
+     VALUES ($1, 'completed', $2)
+     RETURNING id`,
+    [assessmentId, JSON.stringify({ gait_distance_meters: 4, gait_time_seconds: 4.5 })]
+  );
+
+  const detail = await request("GET", `/assessments/${assessmentId}`, clinicianToken);
+  assert.equal(detail.json.scores.gait_time_seconds, 4.5);
+
+  const manual = await request("PATCH", `/assessments/${assessmentId}`, clinicianToken, {
+    scores: { gait_distance_meters: 4, gait_time_seconds: 4.1 },
+  });
+  assert.equal(manual.status, 200);
+
+  const history = await request("GET", `/assessments/${assessmentId}/score-history`, clinicianToken);
+  assert.equal(history.json.length, 2);
+  assert.equal(history.json[1].source, "gait_model");
+  assert.equal(history.json[1].gait_model_run_id, rows[0].id);
+  assert.equal(history.json[1].changed_by, null);
+  assert.equal(history.json[0].source, "manual");
+  assert.ok(history.json[0].changed_fields.includes("gait_speed_mps"));
+});
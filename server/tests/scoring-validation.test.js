@@ -204,3 +204,38 @@ test("score range validation rejects out of range values", async () => {
   });
   assert.equal(bad.status, 400);
 });
+
+test("protocol registry lists fields per protocol", async () => {
+  const res = await request("GET", "/assessment-protocols", clinicianToken);
+  assert.equal(res.status, 200);
+  const ids = res.json.map((protocol) => protocol.id);
+  ["tug_chair_balance", "tug_only", "balance_only"].forEach((id) => {
+    assert.ok(ids.includes(id), `Missing protocol ${id}`);
+  });
+  const tugOnly = res.json.find((protocol) => protocol.id === "tug_only");
+  assert.deepEqual(tugOnly.fields.map((field) => field.key), ["tug_seconds"]);
+  assert.equal(tugOnly.fields[0].type, "number");
+  assert.equal(tugOnly.fields[0].min, 0);
+  assert.equal(tugOnly.fields[0].max, 300);
+  assert.equal(tugOnly.fields[0].required, true);
+  const defaults = res.json.filter((protocol) => protocol.default);
+  assert.equal(defaults.length, 1);
+  assert.equal(defaults[0].id, "tug_chair_balance");
+});
+
+test("out of range errors name the field and range", async () => {
+  const facilityId = await createFacility("tug_chair_balance");
+  const assessmentId = await createAssessment(facilityId);
+
+  const bad = await request("PATCH", `/assessments/${assessmentId}`, adminToken, {
+    scores: {
+      tug_seconds: 12,
+      chair_stand_seconds: 400,
+      balance_side_by_side: true,
+      balance_semi_tandem: true,
+      balance_tandem: true,
+    },
+  });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.json.message, "Score values out of range: chair_stand_seconds (0-300)");
+});
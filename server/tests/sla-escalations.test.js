@@ -0,0 +1,279 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Pool } from "pg";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_SLA || "4126");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let pool;
+let adminToken;
+let clinician;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+before(async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required for SLA escalation tests.");
+  }
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "1",
+      ALERT_EMAIL_ENABLED: "true",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+    },
+    stdio: "inherit",
+  });
+
+  await waitForHealth();
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+  clinician = await login("clinician@stridesafe.com", "password123");
+});
+
+after(async () => {
+  if (pool) {
+    await pool.end();
+  }
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// The scheduled scan sits on the next interval slot, so queue an extra run instead of waiting for it.
+const runSlaScanNow = (facilityId) =>
+  pool.query(
+    `INSERT INTO task_queue (task_type, payload, run_at) VALUES ('sla_scan', $1, now() - interval '1 minute')`,
+    [{ facility_id: facilityId }]
+  );
+
+// Ladder steps only; the `breached` marker row is checked on its own.
+const waitForStages = async (itemId, count) => {
+  const start = Date.now();
+  while (Date.now() - start < 10000) {
+    const { rows } = await pool.query(
+      `SELECT stage, rule_id, recipient_ids FROM sla_escalations
+       WHERE item_id = $1 AND stage <> 'breached' ORDER BY created_at`,
+      [itemId]
+    );
+    if (rows.length >= count) {
+      return rows;
+    }
+    await delay(250);
+  }
+  throw new Error("SLA escalations were not recorded");
+};
+
+test("admins configure SLA policies per facility", async () => {
+  const facilityId = clinician.user.facility_id;
+  const getRes = await request("GET", `/facilities/${facilityId}/sla-policies`, clinician.token);
+  assert.equal(getRes.status, 200, getRes.text);
+  assert.equal(getRes.json.customized, false);
+  assert.deepEqual(Object.keys(getRes.json.policies), [
+    "assessment_review",
+    "report_turnaround",
+    "post_fall_checklist",
+    "neuro_check",
+  ]);
+  assert.equal(getRes.json.policies.report_turnaround.breach_hours, 24);
+
+  const clinicianPut = await request("PUT", `/facilities/${facilityId}/sla-policies`, clinician.token, { policies: null });
+  assert.equal(clinicianPut.status, 403, clinicianPut.text);
+  const outOfOrder = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+    policies: {
+      neuro_check: {
+        warning_hours: 0,
+        breach_hours: 0.5,
+        escalation: [{ target: "facility_admin", after_hours: 0 }, { target: "unit_lead", after_hours: 1 }],
+      },
+    },
+  });
+  assert.equal(outOfOrder.status, 400, outOfOrder.text);
+  const silentNeuro = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+    policies: { neuro_check: { warning_hours: 0, breach_hours: 0.25, escalation: [] } },
+  });
+  assert.equal(silentNeuro.status, 400, silentNeuro.text);
+  const badBreach = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+    policies: { assessment_review: { warning_hours: 12, breach_hours: 6 } },
+  });
+  assert.equal(badBreach.status, 400, badBreach.text);
+  const badRegional = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+    regional_admin_id: clinician.user.id,
+  });
+  assert.equal(badRegional.status, 400, badRegional.text);
+});
+
+test("breached items walk the escalation ladder and show their SLA state in the queue", async () => {
+  const admin = await login("admin@stridesafe.com", "password123");
+  const facilityId = clinician.user.facility_id;
+  const unitRes = await request("POST", "/units", adminToken, {
+    facility_id: facilityId,
+    label: `SLA Unit ${Date.now()}`,
+    lead_user_id: clinician.user.id,
+  });
+  assert.equal(unitRes.status, 201, unitRes.text);
+  assert.equal(unitRes.json.lead_user_id, clinician.user.id);
+
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Late",
+    last_name: "Review",
+    dob: "1937-07-07",
+    sex: "F",
+    unit_id: unitRes.json.id,
+  });
+  assert.equal(residentRes.status, 201, residentRes.text);
+  const assessmentRes = await request("POST", `/residents/${residentRes.json.id}/assessments`, clinician.token, {
+    assessment_date: isoDate(-3),
+    scheduled_date: isoDate(-3),
+    due_date: isoDate(-3),
+  });
+  assert.equal(assessmentRes.status, 201, assessmentRes.text);
+  const assessmentId = assessmentRes.json.id;
+  const assignRes = await request("PATCH", `/assessments/${assessmentId}/assign`, clinician.token, {
+    assigned_to: "me",
+  });
+  assert.equal(assignRes.status, 200, assignRes.text);
+
+  const putRes = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+    regional_admin_id: admin.user.id,
+    policies: {
+      assessment_review: {
+        warning_hours: 0,
+        breach_hours: 24,
+        escalation: [
+          { target: "assignee", after_hours: 0 },
+          { target: "unit_lead", after_hours: 0 },
+          { target: "facility_admin", after_hours: 12 },
+          { target: "regional_admin", after_hours: 500 },
+        ],
+      },
+    },
+  });
+  assert.equal(putRes.status, 200, putRes.text);
+  assert.equal(putRes.json.customized, true);
+  assert.equal(putRes.json.regional_admin_id, admin.user.id);
+
+  try {
+    // The review breached two days ago, but the ladder starts when the scan first sees it, so the 12-hour
+    // step waits instead of firing straight away.
+    await runSlaScanNow(facilityId);
+    const firstStages = await waitForStages(assessmentId, 2);
+    assert.deepEqual(firstStages.map((row) => row.stage), ["assignee", "unit_lead"]);
+    assert.equal(firstStages[1].rule_id, "sla.assessment_review.unit_lead");
+    assert.deepEqual(firstStages[1].recipient_ids, [clinician.user.id]);
+    const { rows: markerRows } = await pool.query(
+      `SELECT recipient_ids FROM sla_escalations WHERE item_id = $1 AND stage = 'breached'`,
+      [assessmentId]
+    );
+    assert.equal(markerRows.length, 1);
+    assert.deepEqual(markerRows[0].recipient_ids, []);
+
+    await pool.query(
+      `UPDATE sla_escalations SET created_at = created_at - interval '13 hours'
+       WHERE item_id = $1 AND stage = 'breached'`,
+      [assessmentId]
+    );
+    await runSlaScanNow(facilityId);
+    const stages = await waitForStages(assessmentId, 3);
+    assert.deepEqual(stages.map((row) => row.stage), ["assignee", "unit_lead", "facility_admin"]);
+
+    const { rows: notificationRows } = await pool.query(
+      `SELECT user_id, channel, data FROM notifications
+       WHERE type = 'sla.escalated' AND data->>'assessment_id' = $1`,
+      [assessmentId]
+    );
+    const clinicianChannels = notificationRows
+      .filter((row) => row.user_id === clinician.user.id)
+      .map((row) => row.channel);
+    assert.ok(clinicianChannels.includes("in_app"));
+    assert.ok(clinicianChannels.includes("email"));
+    assert.ok(notificationRows.some((row) => row.user_id === admin.user.id && row.data.stage === "facility_admin"));
+
+    const { rows: auditRows } = await pool.query(
+      `SELECT metadata FROM audit_logs WHERE action = 'sla.escalated' AND entity_id = $1`,
+      [assessmentId]
+    );
+    assert.deepEqual(
+      auditRows.map((row) => row.metadata.rule_id).sort(),
+      ["sla.assessment_review.assignee", "sla.assessment_review.facility_admin", "sla.assessment_review.unit_lead"]
+    );
+
+    const queueRes = await request("GET", `/workflow/queue?unit_id=${unitRes.json.id}`, clinician.token);
+    assert.equal(queueRes.status, 200, queueRes.text);
+    const item = queueRes.json.find((entry) => entry.id === assessmentId);
+    assert.equal(item.sla_policy, "assessment_review");
+    assert.equal(item.sla_state, "breached");
+    assert.equal(item.sla_status, "overdue");
+    assert.equal(item.sla_escalation_level, "facility_admin");
+  } finally {
+    const resetRes = await request("PUT", `/facilities/${facilityId}/sla-policies`, adminToken, {
+      policies: null,
+      regional_admin_id: null,
+    });
+    assert.equal(resetRes.status, 200, resetRes.text);
+  }
+});
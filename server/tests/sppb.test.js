@@ -0,0 +1,248 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const serverCwd = path.resolve(__dirname, "..");
+const port = Number(process.env.TEST_PORT_SPPB || "4110");
+const baseUrl = `http://localhost:${port}`;
+
+let serverProcess;
+let adminToken;
+
+const request = async (method, urlPath, token, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const options = { method, headers };
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let json = null;
+  if (text) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+  }
+  return { status: response.status, json, text };
+};
+
+const waitForHealth = async () => {
+  const start = Date.now();
+  while (Date.now() - start < 15000) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) {
+        return;
+      }
+    } catch {
+      // ignore until server is ready
+    }
+    await delay(200);
+  }
+  throw new Error("Server did not become ready on /health");
+};
+
+const login = async (email, password) => {
+  const res = await request("POST", "/auth/login", null, { email, password });
+  assert.equal(res.status, 200, `Login failed for ${email}: ${res.text}`);
+  return res.json;
+};
+
+const createFacility = async (protocol) => {
+  const res = await request("POST", "/facilities", adminToken, {
+    name: `SPPB ${protocol} ${Date.now()}`,
+    assessment_protocol: protocol,
+    city: "Testville",
+    state: "CA",
+    zip: "94000",
+  });
+  assert.equal(res.status, 201, `Facility create failed: ${res.text}`);
+  return res.json.id;
+};
+
+const createAssessment = async (facilityId, assessmentProtocol) => {
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Score",
+    last_name: "Battery",
+    dob: "1940-01-01",
+    sex: "F",
+  });
+  assert.equal(residentRes.status, 201, `Resident create failed: ${residentRes.text}`);
+  const residentId = residentRes.json.id;
+  const assessmentRes = await request("POST", `/residents/${residentId}/assessments`, adminToken, {
+    assessment_date: "2026-02-05",
+    assessment_protocol: assessmentProtocol,
+  });
+  assert.equal(assessmentRes.status, 201, `Assessment create failed: ${assessmentRes.text}`);
+  return assessmentRes.json;
+};
+
+before(async () => {
+  serverProcess = spawn("node", ["src/index.js"], {
+    cwd: serverCwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      TASK_POLL_INTERVAL_SECONDS: "0",
+      ORPHAN_CLEANUP_INTERVAL_MINUTES: "0",
+      RISK_RULE_VERSION: "risk_test",
+      RISK_TUG_SLOW_SECONDS: "12",
+      RISK_TUG_HIGH_SECONDS: "20",
+      RISK_CHAIR_STAND_SLOW_SECONDS: "15",
+    },
+    stdio: "inherit",
+  });
+  await waitForHealth();
+  const admin = await login("admin@stridesafe.com", "password123");
+  adminToken = admin.token;
+});
+
+after(async () => {
+  if (!serverProcess) {
+    return;
+  }
+  serverProcess.kill("SIGTERM");
+  await Promise.race([once(serverProcess, "exit"), delay(2000)]);
+  if (!serverProcess.killed) {
+    serverProcess.kill("SIGKILL");
+  }
+});
+
+test("assessments can opt into sppb regardless of facility default", async () => {
+  const facilityId = await createFacility("tug_chair_balance");
+  const assessment = await createAssessment(facilityId, "sppb");
+  assert.equal(assessment.assessment_protocol, "sppb");
+
+  const protocols = await request("GET", "/assessment-protocols", adminToken);
+  const sppb = protocols.json.find((protocol) => protocol.id === "sppb");
+  assert.ok(sppb);
+  assert.deepEqual(sppb.derived_fields.map((field) => field.key), [
+    "sppb_balance_score",
+    "sppb_gait_score",
+    "sppb_chair_stand_score",
+    "sppb_total_score",
+    "sppb_band",
+  ]);
+});
+
+test("unknown assessment protocol is rejected on create", async () => {
+  const facilityId = await createFacility("tug_chair_balance");
+  const residentRes = await request("POST", "/residents", adminToken, {
+    facility_id: facilityId,
+    first_name: "Bad",
+    last_name: "Protocol",
+    dob: "1940-01-01",
+    sex: "F",
+  });
+  const res = await request("POST", `/residents/${residentRes.json.id}/assessments`, adminToken, {
+    assessment_date: "2026-02-05",
+    assessment_protocol: "not_a_protocol",
+  });
+  assert.equal(res.status, 400);
+});
+
+test("sppb validates balance holds and computes component scores", async () => {
+  const facilityId = await createFacility("sppb");
+  const assessment = await createAssessment(facilityId);
+  assert.equal(assessment.assessment_protocol, "sppb");
+
+  const missing = await request("PATCH", `/assessments/${assessment.id}`, adminToken, {
+    scores: { sppb_side_by_side_seconds: 10 },
+  });
+  assert.equal(missing.status, 400);
+
+  const outOfRange = await request("PATCH", `/assessments/${assessment.id}`, adminToken, {
+    scores: {
+      sppb_side_by_side_seconds: 10,
+      sppb_semi_tandem_seconds: 10,
+      sppb_tandem_seconds: 12,
+    },
+  });
+  assert.equal(outOfRange.status, 400);
+
+  const ok = await request("PATCH", `/assessments/${assessment.id}`, adminToken, {
+    scores: {
+      sppb_side_by_side_seconds: 10,
+      sppb_semi_tandem_seconds: 10,
+      sppb_tandem_seconds: 5,
+      sppb_gait_seconds: 5.5,
+      sppb_chair_stand_seconds: 14.2,
+    },
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.json.suggested_risk_tier, "moderate");
+  assert.deepEqual(ok.json.risk_rule_reasons, ["sppb_total_reduced"]);
+
+  const detail = await request("GET", `/assessments/${assessment.id}`, adminToken);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.json.scores.sppb_tandem_seconds, 5);
+  assert.equal(detail.json.scores.sppb_balance_score, 3);
+  assert.equal(detail.json.scores.sppb_gait_score, 3);
+  assert.equal(detail.json.scores.sppb_chair_stand_score, 2);
+  assert.equal(detail.json.scores.sppb_total_score, 8);
+  assert.equal(detail.json.scores.sppb_band, "mild");
+});
+
+test("sppb treats missing timed tests as unable and bands severe", async () => {
+  const facilityId = await createFacility("sppb");
+  const assessment = await createAssessment(facilityId);
+
+  const ok = await request("PATCH", `/assessments/${assessment.id}`, adminToken, {
+    scores: {
+      sppb_side_by_side_seconds: 10,
+      sppb_semi_tandem_seconds: 4,
+      sppb_tandem_seconds: 0,
+    },
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.json.suggested_risk_tier, "high");
+
+  const detail = await request("GET", `/assessments/${assessment.id}`, adminToken);
+  assert.equal(detail.json.scores.sppb_balance_score, 1);
+  assert.equal(detail.json.scores.sppb_gait_score, 0);
+  assert.equal(detail.json.scores.sppb_chair_stand_score, 0);
+  assert.equal(detail.json.scores.sppb_total_score, 1);
+  assert.equal(detail.json.scores.sppb_band, "severe");
+});
+
+test("assessments export includes sppb columns", async () => {
+  const facilityId = await createFacility("sppb");
+  const assessment = await createAssessment(facilityId);
+  const scored = await request("PATCH", `/assessments/${assessment.id}`, adminToken, {
+    scores: {
+      sppb_side_by_side_seconds: 10,
+      sppb_semi_tandem_seconds: 10,
+      sppb_tandem_seconds: 10,
+      sppb_gait_seconds: 4.1,
+      sppb_chair_stand_seconds: 10.5,
+    },
+  });
+  assert.equal(scored.status, 200);
+
+  const tokenRes = await request("POST", "/exports/tokens", adminToken, {
+    export_type: "assessments",
+    facility_id: facilityId,
+  });
+  assert.equal(tokenRes.status, 201, tokenRes.text);
+  const download = await request("GET", `/exports/download?token=${tokenRes.json.id}`);
+  assert.equal(download.status, 200);
+  const [headerLine, firstRow] = download.text.split("\n");
+  const headers = headerLine.split(",");
+  const values = firstRow.split(",");
+  assert.equal(values[headers.indexOf("assessment_protocol")], "sppb");
+  assert.equal(values[headers.indexOf("sppb_total_score")], "12");
+  assert.equal(values[headers.indexOf("sppb_band")], "minimal");
+});
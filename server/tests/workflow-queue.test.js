@@ -212,3 +212,27 @@ test("workflow queue includes overdue fall incidents", async () => {
   const incidents = (res.json || []).filter((item) => item.item_type === "fall_event");
   assert.ok(incidents.some((item) => item.id === fallEventId));
 });
+
+test("workflow queue lists completed assessments awaiting a report only with include_reports", async () => {
+  const createRes = await request("POST", `/residents/${residentId}/assessments`, clinicianToken, {
+    assessment_date: formatDate(new Date()),
+  });
+  assert.equal(createRes.status, 201, createRes.text);
+  const completedId = createRes.json.id;
+  for (const status of ["in_review", "completed"]) {
+    const patchRes = await request("PATCH", `/assessments/${completedId}`, clinicianToken, { status });
+    assert.equal(patchRes.status, 200, patchRes.text);
+  }
+
+  const defaultRes = await request("GET", "/workflow/queue", clinicianToken);
+  assert.equal(defaultRes.status, 200);
+  assert.ok(!defaultRes.json.some((item) => item.id === completedId));
+
+  const reportsRes = await request("GET", "/workflow/queue?include_reports=true", clinicianToken);
+  assert.equal(reportsRes.status, 200);
+  const reportItem = reportsRes.json.find((item) => item.id === completedId);
+  assert.equal(reportItem?.sla_policy, "report_turnaround");
+
+  const invalidRes = await request("GET", "/workflow/queue?include_reports=maybe", clinicianToken);
+  assert.equal(invalidRes.status, 400);
+});
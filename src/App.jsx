@@ -197,12 +197,85 @@ const buildFallEventForm = (resident) => ({
   injury_severity: "none",
   ems_called: false,
   hospital_transfer: false,
+  head_strike: false,
   witness: "",
   assistive_device: "",
   contributing_factors: "",
   notes: "",
 });
 
+const buildFallEventEditForm = (event) => ({
+  resident_id: event.resident_id || "",
+  occurred_at: formatInputDateTime(event.occurred_at),
+  building: event.building || "",
+  floor: event.floor || "",
+  unit: event.unit || "",
+  room: event.room || "",
+  injury_severity: event.injury_severity || "none",
+  ems_called: Boolean(event.ems_called),
+  hospital_transfer: Boolean(event.hospital_transfer),
+  head_strike: Boolean(event.head_strike),
+  witness: event.witness || "",
+  assistive_device: event.assistive_device || "",
+  contributing_factors: Array.isArray(event.contributing_factors) ? event.contributing_factors.join(", ") : "",
+  notes: event.notes || "",
+});
+
+const rcaCategoryKeys = ["environment", "medication", "cognition", "footwear", "toileting", "staffing"];
+
+const buildRcaForm = (rca) => ({
+  huddle_at: rca?.huddle_at ? formatInputDateTime(rca.huddle_at) : "",
+  huddle_attendees: Array.isArray(rca?.huddle_attendees) ? rca.huddle_attendees.join(", ") : "",
+  huddle_notes: rca?.huddle_notes || "",
+  whys: Array.from({ length: 5 }, (_, index) => rca?.whys?.[index] || ""),
+  factors: (rca?.factors || []).reduce((acc, factor) => {
+    acc[factor.category] = factor.description || "";
+    return acc;
+  }, {}),
+  root_cause_category: rca?.root_cause_category || "",
+  root_cause: rca?.root_cause || "",
+});
+
+const buildCorrectiveActionForm = () => ({
+  description: "",
+  owner_id: "",
+  due_date: "",
+});
+
+const interventionCategoryKeys = ["referral", "equipment", "schedule", "medication", "environment", "other"];
+
+const slaEscalationTargets = ["assignee", "unit_lead", "facility_admin", "regional_admin"];
+
+const buildInterventionDraft = (intervention) => ({
+  id: intervention.id,
+  label: intervention.label || "",
+  details: intervention.details || "",
+  start_date: formatDate(intervention.start_date),
+  end_date: formatDate(intervention.end_date),
+  owner_id: intervention.owner_id || "",
+  status_reason: intervention.status_reason || "",
+});
+
+const buildInterventionForm = () => ({
+  label: "",
+  category: "other",
+  details: "",
+  owner_id: "",
+  end_date: "",
+});
+
+// Renders an analytics estimate with its 95% interval, e.g. "1.2 (0.4-3.1)".
+const formatEffectInterval = (interval, key = "value", percent = false) => {
+  if (!interval || interval[key] === null || interval[key] === undefined) {
+    return "--";
+  }
+  const format = (value) => (percent ? `${Math.round(value * 100)}%` : String(Number(value.toFixed(2))));
+  if (interval.ci_low === null || interval.ci_low === undefined) {
+    return format(interval[key]);
+  }
+  return `${format(interval[key])} (${format(interval.ci_low)}-${format(interval.ci_high)})`;
+};
+
 const parseNumber = (value) => {
   if (value === "" || value === null || value === undefined) {
     return null;
@@ -211,6 +284,33 @@ const parseNumber = (value) => {
   return Number.isFinite(parsed) ? parsed : null;
 };
 
+const buildScoreValues = (fields, scores = {}) => fields.reduce((values, field) => {
+  values[field.key] = field.type === "boolean" ? Boolean(scores[field.key]) : (scores[field.key] ?? "");
+  return values;
+}, {});
+
+const trendChartSize = { width: 360, height: 140, padding: 18 };
+
+// Places points by date on the x axis and by value on the y axis; flat series are centered.
+const buildTrendChartPoints = (points, { width, height, padding }) => {
+  if (!points.length) {
+    return [];
+  }
+  const times = points.map((point) => new Date(point.date).getTime());
+  const values = points.map((point) => point.value);
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime;
+  const minValue = Math.min(...values);
+  const valueSpan = Math.max(...values) - minValue;
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  return points.map((point, index) => ({
+    ...point,
+    x: padding + (timeSpan ? ((times[index] - minTime) / timeSpan) * innerWidth : innerWidth / 2),
+    y: padding + (valueSpan ? (1 - (point.value - minValue) / valueSpan) * innerHeight : innerHeight / 2),
+  }));
+};
+
 const readVideoMetadata = (file) => new Promise((resolve, reject) => {
   if (!file) {
     reject(new Error("missing_file"));
@@ -322,6 +422,23 @@ const fetchBlobUrl = async (path, token) => {
   return URL.createObjectURL(blob);
 };
 
+const postForBlobUrl = async (path, token, body) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: buildHeaders({ token, isJson: true }),
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const data = await readResponseJson(response);
+    const message = data?.message || `Request failed (${response.status})`;
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+  const blob = await response.blob();
+  return URL.createObjectURL(blob);
+};
+
 const uploadWithProgress = (path, token, formData, onProgress) => new Promise((resolve, reject) => {
   const xhr = new XMLHttpRequest();
   xhr.open("POST", `${API_BASE}${path}`);
@@ -5396,6 +5513,20 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         outcomesTrendWorsened: "Empeora",
         outcomesTrendStable: "Estable",
         outcomesTrendUnknown: "Sin datos",
+        residentTrendsTitle: "Tendencias de movilidad",
+        residentTrendsBody: "Evaluaciones completadas del residente a lo largo del tiempo.",
+        residentTrendsSelect: "Selecciona un residente para ver sus tendencias.",
+        residentTrendsEmpty: "Aun no hay evaluaciones completadas con este puntaje.",
+        residentTrendsMetricLabel: "Medida",
+        residentTrendsMetricTug: "TUG (seg)",
+        residentTrendsMetricChair: "Levantarse de la silla (seg)",
+        residentTrendsMetricBalance: "Etapas de balance superadas",
+        residentTrendsChange: "Cambio desde la primera",
+        residentTrendsDelta: "Desde la anterior",
+        residentTrendsSlope: "Por 30 dias",
+        residentTrendsMcidMet: "Supera la diferencia minima clinicamente importante",
+        residentTrendsMcidNotMet: "Por debajo de la diferencia minima clinicamente importante",
+        residentTrendsRisk: "Nivel de riesgo",
         outcomesLatestLabel: "Ultimo",
         outcomesPreviousLabel: "Anterior",
         outcomesRiskLow: "Bajo",
@@ -5609,6 +5740,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         assessmentScheduled: "Fecha programada",
         assessmentDue: "Fecha limite",
         assessmentDevice: "Dispositivo de apoyo",
+        assessmentProtocolLabel: "Protocolo",
+        assessmentProtocolDefault: "Predeterminado del centro",
         assessmentSave: "Crear evaluacion",
         assessmentCreated: "Evaluacion creada.",
         assessmentSearch: "Buscar evaluaciones",
@@ -5652,10 +5785,202 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         incidentChecklistEmpty: "No hay items configurados.",
         incidentChecklistPending: "Pendiente",
         incidentChecklistDone: "Completado",
+        incidentReportDownload: "Reporte de incidente (PDF)",
+        incidentCheckNotes: "Notas del chequeo",
+        incidentHeadStrike: "Golpe en la cabeza",
+        rcaTitle: "Analisis de causa raiz",
+        rcaBody: "Registra la reunion post-caida, los 5 porques y la causa raiz.",
+        rcaHuddleAt: "Reunion post-caida",
+        rcaAttendees: "Participantes (separados por comas)",
+        rcaHuddleNotes: "Notas de la reunion",
+        rcaWhy: "Por que",
+        rcaFactors: "Factores (espina de pescado)",
+        rcaRootCauseCategory: "Categoria de causa raiz",
+        rcaRootCause: "Causa raiz",
+        rcaSave: "Guardar",
+        rcaComplete: "Completar RCA",
+        rcaReopen: "Reabrir",
+        rcaSaved: "RCA guardado.",
+        rcaStatusLabels: {
+          draft: "Borrador",
+          completed: "Completado",
+        },
+        rcaCategoryLabels: {
+          environment: "Entorno",
+          medication: "Medicacion",
+          cognition: "Cognicion",
+          footwear: "Calzado",
+          toileting: "Uso del bano",
+          staffing: "Personal",
+        },
+        rcaActionsTitle: "Acciones correctivas",
+        rcaActionsEmpty: "Sin acciones correctivas.",
+        rcaActionDescription: "Accion",
+        rcaActionOwner: "Responsable",
+        rcaActionDue: "Fecha limite",
+        rcaActionAdd: "Agregar accion",
+        rcaActionComplete: "Marcar completa",
+        rcaActionStatusLabels: {
+          open: "Abierta",
+          completed: "Completada",
+          cancelled: "Cancelada",
+        },
+        analyticsRootCauseTitle: "Principales causas raiz",
+        analyticsRootCauseBody: "RCA completados por unidad en el periodo seleccionado.",
+        analyticsRootCauseEmpty: "Sin RCA completados aun.",
+        analyticsRootCauseAnalyzed: "Caidas con RCA",
+        analyticsRootCauseMissing: "Caidas sin RCA",
+        analyticsRootCauseTop: "Causa principal",
+        analyticsEffectTitle: "Efectividad de intervenciones",
+        analyticsEffectBody: "Caidas por 1,000 dias-residente antes y despues del inicio, con intervalos de confianza del 95%.",
+        analyticsEffectEmpty: "Sin intervenciones iniciadas en el periodo.",
+        analyticsEffectInterventions: "Intervenciones iniciadas",
+        analyticsEffectRateBefore: "Tasa antes",
+        analyticsEffectRateAfter: "Tasa despues",
+        analyticsEffectRateRatio: "Razon de tasas",
+        analyticsEffectImproved: "Riesgo mejorado",
+        analyticsEffectTugChange: "Cambio TUG (s)",
+        analyticsEffectWindowLabel: "Ventana de comparacion (dias)",
+        analyticsEffectWarningLabels: {
+          interventions_below_minimum: "Muestra de intervenciones pequena",
+          risk_comparisons_below_minimum: "Pocas comparaciones de riesgo",
+          score_comparisons_below_minimum: "Pocas comparaciones de puntaje",
+          follow_up_incomplete: "Seguimiento incompleto",
+        },
+        interventionsTitle: "Plan de cuidado",
+        interventionsBody: "Intervenciones recomendadas por nivel de riesgo, puntajes y caidas recientes.",
+        interventionsSelect: "Selecciona un residente para ver su plan de cuidado.",
+        interventionsEmpty: "Sin intervenciones todavia.",
+        interventionsRecommend: "Buscar recomendaciones",
+        interventionsRecommended: "Nuevas recomendaciones",
+        interventionStatusLabels: {
+          recommended: "Recomendada",
+          accepted: "Aceptada",
+          declined: "Rechazada",
+          discontinued: "Suspendida",
+        },
+        interventionCategoryLabels: {
+          referral: "Referencia",
+          equipment: "Equipo",
+          schedule: "Horario",
+          medication: "Medicamentos",
+          environment: "Entorno",
+          other: "Otra",
+        },
+        interventionReasonLabels: {
+          risk_tier: "Nivel de riesgo",
+          finding: "Hallazgo",
+          recent_falls: "Caidas recientes",
+          injury_fall: "Caida con lesion",
+          factor: "Factor",
+        },
+        interventionAccept: "Aceptar",
+        interventionDecline: "Rechazar",
+        interventionModify: "Modificar",
+        interventionDiscontinue: "Suspender",
+        interventionModified: "Modificada",
+        interventionLabel: "Intervencion",
+        interventionCategory: "Categoria",
+        interventionDetails: "Detalles",
+        interventionStart: "Inicio",
+        interventionEnd: "Fin",
+        interventionOwner: "Responsable",
+        interventionReason: "Motivo",
+        interventionSaveAccept: "Guardar y aceptar",
+        interventionSave: "Guardar",
+        interventionAddTitle: "Agregar intervencion",
+        interventionAdd: "Agregar",
+        interventionLibraryTitle: "Biblioteca de intervenciones",
+        interventionLibraryBody: "Activa las intervenciones que el sistema puede recomendar y ajusta su nombre y descripcion.",
+        interventionLibraryRules: "Reglas",
+        interventionLibrarySave: "Guardar biblioteca",
+        interventionLibrarySaved: "Biblioteca guardada.",
+        interventionLibraryReset: "Restaurar predeterminada",
+        neuroChecksTitle: "Chequeos neurologicos",
+        neuroChecksHint: "Se programan solos para caidas sin testigo o con golpe en la cabeza.",
+        neuroChecksEmpty: "No hay chequeos neurologicos programados.",
+        neuroCheckLabel: "Chequeo neuro",
+        fallFlagBadge: "Caidas repetidas",
+        fallFlagLabel: "Alerta de caidas",
+        fallFlagRuleLabels: {
+          short_window: "Caidas repetidas (corto plazo)",
+          long_window: "Caidas repetidas (largo plazo)",
+          low_risk_screen: "Caida tras evaluacion de bajo riesgo",
+        },
+        fallFlagFalls: "Caidas",
+        fallFlagWindowDays: "dias",
+        fallFlagResolve: "Resolver alerta",
+        automationApprovalsTitle: "Aprobaciones de automatizacion",
+        automationApprovalsBody: "Las reglas no cambian la documentacion clinica sin aprobacion.",
+        automationRescreen: "Programar re-evaluacion",
+        automationRescreenDue: "Vence en (dias)",
+        automationApprove: "Aprobar",
+        automationReject: "Rechazar",
+        automationTaskLabel: "Tarea automatizada",
+        automationTaskComplete: "Marcar como hecha",
+        repeatFallRulesTitle: "Umbrales de caidas repetidas",
+        repeatFallRulesBody: "Las alertas abren un elemento prioritario en la cola y notifican al clinico asignado y a los administradores.",
+        repeatFallRulesFalls: "Caidas",
+        repeatFallRulesDays: "Dias",
+        repeatFallRulesSave: "Guardar umbrales",
+        repeatFallRulesSaved: "Umbrales guardados.",
+        repeatFallRulesReset: "Restaurar predeterminados",
+        slaPoliciesTitle: "Politicas de SLA",
+        slaPoliciesBody: "Horas desde que empieza el reloj de cada elemento. Cada paso de escalamiento se envia por la app y por correo las horas indicadas despues del incumplimiento; deja un paso en blanco para omitirlo.",
+        slaWarningHours: "Aviso (h)",
+        slaBreachHours: "Incumplimiento (h)",
+        slaRegionalAdmin: "Admin regional",
+        slaRegionalAdminNone: "Sin admin regional",
+        slaPoliciesSave: "Guardar politicas",
+        slaPoliciesSaved: "Politicas guardadas.",
+        slaPoliciesReset: "Restaurar predeterminados",
+        slaEscalatedTo: "Escalado a",
+        slaPolicyLabels: {
+          assessment_review: "Revision de evaluacion",
+          report_turnaround: "Entrega de reporte",
+          post_fall_checklist: "Lista post-caida",
+          neuro_check: "Chequeo neuro",
+        },
+        slaTargetLabels: {
+          assignee: "Asignado",
+          unit_lead: "Lider de unidad",
+          facility_admin: "Admin del centro",
+          regional_admin: "Admin regional",
+        },
+        neuroCheckRecord: "Registrar",
+        neuroCheckLate: "registrado tarde",
+        neuroCheckStatusLabels: {
+          pending: "Pendiente",
+          completed: "Completado",
+          missed: "Omitido",
+          cancelled: "Cancelado",
+        },
+        fallCheckSchemaTitle: "Campos del checklist post-caida",
+        fallCheckSchemaBody: "Elige que datos registra el equipo en cada item del checklist.",
+        fallCheckSchemaEmpty: "Agrega items al checklist post-caida para configurar campos.",
+        fallCheckSchemaRequired: "Obligatorio",
+        fallCheckSchemaCustom: "Campo personalizado",
+        fallCheckSchemaSave: "Guardar campos",
+        fallCheckSchemaSaved: "Campos guardados.",
         incidentFollowupDue: "Seguimiento pendiente",
         incidentFollowupOverdue: "Seguimiento atrasado",
         incidentLinkedAssessment: "Ultima evaluacion",
         incidentLinkedRisk: "Riesgo",
+        incidentEdit: "Corregir",
+        incidentEditTitle: "Corregir incidente",
+        incidentEditCancel: "Cancelar",
+        incidentEditSave: "Guardar correccion",
+        incidentEdited: "Incidente corregido.",
+        incidentMoved: "Incidente movido a otro residente.",
+        incidentResident: "Residente",
+        incidentChangeReason: "Motivo del cambio",
+        incidentVoid: "Anular incidente",
+        incidentVoidReasonRequired: "Ingresa un motivo para anular el incidente.",
+        incidentVoided: "Incidente anulado.",
+        incidentHistoryTitle: "Historial de cambios",
+        incidentHistoryEmpty: "Sin cambios registrados.",
+        incidentHistoryUpdate: "Correccion",
+        incidentHistoryVoid: "Anulado",
         fallCheckVitals: "Signos vitales registrados",
         fallCheckNeuro: "Chequeo neurologico completado",
         fallCheckNotify: "Familia/medico notificado",
@@ -5691,16 +6016,29 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         badgeVideo: "Video cargado",
         badgeScores: "Puntajes sincronizados",
         riskLabel: "Nivel de riesgo",
+        suggestedRiskLabel: "Nivel sugerido",
+        riskRuleVersionLabel: "Reglas",
+        riskDisagreement: "El nivel del clinico difiere del nivel sugerido por los puntajes.",
         statusLabel: "Estado",
-        tugLabel: "TUG (segundos)",
-        chairLabel: "Chair Stand (segundos)",
-        balanceSide: "Balance lado a lado",
-        balanceSemi: "Balance semi-tandem",
-        balanceTandem: "Balance tandem",
         scoreNotes: "Notas clinicas",
         clinicianNotes: "Notas del clinico",
         scoreSave: "Guardar puntajes",
         scoreSuccess: "Puntajes guardados.",
+        scoreChangeReasonLabel: "Motivo del cambio",
+        scoreChangeReasonHint: "La evaluacion esta completada; indica por que cambian los puntajes.",
+        scoreChangeNoteLabel: "Detalle del cambio",
+        scoreChangeReasonDataEntry: "Error de captura",
+        scoreChangeReasonVideoReview: "Revision del video",
+        scoreChangeReasonModelCorrection: "Correccion del modelo",
+        scoreChangeReasonClinicalJudgment: "Criterio clinico",
+        scoreChangeReasonOther: "Otro",
+        scoreHistoryTitle: "Historial de puntajes",
+        scoreHistoryEmpty: "Aun no hay cambios de puntajes.",
+        scoreHistoryRevision: "Revision",
+        scoreHistorySourceManual: "Manual",
+        scoreHistorySourceModel: "Modelo de marcha",
+        scoreHistorySourceImport: "Importacion",
+        scoreHistoryInitial: "Puntajes iniciales",
         scoreBusy: "Guardando...",
         scoreInvalid: "Ingresa un numero valido.",
         syncModelScores: "Sincronizar puntajes del modelo",
@@ -5714,7 +6052,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         runModelQueued: "El modelo se ha puesto en cola.",
         runModelNoVideo: "Necesitas un video para ejecutar el modelo.",
         runModelConflict: "El modelo ya esta en ejecucion.",
-        scoreRange: "El valor debe estar entre 0 y 300.",
+        scoreRange: "Rango permitido:",
         reportTitle: "Reporte",
         reportBody: "Genera y descarga el PDF clinico.",
         reportSummaryTitle: "Resumen del reporte",
@@ -5733,6 +6071,58 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         reportChecklistQa: "Checklist QA completo",
         reportButton: "Generar reporte",
         reportBusy: "Generando...",
+        reportLanguageLabel: "Idioma del PDF",
+        reportLanguageOptions: { en: "Inglés", es: "Español" },
+        handoutTitle: "Hoja para residente y familia",
+        handoutBody: "Explica los resultados y consejos de seguridad en casa en lenguaje sencillo. Requiere puntajes y nivel de riesgo.",
+        handoutGenerate: "Generar hoja",
+        handoutDownload: "Descargar",
+        handoutEmpty: "Aún no hay hojas generadas.",
+        signTitle: "Firmar reporte",
+        signBody: "Confirma tu contraseña, escribe tu nombre y credenciales y certifica el reporte. La firma bloquea la evaluación y sus puntajes.",
+        signNameLabel: "Nombre (firma escrita)",
+        signCredentialsLabel: "Credenciales",
+        signCredentialsPlaceholder: "PT, DPT",
+        signPasswordLabel: "Contraseña",
+        signAttestLabel: "Certifico que realicé o supervisé directamente esta evaluación y que el reporte es exacto y completo.",
+        signButton: "Firmar y finalizar",
+        signBusy: "Firmando...",
+        signRequired: "Completa nombre, credenciales, contraseña y certificación para firmar.",
+        signedTitle: "Reporte firmado",
+        signedBy: "Firmado por",
+        signedAt: "Firmado el",
+        signedHash: "SHA-256 del PDF",
+        assessmentLockedNotice: "Evaluación firmada y bloqueada. Los puntajes y notas ya no se pueden editar.",
+        narrativeTitle: "Narrativa clínica (SOAP)",
+        narrativeBody: "Borrador generado a partir de puntajes, dispositivo, caídas y evaluaciones previas. Solo entra al registro y al PDF cuando lo aceptas.",
+        narrativeDraftButton: "Generar borrador",
+        narrativeRedraftButton: "Regenerar borrador",
+        narrativeDraftBusy: "Generando...",
+        narrativeAcceptButton: "Aceptar en el registro",
+        narrativeAcceptBusy: "Aceptando...",
+        narrativeSubjective: "Subjetivo",
+        narrativeObjective: "Objetivo",
+        narrativeAssessment: "Evaluación",
+        narrativePlan: "Plan",
+        narrativeAcceptedLabel: "Aceptada",
+        narrativeEditedLabel: "editada",
+        narrativeEmpty: "Sin narrativa aceptada.",
+        amendTitle: "Enmendar reporte",
+        amendBody: "El reporte firmado no cambia. Una enmienda desbloquea la evaluación para correcciones; un addendum solo agrega texto. Ambos se firman de nuevo.",
+        amendTypeLabel: "Tipo",
+        amendTypeAmendment: "Enmienda (corregir evaluación)",
+        amendTypeAddendum: "Addendum (agregar texto)",
+        amendReasonLabel: "Motivo",
+        amendAddendumLabel: "Texto del addendum",
+        amendButton: "Crear borrador",
+        amendBusy: "Creando...",
+        amendRequired: "Indica el motivo y, para un addendum, el texto.",
+        amendDraftNotice: "Borrador de enmienda. Motivo:",
+        lineageTitle: "Historial de versiones",
+        lineageOriginal: "Original",
+        lineageAmendment: "Enmienda",
+        lineageAddendum: "Addendum",
+        lineageUnsigned: "Sin firmar",
         reportDownload: "Descargar PDF",
         reportPreview: "Vista previa",
         reportHidePreview: "Ocultar vista previa",
@@ -5796,6 +6186,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         exportTypeAudit: "Auditoria",
         exportTypeBundle: "Paquete",
         exportTypePostFallRollup: "Post-caida (resumen por unidad)",
+        exportTypeInterventionEffectiveness: "Efectividad de intervenciones",
         exportFilterResident: "ID de residente",
         exportFilterStatus: "Estado",
         exportFilterRisk: "Riesgo",
@@ -5882,9 +6273,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilitySettingsTitle: "Pilot defaults",
         facilitySettingsBody: "Recommended protocols and capture methods for clinical flow.",
         facilityProtocolLabel: "Assessment protocol",
-        facilityProtocolOptionDefault: "TUG + Chair Stand + Balance (recommended)",
-        facilityProtocolOptionTug: "TUG only",
-        facilityProtocolOptionBalance: "Balance only",
+        facilityProtocolRecommended: "(recomendado)",
         facilityCaptureLabel: "Capture method",
         facilityCaptureOptionRecord: "Record + upload (recommended)",
         facilityCaptureOptionUpload: "Upload only",
@@ -5902,6 +6291,10 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilityState: "Estado",
         facilityZip: "Codigo postal",
         facilityCadence: "Cadencia de reevaluacion (dias)",
+        facilityPostFallReassessment: "Reevaluacion tras caida (dias)",
+        facilityPostFallReassessmentHint: "Crea una evaluacion programada al registrar una caida. Deja en blanco para desactivar.",
+        facilityReassessmentLead: "Anticipacion de reevaluacion (dias)",
+        facilityReassessmentLeadHint: "Crea el borrador de la siguiente evaluacion estos dias antes de la fecha de reevaluacion. Deja en blanco para desactivar.",
         facilityReportSla: "Tiempo a reporte (horas)",
         facilityChecklist: "Checklist QA",
         facilityChecklistHint: "Un item por linea.",
@@ -5914,6 +6307,35 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilityUpdated: "Instalacion actualizada.",
         facilityRequired: "Campo requerido.",
         facilityNumberInvalid: "Ingresa un numero valido.",
+        reportTemplateTitle: "Plantilla de reporte",
+        reportTemplateBody: "Marca, encabezado, pie y secciones de los reportes PDF de esta instalacion.",
+        reportTemplateVersion: "Version",
+        reportTemplateDefault: "Predeterminada",
+        reportTemplateReportTitle: "Titulo del reporte",
+        reportTemplatePtTitle: "Titulo del resumen PT",
+        reportTemplateHeader: "Texto de encabezado",
+        reportTemplateFooter: "Texto de pie de pagina",
+        reportTemplateColor: "Color principal",
+        reportTemplateSections: "Secciones (en orden)",
+        reportTemplateRequired: "requerida",
+        reportTemplateMoveUp: "Subir",
+        reportTemplateMoveDown: "Bajar",
+        reportTemplateLogo: "Logo (PNG o JPEG, max 1 MB)",
+        reportTemplateLogoCurrent: "Logo cargado.",
+        reportTemplateLogoRemove: "Quitar logo",
+        reportTemplateLogoUpload: "Subir logo",
+        reportTemplateSave: "Guardar nueva version",
+        reportTemplatePreview: "Vista previa PDF",
+        reportTemplateSaved: "Plantilla guardada como nueva version.",
+        reportTemplateSectionLabels: {
+          resident: "Datos del residente",
+          scores: "Puntajes",
+          clinician_notes: "Notas clinicas",
+          narrative: "Narrativa clinica",
+          trend_chart: "Grafica de tendencia TUG",
+          fall_history: "Historial de caidas",
+          video_stills: "Imagenes del video",
+        },
         unitsTitle: "Unidades",
         unitsBody: "Gestiona edificios, pisos y unidades para enrutar el trabajo.",
         unitLabel: "Nombre de unidad",
@@ -5923,6 +6345,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         unitRoom: "Habitacion",
         unitCreate: "Crear unidad",
         unitCreated: "Unidad creada.",
+        unitLead: "Lider de unidad",
+        unitLeadNone: "Sin lider",
+        unitLeadSaved: "Lider de unidad actualizado.",
         unitEmpty: "No hay unidades.",
         unitSelectHint: "Selecciona una unidad para asignar.",
         userListTitle: "Usuarios",
@@ -6081,6 +6506,20 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         outcomesTrendWorsened: "Worsened",
         outcomesTrendStable: "Stable",
         outcomesTrendUnknown: "No data",
+        residentTrendsTitle: "Mobility trends",
+        residentTrendsBody: "Completed assessments for the selected resident over time.",
+        residentTrendsSelect: "Select a resident to see their trends.",
+        residentTrendsEmpty: "No completed assessments with this score yet.",
+        residentTrendsMetricLabel: "Measure",
+        residentTrendsMetricTug: "TUG (sec)",
+        residentTrendsMetricChair: "Chair stand (sec)",
+        residentTrendsMetricBalance: "Balance stages passed",
+        residentTrendsChange: "Change since first",
+        residentTrendsDelta: "Since previous",
+        residentTrendsSlope: "Per 30 days",
+        residentTrendsMcidMet: "Meets minimal clinically important difference",
+        residentTrendsMcidNotMet: "Below minimal clinically important difference",
+        residentTrendsRisk: "Risk tier",
         outcomesLatestLabel: "Latest",
         outcomesPreviousLabel: "Previous",
         outcomesRiskLow: "Low",
@@ -6294,6 +6733,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         assessmentScheduled: "Scheduled date",
         assessmentDue: "Due date",
         assessmentDevice: "Assistive device",
+        assessmentProtocolLabel: "Protocol",
+        assessmentProtocolDefault: "Facility default",
         assessmentSave: "Create assessment",
         assessmentCreated: "Assessment created.",
         assessmentSearch: "Search assessments",
@@ -6337,10 +6778,202 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         incidentChecklistEmpty: "No checklist items configured.",
         incidentChecklistPending: "Pending",
         incidentChecklistDone: "Complete",
+        incidentReportDownload: "Incident report (PDF)",
+        incidentCheckNotes: "Check notes",
+        incidentHeadStrike: "Head strike",
+        rcaTitle: "Root cause analysis",
+        rcaBody: "Record the post-fall huddle, 5 whys and root cause.",
+        rcaHuddleAt: "Post-fall huddle",
+        rcaAttendees: "Attendees (comma separated)",
+        rcaHuddleNotes: "Huddle notes",
+        rcaWhy: "Why",
+        rcaFactors: "Fishbone factors",
+        rcaRootCauseCategory: "Root cause category",
+        rcaRootCause: "Root cause",
+        rcaSave: "Save",
+        rcaComplete: "Complete RCA",
+        rcaReopen: "Reopen",
+        rcaSaved: "RCA saved.",
+        rcaStatusLabels: {
+          draft: "Draft",
+          completed: "Completed",
+        },
+        rcaCategoryLabels: {
+          environment: "Environment",
+          medication: "Medication",
+          cognition: "Cognition",
+          footwear: "Footwear",
+          toileting: "Toileting",
+          staffing: "Staffing",
+        },
+        rcaActionsTitle: "Corrective actions",
+        rcaActionsEmpty: "No corrective actions yet.",
+        rcaActionDescription: "Action",
+        rcaActionOwner: "Owner",
+        rcaActionDue: "Due date",
+        rcaActionAdd: "Add action",
+        rcaActionComplete: "Mark complete",
+        rcaActionStatusLabels: {
+          open: "Open",
+          completed: "Completed",
+          cancelled: "Cancelled",
+        },
+        analyticsRootCauseTitle: "Top root causes",
+        analyticsRootCauseBody: "Completed RCAs by unit for the selected window.",
+        analyticsRootCauseEmpty: "No completed RCAs yet.",
+        analyticsRootCauseAnalyzed: "Falls with RCA",
+        analyticsRootCauseMissing: "Falls without RCA",
+        analyticsRootCauseTop: "Top cause",
+        analyticsEffectTitle: "Intervention effectiveness",
+        analyticsEffectBody: "Falls per 1,000 resident-days before and after start, with 95% confidence intervals.",
+        analyticsEffectEmpty: "No interventions started in this window.",
+        analyticsEffectInterventions: "Interventions started",
+        analyticsEffectRateBefore: "Rate before",
+        analyticsEffectRateAfter: "Rate after",
+        analyticsEffectRateRatio: "Rate ratio",
+        analyticsEffectImproved: "Risk improved",
+        analyticsEffectTugChange: "TUG change (s)",
+        analyticsEffectWindowLabel: "Comparison window (days)",
+        analyticsEffectWarningLabels: {
+          interventions_below_minimum: "Small intervention sample",
+          risk_comparisons_below_minimum: "Few risk comparisons",
+          score_comparisons_below_minimum: "Few score comparisons",
+          follow_up_incomplete: "Follow-up incomplete",
+        },
+        interventionsTitle: "Care plan",
+        interventionsBody: "Interventions recommended from risk tier, scores and recent falls.",
+        interventionsSelect: "Select a resident to see their care plan.",
+        interventionsEmpty: "No interventions yet.",
+        interventionsRecommend: "Check recommendations",
+        interventionsRecommended: "New recommendations",
+        interventionStatusLabels: {
+          recommended: "Recommended",
+          accepted: "Accepted",
+          declined: "Declined",
+          discontinued: "Discontinued",
+        },
+        interventionCategoryLabels: {
+          referral: "Referral",
+          equipment: "Equipment",
+          schedule: "Schedule",
+          medication: "Medication",
+          environment: "Environment",
+          other: "Other",
+        },
+        interventionReasonLabels: {
+          risk_tier: "Risk tier",
+          finding: "Finding",
+          recent_falls: "Recent falls",
+          injury_fall: "Fall with injury",
+          factor: "Factor",
+        },
+        interventionAccept: "Accept",
+        interventionDecline: "Decline",
+        interventionModify: "Modify",
+        interventionDiscontinue: "Discontinue",
+        interventionModified: "Modified",
+        interventionLabel: "Intervention",
+        interventionCategory: "Category",
+        interventionDetails: "Details",
+        interventionStart: "Start",
+        interventionEnd: "End",
+        interventionOwner: "Owner",
+        interventionReason: "Reason",
+        interventionSaveAccept: "Save and accept",
+        interventionSave: "Save",
+        interventionAddTitle: "Add intervention",
+        interventionAdd: "Add",
+        interventionLibraryTitle: "Intervention library",
+        interventionLibraryBody: "Choose which interventions can be recommended and adjust their name and description.",
+        interventionLibraryRules: "Rules",
+        interventionLibrarySave: "Save library",
+        interventionLibrarySaved: "Library saved.",
+        interventionLibraryReset: "Restore defaults",
+        neuroChecksTitle: "Neuro checks",
+        neuroChecksHint: "Scheduled automatically for unwitnessed falls and head strikes.",
+        neuroChecksEmpty: "No neuro checks scheduled.",
+        neuroCheckLabel: "Neuro check",
+        fallFlagBadge: "Repeat faller",
+        fallFlagLabel: "Fall flag",
+        fallFlagRuleLabels: {
+          short_window: "Repeat falls (short window)",
+          long_window: "Repeat falls (long window)",
+          low_risk_screen: "Fall after low risk screen",
+        },
+        fallFlagFalls: "Falls",
+        fallFlagWindowDays: "days",
+        fallFlagResolve: "Resolve flag",
+        automationApprovalsTitle: "Automation approvals",
+        automationApprovalsBody: "Rules never change clinical documentation without approval.",
+        automationRescreen: "Schedule a re-screen",
+        automationRescreenDue: "Due in (days)",
+        automationApprove: "Approve",
+        automationReject: "Reject",
+        automationTaskLabel: "Automation task",
+        automationTaskComplete: "Mark done",
+        repeatFallRulesTitle: "Repeat-faller thresholds",
+        repeatFallRulesBody: "Flags open a high-priority queue item and notify the assigned clinician and admins.",
+        repeatFallRulesFalls: "Falls",
+        repeatFallRulesDays: "Days",
+        repeatFallRulesSave: "Save thresholds",
+        repeatFallRulesSaved: "Thresholds saved.",
+        repeatFallRulesReset: "Restore defaults",
+        slaPoliciesTitle: "SLA policies",
+        slaPoliciesBody: "Hours from when each item's clock starts. Each escalation step goes out in-app and by email the given hours after the breach; leave a step blank to skip it.",
+        slaWarningHours: "Warning (h)",
+        slaBreachHours: "Breach (h)",
+        slaRegionalAdmin: "Regional admin",
+        slaRegionalAdminNone: "No regional admin",
+        slaPoliciesSave: "Save policies",
+        slaPoliciesSaved: "Policies saved.",
+        slaPoliciesReset: "Restore defaults",
+        slaEscalatedTo: "Escalated to",
+        slaPolicyLabels: {
+          assessment_review: "Assessment review",
+          report_turnaround: "Report turnaround",
+          post_fall_checklist: "Post-fall checklist",
+          neuro_check: "Neuro check",
+        },
+        slaTargetLabels: {
+          assignee: "Assignee",
+          unit_lead: "Unit lead",
+          facility_admin: "Facility admin",
+          regional_admin: "Regional admin",
+        },
+        neuroCheckRecord: "Record",
+        neuroCheckLate: "recorded late",
+        neuroCheckStatusLabels: {
+          pending: "Pending",
+          completed: "Completed",
+          missed: "Missed",
+          cancelled: "Cancelled",
+        },
+        fallCheckSchemaTitle: "Post-fall check fields",
+        fallCheckSchemaBody: "Choose what staff record for each post-fall checklist item.",
+        fallCheckSchemaEmpty: "Add post-fall checklist items to configure fields.",
+        fallCheckSchemaRequired: "Required",
+        fallCheckSchemaCustom: "Custom field",
+        fallCheckSchemaSave: "Save fields",
+        fallCheckSchemaSaved: "Fields saved.",
         incidentFollowupDue: "Follow-up due",
         incidentFollowupOverdue: "Follow-up overdue",
         incidentLinkedAssessment: "Latest assessment",
         incidentLinkedRisk: "Risk",
+        incidentEdit: "Correct",
+        incidentEditTitle: "Correct incident",
+        incidentEditCancel: "Cancel",
+        incidentEditSave: "Save correction",
+        incidentEdited: "Incident corrected.",
+        incidentMoved: "Incident moved to another resident.",
+        incidentResident: "Resident",
+        incidentChangeReason: "Reason for change",
+        incidentVoid: "Void incident",
+        incidentVoidReasonRequired: "Enter a reason to void the incident.",
+        incidentVoided: "Incident voided.",
+        incidentHistoryTitle: "Change history",
+        incidentHistoryEmpty: "No changes recorded.",
+        incidentHistoryUpdate: "Correction",
+        incidentHistoryVoid: "Voided",
         fallCheckVitals: "Vitals recorded",
         fallCheckNeuro: "Neuro check completed",
         fallCheckNotify: "Family/physician notified",
@@ -6376,16 +7009,29 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         badgeVideo: "Video uploaded",
         badgeScores: "Scores synced",
         riskLabel: "Risk tier",
+        suggestedRiskLabel: "Suggested tier",
+        riskRuleVersionLabel: "Rules",
+        riskDisagreement: "Clinician tier differs from the score-based suggestion.",
         statusLabel: "Status",
-        tugLabel: "TUG (seconds)",
-        chairLabel: "Chair Stand (seconds)",
-        balanceSide: "Side-by-side balance",
-        balanceSemi: "Semi-tandem balance",
-        balanceTandem: "Tandem balance",
         scoreNotes: "Score notes",
         clinicianNotes: "Clinician notes",
         scoreSave: "Save scores",
         scoreSuccess: "Scores saved.",
+        scoreChangeReasonLabel: "Reason for change",
+        scoreChangeReasonHint: "This assessment is completed; record why the scores are changing.",
+        scoreChangeNoteLabel: "Change details",
+        scoreChangeReasonDataEntry: "Data entry error",
+        scoreChangeReasonVideoReview: "Video review",
+        scoreChangeReasonModelCorrection: "Model correction",
+        scoreChangeReasonClinicalJudgment: "Clinical judgment",
+        scoreChangeReasonOther: "Other",
+        scoreHistoryTitle: "Score history",
+        scoreHistoryEmpty: "No score changes yet.",
+        scoreHistoryRevision: "Revision",
+        scoreHistorySourceManual: "Manual",
+        scoreHistorySourceModel: "Gait model",
+        scoreHistorySourceImport: "Import",
+        scoreHistoryInitial: "Initial scores",
         scoreBusy: "Saving...",
         scoreInvalid: "Enter a valid number.",
         syncModelScores: "Sync model scores",
@@ -6399,7 +7045,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         runModelQueued: "Model run queued.",
         runModelNoVideo: "A video is required to run the model.",
         runModelConflict: "Model run already in progress.",
-        scoreRange: "Value must be between 0 and 300.",
+        scoreRange: "Allowed range:",
         reportTitle: "Report",
         reportBody: "Generate and download the clinical PDF.",
         reportSummaryTitle: "Report summary",
@@ -6418,6 +7064,58 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         reportChecklistQa: "QA checklist complete",
         reportButton: "Generate report",
         reportBusy: "Generating...",
+        reportLanguageLabel: "PDF language",
+        reportLanguageOptions: { en: "English", es: "Spanish" },
+        handoutTitle: "Resident & family handout",
+        handoutBody: "Explains results and home-safety tips in plain language. Needs scores and a risk tier.",
+        handoutGenerate: "Generate handout",
+        handoutDownload: "Download",
+        handoutEmpty: "No handouts generated yet.",
+        signTitle: "Sign report",
+        signBody: "Re-enter your password, type your name and credentials, and attest to the report. Signing locks the assessment and its scores.",
+        signNameLabel: "Typed name",
+        signCredentialsLabel: "Credentials",
+        signCredentialsPlaceholder: "PT, DPT",
+        signPasswordLabel: "Password",
+        signAttestLabel: "I attest that I performed or directly supervised this assessment and that the report is accurate and complete.",
+        signButton: "Sign and finalize",
+        signBusy: "Signing...",
+        signRequired: "Enter your name, credentials, password, and attestation to sign.",
+        signedTitle: "Report signed",
+        signedBy: "Signed by",
+        signedAt: "Signed at",
+        signedHash: "PDF SHA-256",
+        assessmentLockedNotice: "Assessment signed and locked. Scores and notes can no longer be edited.",
+        narrativeTitle: "Clinical narrative (SOAP)",
+        narrativeBody: "Drafted from scores, assistive device, falls and prior assessments. It only enters the record and the PDF once you accept it.",
+        narrativeDraftButton: "Draft narrative",
+        narrativeRedraftButton: "Redraft",
+        narrativeDraftBusy: "Drafting...",
+        narrativeAcceptButton: "Accept into record",
+        narrativeAcceptBusy: "Accepting...",
+        narrativeSubjective: "Subjective",
+        narrativeObjective: "Objective",
+        narrativeAssessment: "Assessment",
+        narrativePlan: "Plan",
+        narrativeAcceptedLabel: "Accepted",
+        narrativeEditedLabel: "edited",
+        narrativeEmpty: "No accepted narrative yet.",
+        amendTitle: "Amend report",
+        amendBody: "The signed report stays unchanged. An amendment unlocks the assessment for corrections; an addendum only adds text. Both are signed again.",
+        amendTypeLabel: "Type",
+        amendTypeAmendment: "Amendment (correct the assessment)",
+        amendTypeAddendum: "Addendum (add text)",
+        amendReasonLabel: "Reason",
+        amendAddendumLabel: "Addendum text",
+        amendButton: "Create draft",
+        amendBusy: "Creating...",
+        amendRequired: "Enter a reason and, for an addendum, the addendum text.",
+        amendDraftNotice: "Amendment draft. Reason:",
+        lineageTitle: "Report versions",
+        lineageOriginal: "Original",
+        lineageAmendment: "Amendment",
+        lineageAddendum: "Addendum",
+        lineageUnsigned: "Unsigned",
         reportDownload: "Download PDF",
         reportPreview: "Preview PDF",
         reportHidePreview: "Hide preview",
@@ -6481,6 +7179,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         exportTypeAudit: "Audit",
         exportTypeBundle: "Bundle",
         exportTypePostFallRollup: "Post-fall rollup",
+        exportTypeInterventionEffectiveness: "Intervention effectiveness",
         exportFilterResident: "Resident ID",
         exportFilterStatus: "Status",
         exportFilterRisk: "Risk tier",
@@ -6567,9 +7266,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilitySettingsTitle: "Defaults del piloto",
         facilitySettingsBody: "Protocolos y metodos recomendados para el flujo clinico.",
         facilityProtocolLabel: "Protocolo de evaluacion",
-        facilityProtocolOptionDefault: "TUG + Chair Stand + Balance (recomendado)",
-        facilityProtocolOptionTug: "Solo TUG",
-        facilityProtocolOptionBalance: "Solo balance",
+        facilityProtocolRecommended: "(recommended)",
         facilityCaptureLabel: "Metodo de captura",
         facilityCaptureOptionRecord: "Grabar + cargar (recomendado)",
         facilityCaptureOptionUpload: "Solo cargar",
@@ -6587,6 +7284,10 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilityState: "State",
         facilityZip: "ZIP",
         facilityCadence: "Reassessment cadence (days)",
+        facilityPostFallReassessment: "Post-fall reassessment (days)",
+        facilityPostFallReassessmentHint: "Schedules an assessment when a fall is recorded. Leave blank to turn off.",
+        facilityReassessmentLead: "Reassessment lead time (days)",
+        facilityReassessmentLeadHint: "Drafts the next assessment this many days before the reassessment date. Leave blank to turn off.",
         facilityReportSla: "Report turnaround (hours)",
         facilityChecklist: "QA checklist items",
         facilityChecklistHint: "One item per line.",
@@ -6599,6 +7300,35 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         facilityUpdated: "Facility updated.",
         facilityRequired: "Required field.",
         facilityNumberInvalid: "Enter a valid number.",
+        reportTemplateTitle: "Report template",
+        reportTemplateBody: "Branding, header, footer, and sections for this facility's PDF reports.",
+        reportTemplateVersion: "Version",
+        reportTemplateDefault: "Default",
+        reportTemplateReportTitle: "Report title",
+        reportTemplatePtTitle: "PT summary title",
+        reportTemplateHeader: "Header text",
+        reportTemplateFooter: "Footer text",
+        reportTemplateColor: "Primary color",
+        reportTemplateSections: "Sections (in order)",
+        reportTemplateRequired: "required",
+        reportTemplateMoveUp: "Move up",
+        reportTemplateMoveDown: "Move down",
+        reportTemplateLogo: "Logo (PNG or JPEG, max 1 MB)",
+        reportTemplateLogoCurrent: "Logo uploaded.",
+        reportTemplateLogoRemove: "Remove logo",
+        reportTemplateLogoUpload: "Upload logo",
+        reportTemplateSave: "Save new version",
+        reportTemplatePreview: "Preview PDF",
+        reportTemplateSaved: "Template saved as a new version.",
+        reportTemplateSectionLabels: {
+          resident: "Resident details",
+          scores: "Scores",
+          clinician_notes: "Clinician notes",
+          narrative: "Clinical narrative",
+          trend_chart: "TUG trend chart",
+          fall_history: "Fall history",
+          video_stills: "Video stills",
+        },
         unitsTitle: "Units",
         unitsBody: "Manage buildings, floors, and units for routing.",
         unitLabel: "Unit label",
@@ -6608,6 +7338,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         unitRoom: "Room",
         unitCreate: "Create unit",
         unitCreated: "Unit created.",
+        unitLead: "Unit lead",
+        unitLeadNone: "No lead",
+        unitLeadSaved: "Unit lead updated.",
         unitEmpty: "No units yet.",
         unitSelectHint: "Select a unit to assign.",
         userListTitle: "Users",
@@ -6863,6 +7596,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     scheduled_date: formatDate(new Date()),
     due_date: formatDate(new Date()),
     assistive_device: "",
+    assessment_protocol: "",
   }));
   const [assessmentSaving, setAssessmentSaving] = useState(false);
   const [scheduleForm, setScheduleForm] = useState({
@@ -6891,17 +7625,18 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const [uploadFieldErrors, setUploadFieldErrors] = useState({});
   const uploadMetaRequestId = useRef(0);
 
+  const [assessmentProtocols, setAssessmentProtocols] = useState([]);
   const [scoreForm, setScoreForm] = useState({
     status: "",
     risk_tier: "",
     clinician_notes: "",
-    tug_seconds: "",
-    chair_stand_seconds: "",
-    balance_side_by_side: false,
-    balance_semi_tandem: false,
-    balance_tandem: false,
     score_notes: "",
+    score_change_reason: "",
+    score_change_note: "",
+    values: {},
   });
+  const [scoreHistory, setScoreHistory] = useState([]);
+  const [scoreHistoryError, setScoreHistoryError] = useState("");
   const [scoreSaving, setScoreSaving] = useState(false);
   const [scoreNotice, setScoreNotice] = useState("");
   const [scoreFieldErrors, setScoreFieldErrors] = useState({});
@@ -6910,6 +7645,27 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
 
   const [reportBusy, setReportBusy] = useState(false);
   const [reportError, setReportError] = useState("");
+  const [reportLanguage, setReportLanguage] = useState("en");
+  const [handoutBusy, setHandoutBusy] = useState(false);
+  const [signForm, setSignForm] = useState({
+    signer_name: "",
+    signer_credentials: "",
+    password: "",
+    attest: false,
+  });
+  const [signBusy, setSignBusy] = useState(false);
+  const [signError, setSignError] = useState("");
+  const [amendForm, setAmendForm] = useState({
+    amendment_type: "amendment",
+    reason: "",
+    addendum_text: "",
+  });
+  const [amendBusy, setAmendBusy] = useState(false);
+  const [amendError, setAmendError] = useState("");
+  const [narrative, setNarrative] = useState({ draft: null, accepted: null });
+  const [narrativeForm, setNarrativeForm] = useState({ subjective: "", objective: "", assessment: "", plan: "" });
+  const [narrativeBusy, setNarrativeBusy] = useState(false);
+  const [narrativeError, setNarrativeError] = useState("");
   const [reportPreview, setReportPreview] = useState({
     url: "",
     id: "",
@@ -6981,6 +7737,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     audit_limit: "200",
     post_fall_days: "30",
     post_fall_unit_id: "all",
+    effect_days: "365",
+    effect_window_days: "90",
+    effect_unit_id: "all",
   });
   const [exportTokenForm, setExportTokenForm] = useState(buildExportTokenForm);
   const [exportTokenResult, setExportTokenResult] = useState(null);
@@ -7017,6 +7776,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     include_audit: false,
     post_fall_days: "30",
     post_fall_unit_id: "all",
+    effect_days: "365",
+    effect_window_days: "90",
+    effect_unit_id: "all",
   });
   function buildPtForm() {
     return {
@@ -7098,6 +7860,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     zip: "",
     reassessment_cadence_days: "90",
     report_turnaround_hours: "24",
+    post_fall_reassessment_days: "3",
+    reassessment_lead_days: "14",
     assessment_protocol: "tug_chair_balance",
     capture_method: "record_upload",
     role_policy: "clinician_admin_only",
@@ -7107,6 +7871,12 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const [facilityEditErrors, setFacilityEditErrors] = useState({});
   const [facilityEditSaving, setFacilityEditSaving] = useState(false);
   const [facilityEditNotice, setFacilityEditNotice] = useState("");
+  const [reportTemplate, setReportTemplate] = useState(null);
+  const [reportTemplateForm, setReportTemplateForm] = useState(null);
+  const [reportTemplateLogoFile, setReportTemplateLogoFile] = useState(null);
+  const [reportTemplateBusy, setReportTemplateBusy] = useState(false);
+  const [reportTemplateNotice, setReportTemplateNotice] = useState("");
+  const [reportTemplatePreviewUrl, setReportTemplatePreviewUrl] = useState("");
 
   const [units, setUnits] = useState([]);
   const [unitLoading, setUnitLoading] = useState(false);
@@ -7139,6 +7909,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const [outcomesWeeks, setOutcomesWeeks] = useState(8);
 
   const [workflowQueue, setWorkflowQueue] = useState([]);
+  const [automationApprovals, setAutomationApprovals] = useState([]);
   const [workflowLoading, setWorkflowLoading] = useState(false);
   const [workflowError, setWorkflowError] = useState("");
   const [workflowUpdated, setWorkflowUpdated] = useState("");
@@ -7152,6 +7923,10 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const [qaLoading, setQaLoading] = useState(false);
   const [qaError, setQaError] = useState("");
 
+  const [residentTrends, setResidentTrends] = useState(null);
+  const [residentTrendsLoading, setResidentTrendsLoading] = useState(false);
+  const [residentTrendsError, setResidentTrendsError] = useState("");
+  const [residentTrendMetric, setResidentTrendMetric] = useState("tug_seconds");
   const [fallEvents, setFallEvents] = useState([]);
   const [fallEventLoading, setFallEventLoading] = useState(false);
   const [fallEventError, setFallEventError] = useState("");
@@ -7161,6 +7936,41 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const [fallEventForm, setFallEventForm] = useState(() => buildFallEventForm());
   const [fallEventChecks, setFallEventChecks] = useState({});
   const [fallEventChecksBusy, setFallEventChecksBusy] = useState({});
+  const [incidentReportBusy, setIncidentReportBusy] = useState(false);
+  const [fallEventEditingId, setFallEventEditingId] = useState(null);
+  const [fallEventChangeReason, setFallEventChangeReason] = useState("");
+  const [fallEventRevisions, setFallEventRevisions] = useState([]);
+  const [fallCheckSchemas, setFallCheckSchemas] = useState({});
+  const [neuroChecks, setNeuroChecks] = useState([]);
+  const [fallEventRca, setFallEventRca] = useState(null);
+  const [rcaForm, setRcaForm] = useState(() => buildRcaForm(null));
+  const [rcaSaving, setRcaSaving] = useState(false);
+  const [rcaNotice, setRcaNotice] = useState("");
+  const [correctiveActionForm, setCorrectiveActionForm] = useState(buildCorrectiveActionForm);
+  const [rootCauseAnalytics, setRootCauseAnalytics] = useState(null);
+  const [interventionEffect, setInterventionEffect] = useState(null);
+  const [neuroCheckFields, setNeuroCheckFields] = useState([]);
+  const [neuroCheckDraft, setNeuroCheckDraft] = useState(null);
+  const [neuroCheckSaving, setNeuroCheckSaving] = useState(false);
+  const [fallCheckDrafts, setFallCheckDrafts] = useState({});
+  const [fallCheckPresets, setFallCheckPresets] = useState([]);
+  const [fallCheckSchemaForm, setFallCheckSchemaForm] = useState(null);
+  const [fallCheckSchemaBusy, setFallCheckSchemaBusy] = useState(false);
+  const [fallCheckSchemaNotice, setFallCheckSchemaNotice] = useState("");
+  const [residentInterventions, setResidentInterventions] = useState([]);
+  const [interventionsBusy, setInterventionsBusy] = useState(false);
+  const [interventionNotice, setInterventionNotice] = useState("");
+  const [interventionDraft, setInterventionDraft] = useState(null);
+  const [interventionForm, setInterventionForm] = useState(buildInterventionForm);
+  const [interventionLibraryForm, setInterventionLibraryForm] = useState(null);
+  const [repeatFallRulesForm, setRepeatFallRulesForm] = useState(null);
+  const [repeatFallRulesBusy, setRepeatFallRulesBusy] = useState(false);
+  const [repeatFallRulesNotice, setRepeatFallRulesNotice] = useState("");
+  const [slaPoliciesForm, setSlaPoliciesForm] = useState(null);
+  const [slaPoliciesBusy, setSlaPoliciesBusy] = useState(false);
+  const [slaPoliciesNotice, setSlaPoliciesNotice] = useState("");
+  const [interventionLibraryBusy, setInterventionLibraryBusy] = useState(false);
+  const [interventionLibraryNotice, setInterventionLibraryNotice] = useState("");
 
   const [timelineFilters, setTimelineFilters] = useState({
     status: "all",
@@ -7235,6 +8045,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     { value: "audit", label: copy.exportTypeAudit },
     { value: "bundle", label: copy.exportTypeBundle },
     { value: "post_fall_rollup", label: copy.exportTypePostFallRollup },
+    { value: "intervention_effectiveness", label: copy.exportTypeInterventionEffectiveness },
   ];
   const exportStatusOptions = [
     { value: "all", label: copy.filterAll },
@@ -7243,11 +8054,17 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     { value: "in_review", label: copy.statusReview },
     { value: "completed", label: copy.statusDone },
   ];
-  const protocolOptions = [
-    { value: "tug_chair_balance", label: copy.facilityProtocolOptionDefault },
-    { value: "tug_only", label: copy.facilityProtocolOptionTug },
-    { value: "balance_only", label: copy.facilityProtocolOptionBalance },
-  ];
+  const localizeLabel = (label) => (isEs ? label?.es : label?.en) || label?.en || "";
+  const protocolOptions = assessmentProtocols.map((protocol) => ({
+    value: protocol.id,
+    label: protocol.default
+      ? `${localizeLabel(protocol.label)} ${copy.facilityProtocolRecommended}`
+      : localizeLabel(protocol.label),
+  }));
+  const getProtocolLabel = (protocolId) => {
+    const protocol = assessmentProtocols.find((item) => item.id === protocolId);
+    return protocol ? localizeLabel(protocol.label) : protocolId;
+  };
   const captureMethodOptions = [
     { value: "record_upload", label: copy.facilityCaptureOptionRecord },
     { value: "upload_only", label: copy.facilityCaptureOptionUpload },
@@ -7530,9 +8347,87 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     || selectedAssessment?.assessment_protocol
     || facilityProfile?.assessment_protocol
     || "tug_chair_balance";
-  const showTugField = activeAssessmentProtocol !== "balance_only";
-  const showChairField = activeAssessmentProtocol === "tug_chair_balance";
-  const showBalanceFields = activeAssessmentProtocol !== "tug_only";
+  const activeProtocolDefinition = assessmentProtocols.find((protocol) => protocol.id === activeAssessmentProtocol) || null;
+  const activeScoreFields = activeProtocolDefinition?.fields || [];
+  const activeNumberScoreFields = activeScoreFields.filter((field) => field.type === "number");
+  const activeBooleanScoreFields = activeScoreFields.filter((field) => field.type === "boolean");
+  const activeDerivedScoreFields = activeProtocolDefinition?.derived_fields || [];
+  const formatDerivedScore = (field, value) => {
+    if (value === null || value === undefined) {
+      return "--";
+    }
+    return field.options ? localizeLabel(field.options[value]) || value : value;
+  };
+  const scoreChangeReasonOptions = [
+    { value: "data_entry_error", label: copy.scoreChangeReasonDataEntry },
+    { value: "video_review", label: copy.scoreChangeReasonVideoReview },
+    { value: "model_correction", label: copy.scoreChangeReasonModelCorrection },
+    { value: "clinical_judgment", label: copy.scoreChangeReasonClinicalJudgment },
+    { value: "other", label: copy.scoreChangeReasonOther },
+  ];
+  const scoreChangeReasonLabelMap = scoreChangeReasonOptions.reduce((acc, item) => {
+    acc[item.value] = item.label;
+    return acc;
+  }, {});
+  const scoreHistorySourceLabelMap = {
+    manual: copy.scoreHistorySourceManual,
+    gait_model: copy.scoreHistorySourceModel,
+    import: copy.scoreHistorySourceImport,
+  };
+  const scoreHistoryFieldLabel = (key) => {
+    if (key === "score_notes") {
+      return copy.scoreNotes;
+    }
+    const field = [...activeScoreFields, ...activeDerivedScoreFields].find((item) => item.key === key);
+    return field ? localizeLabel(field.label) : key;
+  };
+  const formatScoreHistoryValue = (value) => {
+    if (value === null || value === undefined) {
+      return "--";
+    }
+    if (typeof value === "boolean") {
+      return value ? "✓" : "✗";
+    }
+    return String(value);
+  };
+  const fallEventHistoryFieldLabels = {
+    resident_id: copy.incidentResident,
+    occurred_at: copy.incidentOccurredAt,
+    building: copy.residentLabelBuilding,
+    floor: copy.residentLabelFloor,
+    unit: copy.residentLabelUnit,
+    room: copy.residentLabelRoom,
+    witness: copy.incidentWitness,
+    injury_severity: copy.incidentSeverity,
+    ems_called: copy.incidentEmsCalled,
+    hospital_transfer: copy.incidentHospitalTransfer,
+    head_strike: copy.incidentHeadStrike,
+    assistive_device: copy.incidentAssistiveDevice,
+    contributing_factors: copy.incidentFactors,
+    notes: copy.incidentNotes,
+    voided_at: copy.incidentHistoryVoid,
+    void_reason: copy.incidentChangeReason,
+  };
+  const formatFallEventHistoryValue = (key, value) => {
+    if (value === null || value === undefined || value === "") {
+      return "--";
+    }
+    if (key === "resident_id") {
+      const resident = residents.find((item) => item.id === value);
+      return resident ? `${resident.first_name} ${resident.last_name}` : value;
+    }
+    if (key === "occurred_at" || key === "voided_at") {
+      return formatDateTime(value);
+    }
+    if (key === "injury_severity") {
+      return fallSeverityLabelMap[value] || value;
+    }
+    if (Array.isArray(value)) {
+      return value.join(", ") || "--";
+    }
+    return formatScoreHistoryValue(value);
+  };
+  const assessmentIsCompleted = assessmentDetails?.status === "completed";
   const lastAssessmentDate = assessments[0]?.assessment_date ? formatDate(assessments[0].assessment_date) : "--";
   const facilityDisplayName = facilityProfile?.name || user?.facility_id || "--";
   const roleDisplayName = user?.role === "admin" ? copy.roleAdmin : copy.roleClinician;
@@ -7546,9 +8441,17 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const assessmentHasQa = qaRequired
     ? qaSteps.every((step) => selectedQaChecks[step]) && !qaEscalations[selectedAssessmentId]
     : true;
-  const canGenerateReport = assessmentHasVideo && assessmentHasScores && assessmentHasQa;
+  const videoRequired = activeProtocolDefinition?.requires_video !== false;
+  const assessmentLocked = Boolean(assessmentDetails?.locked_at);
+  const reportFinalized = Boolean(assessmentDetails?.report?.finalized);
+  const canGenerateReport = (assessmentHasVideo || !videoRequired) && assessmentHasScores && assessmentHasQa
+    && !assessmentLocked && !reportFinalized;
+  const lineageLabelMap = {
+    amendment: copy.lineageAmendment,
+    addendum: copy.lineageAddendum,
+  };
   const reportMissing = [];
-  if (!assessmentHasVideo) {
+  if (videoRequired && !assessmentHasVideo) {
     reportMissing.push(copy.reportGateVideoItem);
   }
   if (!assessmentHasScores) {
@@ -7561,7 +8464,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     ? `${copy.reportGatePrefix} ${reportMissing.join(", ")}`
     : "";
   const reportChecklistItems = [
-    { label: copy.reportChecklistVideo, done: assessmentHasVideo },
+    ...(videoRequired ? [{ label: copy.reportChecklistVideo, done: assessmentHasVideo }] : []),
     { label: copy.reportChecklistScores, done: assessmentHasScores },
     ...(qaRequired ? [{ label: copy.reportChecklistQa, done: assessmentHasQa }] : []),
     { label: copy.reportChecklistNotes, done: Boolean(assessmentDetails?.clinician_notes) },
@@ -7698,6 +8601,25 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   const onboardingCurrentStep = onboardingSteps[onboardingStepIndex] || onboardingSteps[0];
   const outcomesTotals = outcomesData?.totals ?? {};
   const outcomesTrendByWeek = outcomesData?.trend_by_week ?? [];
+  const residentTrendMetricOptions = [
+    { value: "tug_seconds", label: copy.residentTrendsMetricTug },
+    { value: "chair_stand_seconds", label: copy.residentTrendsMetricChair },
+    { value: "balance_stages_passed", label: copy.residentTrendsMetricBalance },
+  ];
+  const residentTrendSummary = residentTrends?.metrics?.[residentTrendMetric] || null;
+  const residentRiskTrend = residentTrends?.metrics?.risk_tier || null;
+  const residentTrendPoints = buildTrendChartPoints(
+    (residentTrends?.series || [])
+      .filter((item) => item[residentTrendMetric] !== null && item[residentTrendMetric] !== undefined)
+      .map((item) => ({ date: item.assessment_date, value: Number(item[residentTrendMetric]), riskTier: item.risk_tier })),
+    trendChartSize
+  );
+  const formatTrendNumber = (value) => {
+    if (value === null || value === undefined) {
+      return "--";
+    }
+    return value > 0 ? `+${value}` : String(value);
+  };
   const outcomesResidentTrends = outcomesData?.resident_trends ?? [];
   const outcomesAssessed = outcomesTotals.assessed_residents ?? 0;
   const outcomesTotalResidents = outcomesTotals.residents ?? 0;
@@ -7731,7 +8653,6 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     { value: "me", label: copy.workflowAssignedMe },
     { value: "unassigned", label: copy.workflowAssignedUnassigned },
   ];
-  const workflowWarningHours = 24;
 
   const getDueStatus = (assessment) => {
     if (!assessment || assessment.status === "completed") {
@@ -7931,6 +8852,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
     validateFacilityNumbers(facilityEditForm.reassessment_cadence_days, "reassessment_cadence_days", errors);
     validateFacilityNumbers(facilityEditForm.report_turnaround_hours, "report_turnaround_hours", errors);
+    validateFacilityNumbers(facilityEditForm.post_fall_reassessment_days, "post_fall_reassessment_days", errors);
+    validateFacilityNumbers(facilityEditForm.reassessment_lead_days, "reassessment_lead_days", errors);
     setFacilityEditErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -7981,31 +8904,39 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       return;
     }
     const numeric = parseNumber(value);
-    if (!Number.isFinite(numeric)) {
-      errors[field] = copy.scoreInvalid;
+    if (!Number.isFinite(numeric) || (field.integer && !Number.isInteger(numeric))) {
+      errors[field.key] = copy.scoreInvalid;
+      return;
+    }
+    if (field.allowed_values) {
+      if (!field.allowed_values.includes(numeric)) {
+        errors[field.key] = `${copy.scoreRange} ${field.allowed_values.join(" / ")}`;
+      }
       return;
     }
-    if (numeric < 0 || numeric > 300) {
-      errors[field] = copy.scoreRange;
+    if ((field.min !== null && numeric < field.min) || (field.max !== null && numeric > field.max)) {
+      errors[field.key] = `${copy.scoreRange} ${field.min ?? "--"}-${field.max ?? "--"}`;
     }
   };
 
+  const updateScoreValue = (key, value) => {
+    setScoreForm((prev) => ({ ...prev, values: { ...prev.values, [key]: value } }));
+    setScoreFieldErrors((prev) => ({ ...prev, [key]: "" }));
+    setScoreNotice("");
+  };
+
   const validateScores = () => {
     const errors = {};
-    if (showTugField) {
-      if (scoreForm.tug_seconds === "") {
-        errors.tug_seconds = copy.scoreInvalid;
-      } else {
-        validateScoreValue(scoreForm.tug_seconds, "tug_seconds", errors);
-      }
-    }
-    if (showChairField) {
-      if (scoreForm.chair_stand_seconds === "") {
-        errors.chair_stand_seconds = copy.scoreInvalid;
-      } else {
-        validateScoreValue(scoreForm.chair_stand_seconds, "chair_stand_seconds", errors);
+    activeNumberScoreFields.forEach((field) => {
+      const value = scoreForm.values[field.key] ?? "";
+      if (value === "") {
+        if (field.required) {
+          errors[field.key] = copy.scoreInvalid;
+        }
+        return;
       }
-    }
+      validateScoreValue(value, field, errors);
+    });
     setScoreFieldErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -8114,6 +9045,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     setFallEventChecks({});
     setFallEventChecksBusy({});
     setFallEventForm(buildFallEventForm());
+    setFallEventEditingId(null);
+    setFallEventChangeReason("");
+    setFallEventRevisions([]);
     setResidentDrawerOpen(false);
     setResidentSearch("");
     setResidentSort("recent");
@@ -8201,6 +9135,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       zip: "",
       reassessment_cadence_days: "90",
       report_turnaround_hours: "24",
+      post_fall_reassessment_days: "3",
+      reassessment_lead_days: "14",
       assessment_protocol: "tug_chair_balance",
       capture_method: "record_upload",
       role_policy: "clinician_admin_only",
@@ -8295,6 +9231,34 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const loadResidentTrends = async (residentId) => {
+    if (!token || !residentId) {
+      return;
+    }
+    setResidentTrendsLoading(true);
+    setResidentTrendsError("");
+    try {
+      const data = await apiRequest(`/residents/${residentId}/trends`, { token });
+      setResidentTrends(data);
+    } catch (error) {
+      handleApiError(error, setResidentTrendsError);
+    } finally {
+      setResidentTrendsLoading(false);
+    }
+  };
+
+  const loadResidentInterventions = async (residentId) => {
+    if (!token || !residentId) {
+      return;
+    }
+    try {
+      const data = await apiRequest(`/residents/${residentId}/interventions`, { token });
+      setResidentInterventions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      handleApiError(error, setInterventionNotice);
+    }
+  };
+
   const loadFallEvents = async (residentId) => {
     if (!token || !residentId) {
       return;
@@ -8329,6 +9293,61 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const loadFallCheckSchemas = async (facilityId) => {
+    if (!token || !facilityId) {
+      return;
+    }
+    try {
+      const data = await apiRequest(`/facilities/${facilityId}/fall-check-schemas`, { token });
+      setFallCheckSchemas(data?.schemas || {});
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    }
+  };
+
+  const loadNeuroChecks = async (eventId) => {
+    if (!token || !eventId) {
+      return;
+    }
+    try {
+      const data = await apiRequest(`/fall-events/${eventId}/neuro-checks`, { token });
+      setNeuroCheckFields(Array.isArray(data?.fields) ? data.fields : []);
+      setNeuroChecks(Array.isArray(data?.checks) ? data.checks : []);
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    }
+  };
+
+  const loadFallEventRca = async (eventId) => {
+    if (!token || !eventId) {
+      return;
+    }
+    try {
+      const data = await apiRequest(`/fall-events/${eventId}/rca`, { token });
+      setFallEventRca(data);
+      setRcaForm(buildRcaForm(data));
+    } catch (error) {
+      if (error?.status === 404) {
+        setFallEventRca(null);
+        setRcaForm(buildRcaForm(null));
+        return;
+      }
+      handleApiError(error, setFallEventError);
+    }
+  };
+
+  const loadFallEventRevisions = async (eventId) => {
+    if (!token || !eventId) {
+      return;
+    }
+    try {
+      const data = await apiRequest(`/fall-events/${eventId}/revisions`, { token });
+      setFallEventRevisions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    }
+  };
+
   const loadAssessmentDetails = async (assessmentId) => {
     if (!token || !assessmentId) {
       return;
@@ -8345,6 +9364,32 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const loadScoreHistory = async (assessmentId) => {
+    if (!token || !assessmentId) {
+      return;
+    }
+    setScoreHistoryError("");
+    try {
+      const data = await apiRequest(`/assessments/${assessmentId}/score-history`, { token });
+      setScoreHistory(Array.isArray(data) ? data : []);
+    } catch (error) {
+      handleApiError(error, setScoreHistoryError);
+    }
+  };
+
+  const loadNarrative = async (assessmentId) => {
+    if (!token || !assessmentId) {
+      return;
+    }
+    setNarrativeError("");
+    try {
+      const data = await apiRequest(`/assessments/${assessmentId}/narrative`, { token });
+      setNarrative({ draft: data?.draft || null, accepted: data?.accepted || null });
+    } catch (error) {
+      handleApiError(error, setNarrativeError);
+    }
+  };
+
   const loadNotifications = async (overrides) => {
     if (!token) {
       return;
@@ -8569,6 +9614,21 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       }
       return Object.keys(params).length ? params : null;
     }
+    if (form.export_type === "intervention_effectiveness") {
+      const params = {};
+      const days = Number(form.effect_days);
+      if (Number.isInteger(days) && days > 0) {
+        params.days = days;
+      }
+      const windowDays = Number(form.effect_window_days);
+      if (Number.isInteger(windowDays) && windowDays > 0) {
+        params.window_days = windowDays;
+      }
+      if (form.effect_unit_id && form.effect_unit_id !== "all") {
+        params.unit_id = form.effect_unit_id;
+      }
+      return Object.keys(params).length ? params : null;
+    }
     if (form.export_type === "bundle") {
       const include = [];
       if (form.include_residents) {
@@ -8639,6 +9699,10 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     } else if (exportType === "post_fall_rollup") {
       next.post_fall_days = params.days ? String(params.days) : base.post_fall_days;
       next.post_fall_unit_id = params.unit_id || base.post_fall_unit_id;
+    } else if (exportType === "intervention_effectiveness") {
+      next.effect_days = params.days ? String(params.days) : base.effect_days;
+      next.effect_window_days = params.window_days ? String(params.window_days) : base.effect_window_days;
+      next.effect_unit_id = params.unit_id || base.effect_unit_id;
     }
     setExportScheduleForm(next);
     setEditingExportScheduleId(schedule.id || null);
@@ -8866,6 +9930,16 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         handleApiError(error, setPostFallRollupError);
         setPostFallRollup([]);
       }
+      try {
+        setRootCauseAnalytics(await apiRequest(`/analytics/root-causes${query}`, { token }));
+      } catch (error) {
+        setRootCauseAnalytics(null);
+      }
+      try {
+        setInterventionEffect(await apiRequest(`/analytics/intervention-effectiveness${query}`, { token }));
+      } catch (error) {
+        setInterventionEffect(null);
+      }
     } catch (error) {
       if (error?.status === 401) {
         setToken("");
@@ -8921,9 +9995,14 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         status: workflowStatusFilter,
         assigned: workflowAssignedFilter,
         unit_id: workflowUnitFilter !== "all" ? workflowUnitFilter : undefined,
+        include_reports: true,
       });
-      const data = await apiRequest(`/workflow/queue${query}`, { token });
+      const [data, approvals] = await Promise.all([
+        apiRequest(`/workflow/queue${query}`, { token }),
+        apiRequest("/automation/approvals", { token }),
+      ]);
       setWorkflowQueue(Array.isArray(data) ? data : []);
+      setAutomationApprovals(Array.isArray(approvals) ? approvals : []);
       setWorkflowUpdated(new Date().toISOString());
     } catch (error) {
       handleApiError(error, setWorkflowError);
@@ -8949,6 +10028,58 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const handleResolveFallFlag = async (flagId) => {
+    if (!token) {
+      return;
+    }
+    setWorkflowError("");
+    try {
+      await apiRequest(`/fall-flags/${flagId}`, {
+        method: "PATCH",
+        token,
+        body: { status: "resolved" },
+      });
+      await loadWorkflowQueue();
+      loadResidents();
+    } catch (error) {
+      handleApiError(error, setWorkflowError);
+    }
+  };
+
+  const handleCompleteAutomationTask = async (taskId) => {
+    if (!token) {
+      return;
+    }
+    setWorkflowError("");
+    try {
+      await apiRequest(`/automation/tasks/${taskId}/complete`, {
+        method: "POST",
+        token,
+        body: {},
+      });
+      await loadWorkflowQueue();
+    } catch (error) {
+      handleApiError(error, setWorkflowError);
+    }
+  };
+
+  const handleReviewAutomationAction = async (actionId, decision) => {
+    if (!token) {
+      return;
+    }
+    setWorkflowError("");
+    try {
+      await apiRequest(`/automation/actions/${actionId}/${decision}`, {
+        method: "POST",
+        token,
+        body: {},
+      });
+      await loadWorkflowQueue();
+    } catch (error) {
+      handleApiError(error, setWorkflowError);
+    }
+  };
+
   const handleWorkflowStatusUpdate = async (assessmentId, status) => {
     if (!token) {
       return;
@@ -9064,6 +10195,18 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const loadAssessmentProtocols = async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const data = await apiRequest("/assessment-protocols", { token });
+      setAssessmentProtocols(Array.isArray(data) ? data : []);
+    } catch (_error) {
+      setAssessmentProtocols([]);
+    }
+  };
+
   const loadFacilityProfile = async () => {
     if (!token) {
       return;
@@ -9238,6 +10381,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         zip: "",
         reassessment_cadence_days: "90",
         report_turnaround_hours: "24",
+        post_fall_reassessment_days: "3",
+        reassessment_lead_days: "14",
         assessment_protocol: "tug_chair_balance",
         capture_method: "record_upload",
         role_policy: "clinician_admin_only",
@@ -9251,6 +10396,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     loadResidents();
     loadAnalytics();
     loadFacilityProfile();
+    loadAssessmentProtocols();
   }, [token]);
 
   useEffect(() => {
@@ -9310,19 +10456,72 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   }, [token, user?.role, selectedFacilityId]);
 
   useEffect(() => {
-    if (activePanel === "qa" && token && selectedResidentId) {
-      loadQaForResident(selectedResidentId);
+    setReportTemplateNotice("");
+    setReportTemplateLogoFile(null);
+    setReportTemplatePreviewUrl((prev) => {
+      if (prev) {
+        URL.revokeObjectURL(prev);
+      }
+      return "";
+    });
+    if (!token || user?.role !== "admin" || !selectedFacilityId) {
+      setReportTemplate(null);
+      setReportTemplateForm(null);
+      return;
     }
-  }, [activePanel, token, selectedResidentId]);
+    loadReportTemplate(selectedFacilityId);
+  }, [token, user?.role, selectedFacilityId]);
 
   useEffect(() => {
-    if (!user?.facility_id || facilities.length === 0) {
+    setFallCheckSchemaNotice("");
+    if (!token || user?.role !== "admin" || !selectedFacilityId) {
+      setFallCheckSchemaForm(null);
       return;
     }
-    const matched = facilities.find((item) => item.id === user.facility_id);
-    if (matched) {
-      setFacilityProfile(matched);
-    }
+    loadFallCheckSchemaForm(selectedFacilityId);
+  }, [token, user?.role, selectedFacilityId]);
+
+  useEffect(() => {
+    setInterventionLibraryNotice("");
+    if (!token || user?.role !== "admin" || !selectedFacilityId) {
+      setInterventionLibraryForm(null);
+      return;
+    }
+    loadInterventionLibraryForm(selectedFacilityId);
+  }, [token, user?.role, selectedFacilityId]);
+
+  useEffect(() => {
+    setRepeatFallRulesNotice("");
+    if (!token || user?.role !== "admin" || !selectedFacilityId) {
+      setRepeatFallRulesForm(null);
+      return;
+    }
+    loadRepeatFallRulesForm(selectedFacilityId);
+  }, [token, user?.role, selectedFacilityId]);
+
+  useEffect(() => {
+    setSlaPoliciesNotice("");
+    if (!token || user?.role !== "admin" || !selectedFacilityId) {
+      setSlaPoliciesForm(null);
+      return;
+    }
+    loadSlaPoliciesForm(selectedFacilityId);
+  }, [token, user?.role, selectedFacilityId]);
+
+  useEffect(() => {
+    if (activePanel === "qa" && token && selectedResidentId) {
+      loadQaForResident(selectedResidentId);
+    }
+  }, [activePanel, token, selectedResidentId]);
+
+  useEffect(() => {
+    if (!user?.facility_id || facilities.length === 0) {
+      return;
+    }
+    const matched = facilities.find((item) => item.id === user.facility_id);
+    if (matched) {
+      setFacilityProfile(matched);
+    }
   }, [facilities, user?.facility_id]);
 
   useEffect(() => {
@@ -9371,11 +10570,27 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
   useEffect(() => {
     if (!token || !selectedFallEventId) {
       setFallEventChecks({});
+      setFallEventRevisions([]);
       return;
     }
     loadFallEventChecks(selectedFallEventId);
+    loadFallEventRevisions(selectedFallEventId);
+    loadNeuroChecks(selectedFallEventId);
+    loadFallEventRca(selectedFallEventId);
+    setRcaNotice("");
+    setCorrectiveActionForm(buildCorrectiveActionForm());
+    setFallCheckDrafts({});
+    setNeuroCheckDraft(null);
   }, [selectedFallEventId, token]);
 
+  useEffect(() => {
+    if (!token || !facilityProfile?.id) {
+      setFallCheckSchemas({});
+      return;
+    }
+    loadFallCheckSchemas(facilityProfile.id);
+  }, [token, facilityProfile?.id]);
+
   useEffect(() => {
     if (!token) {
       setActivePanel("overview");
@@ -9562,6 +10777,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         zip: "",
         reassessment_cadence_days: "90",
         report_turnaround_hours: "24",
+        post_fall_reassessment_days: "3",
+        reassessment_lead_days: "14",
         assessment_protocol: "tug_chair_balance",
         capture_method: "record_upload",
         role_policy: "clinician_admin_only",
@@ -9581,6 +10798,12 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       zip: selectedFacility.zip || "",
       reassessment_cadence_days: String(selectedFacility.reassessment_cadence_days || 90),
       report_turnaround_hours: String(selectedFacility.report_turnaround_hours || 24),
+      post_fall_reassessment_days: selectedFacility.post_fall_reassessment_days
+        ? String(selectedFacility.post_fall_reassessment_days)
+        : "",
+      reassessment_lead_days: selectedFacility.reassessment_lead_days
+        ? String(selectedFacility.reassessment_lead_days)
+        : "",
       assessment_protocol: selectedFacility.assessment_protocol || "tug_chair_balance",
       capture_method: selectedFacility.capture_method || "record_upload",
       role_policy: selectedFacility.role_policy || "clinician_admin_only",
@@ -9600,6 +10823,25 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     loadAssessments(selectedResidentId);
   }, [token, selectedResidentId]);
 
+  useEffect(() => {
+    if (!token || !selectedResidentId || activePanel !== "residents") {
+      setResidentTrends(null);
+      return;
+    }
+    loadResidentTrends(selectedResidentId);
+  }, [token, selectedResidentId, activePanel]);
+
+  useEffect(() => {
+    setInterventionNotice("");
+    setInterventionDraft(null);
+    setInterventionForm(buildInterventionForm());
+    if (!token || !selectedResidentId || activePanel !== "residents") {
+      setResidentInterventions([]);
+      return;
+    }
+    loadResidentInterventions(selectedResidentId);
+  }, [token, selectedResidentId, activePanel]);
+
   useEffect(() => {
     setTimelineFilters({ status: "all", risk: "all", from: "", to: "" });
     setAssessmentSearch("");
@@ -9702,14 +10944,38 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       status: assessmentDetails.status || "",
       risk_tier: assessmentDetails.risk_tier || "",
       clinician_notes: assessmentDetails.clinician_notes || "",
-      tug_seconds: scores.tug_seconds ?? "",
-      chair_stand_seconds: scores.chair_stand_seconds ?? "",
-      balance_side_by_side: Boolean(scores.balance_side_by_side),
-      balance_semi_tandem: Boolean(scores.balance_semi_tandem),
-      balance_tandem: Boolean(scores.balance_tandem),
       score_notes: scores.score_notes || "",
+      score_change_reason: "",
+      score_change_note: "",
+      values: buildScoreValues(activeScoreFields, scores),
+    });
+  }, [assessmentDetails, activeProtocolDefinition]);
+
+  useEffect(() => {
+    if (!token || !assessmentDetails?.id) {
+      setScoreHistory([]);
+      return;
+    }
+    loadScoreHistory(assessmentDetails.id);
+  }, [token, assessmentDetails]);
+
+  useEffect(() => {
+    if (!token || !assessmentDetails?.id) {
+      setNarrative({ draft: null, accepted: null });
+      return;
+    }
+    loadNarrative(assessmentDetails.id);
+  }, [token, assessmentDetails?.id]);
+
+  useEffect(() => {
+    const draft = narrative.draft;
+    setNarrativeForm({
+      subjective: draft?.subjective || "",
+      objective: draft?.objective || "",
+      assessment: draft?.assessment || "",
+      plan: draft?.plan || "",
     });
-  }, [assessmentDetails]);
+  }, [narrative.draft]);
 
   useEffect(() => {
     if (!assessmentDetails) {
@@ -9838,6 +11104,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
           scheduled_date: newAssessment.scheduled_date || null,
           due_date: newAssessment.due_date || null,
           assistive_device: newAssessment.assistive_device || null,
+          assessment_protocol: newAssessment.assessment_protocol || undefined,
         },
       });
       setAssessments((prev) => [created, ...prev]);
@@ -9847,6 +11114,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         scheduled_date: prev.scheduled_date || formatDate(new Date()),
         due_date: prev.due_date || formatDate(new Date()),
         assistive_device: "",
+        assessment_protocol: prev.assessment_protocol,
       }));
       setAssessmentFieldErrors({});
       setAssessmentSuccess(copy.assessmentCreated);
@@ -9857,7 +11125,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
-  const handleCreateFallEvent = async (event) => {
+  const handleSubmitFallEvent = async (event) => {
     event.preventDefault();
     if (!selectedResidentId) {
       setFallEventError(copy.incidentSelectResident);
@@ -9884,11 +11152,36 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         injury_severity: fallEventForm.injury_severity || "none",
         ems_called: Boolean(fallEventForm.ems_called),
         hospital_transfer: Boolean(fallEventForm.hospital_transfer),
+        head_strike: Boolean(fallEventForm.head_strike),
         witness: fallEventForm.witness || null,
         assistive_device: fallEventForm.assistive_device || null,
         contributing_factors: factors.length ? factors : [],
         notes: fallEventForm.notes || null,
       };
+      if (fallEventEditingId) {
+        const updated = await apiRequest(`/fall-events/${fallEventEditingId}`, {
+          method: "PATCH",
+          token,
+          body: {
+            ...payload,
+            resident_id: fallEventForm.resident_id || undefined,
+            reason: fallEventChangeReason || null,
+          },
+        });
+        if (updated.resident_id === selectedResidentId) {
+          setFallEvents((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+          loadFallEventRevisions(updated.id);
+          loadNeuroChecks(updated.id);
+          setFallEventNotice(copy.incidentEdited);
+        } else {
+          setFallEvents((prev) => prev.filter((item) => item.id !== updated.id));
+          setFallEventNotice(copy.incidentMoved);
+        }
+        setFallEventEditingId(null);
+        setFallEventChangeReason("");
+        setFallEventForm(buildFallEventForm(selectedResident));
+        return;
+      }
       const created = await apiRequest(`/residents/${selectedResidentId}/fall-events`, {
         method: "POST",
         token,
@@ -9905,165 +11198,761 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
-  const handleToggleFallCheck = async (checkType) => {
-    if (!token || !selectedFallEventId || !checkType) {
-      return;
+  const updateFallCheckDraft = (checkType, key, value) => {
+    setFallCheckDrafts((prev) => {
+      const current = prev[checkType] || {
+        notes: fallEventChecks[checkType]?.notes || "",
+        data: { ...(fallEventChecks[checkType]?.data || {}) },
+      };
+      const next = key === "notes"
+        ? { ...current, notes: value }
+        : { ...current, data: { ...current.data, [key]: value } };
+      return { ...prev, [checkType]: next };
+    });
+  };
+
+  const buildFallCheckPayload = (checkType, draft) => {
+    const fields = fallCheckSchemas[checkType]?.fields || [];
+    const data = {};
+    fields.forEach((field) => {
+      const value = draft.data?.[field.key];
+      if (value === undefined || value === null || value === "") {
+        return;
+      }
+      data[field.key] = field.type === "integer" || field.type === "number" ? Number(value) : value;
+    });
+    return { data, notes: draft.notes || null };
+  };
+
+  const formatFallCheckReading = (field, value) => {
+    if (typeof value === "boolean") {
+      return value ? "✓" : "✗";
     }
-    const existing = fallEventChecks[checkType];
-    const nextCompleted = existing?.status !== "completed";
-    setFallEventChecksBusy((prev) => ({ ...prev, [checkType]: true }));
+    const text = field.type === "choice" ? String(value).replace(/_/g, " ") : String(value);
+    return field.unit ? `${text} ${field.unit}` : text;
+  };
+
+  const renderCheckFieldInput = (field, value, onChange, disabled) => {
+    const label = `${field.label}${field.unit ? ` (${field.unit})` : ""}${field.required ? " *" : ""}`;
+    if (field.type === "boolean") {
+      return (
+        <label key={field.key} className="portal-toggle">
+          <input
+            type="checkbox"
+            checked={value === true}
+            onChange={(event) => onChange(event.target.checked)}
+            disabled={disabled}
+          />
+          <span>{label}</span>
+        </label>
+      );
+    }
+    return (
+      <div key={field.key} className="portal-field">
+        <label>{label}</label>
+        {field.type === "choice" ? (
+          <select value={value ?? ""} onChange={(event) => onChange(event.target.value)} disabled={disabled}>
+            <option value="">—</option>
+            {(field.options || []).map((option) => (
+              <option key={option} value={option}>{option.replace(/_/g, " ")}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type={field.type === "text" ? "text" : "number"}
+            step={field.type === "integer" ? 1 : "any"}
+            min={field.min}
+            max={field.max}
+            value={value ?? ""}
+            onChange={(event) => onChange(event.target.value)}
+            disabled={disabled}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const applyFallCheckSchemaForm = (data) => {
+    setFallCheckPresets(Array.isArray(data?.presets) ? data.presets : []);
+    const checklist = Array.isArray(data?.fall_checklist) ? data.fall_checklist : [];
+    setFallCheckSchemaForm(checklist.reduce((acc, item) => {
+      acc[item] = data?.schemas?.[item]?.fields || [];
+      return acc;
+    }, {}));
+  };
+
+  const loadFallCheckSchemaForm = async (facilityId) => {
+    setFallCheckSchemaBusy(true);
     try {
-      const updated = await apiRequest(`/fall-events/${selectedFallEventId}/checks`, {
-        method: "POST",
-        token,
-        body: {
-          check_type: checkType,
-          completed: nextCompleted,
-        },
-      });
-      setFallEventChecks((prev) => {
-        const next = { ...prev, [checkType]: updated };
-        const completedCount = fallChecklistItems.filter((item) => next[item]?.status === "completed").length;
-        setFallEvents((events) => events.map((event) => (
-          event.id === selectedFallEventId
-            ? {
-                ...event,
-                fall_checks_completed: completedCount,
-                fall_checks_required: event.fall_checks_required ?? fallChecklistItems.length,
-              }
-            : event
-        )));
-        return next;
-      });
+      const data = await apiRequest(`/facilities/${facilityId}/fall-check-schemas`, { token });
+      applyFallCheckSchemaForm(data);
     } catch (error) {
-      handleApiError(error, setFallEventError);
+      handleApiError(error, setFallCheckSchemaNotice);
     } finally {
-      setFallEventChecksBusy((prev) => ({ ...prev, [checkType]: false }));
+      setFallCheckSchemaBusy(false);
     }
   };
 
-  const handleUpdateSchedule = async (event) => {
+  const toggleFallCheckSchemaField = (item, preset) => {
+    setFallCheckSchemaForm((prev) => {
+      const fields = prev[item] || [];
+      const included = fields.some((field) => field.key === preset.key);
+      return {
+        ...prev,
+        [item]: included
+          ? fields.filter((field) => field.key !== preset.key)
+          : [...fields, { ...preset, required: false }],
+      };
+    });
+  };
+
+  const toggleFallCheckSchemaRequired = (item, key) => {
+    setFallCheckSchemaForm((prev) => ({
+      ...prev,
+      [item]: (prev[item] || []).map((field) => (
+        field.key === key ? { ...field, required: !field.required } : field
+      )),
+    }));
+  };
+
+  const handleSaveFallCheckSchemas = async (event) => {
     event.preventDefault();
-    if (!selectedAssessmentId) {
-      return;
-    }
-    setScheduleNotice("");
-    if (!validateScheduleForm()) {
+    if (!selectedFacilityId || !fallCheckSchemaForm) {
       return;
     }
-    setScheduleSaving(true);
+    setFallCheckSchemaBusy(true);
+    setFallCheckSchemaNotice("");
     try {
-      const payload = {
-        scheduled_date: scheduleForm.scheduled_date,
-        due_date: scheduleForm.due_date || scheduleForm.scheduled_date,
-      };
-      const updated = await apiRequest(`/assessments/${selectedAssessmentId}`, {
-        method: "PATCH",
+      const schemas = Object.entries(fallCheckSchemaForm).reduce((acc, [item, fields]) => {
+        if (fields.length) {
+          acc[item] = { fields };
+        }
+        return acc;
+      }, {});
+      await apiRequest(`/facilities/${selectedFacilityId}/fall-check-schemas`, {
+        method: "PUT",
         token,
-        body: payload,
+        body: { schemas },
       });
-      setAssessments((prev) => prev.map((item) => (item.id === updated.id ? { ...item, ...updated } : item)));
-      setAssessmentDetails((prev) => (prev && prev.id === updated.id ? { ...prev, ...updated } : prev));
-      setScheduleNotice(copy.assessmentScheduleSaved);
+      await loadFallCheckSchemaForm(selectedFacilityId);
+      if (selectedFacilityId === facilityProfile?.id) {
+        await loadFallCheckSchemas(selectedFacilityId);
+      }
+      setFallCheckSchemaNotice(copy.fallCheckSchemaSaved);
     } catch (error) {
-      handleApiError(error, setScheduleNotice);
+      handleApiError(error, setFallCheckSchemaNotice);
     } finally {
-      setScheduleSaving(false);
+      setFallCheckSchemaBusy(false);
     }
   };
 
-  const handleSavePtDetails = async (event) => {
-    event.preventDefault();
-    if (!selectedAssessmentId) {
-      setPtError(copy.selectAssessment);
-      return;
-    }
-    setPtSaving(true);
-    setPtError("");
-    setPtNotice("");
-    const painScore = parseNumber(ptForm.pt_pain_score);
-    if (painScore !== null && (!Number.isInteger(painScore) || painScore < 0 || painScore > 10)) {
-      setPtError(copy.ptFieldPainInvalid);
-      setPtSaving(false);
+  const handleStartFallEventEdit = () => {
+    if (!selectedFallEvent) {
       return;
     }
-    const sessionMinutes = parseNumber(ptForm.pt_session_minutes);
-    if (sessionMinutes !== null && (!Number.isInteger(sessionMinutes) || sessionMinutes < 0 || sessionMinutes > 240)) {
-      setPtError(copy.ptFieldMinutesInvalid);
-      setPtSaving(false);
+    setFallEventEditingId(selectedFallEvent.id);
+    setFallEventChangeReason("");
+    setFallEventError("");
+    setFallEventNotice("");
+    setFallEventForm(buildFallEventEditForm(selectedFallEvent));
+  };
+
+  const handleCancelFallEventEdit = () => {
+    setFallEventEditingId(null);
+    setFallEventChangeReason("");
+    setFallEventForm(buildFallEventForm(selectedResident));
+  };
+
+  const handleVoidFallEvent = async () => {
+    if (!token || !fallEventEditingId) {
       return;
     }
-    const timeSavedMinutes = parseNumber(ptForm.pt_time_saved_minutes);
-    if (timeSavedMinutes !== null && (!Number.isInteger(timeSavedMinutes) || timeSavedMinutes < 0 || timeSavedMinutes > 240)) {
-      setPtError(copy.ptFieldMinutesInvalid);
-      setPtSaving(false);
+    if (!fallEventChangeReason.trim()) {
+      setFallEventError(copy.incidentVoidReasonRequired);
       return;
     }
+    setFallEventSaving(true);
+    setFallEventError("");
     try {
-      const payload = {
-        pt_cpt_codes: ptForm.pt_cpt_codes.trim() || null,
-        pt_goals: ptForm.pt_goals.trim() || null,
-        pt_plan_of_care: ptForm.pt_plan_of_care.trim() || null,
-        pt_pain_score: painScore,
-        pt_session_minutes: sessionMinutes,
-        pt_time_saved_minutes: timeSavedMinutes,
-      };
-      await apiRequest(`/assessments/${selectedAssessmentId}`, {
-        method: "PATCH",
+      await apiRequest(`/fall-events/${fallEventEditingId}/void`, {
+        method: "POST",
         token,
-        body: payload,
+        body: { reason: fallEventChangeReason.trim() },
       });
-      setPtNotice(copy.ptSaveSuccess);
-      loadAssessmentDetails(selectedAssessmentId);
+      setFallEvents((prev) => prev.filter((item) => item.id !== fallEventEditingId));
+      if (fallEventEditingId === selectedFallEventId) {
+        loadNeuroChecks(selectedFallEventId);
+      }
+      setFallEventEditingId(null);
+      setFallEventChangeReason("");
+      setFallEventForm(buildFallEventForm(selectedResident));
+      setFallEventNotice(copy.incidentVoided);
     } catch (error) {
-      handleApiError(error, setPtError);
+      handleApiError(error, setFallEventError);
     } finally {
-      setPtSaving(false);
+      setFallEventSaving(false);
     }
   };
 
-  const handleApplyPtTimer = () => {
-    const minutes = Math.round(ptElapsedSeconds / 60);
-    if (!Number.isFinite(minutes)) {
+  const handleSaveNeuroCheck = async (event) => {
+    event.preventDefault();
+    if (!token || !selectedFallEventId || !neuroCheckDraft) {
       return;
     }
-    const suggestedSaved = Math.max(0, 30 - minutes);
-    setPtForm((prev) => ({
-      ...prev,
-      pt_session_minutes: String(minutes),
-      pt_time_saved_minutes: prev.pt_time_saved_minutes || String(suggestedSaved),
-    }));
+    setNeuroCheckSaving(true);
+    setFallEventError("");
+    try {
+      const data = {};
+      neuroCheckFields.forEach((field) => {
+        const value = neuroCheckDraft.data[field.key];
+        if (value === undefined || value === null || value === "") {
+          return;
+        }
+        data[field.key] = field.type === "integer" || field.type === "number" ? Number(value) : value;
+      });
+      const updated = await apiRequest(`/fall-events/${selectedFallEventId}/neuro-checks/${neuroCheckDraft.id}`, {
+        method: "POST",
+        token,
+        body: { data, notes: neuroCheckDraft.notes || null },
+      });
+      setNeuroChecks((prev) => prev.map((item) => (item.id === updated.id ? { ...item, ...updated } : item)));
+      setNeuroCheckDraft(null);
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    } finally {
+      setNeuroCheckSaving(false);
+    }
   };
 
-  const handleDownloadPtSummary = async () => {
-    if (!token || !selectedAssessmentId) {
-      setPtError(copy.selectAssessment);
-      return;
-    }
-    if (!ptChecklistComplete) {
-      setPtError(copy.ptSummaryBlocked);
+  const handleSaveRca = async (status) => {
+    if (!token || !selectedFallEventId) {
       return;
     }
-    setPtError("");
+    setRcaSaving(true);
+    setRcaNotice("");
     try {
-      await downloadProtected(`/assessments/${selectedAssessmentId}/pt-summary`, token, "pt_summary.pdf");
+      const body = {
+        huddle_at: rcaForm.huddle_at || null,
+        huddle_attendees: rcaForm.huddle_attendees.split(",").map((item) => item.trim()).filter(Boolean),
+        huddle_notes: rcaForm.huddle_notes || null,
+        whys: rcaForm.whys.map((item) => item.trim()).filter(Boolean),
+        factors: Object.entries(rcaForm.factors).map(([category, description]) => ({
+          category,
+          description: description || null,
+        })),
+        root_cause_category: rcaForm.root_cause_category || null,
+        root_cause: rcaForm.root_cause || null,
+        ...(status ? { status } : {}),
+      };
+      const data = await apiRequest(`/fall-events/${selectedFallEventId}/rca`, {
+        method: "PUT",
+        token,
+        body,
+      });
+      setFallEventRca(data);
+      setRcaForm(buildRcaForm(data));
+      setRcaNotice(copy.rcaSaved);
     } catch (error) {
-      handleApiError(error, setPtError);
+      handleApiError(error, setRcaNotice);
+    } finally {
+      setRcaSaving(false);
     }
   };
 
-  const handleUpdateResident = async (event) => {
+  const handleAddCorrectiveAction = async (event) => {
     event.preventDefault();
-    if (!selectedResidentId) {
+    if (!token || !selectedFallEventId) {
       return;
     }
-    setResidentEditNotice("");
-    if (!validateResidentEdit()) {
+    setRcaSaving(true);
+    setRcaNotice("");
+    try {
+      await apiRequest(`/fall-events/${selectedFallEventId}/rca/actions`, {
+        method: "POST",
+        token,
+        body: {
+          description: correctiveActionForm.description,
+          owner_id: correctiveActionForm.owner_id || user?.id,
+          due_date: correctiveActionForm.due_date,
+        },
+      });
+      setCorrectiveActionForm(buildCorrectiveActionForm());
+      await loadFallEventRca(selectedFallEventId);
+    } catch (error) {
+      handleApiError(error, setRcaNotice);
+    } finally {
+      setRcaSaving(false);
+    }
+  };
+
+  const handleCompleteCorrectiveAction = async (actionId) => {
+    if (!token || !selectedFallEventId) {
       return;
     }
-    setResidentEditSaving(true);
+    setRcaSaving(true);
+    setRcaNotice("");
     try {
-      const payload = {
+      await apiRequest(`/fall-events/${selectedFallEventId}/rca/actions/${actionId}`, {
+        method: "PATCH",
+        token,
+        body: { status: "completed" },
+      });
+      await loadFallEventRca(selectedFallEventId);
+    } catch (error) {
+      handleApiError(error, setRcaNotice);
+    } finally {
+      setRcaSaving(false);
+    }
+  };
+
+  const loadInterventionLibraryForm = async (facilityId) => {
+    setInterventionLibraryBusy(true);
+    try {
+      const data = await apiRequest(`/facilities/${facilityId}/intervention-library`, { token });
+      setInterventionLibraryForm(Array.isArray(data?.library) ? data.library : []);
+    } catch (error) {
+      handleApiError(error, setInterventionLibraryNotice);
+    } finally {
+      setInterventionLibraryBusy(false);
+    }
+  };
+
+  const updateInterventionLibraryEntry = (key, changes) => {
+    setInterventionLibraryForm((prev) => (prev || []).map((entry) => (
+      entry.key === key ? { ...entry, ...changes } : entry
+    )));
+  };
+
+  const handleSaveInterventionLibrary = async (event, reset = false) => {
+    event?.preventDefault();
+    if (!selectedFacilityId || !interventionLibraryForm) {
+      return;
+    }
+    setInterventionLibraryBusy(true);
+    setInterventionLibraryNotice("");
+    try {
+      const data = await apiRequest(`/facilities/${selectedFacilityId}/intervention-library`, {
+        method: "PUT",
+        token,
+        body: { library: reset ? null : interventionLibraryForm },
+      });
+      setInterventionLibraryForm(Array.isArray(data?.library) ? data.library : []);
+      setInterventionLibraryNotice(copy.interventionLibrarySaved);
+    } catch (error) {
+      handleApiError(error, setInterventionLibraryNotice);
+    } finally {
+      setInterventionLibraryBusy(false);
+    }
+  };
+
+  const loadRepeatFallRulesForm = async (facilityId) => {
+    setRepeatFallRulesBusy(true);
+    try {
+      const data = await apiRequest(`/facilities/${facilityId}/repeat-fall-rules`, { token });
+      setRepeatFallRulesForm(data?.rules || null);
+    } catch (error) {
+      handleApiError(error, setRepeatFallRulesNotice);
+    } finally {
+      setRepeatFallRulesBusy(false);
+    }
+  };
+
+  const updateRepeatFallRule = (key, changes) => {
+    setRepeatFallRulesForm((prev) => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  };
+
+  const handleSaveRepeatFallRules = async (event, reset = false) => {
+    event?.preventDefault();
+    if (!selectedFacilityId || !repeatFallRulesForm) {
+      return;
+    }
+    setRepeatFallRulesBusy(true);
+    setRepeatFallRulesNotice("");
+    try {
+      const data = await apiRequest(`/facilities/${selectedFacilityId}/repeat-fall-rules`, {
+        method: "PUT",
+        token,
+        body: { rules: reset ? null : repeatFallRulesForm },
+      });
+      setRepeatFallRulesForm(data?.rules || null);
+      setRepeatFallRulesNotice(copy.repeatFallRulesSaved);
+    } catch (error) {
+      handleApiError(error, setRepeatFallRulesNotice);
+    } finally {
+      setRepeatFallRulesBusy(false);
+    }
+  };
+
+  // The form keeps one hours field per ladder target; a blank field drops that step.
+  const toSlaPoliciesForm = (data) => ({
+    regional_admin_id: data?.regional_admin_id || "",
+    policies: Object.fromEntries(Object.entries(data?.policies || {}).map(([key, policy]) => [key, {
+      warning_hours: String(policy.warning_hours),
+      breach_hours: String(policy.breach_hours),
+      steps: Object.fromEntries(slaEscalationTargets.map((target) => {
+        const step = policy.escalation.find((item) => item.target === target);
+        return [target, step ? String(step.after_hours) : ""];
+      })),
+    }])),
+  });
+
+  const loadSlaPoliciesForm = async (facilityId) => {
+    setSlaPoliciesBusy(true);
+    try {
+      const data = await apiRequest(`/facilities/${facilityId}/sla-policies`, { token });
+      setSlaPoliciesForm(toSlaPoliciesForm(data));
+    } catch (error) {
+      handleApiError(error, setSlaPoliciesNotice);
+    } finally {
+      setSlaPoliciesBusy(false);
+    }
+  };
+
+  const updateSlaPolicy = (key, changes) => {
+    setSlaPoliciesForm((prev) => ({
+      ...prev,
+      policies: { ...prev.policies, [key]: { ...prev.policies[key], ...changes } },
+    }));
+  };
+
+  const handleSaveSlaPolicies = async (event, reset = false) => {
+    event?.preventDefault();
+    if (!selectedFacilityId || !slaPoliciesForm) {
+      return;
+    }
+    setSlaPoliciesBusy(true);
+    setSlaPoliciesNotice("");
+    try {
+      const policies = Object.fromEntries(Object.entries(slaPoliciesForm.policies).map(([key, policy]) => [key, {
+        warning_hours: Number(policy.warning_hours),
+        breach_hours: Number(policy.breach_hours),
+        escalation: slaEscalationTargets
+          .filter((target) => policy.steps[target] !== "")
+          .map((target) => ({ target, after_hours: Number(policy.steps[target]) })),
+      }]));
+      const data = await apiRequest(`/facilities/${selectedFacilityId}/sla-policies`, {
+        method: "PUT",
+        token,
+        body: {
+          policies: reset ? null : policies,
+          regional_admin_id: slaPoliciesForm.regional_admin_id || null,
+        },
+      });
+      setSlaPoliciesForm(toSlaPoliciesForm(data));
+      setSlaPoliciesNotice(copy.slaPoliciesSaved);
+    } catch (error) {
+      handleApiError(error, setSlaPoliciesNotice);
+    } finally {
+      setSlaPoliciesBusy(false);
+    }
+  };
+
+  const handleUpdateUnitLead = async (unitId, leadUserId) => {
+    setUnitError("");
+    setUnitNotice("");
+    try {
+      const updated = await apiRequest(`/units/${unitId}`, {
+        method: "PATCH",
+        token,
+        body: { lead_user_id: leadUserId || null },
+      });
+      setUnits((prev) => prev.map((unit) => (unit.id === updated.id ? updated : unit)));
+      setUnitNotice(copy.unitLeadSaved);
+    } catch (error) {
+      handleApiError(error, setUnitError);
+    }
+  };
+
+  const formatInterventionReason = (reason) => {
+    const [kind, value] = String(reason).split(":");
+    const label = copy.interventionReasonLabels[kind] || kind;
+    if (kind === "risk_tier") {
+      return `${label}: ${riskLabelMap[value] || value}`;
+    }
+    return value ? `${label}: ${value}` : label;
+  };
+
+  const handleRecommendInterventions = async () => {
+    if (!token || !selectedResidentId) {
+      return;
+    }
+    setInterventionsBusy(true);
+    setInterventionNotice("");
+    try {
+      const data = await apiRequest(`/residents/${selectedResidentId}/interventions/recommend`, {
+        method: "POST",
+        token,
+      });
+      setResidentInterventions(Array.isArray(data?.interventions) ? data.interventions : []);
+      setInterventionNotice(`${copy.interventionsRecommended}: ${data?.created || 0}`);
+    } catch (error) {
+      handleApiError(error, setInterventionNotice);
+    } finally {
+      setInterventionsBusy(false);
+    }
+  };
+
+  const updateIntervention = async (interventionId, body) => {
+    if (!token || !selectedResidentId) {
+      return false;
+    }
+    setInterventionsBusy(true);
+    setInterventionNotice("");
+    try {
+      await apiRequest(`/residents/${selectedResidentId}/interventions/${interventionId}`, {
+        method: "PATCH",
+        token,
+        body,
+      });
+      await loadResidentInterventions(selectedResidentId);
+      return true;
+    } catch (error) {
+      handleApiError(error, setInterventionNotice);
+      return false;
+    } finally {
+      setInterventionsBusy(false);
+    }
+  };
+
+  const handleSaveInterventionDraft = async (event) => {
+    event.preventDefault();
+    if (!interventionDraft) {
+      return;
+    }
+    const current = residentInterventions.find((item) => item.id === interventionDraft.id);
+    const body = {
+      label: interventionDraft.label,
+      details: interventionDraft.details,
+      start_date: interventionDraft.start_date || null,
+      end_date: interventionDraft.end_date || null,
+      owner_id: interventionDraft.owner_id || null,
+      status_reason: interventionDraft.status_reason,
+    };
+    if (current && current.status !== "accepted") {
+      body.status = "accepted";
+    }
+    if (await updateIntervention(interventionDraft.id, body)) {
+      setInterventionDraft(null);
+    }
+  };
+
+  const handleAddIntervention = async (event) => {
+    event.preventDefault();
+    if (!token || !selectedResidentId || !interventionForm.label.trim()) {
+      return;
+    }
+    setInterventionsBusy(true);
+    setInterventionNotice("");
+    try {
+      await apiRequest(`/residents/${selectedResidentId}/interventions`, {
+        method: "POST",
+        token,
+        body: {
+          label: interventionForm.label,
+          category: interventionForm.category,
+          details: interventionForm.details || null,
+          owner_id: interventionForm.owner_id || null,
+          end_date: interventionForm.end_date || null,
+        },
+      });
+      setInterventionForm(buildInterventionForm());
+      await loadResidentInterventions(selectedResidentId);
+    } catch (error) {
+      handleApiError(error, setInterventionNotice);
+    } finally {
+      setInterventionsBusy(false);
+    }
+  };
+
+  const handleDownloadIncidentReport = async () => {
+    if (!token || !selectedFallEventId) {
+      return;
+    }
+    setIncidentReportBusy(true);
+    setFallEventError("");
+    try {
+      const report = await apiRequest(`/fall-events/${selectedFallEventId}/reports`, {
+        method: "POST",
+        token,
+      });
+      await downloadProtected(`/reports/${report.id}/download`, token, `fall_incident_${selectedFallEventId}.pdf`);
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    } finally {
+      setIncidentReportBusy(false);
+    }
+  };
+
+  const handleToggleFallCheck = async (checkType) => {
+    if (!token || !selectedFallEventId || !checkType) {
+      return;
+    }
+    const existing = fallEventChecks[checkType];
+    const nextCompleted = existing?.status !== "completed";
+    const draft = fallCheckDrafts[checkType];
+    setFallEventChecksBusy((prev) => ({ ...prev, [checkType]: true }));
+    try {
+      const updated = await apiRequest(`/fall-events/${selectedFallEventId}/checks`, {
+        method: "POST",
+        token,
+        body: {
+          check_type: checkType,
+          completed: nextCompleted,
+          ...(draft ? buildFallCheckPayload(checkType, draft) : {}),
+        },
+      });
+      setFallCheckDrafts((prev) => {
+        const next = { ...prev };
+        delete next[checkType];
+        return next;
+      });
+      setFallEventChecks((prev) => {
+        const next = { ...prev, [checkType]: updated };
+        const completedCount = fallChecklistItems.filter((item) => next[item]?.status === "completed").length;
+        setFallEvents((events) => events.map((event) => (
+          event.id === selectedFallEventId
+            ? {
+                ...event,
+                fall_checks_completed: completedCount,
+                fall_checks_required: event.fall_checks_required ?? fallChecklistItems.length,
+              }
+            : event
+        )));
+        return next;
+      });
+    } catch (error) {
+      handleApiError(error, setFallEventError);
+    } finally {
+      setFallEventChecksBusy((prev) => ({ ...prev, [checkType]: false }));
+    }
+  };
+
+  const handleUpdateSchedule = async (event) => {
+    event.preventDefault();
+    if (!selectedAssessmentId) {
+      return;
+    }
+    setScheduleNotice("");
+    if (!validateScheduleForm()) {
+      return;
+    }
+    setScheduleSaving(true);
+    try {
+      const payload = {
+        scheduled_date: scheduleForm.scheduled_date,
+        due_date: scheduleForm.due_date || scheduleForm.scheduled_date,
+      };
+      const updated = await apiRequest(`/assessments/${selectedAssessmentId}`, {
+        method: "PATCH",
+        token,
+        body: payload,
+      });
+      setAssessments((prev) => prev.map((item) => (item.id === updated.id ? { ...item, ...updated } : item)));
+      setAssessmentDetails((prev) => (prev && prev.id === updated.id ? { ...prev, ...updated } : prev));
+      setScheduleNotice(copy.assessmentScheduleSaved);
+    } catch (error) {
+      handleApiError(error, setScheduleNotice);
+    } finally {
+      setScheduleSaving(false);
+    }
+  };
+
+  const handleSavePtDetails = async (event) => {
+    event.preventDefault();
+    if (!selectedAssessmentId) {
+      setPtError(copy.selectAssessment);
+      return;
+    }
+    setPtSaving(true);
+    setPtError("");
+    setPtNotice("");
+    const painScore = parseNumber(ptForm.pt_pain_score);
+    if (painScore !== null && (!Number.isInteger(painScore) || painScore < 0 || painScore > 10)) {
+      setPtError(copy.ptFieldPainInvalid);
+      setPtSaving(false);
+      return;
+    }
+    const sessionMinutes = parseNumber(ptForm.pt_session_minutes);
+    if (sessionMinutes !== null && (!Number.isInteger(sessionMinutes) || sessionMinutes < 0 || sessionMinutes > 240)) {
+      setPtError(copy.ptFieldMinutesInvalid);
+      setPtSaving(false);
+      return;
+    }
+    const timeSavedMinutes = parseNumber(ptForm.pt_time_saved_minutes);
+    if (timeSavedMinutes !== null && (!Number.isInteger(timeSavedMinutes) || timeSavedMinutes < 0 || timeSavedMinutes > 240)) {
+      setPtError(copy.ptFieldMinutesInvalid);
+      setPtSaving(false);
+      return;
+    }
+    try {
+      const payload = {
+        pt_cpt_codes: ptForm.pt_cpt_codes.trim() || null,
+        pt_goals: ptForm.pt_goals.trim() || null,
+        pt_plan_of_care: ptForm.pt_plan_of_care.trim() || null,
+        pt_pain_score: painScore,
+        pt_session_minutes: sessionMinutes,
+        pt_time_saved_minutes: timeSavedMinutes,
+      };
+      await apiRequest(`/assessments/${selectedAssessmentId}`, {
+        method: "PATCH",
+        token,
+        body: payload,
+      });
+      setPtNotice(copy.ptSaveSuccess);
+      loadAssessmentDetails(selectedAssessmentId);
+    } catch (error) {
+      handleApiError(error, setPtError);
+    } finally {
+      setPtSaving(false);
+    }
+  };
+
+  const handleApplyPtTimer = () => {
+    const minutes = Math.round(ptElapsedSeconds / 60);
+    if (!Number.isFinite(minutes)) {
+      return;
+    }
+    const suggestedSaved = Math.max(0, 30 - minutes);
+    setPtForm((prev) => ({
+      ...prev,
+      pt_session_minutes: String(minutes),
+      pt_time_saved_minutes: prev.pt_time_saved_minutes || String(suggestedSaved),
+    }));
+  };
+
+  const handleDownloadPtSummary = async () => {
+    if (!token || !selectedAssessmentId) {
+      setPtError(copy.selectAssessment);
+      return;
+    }
+    if (!ptChecklistComplete) {
+      setPtError(copy.ptSummaryBlocked);
+      return;
+    }
+    setPtError("");
+    try {
+      await downloadProtected(
+        `/assessments/${selectedAssessmentId}/pt-summary${buildQueryString({ language: reportLanguage })}`,
+        token,
+        "pt_summary.pdf"
+      );
+    } catch (error) {
+      handleApiError(error, setPtError);
+    }
+  };
+
+  const handleUpdateResident = async (event) => {
+    event.preventDefault();
+    if (!selectedResidentId) {
+      return;
+    }
+    setResidentEditNotice("");
+    if (!validateResidentEdit()) {
+      return;
+    }
+    setResidentEditSaving(true);
+    try {
+      const payload = {
         first_name: residentEditForm.first_name.trim(),
         last_name: residentEditForm.last_name.trim(),
         dob: residentEditForm.dob || null,
@@ -10278,6 +12167,8 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
         zip: facilityEditForm.zip.trim() || null,
         reassessment_cadence_days: parseNumber(facilityEditForm.reassessment_cadence_days),
         report_turnaround_hours: parseNumber(facilityEditForm.report_turnaround_hours),
+        post_fall_reassessment_days: parseNumber(facilityEditForm.post_fall_reassessment_days),
+        reassessment_lead_days: parseNumber(facilityEditForm.reassessment_lead_days),
         assessment_protocol: facilityEditForm.assessment_protocol,
         capture_method: facilityEditForm.capture_method,
         role_policy: facilityEditForm.role_policy,
@@ -10293,6 +12184,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       if (updated.id === user?.facility_id) {
         setFacilityProfile(updated);
       }
+      loadFallCheckSchemaForm(updated.id);
       setFacilityEditNotice(copy.facilityUpdated);
     } catch (error) {
       if (error?.status === 401) {
@@ -10307,6 +12199,131 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const applyReportTemplate = (data) => {
+    setReportTemplate(data);
+    const config = data.template.config;
+    setReportTemplateForm({
+      title: config.title || "",
+      pt_summary_title: config.pt_summary_title || "",
+      header_text: config.header_text || "",
+      footer_text: config.footer_text || "",
+      primary_color: config.primary_color || "#0b4a3b",
+      sections: config.sections || [],
+    });
+  };
+
+  const loadReportTemplate = async (facilityId) => {
+    setReportTemplateBusy(true);
+    try {
+      const data = await apiRequest(`/facilities/${facilityId}/report-template`, { token });
+      applyReportTemplate(data);
+    } catch (error) {
+      handleApiError(error, setReportTemplateNotice);
+    } finally {
+      setReportTemplateBusy(false);
+    }
+  };
+
+  const buildReportTemplatePayload = () => ({
+    title: reportTemplateForm.title.trim(),
+    pt_summary_title: reportTemplateForm.pt_summary_title.trim(),
+    header_text: reportTemplateForm.header_text.trim() || null,
+    footer_text: reportTemplateForm.footer_text.trim() || null,
+    primary_color: reportTemplateForm.primary_color,
+    sections: reportTemplateForm.sections,
+  });
+
+  const toggleReportTemplateSection = (section) => {
+    setReportTemplateForm((prev) => ({
+      ...prev,
+      sections: prev.sections.includes(section)
+        ? prev.sections.filter((item) => item !== section)
+        : [...prev.sections, section],
+    }));
+  };
+
+  const moveReportTemplateSection = (section, offset) => {
+    setReportTemplateForm((prev) => {
+      const sections = [...prev.sections];
+      const index = sections.indexOf(section);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= sections.length) {
+        return prev;
+      }
+      [sections[index], sections[target]] = [sections[target], sections[index]];
+      return { ...prev, sections };
+    });
+  };
+
+  const handleSaveReportTemplate = async (event, overrides = {}) => {
+    event?.preventDefault();
+    if (!selectedFacilityId || !reportTemplateForm) {
+      return;
+    }
+    setReportTemplateBusy(true);
+    setReportTemplateNotice("");
+    try {
+      await apiRequest(`/facilities/${selectedFacilityId}/report-template`, {
+        method: "PUT",
+        token,
+        body: { ...buildReportTemplatePayload(), ...overrides },
+      });
+      await loadReportTemplate(selectedFacilityId);
+      setReportTemplateNotice(copy.reportTemplateSaved);
+    } catch (error) {
+      handleApiError(error, setReportTemplateNotice);
+    } finally {
+      setReportTemplateBusy(false);
+    }
+  };
+
+  const handleUploadReportTemplateLogo = async () => {
+    if (!selectedFacilityId || !reportTemplateLogoFile) {
+      return;
+    }
+    setReportTemplateBusy(true);
+    setReportTemplateNotice("");
+    try {
+      const formData = new FormData();
+      formData.append("logo", reportTemplateLogoFile);
+      await apiRequest(`/facilities/${selectedFacilityId}/report-template/logo`, {
+        method: "POST",
+        token,
+        body: formData,
+      });
+      setReportTemplateLogoFile(null);
+      await loadReportTemplate(selectedFacilityId);
+      setReportTemplateNotice(copy.reportTemplateSaved);
+    } catch (error) {
+      handleApiError(error, setReportTemplateNotice);
+    } finally {
+      setReportTemplateBusy(false);
+    }
+  };
+
+  const handlePreviewReportTemplate = async () => {
+    if (!selectedFacilityId || !reportTemplateForm) {
+      return;
+    }
+    setReportTemplateBusy(true);
+    setReportTemplateNotice("");
+    try {
+      const url = await postForBlobUrl(`/facilities/${selectedFacilityId}/report-template/preview`, token, {
+        config: buildReportTemplatePayload(),
+      });
+      setReportTemplatePreviewUrl((prev) => {
+        if (prev) {
+          URL.revokeObjectURL(prev);
+        }
+        return url;
+      });
+    } catch (error) {
+      handleApiError(error, setReportTemplateNotice);
+    } finally {
+      setReportTemplateBusy(false);
+    }
+  };
+
   const handleSaveOnboardingFacility = async () => {
     if (!token || user?.role !== "admin" || !user?.facility_id) {
       return;
@@ -10438,20 +12455,21 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     setScoreSaving(true);
     setScoreNotice("");
     try {
-      const scoresPayload = {
-        tug_seconds: showTugField ? parseNumber(scoreForm.tug_seconds) : null,
-        chair_stand_seconds: showChairField ? parseNumber(scoreForm.chair_stand_seconds) : null,
-        balance_side_by_side: showBalanceFields ? Boolean(scoreForm.balance_side_by_side) : null,
-        balance_semi_tandem: showBalanceFields ? Boolean(scoreForm.balance_semi_tandem) : null,
-        balance_tandem: showBalanceFields ? Boolean(scoreForm.balance_tandem) : null,
-        score_notes: scoreForm.score_notes || null,
-      };
+      const scoresPayload = { score_notes: scoreForm.score_notes || null };
+      activeScoreFields.forEach((field) => {
+        const value = scoreForm.values[field.key];
+        scoresPayload[field.key] = field.type === "boolean" ? Boolean(value) : parseNumber(value ?? "");
+      });
       const payload = {
         status: scoreForm.status || assessmentDetails?.status || "in_review",
         risk_tier: scoreForm.risk_tier || null,
         clinician_notes: scoreForm.clinician_notes || null,
         scores: scoresPayload,
       };
+      if (scoreForm.score_change_reason) {
+        payload.score_change_reason = scoreForm.score_change_reason;
+        payload.score_change_note = scoreForm.score_change_note || null;
+      }
       await apiRequest(`/assessments/${selectedAssessmentId}`, {
         method: "PATCH",
         token,
@@ -10545,6 +12563,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
       const report = await apiRequest(`/assessments/${selectedAssessmentId}/reports`, {
         method: "POST",
         token,
+        body: { language: reportLanguage },
       });
       setAssessmentDetails((prev) => (prev ? { ...prev, report } : prev));
     } catch (error) {
@@ -10554,6 +12573,142 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
     }
   };
 
+  const handleSignReport = async (event) => {
+    event.preventDefault();
+    const reportId = assessmentDetails?.report?.id;
+    if (!reportId) {
+      return;
+    }
+    const signerName = signForm.signer_name.trim() || user?.full_name || "";
+    if (!signerName || !signForm.signer_credentials.trim() || !signForm.password || !signForm.attest) {
+      setSignError(copy.signRequired);
+      return;
+    }
+    setSignBusy(true);
+    setSignError("");
+    try {
+      await apiRequest(`/reports/${reportId}/sign`, {
+        method: "POST",
+        token,
+        body: {
+          signer_name: signerName,
+          signer_credentials: signForm.signer_credentials.trim(),
+          password: signForm.password,
+          attest: true,
+        },
+      });
+      setSignForm((prev) => ({ ...prev, password: "", attest: false }));
+      clearReportPreview();
+      await loadAssessmentDetails(selectedAssessmentId);
+    } catch (error) {
+      handleApiError(error, setSignError);
+    } finally {
+      setSignBusy(false);
+    }
+  };
+
+  const handleDraftNarrative = async () => {
+    if (!selectedAssessmentId) {
+      return;
+    }
+    setNarrativeBusy(true);
+    setNarrativeError("");
+    try {
+      const draft = await apiRequest(`/assessments/${selectedAssessmentId}/narrative`, {
+        method: "POST",
+        token,
+      });
+      setNarrative((prev) => ({ ...prev, draft }));
+    } catch (error) {
+      handleApiError(error, setNarrativeError);
+    } finally {
+      setNarrativeBusy(false);
+    }
+  };
+
+  const handleAcceptNarrative = async (event) => {
+    event.preventDefault();
+    if (!selectedAssessmentId || !narrative.draft?.id) {
+      return;
+    }
+    setNarrativeBusy(true);
+    setNarrativeError("");
+    try {
+      const accepted = await apiRequest(`/assessments/${selectedAssessmentId}/narrative/accept`, {
+        method: "POST",
+        token,
+        body: { narrative_id: narrative.draft.id, ...narrativeForm },
+      });
+      setNarrative({ draft: null, accepted });
+    } catch (error) {
+      handleApiError(error, setNarrativeError);
+    } finally {
+      setNarrativeBusy(false);
+    }
+  };
+
+  const handleCreateAmendment = async (event) => {
+    event.preventDefault();
+    const reportId = assessmentDetails?.report?.id;
+    if (!reportId) {
+      return;
+    }
+    const isAddendum = amendForm.amendment_type === "addendum";
+    if (!amendForm.reason.trim() || (isAddendum && !amendForm.addendum_text.trim())) {
+      setAmendError(copy.amendRequired);
+      return;
+    }
+    setAmendBusy(true);
+    setAmendError("");
+    try {
+      await apiRequest(`/reports/${reportId}/amendments`, {
+        method: "POST",
+        token,
+        body: {
+          amendment_type: amendForm.amendment_type,
+          reason: amendForm.reason.trim(),
+          addendum_text: isAddendum ? amendForm.addendum_text.trim() : null,
+        },
+      });
+      setAmendForm({ amendment_type: "amendment", reason: "", addendum_text: "" });
+      clearReportPreview();
+      await loadAssessmentDetails(selectedAssessmentId);
+    } catch (error) {
+      handleApiError(error, setAmendError);
+    } finally {
+      setAmendBusy(false);
+    }
+  };
+
+  const handleGenerateHandout = async () => {
+    if (!selectedAssessmentId) {
+      setReportError(copy.selectAssessment);
+      return;
+    }
+    setHandoutBusy(true);
+    setReportError("");
+    try {
+      await apiRequest(`/assessments/${selectedAssessmentId}/handouts`, {
+        method: "POST",
+        token,
+        body: { language: reportLanguage },
+      });
+      await loadAssessmentDetails(selectedAssessmentId);
+    } catch (error) {
+      handleApiError(error, setReportError);
+    } finally {
+      setHandoutBusy(false);
+    }
+  };
+
+  const handleDownloadHandout = async (handout) => {
+    try {
+      await downloadProtected(`/reports/${handout.id}/download`, token, `handout_${handout.language}.pdf`);
+    } catch (error) {
+      handleApiError(error, setReportError);
+    }
+  };
+
   const handleDownloadReport = async () => {
     if (!assessmentDetails?.report?.id) {
       return;
@@ -11130,6 +13285,116 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                         </>
                       )}
                     </div>
+                    {rootCauseAnalytics ? (
+                      <div className="portal-card">
+                        <div className="portal-card-header">
+                          <div>
+                            <h3>{copy.analyticsRootCauseTitle}</h3>
+                            <p className="text-muted">{copy.analyticsRootCauseBody}</p>
+                          </div>
+                        </div>
+                        <div className="portal-stat-grid portal-stat-grid-secondary">
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsRootCauseAnalyzed}</span>
+                            <strong>{rootCauseAnalytics.fall_events - rootCauseAnalytics.without_rca}</strong>
+                          </div>
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsRootCauseMissing}</span>
+                            <strong>{rootCauseAnalytics.without_rca}</strong>
+                          </div>
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsRootCauseTop}</span>
+                            <strong>
+                              {rootCauseAnalytics.root_causes[0]
+                                ? copy.rcaCategoryLabels[rootCauseAnalytics.root_causes[0].category]
+                                : "--"}
+                            </strong>
+                          </div>
+                        </div>
+                        {rootCauseAnalytics.units.length === 0 ? (
+                          <div className="portal-message">{copy.analyticsRootCauseEmpty}</div>
+                        ) : (
+                          <div className="portal-user-rows">
+                            {rootCauseAnalytics.units.map((unit) => (
+                              <div key={unit.unit_id || "unassigned"} className="portal-user-row">
+                                <div>
+                                  <strong>{unit.unit_label || copy.analyticsPostFallUnitUnassigned}</strong>
+                                  <span>
+                                    {unit.root_causes
+                                      .map((cause) => `${copy.rcaCategoryLabels[cause.category] || cause.category}: ${cause.count}`)
+                                      .join(" • ")}
+                                  </span>
+                                </div>
+                                <span className="sla-pill">{unit.total}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ) : null}
+                    {interventionEffect ? (
+                      <div className="portal-card">
+                        <div className="portal-card-header">
+                          <div>
+                            <h3>{copy.analyticsEffectTitle}</h3>
+                            <p className="text-muted">{copy.analyticsEffectBody}</p>
+                          </div>
+                        </div>
+                        <div className="portal-stat-grid portal-stat-grid-secondary">
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsEffectInterventions}</span>
+                            <strong>{interventionEffect.overall.interventions}</strong>
+                          </div>
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsEffectRateBefore}</span>
+                            <strong>{formatEffectInterval(interventionEffect.overall.fall_rate_before, "rate")}</strong>
+                          </div>
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsEffectRateAfter}</span>
+                            <strong>{formatEffectInterval(interventionEffect.overall.fall_rate_after, "rate")}</strong>
+                          </div>
+                          <div className="portal-stat-card">
+                            <span className="portal-meta">{copy.analyticsEffectRateRatio}</span>
+                            <strong>{formatEffectInterval(interventionEffect.overall.fall_rate_ratio)}</strong>
+                          </div>
+                        </div>
+                        {interventionEffect.overall.warnings.length ? (
+                          <p className="field-hint">
+                            {interventionEffect.overall.warnings
+                              .map((warning) => copy.analyticsEffectWarningLabels[warning] || warning)
+                              .join(" • ")}
+                          </p>
+                        ) : null}
+                        {interventionEffect.by_intervention.length === 0 ? (
+                          <div className="portal-message">{copy.analyticsEffectEmpty}</div>
+                        ) : (
+                          <div className="portal-user-rows">
+                            {interventionEffect.by_intervention.map((group) => (
+                              <div key={group.intervention_key} className="portal-user-row">
+                                <div>
+                                  <strong>{group.label || group.intervention_key}</strong>
+                                  <span>
+                                    {[
+                                      `${copy.analyticsEffectRateRatio}: ${formatEffectInterval(group.fall_rate_ratio)}`,
+                                      `${copy.analyticsEffectImproved}: ${formatEffectInterval(group.risk_transitions.improved_rate, "value", true)}`,
+                                      `${copy.analyticsEffectTugChange}: ${formatEffectInterval(group.score_changes.tug_seconds, "mean_change")}`,
+                                    ].join(" • ")}
+                                  </span>
+                                  {group.warnings.length ? (
+                                    <span className="text-muted">
+                                      {group.warnings
+                                        .map((warning) => copy.analyticsEffectWarningLabels[warning] || warning)
+                                        .join(" • ")}
+                                    </span>
+                                  ) : null}
+                                </div>
+                                <span className="sla-pill">{group.interventions}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ) : null}
                     <div className="portal-stat-grid">
                       <div className="portal-stat-card">
                         <span className="portal-meta">{copy.overviewResidents}</span>
@@ -11633,19 +13898,29 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 <div className="portal-message">{copy.workflowEmpty}</div>
                               ) : (
                                 workflowQueue.map((item) => {
-                                  const isIncident = item.item_type === "fall_event";
+                                  const isNeuroCheck = item.item_type === "neuro_check";
+                                  const isFallFlag = item.item_type === "fall_flag";
+                                  const isAutomationTask = item.item_type === "automation_task";
+                                  const isIncident = item.item_type === "fall_event" || isNeuroCheck || isFallFlag || isAutomationTask;
                                   const isMine = !isIncident && item.assigned_to && item.assigned_to === user?.id;
                                   const assignedLabel = item.assigned_name || item.assigned_email || "--";
                                   const statusLabel = statusLabelMap[item.status] || item.status;
-                                  const riskLabel = item.risk_tier ? riskLabelMap[item.risk_tier] : copy.outcomesUnknown;
+                                  // Only a clinician tier colours the pill; a score-based suggestion is labelled as one.
+                                  const itemRiskTier = item.risk_tier;
+                                  let riskLabel = copy.outcomesUnknown;
+                                  if (itemRiskTier) {
+                                    riskLabel = riskLabelMap[itemRiskTier];
+                                  } else if (item.suggested_risk_tier) {
+                                    riskLabel = `${copy.suggestedRiskLabel}: ${riskLabelMap[item.suggested_risk_tier] || item.suggested_risk_tier}`;
+                                  }
                                   const slaHours = item.sla_hours_remaining;
                                   let slaLabel = "";
                                   let slaClass = "sla-pill";
                                   if (Number.isFinite(slaHours)) {
-                                    if (slaHours < 0) {
+                                    if (item.sla_state === "breached") {
                                       slaLabel = copy.workflowOverdue;
                                       slaClass = "sla-pill sla-overdue";
-                                    } else if (slaHours <= workflowWarningHours) {
+                                    } else if (item.sla_state === "warning") {
                                       slaLabel = copy.workflowDueSoon;
                                       slaClass = "sla-pill sla-warning";
                                     } else {
@@ -11656,16 +13931,24 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   const slaText = Number.isFinite(slaHours)
                                     ? `${slaLabel} ${formatHours(Math.abs(slaHours))}`
                                     : "--";
-                                  const incidentSeverity = isIncident
-                                    ? (fallSeverityLabelMap[item.injury_severity] || item.injury_severity || "--")
-                                    : null;
+                                  const incidentSeverity = isAutomationTask
+                                    ? item.title
+                                    : isFallFlag
+                                      ? (copy.fallFlagRuleLabels[item.rule] || item.rule)
+                                      : isNeuroCheck
+                                        ? `${copy.neuroCheckLabel} ${item.sequence}`
+                                        : isIncident
+                                          ? (fallSeverityLabelMap[item.injury_severity] || item.injury_severity || "--")
+                                          : null;
                                   const checklistProgress = isIncident
                                     ? `${item.fall_checks_completed || 0}/${item.fall_checks_required || 0}`
                                     : null;
-                                  const primaryDate = isIncident ? item.occurred_at : item.assessment_date;
+                                  const primaryDate = isAutomationTask
+                                    ? item.created_at
+                                    : isIncident ? item.occurred_at : item.assessment_date;
                                   const unitLabel = item.resident_unit_label;
                                   return (
-                                    <div key={`${item.item_type}-${item.id}`} className={`portal-workflow-row ${slaHours < 0 ? "is-overdue" : ""}`}>
+                                    <div key={`${item.item_type}-${item.id}`} className={`portal-workflow-row ${item.sla_state === "breached" ? "is-overdue" : ""}`}>
                                       <div className="portal-workflow-details">
                                         <strong>{item.resident_first_name} {item.resident_last_name}</strong>
                                         <span className="portal-meta">
@@ -11673,16 +13956,26 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                         </span>
                                         <div className="portal-workflow-meta">
                                           {isIncident ? (
-                                            <span className="status-pill status-review">{incidentSeverity}</span>
+                                            <span className={isFallFlag ? adminRiskClass.high : "status-pill status-review"}>{incidentSeverity}</span>
                                           ) : (
                                             <span className={adminStatusClass[item.status] || "status-pill"}>{statusLabel}</span>
                                           )}
                                           {!isIncident ? (
-                                            item.risk_tier ? (
-                                              <span className={adminRiskClass[item.risk_tier] || "risk-pill"}>{riskLabel}</span>
+                                            itemRiskTier ? (
+                                              <span className={adminRiskClass[itemRiskTier] || "risk-pill"}>{riskLabel}</span>
                                             ) : (
                                               <span className="risk-pill">{riskLabel}</span>
                                             )
+                                          ) : isFallFlag ? (
+                                            <span className="portal-meta">
+                                              {copy.fallFlagFalls}: {item.fall_count} / {item.window_days} {copy.fallFlagWindowDays}
+                                            </span>
+                                          ) : isNeuroCheck ? (
+                                            <span className="portal-meta">
+                                              {copy.neuroCheckStatusLabels[item.neuro_check_status] || item.neuro_check_status}
+                                            </span>
+                                          ) : isAutomationTask ? (
+                                            <span className="portal-meta">{item.rule_name}</span>
                                           ) : (
                                             <span className="portal-meta">{copy.workflowChecklistLabel}: {checklistProgress}</span>
                                           )}
@@ -11694,32 +13987,66 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                               {copy.workflowAssignedTo}: {item.assigned_to ? assignedLabel : copy.workflowAssignedUnassigned}
                                             </span>
                                           ) : (
-                                            <span className="portal-meta">{copy.workflowIncidentLabel}</span>
+                                            <span className="portal-meta">
+                                              {isAutomationTask
+                                                ? copy.automationTaskLabel
+                                                : isFallFlag ? copy.fallFlagLabel : isNeuroCheck ? copy.neuroChecksTitle : copy.workflowIncidentLabel}
+                                            </span>
                                           )}
                                           <span className="portal-meta">
-                                            {copy.workflowDueLabel}: {formatDate(item.due_date) || "--"}
+                                            {copy.workflowDueLabel}:{" "}
+                                            {(isNeuroCheck || isAutomationTask ? formatDateTime(item.due_at) : formatDate(item.due_date)) || "--"}
                                           </span>
                                           {unitLabel ? (
                                             <span className="portal-meta">
                                               {copy.workflowUnitLabel}: {unitLabel}
                                             </span>
                                           ) : null}
+                                          {item.sla_escalation_level ? (
+                                            <span className="portal-meta">
+                                              {copy.slaEscalatedTo}: {copy.slaTargetLabels[item.sla_escalation_level]}
+                                            </span>
+                                          ) : null}
+                                          {!isIncident && item.assessment_protocol ? (
+                                            <span className="portal-meta">
+                                              {copy.assessmentProtocolLabel}: {getProtocolLabel(item.assessment_protocol)}
+                                            </span>
+                                          ) : null}
                                         </div>
                                       </div>
                                       <div className="portal-workflow-actions">
-                                        {isIncident ? (
+                                        {isAutomationTask ? (
                                           <button
-                                            className="button ghost small"
+                                            className="button small"
                                             type="button"
-                                            onClick={async () => {
-                                              setSelectedResidentId(item.resident_id);
-                                              setActivePanel("incidents");
-                                              setSelectedFallEventId(item.id);
-                                              await loadFallEvents(item.resident_id);
-                                            }}
+                                            onClick={() => handleCompleteAutomationTask(item.id)}
                                           >
-                                            {copy.workflowIncidentOpen}
+                                            {copy.automationTaskComplete}
                                           </button>
+                                        ) : isIncident ? (
+                                          <>
+                                            <button
+                                              className="button ghost small"
+                                              type="button"
+                                              onClick={async () => {
+                                                setSelectedResidentId(item.resident_id);
+                                                setActivePanel("incidents");
+                                                setSelectedFallEventId(isNeuroCheck || isFallFlag ? item.fall_event_id : item.id);
+                                                await loadFallEvents(item.resident_id);
+                                              }}
+                                            >
+                                              {copy.workflowIncidentOpen}
+                                            </button>
+                                            {isFallFlag ? (
+                                              <button
+                                                className="button small"
+                                                type="button"
+                                                onClick={() => handleResolveFallFlag(item.id)}
+                                              >
+                                                {copy.fallFlagResolve}
+                                              </button>
+                                            ) : null}
+                                          </>
                                         ) : (
                                           <>
                                             {!item.assigned_to ? (
@@ -11790,6 +14117,39 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 <span className="portal-pill">{copy.workflowAssignedUnassigned}</span>
                               </div>
                             </div>
+                            {automationApprovals.length ? (
+                              <div className="portal-legend">
+                                <span className="portal-meta">{copy.automationApprovalsTitle}</span>
+                                <p className="text-muted">{copy.automationApprovalsBody}</p>
+                                {automationApprovals.map((approval) => (
+                                  <div key={approval.id} className="portal-workflow-row">
+                                    <div className="portal-workflow-details">
+                                      <strong>{approval.resident_name || "--"}</strong>
+                                      <span className="portal-meta">{approval.rule_name}</span>
+                                      <span className="portal-meta">
+                                        {copy.automationRescreen} · {copy.automationRescreenDue}: {approval.params?.due_in_days ?? "--"}
+                                      </span>
+                                    </div>
+                                    <div className="portal-workflow-actions">
+                                      <button
+                                        className="button ghost small"
+                                        type="button"
+                                        onClick={() => handleReviewAutomationAction(approval.id, "reject")}
+                                      >
+                                        {copy.automationReject}
+                                      </button>
+                                      <button
+                                        className="button small"
+                                        type="button"
+                                        onClick={() => handleReviewAutomationAction(approval.id, "approve")}
+                                      >
+                                        {copy.automationApprove}
+                                      </button>
+                                    </div>
+                                  </div>
+                                ))}
+                              </div>
+                            ) : null}
                           </div>
                         </div>
                       </div>
@@ -12270,6 +14630,9 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                           ) : null}
                                         </div>
                                       </div>
+                                      {resident.open_fall_flags?.length ? (
+                                        <span className={adminRiskClass.high}>{copy.fallFlagBadge}</span>
+                                      ) : null}
                                       <span className="portal-pill">{resident.sex || "--"}</span>
                                     </button>
                                   );
@@ -12503,6 +14866,325 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                         </div>
                       </div>
                     </div>
+                    <div className="portal-card">
+                      <div className="portal-card-header">
+                        <div>
+                          <h3>{copy.residentTrendsTitle}</h3>
+                          <p className="text-muted">{copy.residentTrendsBody}</p>
+                        </div>
+                        <div className="portal-card-actions">
+                          <select
+                            value={residentTrendMetric}
+                            onChange={(event) => setResidentTrendMetric(event.target.value)}
+                            aria-label={copy.residentTrendsMetricLabel}
+                            disabled={!residentTrends}
+                          >
+                            {residentTrendMetricOptions.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                          <button
+                            className="button ghost small"
+                            type="button"
+                            onClick={() => loadResidentTrends(selectedResidentId)}
+                            disabled={!token || !selectedResidentId || residentTrendsLoading}
+                          >
+                            {copy.refresh}
+                          </button>
+                        </div>
+                      </div>
+                      {!selectedResident ? (
+                        <div className="portal-message">{copy.residentTrendsSelect}</div>
+                      ) : residentTrendsLoading ? (
+                        <div className="portal-message">{copy.loading}</div>
+                      ) : residentTrendsError ? (
+                        <div className="portal-message portal-error">{residentTrendsError}</div>
+                      ) : residentTrendPoints.length === 0 ? (
+                        <div className="portal-message">{copy.residentTrendsEmpty}</div>
+                      ) : (
+                        <div className="resident-trend">
+                          <svg
+                            className="resident-trend-chart"
+                            viewBox={`0 0 ${trendChartSize.width} ${trendChartSize.height}`}
+                            role="img"
+                            aria-label={residentTrendMetricOptions.find((option) => option.value === residentTrendMetric)?.label}
+                          >
+                            <polyline
+                              className="resident-trend-line"
+                              points={residentTrendPoints.map((point) => `${point.x},${point.y}`).join(" ")}
+                            />
+                            {residentTrendPoints.map((point) => (
+                              <circle
+                                key={`${point.date}-${point.x}`}
+                                className={`resident-trend-point trend-${point.riskTier || "unknown"}`}
+                                cx={point.x}
+                                cy={point.y}
+                                r="5"
+                              >
+                                <title>{`${formatDate(point.date)}: ${point.value}`}</title>
+                              </circle>
+                            ))}
+                          </svg>
+                          <div className="resident-trend-axis portal-meta">
+                            <span>{formatDate(residentTrendPoints[0].date)}</span>
+                            <span>{formatDate(residentTrendPoints[residentTrendPoints.length - 1].date)}</span>
+                          </div>
+                          {residentTrendSummary ? (
+                            <div className="portal-assessment-summary">
+                              <span>
+                                <strong>{outcomesTrendLabelMap[residentTrendSummary.direction] || copy.outcomesTrendUnknown}</strong>
+                              </span>
+                              <span>{copy.residentTrendsChange}: {formatTrendNumber(residentTrendSummary.change)}</span>
+                              <span>{copy.residentTrendsDelta}: {formatTrendNumber(residentTrendSummary.delta)}</span>
+                              <span>{copy.residentTrendsSlope}: {formatTrendNumber(residentTrendSummary.slope_per_30_days)}</span>
+                              <span className="portal-meta">
+                                {residentTrendSummary.mcid_met ? copy.residentTrendsMcidMet : copy.residentTrendsMcidNotMet}
+                                {` (${residentTrendSummary.mcid})`}
+                              </span>
+                            </div>
+                          ) : null}
+                          {residentRiskTrend?.latest ? (
+                            <div className="portal-meta">
+                              {copy.residentTrendsRisk}: {riskLabelMap[residentRiskTrend.first] || "--"} → {riskLabelMap[residentRiskTrend.latest]}
+                              {` · ${outcomesTrendLabelMap[residentRiskTrend.direction] || copy.outcomesTrendUnknown}`}
+                            </div>
+                          ) : null}
+                        </div>
+                      )}
+                    </div>
+                    <div className="portal-card">
+                      <div className="portal-card-header">
+                        <div>
+                          <h3>{copy.interventionsTitle}</h3>
+                          <p className="text-muted">{copy.interventionsBody}</p>
+                        </div>
+                        <button
+                          className="button ghost small"
+                          type="button"
+                          onClick={handleRecommendInterventions}
+                          disabled={!token || !selectedResident || interventionsBusy}
+                        >
+                          {copy.interventionsRecommend}
+                        </button>
+                      </div>
+                      {!selectedResident ? (
+                        <div className="portal-message">{copy.interventionsSelect}</div>
+                      ) : (
+                        <>
+                          {interventionNotice ? (
+                            <div className={`portal-message ${interventionNotice.startsWith(copy.interventionsRecommended) ? "portal-success" : "portal-error"}`}>
+                              {interventionNotice}
+                            </div>
+                          ) : null}
+                          {residentInterventions.length === 0 ? (
+                            <div className="portal-message">{copy.interventionsEmpty}</div>
+                          ) : (
+                            <div className="portal-user-rows">
+                              {residentInterventions.map((item) => (
+                                <div key={item.id} className="portal-user-row">
+                                  <div>
+                                    <strong>
+                                      {item.label}
+                                      {item.modified ? <span className="text-muted"> ({copy.interventionModified})</span> : null}
+                                    </strong>
+                                    <span>
+                                      {copy.interventionCategoryLabels[item.category] || item.category}
+                                      {item.start_date ? ` • ${copy.interventionStart}: ${formatDate(item.start_date)}` : ""}
+                                      {item.end_date ? ` • ${copy.interventionEnd}: ${formatDate(item.end_date)}` : ""}
+                                      {item.owner_id ? ` • ${copy.interventionOwner}: ${item.owner_name || item.owner_email}` : ""}
+                                    </span>
+                                    {item.details ? <span className="portal-meta">{item.details}</span> : null}
+                                    {item.reasons?.length ? (
+                                      <span className="portal-meta">{item.reasons.map(formatInterventionReason).join(" • ")}</span>
+                                    ) : null}
+                                    {item.status_reason ? (
+                                      <span className="portal-meta">{copy.interventionReason}: {item.status_reason}</span>
+                                    ) : null}
+                                    {interventionDraft?.id === item.id ? (
+                                      <form className="portal-form" onSubmit={handleSaveInterventionDraft}>
+                                        <div className="portal-field">
+                                          <label>{copy.interventionLabel}</label>
+                                          <input
+                                            type="text"
+                                            value={interventionDraft.label}
+                                            onChange={(event) => setInterventionDraft((prev) => ({ ...prev, label: event.target.value }))}
+                                            disabled={interventionsBusy}
+                                          />
+                                        </div>
+                                        <div className="portal-field">
+                                          <label>{copy.interventionDetails}</label>
+                                          <textarea
+                                            value={interventionDraft.details}
+                                            onChange={(event) => setInterventionDraft((prev) => ({ ...prev, details: event.target.value }))}
+                                            disabled={interventionsBusy}
+                                          />
+                                        </div>
+                                        <div className="portal-field">
+                                          <label>{copy.interventionStart}</label>
+                                          <input
+                                            type="date"
+                                            value={interventionDraft.start_date}
+                                            onChange={(event) => setInterventionDraft((prev) => ({ ...prev, start_date: event.target.value }))}
+                                            disabled={interventionsBusy}
+                                          />
+                                        </div>
+                                        <div className="portal-field">
+                                          <label>{copy.interventionEnd}</label>
+                                          <input
+                                            type="date"
+                                            value={interventionDraft.end_date}
+                                            onChange={(event) => setInterventionDraft((prev) => ({ ...prev, end_date: event.target.value }))}
+                                            disabled={interventionsBusy}
+                                          />
+                                        </div>
+                                        <div className="portal-field">
+                                          <label>{copy.interventionOwner}</label>
+                                          <select
+                                            value={interventionDraft.owner_id}
+                                            onChange={(event) => setInterventionDraft((prev) => ({ ...prev, owner_id: event.target.value }))}
+                                            disabled={interventionsBusy}
+                                          >
+                                            <option value="">—</option>
+                                            {(user?.role === "admin"
+                                              ? users.filter((item) => item.facility_id === selectedResident.facility_id && item.status === "active")
+                                              : [user]
+                                            ).filter(Boolean).map((item) => (
+                                              <option key={item.id} value={item.id}>{item.full_name || item.email}</option>
+                                            ))}
+                                          </select>
+                                        </div>
+                                        <div className="portal-form-actions">
+                                          <button className="button primary small" type="submit" disabled={interventionsBusy}>
+                                            {item.status === "accepted" ? copy.interventionSave : copy.interventionSaveAccept}
+                                          </button>
+                                          <button
+                                            className="button ghost small"
+                                            type="button"
+                                            onClick={() => setInterventionDraft(null)}
+                                            disabled={interventionsBusy}
+                                          >
+                                            {copy.incidentEditCancel}
+                                          </button>
+                                        </div>
+                                      </form>
+                                    ) : null}
+                                  </div>
+                                  <div className="portal-card-actions">
+                                    <span className="sla-pill">{copy.interventionStatusLabels[item.status] || item.status}</span>
+                                    {item.status === "recommended" || item.status === "declined" ? (
+                                      <button
+                                        className="button primary small"
+                                        type="button"
+                                        onClick={() => updateIntervention(item.id, { status: "accepted" })}
+                                        disabled={interventionsBusy}
+                                      >
+                                        {copy.interventionAccept}
+                                      </button>
+                                    ) : null}
+                                    {item.status === "recommended" ? (
+                                      <button
+                                        className="button ghost small"
+                                        type="button"
+                                        onClick={() => updateIntervention(item.id, { status: "declined" })}
+                                        disabled={interventionsBusy}
+                                      >
+                                        {copy.interventionDecline}
+                                      </button>
+                                    ) : null}
+                                    {item.status !== "discontinued" && interventionDraft?.id !== item.id ? (
+                                      <button
+                                        className="button ghost small"
+                                        type="button"
+                                        onClick={() => setInterventionDraft(buildInterventionDraft(item))}
+                                        disabled={interventionsBusy}
+                                      >
+                                        {copy.interventionModify}
+                                      </button>
+                                    ) : null}
+                                    {item.status === "accepted" ? (
+                                      <button
+                                        className="button ghost small"
+                                        type="button"
+                                        onClick={() => updateIntervention(item.id, { status: "discontinued" })}
+                                        disabled={interventionsBusy}
+                                      >
+                                        {copy.interventionDiscontinue}
+                                      </button>
+                                    ) : null}
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          <form className="portal-form" onSubmit={handleAddIntervention}>
+                            <h4>{copy.interventionAddTitle}</h4>
+                            <div className="portal-field">
+                              <label>{copy.interventionLabel}</label>
+                              <input
+                                type="text"
+                                value={interventionForm.label}
+                                onChange={(event) => setInterventionForm((prev) => ({ ...prev, label: event.target.value }))}
+                                disabled={!token || interventionsBusy}
+                              />
+                            </div>
+                            <div className="portal-field">
+                              <label>{copy.interventionCategory}</label>
+                              <select
+                                value={interventionForm.category}
+                                onChange={(event) => setInterventionForm((prev) => ({ ...prev, category: event.target.value }))}
+                                disabled={!token || interventionsBusy}
+                              >
+                                {interventionCategoryKeys.map((category) => (
+                                  <option key={category} value={category}>{copy.interventionCategoryLabels[category]}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="portal-field">
+                              <label>{copy.interventionDetails}</label>
+                              <textarea
+                                value={interventionForm.details}
+                                onChange={(event) => setInterventionForm((prev) => ({ ...prev, details: event.target.value }))}
+                                disabled={!token || interventionsBusy}
+                              />
+                            </div>
+                            <div className="portal-field">
+                              <label>{copy.interventionOwner}</label>
+                              <select
+                                value={interventionForm.owner_id}
+                                onChange={(event) => setInterventionForm((prev) => ({ ...prev, owner_id: event.target.value }))}
+                                disabled={!token || interventionsBusy}
+                              >
+                                <option value="">—</option>
+                                {(user?.role === "admin"
+                                  ? users.filter((item) => item.facility_id === selectedResident.facility_id && item.status === "active")
+                                  : [user]
+                                ).filter(Boolean).map((item) => (
+                                  <option key={item.id} value={item.id}>{item.full_name || item.email}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="portal-field">
+                              <label>{copy.interventionEnd}</label>
+                              <input
+                                type="date"
+                                value={interventionForm.end_date}
+                                onChange={(event) => setInterventionForm((prev) => ({ ...prev, end_date: event.target.value }))}
+                                disabled={!token || interventionsBusy}
+                              />
+                            </div>
+                            <div className="portal-form-actions">
+                              <button
+                                className="button primary"
+                                type="submit"
+                                disabled={!token || interventionsBusy || !interventionForm.label.trim()}
+                              >
+                                {copy.interventionAdd}
+                              </button>
+                            </div>
+                          </form>
+                        </>
+                      )}
+                    </div>
                   </div>
                 ) : null}
 
@@ -12784,6 +15466,23 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   disabled={!token}
                                 />
                               </div>
+                              <div className="portal-field">
+                                <label>{copy.assessmentProtocolLabel}</label>
+                                <select
+                                  value={newAssessment.assessment_protocol}
+                                  onChange={(event) => {
+                                    const value = event.target.value;
+                                    setNewAssessment((prev) => ({ ...prev, assessment_protocol: value }));
+                                    setAssessmentSuccess("");
+                                  }}
+                                  disabled={!token}
+                                >
+                                  <option value="">{copy.assessmentProtocolDefault}</option>
+                                  {protocolOptions.map((option) => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                  ))}
+                                </select>
+                              </div>
                               {assessmentSuccess ? <div className="portal-message portal-success">{assessmentSuccess}</div> : null}
                               <button className="button primary" type="submit" disabled={!token || assessmentSaving || !selectedResident}>
                                 {assessmentSaving ? copy.saving : copy.assessmentSave}
@@ -12905,8 +15604,24 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                         </div>
                         <div className="portal-section-col">
                           <div className="portal-section-card">
-                            <form className="portal-form" onSubmit={handleCreateFallEvent}>
-                              <h4>{copy.incidentNew}</h4>
+                            <form className="portal-form" onSubmit={handleSubmitFallEvent}>
+                              <h4>{fallEventEditingId ? copy.incidentEditTitle : copy.incidentNew}</h4>
+                              {fallEventEditingId ? (
+                                <div className="portal-field">
+                                  <label>{copy.incidentResident}</label>
+                                  <select
+                                    value={fallEventForm.resident_id}
+                                    onChange={(event) => setFallEventForm((prev) => ({ ...prev, resident_id: event.target.value }))}
+                                    disabled={!token || fallEventSaving}
+                                  >
+                                    {residents.map((resident) => (
+                                      <option key={resident.id} value={resident.id}>
+                                        {resident.first_name} {resident.last_name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </div>
+                              ) : null}
                               <div className="portal-field">
                                 <label>{copy.incidentOccurredAt}</label>
                                 <input
@@ -12984,6 +15699,15 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   />
                                   <span>{copy.incidentHospitalTransfer}</span>
                                 </label>
+                                <label className="portal-toggle">
+                                  <input
+                                    type="checkbox"
+                                    checked={fallEventForm.head_strike}
+                                    onChange={(event) => setFallEventForm((prev) => ({ ...prev, head_strike: event.target.checked }))}
+                                    disabled={!token || !selectedResident || fallEventSaving}
+                                  />
+                                  <span>{copy.incidentHeadStrike}</span>
+                                </label>
                               </div>
                               <div className="portal-field">
                                 <label>{copy.incidentWitness}</label>
@@ -13021,10 +15745,33 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   disabled={!token || !selectedResident || fallEventSaving}
                                 />
                               </div>
+                              {fallEventEditingId ? (
+                                <div className="portal-field">
+                                  <label>{copy.incidentChangeReason}</label>
+                                  <input
+                                    type="text"
+                                    value={fallEventChangeReason}
+                                    onChange={(event) => setFallEventChangeReason(event.target.value)}
+                                    disabled={!token || fallEventSaving}
+                                  />
+                                </div>
+                              ) : null}
                               {fallEventNotice ? <div className="portal-message portal-success">{fallEventNotice}</div> : null}
-                              <button className="button primary" type="submit" disabled={!token || !selectedResident || fallEventSaving}>
-                                {fallEventSaving ? copy.saving : copy.incidentSave}
-                              </button>
+                              <div className="portal-form-actions">
+                                <button className="button primary" type="submit" disabled={!token || !selectedResident || fallEventSaving}>
+                                  {fallEventSaving ? copy.saving : fallEventEditingId ? copy.incidentEditSave : copy.incidentSave}
+                                </button>
+                                {fallEventEditingId ? (
+                                  <>
+                                    <button className="button ghost" type="button" onClick={handleVoidFallEvent} disabled={fallEventSaving}>
+                                      {copy.incidentVoid}
+                                    </button>
+                                    <button className="button ghost" type="button" onClick={handleCancelFallEventEdit} disabled={fallEventSaving}>
+                                      {copy.incidentEditCancel}
+                                    </button>
+                                  </>
+                                ) : null}
+                              </div>
                             </form>
                           </div>
                           <div className="portal-section-card">
@@ -13036,34 +15783,434 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                     {fallChecklistCompleted}/{fallChecklistItems.length}
                                   </p>
                                 ) : null}
-                              </div>
-                            </div>
-                            {!selectedFallEvent ? (
-                              <div className="portal-message">{copy.incidentSelectEvent}</div>
-                            ) : fallChecklistItems.length === 0 ? (
-                              <div className="portal-message">{copy.incidentChecklistEmpty}</div>
-                            ) : (
-                              <div className="portal-checklist">
-                                {fallChecklistItems.map((item) => {
-                                  const status = fallEventChecks[item]?.status;
-                                  const done = status === "completed";
-                                  const busy = fallEventChecksBusy[item];
-                                  return (
+                              </div>
+                              {selectedFallEvent ? (
+                                <div className="portal-card-actions">
+                                  <button
+                                    className="button ghost small"
+                                    type="button"
+                                    onClick={handleStartFallEventEdit}
+                                    disabled={!token || fallEventSaving}
+                                  >
+                                    {copy.incidentEdit}
+                                  </button>
+                                  <button
+                                    className="button ghost small"
+                                    type="button"
+                                    onClick={handleDownloadIncidentReport}
+                                    disabled={!token || incidentReportBusy}
+                                  >
+                                    {incidentReportBusy ? copy.loading : copy.incidentReportDownload}
+                                  </button>
+                                </div>
+                              ) : null}
+                            </div>
+                            {!selectedFallEvent ? (
+                              <div className="portal-message">{copy.incidentSelectEvent}</div>
+                            ) : fallChecklistItems.length === 0 ? (
+                              <div className="portal-message">{copy.incidentChecklistEmpty}</div>
+                            ) : (
+                              <div className="portal-checklist">
+                                {fallChecklistItems.map((item) => {
+                                  const status = fallEventChecks[item]?.status;
+                                  const done = status === "completed";
+                                  const busy = fallEventChecksBusy[item];
+                                  const fields = fallCheckSchemas[item]?.fields || [];
+                                  const recorded = fallEventChecks[item]?.data || {};
+                                  const draft = fallCheckDrafts[item] || {
+                                    notes: fallEventChecks[item]?.notes || "",
+                                    data: recorded,
+                                  };
+                                  const readings = fields
+                                    .filter((field) => recorded[field.key] !== undefined && recorded[field.key] !== null)
+                                    .map((field) => `${field.label}: ${formatFallCheckReading(field, recorded[field.key])}`);
+                                  const toggle = (
+                                    <button
+                                      key={item}
+                                      className={`portal-checklist-item ${done ? "is-complete" : ""}`}
+                                      type="button"
+                                      onClick={() => handleToggleFallCheck(item)}
+                                      disabled={busy || !token}
+                                    >
+                                      <span>{item}</span>
+                                      <strong>{done ? copy.incidentChecklistDone : copy.incidentChecklistPending}</strong>
+                                    </button>
+                                  );
+                                  if (!fields.length) {
+                                    return toggle;
+                                  }
+                                  return (
+                                    <div key={item} className="portal-checklist-group">
+                                      {toggle}
+                                      {done ? (
+                                        readings.length || fallEventChecks[item]?.notes ? (
+                                          <div className="portal-checklist-readings">
+                                            {readings.length ? <span>{readings.join(" · ")}</span> : null}
+                                            {fallEventChecks[item]?.notes ? <span>{fallEventChecks[item].notes}</span> : null}
+                                          </div>
+                                        ) : null
+                                      ) : (
+                                        <div className="portal-checklist-fields">
+                                          {fields.map((field) => renderCheckFieldInput(
+                                            field,
+                                            draft.data?.[field.key],
+                                            (value) => updateFallCheckDraft(item, field.key, value),
+                                            busy || !token
+                                          ))}
+                                          <div className="portal-field">
+                                            <label>{copy.incidentCheckNotes}</label>
+                                            <input
+                                              type="text"
+                                              value={draft.notes || ""}
+                                              onChange={(event) => updateFallCheckDraft(item, "notes", event.target.value)}
+                                              disabled={busy || !token}
+                                            />
+                                          </div>
+                                        </div>
+                                      )}
+                                    </div>
+                                  );
+                                })}
+                              </div>
+                            )}
+                          </div>
+                          {selectedFallEvent ? (
+                            <div className="portal-section-card">
+                              <h4>{copy.neuroChecksTitle}</h4>
+                              <span className="field-hint">{copy.neuroChecksHint}</span>
+                              {neuroChecks.length === 0 ? (
+                                <div className="portal-message">{copy.neuroChecksEmpty}</div>
+                              ) : (
+                                <div className="portal-timeline">
+                                  {neuroChecks.map((check) => {
+                                    const readings = neuroCheckFields
+                                      .filter((field) => check.data?.[field.key] !== undefined && check.data?.[field.key] !== null)
+                                      .map((field) => `${field.label}: ${formatFallCheckReading(field, check.data[field.key])}`);
+                                    const canRecord = ["pending", "missed"].includes(check.status) && !selectedFallEvent.voided_at;
+                                    return (
+                                      <div key={check.id} className="portal-timeline-item">
+                                        <div className="portal-timeline-dot" />
+                                        <div>
+                                          <strong>
+                                            {copy.neuroCheckLabel} {check.sequence} ·{" "}
+                                            {copy.neuroCheckStatusLabels[check.status] || check.status}
+                                            {check.status === "completed" && check.missed_at ? ` (${copy.neuroCheckLate})` : ""}
+                                          </strong>
+                                          <span>
+                                            {formatDateTime(check.due_at)}
+                                            {check.completed_by_name ? ` · ${check.completed_by_name}` : ""}
+                                          </span>
+                                          {readings.length ? <span className="text-muted">{readings.join(" · ")}</span> : null}
+                                          {check.notes ? <span className="text-muted">{check.notes}</span> : null}
+                                          {neuroCheckDraft?.id === check.id ? (
+                                            <form className="portal-checklist-fields" onSubmit={handleSaveNeuroCheck}>
+                                              {neuroCheckFields.map((field) => renderCheckFieldInput(
+                                                field,
+                                                neuroCheckDraft.data[field.key],
+                                                (value) => setNeuroCheckDraft((prev) => ({
+                                                  ...prev,
+                                                  data: { ...prev.data, [field.key]: value },
+                                                })),
+                                                neuroCheckSaving
+                                              ))}
+                                              <div className="portal-field">
+                                                <label>{copy.incidentCheckNotes}</label>
+                                                <input
+                                                  type="text"
+                                                  value={neuroCheckDraft.notes}
+                                                  onChange={(event) => setNeuroCheckDraft((prev) => ({ ...prev, notes: event.target.value }))}
+                                                  disabled={neuroCheckSaving}
+                                                />
+                                              </div>
+                                              <div className="portal-form-actions">
+                                                <button className="button primary small" type="submit" disabled={neuroCheckSaving}>
+                                                  {neuroCheckSaving ? copy.saving : copy.neuroCheckRecord}
+                                                </button>
+                                                <button
+                                                  className="button ghost small"
+                                                  type="button"
+                                                  onClick={() => setNeuroCheckDraft(null)}
+                                                  disabled={neuroCheckSaving}
+                                                >
+                                                  {copy.incidentEditCancel}
+                                                </button>
+                                              </div>
+                                            </form>
+                                          ) : canRecord ? (
+                                            <div className="portal-card-actions">
+                                              <button
+                                                className="button ghost small"
+                                                type="button"
+                                                onClick={() => setNeuroCheckDraft({ id: check.id, data: {}, notes: "" })}
+                                                disabled={!token}
+                                              >
+                                                {copy.neuroCheckRecord}
+                                              </button>
+                                            </div>
+                                          ) : null}
+                                        </div>
+                                      </div>
+                                    );
+                                  })}
+                                </div>
+                              )}
+                            </div>
+                          ) : null}
+                          {selectedFallEvent && !selectedFallEvent.voided_at ? (
+                            <div className="portal-section-card">
+                              <h4>
+                                {copy.rcaTitle}
+                                {fallEventRca ? (
+                                  <span className="portal-meta"> · {copy.rcaStatusLabels[fallEventRca.status] || fallEventRca.status}</span>
+                                ) : null}
+                              </h4>
+                              <span className="field-hint">{copy.rcaBody}</span>
+                              <div className="portal-form">
+                                <div className="portal-field">
+                                  <label>{copy.rcaHuddleAt}</label>
+                                  <input
+                                    type="datetime-local"
+                                    value={rcaForm.huddle_at}
+                                    onChange={(event) => setRcaForm((prev) => ({ ...prev, huddle_at: event.target.value }))}
+                                    disabled={!token || rcaSaving}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.rcaAttendees}</label>
+                                  <input
+                                    type="text"
+                                    value={rcaForm.huddle_attendees}
+                                    onChange={(event) => setRcaForm((prev) => ({ ...prev, huddle_attendees: event.target.value }))}
+                                    disabled={!token || rcaSaving}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.rcaHuddleNotes}</label>
+                                  <textarea
+                                    value={rcaForm.huddle_notes}
+                                    onChange={(event) => setRcaForm((prev) => ({ ...prev, huddle_notes: event.target.value }))}
+                                    disabled={!token || rcaSaving}
+                                  />
+                                </div>
+                                {rcaForm.whys.map((why, index) => (
+                                  <div key={`why-${index}`} className="portal-field">
+                                    <label>{copy.rcaWhy} {index + 1}</label>
+                                    <input
+                                      type="text"
+                                      value={why}
+                                      onChange={(event) => setRcaForm((prev) => ({
+                                        ...prev,
+                                        whys: prev.whys.map((item, itemIndex) => (itemIndex === index ? event.target.value : item)),
+                                      }))}
+                                      disabled={!token || rcaSaving}
+                                    />
+                                  </div>
+                                ))}
+                                <div className="portal-field">
+                                  <label>{copy.rcaFactors}</label>
+                                  <div className="report-template-sections">
+                                    {rcaCategoryKeys.map((category) => {
+                                      const selected = rcaForm.factors[category] !== undefined;
+                                      return (
+                                        <div key={category} className="report-template-section">
+                                          <label>
+                                            <input
+                                              type="checkbox"
+                                              checked={selected}
+                                              onChange={() => setRcaForm((prev) => {
+                                                const factors = { ...prev.factors };
+                                                if (selected) {
+                                                  delete factors[category];
+                                                } else {
+                                                  factors[category] = "";
+                                                }
+                                                return { ...prev, factors };
+                                              })}
+                                              disabled={!token || rcaSaving}
+                                            />
+                                            {copy.rcaCategoryLabels[category]}
+                                          </label>
+                                          {selected ? (
+                                            <input
+                                              type="text"
+                                              value={rcaForm.factors[category]}
+                                              onChange={(event) => setRcaForm((prev) => ({
+                                                ...prev,
+                                                factors: { ...prev.factors, [category]: event.target.value },
+                                              }))}
+                                              disabled={!token || rcaSaving}
+                                            />
+                                          ) : null}
+                                        </div>
+                                      );
+                                    })}
+                                  </div>
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.rcaRootCauseCategory}</label>
+                                  <select
+                                    value={rcaForm.root_cause_category}
+                                    onChange={(event) => setRcaForm((prev) => ({ ...prev, root_cause_category: event.target.value }))}
+                                    disabled={!token || rcaSaving}
+                                  >
+                                    <option value="">—</option>
+                                    {rcaCategoryKeys.map((category) => (
+                                      <option key={category} value={category}>{copy.rcaCategoryLabels[category]}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.rcaRootCause}</label>
+                                  <textarea
+                                    value={rcaForm.root_cause}
+                                    onChange={(event) => setRcaForm((prev) => ({ ...prev, root_cause: event.target.value }))}
+                                    disabled={!token || rcaSaving}
+                                  />
+                                </div>
+                                {rcaNotice ? (
+                                  <div className={`portal-message ${rcaNotice === copy.rcaSaved ? "portal-success" : "portal-error"}`}>
+                                    {rcaNotice}
+                                  </div>
+                                ) : null}
+                                <div className="portal-form-actions">
+                                  <button className="button ghost" type="button" onClick={() => handleSaveRca()} disabled={!token || rcaSaving}>
+                                    {rcaSaving ? copy.saving : copy.rcaSave}
+                                  </button>
+                                  {fallEventRca?.status === "completed" ? (
+                                    <button className="button ghost" type="button" onClick={() => handleSaveRca("draft")} disabled={!token || rcaSaving}>
+                                      {copy.rcaReopen}
+                                    </button>
+                                  ) : (
                                     <button
-                                      key={item}
-                                      className={`portal-checklist-item ${done ? "is-complete" : ""}`}
+                                      className="button primary"
                                       type="button"
-                                      onClick={() => handleToggleFallCheck(item)}
-                                      disabled={busy || !token}
+                                      onClick={() => handleSaveRca("completed")}
+                                      disabled={!token || rcaSaving || !rcaForm.root_cause_category || !rcaForm.root_cause.trim()}
                                     >
-                                      <span>{item}</span>
-                                      <strong>{done ? copy.incidentChecklistDone : copy.incidentChecklistPending}</strong>
+                                      {copy.rcaComplete}
                                     </button>
-                                  );
-                                })}
+                                  )}
+                                </div>
                               </div>
-                            )}
-                          </div>
+                              {fallEventRca ? (
+                                <>
+                                  <h4>{copy.rcaActionsTitle}</h4>
+                                  {fallEventRca.corrective_actions.length === 0 ? (
+                                    <div className="portal-message">{copy.rcaActionsEmpty}</div>
+                                  ) : (
+                                    <div className="portal-user-rows">
+                                      {fallEventRca.corrective_actions.map((action) => (
+                                        <div key={action.id} className="portal-user-row">
+                                          <div>
+                                            <strong>{action.description}</strong>
+                                            <span>
+                                              {copy.rcaActionOwner}: {action.owner_name || action.owner_email || "--"} •{" "}
+                                              {copy.rcaActionDue}: {formatDate(action.due_date) || "--"} •{" "}
+                                              {copy.rcaActionStatusLabels[action.status] || action.status}
+                                            </span>
+                                          </div>
+                                          {action.status === "open" ? (
+                                            <button
+                                              className="button ghost small"
+                                              type="button"
+                                              onClick={() => handleCompleteCorrectiveAction(action.id)}
+                                              disabled={!token || rcaSaving}
+                                            >
+                                              {copy.rcaActionComplete}
+                                            </button>
+                                          ) : null}
+                                        </div>
+                                      ))}
+                                    </div>
+                                  )}
+                                  <form className="portal-form" onSubmit={handleAddCorrectiveAction}>
+                                    <div className="portal-field">
+                                      <label>{copy.rcaActionDescription}</label>
+                                      <input
+                                        type="text"
+                                        value={correctiveActionForm.description}
+                                        onChange={(event) => setCorrectiveActionForm((prev) => ({ ...prev, description: event.target.value }))}
+                                        disabled={!token || rcaSaving}
+                                      />
+                                    </div>
+                                    <div className="portal-field">
+                                      <label>{copy.rcaActionOwner}</label>
+                                      <select
+                                        value={correctiveActionForm.owner_id || user?.id || ""}
+                                        onChange={(event) => setCorrectiveActionForm((prev) => ({ ...prev, owner_id: event.target.value }))}
+                                        disabled={!token || rcaSaving || user?.role !== "admin"}
+                                      >
+                                        {(user?.role === "admin"
+                                          ? users.filter((item) => item.facility_id === selectedFallEvent.facility_id && item.status === "active")
+                                          : [user]
+                                        ).filter(Boolean).map((item) => (
+                                          <option key={item.id} value={item.id}>{item.full_name || item.email}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                    <div className="portal-field">
+                                      <label>{copy.rcaActionDue}</label>
+                                      <input
+                                        type="date"
+                                        value={correctiveActionForm.due_date}
+                                        onChange={(event) => setCorrectiveActionForm((prev) => ({ ...prev, due_date: event.target.value }))}
+                                        disabled={!token || rcaSaving}
+                                      />
+                                    </div>
+                                    <div className="portal-form-actions">
+                                      <button
+                                        className="button primary"
+                                        type="submit"
+                                        disabled={!token || rcaSaving || !correctiveActionForm.description.trim() || !correctiveActionForm.due_date}
+                                      >
+                                        {copy.rcaActionAdd}
+                                      </button>
+                                    </div>
+                                  </form>
+                                </>
+                              ) : null}
+                            </div>
+                          ) : null}
+                          {selectedFallEvent ? (
+                            <div className="portal-section-card">
+                              <h4>{copy.incidentHistoryTitle}</h4>
+                              {fallEventRevisions.length === 0 ? (
+                                <div className="portal-message">{copy.incidentHistoryEmpty}</div>
+                              ) : (
+                                <div className="portal-timeline">
+                                  {fallEventRevisions.map((revision) => (
+                                    <div key={revision.id} className="portal-timeline-item">
+                                      <div className="portal-timeline-dot" />
+                                      <div>
+                                        <strong>
+                                          {copy.scoreHistoryRevision} {revision.revision_number} ·{" "}
+                                          {revision.action === "void" ? copy.incidentHistoryVoid : copy.incidentHistoryUpdate}
+                                        </strong>
+                                        <span>
+                                          {formatDateTime(revision.created_at)}
+                                          {revision.changed_by_name || revision.changed_by_email
+                                            ? ` · ${revision.changed_by_name || revision.changed_by_email}`
+                                            : ""}
+                                        </span>
+                                        {revision.reason ? <span>{revision.reason}</span> : null}
+                                        {revision.action === "update" ? (
+                                          <ul className="score-history-diff">
+                                            {(revision.changed_fields || []).map((key) => (
+                                              <li key={key}>
+                                                <span>{fallEventHistoryFieldLabels[key] || key}</span>
+                                                <del>{formatFallEventHistoryValue(key, revision.previous_values?.[key])}</del>
+                                                <ins>{formatFallEventHistoryValue(key, revision.new_values?.[key])}</ins>
+                                              </li>
+                                            ))}
+                                          </ul>
+                                        ) : null}
+                                      </div>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          ) : null}
                         </div>
                       </div>
                     </div>
@@ -13275,12 +16422,41 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                     ) : null}
                                   </div>
                                 </div>
+                                {assessmentDetails?.suggested_risk_tier ? (
+                                  <div className="portal-assessment-context">
+                                    <div>
+                                      <span className="portal-meta">{copy.suggestedRiskLabel}</span>
+                                      <span className={adminRiskClass[assessmentDetails.suggested_risk_tier] || "risk-pill"}>
+                                        {riskOptions.find((item) => item.value === assessmentDetails.suggested_risk_tier)?.label || assessmentDetails.suggested_risk_tier}
+                                      </span>
+                                      <span className="text-muted">
+                                        {copy.riskRuleVersionLabel}: {assessmentDetails.risk_rule_version || "--"}
+                                      </span>
+                                    </div>
+                                    {assessmentDetails.risk_tier_disagreement ? (
+                                      <div className="portal-message">{copy.riskDisagreement}</div>
+                                    ) : null}
+                                  </div>
+                                ) : null}
+                                {activeDerivedScoreFields.length && assessmentDetails?.scores ? (
+                                  <div className="portal-assessment-summary">
+                                    {activeDerivedScoreFields.map((field) => (
+                                      <div key={field.key}>
+                                        <span className="portal-meta">{localizeLabel(field.label)}</span>
+                                        <strong>{formatDerivedScore(field, assessmentDetails.scores[field.key])}</strong>
+                                      </div>
+                                    ))}
+                                  </div>
+                                ) : null}
                               </>
                             )}
                           </div>
                         </div>
                         <div className="portal-section-col">
                           <div className="portal-section-card">
+                            {assessmentLocked ? (
+                              <div className="portal-message">{copy.assessmentLockedNotice}</div>
+                            ) : null}
                             <form className="portal-form" onSubmit={handleSaveScores}>
                               <div className="portal-field">
                                 <label>{copy.statusLabel}</label>
@@ -13308,75 +16484,55 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   ))}
                                 </select>
                               </div>
-                              {showTugField ? (
-                                <div className={`portal-field ${scoreFieldErrors.tug_seconds ? "has-error" : ""}`}>
-                                  <label>{copy.tugLabel}</label>
-                                  <input
-                                    type="number"
-                                    inputMode="decimal"
-                                    value={scoreForm.tug_seconds}
-                                    onChange={(event) => {
-                                      const value = event.target.value;
-                                      setScoreForm((prev) => ({ ...prev, tug_seconds: value }));
-                                      setScoreFieldErrors((prev) => ({ ...prev, tug_seconds: "" }));
-                                      setScoreNotice("");
-                                    }}
-                                    disabled={!token || !selectedAssessment}
-                                  />
-                                  {scoreFieldErrors.tug_seconds ? (
-                                    <span className="field-error">{scoreFieldErrors.tug_seconds}</span>
-                                  ) : null}
-                                </div>
-                              ) : null}
-                              {showChairField ? (
-                                <div className={`portal-field ${scoreFieldErrors.chair_stand_seconds ? "has-error" : ""}`}>
-                                  <label>{copy.chairLabel}</label>
-                                  <input
-                                    type="number"
-                                    inputMode="decimal"
-                                    value={scoreForm.chair_stand_seconds}
-                                    onChange={(event) => {
-                                      const value = event.target.value;
-                                      setScoreForm((prev) => ({ ...prev, chair_stand_seconds: value }));
-                                      setScoreFieldErrors((prev) => ({ ...prev, chair_stand_seconds: "" }));
-                                      setScoreNotice("");
-                                    }}
-                                    disabled={!token || !selectedAssessment}
-                                  />
-                                  {scoreFieldErrors.chair_stand_seconds ? (
-                                    <span className="field-error">{scoreFieldErrors.chair_stand_seconds}</span>
-                                  ) : null}
-                                </div>
-                              ) : null}
-                              {showBalanceFields ? (
-                                <div className="portal-toggle-row">
-                                  <label className="portal-toggle">
-                                    <input
-                                      type="checkbox"
-                                      checked={scoreForm.balance_side_by_side}
-                                      onChange={(event) => setScoreForm((prev) => ({ ...prev, balance_side_by_side: event.target.checked }))}
-                                      disabled={!token || !selectedAssessment}
-                                    />
-                                    <span>{copy.balanceSide}</span>
-                                  </label>
-                                  <label className="portal-toggle">
-                                    <input
-                                      type="checkbox"
-                                      checked={scoreForm.balance_semi_tandem}
-                                      onChange={(event) => setScoreForm((prev) => ({ ...prev, balance_semi_tandem: event.target.checked }))}
+                              {activeNumberScoreFields.map((field) => (
+                                <div key={field.key} className={`portal-field ${scoreFieldErrors[field.key] ? "has-error" : ""}`}>
+                                  <label>{localizeLabel(field.label)}</label>
+                                  {field.allowed_values ? (
+                                    <select
+                                      value={scoreForm.values[field.key] ?? ""}
+                                      onChange={(event) => updateScoreValue(field.key, event.target.value)}
                                       disabled={!token || !selectedAssessment}
-                                    />
-                                    <span>{copy.balanceSemi}</span>
-                                  </label>
-                                  <label className="portal-toggle">
+                                    >
+                                      <option value="">--</option>
+                                      {(field.choices || field.allowed_values.map((value) => ({ value, label: null }))).map((option) => (
+                                        <option key={option.value} value={String(option.value)}>
+                                          {option.label ? `${localizeLabel(option.label)} (${option.value})` : option.value}
+                                        </option>
+                                      ))}
+                                    </select>
+                                  ) : (
                                     <input
-                                      type="checkbox"
-                                      checked={scoreForm.balance_tandem}
-                                      onChange={(event) => setScoreForm((prev) => ({ ...prev, balance_tandem: event.target.checked }))}
+                                      type="number"
+                                      inputMode={field.integer ? "numeric" : "decimal"}
+                                      step={field.integer ? "1" : "any"}
+                                      min={field.min ?? undefined}
+                                      max={field.max ?? undefined}
+                                      value={scoreForm.values[field.key] ?? ""}
+                                      onChange={(event) => updateScoreValue(field.key, event.target.value)}
                                       disabled={!token || !selectedAssessment}
                                     />
-                                    <span>{copy.balanceTandem}</span>
-                                  </label>
+                                  )}
+                                  {scoreFieldErrors[field.key] ? (
+                                    <span className="field-error">{scoreFieldErrors[field.key]}</span>
+                                  ) : null}
+                                </div>
+                              ))}
+                              {activeBooleanScoreFields.length ? (
+                                <div className="portal-toggle-row">
+                                  {activeBooleanScoreFields.map((field) => (
+                                    <label key={field.key} className="portal-toggle">
+                                      <input
+                                        type="checkbox"
+                                        checked={Boolean(scoreForm.values[field.key])}
+                                        onChange={(event) => {
+                                          const { checked } = event.target;
+                                          setScoreForm((prev) => ({ ...prev, values: { ...prev.values, [field.key]: checked } }));
+                                        }}
+                                        disabled={!token || !selectedAssessment}
+                                      />
+                                      <span>{localizeLabel(field.label)}</span>
+                                    </label>
+                                  ))}
                                 </div>
                               ) : null}
                               <div className="portal-field">
@@ -13395,9 +16551,40 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   disabled={!token || !selectedAssessment}
                                 />
                               </div>
+                              {assessmentIsCompleted ? (
+                                <>
+                                  <div className="portal-field">
+                                    <label>{copy.scoreChangeReasonLabel}</label>
+                                    <select
+                                      value={scoreForm.score_change_reason}
+                                      onChange={(event) => setScoreForm((prev) => ({ ...prev, score_change_reason: event.target.value }))}
+                                      disabled={!token || !selectedAssessment}
+                                    >
+                                      <option value="">--</option>
+                                      {scoreChangeReasonOptions.map((option) => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                      ))}
+                                    </select>
+                                    <span className="field-hint">{copy.scoreChangeReasonHint}</span>
+                                  </div>
+                                  <div className="portal-field">
+                                    <label>{copy.scoreChangeNoteLabel}</label>
+                                    <input
+                                      type="text"
+                                      value={scoreForm.score_change_note}
+                                      onChange={(event) => setScoreForm((prev) => ({ ...prev, score_change_note: event.target.value }))}
+                                      disabled={!token || !selectedAssessment || !scoreForm.score_change_reason}
+                                    />
+                                  </div>
+                                </>
+                              ) : null}
                               {scoreNotice ? <div className="portal-message">{scoreNotice}</div> : null}
                               <div className="portal-form-actions">
-                                <button className="button primary" type="submit" disabled={!token || !selectedAssessment || scoreSaving}>
+                                <button
+                                  className="button primary"
+                                  type="submit"
+                                  disabled={!token || !selectedAssessment || scoreSaving || assessmentLocked}
+                                >
                                   {scoreSaving ? copy.scoreBusy : copy.scoreSave}
                                 </button>
                                 <button
@@ -13418,6 +16605,55 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 </button>
                               </div>
                             </form>
+                            {selectedAssessment ? (
+                              <div className="score-history">
+                                <h4>{copy.scoreHistoryTitle}</h4>
+                                {scoreHistoryError ? (
+                                  <div className="portal-message portal-error">{scoreHistoryError}</div>
+                                ) : scoreHistory.length === 0 ? (
+                                  <div className="portal-message">{copy.scoreHistoryEmpty}</div>
+                                ) : (
+                                  <div className="portal-timeline">
+                                    {scoreHistory.map((revision) => (
+                                      <div key={revision.id} className="portal-timeline-item">
+                                        <div className="portal-timeline-dot" />
+                                        <div>
+                                          <strong>
+                                            {copy.scoreHistoryRevision} {revision.revision_number} ·{" "}
+                                            {scoreHistorySourceLabelMap[revision.source] || revision.source}
+                                          </strong>
+                                          <span>
+                                            {formatDateTime(revision.created_at)}
+                                            {revision.changed_by_name || revision.changed_by_email
+                                              ? ` · ${revision.changed_by_name || revision.changed_by_email}`
+                                              : ""}
+                                          </span>
+                                          {revision.reason_code ? (
+                                            <span>
+                                              {scoreChangeReasonLabelMap[revision.reason_code] || revision.reason_code}
+                                              {revision.reason_note ? `: ${revision.reason_note}` : ""}
+                                            </span>
+                                          ) : null}
+                                          {revision.previous_scores ? (
+                                            <ul className="score-history-diff">
+                                              {(revision.changed_fields || []).map((key) => (
+                                                <li key={key}>
+                                                  <span>{scoreHistoryFieldLabel(key)}</span>
+                                                  <del>{formatScoreHistoryValue(revision.previous_scores[key])}</del>
+                                                  <ins>{formatScoreHistoryValue(revision.new_scores?.[key])}</ins>
+                                                </li>
+                                              ))}
+                                            </ul>
+                                          ) : (
+                                            <span>{copy.scoreHistoryInitial}</span>
+                                          )}
+                                        </div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+                            ) : null}
                           </div>
                         </div>
                       </div>
@@ -13473,7 +16709,7 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                         <div className="portal-section-col">
                           <div className="portal-section-card">
                             {reportError ? <div className="portal-message portal-error">{reportError}</div> : null}
-                            {selectedAssessment && !canGenerateReport ? (
+                            {selectedAssessment && !canGenerateReport && !assessmentLocked && !reportFinalized ? (
                               <div className="portal-message">{reportGateMessage}</div>
                             ) : null}
                             {assessmentDetails?.report ? (
@@ -13508,6 +16744,14 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 </div>
                               </div>
                             ) : null}
+                            <div className="portal-field">
+                              <label>{copy.reportLanguageLabel}</label>
+                              <select value={reportLanguage} onChange={(event) => setReportLanguage(event.target.value)}>
+                                {Object.entries(copy.reportLanguageOptions).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                            </div>
                             <button
                               className="button primary"
                               type="button"
@@ -13520,6 +16764,209 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                             {reportPreview.error ? <div className="portal-message portal-error">{reportPreview.error}</div> : null}
                             {detailsLoading ? <div className="portal-message">{copy.loading}</div> : null}
                           </div>
+                          {selectedAssessment ? (
+                            <div className="portal-section-card">
+                              <div className="portal-card-header">
+                                <div>
+                                  <h4>{copy.handoutTitle}</h4>
+                                  <p className="text-muted">{copy.handoutBody}</p>
+                                </div>
+                                <button
+                                  className="button ghost small"
+                                  type="button"
+                                  onClick={handleGenerateHandout}
+                                  disabled={!token || handoutBusy || !assessmentHasScores}
+                                >
+                                  {handoutBusy ? copy.reportBusy : `${copy.handoutGenerate} (${copy.reportLanguageOptions[reportLanguage]})`}
+                                </button>
+                              </div>
+                              {assessmentDetails?.handouts?.length ? (
+                                <div className="handout-list">
+                                  {assessmentDetails.handouts.map((handout) => (
+                                    <div key={handout.id} className="handout-row">
+                                      <span>
+                                        {copy.reportLanguageOptions[handout.language] || handout.language} · {formatDateTime(handout.generated_at)}
+                                      </span>
+                                      <button className="button ghost small" type="button" onClick={() => handleDownloadHandout(handout)}>
+                                        {copy.handoutDownload}
+                                      </button>
+                                    </div>
+                                  ))}
+                                </div>
+                              ) : (
+                                <div className="portal-message">{copy.handoutEmpty}</div>
+                              )}
+                            </div>
+                          ) : null}
+                          {selectedAssessment ? (
+                            <div className="portal-section-card">
+                              <div className="portal-card-header">
+                                <div>
+                                  <h4>{copy.narrativeTitle}</h4>
+                                  <p className="text-muted">{copy.narrativeBody}</p>
+                                </div>
+                                <button
+                                  className="button ghost small"
+                                  type="button"
+                                  onClick={handleDraftNarrative}
+                                  disabled={!token || narrativeBusy || assessmentLocked || !assessmentHasScores}
+                                >
+                                  {narrativeBusy
+                                    ? copy.narrativeDraftBusy
+                                    : narrative.draft ? copy.narrativeRedraftButton : copy.narrativeDraftButton}
+                                </button>
+                              </div>
+                              {narrativeError ? <div className="portal-message portal-error">{narrativeError}</div> : null}
+                              {narrative.draft ? (
+                                <form className="portal-form" onSubmit={handleAcceptNarrative}>
+                                  {[
+                                    ["subjective", copy.narrativeSubjective],
+                                    ["objective", copy.narrativeObjective],
+                                    ["assessment", copy.narrativeAssessment],
+                                    ["plan", copy.narrativePlan],
+                                  ].map(([section, label]) => (
+                                    <div key={section} className="portal-field">
+                                      <label>{label}</label>
+                                      <textarea
+                                        rows={3}
+                                        value={narrativeForm[section]}
+                                        onChange={(event) => setNarrativeForm((prev) => ({ ...prev, [section]: event.target.value }))}
+                                        disabled={!token || narrativeBusy || assessmentLocked}
+                                      />
+                                    </div>
+                                  ))}
+                                  <button className="button primary" type="submit" disabled={!token || narrativeBusy || assessmentLocked}>
+                                    {narrativeBusy ? copy.narrativeAcceptBusy : copy.narrativeAcceptButton}
+                                  </button>
+                                </form>
+                              ) : narrative.accepted ? (
+                                <div className="narrative-accepted">
+                                  <span className="portal-meta">
+                                    {copy.narrativeAcceptedLabel} {formatDateTime(narrative.accepted.accepted_at)}
+                                    {narrative.accepted.edited ? ` · ${copy.narrativeEditedLabel}` : ""}
+                                  </span>
+                                  <p><strong>S:</strong> {narrative.accepted.subjective}</p>
+                                  <p><strong>O:</strong> {narrative.accepted.objective}</p>
+                                  <p><strong>A:</strong> {narrative.accepted.assessment}</p>
+                                  <p><strong>P:</strong> {narrative.accepted.plan}</p>
+                                </div>
+                              ) : (
+                                <div className="portal-message">{copy.narrativeEmpty}</div>
+                              )}
+                            </div>
+                          ) : null}
+                          {reportFinalized ? (
+                            <div className="portal-section-card report-signature">
+                              {assessmentDetails.signature?.report_id === assessmentDetails.report.id ? (
+                                <>
+                                  <h4>{copy.signedTitle}</h4>
+                                  <div className="report-signature-meta">
+                                    <span>
+                                      {copy.signedBy}: <strong>{assessmentDetails.signature.signer_name}</strong>
+                                      {`, ${assessmentDetails.signature.signer_credentials}`}
+                                    </span>
+                                    <span>{copy.signedAt}: {formatDateTime(assessmentDetails.signature.signed_at)}</span>
+                                    <span className="report-signature-hash">
+                                      {copy.signedHash}: {assessmentDetails.signature.pdf_sha256}
+                                    </span>
+                                  </div>
+                                </>
+                              ) : null}
+                              <h4>{copy.amendTitle}</h4>
+                              <p className="text-muted">{copy.amendBody}</p>
+                              <form className="portal-form" onSubmit={handleCreateAmendment}>
+                                <div className="portal-field">
+                                  <label>{copy.amendTypeLabel}</label>
+                                  <select
+                                    value={amendForm.amendment_type}
+                                    onChange={(event) => setAmendForm((prev) => ({ ...prev, amendment_type: event.target.value }))}
+                                    disabled={!token || amendBusy}
+                                  >
+                                    <option value="amendment">{copy.amendTypeAmendment}</option>
+                                    <option value="addendum">{copy.amendTypeAddendum}</option>
+                                  </select>
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.amendReasonLabel}</label>
+                                  <input
+                                    type="text"
+                                    value={amendForm.reason}
+                                    onChange={(event) => setAmendForm((prev) => ({ ...prev, reason: event.target.value }))}
+                                    disabled={!token || amendBusy}
+                                  />
+                                </div>
+                                {amendForm.amendment_type === "addendum" ? (
+                                  <div className="portal-field">
+                                    <label>{copy.amendAddendumLabel}</label>
+                                    <textarea
+                                      rows={3}
+                                      value={amendForm.addendum_text}
+                                      onChange={(event) => setAmendForm((prev) => ({ ...prev, addendum_text: event.target.value }))}
+                                      disabled={!token || amendBusy}
+                                    />
+                                  </div>
+                                ) : null}
+                                {amendError ? <div className="portal-message portal-error">{amendError}</div> : null}
+                                <button className="button ghost" type="submit" disabled={!token || amendBusy}>
+                                  {amendBusy ? copy.amendBusy : copy.amendButton}
+                                </button>
+                              </form>
+                            </div>
+                          ) : assessmentDetails?.report ? (
+                            <div className="portal-section-card">
+                              <h4>{copy.signTitle}</h4>
+                              <p className="text-muted">{copy.signBody}</p>
+                              {assessmentDetails.report.supersedes_report_id ? (
+                                <div className="portal-message">
+                                  {copy.amendDraftNotice} {assessmentDetails.report.amendment_reason}
+                                </div>
+                              ) : null}
+                              <form className="portal-form" onSubmit={handleSignReport}>
+                                <div className="portal-field">
+                                  <label>{copy.signNameLabel}</label>
+                                  <input
+                                    type="text"
+                                    value={signForm.signer_name || user?.full_name || ""}
+                                    onChange={(event) => setSignForm((prev) => ({ ...prev, signer_name: event.target.value }))}
+                                    disabled={!token || signBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.signCredentialsLabel}</label>
+                                  <input
+                                    type="text"
+                                    placeholder={copy.signCredentialsPlaceholder}
+                                    value={signForm.signer_credentials}
+                                    onChange={(event) => setSignForm((prev) => ({ ...prev, signer_credentials: event.target.value }))}
+                                    disabled={!token || signBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.signPasswordLabel}</label>
+                                  <input
+                                    type="password"
+                                    autoComplete="current-password"
+                                    value={signForm.password}
+                                    onChange={(event) => setSignForm((prev) => ({ ...prev, password: event.target.value }))}
+                                    disabled={!token || signBusy}
+                                  />
+                                </div>
+                                <label className="report-signature-attest">
+                                  <input
+                                    type="checkbox"
+                                    checked={signForm.attest}
+                                    onChange={(event) => setSignForm((prev) => ({ ...prev, attest: event.target.checked }))}
+                                    disabled={!token || signBusy}
+                                  />
+                                  <span>{copy.signAttestLabel}</span>
+                                </label>
+                                {signError ? <div className="portal-message portal-error">{signError}</div> : null}
+                                <button className="button primary" type="submit" disabled={!token || signBusy}>
+                                  {signBusy ? copy.signBusy : copy.signButton}
+                                </button>
+                              </form>
+                            </div>
+                          ) : null}
                           <div className="portal-section-card">
                             <div className="portal-card-header">
                               <div>
@@ -13527,6 +16974,24 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 <p className="text-muted">{copy.reportHistoryBody}</p>
                               </div>
                             </div>
+                            {(assessmentDetails?.report_lineage || []).length > 1 ? (
+                              <div className="report-lineage">
+                                <span className="portal-meta">{copy.lineageTitle}</span>
+                                <ol>
+                                  {assessmentDetails.report_lineage.map((entry) => (
+                                    <li key={entry.id}>
+                                      <strong>{lineageLabelMap[entry.amendment_type] || copy.lineageOriginal}</strong>
+                                      <span>
+                                        {entry.signed_at
+                                          ? `${entry.signer_name}, ${formatDateTime(entry.signed_at)}`
+                                          : copy.lineageUnsigned}
+                                      </span>
+                                      {entry.amendment_reason ? <span className="text-muted">{entry.amendment_reason}</span> : null}
+                                    </li>
+                                  ))}
+                                </ol>
+                              </div>
+                            ) : null}
                             {!selectedAssessment ? (
                               <div className="portal-message">{copy.selectAssessment}</div>
                             ) : reportHistory.length === 0 ? (
@@ -14246,6 +17711,40 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   <span className="field-error">{facilityEditErrors.report_turnaround_hours}</span>
                                 ) : null}
                               </div>
+                                  <div className={`portal-field ${facilityEditErrors.post_fall_reassessment_days ? "has-error" : ""}`}>
+                                    <label>{copy.facilityPostFallReassessment}</label>
+                                    <input
+                                      type="number"
+                                      min="1"
+                                      value={facilityEditForm.post_fall_reassessment_days}
+                                      onChange={(event) => {
+                                        setFacilityEditForm((prev) => ({ ...prev, post_fall_reassessment_days: event.target.value }));
+                                        setFacilityEditErrors((prev) => ({ ...prev, post_fall_reassessment_days: "" }));
+                                      }}
+                                      disabled={facilityEditSaving}
+                                    />
+                                    <span className="field-hint">{copy.facilityPostFallReassessmentHint}</span>
+                                    {facilityEditErrors.post_fall_reassessment_days ? (
+                                      <span className="field-error">{facilityEditErrors.post_fall_reassessment_days}</span>
+                                    ) : null}
+                                  </div>
+                                  <div className={`portal-field ${facilityEditErrors.reassessment_lead_days ? "has-error" : ""}`}>
+                                    <label>{copy.facilityReassessmentLead}</label>
+                                    <input
+                                      type="number"
+                                      min="1"
+                                      value={facilityEditForm.reassessment_lead_days}
+                                      onChange={(event) => {
+                                        setFacilityEditForm((prev) => ({ ...prev, reassessment_lead_days: event.target.value }));
+                                        setFacilityEditErrors((prev) => ({ ...prev, reassessment_lead_days: "" }));
+                                      }}
+                                      disabled={facilityEditSaving}
+                                    />
+                                    <span className="field-hint">{copy.facilityReassessmentLeadHint}</span>
+                                    {facilityEditErrors.reassessment_lead_days ? (
+                                      <span className="field-error">{facilityEditErrors.reassessment_lead_days}</span>
+                                    ) : null}
+                                  </div>
                                   <div className="portal-field portal-field-full">
                                     <span className="portal-meta">{copy.facilitySettingsTitle}</span>
                                     <p className="text-muted">{copy.facilitySettingsBody}</p>
@@ -14326,6 +17825,422 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                 </>
                               )}
                             </form>
+
+                            {selectedFacility && reportTemplateForm ? (
+                              <form className="portal-form" onSubmit={handleSaveReportTemplate}>
+                                <h4>{copy.reportTemplateTitle}</h4>
+                                <p className="text-muted">
+                                  {copy.reportTemplateBody}{" "}
+                                  {copy.reportTemplateVersion}: {reportTemplate?.template?.version ?? copy.reportTemplateDefault}
+                                </p>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateReportTitle}</label>
+                                  <input
+                                    type="text"
+                                    value={reportTemplateForm.title}
+                                    onChange={(event) => setReportTemplateForm((prev) => ({ ...prev, title: event.target.value }))}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplatePtTitle}</label>
+                                  <input
+                                    type="text"
+                                    value={reportTemplateForm.pt_summary_title}
+                                    onChange={(event) => setReportTemplateForm((prev) => ({ ...prev, pt_summary_title: event.target.value }))}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateHeader}</label>
+                                  <input
+                                    type="text"
+                                    value={reportTemplateForm.header_text}
+                                    onChange={(event) => setReportTemplateForm((prev) => ({ ...prev, header_text: event.target.value }))}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateFooter}</label>
+                                  <input
+                                    type="text"
+                                    value={reportTemplateForm.footer_text}
+                                    onChange={(event) => setReportTemplateForm((prev) => ({ ...prev, footer_text: event.target.value }))}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateColor}</label>
+                                  <input
+                                    type="color"
+                                    value={reportTemplateForm.primary_color}
+                                    onChange={(event) => setReportTemplateForm((prev) => ({ ...prev, primary_color: event.target.value }))}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateSections}</label>
+                                  <div className="report-template-sections">
+                                    {[
+                                      ...reportTemplateForm.sections,
+                                      ...(reportTemplate?.available_sections || []).filter(
+                                        (section) => !reportTemplateForm.sections.includes(section)
+                                      ),
+                                    ].map((section) => {
+                                      const enabled = reportTemplateForm.sections.includes(section);
+                                      const required = (reportTemplate?.required_sections || []).includes(section);
+                                      const index = reportTemplateForm.sections.indexOf(section);
+                                      return (
+                                        <div key={section} className="report-template-section">
+                                          <label>
+                                            <input
+                                              type="checkbox"
+                                              checked={enabled}
+                                              onChange={() => toggleReportTemplateSection(section)}
+                                              disabled={reportTemplateBusy || required}
+                                            />
+                                            {copy.reportTemplateSectionLabels[section] || section}
+                                            {required ? <span className="text-muted"> ({copy.reportTemplateRequired})</span> : null}
+                                          </label>
+                                          {enabled ? (
+                                            <div className="report-template-section-actions">
+                                              <button
+                                                className="button ghost small"
+                                                type="button"
+                                                onClick={() => moveReportTemplateSection(section, -1)}
+                                                disabled={reportTemplateBusy || index === 0}
+                                              >
+                                                {copy.reportTemplateMoveUp}
+                                              </button>
+                                              <button
+                                                className="button ghost small"
+                                                type="button"
+                                                onClick={() => moveReportTemplateSection(section, 1)}
+                                                disabled={reportTemplateBusy || index === reportTemplateForm.sections.length - 1}
+                                              >
+                                                {copy.reportTemplateMoveDown}
+                                              </button>
+                                            </div>
+                                          ) : null}
+                                        </div>
+                                      );
+                                    })}
+                                  </div>
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.reportTemplateLogo}</label>
+                                  {reportTemplate?.template?.config?.logo_storage_key ? (
+                                    <div className="report-template-logo">
+                                      <span>{copy.reportTemplateLogoCurrent}</span>
+                                      <button
+                                        className="button ghost small"
+                                        type="button"
+                                        onClick={() => handleSaveReportTemplate(null, { logo_storage_key: null })}
+                                        disabled={reportTemplateBusy}
+                                      >
+                                        {copy.reportTemplateLogoRemove}
+                                      </button>
+                                    </div>
+                                  ) : null}
+                                  <input
+                                    type="file"
+                                    accept="image/png,image/jpeg"
+                                    onChange={(event) => setReportTemplateLogoFile(event.target.files?.[0] || null)}
+                                    disabled={reportTemplateBusy}
+                                  />
+                                  <button
+                                    className="button ghost small"
+                                    type="button"
+                                    onClick={handleUploadReportTemplateLogo}
+                                    disabled={reportTemplateBusy || !reportTemplateLogoFile}
+                                  >
+                                    {copy.reportTemplateLogoUpload}
+                                  </button>
+                                </div>
+                                {reportTemplateNotice ? (
+                                  <div className={`portal-message ${reportTemplateNotice === copy.reportTemplateSaved ? "portal-success" : "portal-error"}`}>
+                                    {reportTemplateNotice}
+                                  </div>
+                                ) : null}
+                                <div className="report-template-actions">
+                                  <button className="button ghost" type="button" onClick={handlePreviewReportTemplate} disabled={reportTemplateBusy}>
+                                    {copy.reportTemplatePreview}
+                                  </button>
+                                  <button className="button primary" type="submit" disabled={reportTemplateBusy}>
+                                    {reportTemplateBusy ? copy.saving : copy.reportTemplateSave}
+                                  </button>
+                                </div>
+                                {reportTemplatePreviewUrl ? (
+                                  <div className="portal-report-preview">
+                                    <iframe title="Report template preview" src={reportTemplatePreviewUrl} />
+                                  </div>
+                                ) : null}
+                              </form>
+                            ) : null}
+
+                            {selectedFacility && fallCheckSchemaForm ? (
+                              <form className="portal-form" onSubmit={handleSaveFallCheckSchemas}>
+                                <h4>{copy.fallCheckSchemaTitle}</h4>
+                                <p className="text-muted">{copy.fallCheckSchemaBody}</p>
+                                {Object.keys(fallCheckSchemaForm).length === 0 ? (
+                                  <div className="portal-message">{copy.fallCheckSchemaEmpty}</div>
+                                ) : (
+                                  Object.entries(fallCheckSchemaForm).map(([item, fields]) => (
+                                    <div key={item} className="portal-field">
+                                      <label>{item}</label>
+                                      <div className="report-template-sections">
+                                        {[
+                                          ...fallCheckPresets,
+                                          ...fields.filter((field) => !fallCheckPresets.some((preset) => preset.key === field.key)),
+                                        ].map((preset) => {
+                                          const selected = fields.find((field) => field.key === preset.key);
+                                          const custom = !fallCheckPresets.some((entry) => entry.key === preset.key);
+                                          return (
+                                            <div key={preset.key} className="report-template-section">
+                                              <label>
+                                                <input
+                                                  type="checkbox"
+                                                  checked={Boolean(selected)}
+                                                  onChange={() => toggleFallCheckSchemaField(item, preset)}
+                                                  disabled={fallCheckSchemaBusy}
+                                                />
+                                                {preset.label}
+                                                {custom ? <span className="text-muted"> ({copy.fallCheckSchemaCustom})</span> : null}
+                                              </label>
+                                              {selected ? (
+                                                <label className="portal-toggle">
+                                                  <input
+                                                    type="checkbox"
+                                                    checked={Boolean(selected.required)}
+                                                    onChange={() => toggleFallCheckSchemaRequired(item, preset.key)}
+                                                    disabled={fallCheckSchemaBusy}
+                                                  />
+                                                  <span>{copy.fallCheckSchemaRequired}</span>
+                                                </label>
+                                              ) : null}
+                                            </div>
+                                          );
+                                        })}
+                                      </div>
+                                    </div>
+                                  ))
+                                )}
+                                {fallCheckSchemaNotice ? (
+                                  <div className={`portal-message ${fallCheckSchemaNotice === copy.fallCheckSchemaSaved ? "portal-success" : "portal-error"}`}>
+                                    {fallCheckSchemaNotice}
+                                  </div>
+                                ) : null}
+                                <button className="button primary" type="submit" disabled={fallCheckSchemaBusy}>
+                                  {fallCheckSchemaBusy ? copy.saving : copy.fallCheckSchemaSave}
+                                </button>
+                              </form>
+                            ) : null}
+
+                            {selectedFacility && interventionLibraryForm ? (
+                              <form className="portal-form" onSubmit={handleSaveInterventionLibrary}>
+                                <h4>{copy.interventionLibraryTitle}</h4>
+                                <p className="text-muted">{copy.interventionLibraryBody}</p>
+                                <div className="report-template-sections">
+                                  {interventionLibraryForm.map((entry) => (
+                                    <div key={entry.key} className="report-template-section">
+                                      <label>
+                                        <input
+                                          type="checkbox"
+                                          checked={entry.enabled !== false}
+                                          onChange={() => updateInterventionLibraryEntry(entry.key, { enabled: entry.enabled === false })}
+                                          disabled={interventionLibraryBusy}
+                                        />
+                                        {copy.interventionCategoryLabels[entry.category] || entry.category}
+                                      </label>
+                                      <input
+                                        type="text"
+                                        value={entry.label}
+                                        aria-label={copy.interventionLabel}
+                                        onChange={(event) => updateInterventionLibraryEntry(entry.key, { label: event.target.value })}
+                                        disabled={interventionLibraryBusy}
+                                      />
+                                      <input
+                                        type="text"
+                                        value={entry.description || ""}
+                                        aria-label={copy.interventionDetails}
+                                        onChange={(event) => updateInterventionLibraryEntry(entry.key, { description: event.target.value })}
+                                        disabled={interventionLibraryBusy}
+                                      />
+                                      <span className="field-hint">
+                                        {copy.interventionLibraryRules}:{" "}
+                                        {Object.entries(entry.rules || {})
+                                          .map(([rule, value]) => `${rule} ${Array.isArray(value) ? value.join(", ") : value}`)
+                                          .join(" • ") || "--"}
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                                {interventionLibraryNotice ? (
+                                  <div className={`portal-message ${interventionLibraryNotice === copy.interventionLibrarySaved ? "portal-success" : "portal-error"}`}>
+                                    {interventionLibraryNotice}
+                                  </div>
+                                ) : null}
+                                <div className="portal-form-actions">
+                                  <button
+                                    className="button ghost"
+                                    type="button"
+                                    onClick={() => handleSaveInterventionLibrary(null, true)}
+                                    disabled={interventionLibraryBusy}
+                                  >
+                                    {copy.interventionLibraryReset}
+                                  </button>
+                                  <button className="button primary" type="submit" disabled={interventionLibraryBusy}>
+                                    {interventionLibraryBusy ? copy.saving : copy.interventionLibrarySave}
+                                  </button>
+                                </div>
+                              </form>
+                            ) : null}
+                            {selectedFacility && repeatFallRulesForm ? (
+                              <form className="portal-form" onSubmit={handleSaveRepeatFallRules}>
+                                <h4>{copy.repeatFallRulesTitle}</h4>
+                                <p className="text-muted">{copy.repeatFallRulesBody}</p>
+                                <div className="report-template-sections">
+                                  {Object.entries(repeatFallRulesForm).map(([key, rule]) => (
+                                    <div key={key} className="report-template-section">
+                                      <label>
+                                        <input
+                                          type="checkbox"
+                                          checked={rule.enabled}
+                                          onChange={() => updateRepeatFallRule(key, { enabled: !rule.enabled })}
+                                          disabled={repeatFallRulesBusy}
+                                        />
+                                        {copy.fallFlagRuleLabels[key] || key}
+                                      </label>
+                                      {rule.falls !== undefined ? (
+                                        <input
+                                          type="number"
+                                          min="2"
+                                          max="20"
+                                          value={rule.falls}
+                                          aria-label={copy.repeatFallRulesFalls}
+                                          onChange={(event) => updateRepeatFallRule(key, { falls: Number(event.target.value) })}
+                                          disabled={repeatFallRulesBusy || !rule.enabled}
+                                        />
+                                      ) : null}
+                                      <input
+                                        type="number"
+                                        min="1"
+                                        max="365"
+                                        value={rule.days}
+                                        aria-label={copy.repeatFallRulesDays}
+                                        onChange={(event) => updateRepeatFallRule(key, { days: Number(event.target.value) })}
+                                        disabled={repeatFallRulesBusy || !rule.enabled}
+                                      />
+                                    </div>
+                                  ))}
+                                </div>
+                                {repeatFallRulesNotice ? (
+                                  <div className={`portal-message ${repeatFallRulesNotice === copy.repeatFallRulesSaved ? "portal-success" : "portal-error"}`}>
+                                    {repeatFallRulesNotice}
+                                  </div>
+                                ) : null}
+                                <div className="portal-form-actions">
+                                  <button
+                                    className="button ghost"
+                                    type="button"
+                                    onClick={() => handleSaveRepeatFallRules(null, true)}
+                                    disabled={repeatFallRulesBusy}
+                                  >
+                                    {copy.repeatFallRulesReset}
+                                  </button>
+                                  <button className="button primary" type="submit" disabled={repeatFallRulesBusy}>
+                                    {repeatFallRulesBusy ? copy.saving : copy.repeatFallRulesSave}
+                                  </button>
+                                </div>
+                              </form>
+                            ) : null}
+                            {selectedFacility && slaPoliciesForm ? (
+                              <form className="portal-form" onSubmit={handleSaveSlaPolicies}>
+                                <h4>{copy.slaPoliciesTitle}</h4>
+                                <p className="text-muted">{copy.slaPoliciesBody}</p>
+                                <div className="report-template-sections">
+                                  {Object.entries(slaPoliciesForm.policies).map(([key, policy]) => (
+                                    <div key={key} className="report-template-section">
+                                      <strong>{copy.slaPolicyLabels[key] || key}</strong>
+                                      <label>
+                                        {copy.slaWarningHours}
+                                        <input
+                                          type="number"
+                                          min="0"
+                                          step="0.25"
+                                          value={policy.warning_hours}
+                                          onChange={(event) => updateSlaPolicy(key, { warning_hours: event.target.value })}
+                                          disabled={slaPoliciesBusy}
+                                        />
+                                      </label>
+                                      <label>
+                                        {copy.slaBreachHours}
+                                        <input
+                                          type="number"
+                                          min="0.25"
+                                          step="0.25"
+                                          value={policy.breach_hours}
+                                          onChange={(event) => updateSlaPolicy(key, { breach_hours: event.target.value })}
+                                          disabled={slaPoliciesBusy}
+                                        />
+                                      </label>
+                                      {slaEscalationTargets.map((target) => (
+                                        <label key={target}>
+                                          {copy.slaTargetLabels[target]}
+                                          <input
+                                            type="number"
+                                            min="0"
+                                            step="0.25"
+                                            value={policy.steps[target]}
+                                            onChange={(event) => updateSlaPolicy(key, {
+                                              steps: { ...policy.steps, [target]: event.target.value },
+                                            })}
+                                            disabled={slaPoliciesBusy}
+                                          />
+                                        </label>
+                                      ))}
+                                    </div>
+                                  ))}
+                                </div>
+                                <div className="portal-field">
+                                  <label>{copy.slaRegionalAdmin}</label>
+                                  <select
+                                    value={slaPoliciesForm.regional_admin_id}
+                                    onChange={(event) => setSlaPoliciesForm((prev) => ({ ...prev, regional_admin_id: event.target.value }))}
+                                    disabled={slaPoliciesBusy}
+                                  >
+                                    <option value="">{copy.slaRegionalAdminNone}</option>
+                                    {slaPoliciesForm.regional_admin_id
+                                      && !users.some((item) => item.id === slaPoliciesForm.regional_admin_id) ? (
+                                        <option value={slaPoliciesForm.regional_admin_id}>{slaPoliciesForm.regional_admin_id}</option>
+                                      ) : null}
+                                    {users
+                                      .filter((item) => item.role === "admin" && item.status === "active")
+                                      .map((item) => (
+                                        <option key={item.id} value={item.id}>{item.full_name || item.email}</option>
+                                      ))}
+                                  </select>
+                                </div>
+                                {slaPoliciesNotice ? (
+                                  <div className={`portal-message ${slaPoliciesNotice === copy.slaPoliciesSaved ? "portal-success" : "portal-error"}`}>
+                                    {slaPoliciesNotice}
+                                  </div>
+                                ) : null}
+                                <div className="portal-form-actions">
+                                  <button
+                                    className="button ghost"
+                                    type="button"
+                                    onClick={() => handleSaveSlaPolicies(null, true)}
+                                    disabled={slaPoliciesBusy}
+                                  >
+                                    {copy.slaPoliciesReset}
+                                  </button>
+                                  <button className="button primary" type="submit" disabled={slaPoliciesBusy}>
+                                    {slaPoliciesBusy ? copy.saving : copy.slaPoliciesSave}
+                                  </button>
+                                </div>
+                              </form>
+                            ) : null}
                           </div>
                         </div>
                       )}
@@ -14382,6 +18297,18 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                         {[unit.building, unit.floor, unit.unit, unit.room].filter(Boolean).join(" • ") || "--"}
                                       </span>
                                     </div>
+                                    <select
+                                      value={unit.lead_user_id || ""}
+                                      aria-label={copy.unitLead}
+                                      onChange={(event) => handleUpdateUnitLead(unit.id, event.target.value)}
+                                    >
+                                      <option value="">{copy.unitLeadNone}</option>
+                                      {users
+                                        .filter((item) => item.status === "active" || item.id === unit.lead_user_id)
+                                        .map((item) => (
+                                          <option key={item.id} value={item.id}>{item.full_name || item.email}</option>
+                                        ))}
+                                    </select>
                                   </div>
                                 ))
                               )}
@@ -14741,6 +18668,51 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                   </div>
                                 </>
                               ) : null}
+                              {exportTokenForm.export_type === "intervention_effectiveness" ? (
+                                <>
+                                  <div className="portal-field">
+                                    <label>{copy.analyticsWindowLabel}</label>
+                                    <input
+                                      type="number"
+                                      min="1"
+                                      max="730"
+                                      value={exportTokenForm.effect_days}
+                                      onChange={(event) => setExportTokenForm((prev) => ({
+                                        ...prev,
+                                        effect_days: event.target.value,
+                                      }))}
+                                    />
+                                  </div>
+                                  <div className="portal-field">
+                                    <label>{copy.analyticsEffectWindowLabel}</label>
+                                    <input
+                                      type="number"
+                                      min="7"
+                                      max="365"
+                                      value={exportTokenForm.effect_window_days}
+                                      onChange={(event) => setExportTokenForm((prev) => ({
+                                        ...prev,
+                                        effect_window_days: event.target.value,
+                                      }))}
+                                    />
+                                  </div>
+                                  <div className="portal-field">
+                                    <label>{copy.analyticsPostFallFilterLabel}</label>
+                                    <select
+                                      value={exportTokenForm.effect_unit_id}
+                                      onChange={(event) => setExportTokenForm((prev) => ({
+                                        ...prev,
+                                        effect_unit_id: event.target.value,
+                                      }))}
+                                      disabled={unitLoading}
+                                    >
+                                      {unitFilterOptions.map((option) => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                </>
+                              ) : null}
                               {exportTokenForm.export_type === "bundle" ? (
                                 <div className="portal-field portal-field-full">
                                   <label>{copy.exportTokenInclude}</label>
@@ -15165,6 +19137,51 @@ function PortalPage({ locale, buildHrefFor, currentPath }) {
                                       </div>
                                     </>
                                   ) : null}
+                                  {exportScheduleForm.export_type === "intervention_effectiveness" ? (
+                                    <>
+                                      <div className="portal-field">
+                                        <label>{copy.analyticsWindowLabel}</label>
+                                        <input
+                                          type="number"
+                                          min="1"
+                                          max="730"
+                                          value={exportScheduleForm.effect_days}
+                                          onChange={(event) => setExportScheduleForm((prev) => ({
+                                            ...prev,
+                                            effect_days: event.target.value,
+                                          }))}
+                                        />
+                                      </div>
+                                      <div className="portal-field">
+                                        <label>{copy.analyticsEffectWindowLabel}</label>
+                                        <input
+                                          type="number"
+                                          min="7"
+                                          max="365"
+                                          value={exportScheduleForm.effect_window_days}
+                                          onChange={(event) => setExportScheduleForm((prev) => ({
+                                            ...prev,
+                                            effect_window_days: event.target.value,
+                                          }))}
+                                        />
+                                      </div>
+                                      <div className="portal-field">
+                                        <label>{copy.analyticsPostFallFilterLabel}</label>
+                                        <select
+                                          value={exportScheduleForm.effect_unit_id}
+                                          onChange={(event) => setExportScheduleForm((prev) => ({
+                                            ...prev,
+                                            effect_unit_id: event.target.value,
+                                          }))}
+                                          disabled={unitLoading}
+                                        >
+                                          {unitFilterOptions.map((option) => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                          ))}
+                                        </select>
+                                      </div>
+                                    </>
+                                  ) : null}
                                   {exportScheduleForm.export_type === "bundle" ? (
                                     <div className="portal-field portal-field-full">
                                       <label>{copy.exportTokenInclude}</label>